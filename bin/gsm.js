@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * gsm - 命令列樂譜轉換工具（見 src/cli/index.js）
+ */
+
+import { run } from '../src/cli/index.js';
+
+process.exitCode = await run(process.argv.slice(2));
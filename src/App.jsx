@@ -16,6 +16,7 @@ import { usePitchDetection } from './hooks/usePitchDetection';
 import { useAuth } from './contexts/AuthContext';
 import { getScaleNotes, CAGED_SHAPES } from './data/scaleData';
 import { getChordNotes } from './data/chordData';
+import { runMigrations } from './core/schema/scoreSchema.js';
 import './App.css';
 
 const getBackgroundPath = (name) => `${import.meta.env.BASE_URL}backgrounds/${name}.png`;
@@ -51,7 +52,28 @@ const DEFAULT_PLAY_ITEMS = [
 // 舊資料/別名修正：SCALES 沒有 'natural-minor'（自然小調是 'aeolian'）→ 會算不出音
 const SCALE_KEY_ALIASES = { 'natural-minor': 'aeolian' };
 
+// Play 模式 state 版本：1 = scales / scaleCount，2 = playItems / itemCount
+const APP_STATE_VERSION = 2;
+
+const APP_STATE_MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    migrate: (state) => {
+      const next = { ...state };
+      if (!next.playItems && Array.isArray(state.scales)) {
+        next.playItems = state.scales.map(s => ({ type: 'scale', ...s }));
+        if (typeof state.scaleCount === 'number') next.itemCount = state.scaleCount;
+      }
+      delete next.scales;
+      delete next.scaleCount;
+      return next;
+    },
+  },
+];
+
 const DEFAULT_STATE = {
+  schemaVersion: APP_STATE_VERSION,
   itemCount: 2,
   displayMode: 'notes',
   guitarType: 'acoustic_guitar_steel',
@@ -60,16 +82,20 @@ const DEFAULT_STATE = {
 };
 
 /**
- * 把舊版 state（scales / scaleCount）轉成新版（playItems / itemCount）。
- * 若已是新版則直接回傳，並補齊 4 個項目以避免 itemCount=4 時越界。
+ * 依 APP_STATE_MIGRATIONS 把舊版 state（scales / scaleCount）升級為新版（playItems / itemCount），
+ * 再補齊 4 個項目以避免 itemCount=4 時越界。
+ * 版本比程式新（或遷移失敗）時改用預設值，避免錯誤資料讓畫面崩潰。
  */
 function migrateLegacyState(state) {
   if (!state) return DEFAULT_STATE;
-  const base = { ...DEFAULT_STATE, ...state };
-  if (!base.playItems && Array.isArray(state.scales)) {
-    base.playItems = state.scales.map(s => ({ type: 'scale', ...s }));
-    if (typeof state.scaleCount === 'number') base.itemCount = state.scaleCount;
+  let migrated;
+  try {
+    migrated = runMigrations(state, APP_STATE_MIGRATIONS, APP_STATE_VERSION).data;
+  } catch (e) {
+    console.warn('[App] 無法遷移已儲存的設定，改用預設值', e);
+    return DEFAULT_STATE;
   }
+  const base = { ...DEFAULT_STATE, ...migrated };
   // 確保 playItems 至少 4 個（不足補預設）
   const items = Array.isArray(base.playItems) ? [...base.playItems] : [];
   while (items.length < 4) items.push(DEFAULT_PLAY_ITEMS[items.length] || DEFAULT_PLAY_ITEMS[0]);
@@ -123,6 +149,7 @@ function MainContent() {
   const [fretboardLayout, setFretboardLayout] = useState('overlay'); // 'overlay' | 'separate'
 
   const currentState = useMemo(() => ({
+    schemaVersion: APP_STATE_VERSION,
     itemCount, displayMode, guitarType, playItems, fretCount
   }), [itemCount, displayMode, guitarType, playItems, fretCount]);
 
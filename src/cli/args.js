@@ -0,0 +1,90 @@
+/**
+ * CLI 參數解析
+ * gsm <command> [位置參數] [--option 值] [--flag]
+ */
+
+// 選項名稱 → { key, type }；flag 不帶值
+const OPTIONS = {
+    '--to': { key: 'to', type: 'string' },
+    '-t': { key: 'to', type: 'string' },
+    '--track': { key: 'track', type: 'track' },
+    '--format': { key: 'format', type: 'string' },
+    '-f': { key: 'format', type: 'string' },
+    '--chords': { key: 'chordMode', type: 'string' },
+    '--voices': { key: 'voices', type: 'string' },
+    '--grid': { key: 'grid', type: 'string' },
+    '--no-triplets': { key: 'triplets', type: 'false' },
+    '--out-dir': { key: 'outDir', type: 'string' },
+    '-o': { key: 'outDir', type: 'string' },
+    '--recursive': { key: 'recursive', type: 'flag' },
+    '-r': { key: 'recursive', type: 'flag' },
+    '--json': { key: 'json', type: 'flag' },
+    '--force': { key: 'force', type: 'flag' },
+    '--help': { key: 'help', type: 'flag' },
+    '-h': { key: 'help', type: 'flag' }
+};
+
+const TARGET_NOTATIONS = ['jianpu', 'staff', 'tab'];
+const CHORD_MODES = ['all', 'highest', 'lowest'];
+const VOICE_MODES = ['primary', 'all'];
+const GRIDS = ['quarter', 'eighth', '16th', '32nd'];
+
+/**
+ * 音軌參數：1 起算的編號、逗號分隔清單或 all
+ * @param {string} value
+ * @returns {'all'|Array<number>}
+ */
+function parseTrack(value) {
+    if (value === 'all') return 'all';
+    const numbers = value.split(',').map(v => Number(v.trim()));
+    if (numbers.some(n => !Number.isInteger(n) || n < 1)) {
+        throw new Error(`--track 必須是 1 起算的音軌編號或 all：${value}`);
+    }
+    return numbers;
+}
+
+/**
+ * 解析命令列參數
+ * @param {Array<string>} argv - 不含 node 與腳本路徑
+ * @returns {{ command: string, inputs: Array<string>, options: Object }}
+ */
+export function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [name, inline] = arg.startsWith('--') && arg.includes('=') ? arg.split(/=(.*)/s) : [arg, undefined];
+        const spec = OPTIONS[name];
+        if (!spec) {
+            if (arg.startsWith('-') && arg !== '-') throw new Error(`未知的選項：${arg}`);
+            positional.push(arg);
+            continue;
+        }
+        if (spec.type === 'flag' || spec.type === 'false') {
+            options[spec.key] = spec.type === 'flag';
+            continue;
+        }
+        const value = inline ?? argv[++i];
+        if (value === undefined) throw new Error(`${name} 需要一個值`);
+        options[spec.key] = spec.type === 'track' ? parseTrack(value) : value;
+    }
+
+    if (options.format && !TARGET_NOTATIONS.includes(options.format)) {
+        throw new Error(`--format 必須是 ${TARGET_NOTATIONS.join(' / ')}：${options.format}`);
+    }
+    if (options.chordMode && !CHORD_MODES.includes(options.chordMode)) {
+        throw new Error(`--chords 必須是 ${CHORD_MODES.join(' / ')}：${options.chordMode}`);
+    }
+    if (options.voices && !VOICE_MODES.includes(options.voices)) {
+        throw new Error(`--voices 必須是 ${VOICE_MODES.join(' / ')}：${options.voices}`);
+    }
+    if (options.grid && !GRIDS.includes(options.grid)) {
+        throw new Error(`--grid 必須是 ${GRIDS.join(' / ')}：${options.grid}`);
+    }
+
+    const [command = 'help', ...inputs] = positional;
+    return { command, inputs, options };
+}
+
+export default parseArgs;
@@ -0,0 +1,296 @@
+/**
+ * CLI 轉換流程（Node，不需要瀏覽器）
+ *
+ * 讀取：parsers/registry 的 importAny 自動辨識格式；多音軌格式依 --track 轉換指定音軌
+ * 記譜：--format 以 NoteConverter 轉為簡譜 / 五線譜 / 六線譜表示
+ * 輸出：MIDI 用 core/midi/midiWriter，其餘格式用各解析器的 stringify（MusicXML 支援多聲部）
+ * 每個檔案回傳一筆摘要（音軌、音符數、小節數、樂譜資訊、輸出檔與錯誤），供 --json 輸出
+ * 輸入檔為 - 時讀取標準輸入，輸出檔為 - 時寫到標準輸出
+ */
+
+import { readFile, writeFile, readdir, mkdir, stat, access } from 'node:fs/promises';
+import path from 'node:path';
+import { importAny, getParser, getRegisteredFormats, getAcceptedExtensions } from '../parsers/registry.js';
+import { ParserInterface } from '../core/interfaces/ParserInterface.js';
+import { NoteConverter } from '../converters/NoteConverter.js';
+import { writeMIDI } from '../core/midi/midiWriter.js';
+import { Note } from '../core/models/Note.js';
+import { splitMeasures } from '../core/models/Measure.js';
+import { serializeNotes } from '../core/schema/scoreSchema.js';
+
+// 代表標準輸入 / 標準輸出的路徑
+export const STDIO_PATH = '-';
+
+// 可寫出多聲部的格式與預設副檔名
+const MULTI_PART_FORMATS = ['midi', 'musicxml'];
+const OUTPUT_EXTENSIONS = { midi: '.mid', musicxml: '.musicxml' };
+
+/**
+ * 取得輸出格式的寫出器；格式不存在或不支援輸出時回傳 null
+ * @param {string} formatId
+ * @returns {{ formatId: string, extension: string, multiPart: boolean, write: Function }|null}
+ */
+export function getWriter(formatId) {
+    if (formatId === 'midi') {
+        return { formatId, extension: OUTPUT_EXTENSIONS.midi, multiPart: true, write: (parts, options) => writeMIDI(parts, options) };
+    }
+    const parser = getParser(formatId);
+    if (!parser || parser.stringify === ParserInterface.prototype.stringify) return null;
+    return {
+        formatId,
+        extension: OUTPUT_EXTENSIONS[formatId] ?? parser.extensions.find(ext => ext !== '.txt') ?? parser.extensions[0] ?? '.txt',
+        multiPart: MULTI_PART_FORMATS.includes(formatId),
+        write: (parts, options) => formatId === 'musicxml'
+            ? parser.stringifyParts(parts, options)
+            : parser.stringify(parts[0].notes, { ...options, tuning: parts[0].tuning })
+    };
+}
+
+/**
+ * 可輸出的格式清單
+ * @returns {Array<string>}
+ */
+export function getWritableFormats() {
+    return getRegisteredFormats().map(f => f.formatId).filter(id => getWriter(id));
+}
+
+/**
+ * 決定輸出格式：--to 優先，否則依輸出檔副檔名（.txt 等共用副檔名取註冊順序中第一個可輸出的格式）
+ * @param {string|null} outputPath
+ * @param {string|undefined} to
+ * @returns {string|null}
+ */
+export function resolveOutputFormat(outputPath, to) {
+    if (to) {
+        if (!getWriter(to)) throw new Error(`不支援輸出的格式：${to}（可用：${getWritableFormats().join(', ')}）`);
+        return to;
+    }
+    if (!outputPath) return null;
+    if (outputPath === STDIO_PATH) throw new Error('輸出到標準輸出時請以 --to 指定格式');
+    const ext = path.extname(outputPath).toLowerCase();
+    const match = getRegisteredFormats().find(f => (f.extensions.includes(ext) || OUTPUT_EXTENSIONS[f.formatId] === ext) && getWriter(f.formatId));
+    if (!match) throw new Error(`無法依副檔名判斷輸出格式：${outputPath}（請以 --to 指定）`);
+    return match.formatId;
+}
+
+/**
+ * 以各格式的方法轉換單一音軌（同匯入對話框的音軌選擇）
+ */
+function convertTrack(parser, format, index, options) {
+    const { chordMode = 'all', voices = 'primary', grid, triplets } = options;
+    if (format === 'musicxml') return parser.convertPart(index, { chordMode, voices });
+    if (format === 'abc') return parser.convertTune(index, { chordMode, voices });
+    if (typeof parser.convertTrack !== 'function') throw new Error(`${format} 格式不支援選擇音軌`);
+    return parser.convertTrack(index, { chordMode, grid, triplets });
+}
+
+/**
+ * 依 --track 取得要輸出的聲部
+ * 未指定音軌且匯入結果已有音符時直接使用；否則預設第一個有音符的音軌
+ * @returns {Array<{ index: number, name: string, notes: Array, capo: number, instrument: string|null }>}
+ */
+function selectParts(result, options) {
+    const tracks = result.tracks || [];
+    const reconvert = options.chordMode || options.voices || options.grid || options.triplets === false;
+    if (!options.track && result.notes && !(reconvert && tracks.length > 0)) {
+        return [{ index: 0, name: tracks[0]?.name || '', notes: result.notes, capo: tracks[0]?.capo || 0, instrument: tracks[0]?.instrument ?? null }];
+    }
+    if (tracks.length === 0) {
+        if (options.track === 'all' || options.track?.every(n => n === 1)) {
+            return [{ index: 0, name: '', notes: result.notes || [], capo: 0, instrument: null }];
+        }
+        throw new Error(`${result.format} 格式只有一個音軌`);
+    }
+
+    const indices = options.track === 'all'
+        ? tracks.map((_, i) => i)
+        : options.track?.map(n => n - 1) ?? [Math.max(0, tracks.findIndex(t => t.noteCount > 0))];
+    return indices.map(i => {
+        const track = tracks[i];
+        if (!track) throw new Error(`音軌 ${i + 1} 不存在（共 ${tracks.length} 軌）`);
+        return {
+            index: i,
+            name: track.name || `Track ${i + 1}`,
+            notes: convertTrack(result.parser, result.format, i, options),
+            capo: track.capo || 0,
+            instrument: track.instrument ?? null
+        };
+    });
+}
+
+/**
+ * 存檔（plain objects，音高在 midiNote）與記譜轉換結果還原為 Note，輸出器以 Note 欄位讀取
+ */
+function toNotes(notes) {
+    return notes.map(n => n instanceof Note ? n : Note.fromObject(n));
+}
+
+/**
+ * --format：轉為簡譜 / 五線譜 / 六線譜表示（來源記譜取自音符的 format，預設五線譜）
+ */
+function applyNotation(notes, notation, metadata) {
+    if (!notation) return toNotes(notes);
+    const source = notes.find(n => ['jianpu', 'staff', 'tab'].includes(n.format))?.format ?? 'staff';
+    return toNotes(NoteConverter.convert(serializeNotes(notes), source, notation, { key: metadata.key, scaleType: metadata.scaleType }));
+}
+
+/**
+ * 輸出檔路徑；多個聲部寫成單聲部格式時每個聲部一個檔（-track2）
+ */
+function partOutputPath(outputPath, part, parts, writer) {
+    if (writer.multiPart || parts.length === 1) return outputPath;
+    const ext = path.extname(outputPath);
+    return `${outputPath.slice(0, outputPath.length - ext.length)}-track${part.index + 1}${ext}`;
+}
+
+/**
+ * 讀取輸入檔（- 為標準輸入）
+ */
+async function readInput(inputPath) {
+    if (inputPath !== STDIO_PATH) return new Uint8Array(await readFile(inputPath));
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return new Uint8Array(Buffer.concat(chunks));
+}
+
+/**
+ * 檔案是否存在
+ */
+async function exists(filePath) {
+    try {
+        await access(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * 轉換單一檔案
+ * 沒有輸出檔也沒有 --to 時只讀取並回傳摘要（檢查解析結果用）
+ * 從標準輸入讀取且未指定輸出檔時寫到標準輸出
+ * @param {string} inputPath - 輸入檔路徑（- 為標準輸入）
+ * @param {Object} options
+ * @param {string} options.output - 輸出檔路徑（- 為標準輸出，需以 --to 指定格式且只能寫出一個檔）
+ * @param {string} options.to - 輸出格式 ID（見 getWritableFormats）
+ * @param {'all'|Array<number>} options.track - 音軌（1 起算）
+ * @param {string} options.format - 'jianpu' | 'staff' | 'tab'
+ * @param {string} options.chordMode - 'all' | 'highest' | 'lowest'
+ * @param {string} options.voices - 'primary' | 'all'
+ * @param {string} options.grid - MIDI 量化格線
+ * @param {boolean} options.triplets - MIDI 是否偵測三連音
+ * @param {boolean} options.force - 覆寫已存在的輸出檔
+ * @returns {Promise<Object>} 摘要
+ */
+export async function convertFile(inputPath, options = {}) {
+    const summary = { input: inputPath, ok: false, format: null, tracks: 0, selected: [], notes: 0, measures: 0, metadata: null, outputs: [], error: null };
+    try {
+        const fromStdin = inputPath === STDIO_PATH;
+        const baseName = fromStdin ? '' : path.basename(inputPath, path.extname(inputPath));
+        const data = await readInput(inputPath);
+        const result = await importAny({ name: fromStdin ? '' : path.basename(inputPath), data });
+        summary.format = result.format;
+        summary.tracks = result.tracks?.length ?? 1;
+
+        const parts = selectParts(result, options);
+        const metadata = {
+            ...result.metadata,
+            ...(result.notes && parts[0]?.notes === result.notes ? {} : result.parser.metadata),
+            capo: parts[0]?.capo || result.metadata?.capo || null
+        };
+        parts.forEach(part => {
+            part.notes = applyNotation(part.notes, options.format, metadata);
+        });
+
+        summary.selected = parts.map(p => ({ track: p.index + 1, name: p.name, notes: p.notes.filter(n => n.isNote).length, measures: splitMeasures(p.notes).length }));
+        summary.notes = summary.selected.reduce((sum, p) => sum + p.notes, 0);
+        summary.measures = Math.max(0, ...summary.selected.map(p => p.measures));
+        summary.metadata = metadata;
+
+        const outputFormat = resolveOutputFormat(options.output, options.to);
+        if (outputFormat) {
+            const writer = getWriter(outputFormat);
+            const output = options.output
+                || (fromStdin ? STDIO_PATH : path.join(path.dirname(inputPath), baseName + writer.extension));
+            const writeOptions = {
+                title: metadata.title || baseName,
+                composer: metadata.composer,
+                lyricist: metadata.lyricist,
+                key: metadata.key,
+                scaleType: metadata.scaleType,
+                timeSignature: metadata.timeSignature,
+                meter: metadata.timeSignature,
+                tempo: metadata.tempo,
+                capo: metadata.capo || 0
+            };
+            const groups = writer.multiPart ? [parts] : parts.map(part => [part]);
+            if (output === STDIO_PATH) {
+                if (groups.length > 1) throw new Error(`${outputFormat} 每軌一個檔，無法將 ${groups.length} 個音軌寫到標準輸出（請指定單一 --track）`);
+                process.stdout.write(writer.write(parts, { ...writeOptions, capo: parts[0].capo || writeOptions.capo }));
+                summary.outputs.push(STDIO_PATH);
+            } else {
+                for (const group of groups) {
+                    const target = partOutputPath(output, group[0], parts, writer);
+                    if (path.resolve(target) === path.resolve(inputPath)) throw new Error(`輸出檔與輸入檔相同：${target}`);
+                    if (!options.force && await exists(target)) throw new Error(`輸出檔已存在（以 --force 覆寫）：${target}`);
+                    await mkdir(path.dirname(target), { recursive: true });
+                    await writeFile(target, writer.write(group, { ...writeOptions, capo: group[0].capo || writeOptions.capo }));
+                    summary.outputs.push(target);
+                }
+            }
+            summary.to = outputFormat;
+        }
+        summary.ok = true;
+    } catch (err) {
+        summary.error = err.message;
+    }
+    return summary;
+}
+
+/**
+ * 列出目錄中可匯入的檔案（依路徑排序）
+ * @param {string} dir
+ * @param {boolean} recursive
+ * @returns {Promise<Array<string>>}
+ */
+export async function listInputFiles(dir, recursive = false) {
+    const accepted = getAcceptedExtensions();
+    const files = [];
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (recursive && !entry.name.startsWith('.')) files.push(...await listInputFiles(full, true));
+        } else if (accepted.includes(path.extname(entry.name).toLowerCase())) {
+            files.push(full);
+        }
+    }
+    return files.sort();
+}
+
+/**
+ * 批次轉換目錄：輸出到 outDir（保留子目錄結構），沒有 outDir 時寫在來源檔旁
+ * @param {string} dir
+ * @param {Object} options - 同 convertFile，另有 outDir、recursive
+ * @returns {Promise<Array<Object>>} 每個檔案的摘要
+ */
+export async function convertDirectory(dir, options = {}) {
+    const { outDir, recursive, ...fileOptions } = options;
+    const to = fileOptions.to ? resolveOutputFormat(null, fileOptions.to) : null;
+    const summaries = [];
+    for (const file of await listInputFiles(dir, recursive)) {
+        const output = to && outDir
+            ? path.join(outDir, path.relative(dir, file)).replace(/\.[^./\\]+$/, '') + getWriter(to).extension
+            : undefined;
+        summaries.push(await convertFile(file, { ...fileOptions, output }));
+    }
+    return summaries;
+}
+
+/**
+ * 路徑是否為目錄
+ * @param {string} target
+ * @returns {Promise<boolean>}
+ */
+export async function isDirectory(target) {
+    return (await stat(target)).isDirectory();
+}
@@ -0,0 +1,146 @@
+/**
+ * gsm - 命令列樂譜轉換工具
+ *
+ *   gsm convert <輸入檔|目錄> [輸出檔] [--to 格式] [--track N|all] [--format jianpu|staff|tab]
+ *                                 輸入 / 輸出檔為 - 時使用標準輸入 / 標準輸出
+ *   gsm info <輸入檔|目錄>         只讀取並列出解析摘要（等同不指定輸出的 convert）
+ *   gsm formats                   列出可讀取 / 輸出的格式
+ */
+
+import { parseArgs } from './args.js';
+import { convertFile, convertDirectory, isDirectory, getWritableFormats, STDIO_PATH } from './convert.js';
+import { getRegisteredFormats } from '../parsers/registry.js';
+
+const HELP = `用法：
+  gsm convert <輸入檔|目錄> [輸出檔] [選項]
+  gsm info <輸入檔|目錄> [選項]
+  gsm formats [--json]
+
+  輸入檔為 - 時讀取標準輸入；輸出檔為 - 時寫到標準輸出（需以 --to 指定格式，摘要改寫到標準錯誤）
+
+選項：
+  -t, --to <格式>        輸出格式（預設依輸出檔副檔名；.txt 視為六線譜）
+      --track <N|all>    音軌編號（1 起算，可用逗號分隔多軌）；all 為全部音軌
+                         MIDI / MusicXML 寫成多聲部，其他格式每軌一個檔（-track2）
+  -f, --format <記譜>    轉為 jianpu / staff / tab 表示（例：--format tab 排出弦與格）
+      --chords <模式>    和弦：all（保留）/ highest / lowest
+      --voices <模式>    聲部：primary / all（MusicXML、ABC）
+      --grid <格線>      MIDI 量化格線：quarter / eighth / 16th / 32nd
+      --no-triplets      MIDI 不偵測三連音
+  -o, --out-dir <目錄>   批次轉換的輸出目錄（保留子目錄結構）
+  -r, --recursive        批次轉換包含子目錄
+      --force            覆寫已存在的輸出檔
+      --json             以 JSON 輸出摘要
+  -h, --help             顯示說明
+
+範例：
+  gsm convert song.gp5 song.musicxml --track 2 --format tab
+  cat song.abc | gsm convert - - --to musicxml > song.musicxml
+  gsm convert archive/ --to musicxml --out-dir out/ --recursive --json
+  gsm info archive/ -r --json`;
+
+/**
+ * 摘要 → 一行文字
+ */
+function formatSummary(summary) {
+    if (!summary.ok) return `✗ ${summary.input}: ${summary.error}`;
+    const info = [
+        summary.format,
+        `${summary.tracks} 軌`,
+        `${summary.notes} 音符`,
+        `${summary.measures} 小節`,
+        summary.metadata?.key && `${summary.metadata.key} ${summary.metadata.scaleType || ''}`.trim(),
+        summary.metadata?.title && `「${summary.metadata.title}」`
+    ].filter(Boolean).join(', ');
+    const outputs = summary.outputs.length > 0 ? ` → ${summary.outputs.join(', ')}` : '';
+    return `✓ ${summary.input} (${info})${outputs}`;
+}
+
+/**
+ * 執行 convert / info
+ */
+async function runConvert(inputs, options, { readOnly = false } = {}) {
+    const [input, output] = inputs;
+    if (!input) throw new Error('請指定輸入檔或目錄');
+    const convertOptions = readOnly ? { ...options, to: undefined } : options;
+
+    const batch = input !== STDIO_PATH && await isDirectory(input);
+    if (batch && (output === STDIO_PATH || options.outDir === STDIO_PATH)) throw new Error('批次轉換無法輸出到標準輸出，請指定輸出目錄');
+    if (batch && output && !options.outDir) convertOptions.outDir = output;
+    const summaries = batch
+        ? await convertDirectory(input, convertOptions)
+        : [await convertFile(input, { ...convertOptions, output: readOnly ? undefined : output })];
+
+    // 轉換結果寫到標準輸出時，摘要改寫到標準錯誤
+    const toStdout = !readOnly && (output === STDIO_PATH || (input === STDIO_PATH && !output && options.to));
+    const log = toStdout ? console.error : console.log;
+    if (options.json) {
+        const failed = summaries.filter(s => !s.ok).length;
+        log(JSON.stringify(batch ? { total: summaries.length, failed, files: summaries } : summaries[0], null, 2));
+    } else {
+        summaries.forEach(s => (s.ok ? log : console.error)(formatSummary(s)));
+        if (batch) console.log(`共 ${summaries.length} 個檔案，失敗 ${summaries.filter(s => !s.ok).length} 個`);
+    }
+    return summaries.every(s => s.ok) ? 0 : 1;
+}
+
+/**
+ * 列出格式
+ */
+function runFormats(options) {
+    const writable = getWritableFormats();
+    const formats = getRegisteredFormats().map(f => ({
+        formatId: f.formatId,
+        description: f.description,
+        extensions: f.extensions,
+        read: true,
+        write: writable.includes(f.formatId)
+    }));
+    if (options.json) {
+        console.log(JSON.stringify(formats, null, 2));
+    } else {
+        formats.forEach(f => console.log(`${f.formatId.padEnd(12)}${(f.write ? '讀 / 寫' : '讀').padEnd(6)}${f.extensions.join(' ').padEnd(28)}${f.description}`));
+    }
+    return 0;
+}
+
+/**
+ * CLI 進入點
+ * @param {Array<string>} argv - 不含 node 與腳本路徑
+ * @returns {Promise<number>} 結束代碼（0 成功；1 有檔案失敗；2 參數錯誤）
+ */
+export async function run(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (err) {
+        console.error(err.message);
+        console.error('執行 gsm --help 查看用法');
+        return 2;
+    }
+    const { command, inputs, options } = parsed;
+    if (options.help || command === 'help') {
+        console.log(HELP);
+        return 0;
+    }
+
+    try {
+        switch (command) {
+            case 'convert':
+                return await runConvert(inputs, options);
+            case 'info':
+                return await runConvert(inputs, options, { readOnly: true });
+            case 'formats':
+                return runFormats(options);
+            default:
+                console.error(`未知的指令：${command}`);
+                console.error('執行 gsm --help 查看用法');
+                return 2;
+        }
+    } catch (err) {
+        console.error(err.message);
+        return 2;
+    }
+}
+
+export default run;
@@ -8,6 +8,8 @@ import { Score } from '../core/models/Score';
 import { getScaleNotes, CAGED_SHAPES, getNoteName } from '../data/scaleData';
 import { getChordNotes } from '../data/chordData';
 import { useAudio, GUITAR_INSTRUMENTS } from '../hooks/useAudio';
+import { useEditHistory } from '../hooks/useEditHistory';
+import { useKeyboardShortcuts } from '../hooks/useKeyboardShortcuts';
 import './ComposeMode.css';
 
 const GUITAR_OPTIONS = Object.entries(GUITAR_INSTRUMENTS).map(([value, label]) => ({ value, label }));
@@ -132,7 +134,10 @@ function ComposeMode({ guitarType, setGuitarType, fretCount }) {
   const [item, setItem] = useState({
     type: 'scale', root: 'A', scale: 'minor-pentatonic', enabledNotes: null,
   });
-  const [notes, setNotes] = useState([]);
+  const [notes, setNotesState] = useState([]);
+  // 所有樂譜編輯都經由編輯歷史提交 → 可復原 / 重做（Ctrl+Z / Ctrl+Shift+Z）
+  const editHistory = useEditHistory({ notes, setNotes: setNotesState });
+  const setNotes = editHistory.commit;
   const [duration, setDuration] = useState('eighth');
   const [tempo, setTempo] = useState(60);
   const [timeSignature, setTimeSignature] = useState('4/4');
@@ -214,8 +219,11 @@ function ComposeMode({ guitarType, setGuitarType, fretCount }) {
 
   const addRest = () => setNotes(prev => [...prev, Note.createRest({ duration })]);
   const addBar = () => setNotes(prev => [...prev, Note.createSeparator()]);
-  const undo = () => { setSlidePending(null); setNotes(prev => prev.slice(0, -1)); };
-  const clearAll = () => { stop(); setTechMode(null); setSlidePending(null); setNotes([]); };
+  const undo = () => { setSlidePending(null); editHistory.undo(); };
+  const redo = () => { setSlidePending(null); editHistory.redo(); };
+  const clearAll = () => { stop(); setTechMode(null); setSlidePending(null); setNotes([], '清空'); };
+
+  useKeyboardShortcuts({ undo, redo });
 
   // 實際音符索引序列 + 取得某音的「下一個實際音符」
   const playableIdx = notes.map((n, i) => (n.isNote ? i : -1)).filter(i => i >= 0);
@@ -456,7 +464,7 @@ function ComposeMode({ guitarType, setGuitarType, fretCount }) {
         stop();
         setTechMode(null);
         setSlidePending(null);
-        setNotes(loaded);
+        setNotes(loaded, '讀檔');
         if (data.tempo) setTempo(data.tempo);
         if (data.timeSignature) setTimeSignature(data.timeSignature);
         if (data.key) setItem(prev => ({ ...prev, root: data.key }));
@@ -588,7 +596,8 @@ function ComposeMode({ guitarType, setGuitarType, fretCount }) {
           <div className="compose-tool-group">
             <button className="sm-btn" onClick={addRest} title="加入休止符">𝄽 休止</button>
             <button className="sm-btn" onClick={addBar} title="加入小節線">| 小節</button>
-            <button className="sm-btn" onClick={undo} disabled={notes.length === 0} title="復原最後一個">↩ 復原</button>
+            <button className="sm-btn" onClick={undo} disabled={!editHistory.canUndo} title="復原 (Ctrl+Z)">↩ 復原</button>
+            <button className="sm-btn" onClick={redo} disabled={!editHistory.canRedo} title="重做 (Ctrl+Shift+Z)">↪ 重做</button>
             <button className="sm-btn" onClick={clearAll} disabled={notes.length === 0} title="清空">✕ 清空</button>
           </div>
           <div className="compose-tool-group">
@@ -11,6 +11,7 @@ import {
 import { useAudio } from '../hooks/useAudio';
 import { useDrawingCanvas, HIGHLIGHTER_COLORS, BRUSH_SIZES } from '../hooks/useDrawingCanvas';
 import { getPitchColor } from '../data/pitchColors';
+import { spellPitchClass } from '../core/theory/spelling';
 import FretboardView from './FretboardView';
 import './Fretboard.css';
 import './DrawingOverlay.css';
@@ -97,8 +98,14 @@ function Fretboard({ scales, guitarType, displayMode, fretCount, cagedPosition,
         return { inScales, isRootOf };
     };
 
+    // 音名依該項目的調號拼寫（F 大調顯示 Bb 而不是 A#）
+    const getSpelledName = (noteName, scaleIdx) => {
+        const scale = scales[scaleIdx];
+        return scale ? spellPitchClass(noteName, scale.root, scale.scale) : noteName;
+    };
+
     const getDisplayText = (noteName, scaleIdx) => {
-        if (!isIntervalMode) return noteName;
+        if (!isIntervalMode) return getSpelledName(noteName, scaleIdx);
         const scale = scales[scaleIdx];
         if (!scale) return noteName;
         let interval = getIntervalForNote(noteName, scale.root, scale.scale);
@@ -153,7 +160,7 @@ function Fretboard({ scales, guitarType, displayMode, fretCount, cagedPosition,
             if (visibleScales.length > 1) {
                 label = isIntervalMode
                     ? [...new Set(visibleScales.map(s => getDisplayText(noteName, s.idx)))].join('/')
-                    : ((fret === 0 && stringIdx === 0 && noteName === 'E') ? 'e' : noteName);
+                    : ((fret === 0 && stringIdx === 0 && noteName === 'E') ? 'e' : getSpelledName(noteName, primaryScaleIdx));
             } else {
                 label = getDisplayText(noteName, primaryScaleIdx);
                 if (!isIntervalMode && fret === 0 && stringIdx === 0 && label === 'E') label = 'e';
@@ -0,0 +1,117 @@
+/**
+ * AlphaTexImporter - alphaTex 文字譜貼上匯入
+ * 貼上 alphaTex（格.弦 音符、:N 時值、{h b sl} 技巧、\tuning / \tempo 標頭）後直接轉為音符
+ */
+
+import React, { useState } from 'react';
+import { AlphaTexParser } from '../../parsers/AlphaTexParser.js';
+
+const EXAMPLE = `\\title "Riff" \\tempo 100 \\tuning E4 B3 G3 D3 A2 E2 .
+:8 0.6 3.6 (0.1 2.2).4 5.3{h} 7.3 r | 3.2{b (0 4)} 3.2{sl} 5.2.2 |`;
+
+function AlphaTexImporter({ onImport, onError }) {
+    const [text, setText] = useState('');
+
+    const handleImport = () => {
+        const parser = new AlphaTexParser();
+        try {
+            const notes = parser.parse(text);
+            if (!notes.some(n => n.isNote)) {
+                onError?.('沒有可匯入的音符（格式：格.弦，例如 3.6 = 第 6 弦第 3 格）');
+                return;
+            }
+            onImport?.({
+                notes,
+                format: 'alphatex',
+                metadata: {
+                    title: parser.title || null,
+                    composer: parser.artist || parser.composer || null,
+                    lyricist: parser.lyricist || null,
+                    key: parser.key,
+                    scaleType: parser.scaleType,
+                    timeSignature: parser.timeSignature,
+                    tempo: parser.tempo,
+                    capo: parser.capo || null
+                }
+            });
+        } catch (error) {
+            console.error('alphaTex import error:', error);
+            onError?.(error.message || 'alphaTex 解析失敗');
+        }
+    };
+
+    return (
+        <div style={{
+            background: '#1a1a1a',
+            borderRadius: '12px',
+            padding: '24px',
+            maxWidth: '600px',
+            width: '100%',
+            color: '#fff'
+        }}>
+            <h3 style={{ margin: '0 0 16px 0' }}>alphaTex 文字譜</h3>
+
+            <textarea
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder={EXAMPLE}
+                spellCheck={false}
+                rows={8}
+                style={{
+                    width: '100%',
+                    boxSizing: 'border-box',
+                    padding: '12px',
+                    background: '#111',
+                    color: '#e0e0e0',
+                    border: '1px solid #444',
+                    borderRadius: '8px',
+                    fontFamily: 'monospace',
+                    fontSize: '13px',
+                    resize: 'vertical'
+                }}
+            />
+
+            <button
+                onClick={handleImport}
+                disabled={!text.trim()}
+                style={{
+                    width: '100%',
+                    marginTop: '12px',
+                    padding: '14px',
+                    background: '#26a69a',
+                    color: '#fff',
+                    border: 'none',
+                    borderRadius: '8px',
+                    fontSize: '16px',
+                    fontWeight: 'bold',
+                    cursor: text.trim() ? 'pointer' : 'default',
+                    opacity: text.trim() ? 1 : 0.5
+                }}
+            >
+                匯入
+            </button>
+
+            <div style={{
+                marginTop: '20px',
+                padding: '12px',
+                background: '#222',
+                borderRadius: '8px',
+                fontSize: '12px',
+                color: '#888'
+            }}>
+                <div style={{ fontWeight: 'bold', marginBottom: '8px', color: '#aaa' }}>
+                    語法提示
+                </div>
+                <ul style={{ margin: 0, paddingLeft: '16px' }}>
+                    <li>音符寫成 格.弦（第 1 弦為最高音弦），和弦用括號 (0.1 2.2)，休止符 r</li>
+                    <li>:8 設定之後的時值，3.6.16 只改這一拍；{'{d}'} 附點、{'{tu 3}'} 三連音</li>
+                    <li>技巧：{'{h}'} 搥勾弦、{'{b (0 4)}'} 推弦、{'{sl}'} 滑音、{'{v}'} 抖音、{'{pm}'} 悶音</li>
+                    <li>小節以 | 分隔；\ts 3 4、\ks G、\ro … \rc 2 反覆、\section "Verse" 段落</li>
+                    <li>也可在「檔案匯入」選擇 .atex / .alphatex 檔案</li>
+                </ul>
+            </div>
+        </div>
+    );
+}
+
+export default AlphaTexImporter;
@@ -1,32 +1,43 @@
 /**
  * MusicXMLImporter - MusicXML 匯入元件
- * 支援匯入 MusicXML、ABC Notation、Guitar Pro 檔案
- * Guitar Pro 支援音軌選擇
+ * 支援匯入 MusicXML（含 .mxl）、ABC Notation、alphaTex、ChordPro、和弦譜、Tab、簡譜、Guitar Pro、MIDI 與存檔 JSON
+ * 格式由解析器註冊表依內容與副檔名自動辨識（見 parsers/registry.js）
+ * Guitar Pro 與 MusicXML 多軌時支援音軌選擇；ABC 曲集 / 多聲部時選擇曲目與聲部；
+ * MIDI 一律先選擇音軌與量化格線
  */
 
 import React, { useRef, useState, useCallback } from 'react';
-import { StaffParser } from '../../parsers/StaffParser.js';
-import { TabParser } from '../../parsers/TabParser.js';
-import { GuitarProParser } from '../../parsers/GuitarProParser.js';
+import { importAny, getAcceptedExtensions } from '../../parsers/registry.js';
+
+/**
+ * 多軌來源（Guitar Pro / MusicXML / MIDI / ABC）的樂譜資訊
+ * @param {Object} parser
+ * @param {Object} track - 選定的音軌（取 capo）
+ */
+function getSongMetadata(parser, track = null) {
+    return { ...parser.metadata, capo: track?.capo || null };
+}
 
 function MusicXMLImporter({
     onImport,
     onError,
-    acceptFormats = ['.xml', '.musicxml', '.abc', '.txt', '.gp', '.gpx', '.gp5', '.gp4', '.gp3', 'application/octet-stream', '*/*']
+    acceptFormats = [...getAcceptedExtensions(), 'application/octet-stream', '*/*']
 }) {
     const fileInputRef = useRef(null);
     const [isLoading, setIsLoading] = useState(false);
     const [dragOver, setDragOver] = useState(false);
 
-    // GP 音軌選擇狀態
-    const [gpTracks, setGpTracks] = useState(null);
-    const [gpParser, setGpParser] = useState(null);
-    const [gpFileName, setGpFileName] = useState('');
+    // 音軌選擇狀態（Guitar Pro / MusicXML 多軌、MIDI、ABC 曲集）
+    const [songTracks, setSongTracks] = useState(null);
+    const [songParser, setSongParser] = useState(null);
+    const [songFormat, setSongFormat] = useState('guitarpro');
+    const [songFileName, setSongFileName] = useState('');
     const [selectedTrackIndex, setSelectedTrackIndex] = useState(0);
     const [chordMode, setChordMode] = useState('highest');
-
-    const staffParser = new StaffParser();
-    const tabParser = new TabParser();
+    const [voiceMode, setVoiceMode] = useState('primary');
+    const [quantizeGrid, setQuantizeGrid] = useState('16th');
+    const [detectTriplets, setDetectTriplets] = useState(true);
+    const [importAllTracks, setImportAllTracks] = useState(true);
 
     const handleFileSelect = async (e) => {
         const file = e.target.files?.[0];
@@ -56,78 +67,27 @@ function MusicXMLImporter({
     };
 
     /**
-     * 處理檔案
+     * 處理檔案（由解析器註冊表依內容與副檔名自動辨識格式）
      */
     const processFile = async (file) => {
         setIsLoading(true);
-        setGpTracks(null);
+        setSongTracks(null);
 
         try {
-            const fileName = file.name.toLowerCase();
-            let notes = [];
-            let format = 'unknown';
-
-            const isGuitarPro = fileName.endsWith('.gp') ||
-                fileName.endsWith('.gpx') ||
-                fileName.endsWith('.gp5') ||
-                fileName.endsWith('.gp4') ||
-                fileName.endsWith('.gp3');
-
-            if (isGuitarPro) {
-                const arrayBuffer = await file.arrayBuffer();
-                const uint8Array = new Uint8Array(arrayBuffer);
-                const parser = new GuitarProParser();
-                const { tracks } = parser.parseSong(uint8Array, file.name);
-
-                if (tracks.length > 1) {
-                    // 多音軌：顯示選擇 UI
-                    setGpParser(parser);
-                    setGpTracks(tracks);
-                    setGpFileName(file.name);
-                    // 預設選擇音符最多的音軌
-                    const bestIdx = tracks.reduce((best, t, i) =>
-                        t.noteCount > tracks[best].noteCount ? i : best, 0);
-                    setSelectedTrackIndex(bestIdx);
-                    setIsLoading(false);
-                    return;
-                }
-
-                // 單音軌：直接匯入（預設取最高音）
-                notes = parser.convertTrack(0, { chordMode: 'highest' });
-                format = 'guitarpro';
+            const result = await importAny(file);
 
-                staffParser.title = parser.title;
-                staffParser.key = parser.key || 'C';
-                staffParser.timeSignature = parser.timeSignature || '4/4';
-                staffParser.tempo = parser.tempo || 120;
-            } else {
-                const text = await file.text();
-                if (fileName.endsWith('.xml') || fileName.endsWith('.musicxml') || text.includes('<score-partwise')) {
-                    notes = staffParser.parseMusicXML(text);
-                    format = 'musicxml';
-                } else if (fileName.endsWith('.abc') || text.includes('X:') || text.includes('K:')) {
-                    notes = staffParser.parseABC(text);
-                    format = 'abc';
-                } else if (tabParser.validate(text)) {
-                    notes = tabParser.parse(text);
-                    format = 'tab';
-                } else {
-                    notes = staffParser.parse(text);
-                    format = 'text';
-                }
+            // 多音軌 / 曲集 / MIDI：選擇音軌後再轉換
+            if (!result.notes) {
+                showTrackSelect(result.parser, result.tracks, result.format, file.name);
+                return;
             }
 
-            if (notes.length > 0) {
+            if (result.notes.length > 0) {
                 onImport?.({
-                    notes,
-                    format,
+                    notes: result.notes,
+                    format: result.format,
                     fileName: file.name,
-                    metadata: {
-                        title: staffParser.title,
-                        key: staffParser.key,
-                        timeSignature: staffParser.timeSignature,
-                        tempo: staffParser.tempo
-                    }
+                    metadata: result.metadata
                 });
             } else {
                 onError?.('無法解析檔案內容');
@@ -140,26 +100,62 @@ function MusicXMLImporter({
         }
     };
 
+    /**
+     * 顯示音軌選擇 UI（預設選擇音符最多的音軌）
+     */
+    const showTrackSelect = (parser, tracks, format, fileName) => {
+        setSongParser(parser);
+        setSongTracks(tracks);
+        setSongFormat(format);
+        setSongFileName(fileName);
+        setChordMode(format === 'musicxml' || format === 'abc' ? 'all' : 'highest');
+        const bestIdx = tracks.reduce((best, t, i) =>
+            t.noteCount > tracks[best].noteCount ? i : best, 0);
+        setSelectedTrackIndex(bestIdx);
+        setIsLoading(false);
+    };
+
     /**
      * 確認選擇音軌並匯入
      */
     const handleConfirmTrack = useCallback(() => {
-        if (!gpParser) return;
+        if (!songParser) return;
 
         try {
-            const notes = gpParser.convertTrack(selectedTrackIndex, { chordMode });
+            // Guitar Pro 多音軌：全部匯入為聲部，選擇的音軌為目前聲部
+            if (songFormat === 'guitarpro' && importAllTracks) {
+                const parts = songParser.convertAllTracks({ chordMode });
+                if (parts[selectedTrackIndex]?.notes.length > 0) {
+                    onImport?.({
+                        notes: parts[selectedTrackIndex].notes,
+                        parts,
+                        activePart: selectedTrackIndex,
+                        format: songFormat,
+                        fileName: songFileName,
+                        metadata: getSongMetadata(songParser, songTracks?.[selectedTrackIndex])
+                    });
+                } else {
+                    onError?.('此音軌沒有音符');
+                }
+                setSongTracks(null);
+                setSongParser(null);
+                return;
+            }
+
+            const notes = songFormat === 'musicxml'
+                ? songParser.convertPart(selectedTrackIndex, { chordMode, voices: voiceMode })
+                : songFormat === 'abc'
+                    ? songParser.convertTune(selectedTrackIndex, { chordMode, voices: voiceMode })
+                    : songFormat === 'midi'
+                        ? songParser.convertTrack(selectedTrackIndex, { chordMode, grid: quantizeGrid, triplets: detectTriplets })
+                        : songParser.convertTrack(selectedTrackIndex, { chordMode });
 
             if (notes.length > 0) {
                 onImport?.({
                     notes,
-                    format: 'guitarpro',
-                    fileName: gpFileName,
-                    metadata: {
-                        title: gpParser.title,
-                        key: gpParser.key || 'C',
-                        timeSignature: gpParser.timeSignature || '4/4',
-                        tempo: gpParser.tempo || 120
-                    }
+                    format: songFormat,
+                    fileName: songFileName,
+                    metadata: getSongMetadata(songParser, songTracks?.[selectedTrackIndex])
                 });
             } else {
                 onError?.('此音軌沒有音符');
@@ -169,21 +165,21 @@ function MusicXMLImporter({
             onError?.(error.message || '音軌轉換失敗');
         }
 
-        setGpTracks(null);
-        setGpParser(null);
-    }, [gpParser, selectedTrackIndex, gpFileName, chordMode, onImport, onError]);
+        setSongTracks(null);
+        setSongParser(null);
+    }, [songParser, songFormat, songTracks, selectedTrackIndex, songFileName, chordMode, voiceMode, quantizeGrid, detectTriplets, importAllTracks, onImport, onError]);
 
     /**
      * 取消音軌選擇
      */
     const handleCancelTrackSelect = useCallback(() => {
-        setGpTracks(null);
-        setGpParser(null);
-        setGpFileName('');
+        setSongTracks(null);
+        setSongParser(null);
+        setSongFileName('');
     }, []);
 
     // ===== 音軌選擇 UI =====
-    if (gpTracks) {
+    if (songTracks) {
         return (
             <div className="musicxml-importer">
                 <div style={{
@@ -195,11 +191,11 @@ function MusicXMLImporter({
                     {/* 標題 */}
                     <div style={{ marginBottom: '16px' }}>
                         <h3 style={{ margin: '0 0 4px 0', color: '#fff', fontSize: '16px' }}>
-                            選擇音軌
+                            {songFormat === 'abc' ? '選擇曲目' : '選擇音軌'}
                         </h3>
                         <div style={{ color: '#888', fontSize: '12px' }}>
-                            {gpFileName} — {gpParser?.title} {gpParser?.artist ? `(${gpParser.artist})` : ''}
-                            {' '}| Key: {gpParser?.key} | BPM: {gpParser?.tempo} | {gpParser?.timeSignature}
+                            {songFileName} — {songParser?.title} {songParser?.artist || songParser?.composer ? `(${songParser.artist || songParser.composer})` : ''}
+                            {' '}| Key: {songParser?.key} | BPM: {songParser?.tempo} | {songParser?.timeSignature}
                         </div>
                     </div>
 
@@ -212,7 +208,7 @@ function MusicXMLImporter({
                         gap: '6px',
                         marginBottom: '16px'
                     }}>
-                        {gpTracks.map((track) => (
+                        {songTracks.map((track) => (
                             <div
                                 key={track.index}
                                 onClick={() => setSelectedTrackIndex(track.index)}
@@ -263,8 +259,11 @@ function MusicXMLImporter({
                                     </div>
                                     <div style={{ color: '#888', fontSize: '11px', marginTop: '2px' }}>
                                         {track.noteCount} 音符 | {track.bars} 小節
+                                        {songFormat === 'abc' ? ` | ${track.key} | ${track.timeSignature}` : ''}
+                                        {track.voices > 1 ? ` | ${track.voices} 聲部` : ''}
                                         {track.tuning ? ` | ${track.tuning}` : ''}
                                         {track.capo > 0 ? ` | Capo ${track.capo}` : ''}
+                                        {track.isDrum ? ' | 鼓組 (Ch 10)' : ''}
                                     </div>
                                 </div>
 
@@ -313,6 +312,96 @@ function MusicXMLImporter({
                         </div>
                     </div>
 
+                    {/* 聲部選擇（MusicXML 多聲部 / 多譜表、ABC V:） */}
+                    {(songFormat === 'musicxml' || songFormat === 'abc') && (
+                        <div style={{ marginBottom: '12px' }}>
+                            <div style={{ color: '#aaa', fontSize: '12px', marginBottom: '6px' }}>聲部（voice）</div>
+                            <div style={{ display: 'flex', gap: '6px' }}>
+                                {[
+                                    { value: 'primary', label: '主聲部', desc: songFormat === 'abc' ? '只匯入第一個 V: 聲部' : '只匯入第一譜表的第一聲部' },
+                                    { value: 'all',     label: '全部',   desc: songFormat === 'abc' ? '匯入所有 V: 聲部（依聲部編號分開）' : '匯入所有聲部與譜表（依聲部編號分開）' },
+                                ].map(opt => (
+                                    <button
+                                        key={opt.value}
+                                        onClick={() => setVoiceMode(opt.value)}
+                                        title={opt.desc}
+                                        style={{
+                                            flex: 1,
+                                            padding: '8px 6px',
+                                            background: voiceMode === opt.value ? 'rgba(33,150,243,0.3)' : 'rgba(255,255,255,0.05)',
+                                            border: voiceMode === opt.value ? '2px solid #2196F3' : '2px solid transparent',
+                                            borderRadius: '6px',
+                                            color: '#fff',
+                                            fontSize: '13px',
+                                            cursor: 'pointer'
+                                        }}
+                                    >
+                                        {opt.label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {/* 多音軌匯入（Guitar Pro） */}
+                    {songFormat === 'guitarpro' && (
+                        <label
+                            title="每個音軌匯入為一個聲部（各自的調弦、移調夾與音色），選擇的音軌為目前檢視的聲部，其他聲部播放時作為伴奏"
+                            style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '12px', color: '#ccc', fontSize: '12px', cursor: 'pointer' }}
+                        >
+                            <input
+                                type="checkbox"
+                                checked={importAllTracks}
+                                onChange={(e) => setImportAllTracks(e.target.checked)}
+                            />
+                            匯入全部音軌（可在聲部列切換）
+                        </label>
+                    )}
+
+                    {/* 量化格線（MIDI） */}
+                    {songFormat === 'midi' && (
+                        <div style={{ marginBottom: '12px' }}>
+                            <div style={{ color: '#aaa', fontSize: '12px', marginBottom: '6px' }}>量化（最短時值）</div>
+                            <div style={{ display: 'flex', gap: '6px' }}>
+                                {[
+                                    { value: 'quarter', label: '四分' },
+                                    { value: 'eighth',  label: '八分' },
+                                    { value: '16th',    label: '十六分' },
+                                    { value: '32nd',    label: '三十二分' },
+                                ].map(opt => (
+                                    <button
+                                        key={opt.value}
+                                        onClick={() => setQuantizeGrid(opt.value)}
+                                        style={{
+                                            flex: 1,
+                                            padding: '8px 6px',
+                                            background: quantizeGrid === opt.value ? 'rgba(33,150,243,0.3)' : 'rgba(255,255,255,0.05)',
+                                            border: quantizeGrid === opt.value ? '2px solid #2196F3' : '2px solid transparent',
+                                            borderRadius: '6px',
+                                            color: '#fff',
+                                            fontSize: '13px',
+                                            cursor: 'pointer'
+                                        }}
+                                    >
+                                        {opt.label}
+                                    </button>
+                                ))}
+                            </div>
+                            <label
+                                title="每拍比較直格與三連音格，三連音較吻合時以三連音記譜（格線為八分以下時有效）"
+                                style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '8px', color: '#ccc', fontSize: '12px', cursor: 'pointer' }}
+                            >
+                                <input
+                                    type="checkbox"
+                                    checked={detectTriplets}
+                                    disabled={quantizeGrid === 'quarter'}
+                                    onChange={(e) => setDetectTriplets(e.target.checked)}
+                                />
+                                偵測三連音
+                            </label>
+                        </div>
+                    )}
+
                     {/* 操作按鈕 */}
                     <div style={{ display: 'flex', gap: '10px' }}>
                         <button
@@ -329,7 +418,9 @@ function MusicXMLImporter({
                                 cursor: 'pointer'
                             }}
                         >
-                            匯入第 {selectedTrackIndex + 1} 軌
+                            {songFormat === 'guitarpro' && importAllTracks
+                                ? `匯入全部音軌（檢視第 ${selectedTrackIndex + 1} 軌）`
+                                : `匯入第 ${selectedTrackIndex + 1} 軌`}
                         </button>
                         <button
                             onClick={handleCancelTrackSelect}
@@ -376,7 +467,7 @@ function MusicXMLImporter({
                     <>
                         <div style={{ fontSize: '24px', marginBottom: '8px' }}>Import</div>
                         <div style={{ color: '#888', fontSize: '12px' }}>
-                            支援 MusicXML, ABC Notation, Guitar Tab, Guitar Pro (.gp5, 等)
+                            支援 MusicXML (.xml, .mxl), ABC Notation, alphaTex (.atex), ChordPro (.cho), 和弦譜文字 (.txt), Guitar Tab, Guitar Pro (.gp5, 等), MIDI (.mid)
                         </div>
                         <div style={{ color: '#666', fontSize: '11px', marginTop: '4px' }}>
                             點擊或拖放檔案
@@ -17,6 +17,7 @@ function ImportExportPanel({
     tempo,
     timeSignature,
     musicKey,
+    scaleType = 'Major',
     onImport,
     fileName = 'score'
 }) {
@@ -47,6 +48,7 @@ function ImportExportPanel({
         const abcText = parser.stringify(notes, {
             title: fileName,
             key: musicKey,
+            scaleType,
             meter: timeSignature,
             tempo
         });
@@ -279,6 +281,8 @@ function ImportExportPanel({
                         notes={notes}
                         tempo={tempo}
                         timeSignature={timeSignature}
+                        musicKey={musicKey}
+                        scaleType={scaleType}
                         fileName={fileName}
                     />
                     <button
@@ -11,6 +11,7 @@ import {
 } from '../data/scaleData';
 import { Note } from '../core/models/Note';
 import { Score } from '../core/models/Score';
+import { quantizeDuration } from '../core/timing/timeline.js';
 import { useAudio, GUITAR_INSTRUMENTS } from '../hooks/useAudio';
 import { getPitchColor } from '../data/pitchColors';
 import PlayItemCard from './PlayItemCard';
@@ -163,16 +164,7 @@ function LiveMode({ pitchDetection, displayMode, onDisplayModeChange, scales, fr
         // tempo：讓「中位數間隔 ≈ 一拍（四分音符）」，夾在 40~240 BPM
         const tempo = Math.max(40, Math.min(240, Math.round(60000 / medGap)));
         const secPerBeat = 60 / tempo;
-        const BUCKETS = [['eighth', 0.5], ['quarter', 1], ['half', 2], ['whole', 4]];
-        const durationFor = (gapMs) => {
-            const beats = (gapMs / 1000) / secPerBeat;
-            let best = 'quarter', bestD = Infinity;
-            for (const [name, b] of BUCKETS) {
-                const d = Math.abs(Math.log(b / beats));
-                if (d < bestD) { bestD = d; best = name; }
-            }
-            return best;
-        };
+        const durationFor = (gapMs) => quantizeDuration((gapMs / 1000) / secPerBeat);
 
         const notes = chrono.map((h, idx) => {
             const noteIndex = NOTES.indexOf(h.note);
@@ -0,0 +1,126 @@
+/**
+ * MeasureIssuesPanel - 小節檢查結果面板
+ * 列出拍數超出 / 不足、未完整的連音與孤立延音線，並提供修正動作
+ * 供 NoteEditor 與 OCRResultEditor 共用
+ */
+
+import React, { useMemo, useState } from 'react';
+import {
+    checkMeasures,
+    repairMeasure,
+    repairAllMeasures,
+    getRepairActions,
+    REPAIR_ACTION_LABELS
+} from '../core/timing/measureCheck.js';
+
+const SEVERITY_COLORS = {
+    error: '#ff5252',
+    warning: '#ffb300'
+};
+
+/**
+ * @param {Object} props
+ * @param {Array} props.notes - 扁平音符陣列
+ * @param {string} props.timeSignature - 樂譜預設拍號
+ * @param {Function} props.onRepair - (newNotes, label) => void
+ * @param {Function} props.onSelect - (index) => void 點擊問題時選取對應音符
+ * @param {boolean} props.compact - 精簡樣式（NoteEditor 側欄）
+ */
+function MeasureIssuesPanel({ notes, timeSignature = '4/4', onRepair, onSelect, compact = false }) {
+    const [expanded, setExpanded] = useState(false);
+
+    const result = useMemo(
+        () => checkMeasures(notes || [], { timeSignature }),
+        [notes, timeSignature]
+    );
+    const errorCount = result.issues.filter(i => i.severity === 'error').length;
+    const warningCount = result.issues.length - errorCount;
+
+    const handleRepair = (issue, action) => {
+        const repaired = repairMeasure(notes, issue, action);
+        if (repaired !== notes) onRepair?.(repaired, `修正小節：${REPAIR_ACTION_LABELS[action]}`);
+    };
+
+    const handleRepairAll = () => {
+        const { notes: repaired, repaired: count } = repairAllMeasures(notes, { timeSignature });
+        if (count > 0) onRepair?.(repaired, '修正所有小節');
+    };
+
+    const buttonStyle = {
+        padding: compact ? '2px 6px' : '4px 8px',
+        background: '#444',
+        color: '#fff',
+        border: 'none',
+        borderRadius: '3px',
+        fontSize: '11px',
+        cursor: 'pointer'
+    };
+
+    if (result.issues.length === 0) {
+        return (
+            <div style={{ fontSize: compact ? '11px' : '13px', color: '#4caf50', padding: compact ? '4px 0' : '8px 0' }}>
+                ✓ 小節拍數正確
+            </div>
+        );
+    }
+
+    return (
+        <div style={{
+            background: '#222',
+            borderRadius: '6px',
+            padding: compact ? '6px' : '10px',
+            fontSize: compact ? '11px' : '13px',
+            color: '#ddd'
+        }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                <span
+                    onClick={() => setExpanded(e => !e)}
+                    style={{ flex: 1, cursor: 'pointer' }}
+                >
+                    {expanded ? '▾' : '▸'} 小節檢查：
+                    {errorCount > 0 && <span style={{ color: SEVERITY_COLORS.error }}> {errorCount} 個錯誤</span>}
+                    {warningCount > 0 && <span style={{ color: SEVERITY_COLORS.warning }}> {warningCount} 個警告</span>}
+                </span>
+                {errorCount > 0 && onRepair && (
+                    <button onClick={handleRepairAll} style={buttonStyle} title="超出的小節拆到下一小節，不足的小節補休止符">
+                        全部修正
+                    </button>
+                )}
+            </div>
+
+            {expanded && (
+                <div style={{ marginTop: '6px', display: 'flex', flexDirection: 'column', gap: '4px', maxHeight: '200px', overflowY: 'auto' }}>
+                    {result.issues.map((issue, k) => (
+                        <div
+                            key={`${issue.type}-${issue.index}-${k}`}
+                            style={{ display: 'flex', alignItems: 'center', gap: '4px', flexWrap: 'wrap' }}
+                        >
+                            <span
+                                onClick={() => onSelect?.(issue.index)}
+                                style={{
+                                    flex: 1,
+                                    minWidth: '120px',
+                                    cursor: onSelect ? 'pointer' : 'default',
+                                    color: SEVERITY_COLORS[issue.severity]
+                                }}
+                            >
+                                {issue.message}
+                            </span>
+                            {onRepair && getRepairActions(notes, issue).map(action => (
+                                <button
+                                    key={action}
+                                    onClick={() => handleRepair(issue, action)}
+                                    style={buttonStyle}
+                                >
+                                    {REPAIR_ACTION_LABELS[action]}
+                                </button>
+                            ))}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default MeasureIssuesPanel;
@@ -1,15 +1,16 @@
 /**
  * OCRResultEditor - OCR 結果校正元件
- * 允許使用者在匯入前修正辨識結果
+ * 允許使用者在匯入前修正辨識結果，並檢查小節拍數（可自動補休止符 / 移動小節線）
  */
 
 import React, { useState, useCallback, useMemo } from 'react';
 import { Note } from '../core/models/Note.js';
+import MeasureIssuesPanel from './MeasureIssuesPanel.jsx';
 
 // 音符名稱對照表
 const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 
-function OCRResultEditor({ notes, onSave, onCancel }) {
+function OCRResultEditor({ notes, timeSignature = '4/4', onSave, onCancel }) {
     const [editedNotes, setEditedNotes] = useState(() =>
         notes.map((n, i) => ({ ...n, id: n.id || `note-${i}` }))
     );
@@ -86,6 +87,14 @@ function OCRResultEditor({ notes, onSave, onCancel }) {
         });
     }, []);
 
+    /**
+     * 套用小節檢查的修正動作
+     */
+    const handleRepairMeasures = useCallback((repaired) => {
+        setEditedNotes(repaired.map((n, i) => ({ ...n, id: n.id || `note-fix-${i}`, index: i })));
+        setSelectedIndex(null);
+    }, []);
+
     /**
      * 儲存變更
      */
@@ -147,6 +156,39 @@ function OCRResultEditor({ notes, onSave, onCancel }) {
             );
         }
 
+        // 休止符（小節補齊時加入）
+        if (note.isRest || note._type === 'rest') {
+            return (
+                <div
+                    key={`rest-${index}`}
+                    onClick={() => setSelectedIndex(isSelected ? null : index)}
+                    style={{
+                        display: 'flex',
+                        flexDirection: 'column',
+                        alignItems: 'center',
+                        padding: '8px',
+                        background: isSelected ? '#2a4a3a' : '#1c1c1c',
+                        border: isSelected ? '2px solid #4caf50' : '1px dashed #333',
+                        borderRadius: '6px',
+                        cursor: 'pointer',
+                        minWidth: '40px'
+                    }}
+                >
+                    <div style={{ fontSize: '18px', color: '#888' }}>0</div>
+                    <div style={{ fontSize: '10px', color: '#666', marginTop: '2px' }}>{note.duration || 'quarter'}</div>
+                    {isSelected && (
+                        <button
+                            onClick={(e) => { e.stopPropagation(); handleDelete(index); }}
+                            style={{ ...buttonStyle, background: '#ff5252', marginTop: '8px' }}
+                            title="刪除"
+                        >
+                            X
+                        </button>
+                    )}
+                </div>
+            );
+        }
+
         if (!note.isNote) return null;
 
         const noteName = note.displayStr || note.noteName || NOTE_NAMES[midi % 12];
@@ -307,6 +349,16 @@ function OCRResultEditor({ notes, onSave, onCancel }) {
                 )}
             </div>
 
+            {/* 小節檢查 */}
+            <div style={{ marginBottom: '16px' }}>
+                <MeasureIssuesPanel
+                    notes={editedNotes}
+                    timeSignature={timeSignature}
+                    onRepair={handleRepairMeasures}
+                    onSelect={setSelectedIndex}
+                />
+            </div>
+
             {/* 插入工具列 */}
             {selectedIndex !== null && (
                 <div style={{
@@ -9,13 +9,14 @@ import { STRING_TUNINGS, getNoteName, getCAGEDFretRange, isInCAGEDPosition, getS
 import { calculate3NPSPositions, calculateCAGEDPositions, generate3NPSMap } from '../parsers/JianpuParser';
 import { getPitchColor } from '../data/pitchColors';
 import FretboardView from './FretboardView';
+import { spellPitchClass } from '../core/theory/spelling';
 
 function ReadFretboard({ notes, currentNoteIndex, fretCount, onNoteClick, onPlayMidi, startString = 5, rangeOctave = 0, cagedPosition = null, musicKey = 'C', scaleType = 'Major', scaleNotes = null, intervalScale = null, showScaleGuide = false, displayMode = 'notes', toolbarExtra }) {
     const visibleFrets = fretCount || 19;
-    // ABC = 音名；123 = 音階級數（相對 root 的 interval，root 顯示 R）
+    // ABC = 音名（依調號拼寫）；123 = 音階級數（相對 root 的 interval，root 顯示 R）
     const intervalMode = displayMode === 'intervals';
     const labelFor = (noteName) => {
-        if (!intervalMode) return noteName;
+        if (!intervalMode) return spellPitchClass(noteName, musicKey, scaleType);
         const iv = getIntervalForNote(noteName, musicKey, intervalScale || scaleType);
         return iv === '1' ? 'R' : (iv || noteName);
     };
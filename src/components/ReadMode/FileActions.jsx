@@ -4,8 +4,13 @@
  */
 
 import React, { useRef, useState } from 'react';
-import { createMIDI } from '../ImportExport/MIDIExporter.jsx';
+import { createMIDI, writeMIDI } from '../../core/midi/midiWriter.js';
 import { StaffParser } from '../../parsers/StaffParser.js';
+import { MusicXMLParser } from '../../parsers/MusicXMLParser.js';
+import { AlphaTexParser } from '../../parsers/AlphaTexParser.js';
+import { ChordProParser } from '../../parsers/ChordProParser.js';
+import { importAny } from '../../parsers/registry.js';
+import { CURRENT_SCHEMA_VERSION, serializeNotes } from '../../core/schema/scoreSchema.js';
 
 function FileActions({
     editableText,
@@ -23,11 +28,16 @@ function FileActions({
     timeSignature,
     instrument,
     sourceImages,
+    scoreInfo,
+    parts,
+    activePart = 0,
     onLoadFile,
     fileName = 'guitar_score'
 }) {
     const loadInputRef = useRef(null);
     const imgs = Array.isArray(sourceImages) ? sourceImages : [];
+    // 多聲部匯出：鼓組音軌沒有音高，不輸出
+    const exportParts = parts?.length > 1 ? parts.filter(p => !p.isDrum && p.notes?.length > 0) : [];
 
     /**
      * 在新視窗開啟原圖（所有頁堆疊顯示）
@@ -80,11 +90,13 @@ function FileActions({
         const scoreData = {
             name: 'GuitarScore',
             data: {
+                schemaVersion: CURRENT_SCHEMA_VERSION,
                 text: editableText,
-                notes: notes,
+                notes: serializeNotes(notes),
                 key: musicKey,
                 scaleType: scaleType,
                 tempo: tempo,
+                timeSignature: timeSignature,
                 startString: startString,
                 cagedPosition: cagedPosition,
                 octaveOffset: octaveOffset,
@@ -93,7 +105,15 @@ function FileActions({
                 youtubeLayout: youtubeLayout,
                 viewMode: viewMode,
                 instrument: instrument,
-                sourceImages: imgs
+                sourceImages: imgs,
+                title: scoreInfo?.title ?? null,
+                capo: scoreInfo?.capo ?? null,
+                composer: scoreInfo?.composer ?? null,
+                lyricist: scoreInfo?.lyricist ?? null,
+                ...(parts?.length > 1 && {
+                    parts: parts.map((p, i) => ({ ...p, notes: i === activePart ? [] : serializeNotes(p.notes) })),
+                    activePart
+                })
             }
         };
 
@@ -151,22 +171,18 @@ function FileActions({
     /**
      * 處理載入檔案
      */
-    const handleLoadFileChange = (e) => {
+    const handleLoadFileChange = async (e) => {
         const file = e.target.files?.[0];
         if (!file) return;
-
-        const reader = new FileReader();
-        reader.onload = (ev) => {
-            try {
-                const content = JSON.parse(ev.target.result);
-                onLoadFile(content);
-            } catch (err) {
-                console.error('Load failed', err);
-                alert('載入失敗：無法解析檔案');
-            }
-        };
-        reader.readAsText(file);
         e.target.value = '';
+
+        try {
+            const result = await importAny(file, { formats: ['json'] });
+            onLoadFile(result.document);
+        } catch (err) {
+            console.error('Load failed', err);
+            alert('載入失敗：無法解析檔案');
+        }
     };
 
     /**
@@ -176,11 +192,13 @@ function FileActions({
         const scoreData = {
             name: 'GuitarScore_Copy',
             data: {
+                schemaVersion: CURRENT_SCHEMA_VERSION,
                 text: editableText,
-                notes: notes,
+                notes: serializeNotes(notes),
                 key: musicKey,
                 scaleType: scaleType,
                 tempo: tempo,
+                timeSignature: timeSignature,
                 startString: startString,
                 cagedPosition: cagedPosition,
                 octaveOffset: octaveOffset
@@ -216,8 +234,10 @@ function FileActions({
 
         const parser = new StaffParser();
         const abcText = parser.stringify(notes, {
-            title: fileName,
+            title: scoreInfo?.title || fileName,
+            composer: scoreInfo?.composer,
             key: musicKey,
+            scaleType,
             meter: timeSignature,
             tempo
         });
@@ -233,6 +253,106 @@ function FileActions({
         URL.revokeObjectURL(url);
     };
 
+    /**
+     * 匯出為 alphaTex（保留弦 / 格位置；多聲部時使用目前聲部的調弦與移調夾）
+     */
+    const handleExportAlphaTex = () => {
+        if (!notes || notes.length === 0) {
+            alert('沒有可匯出的音符');
+            return;
+        }
+
+        const part = parts?.[activePart];
+        const parser = new AlphaTexParser();
+        const texText = parser.stringify(notes, {
+            title: scoreInfo?.title || fileName,
+            composer: scoreInfo?.composer,
+            key: musicKey,
+            scaleType,
+            timeSignature,
+            tempo,
+            ...(part?.tuning?.length && { tuning: part.tuning }),
+            capo: part?.capo ?? scoreInfo?.capo ?? 0
+        });
+
+        const blob = new Blob([texText], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${fileName}.atex`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    };
+
+    /**
+     * 匯出為 ChordPro（和弦記號與歌詞的和弦譜）
+     */
+    const handleExportChordPro = () => {
+        if (!notes || notes.length === 0) {
+            alert('沒有可匯出的音符');
+            return;
+        }
+
+        const parser = new ChordProParser();
+        const choText = parser.stringify(notes, {
+            title: scoreInfo?.title || fileName,
+            composer: scoreInfo?.composer,
+            lyricist: scoreInfo?.lyricist,
+            key: musicKey,
+            scaleType,
+            timeSignature,
+            tempo,
+            capo: parts?.[activePart]?.capo ?? scoreInfo?.capo ?? 0
+        });
+
+        const blob = new Blob([choText], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${fileName}.cho`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    };
+
+    /**
+     * 匯出為 MusicXML
+     */
+    const handleExportMusicXML = () => {
+        if (!notes || notes.length === 0) {
+            alert('沒有可匯出的音符');
+            return;
+        }
+
+        const parser = new MusicXMLParser();
+        const xmlOptions = {
+            title: scoreInfo?.title || fileName,
+            composer: scoreInfo?.composer,
+            lyricist: scoreInfo?.lyricist,
+            capo: scoreInfo?.capo || 0,
+            key: musicKey,
+            scaleType,
+            timeSignature,
+            tempo
+        };
+        const xmlText = exportParts.length > 1
+            ? parser.stringifyParts(exportParts, xmlOptions)
+            : parser.stringify(notes, xmlOptions);
+
+        const blob = new Blob([xmlText], { type: 'application/vnd.recordare.musicxml+xml' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${fileName}.musicxml`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    };
+
     /**
      * 匯出為 JSON
      */
@@ -245,10 +365,8 @@ function FileActions({
         const data = {
             name: fileName,
             data: {
-                notes: notes.map(n => ({
-                    ...n,
-                    midiNote: n.midi || n.midiNote
-                })),
+                schemaVersion: CURRENT_SCHEMA_VERSION,
+                notes: serializeNotes(notes),
                 key: musicKey,
                 tempo,
                 timeSignature
@@ -270,6 +388,7 @@ function FileActions({
      * 匯出為 MIDI
      */
     const [exporting, setExporting] = useState(false);
+    const [midiPerString, setMidiPerString] = useState(false);
     const handleExportMIDI = async () => {
         if (!notes || notes.length === 0) {
             alert('沒有可匯出的音符');
@@ -277,7 +396,19 @@ function FileActions({
         }
         setExporting(true);
         try {
-            const midiData = createMIDI(notes, { tempo, timeSignature: timeSignature || '4/4' });
+            const midiOptions = {
+                tempo,
+                timeSignature: timeSignature || '4/4',
+                key: musicKey,
+                scaleType,
+                title: scoreInfo?.title || fileName,
+                trackName: 'Guitar',
+                instrument,
+                perStringChannels: midiPerString
+            };
+            const midiData = exportParts.length > 1
+                ? writeMIDI(exportParts, midiOptions)
+                : createMIDI(notes, midiOptions);
             const blob = new Blob([midiData], { type: 'audio/midi' });
             const url = URL.createObjectURL(blob);
             const link = document.createElement('a');
@@ -390,6 +521,17 @@ function FileActions({
                 >
                     MIDI
                 </button>
+                <label
+                    title="MIDI 每條弦使用獨立 channel（吉他合成器用）"
+                    style={{ display: 'flex', alignItems: 'center', gap: '4px', color: '#888', fontSize: '11px', cursor: 'pointer' }}
+                >
+                    <input
+                        type="checkbox"
+                        checked={midiPerString}
+                        onChange={(e) => setMidiPerString(e.target.checked)}
+                    />
+                    每弦一 channel
+                </label>
                 <button
                     onClick={handleExportABC}
                     disabled={!hasNotes}
@@ -398,6 +540,30 @@ function FileActions({
                 >
                     ABC
                 </button>
+                <button
+                    onClick={handleExportAlphaTex}
+                    disabled={!hasNotes}
+                    title="匯出 alphaTex（含弦 / 格位置的文字譜）"
+                    style={exportBtnStyle('#26a69a')}
+                >
+                    alphaTex
+                </button>
+                <button
+                    onClick={handleExportChordPro}
+                    disabled={!hasNotes}
+                    title="匯出 ChordPro（和弦在歌詞上方的和弦譜）"
+                    style={exportBtnStyle('#8d6e63')}
+                >
+                    ChordPro
+                </button>
+                <button
+                    onClick={handleExportMusicXML}
+                    disabled={!hasNotes}
+                    title="匯出 MusicXML"
+                    style={exportBtnStyle('#ab47bc')}
+                >
+                    MusicXML
+                </button>
                 <button
                     onClick={handleExportJSON}
                     disabled={!hasNotes}
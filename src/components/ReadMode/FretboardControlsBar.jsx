@@ -2,7 +2,8 @@
  * FretboardControlsBar — 指板上方控制列（Display / Key / Scale / BPM / 8ve / Position）
  * 由 inline 指板與彈出視窗共用；以 callbacks 接設定（inline 直接 set，popup 送訊息）。
  */
-import { NOTES, CAGED_SHAPES } from '../../data/scaleData.js';
+import { NOTES, CAGED_SHAPES, getNoteIndex } from '../../data/scaleData.js';
+import { getKeySignature } from '../../core/theory/spelling.js';
 
 const SCALE_OPTIONS = [
     ['Major', 'Major'], ['Minor', 'Minor'], ['Dorian', 'Dorian'], ['Phrygian', 'Phrygian'],
@@ -29,8 +30,9 @@ function FretboardControlsBar({
             </div>
 
             <span style={lbl}>Key</span>
-            <select style={sel} value={musicKey} onChange={(e) => onKey && onKey(e.target.value)}>
-                {NOTES.map(n => <option key={n} value={n}>{n}</option>)}
+            {/* 選項值沿用 NOTES（Bb 等降號調對應 A#），標籤依調號拼寫 */}
+            <select style={sel} value={NOTES[getNoteIndex(musicKey)] ?? musicKey} onChange={(e) => onKey && onKey(e.target.value)}>
+                {NOTES.map(n => <option key={n} value={n}>{getKeySignature(n, scaleType).tonic}</option>)}
             </select>
             <select style={sel} value={scaleType} onChange={(e) => onScale && onScale(e.target.value)}>
                 {SCALE_OPTIONS.map(([v, l]) => <option key={v} value={v}>{l}</option>)}
@@ -0,0 +1,55 @@
+/**
+ * LeadSheetView - 和弦譜檢視
+ * 和弦名稱在歌詞上方、依段落與行排列；播放中的片段高亮，點選片段跳到該位置並在指板顯示和弦
+ */
+
+import React, { useMemo } from 'react';
+import { getLeadSheet } from '../../core/lyrics/leadSheet.js';
+
+function LeadSheetView({ notes, currentNoteIndex = -1, onSegmentClick }) {
+    const blocks = useMemo(() => getLeadSheet(notes), [notes]);
+    const segmentStarts = useMemo(
+        () => blocks.flatMap(b => b.lines.flatMap(l => l.segments.map(s => s.index))),
+        [blocks]
+    );
+
+    if (blocks.length === 0) return null;
+
+    // 目前播放位置所在的片段（最後一個起點不晚於目前音符者）
+    const activeIndex = currentNoteIndex >= 0
+        ? segmentStarts.filter(i => i <= currentNoteIndex).pop() ?? -1
+        : -1;
+
+    return (
+        <div className="read-leadsheet">
+            {blocks.map((block, b) => (
+                <div key={b} className="read-leadsheet-block">
+                    {block.section && <div className="read-leadsheet-section">{block.section}</div>}
+                    {block.lines.map((line, l) => (
+                        <div key={l} className="read-leadsheet-line">
+                            {(line.keySignature || line.tempo) && (
+                                <span className="read-leadsheet-change">
+                                    {[line.keySignature && `Key ${line.keySignature}`, line.tempo && `♩=${line.tempo}`].filter(Boolean).join(' · ')}
+                                </span>
+                            )}
+                            {line.segments.map((segment, s) => (
+                                <button
+                                    key={s}
+                                    className={`read-leadsheet-seg${segment.index === activeIndex ? ' active' : ''}`}
+                                    onClick={() => onSegmentClick?.(segment.index, segment.chord)}
+                                >
+                                    <span className="read-leadsheet-chord">{segment.chord || ' '}</span>
+                                    <span className="read-leadsheet-lyric">
+                                        {segment.text || ' '}{segment.hyphen ? '' : ' '}
+                                    </span>
+                                </button>
+                            ))}
+                        </div>
+                    ))}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default LeadSheetView;
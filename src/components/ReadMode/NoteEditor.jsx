@@ -7,8 +7,13 @@ import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { jianpuToNote, notesToJianpuString } from '../../parsers/JianpuParser.js';
 import TypewriterDialog from './TypewriterDialog.jsx';
 import InstrumentSelector from './InstrumentSelector.jsx';
-import { CHORD_ROOTS, CHORD_QUALITIES, getChordNotes } from '../../data/chordData.js';
+import MeasureIssuesPanel from '../MeasureIssuesPanel.jsx';
+import { CHORD_ROOTS, CHORD_QUALITIES, getChordNotes, parseChordName } from '../../data/chordData.js';
 import { STRING_TUNINGS, NOTES } from '../../data/scaleData.js';
+import { MAJOR_KEYS_BY_FIFTHS } from '../../core/theory/spelling.js';
+import { TEMPO_RAMP_LABELS } from '../../core/timing/changes.js';
+import { DYNAMIC_LEVELS, HAIRPIN_LABELS, ARTICULATIONS } from '../../core/expression/dynamics.js';
+import { getVerseCount, getLyric, getLyricLabel, setNoteLyric, applyLyricLine, isLyricTarget } from '../../core/lyrics/lyrics.js';
 const formatPlayTime = (seconds) => {
     if (!seconds && seconds !== 0) return '0:00.00';
     const mins = Math.floor(seconds / 60);
@@ -17,55 +22,6 @@ const formatPlayTime = (seconds) => {
     return `${mins}:${secs.toString().padStart(2, '0')}.${ms.toString().padStart(2, '0')}`;
 };
 
-/**
- * 解析和弦名稱 → { root, quality, extension }
- * 支援: C, Am, F#m7, Bb, Gdim, Dsus4, E7, Cmaj7, A#m9 ...
- */
-function parseChordName(name) {
-    if (!name) return null;
-    const str = name.trim();
-    // 提取根音 (C, C#, Db, etc.)
-    let root = '';
-    if (str.length >= 2 && (str[1] === '#' || str[1] === 'b')) {
-        root = str[0].toUpperCase() + str[1];
-        if (root.endsWith('b')) {
-            // 將降號轉為等音的升號: Db→C#, Eb→D#, Gb→F#, Ab→G#, Bb→A#
-            const flatMap = { 'Db': 'C#', 'Eb': 'D#', 'Fb': 'E', 'Gb': 'F#', 'Ab': 'G#', 'Bb': 'A#', 'Cb': 'B' };
-            root = flatMap[root] || root;
-        }
-    } else {
-        root = str[0].toUpperCase();
-    }
-    if (!CHORD_ROOTS.includes(root)) return null;
-
-    const rest = str.slice(root === str[0] ? 1 : 2).toLowerCase();
-
-    let quality = 'Major';
-    let extension = 3;
-
-    if (rest.startsWith('dim')) { quality = 'Dim'; }
-    else if (rest.startsWith('aug') || rest.startsWith('+')) { quality = 'Aug'; }
-    else if (rest.startsWith('sus2')) { quality = 'Sus2'; }
-    else if (rest.startsWith('sus4')) { quality = 'Sus4'; }
-    else if (rest.startsWith('m') && !rest.startsWith('maj')) { quality = 'Minor'; }
-    else if (rest.startsWith('maj')) { quality = 'Major'; }
-
-    // 提取數字延伸
-    const numMatch = rest.match(/(\d+)/);
-    if (numMatch) {
-        const num = parseInt(numMatch[1]);
-        if ([6, 7, 9, 11, 13].includes(num)) extension = num;
-    }
-    // 特殊: "7" without m/maj → Dominant 7
-    if (extension >= 7 && quality === 'Major' && !rest.includes('maj')) {
-        quality = 'Dominant';
-    }
-    // "m7" → Minor 7 (quality already Minor)
-    // "maj7" → Major 7 (quality stays Major)
-
-    return { root, quality, extension };
-}
-
 /**
  * 常見和弦指法表（開放把位）
  * key = "Root Quality Ext"，value = [string0fret, ..., string5fret]，-1 = 不彈
@@ -232,6 +188,19 @@ const TECHNIQUE_LABELS = {
     'harmonic': 'har.'
 };
 
+/**
+ * 小節調號變更選項（大調依五度圈排列，另附關係小調）
+ */
+const MEASURE_KEY_OPTIONS = [
+    ...Array.from({ length: 13 }, (_, i) => MAJOR_KEYS_BY_FIFTHS[i - 6]),
+    'Am', 'Em', 'Bm', 'F#m', 'C#m', 'G#m', 'Dm', 'Gm', 'Cm', 'Fm', 'Bbm', 'Ebm'
+];
+
+/**
+ * 小節拍號變更選項
+ */
+const MEASURE_TIME_OPTIONS = ['2/4', '3/4', '4/4', '5/4', '6/8', '9/8', '12/8', '2/2'];
+
 /**
  * 單個音符渲染元件 — 模仿標準簡譜排版
  *
@@ -242,9 +211,10 @@ const TECHNIQUE_LABELS = {
  *   音符數字（含附點）
  *   低八度點
  *   時值底線 (八分1條 / 十六分2條 / 三十二分3條)
+ *   歌詞（每段一行）
  *   Tab fret
  */
-function JianpuNoteCell({ note, idx, isActive, isSelected, onNoteSelect, showChords = true, showTab = true }) {
+function JianpuNoteCell({ note, idx, isActive, isSelected, onNoteSelect, showChords = true, showTab = true, verseCount = 0 }) {
     const isRest = note.isRest || note._type === 'rest';
     const isExtension = note.isExtension || note._type === 'extension';
     const isSymbol = note.isSymbol || note._type === 'symbol';
@@ -266,6 +236,14 @@ function JianpuNoteCell({ note, idx, isActive, isSelected, onNoteSelect, showCho
     const isWhole = note.duration === 'whole';
     const dotted = note.dotted || 0;
     const technique = note.technique ? (TECHNIQUE_LABELS[note.technique] || note.technique) : '';
+    // 漸變速度 / 延長記號 / 力度 / 奏法 與技巧標記同列
+    const tempoMarks = [
+        note.tempoRamp ? TEMPO_RAMP_LABELS[note.tempoRamp] : '',
+        note.fermata ? '𝄐' : '',
+        note.dynamic || '',
+        note.hairpin ? HAIRPIN_LABELS[note.hairpin] : '',
+        ...(note.articulations || []).map(a => ARTICULATIONS[a]?.label || '')
+    ].filter(Boolean).join(' ');
     const hasFret = typeof note.fret === 'number' && typeof note.stringIndex === 'number';
 
     // Tab 位置：優先使用 chordFrets（和弦全部位置），否則用單音的 string/fret
@@ -306,7 +284,7 @@ function JianpuNoteCell({ note, idx, isActive, isSelected, onNoteSelect, showCho
 
             {/* 技巧標記 */}
             <div style={{ height: '13px', fontSize: '9px', color: dimColor, lineHeight: '13px', whiteSpace: 'nowrap' }}>
-                {technique || '\u00A0'}
+                {[technique, tempoMarks].filter(Boolean).join(' ') || '\u00A0'}
             </div>
 
             {/* 升降號 (顯示在數字上方，如標準簡譜) */}
@@ -356,6 +334,13 @@ function JianpuNoteCell({ note, idx, isActive, isSelected, onNoteSelect, showCho
                 ))}
             </div>
 
+            {/* 歌詞 (每段一行，沒有該段歌詞時留白以對齊) */}
+            {Array.from({ length: verseCount }).map((_, v) => (
+                <div key={`lyric-${v}`} style={{ height: '14px', fontSize: '11px', color: isActive ? '#4caf50' : '#ccc', lineHeight: '14px', whiteSpace: 'nowrap' }}>
+                    {getLyricLabel(getLyric(note, v + 1)) || '\u00A0'}
+                </div>
+            ))}
+
             {/* 延音線弧線 (Tie arc) — 顯示在音符上方 */}
             {hasTie && (
                 <svg
@@ -487,34 +472,48 @@ function groupByTuplet(measureNotes) {
  * JianpuScoreView - 簡譜樂譜排版元件
  * 以小節為單位排列，含連音括號、時值、Tab，可捲動
  */
-function JianpuScoreView({ notes, currentNoteIndex, selectedNoteIndex, onNoteSelect, showChords, showTab }) {
+function JianpuScoreView({ notes, currentNoteIndex, selectedNoteIndex, selectionRange, onNoteSelect, showChords, showTab }) {
     const measures = React.useMemo(() => {
         const result = [];
         let current = [];
         let measureNum = 1;
         let pendingSepType = null; // 前一個分隔符號類型
+        let pendingChanges = [];   // 分隔符上的反覆跳房 / 調號 / 拍號 / 速度變更，標於下一小節開頭
+        let measureChanges = '';
 
         notes.forEach((note, idx) => {
             if (note.isSeparator || note._type === 'separator') {
+                if (note.section) pendingChanges.push(`[${note.section}]`);
+                if (note.volta?.length) pendingChanges.push(`${note.volta.join(',')}.`);
+                if (note.keySignature) pendingChanges.push(`1=${note.keySignature}`);
+                if (note.timeSignature) pendingChanges.push(note.timeSignature);
+                if (note.tempo) pendingChanges.push(`♩=${note.tempo}`);
                 if (current.length > 0) {
-                    result.push({ notes: current, number: measureNum++, startSep: pendingSepType, endSep: note.displayStr || '|' });
+                    result.push({ notes: current, number: measureNum++, startSep: pendingSepType, endSep: note.displayStr || '|', repeatTimes: note.repeatTimes, changes: measureChanges });
                     current = [];
                     pendingSepType = note.displayStr || '|';
-                } else {
-                    // 連續分隔符號（如 :| 後接 |:）
+                } else if (!note.volta?.length) {
+                    // 連續分隔符號（如 :| 後接 |:）；反覆跳房只標在小節上方
                     pendingSepType = note.displayStr || '|';
                 }
             } else {
+                if (current.length === 0) {
+                    measureChanges = pendingChanges.join(' ');
+                    pendingChanges = [];
+                }
                 current.push({ note, idx });
             }
         });
         if (current.length > 0) {
-            result.push({ notes: current, number: measureNum, startSep: pendingSepType, endSep: null });
+            result.push({ notes: current, number: measureNum, startSep: pendingSepType, endSep: null, changes: measureChanges });
         }
         return result;
     }, [notes]);
+    const verseCount = React.useMemo(() => getVerseCount(notes), [notes]);
 
     const scrollRef = React.useRef(null);
+    const isInSelection = (idx) => idx === selectedNoteIndex
+        || (selectionRange != null && idx >= selectionRange.start && idx <= selectionRange.end);
 
     React.useEffect(() => {
         if (currentNoteIndex >= 0 && scrollRef.current) {
@@ -528,7 +527,7 @@ function JianpuScoreView({ notes, currentNoteIndex, selectedNoteIndex, onNoteSel
     const barLineStyle = { width: '2px', background: '#555', flexShrink: 0, alignSelf: 'stretch' };
 
     // 根據分隔類型渲染小節線
-    const renderBarLine = (sepType) => {
+    const renderBarLine = (sepType, repeatTimes = null) => {
         if (!sepType || sepType === '|') {
             return <div style={barLineStyle} />;
         }
@@ -561,6 +560,11 @@ function JianpuScoreView({ notes, currentNoteIndex, selectedNoteIndex, onNoteSel
                     </div>
                     <div style={{ width: '2px', background: '#888', alignSelf: 'stretch' }} />
                     <div style={{ width: '3px', background: '#ccc', alignSelf: 'stretch' }} />
+                    {repeatTimes > 2 && (
+                        <span style={{ fontSize: '9px', color: '#ff9800', fontWeight: 'bold', alignSelf: 'flex-start', marginLeft: '2px' }}>
+                            ×{repeatTimes}
+                        </span>
+                    )}
                 </div>
             );
         }
@@ -620,6 +624,21 @@ function JianpuScoreView({ notes, currentNoteIndex, selectedNoteIndex, onNoteSel
 
                             {renderBarLine(measure.startSep || '|')}
 
+                            {/* 小節開頭的調號 / 拍號 / 速度變更 */}
+                            {measure.changes && (
+                                <span style={{
+                                    fontSize: '10px',
+                                    color: '#ff9800',
+                                    fontWeight: 'bold',
+                                    alignSelf: 'flex-start',
+                                    marginLeft: '3px',
+                                    marginTop: '2px',
+                                    whiteSpace: 'nowrap'
+                                }}>
+                                    {measure.changes}
+                                </span>
+                            )}
+
                             {/* 小節內音符（按連音分組） */}
                             <div style={{ display: 'flex', alignItems: 'stretch', padding: '0 4px' }}>
                                 {groups.map((group, gi) => {
@@ -633,10 +652,11 @@ function JianpuScoreView({ notes, currentNoteIndex, selectedNoteIndex, onNoteSel
                                                         note={note}
                                                         idx={idx}
                                                         isActive={idx === currentNoteIndex}
-                                                        isSelected={idx === selectedNoteIndex}
+                                                        isSelected={isInSelection(idx)}
                                                         onNoteSelect={onNoteSelect}
                                                         showChords={showChords}
                                                         showTab={showTab}
+                                                        verseCount={verseCount}
                                                     />
                                                 ))}
                                             </div>
@@ -649,16 +669,17 @@ function JianpuScoreView({ notes, currentNoteIndex, selectedNoteIndex, onNoteSel
                                             note={note}
                                             idx={idx}
                                             isActive={idx === currentNoteIndex}
-                                            isSelected={idx === selectedNoteIndex}
+                                            isSelected={isInSelection(idx)}
                                             onNoteSelect={onNoteSelect}
                                             showChords={showChords}
                                             showTab={showTab}
+                                            verseCount={verseCount}
                                         />
                                     );
                                 })}
                             </div>
 
-                            {renderBarLine(measure.endSep || '|')}
+                            {renderBarLine(measure.endSep || '|', measure.repeatTimes)}
                         </div>
                     );
                 })}
@@ -678,6 +699,7 @@ function NoteEditor({
     musicKey,
     scaleType,
     tempo,
+    timeSignature = '4/4',
     onTempoChange,
     onNotesChange,
     onTextChange,
@@ -695,6 +717,7 @@ function NoteEditor({
     initialPlayMode,
     instrument,
     onInstrumentChange,
+    onTranspose,
     inline = false
 }) {
     const [hoverInfo, setHoverInfo] = useState('');
@@ -702,10 +725,19 @@ function NoteEditor({
     const [showTab, setShowTab] = useState(true);
     const [showShortcutsHelp, setShowShortcutsHelp] = useState(false);
     const [typewriterOpen, setTypewriterOpen] = useState(false);
+    const [lyricVerse, setLyricVerse] = useState(1);
+    const [lyricLine, setLyricLine] = useState('');
     // Edit/Play 子模式
     const [playMode, setPlayMode] = useState(initialPlayMode === 'play' ? 'play' : 'edit');
     // Edit Panel 固定 sidebar，可選擇出現在 Notes 左側或右側
     const [editPanelSide, setEditPanelSide] = useState('left');
+    // Shift+點擊延伸選取：錨點 ~ selectedNoteIndex 為選取範圍（-1 = 無）
+    const [selectionAnchor, setSelectionAnchor] = useState(-1);
+    const selectionRange = React.useMemo(() => (
+        selectionAnchor >= 0 && selectionAnchor < notes.length && selectedNoteIndex >= 0
+            ? { start: Math.min(selectionAnchor, selectedNoteIndex), end: Math.max(selectionAnchor, selectedNoteIndex) }
+            : null
+    ), [selectionAnchor, selectedNoteIndex, notes.length]);
 
     /**
      * 打字機輸入：解析 0-7 / | / + / - 字串為一串音符，插入到選中音符之後
@@ -808,6 +840,7 @@ function NoteEditor({
         { keys: '^', desc: '向後插入休止符' },
         { keys: '|', desc: '向後插入小節線' },
         { keys: 'Del / Backspace', desc: '刪除選中音符' },
+        { keys: 'Shift + 點擊', desc: '延伸選取範圍（移調用）' },
     ];
     const shortcutsTitle = EDIT_SHORTCUTS.map(s => `${s.keys}\t${s.desc}`).join('\n');
 
@@ -818,6 +851,14 @@ function NoteEditor({
         onTextChange(notesToJianpuString(newNotes));
     }, [onTextChange]);
 
+    /**
+     * 套用小節檢查的修正動作
+     */
+    const handleRepairMeasures = useCallback((newNotes, label) => {
+        onNotesChange(newNotes, label);
+        syncEditableText(newNotes);
+    }, [onNotesChange, syncEditableText]);
+
     /**
      * 刪除音符
      */
@@ -1332,6 +1373,13 @@ function NoteEditor({
         if (document.activeElement && (document.activeElement.tagName === 'INPUT' || document.activeElement.tagName === 'TEXTAREA')) {
             document.activeElement.blur();
         }
+        // Shift+點擊：以目前選中的音為錨點延伸選取範圍
+        if (e.shiftKey && selectedNoteIndex >= 0) {
+            if (selectionAnchor < 0) setSelectionAnchor(selectedNoteIndex);
+            onSelectedNoteChange(index);
+            return;
+        }
+        setSelectionAnchor(-1);
         onSelectedNoteChange(selectedNoteIndex === index ? -1 : index);
 
         // 播放選中的音符
@@ -1355,6 +1403,40 @@ function NoteEditor({
         syncEditableText(newNotes);
     }, [selectedNoteIndex, notes, onNotesChange, syncEditableText]);
 
+    /**
+     * 切換選中音符的奏法（重音、斷奏、悶音等可同時存在）
+     */
+    const handleToggleArticulation = useCallback((name) => {
+        if (selectedNoteIndex < 0 || selectedNoteIndex >= notes.length) return;
+        const current = notes[selectedNoteIndex].articulations || [];
+        const next = current.includes(name) ? current.filter(a => a !== name) : [...current, name];
+        handleUpdateNoteProperty('articulations', next.length ? next : null);
+    }, [selectedNoteIndex, notes, handleUpdateNoteProperty]);
+
+    /**
+     * 設定選中音符某一段的歌詞音節（text / hyphen / extend）
+     */
+    const handleSetLyric = useCallback((fields) => {
+        if (selectedNoteIndex < 0 || selectedNoteIndex >= notes.length) return;
+        const newNotes = setNoteLyric(notes, selectedNoteIndex, lyricVerse, fields);
+        if (newNotes === notes) return;
+        onNotesChange(newNotes, '編輯歌詞');
+        syncEditableText(newNotes);
+    }, [selectedNoteIndex, notes, lyricVerse, onNotesChange, syncEditableText]);
+
+    /**
+     * 從選中音符（或開頭）起套用一整行歌詞（ABC w: 語法）
+     */
+    const handleApplyLyricLine = useCallback(() => {
+        if (!lyricLine.trim()) return;
+        const startIndex = selectedNoteIndex >= 0 ? selectedNoteIndex : 0;
+        const newNotes = applyLyricLine(notes, lyricLine, { verse: lyricVerse, startIndex });
+        if (newNotes === notes) return;
+        onNotesChange(newNotes, '套用歌詞');
+        syncEditableText(newNotes);
+        setLyricLine('');
+    }, [lyricLine, selectedNoteIndex, notes, lyricVerse, onNotesChange, syncEditableText]);
+
     /**
      * 設定選中音符的時值
      */
@@ -1423,6 +1505,45 @@ function NoteEditor({
         handleUpdateNoteProperty('beatTempo', (tempo != null && tempo > 0) ? tempo : null);
     }, [handleUpdateNoteProperty]);
 
+    /**
+     * 選中音符所在小節的開頭分隔符（調號 / 拍號 / 速度變更寫在這裡，套用於其後的小節）
+     * 選中的是分隔符時即為該分隔符；第一小節之前沒有分隔符時為 -1（改用樂譜設定）
+     */
+    const measureSeparatorIndex = React.useMemo(() => {
+        if (selectedNoteIndex < 0 || selectedNoteIndex >= notes.length) return -1;
+        for (let i = selectedNoteIndex; i >= 0; i--) {
+            if (notes[i].isSeparator) return i;
+        }
+        return -1;
+    }, [notes, selectedNoteIndex]);
+    const measureSeparator = measureSeparatorIndex >= 0 ? notes[measureSeparatorIndex] : null;
+
+    /**
+     * 設定小節的調號 / 拍號 / 速度變更（空值 = 沿用前一小節）
+     */
+    const handleSetMeasureChange = useCallback((field, value) => {
+        if (measureSeparatorIndex < 0) return;
+        const newNotes = [...notes];
+        newNotes[measureSeparatorIndex] = { ...newNotes[measureSeparatorIndex], [field]: value === '' ? null : value };
+        onNotesChange(newNotes);
+        syncEditableText(newNotes);
+    }, [measureSeparatorIndex, notes, onNotesChange, syncEditableText]);
+
+    /**
+     * 移調：選取範圍 → 選中音符 → 全曲（全曲時調號一併變更）
+     */
+    const transposeScope = React.useMemo(() => selectionRange
+        ?? (selectedNoteIndex >= 0 ? { start: selectedNoteIndex, end: selectedNoteIndex } : null),
+    [selectionRange, selectedNoteIndex]);
+    const transposeScopeLabel = transposeScope
+        ? (transposeScope.start === transposeScope.end ? '選中音符' : `第 ${transposeScope.start + 1}–${transposeScope.end + 1} 個音`)
+        : '全曲（含調號）';
+    const handleTranspose = useCallback((semitones) => {
+        if (!onTranspose) return;
+        const result = onTranspose(semitones, transposeScope);
+        if (result) syncEditableText(result.notes);
+    }, [onTranspose, transposeScope, syncEditableText]);
+
     const selectedNote = selectedNoteIndex >= 0 && selectedNoteIndex < notes.length ? notes[selectedNoteIndex] : null;
     const isNoteEditable = selectedNoteIndex >= 0 && selectedNote && !selectedNote.isSeparator && !selectedNote.isSymbol;
 
@@ -1551,6 +1672,23 @@ function NoteEditor({
                         <button className="editor-btn secondary" onClick={() => handleShiftAllOctaves(1)} onMouseEnter={() => setHoverInfo('全曲升八度')} onMouseLeave={() => setHoverInfo('')}>全+8</button>
                         <button className="editor-btn secondary" onClick={() => handleShiftAllOctaves(-1)} onMouseEnter={() => setHoverInfo('全曲降八度')} onMouseLeave={() => setHoverInfo('')}>全-8</button>
                     </div>
+                    {/* 移調（Shift+點擊音符可選取範圍） */}
+                    {onTranspose && (
+                        <>
+                            <span className="editor-label" style={{ marginTop: '6px' }}>移調 · {transposeScopeLabel}</span>
+                            <div className="editor-buttons">
+                                {[[-2, '-全音'], [-1, '-半音'], [1, '+半音'], [2, '+全音']].map(([semitones, label]) => (
+                                    <button
+                                        key={semitones}
+                                        className="editor-btn small"
+                                        onClick={() => handleTranspose(semitones)}
+                                        onMouseEnter={() => setHoverInfo(`移調 ${semitones > 0 ? '+' : ''}${semitones} 半音：${transposeScopeLabel}（重新拼寫、和弦與六線譜把位一併移調）`)}
+                                        onMouseLeave={() => setHoverInfo('')}
+                                    >{label}</button>
+                                ))}
+                            </div>
+                        </>
+                    )}
                 </div>
 
                 {/* ── 時值 ── */}
@@ -1641,6 +1779,177 @@ function NoteEditor({
                     </div>
                 </div>
 
+                {/* ── 小節變更 / 速度表情 ── */}
+                <div className="editor-group" data-section="changes">
+                    <span className="editor-label">小節變更{measureSeparator ? '' : ' · 第一小節用樂譜設定'}</span>
+                    <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                        <select
+                            value={measureSeparator?.keySignature ?? ''}
+                            onChange={(e) => handleSetMeasureChange('keySignature', e.target.value)}
+                            disabled={!measureSeparator}
+                            onMouseEnter={() => setHoverInfo('調號變更：自此小節起生效')}
+                            onMouseLeave={() => setHoverInfo('')}
+                            style={{ flex: 1, padding: '4px 6px', background: '#333', color: '#fff', border: '1px solid #555', borderRadius: '4px', fontSize: '13px', minWidth: 0 }}
+                        >
+                            <option value="">調號 —</option>
+                            {MEASURE_KEY_OPTIONS.map(k => <option key={k} value={k}>{k}</option>)}
+                        </select>
+                        <select
+                            value={measureSeparator?.timeSignature ?? ''}
+                            onChange={(e) => handleSetMeasureChange('timeSignature', e.target.value)}
+                            disabled={!measureSeparator}
+                            onMouseEnter={() => setHoverInfo('拍號變更：自此小節起生效')}
+                            onMouseLeave={() => setHoverInfo('')}
+                            style={{ flex: 1, padding: '4px 6px', background: '#333', color: '#fff', border: '1px solid #555', borderRadius: '4px', fontSize: '13px', minWidth: 0 }}
+                        >
+                            <option value="">拍號 —</option>
+                            {MEASURE_TIME_OPTIONS.map(t => <option key={t} value={t}>{t}</option>)}
+                        </select>
+                        <input
+                            type="number"
+                            min="20"
+                            max="400"
+                            placeholder="♩="
+                            value={measureSeparator?.tempo ?? ''}
+                            onChange={(e) => {
+                                const tempo = Number(e.target.value);
+                                handleSetMeasureChange('tempo', e.target.value !== '' && tempo > 0 ? tempo : '');
+                            }}
+                            disabled={!measureSeparator}
+                            onMouseEnter={() => setHoverInfo('速度變更 (BPM)：自此小節起生效')}
+                            onMouseLeave={() => setHoverInfo('')}
+                            style={{ width: '56px', padding: '4px 6px', background: '#333', color: '#fff', border: '1px solid #555', borderRadius: '4px', fontSize: '13px' }}
+                        />
+                    </div>
+                    <div className="editor-buttons" style={{ marginTop: '6px', gap: '4px' }}>
+                        {Object.entries(TEMPO_RAMP_LABELS).map(([ramp, label]) => (
+                            <button
+                                key={ramp}
+                                className={`editor-btn small ${selectedNote?.tempoRamp === ramp ? 'active' : ''}`}
+                                onClick={() => handleUpdateNoteProperty('tempoRamp', selectedNote?.tempoRamp === ramp ? null : ramp)}
+                                disabled={!isNoteEditable}
+                                onMouseEnter={() => setHoverInfo(`${ramp === 'rit' ? '漸慢' : '漸快'}：自此音起漸變到下一個速度變更（沒有則至小節結尾）`)}
+                                onMouseLeave={() => setHoverInfo('')}
+                            >{label}</button>
+                        ))}
+                        <button
+                            className={`editor-btn small ${selectedNote?.fermata ? 'active' : ''}`}
+                            onClick={() => handleUpdateNoteProperty('fermata', !selectedNote?.fermata)}
+                            disabled={!isNoteEditable}
+                            onMouseEnter={() => setHoverInfo('延長記號：此音延長為兩倍時值演奏')}
+                            onMouseLeave={() => setHoverInfo('')}
+                        >𝄐</button>
+                    </div>
+                </div>
+
+                {/* ── 小節檢查 ── */}
+                <div className="editor-group" data-section="measures">
+                    <MeasureIssuesPanel
+                        compact
+                        notes={notes}
+                        timeSignature={timeSignature}
+                        onRepair={handleRepairMeasures}
+                        onSelect={onSelectedNoteChange}
+                    />
+                </div>
+
+                {/* ── 力度 / 奏法 ── */}
+                <div className="editor-group" data-section="dynamics">
+                    <span className="editor-label">力度 / 奏法</span>
+                    <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                        <select
+                            value={selectedNote?.dynamic ?? ''}
+                            onChange={(e) => handleUpdateNoteProperty('dynamic', e.target.value || null)}
+                            disabled={!isNoteEditable}
+                            onMouseEnter={() => setHoverInfo('力度記號：自此音起生效直到下一個力度記號')}
+                            onMouseLeave={() => setHoverInfo('')}
+                            style={{ flex: 1, padding: '4px 6px', background: '#333', color: '#fff', border: '1px solid #555', borderRadius: '4px', fontSize: '13px', minWidth: 0 }}
+                        >
+                            <option value="">力度 —</option>
+                            {DYNAMIC_LEVELS.map(d => <option key={d} value={d}>{d}</option>)}
+                        </select>
+                        {Object.entries(HAIRPIN_LABELS).map(([hairpin, label]) => (
+                            <button
+                                key={hairpin}
+                                className={`editor-btn small ${selectedNote?.hairpin === hairpin ? 'active' : ''}`}
+                                onClick={() => handleUpdateNoteProperty('hairpin', selectedNote?.hairpin === hairpin ? null : hairpin)}
+                                disabled={!isNoteEditable}
+                                onMouseEnter={() => setHoverInfo(`${hairpin === 'cresc' ? '漸強' : '漸弱'}：自此音起漸變到下一個力度記號（沒有則至小節結尾）`)}
+                                onMouseLeave={() => setHoverInfo('')}
+                            >{label}</button>
+                        ))}
+                    </div>
+                    <div className="editor-buttons" style={{ marginTop: '6px', gap: '4px', flexWrap: 'wrap' }}>
+                        {Object.entries(ARTICULATIONS).map(([name, art]) => (
+                            <button
+                                key={name}
+                                className={`editor-btn small ${selectedNote?.articulations?.includes(name) ? 'active' : ''}`}
+                                onClick={() => handleToggleArticulation(name)}
+                                disabled={!isNoteEditable}
+                                onMouseEnter={() => setHoverInfo(`${art.name} (${name})`)}
+                                onMouseLeave={() => setHoverInfo('')}
+                            >{art.label}</button>
+                        ))}
+                    </div>
+                </div>
+
+                {/* ── 歌詞 ── */}
+                <div className="editor-group" data-section="lyrics">
+                    <span className="editor-label">歌詞</span>
+                    <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                        <select
+                            value={lyricVerse}
+                            onChange={(e) => setLyricVerse(Number(e.target.value))}
+                            onMouseEnter={() => setHoverInfo('段落：同一音可有多段歌詞')}
+                            onMouseLeave={() => setHoverInfo('')}
+                            style={{ padding: '4px 6px', background: '#333', color: '#fff', border: '1px solid #555', borderRadius: '4px', fontSize: '13px' }}
+                        >
+                            {Array.from({ length: Math.max(getVerseCount(notes), lyricVerse) + 1 }, (_, v) => (
+                                <option key={v + 1} value={v + 1}>第 {v + 1} 段</option>
+                            ))}
+                        </select>
+                        <input
+                            key={`${selectedNoteIndex}-${lyricVerse}-${getLyric(selectedNote, lyricVerse)?.text ?? ''}`}
+                            type="text"
+                            defaultValue={getLyric(selectedNote, lyricVerse)?.text ?? ''}
+                            onBlur={(e) => handleSetLyric({ text: e.target.value.trim() })}
+                            onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                            disabled={!isLyricTarget(selectedNote)}
+                            placeholder="音節"
+                            onMouseEnter={() => setHoverInfo('此音的歌詞音節（Enter 確認，清空為移除）')}
+                            onMouseLeave={() => setHoverInfo('')}
+                            style={{ flex: 1, padding: '4px 6px', background: '#333', color: '#fff', border: '1px solid #555', borderRadius: '4px', fontSize: '13px', minWidth: 0 }}
+                        />
+                        <button
+                            className={`editor-btn small ${['begin', 'middle'].includes(getLyric(selectedNote, lyricVerse)?.syllabic) ? 'active' : ''}`}
+                            onClick={() => handleSetLyric({ hyphen: !['begin', 'middle'].includes(getLyric(selectedNote, lyricVerse)?.syllabic) })}
+                            disabled={!getLyric(selectedNote, lyricVerse)}
+                            onMouseEnter={() => setHoverInfo('連字號：與下一個音節屬於同一個字')}
+                            onMouseLeave={() => setHoverInfo('')}
+                        >-</button>
+                        <button
+                            className={`editor-btn small ${getLyric(selectedNote, lyricVerse)?.extend ? 'active' : ''}`}
+                            onClick={() => handleSetLyric({ extend: !getLyric(selectedNote, lyricVerse)?.extend })}
+                            disabled={!getLyric(selectedNote, lyricVerse)}
+                            onMouseEnter={() => setHoverInfo('延長線：拖腔，之後沒有歌詞的音都唱此音節')}
+                            onMouseLeave={() => setHoverInfo('')}
+                        >_</button>
+                    </div>
+                    <div style={{ display: 'flex', gap: '4px', alignItems: 'center', marginTop: '6px' }}>
+                        <input
+                            type="text"
+                            value={lyricLine}
+                            onChange={(e) => setLyricLine(e.target.value)}
+                            onKeyDown={(e) => { if (e.key === 'Enter') handleApplyLyricLine(); }}
+                            placeholder="整行歌詞：Hap-py birth-day"
+                            onMouseEnter={() => setHoverInfo('從選中的音起依序填入：- 連字號、_ 拖腔、* 跳過一音、| 跳到下一小節')}
+                            onMouseLeave={() => setHoverInfo('')}
+                            style={{ flex: 1, padding: '4px 6px', background: '#333', color: '#fff', border: '1px solid #555', borderRadius: '4px', fontSize: '13px', minWidth: 0 }}
+                        />
+                        <button className="editor-btn small" onClick={handleApplyLyricLine} disabled={!lyricLine.trim()}>套用</button>
+                    </div>
+                </div>
+
                 {/* ── 符號/插入 ── */}
                 <div className="editor-group" data-section="insert">
                     <span className="editor-label">插入</span>
@@ -1906,6 +2215,7 @@ function NoteEditor({
                     notes={notes}
                     currentNoteIndex={currentNoteIndex}
                     selectedNoteIndex={selectedNoteIndex}
+                    selectionRange={selectionRange}
                     onNoteSelect={handleNoteItemSelect}
                     showChords={showChords}
                     showTab={showTab}
@@ -0,0 +1,51 @@
+/**
+ * PartSwitcher - 多聲部樂譜的聲部切換列
+ * 點選聲部名稱切換目前檢視 / 編輯的聲部；其他聲部在播放時作為伴奏，可個別靜音
+ */
+
+import React from 'react';
+import { INSTRUMENT_CATEGORIES } from '../../hooks/useAudio';
+
+// 音色 ID → 顯示名稱
+const INSTRUMENT_LABELS = Object.assign({}, ...Object.values(INSTRUMENT_CATEGORIES));
+
+function PartSwitcher({ parts, activePart, onSelect, onToggleMute }) {
+    if (!parts || parts.length < 2) return null;
+
+    return (
+        <div className="read-partbar">
+            <span className="read-partbar-label">聲部</span>
+            {parts.map((part, i) => {
+                const active = i === activePart;
+                const detail = [
+                    part.isDrum ? '鼓組' : (INSTRUMENT_LABELS[part.instrument] || null),
+                    part.tuning?.length ? `${part.tuning.length} 弦` : null,
+                    part.capo > 0 ? `Capo ${part.capo}` : null
+                ].filter(Boolean).join(' · ');
+                return (
+                    <div key={part.id ?? i} className={`read-part${active ? ' active' : ''}${part.muted && !active ? ' muted' : ''}`}>
+                        <button
+                            className="read-part-name"
+                            onClick={() => !active && onSelect?.(i)}
+                            title={detail || part.name}
+                        >
+                            {part.name}
+                            {detail && <span className="read-part-detail">{detail}</span>}
+                        </button>
+                        {!active && (
+                            <button
+                                className="read-part-mute"
+                                onClick={() => onToggleMute?.(i)}
+                                title={part.muted ? '播放時加入伴奏' : '播放時靜音此聲部'}
+                            >
+                                {part.muted ? '🔇' : '🔊'}
+                            </button>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+export default PartSwitcher;
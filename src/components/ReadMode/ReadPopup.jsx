@@ -107,6 +107,8 @@ function ReadPopup({ view }) {
                         notes={state.notes || []}
                         notePositions={state.notePositions || []}
                         timeSignature={state.timeSignature || '4/4'}
+                        musicKey={state.musicKey || 'C'}
+                        scaleType={state.scaleType || 'Major'}
                         currentNoteIndex={state.currentNoteIndex ?? -1}
                     />
                 </div>
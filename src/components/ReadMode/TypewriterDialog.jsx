@@ -1,44 +1,13 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
+import { splitMeasures } from '../../core/models/Measure.js';
 
 /**
- * 把音符陣列拆成 measures —— 與 JianpuScoreView 相同邏輯：
+ * 把音符陣列拆成 measures —— 共用 core 的 splitMeasures：
  * 連續分隔符（如 `:|` 接 `|:`）不會多算一個小節，必須有實際音符才算一個 measure。
  * 回傳陣列每個 element 為 { number, startIdx, endIdx, notes }，number 1-indexed。
  */
 function buildMeasures(notes) {
-    const result = [];
-    if (!Array.isArray(notes)) return result;
-    let current = [];
-    let currentStart = -1;
-    let measureNum = 1;
-    notes.forEach((note, idx) => {
-        const isSep = note.isSeparator || note._type === 'separator';
-        if (isSep) {
-            if (current.length > 0) {
-                result.push({
-                    number: measureNum++,
-                    startIdx: currentStart,
-                    endIdx: idx - 1,
-                    notes: current,
-                });
-                current = [];
-                currentStart = -1;
-            }
-            // 連續 separator：當前 measure 維持空，繼續吃下一個
-        } else {
-            if (currentStart === -1) currentStart = idx;
-            current.push(note);
-        }
-    });
-    if (current.length > 0) {
-        result.push({
-            number: measureNum,
-            startIdx: currentStart,
-            endIdx: notes.length - 1,
-            notes: current,
-        });
-    }
-    return result;
+    return splitMeasures(notes).filter(m => m.notes.length > 0);
 }
 
 /**
@@ -1,6 +1,6 @@
 /**
  * UploadPanel - 統一匯入面板
- * 整合簡譜 OCR、Tab OCR、五線譜 OMR、Staff+Tab OCR、檔案匯入
+ * 整合簡譜 OCR、Tab OCR、五線譜 OMR、Staff+Tab OCR、alphaTex 文字譜、檔案匯入
  */
 
 import React, { useState, useCallback } from 'react';
@@ -10,6 +10,7 @@ import TabImageImporter from '../TabImageImporter.jsx';
 import StaffImageImporter from '../StaffImageImporter.jsx';
 import CombinedImageImporter from '../CombinedImageImporter.jsx';
 import MusicXMLImporter from '../ImportExport/MusicXMLImporter.jsx';
+import AlphaTexImporter from '../ImportExport/AlphaTexImporter.jsx';
 import ImageQueue from '../ImageQueue.jsx';
 import useOpenCV from '../../hooks/useOpenCV.js';
 
@@ -39,6 +40,7 @@ function UploadPanel({
         { key: 'tab-ocr', label: 'Tab OCR', color: '#4caf50' },
         { key: 'staff-ocr', label: '五線譜 OMR', color: '#2196F3' },
         { key: 'combined-ocr', label: 'Staff+Tab', color: '#9c27b0' },
+        { key: 'alphatex', label: 'alphaTex', color: '#26a69a' },
         { key: 'file', label: '檔案匯入', color: '#4caf50' },
     ];
 
@@ -151,7 +153,7 @@ function UploadPanel({
             </div>
 
             {/* OpenCV Load Status (Warning if not loaded) */}
-            {!cvLoaded && importMode !== 'file' && (
+            {!cvLoaded && importMode !== 'file' && importMode !== 'alphatex' && (
                 <div style={{
                     marginBottom: '12px',
                     padding: '8px 12px',
@@ -310,6 +312,14 @@ function UploadPanel({
                 <CombinedImageImporter onImport={handleImport} />
             )}
 
+            {/* alphaTex 文字譜 */}
+            {importMode === 'alphatex' && (
+                <AlphaTexImporter
+                    onImport={handleImport}
+                    onError={handleImportError}
+                />
+            )}
+
             {/* File Import */}
             {importMode === 'file' && (
                 <MusicXMLImporter
@@ -5,15 +5,22 @@
 
 import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import {
-    parseJianpuText,
+    parseJianpuScore,
     jianpuToNote,
     calculate3NPSPositions,
     calculateCAGEDPositions
 } from '../../parsers/JianpuParser.js';
+import { ChordSheetParser } from '../../parsers/ChordSheetParser.js';
 import { Note } from '../../core/models/Note.js';
+import { CURRENT_SCHEMA_VERSION, loadScoreData, formatValidationReport, serializeNotes } from '../../core/schema/scoreSchema.js';
+import { transposeNotes } from '../../core/theory/transpose.js';
+import { getBeatGrid, findStepForIndex } from '../../core/timing/timeline.js';
+import { findSections } from '../../core/models/Measure.js';
+import { getChordAt } from '../../core/lyrics/leadSheet.js';
 import { useAudio } from '../../hooks/useAudio.js';
 import { usePlayback } from '../../hooks/usePlayback.js';
 import { useAutosave } from '../../hooks/useAutosave.js';
+import { useEditHistory } from '../../hooks/useEditHistory.js';
 import { useKeyboardShortcuts, KeyboardShortcutsHelp, DEFAULT_SHORTCUTS } from '../../hooks/useKeyboardShortcuts.jsx';
 import { useLoopSection } from '../../hooks/useLoopSection.js';
 import { useMetronome } from '../../hooks/useMetronome.js';
@@ -22,12 +29,14 @@ import ReadFretboard from '../ReadFretboard.jsx';
 import FretboardControlsBar from './FretboardControlsBar.jsx';
 import PlayItemCard from '../PlayItemCard.jsx';
 import { getScaleNotes } from '../../data/scaleData.js';
-import { getChordNotes } from '../../data/chordData.js';
+import { getChordNotes, parseChordName } from '../../data/chordData.js';
 import ScoreDisplay from '../ScoreDisplay/index.jsx';
 import UploadPanel from './UploadPanel.jsx';
 import SettingsPanel from './SettingsPanel.jsx';
 import NoteEditor from './NoteEditor.jsx';
 import FileActions from './FileActions.jsx';
+import PartSwitcher from './PartSwitcher.jsx';
+import LeadSheetView from './LeadSheetView.jsx';
 import YouTubePlayer from './YouTubePlayer.jsx';
 import { READ_SYNC_CHANNEL } from './ReadPopup.jsx';
 import './ReadMode.css';
@@ -73,6 +82,84 @@ function getOctaveOffsetFromDisplay(displayStr) {
     return (cleaned.match(/[.·]/g) || []).length;
 }
 
+/**
+ * 依調號 / 音階重新拼寫音符（調號變更、匯入時使用）
+ * 簡譜音符以 jianpu 重算音高；其他音符保持絕對音高，重算簡譜與音名
+ */
+function respellNotes(notes, key, scaleType) {
+    let prevMidi = null;    // 前一個音的音高（半音拼寫依旋律方向）
+    return notes.map(note => {
+        if (note.isSeparator || note.isRest || note.isExtension || note.isSymbol) return note;
+
+        // 簡譜音符（有 jianpu 1-7）：用 jianpuToNote 重算，保持簡譜八度一致
+        if (note.jianpu >= 1 && note.jianpu <= 7) {
+            // 從 displayStr 推算八度偏移（比 note.octave 更可靠，不受 Note.fromMidi 污染）
+            const ds = note.displayStr || '';
+            const noteOctaveOffset = getOctaveOffsetFromDisplay(ds);
+
+            let acc = note.accidentalStr || '';
+            if (!acc && ds) {
+                if (ds.includes('#')) acc = '#';
+                if (ds.includes('b')) acc = 'b';
+            }
+            const noteInput = String(note.jianpu) + acc;
+            const noteData = jianpuToNote(noteInput, noteOctaveOffset, key, scaleType);
+            if (noteData) {
+                return { ...note, ...noteData, accidentalStr: acc };
+            }
+            return note;
+        }
+
+        // 非簡譜音符（GP 匯入等）：從 MIDI 重新計算簡譜，保持絕對音高不變
+        const midiVal = note.midi ?? note.midiNote;
+        if (midiVal != null) {
+            const isChordMember = note.isChord && note.chordPosition > 0;
+            const direction = (prevMidi != null && !isChordMember) ? Math.sign(midiVal - prevMidi) : 0;
+            if (!isChordMember) prevMidi = midiVal;
+            const recalc = Note.fromMidi(midiVal, {
+                key, scaleType, direction,
+                index: note.index,
+                duration: note.duration,
+                stringIndex: note.stringIndex,
+                fret: note.fret,
+                technique: note.technique,
+                format: note.format,
+                displayOctaveShift: note.displayOctaveShift || 0
+            });
+            return {
+                ...note,
+                jianpu: recalc.jianpu,
+                noteName: recalc.noteName,
+                displayStr: recalc.displayStr,
+                accidentalStr: recalc.accidentalStr,
+                octave: recalc.octave,
+                displayOctaveShift: recalc.displayOctaveShift
+            };
+        }
+
+        return note;
+    });
+}
+
+/**
+ * 還原多聲部資料（少於兩個聲部視為單聲部）
+ */
+function restoreParts(parts) {
+    if (!Array.isArray(parts) || parts.length < 2) return [];
+    return parts.map(p => ({ ...p, muted: !!p.muted, notes: normalizeNotes(p.notes) }));
+}
+
+/**
+ * 多聲部存檔欄位：目前聲部的音符已存於 notes，其 parts 項目留空
+ */
+function serializeParts(parts, activePart) {
+    if (parts.length < 2) return {};
+    return {
+        parts: parts.map((p, i) => ({ ...p, notes: i === activePart ? [] : serializeNotes(p.notes) })),
+        activePart
+    };
+}
+
 function normalizeNotes(notes) {
     if (!notes || !Array.isArray(notes)) return [];
     return notes.map(n => {
@@ -174,6 +261,14 @@ function ReadMode({ guitarType, setGuitarType, fretCount }) {
     const [showScaleGuide, setShowScaleGuide] = useState(true);
     const [displayMode, setDisplayMode] = useState('notes'); // 指板標示：'notes' (ABC) | 'intervals' (123)
 
+    // ===== 樂譜資訊（標題 / 作曲 / 作詞 / 移調夾，來自 HeaderOCR 或匯入檔案） =====
+    const [scoreInfo, setScoreInfo] = useState({ title: null, composer: null, lyricist: null, capo: null });
+
+    // 多聲部樂譜（如 Guitar Pro 多音軌）：{id, name, instrument, tuning, capo, isDrum, muted, notes}
+    // 目前聲部的音符以 notes state 為準，parts[activePart].notes 只在切換聲部時更新
+    const [parts, setParts] = useState([]);
+    const [activePart, setActivePart] = useState(0);
+
     // ===== OCR 來源圖片（base64 data URL 陣列，存檔時一併儲存，最多 5 張） =====
     const [sourceImages, setSourceImages] = useState([]);
 
@@ -184,6 +279,7 @@ function ReadMode({ guitarType, setGuitarType, fretCount }) {
 
     // ===== 顯示 / Popup 控制 =====
     const [showInlineFretboard, setShowInlineFretboard] = useState(true); // 新版：指板固定顯示於下方
+    const [showLeadSheet, setShowLeadSheet] = useState(false); // 和弦譜檢視（和弦名稱在歌詞上方）
     const [showInlineScore, setShowInlineScore] = useState(false); // 預設關閉 Score Preview（圖3）
     const [fileModalOpen, setFileModalOpen] = useState(false); // 檔案/OCR/匯出 modal
     const fretboardWindowRef = useRef(null);
@@ -198,6 +294,32 @@ function ReadMode({ guitarType, setGuitarType, fretCount }) {
     // ===== Hooks =====
     const { playNote, resumeAudio, isLoading: audioLoading } = useAudio(guitarType);
     const { debouncedSave, load } = useAutosave({ key: AUTOSAVE_KEY });
+    // 目前的調號 / 音階 / 速度 / 拍號（匯入與復原時比較用）
+    const settingsRef = useRef(null);
+    settingsRef.current = { key, scaleType, tempo, timeSignature };
+    // 移調、匯入、復原時音符已依新調拼寫，略過「調號變更時更新音符」的重算（值 = 要略過的 `調/音階`）
+    const skipKeyRecalcRef = useRef(null);
+    const applyScoreSettings = useCallback((fields) => {
+        const current = settingsRef.current;
+        const target = `${fields.key || current.key}/${fields.scaleType || current.scaleType}`;
+        if (target !== `${current.key}/${current.scaleType}`) skipKeyRecalcRef.current = target;
+        if (fields.key) setKey(fields.key);
+        if (fields.scaleType) setScaleType(fields.scaleType);
+        if (fields.tempo) setTempo(fields.tempo);
+        if (fields.timeSignature) setTimeSignature(fields.timeSignature);
+    }, []);
+
+    // 編輯歷史：使用者編輯經由 commitNotes 記錄，可 Ctrl+Z / Ctrl+Shift+Z 復原重做
+    // 調號 / 音階 / 速度 / 拍號變更以元數據指令記錄，復原時一併還原
+    const editHistory = useEditHistory({
+        notes,
+        setNotes,
+        onMetadata: applyScoreSettings
+    });
+    const commitNotes = editHistory.commit;
+    const { beginGroup, endGroup, commitMetadata } = editHistory;
+    const restoreHistory = editHistory.restore;
+    const serializeHistory = editHistory.serialize;
 
     // 整首移調（±八度）：非破壞性。套用在指板/播放/譜面「檢視」上；
     // 編輯（NoteEditor）與存檔仍使用原始 notes，不會改到譜本身。
@@ -213,6 +335,12 @@ function ReadMode({ guitarType, setGuitarType, fretCount }) {
 
     // 計算指板位置（memoized）：選了 CAGED 指型用 CAGED 定位（指板/播放/譜面統一），
     // 否則沿用 3NPS。播放發聲弦、五線/六線譜位置都會跟著一致。
+    // 伴奏聲部：其他未靜音、有音符的非鼓組聲部
+    const backingParts = useMemo(() =>
+        parts.filter((p, i) => i !== activePart && !p.muted && !p.isDrum && p.notes?.length > 0),
+        [parts, activePart]
+    );
+
     const notePositions = useMemo(() =>
         cagedPosition
             ? calculateCAGEDPositions(viewNotes, key, cagedPosition)
@@ -227,6 +355,17 @@ function ReadMode({ guitarType, setGuitarType, fretCount }) {
         onLoopEnd: () => console.log('Loop ended')
     });
 
+    // 具名段落（GP 段落標記等），可直接選為循環範圍
+    const sections = useMemo(() => findSections(notes), [notes]);
+    // 有和弦記號或歌詞才提供和弦譜檢視
+    const hasLeadSheet = useMemo(() => notes.some(n => n.chordSymbol || n.lyrics?.length), [notes]);
+    const activeSectionIdx = loopSection.isLoopEnabled
+        ? sections.findIndex(s => s.startIdx === loopSection.loopStart && s.endIdx === loopSection.loopEnd)
+        : -1;
+
+    // 練習計時在下方建立，播放回調透過 ref 取用
+    const practiceTimerRef = useRef(null);
+
     // 播放 Hook（含 loop section 整合）
     const {
         isPlaying,
@@ -240,7 +379,8 @@ function ReadMode({ guitarType, setGuitarType, fretCount }) {
         togglePlay,
         handleNoteClick,
         setEnableCountIn,
-        startCountIn
+        startCountIn,
+        timeline
     } = usePlayback({
         notes: viewNotes,
         notePositions,
@@ -249,13 +389,19 @@ function ReadMode({ guitarType, setGuitarType, fretCount }) {
         playNote,
         audioLoading,
         resumeAudio,
-        loopSection
+        loopSection,
+        backingParts,
+        onNotePlayed: (event) => {
+            if (practiceTimerRef.current?.isActive) practiceTimerRef.current.incrementNotes(event.chord.length);
+        }
     });
 
-    // Metronome Hook
+    // Metronome Hook（依時間軸逐拍格線，跟隨樂譜中的速度 / 拍號變更）
+    const beatGrid = useMemo(() => getBeatGrid(timeline), [timeline]);
     const metronome = useMetronome({
         initialBpm: tempo,
-        initialTimeSignature: timeSignature
+        initialTimeSignature: timeSignature,
+        beatGrid
     });
 
     // 同步 Metronome BPM 與播放 tempo
@@ -264,6 +410,23 @@ function ReadMode({ guitarType, setGuitarType, fretCount }) {
         metronomSetBpm(tempo);
     }, [tempo, metronomSetBpm]);
 
+    // 和弦譜檢視：目前位置的和弦記號驅動 Scale/Chord 選擇器與指板（無法辨識的和弦維持原顯示）
+    const showChordSymbol = useCallback((symbol) => {
+        const chord = parseChordName(symbol);
+        if (!chord) return;
+        const extension = String(chord.extension);
+        setChordDisplay({
+            root: chord.root,
+            quality: chord.quality,
+            extension,
+            enabledNotes: getChordNotes(chord.root, chord.quality, extension)
+        });
+    }, []);
+    useEffect(() => {
+        if (!showLeadSheet || !hasLeadSheet || currentNoteIndex < 0) return;
+        showChordSymbol(getChordAt(notes, currentNoteIndex));
+    }, [showLeadSheet, hasLeadSheet, currentNoteIndex, notes, showChordSymbol]);
+
     // ===== BroadcastChannel — 同步狀態給 Guitar / Score popup 視窗 =====
     const bcRef = useRef(null);
     useEffect(() => {
@@ -319,6 +482,7 @@ function ReadMode({ guitarType, setGuitarType, fretCount }) {
     const practiceTimer = usePracticeTimer({
         onSessionEnd: () => { /* Practice Stats UI 已移除，不顯示 session summary */ }
     });
+    practiceTimerRef.current = practiceTimer;
 
     // 播放開始時啟動練習計時
     const handlePlayWithTracking = useCallback((startIndex = 0) => {
@@ -370,10 +534,16 @@ function ReadMode({ guitarType, setGuitarType, fretCount }) {
         setLoopEnd: () => loopSection.setEnd(selectedNoteIndex >= 0 ? selectedNoteIndex : currentNoteIndex),
         toggleLoop: () => loopSection.toggleLoop(),
         clearLoop: () => loopSection.clearLoop(),
-        toggleMetronome: () => metronome.toggle(),
+        toggleMetronome: () => {
+            // 播放中開啟時從目前的音符位置對齊拍點
+            const step = currentNoteIndex >= 0 ? findStepForIndex(timeline, currentNoteIndex) : -1;
+            metronome.toggle(step >= 0 ? timeline.events[step].time : 0);
+        },
         repeat: () => handlePlayWithTracking(loopSection.hasValidLoop && loopSection.isLoopEnabled ? loopSection.loopStart : 0),
+        undo: () => editHistory.undo(),
+        redo: () => editHistory.redo(),
         showHelp: () => setShowShortcutsHelp(prev => !prev)
-    }), [isPlaying, pause, practiceTimer, handlePlayWithTracking, selectedNoteIndex, handleStopWithTracking, notes.length, loopSection, metronome, currentNoteIndex]);
+    }), [isPlaying, pause, practiceTimer, handlePlayWithTracking, selectedNoteIndex, handleStopWithTracking, notes.length, loopSection, metronome, currentNoteIndex, timeline, editHistory]);
 
     useKeyboardShortcuts(shortcutHandlers, { enabled: true });
 
@@ -410,17 +580,21 @@ function ReadMode({ guitarType, setGuitarType, fretCount }) {
     // ===== 載入自動儲存 =====
     useEffect(() => {
         try {
-            const saved = load();
-            if (saved) {
+            const raw = load();
+            if (raw) {
+                const { data: saved, report } = loadScoreData(raw);
+                const summary = formatValidationReport(report);
+                if (summary) console.warn(`[ReadMode] 自動儲存資料驗證：${summary}`);
                 if (saved.text) {
                     setEditableText(saved.text);
                     setRawText(saved.text);
                 }
                 if (saved.notes) setNotes(normalizeNotes(saved.notes));
-                if (saved.key) setKey(saved.key);
-                if (saved.scaleType) setScaleType(saved.scaleType);
-                if (saved.tempo) setTempo(saved.tempo);
-                if (saved.timeSignature) setTimeSignature(saved.timeSignature);
+                if (saved.history) restoreHistory(saved.history);
+                setParts(restoreParts(saved.parts));
+                setActivePart(saved.activePart ?? 0);
+                // 自動儲存的音符已依存檔的調拼寫，不重新計算
+                applyScoreSettings({ key: saved.key, scaleType: saved.scaleType, tempo: saved.tempo, timeSignature: saved.timeSignature });
                 if (typeof saved.startString === 'number') setStartString(saved.startString);
                 if (saved.cagedPosition !== undefined) setCagedPosition(saved.cagedPosition);
                 if (typeof saved.octaveOffset === 'number') setOctaveOffset(saved.octaveOffset);
@@ -434,13 +608,14 @@ function ReadMode({ guitarType, setGuitarType, fretCount }) {
         } catch (e) {
             console.error('Failed to load autosave', e);
         }
-    }, [load]);
+    }, [load, restoreHistory, applyScoreSettings]);
 
     // ===== 自動儲存 =====
     useEffect(() => {
         const dataToSave = {
+            schemaVersion: CURRENT_SCHEMA_VERSION,
             text: editableText,
-            notes: notes,
+            notes: serializeNotes(notes),
             key: key,
             scaleType: scaleType,
             tempo: tempo,
@@ -453,89 +628,184 @@ function ReadMode({ guitarType, setGuitarType, fretCount }) {
             showYoutube,
             youtubeLayout,
             viewMode,
-            instrument: guitarType
+            instrument: guitarType,
+            ...serializeParts(parts, activePart),
+            history: serializeHistory()
         };
         debouncedSave(dataToSave);
-    }, [editableText, notes, key, scaleType, tempo, timeSignature, startString, cagedPosition, octaveOffset, showScaleGuide, youtubeUrl, showYoutube, youtubeLayout, viewMode, guitarType, debouncedSave]);
+    }, [editableText, notes, key, scaleType, tempo, timeSignature, startString, cagedPosition, octaveOffset, showScaleGuide, youtubeUrl, showYoutube, youtubeLayout, viewMode, guitarType, parts, activePart, debouncedSave, serializeHistory, editHistory.version]);
 
     // ===== 調號/音階變更時更新音符 =====
+    // 音符重新拼寫與調號變更記錄為同一次編輯，復原時一併還原
+    const appliedKeyRef = useRef({ key, scaleType });
     useEffect(() => {
-        setNotes(prevNotes => prevNotes.map(note => {
-            if (note.isSeparator || note.isRest || note.isExtension || note.isSymbol) return note;
-
-            // 簡譜音符（有 jianpu 1-7）：用 jianpuToNote 重算，保持簡譜八度一致
-            if (note.jianpu >= 1 && note.jianpu <= 7) {
-                // 從 displayStr 推算八度偏移（比 note.octave 更可靠，不受 Note.fromMidi 污染）
-                let noteOctaveOffset = 0;
-                const ds = note.displayStr || '';
-                if (ds.startsWith('₌') || ds.startsWith('__')) {
-                    noteOctaveOffset = -2;
-                } else if (ds.startsWith('₋') || (ds.startsWith('_') && !ds.startsWith('__'))) {
-                    noteOctaveOffset = -1;
-                } else {
-                    // 計算高八度點數（只算非升降號的 ·/.）
-                    const cleaned = ds.replace(/[#b♯♭]/g, '');
-                    const dots = (cleaned.match(/[.·]/g) || []).length;
-                    noteOctaveOffset = dots;
-                }
+        const before = appliedKeyRef.current;
+        appliedKeyRef.current = { key, scaleType };
+        const skip = skipKeyRecalcRef.current === `${key}/${scaleType}`;
+        skipKeyRecalcRef.current = null;
+        if (skip || (before.key === key && before.scaleType === scaleType)) return;
+        beginGroup('變更調號');
+        commitMetadata(before, { key, scaleType }, '變更調號');
+        commitNotes(prevNotes => respellNotes(prevNotes, key, scaleType), '變更調號');
+        endGroup();
+    }, [key, scaleType, beginGroup, endGroup, commitMetadata, commitNotes]);
 
-                let acc = note.accidentalStr || '';
-                if (!acc && ds) {
-                    if (ds.includes('#')) acc = '#';
-                    if (ds.includes('b')) acc = 'b';
-                }
-                const noteInput = String(note.jianpu) + acc;
-                const noteData = jianpuToNote(noteInput, noteOctaveOffset, key, scaleType);
-                if (noteData) {
-                    return { ...note, ...noteData, accidentalStr: acc };
-                }
-                return note;
-            }
+    // ===== 移調 =====
+    // range 為 null 時移調全曲並變更調號；否則只移調該段落（調號不變）
+    const handleTranspose = useCallback((interval, range = null) => {
+        const result = transposeNotes(notes, interval, { key, scaleType, range, cagedPosition });
+        if (result.changed === 0 && result.key === key) return null;
+        beginGroup('移調');
+        commitNotes(result.notes, '移調');
+        if (result.key !== key) {
+            commitMetadata({ key }, { key: result.key }, '移調');
+            applyScoreSettings({ key: result.key });
+        }
+        endGroup();
+        return result;
+    }, [notes, key, scaleType, cagedPosition, beginGroup, endGroup, commitMetadata, commitNotes, applyScoreSettings]);
 
-            // 非簡譜音符（GP 匯入等）：從 MIDI 重新計算簡譜，保持絕對音高不變
-            const midiVal = note.midi ?? note.midiNote;
-            if (midiVal != null) {
-                const recalc = Note.fromMidi(midiVal, {
-                    key, scaleType,
-                    index: note.index,
-                    duration: note.duration,
-                    stringIndex: note.stringIndex,
-                    fret: note.fret,
-                    technique: note.technique,
-                    format: note.format,
-                    displayOctaveShift: note.displayOctaveShift || 0
-                });
-                return {
-                    ...note,
-                    jianpu: recalc.jianpu,
-                    noteName: recalc.noteName,
-                    displayStr: recalc.displayStr,
-                    accidentalStr: recalc.accidentalStr,
-                    octave: recalc.octave,
-                    displayOctaveShift: recalc.displayOctaveShift
-                };
-            }
+    // ===== 匯入 / 解析 / 開啟檔案 =====
+    // 音符與調號、音階、速度、拍號記錄為同一次編輯（復原時一併還原）；調號或音階改變時音符依新調拼寫
+    const commitImport = useCallback((nextNotes, settings, label) => {
+        const current = settingsRef.current;
+        const before = {};
+        const after = {};
+        ['key', 'scaleType', 'tempo', 'timeSignature'].forEach(field => {
+            if (!settings[field] || settings[field] === current[field]) return;
+            before[field] = current[field];
+            after[field] = settings[field];
+        });
+        beginGroup(label);
+        if (nextNotes) {
+            const respell = after.key || after.scaleType;
+            commitNotes(respell ? respellNotes(nextNotes, after.key || current.key, after.scaleType || current.scaleType) : nextNotes, label);
+        }
+        commitMetadata(before, after, label);
+        applyScoreSettings(after);
+        endGroup();
+    }, [beginGroup, endGroup, commitMetadata, commitNotes, applyScoreSettings]);
 
-            return note;
-        }));
-    }, [key, scaleType]);
+    // ===== 多聲部 =====
+    // 切換聲部：保存目前聲部的音符，載入目標聲部（編輯歷史不跨聲部）
+    const clearHistory = editHistory.clear;
+    const switchPart = useCallback((index) => {
+        if (index === activePart || !parts[index]) return;
+        const next = parts.map((p, i) => i === activePart ? { ...p, notes } : p);
+        const target = next[index];
+        setParts(next);
+        setActivePart(index);
+        setNotes(normalizeNotes(target.notes));
+        clearHistory();
+        setScoreInfo(info => ({ ...info, capo: target.capo || null }));
+        if (target.instrument && setGuitarType) setGuitarType(target.instrument);
+    }, [parts, activePart, notes, clearHistory, setGuitarType]);
+
+    const togglePartMute = useCallback((index) => {
+        setParts(prev => prev.map((p, i) => i === index ? { ...p, muted: !p.muted } : p));
+    }, []);
+
+    // 匯出 / 存檔用：目前聲部帶入最新音符
+    const currentParts = useMemo(() =>
+        parts.map((p, i) => i === activePart ? { ...p, notes } : p),
+        [parts, activePart, notes]
+    );
+
+    // ===== 匯入結果（檔案 / OCR / 文字譜）=====
+    const handleImportNotes = useCallback((result) => {
+        commitImport(result.notes ? normalizeNotes(result.notes) : null, result.metadata || {}, '匯入樂譜');
+        if (result.notes) {
+            setParts(restoreParts(result.parts));
+            setActivePart(result.activePart ?? 0);
+            if (result.format === 'chordpro' || result.format === 'chordsheet') setShowLeadSheet(true);
+        }
+        if (result.metadata) {
+            setScoreInfo({
+                title: result.metadata.title ?? null,
+                composer: result.metadata.composer ?? null,
+                lyricist: result.metadata.lyricist ?? null,
+                capo: result.metadata.capo ?? null
+            });
+        }
+    }, [commitImport]);
+
+    // 「和弦在歌詞上方」的歌譜：轉成和弦時間軸（同一段文字不重複匯入）
+    const lastChordSheetRef = useRef(null);
+    const importChordSheet = useCallback((text) => {
+        if (text === lastChordSheetRef.current) return;
+        lastChordSheetRef.current = text;
+        const parser = new ChordSheetParser();
+        handleImportNotes({
+            notes: parser.parse(text),
+            format: 'chordsheet',
+            metadata: {
+                title: parser.title || null,
+                composer: parser.artist || null,
+                key: parser.key,
+                scaleType: parser.scaleType,
+                tempo: parser.tempo,
+                timeSignature: parser.timeSignature,
+                capo: parser.capo || null
+            }
+        });
+    }, [handleImportNotes]);
 
     // ===== 手動解析 =====
     const handleManualParse = useCallback(() => {
-        const parsedNotes = parseJianpuText(editableText, key, scaleType, octaveOffset);
-        setNotes(parsedNotes);
-    }, [editableText, key, scaleType, octaveOffset]);
+        if (new ChordSheetParser().validate(editableText)) {
+            importChordSheet(editableText);
+            return;
+        }
+        const { notes: parsedNotes, metadata } = parseJianpuScore(editableText, { key, scaleType, octaveOffset });
+        // 文字開頭的 1=X / 拍號 / 速度
+        commitImport(parsedNotes, { key: metadata.key, timeSignature: metadata.timeSignature, tempo: metadata.tempo }, '解析簡譜');
+    }, [editableText, key, scaleType, octaveOffset, commitImport, importChordSheet]);
+
+    // 離開文字框時只在內容有改動才重新解析：聚焦時的文字視為與目前樂譜一致，
+    // 避免只是點進點出就用自動存檔 / OCR 的文字取代匯入的樂譜（時值、弦格等）並多一筆復原紀錄
+    const parsedTextRef = useRef(null);
+    const handleTextFocus = useCallback(() => {
+        parsedTextRef.current = editableText;
+    }, [editableText]);
+    const handleTextBlur = useCallback(() => {
+        if (editableText === parsedTextRef.current) return;
+        parsedTextRef.current = editableText;
+        handleManualParse();
+    }, [editableText, handleManualParse]);
+
+    // 貼上整份和弦譜時直接匯入
+    const handleRawTextPaste = useCallback((e) => {
+        const text = e.clipboardData?.getData('text/plain');
+        if (!text || !new ChordSheetParser().validate(text)) return;
+        e.preventDefault();
+        setEditableText(text);
+        importChordSheet(text);
+    }, [importChordSheet]);
 
     // ===== 檔案載入處理 =====
     const handleLoadFile = useCallback((content) => {
-        const actualData = content.data ? content.data : content;
+        // 舊版檔案先遷移到目前版本，並驗證欄位
+        let loaded;
+        try {
+            loaded = loadScoreData(content);
+        } catch (e) {
+            alert(`載入失敗：${e.message}`);
+            return;
+        }
+        const actualData = loaded.data;
+        const summary = formatValidationReport(loaded.report);
+        if (summary) console.warn(`[ReadMode] 樂譜檔案驗證：${summary}`);
 
         if (actualData && (actualData.notes || actualData.text)) {
             setEditableText(actualData.text || '');
-            setNotes(normalizeNotes(actualData.notes || []));
-            setKey(actualData.key || 'C');
-            setScaleType(actualData.scaleType || 'Major');
-            setTempo(actualData.tempo || 120);
+            commitImport(normalizeNotes(actualData.notes || []), {
+                key: actualData.key || 'C',
+                scaleType: actualData.scaleType || 'Major',
+                tempo: actualData.tempo || 120,
+                timeSignature: actualData.timeSignature
+            }, '開啟檔案');
+            setParts(restoreParts(actualData.parts));
+            setActivePart(actualData.activePart ?? 0);
             if (typeof actualData.startString === 'number') setStartString(actualData.startString);
             if (actualData.cagedPosition !== undefined) setCagedPosition(actualData.cagedPosition);
             if (typeof actualData.octaveOffset === 'number') setOctaveOffset(actualData.octaveOffset);
@@ -544,25 +814,26 @@ function ReadMode({ guitarType, setGuitarType, fretCount }) {
             if (actualData.youtubeLayout) setYoutubeLayout(actualData.youtubeLayout);
             if (actualData.viewMode) setViewMode(actualData.viewMode);
             if (actualData.instrument && setGuitarType) setGuitarType(actualData.instrument);
-            // 支援新格式 sourceImages 陣列與舊格式單張 sourceImage
-            let loadedImageCount = 0;
-            if (Array.isArray(actualData.sourceImages)) {
-                setSourceImages(actualData.sourceImages);
-                loadedImageCount = actualData.sourceImages.length;
-            } else if (actualData.sourceImage) {
-                setSourceImages([actualData.sourceImage]);
-                loadedImageCount = 1;
-            } else {
-                setSourceImages([]);
-            }
-            const imageMsg = loadedImageCount > 0
-                ? `（含 ${loadedImageCount} 張原圖）`
+            setScoreInfo({
+                title: actualData.title ?? null,
+                composer: actualData.composer ?? null,
+                lyricist: actualData.lyricist ?? null,
+                capo: actualData.capo ?? null
+            });
+            // 舊格式單張 sourceImage 已由遷移轉為 sourceImages 陣列
+            const images = Array.isArray(actualData.sourceImages) ? actualData.sourceImages : [];
+            setSourceImages(images);
+            const imageMsg = images.length > 0
+                ? `（含 ${images.length} 張原圖）`
                 : '（無原圖 — 此檔可能是舊版本存的）';
-            alert(`樂譜載入成功！${imageMsg}`);
+            const issueMsg = loaded.report.errors.length > 0
+                ? `\n\n⚠ 有 ${loaded.report.errors.length} 個欄位資料損壞，已盡量載入（詳見主控台）`
+                : '';
+            alert(`樂譜載入成功！${imageMsg}${issueMsg}`);
         } else {
             alert('載入失敗：檔案格式不符');
         }
-    }, []);
+    }, [commitImport]);
 
     // ===== 點擊外部關閉選單 =====
     useEffect(() => {
@@ -582,11 +853,48 @@ function ReadMode({ guitarType, setGuitarType, fretCount }) {
                         ? `已載入 ${notes.filter(n => !n.isSeparator && !n.isSymbol).length} 個音符`
                         : '尚無樂譜 — 開啟「檔案 / OCR」載入或匯入'}
                 </span>
-                <button className="read-filebar-btn" onClick={() => setFileModalOpen(true)}>
-                    📁 檔案 / OCR / 匯出
-                </button>
+                <div className="read-filebar-actions">
+                    {sections.length > 0 && (
+                        <select
+                            className="read-filebar-select"
+                            value={activeSectionIdx}
+                            onChange={(e) => {
+                                const section = sections[Number(e.target.value)];
+                                if (section) loopSection.setLoopRange(section.startIdx, section.endIdx);
+                                else loopSection.clearLoop();
+                            }}
+                            title="選擇段落循環播放"
+                        >
+                            <option value={-1}>🔁 段落循環：關</option>
+                            {sections.map((section, i) => (
+                                <option key={i} value={i}>
+                                    {section.name}（{section.measures} 小節）
+                                </option>
+                            ))}
+                        </select>
+                    )}
+                    {hasLeadSheet && (
+                        <button
+                            className="read-filebar-btn"
+                            onClick={() => setShowLeadSheet(p => !p)}
+                            title="和弦名稱在歌詞上方的和弦譜，目前和弦同步顯示於指板"
+                        >
+                            {showLeadSheet ? '🎼 隱藏和弦譜' : '🎼 和弦譜'}
+                        </button>
+                    )}
+                    <button className="read-filebar-btn" onClick={() => setFileModalOpen(true)}>
+                        📁 檔案 / OCR / 匯出
+                    </button>
+                </div>
             </div>
 
+            <PartSwitcher
+                parts={parts}
+                activePart={activePart}
+                onSelect={switchPart}
+                onToggleMute={togglePartMute}
+            />
+
             {/* 檔案 modal：OCR 辨識 / 匯入 / 存檔 / 匯出（呼叫才出現）*/}
             {fileModalOpen && (
                 <div className="read-file-modal-overlay" onClick={() => setFileModalOpen(false)}>
@@ -599,20 +907,11 @@ function ReadMode({ guitarType, setGuitarType, fretCount }) {
                             musicKey={key}
                             scaleType={scaleType}
                             octaveOffset={octaveOffset}
-                            onNotesChange={setNotes}
+                            onNotesChange={commitNotes}
                             onTextChange={setEditableText}
                             onRawTextChange={setRawText}
                             onSourceImagesChange={setSourceImages}
-                            onImportNotes={(result) => {
-                                if (result.notes) {
-                                    setNotes(normalizeNotes(result.notes));
-                                }
-                                if (result.metadata) {
-                                    if (result.metadata.key) setKey(result.metadata.key);
-                                    if (result.metadata.tempo) setTempo(result.metadata.tempo);
-                                    if (result.metadata.timeSignature) setTimeSignature(result.metadata.timeSignature);
-                                }
-                            }}
+                            onImportNotes={handleImportNotes}
                         />
                         <FileActions
                             editableText={editableText}
@@ -630,6 +929,9 @@ function ReadMode({ guitarType, setGuitarType, fretCount }) {
                             viewMode={viewMode}
                             instrument={guitarType}
                             sourceImages={sourceImages}
+                            scoreInfo={scoreInfo}
+                            parts={currentParts}
+                            activePart={activePart}
                             onLoadFile={handleLoadFile}
                             fileName="guitar_score"
                         />
@@ -695,6 +997,22 @@ function ReadMode({ guitarType, setGuitarType, fretCount }) {
                 </div>
             )}
 
+            {/* 文字輸入區：簡譜，或貼上和弦在歌詞上方的歌譜 */}
+            {rawText && (
+                <div className="result-section expanded">
+                    <label>簡譜 / 和弦譜內容</label>
+                    <textarea
+                        value={editableText}
+                        onChange={(e) => setEditableText(e.target.value)}
+                        onFocus={handleTextFocus}
+                        onBlur={handleTextBlur}
+                        onPaste={handleRawTextPaste}
+                        placeholder="簡譜內容，或貼上和弦在歌詞上方的歌譜 (可直接編輯，點擊外處更新)"
+                        rows={10}
+                    />
+                </div>
+            )}
+
             {/* 音符編輯區 — 內嵌於主畫面中間（inline） */}
             {notes.length > 0 && (
                 <NoteEditor
@@ -709,8 +1027,9 @@ function ReadMode({ guitarType, setGuitarType, fretCount }) {
                     musicKey={key}
                     scaleType={scaleType}
                     tempo={tempo}
+                    timeSignature={timeSignature}
                     onTempoChange={setTempo}
-                    onNotesChange={setNotes}
+                    onNotesChange={commitNotes}
                     onTextChange={setEditableText}
                     onSelectedNoteChange={setSelectedNoteIndex}
                     onTogglePlay={() => {
@@ -734,6 +1053,19 @@ function ReadMode({ guitarType, setGuitarType, fretCount }) {
                     initialPlayMode={editPlayInitialMode}
                     instrument={guitarType}
                     onInstrumentChange={setGuitarType}
+                    onTranspose={handleTranspose}
+                />
+            )}
+
+            {/* 和弦譜檢視 — 點選片段跳到該位置並顯示和弦 */}
+            {showLeadSheet && hasLeadSheet && (
+                <LeadSheetView
+                    notes={notes}
+                    currentNoteIndex={currentNoteIndex}
+                    onSegmentClick={(index, chord) => {
+                        handleNoteClick(index);
+                        showChordSymbol(chord ?? getChordAt(notes, index));
+                    }}
                 />
             )}
 
@@ -783,6 +1115,8 @@ function ReadMode({ guitarType, setGuitarType, fretCount }) {
                         notes={viewNotes}
                         notePositions={notePositions}
                         timeSignature={timeSignature}
+                        musicKey={key}
+                        scaleType={scaleType}
                         currentNoteIndex={currentNoteIndex}
                     />
                 </div>
@@ -13,9 +13,45 @@
  *   三十二分音符: 1          (三條底線)
  *              ≡
  *   附點:       1·         (音符右側加點)
+ *
+ * 變更記號標於音符上方：調號 1=D、拍號 3/4、速度 ♩=90、rit. / accel.、延長記號 𝄐
+ * 歌詞依段落逐行標於音符下方（容器高度隨段數增加）
  */
 
 import React from 'react';
+import { getChangesByIndex, TEMPO_RAMP_LABELS } from '../../core/timing/changes.js';
+import { splitKeySignature } from '../../core/theory/spelling.js';
+import { getVerseCount, getLyricLabel } from '../../core/lyrics/lyrics.js';
+
+/**
+ * 每段歌詞行的高度 (px)
+ */
+const LYRIC_LINE_HEIGHT = 14;
+
+/**
+ * 依變更事件產生每個音符上方的標記文字
+ * 小節線沒有座標，其上的變更標在下一個有座標的音符
+ * @param {Array} notes
+ * @param {Array<number|null>} xs - 音符 X 座標
+ * @returns {Array<string|null>}
+ */
+function getChangeLabels(notes, xs) {
+    const changes = getChangesByIndex(notes);
+    const labels = new Array(notes.length).fill(null);
+    let pending = [];
+    notes.forEach((note, index) => {
+        const change = changes.get(index);
+        if (change?.key) pending.push(`1=${splitKeySignature(change.key).key}`);
+        if (change?.time) pending.push(change.time);
+        if (change?.tempo) pending.push(`♩=${Math.round(change.tempo)}`);
+        if (change?.ramp) pending.push(TEMPO_RAMP_LABELS[change.ramp]);
+        if (change?.fermata) pending.push('𝄐');
+        if (note.isSeparator || note.isSymbol || xs[index] == null || pending.length === 0) return;
+        labels[index] = pending.join(' ');
+        pending = [];
+    });
+    return labels;
+}
 
 /**
  * 渲染八度點
@@ -152,11 +188,14 @@ function JianpuView({
     height = 80,
     color = 'white'
 }) {
+    const changeLabels = getChangeLabels(notes, noteXCoordinates);
+    const verseCount = getVerseCount(notes);
+
     return (
         <div
             className="jianpu-view"
             style={{
-                height: `${height}px`,
+                height: `${height + verseCount * LYRIC_LINE_HEIGHT}px`,
                 position: 'relative',
                 width: '100%'
             }}
@@ -183,49 +222,86 @@ function JianpuView({
                 const isSpecial = note.isSeparator || note.isExtension || note.isSymbol;
 
                 return (
-                    <div
-                        key={index}
-                        style={{
-                            position: 'absolute',
-                            left: x - 12,
-                            top: '20px',
-                            width: '24px',
-                            display: 'flex',
-                            flexDirection: 'column',
-                            alignItems: 'center',
-                            color: noteColor,
-                            fontWeight: 'bold',
-                            fontSize: '18px',
-                            lineHeight: '1',
-                            transition: 'color 0.1s ease'
-                        }}
-                    >
-                        {/* 高八度點 */}
-                        {!isSpecial && octDiff > 0 && renderOctaveDots(octDiff, 'top')}
-
-                        {/* 音符數字 + 附點 */}
-                        <span style={{
-                            position: 'relative',
-                            textShadow: isActive ? '0 0 8px rgba(76, 175, 80, 0.8)' : 'none'
-                        }}>
-                            {char}
-                            {/* 附點符號 */}
-                            {showDuration && !isSpecial && renderDottedSymbol(note.dotted, noteColor)}
-                        </span>
-
-                        {/* 低八度點 */}
-                        {!isSpecial && octDiff < 0 && renderOctaveDots(Math.abs(octDiff), 'bottom')}
-
-                        {/* 時值標記 */}
-                        {showDuration && !isSpecial && (
-                            <>
-                                {/* 短音符底線 (八分、十六分、三十二分) */}
-                                {renderDurationLines(note.duration, noteColor)}
-                                {/* 長音符底線 (二分、全音符) */}
-                                {renderLongDuration(note.duration, noteColor)}
-                            </>
+                    <React.Fragment key={index}>
+                        {changeLabels[index] && (
+                            <div
+                                className="jianpu-change-label"
+                                style={{
+                                    position: 'absolute',
+                                    left: x - 12,
+                                    top: '0px',
+                                    fontSize: '10px',
+                                    color: '#ffb74d',
+                                    whiteSpace: 'nowrap',
+                                    lineHeight: '1'
+                                }}
+                            >
+                                {changeLabels[index]}
+                            </div>
                         )}
-                    </div>
+                        <div
+                            style={{
+                                position: 'absolute',
+                                left: x - 12,
+                                top: '20px',
+                                width: '24px',
+                                display: 'flex',
+                                flexDirection: 'column',
+                                alignItems: 'center',
+                                color: noteColor,
+                                fontWeight: 'bold',
+                                fontSize: '18px',
+                                lineHeight: '1',
+                                transition: 'color 0.1s ease'
+                            }}
+                        >
+                            {/* 高八度點 */}
+                            {!isSpecial && octDiff > 0 && renderOctaveDots(octDiff, 'top')}
+
+                            {/* 音符數字 + 附點 */}
+                            <span style={{
+                                position: 'relative',
+                                textShadow: isActive ? '0 0 8px rgba(76, 175, 80, 0.8)' : 'none'
+                            }}>
+                                {char}
+                                {/* 附點符號 */}
+                                {showDuration && !isSpecial && renderDottedSymbol(note.dotted, noteColor)}
+                            </span>
+
+                            {/* 低八度點 */}
+                            {!isSpecial && octDiff < 0 && renderOctaveDots(Math.abs(octDiff), 'bottom')}
+
+                            {/* 時值標記 */}
+                            {showDuration && !isSpecial && (
+                                <>
+                                    {/* 短音符底線 (八分、十六分、三十二分) */}
+                                    {renderDurationLines(note.duration, noteColor)}
+                                    {/* 長音符底線 (二分、全音符) */}
+                                    {renderLongDuration(note.duration, noteColor)}
+                                </>
+                            )}
+                        </div>
+                        {/* 歌詞（每段一行） */}
+                        {(note.lyrics || []).map(lyric => (
+                            <div
+                                key={`lyric-${lyric.verse}`}
+                                className="jianpu-lyric"
+                                style={{
+                                    position: 'absolute',
+                                    left: x - 12,
+                                    top: `${height - 4 + (lyric.verse - 1) * LYRIC_LINE_HEIGHT}px`,
+                                    width: '24px',
+                                    textAlign: 'center',
+                                    fontSize: '12px',
+                                    color: isActive ? '#4caf50' : '#ccc',
+                                    whiteSpace: 'nowrap',
+                                    lineHeight: '1'
+                                }}
+                            >
+                                {getLyricLabel(lyric)}
+                            </div>
+                        ))}
+                    </React.Fragment>
                 );
             })}
         </div>
@@ -1,10 +1,30 @@
 /**
  * StaffView - 五線譜視圖元件
  * 使用 VexFlow 渲染標準五線譜，支援音符時值
+ * 小節的調號 / 拍號變更以小節線 + 調號 / 拍號呈現，速度、漸變速度、延長記號標於音符上
+ * 力度記號與漸強 / 漸弱標於譜下，重音 / 斷奏等以 VexFlow 奏法符號呈現，P.M. / l.r. 標於譜上
+ * 歌詞依段落標於譜下（每段一行，缺少該段歌詞的音以空白佔位以對齊）
  */
 
 import React, { useEffect, useRef } from 'react';
-import { Factory, StaveNote, Stave, Voice, Formatter, Accidental, Dot } from 'vexflow';
+import {
+    Factory, StaveNote, Stave, Voice, Formatter, Accidental, Dot,
+    Annotation, Articulation, BarNote, KeySigNote, TimeSigNote
+} from 'vexflow';
+import { spellNotes, getKeySignature, splitKeySignature, createAccidentalTracker } from '../../core/theory/spelling.js';
+import { getChangesByIndex, TEMPO_RAMP_LABELS } from '../../core/timing/changes.js';
+import { ARTICULATIONS, HAIRPIN_LABELS } from '../../core/expression/dynamics.js';
+import { getVerseCount, getLyric, getLyricLabel } from '../../core/lyrics/lyrics.js';
+
+/**
+ * 奏法 → VexFlow Articulation 代碼（其餘奏法以文字標示）
+ */
+const VEX_ARTICULATIONS = {
+    'accent': 'a>',
+    'marcato': 'a^',
+    'staccato': 'a.',
+    'tenuto': 'a-'
+};
 
 /**
  * 將 Note.duration 轉換為 VexFlow duration 字串
@@ -33,6 +53,8 @@ function StaffView({
     notes,
     notePositions = [],
     timeSignature = '4/4',
+    musicKey = 'C',
+    scaleType = 'Major',
     currentNoteIndex = -1,
     onNoteCoordinates,
     width,
@@ -48,7 +70,8 @@ function StaffView({
 
         // 計算動態寬度
         const calculatedWidth = width || Math.max(800, notes.length * 60 + 100);
-        const height = 200;
+        const verseCount = getVerseCount(notes);
+        const height = 200 + verseCount * 15;
 
         const vf = new Factory({
             renderer: { elementId: containerRef.current, width: calculatedWidth, height }
@@ -57,8 +80,34 @@ function StaffView({
         const staveNotes = [];
         const noteMapping = [];
 
+        // 依調號與旋律方向拼寫音名；播放位置的 MIDI 優先（與指板一致）
+        const spelledNotes = spellNotes(notes.map((note, index) => {
+            const posMidi = notePositions[index]?.midi;
+            return typeof posMidi === 'number' ? { ...note, midi: posMidi } : note;
+        }), { key: musicKey, scaleType });
+        const accidentals = createAccidentalTracker(musicKey, scaleType);
+        const changes = getChangesByIndex(notes);
+        let currentKeySpec = getKeySignature(musicKey, scaleType).majorKey;
+        let pendingTempo = null;    // 小節線上的速度變更，標在下一個音符
+
         notes.forEach((note, index) => {
+            const change = changes.get(index);
             if (note.isSeparator || note.isSymbol) {
+                if (note.isSeparator) {
+                    accidentals.resetBar();
+                    if (change?.key || change?.time) {
+                        staveNotes.push(new BarNote());
+                        if (change.key) {
+                            const split = splitKeySignature(change.key, scaleType);
+                            const keySpec = getKeySignature(split.key, split.scaleType).majorKey;
+                            accidentals.setKey(split.key, split.scaleType);
+                            staveNotes.push(new KeySigNote(keySpec, currentKeySpec));
+                            currentKeySpec = keySpec;
+                        }
+                        if (change.time) staveNotes.push(new TimeSigNote(change.time));
+                    }
+                    if (change?.tempo) pendingTempo = change.tempo;
+                }
                 noteMapping.push(null);
                 return;
             }
@@ -67,17 +116,11 @@ function StaffView({
                 let keys = ["b/4"];
                 const isRest = note.isRest || note.displayStr === '0';
                 const duration = toVexDuration(note.duration || 'quarter', isRest);
+                const spelled = isRest ? null : spelledNotes[index];
 
-                if (isRest) {
-                    keys = ["b/4"];
-                } else if (notePositions[index] && typeof notePositions[index].midi === 'number') {
-                    const pos = notePositions[index];
-                    const noteIndex = ((pos.midi % 12) + 12) % 12;
-                    const octave = Math.max(0, Math.floor(pos.midi / 12) - 1);
-                    const names = ['c', 'c#', 'd', 'd#', 'e', 'f', 'f#', 'g', 'g#', 'a', 'a#', 'b'];
-                    const name = names[noteIndex] || 'b';
-                    keys = [`${name}/${octave}`];
-                } else if (note.noteName) {
+                if (spelled) {
+                    keys = [`${spelled.name.toLowerCase()}/${Math.max(0, spelled.octave)}`];
+                } else if (!isRest && note.noteName) {
                     const octave = Math.max(0, note.octave || 4);
                     const keyStr = `${note.noteName.toLowerCase()}/${octave}`;
                     keys = [keyStr];
@@ -89,9 +132,9 @@ function StaffView({
                     clef: "treble"
                 });
 
-                // 升降記號
-                if (!isRest && note.noteName?.includes('#')) sNote.addModifier(new Accidental("#"));
-                else if (!isRest && note.noteName?.includes('b')) sNote.addModifier(new Accidental("b"));
+                // 臨時記號：調號已含的不畫，同小節內已出現的沿用
+                const accidental = spelled ? accidentals.next(spelled) : null;
+                if (accidental) sNote.addModifier(new Accidental(accidental));
 
                 // 附點音符
                 if (note.dotted && note.dotted >= 1) {
@@ -100,6 +143,42 @@ function StaffView({
                     }
                 }
 
+                // 速度 / 漸變速度 / 延長記號
+                const tempoMark = change?.tempo ?? pendingTempo;
+                pendingTempo = null;
+                if (tempoMark) {
+                    sNote.addModifier(new Annotation(`♩=${Math.round(tempoMark)}`).setVerticalJustification('top'));
+                }
+                if (change?.ramp) {
+                    sNote.addModifier(new Annotation(TEMPO_RAMP_LABELS[change.ramp]).setVerticalJustification('bottom'));
+                }
+                if (change?.fermata) {
+                    sNote.addModifier(new Articulation('a@a').setPosition('above'));
+                }
+
+                // 歌詞（先於力度加入，各段落在每個音下方的行位一致）
+                if (!isRest) {
+                    for (let verse = 1; verse <= verseCount; verse++) {
+                        const label = getLyricLabel(getLyric(note, verse)) || ' ';
+                        sNote.addModifier(new Annotation(label).setVerticalJustification('bottom'));
+                    }
+                }
+
+                // 力度 / 漸強漸弱 / 奏法
+                if (!isRest) {
+                    const dynamicMarks = [note.dynamic, HAIRPIN_LABELS[note.hairpin]].filter(Boolean);
+                    if (dynamicMarks.length) {
+                        sNote.addModifier(new Annotation(dynamicMarks.join(' ')).setVerticalJustification('bottom'));
+                    }
+                    (note.articulations || []).forEach(name => {
+                        if (VEX_ARTICULATIONS[name]) {
+                            sNote.addModifier(new Articulation(VEX_ARTICULATIONS[name]).setPosition('above'));
+                        } else if (ARTICULATIONS[name]) {
+                            sNote.addModifier(new Annotation(ARTICULATIONS[name].label).setVerticalJustification('top'));
+                        }
+                    });
+                }
+
                 staveNotes.push(sNote);
                 noteMapping.push(staveNotes.length - 1);
             } catch (err) {
@@ -114,7 +193,9 @@ function StaffView({
         const staveWidth = Math.max(500, staveNotes.length * 50);
 
         const stave = new Stave(staveX, staveY, staveWidth);
-        stave.addClef("treble").addTimeSignature(timeSignature);
+        stave.addClef("treble")
+            .addKeySignature(getKeySignature(musicKey, scaleType).majorKey)
+            .addTimeSignature(timeSignature);
 
         const context = vf.getContext();
         stave.setContext(context).draw();
@@ -142,7 +223,7 @@ function StaffView({
             onNoteCoordinates(coords);
         }
 
-    }, [notes, notePositions, timeSignature, width, staveY, onNoteCoordinates]);
+    }, [notes, notePositions, timeSignature, musicKey, scaleType, width, staveY, onNoteCoordinates]);
 
     return (
         <div
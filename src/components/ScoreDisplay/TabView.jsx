@@ -1,10 +1,14 @@
 /**
  * TabView - 六線譜視圖元件
  * 使用 VexFlow 渲染吉他六線譜，支援音符時值
+ * 小節的拍號 / 速度變更、漸變速度與延長記號以文字標於音符上方 / 下方
+ * P.M. / l.r. 等吉他奏法標於上方，力度記號標於下方
  */
 
 import React, { useEffect, useRef } from 'react';
-import { Factory, TabNote, TabStave, Voice, Formatter, Dot, TabSlide, TabTie, Annotation } from 'vexflow';
+import { Factory, TabNote, TabStave, Voice, Formatter, Dot, TabSlide, TabTie, Annotation, Articulation } from 'vexflow';
+import { getChangesByIndex, TEMPO_RAMP_LABELS } from '../../core/timing/changes.js';
+import { ARTICULATIONS, HAIRPIN_LABELS } from '../../core/expression/dynamics.js';
 
 /**
  * 將 Note.duration 轉換為 VexFlow duration 字串
@@ -15,6 +19,9 @@ const TECH_COLORS = {
   'hammer-on': '#3a8ee8', 'pull-off': '#e0556b',
 };
 
+// 六線譜上標示的奏法（重音 / 斷奏等只畫在五線譜）
+const TAB_ARTICULATIONS = ['palm-mute', 'let-ring'];
+
 function toVexDuration(duration, isRest = false) {
     const map = {
         'whole': 'w',
@@ -62,9 +69,14 @@ function TabView({
 
         const tabNotes = [];
         const noteMapping = [];
+        const changes = getChangesByIndex(notes);
+        let pendingMarks = [];    // 小節線上的拍號 / 速度變更，標在下一個音符
 
         notes.forEach((note, index) => {
+            const change = changes.get(index);
             if (note.isSeparator || note.isSymbol) {
+                if (change?.time) pendingMarks.push(change.time);
+                if (change?.tempo) pendingMarks.push(`♩=${Math.round(change.tempo)}`);
                 noteMapping.push(null);
                 return;
             }
@@ -117,6 +129,34 @@ function TabView({
                     } catch { /* ignore */ }
                 }
 
+                // 拍號 / 速度 / 漸變速度 / 延長記號
+                const marks = [...pendingMarks];
+                pendingMarks = [];
+                if (change?.tempo) marks.push(`♩=${Math.round(change.tempo)}`);
+                if (!isRest) {
+                    (note.articulations || []).forEach(name => {
+                        if (TAB_ARTICULATIONS.includes(name)) marks.push(ARTICULATIONS[name].label);
+                    });
+                }
+                if (marks.length) {
+                    const annot = new Annotation(marks.join(' '));
+                    annot.setVerticalJustification(Annotation.VerticalJustify.TOP);
+                    tNote.addModifier(annot, 0);
+                }
+                const bottomMarks = [
+                    change?.ramp && TEMPO_RAMP_LABELS[change.ramp],
+                    !isRest && note.dynamic,
+                    !isRest && HAIRPIN_LABELS[note.hairpin]
+                ].filter(Boolean);
+                if (bottomMarks.length) {
+                    const annot = new Annotation(bottomMarks.join(' '));
+                    annot.setVerticalJustification(Annotation.VerticalJustify.BOTTOM);
+                    tNote.addModifier(annot, 0);
+                }
+                if (change?.fermata) {
+                    tNote.addModifier(new Articulation('a@a').setPosition('above'), 0);
+                }
+
                 tabNotes.push(tNote);
                 noteMapping.push(tabNotes.length - 1);
             } catch (err) {
@@ -14,6 +14,8 @@ function ScoreDisplay({
     notes,
     notePositions = [],
     timeSignature = '4/4',
+    musicKey = 'C',
+    scaleType = 'Major',
     currentNoteIndex = -1,
     notation = 'all',
     onNotationChange,
@@ -108,6 +110,8 @@ function ScoreDisplay({
                         notes={notes}
                         notePositions={notePositions}
                         timeSignature={timeSignature}
+                        musicKey={musicKey}
+                        scaleType={scaleType}
                         currentNoteIndex={currentNoteIndex}
                         onNoteCoordinates={handleNoteCoordinates}
                         staveY={staffY}
@@ -5,6 +5,7 @@
 
 import { Note } from '../core/models/Note.js';
 import { NOTES, SCALES, STRING_TUNINGS } from '../data/scaleData.js';
+import { spellMidi, spellJianpu, spellNotes } from '../core/theory/spelling.js';
 
 // Scale type mapping
 const SCALE_MAPPING = {
@@ -85,9 +86,10 @@ export class NoteConverter {
      * @param {Note} note
      * @param {string} key - 調號
      * @param {string} scaleType - 音階類型
+     * @param {Object} options - { direction } 旋律方向（半音拼寫用）
      * @returns {Object}
      */
-    static toJianpu(note, key = 'C', scaleType = 'Major') {
+    static toJianpu(note, key = 'C', scaleType = 'Major', options = {}) {
         if (!note || note.isSeparator || note.isRest || note.isExtension || note.isSymbol) {
             return note;
         }
@@ -95,43 +97,13 @@ export class NoteConverter {
         const midi = note.midi || note.midiNote;
         if (!midi) return note;
 
-        const keyOffset = KEY_OFFSETS[key] || 0;
-        const mappedType = SCALE_MAPPING[scaleType] || 'major';
-        const scale = SCALES[mappedType] || SCALES['major'];
-        const intervals = scale.intervals;
-
-        // 計算相對於調號根音的半音數
-        const noteIndex = ((midi % 12) - keyOffset + 12) % 12;
-
-        // 找出對應的簡譜數字
-        let jianpu = null;
-        let accidentalStr = '';
-
-        for (let i = 0; i < intervals.length; i++) {
-            if (intervals[i] === noteIndex) {
-                jianpu = i + 1;
-                break;
-            }
-            // 檢查升記號
-            if (intervals[i] === noteIndex - 1) {
-                jianpu = i + 1;
-                accidentalStr = '#';
-                break;
-            }
-            // 檢查降記號
-            if (intervals[i] === noteIndex + 1) {
-                jianpu = i + 1;
-                accidentalStr = 'b';
-                break;
-            }
-        }
-
-        if (jianpu === null) {
-            // 找不到匹配，使用最接近的
-            jianpu = Math.round((noteIndex / 12) * 7) + 1;
-            if (jianpu > 7) jianpu = 7;
-            if (jianpu < 1) jianpu = 1;
-        }
+        // 依拼寫後的字母決定級數（F 大調的 Bb = 4 而非 3#）
+        const { degree, accidental: accidentalStr } = spellJianpu(midi, {
+            key,
+            scaleType,
+            direction: options.direction || 0
+        });
+        const jianpu = degree;
 
         // 計算八度
         const octave = Math.floor(midi / 12) - 1;
@@ -156,9 +128,10 @@ export class NoteConverter {
     /**
      * 單一音符轉換為五線譜格式
      * @param {Note} note
+     * @param {Object} options - { key, scaleType, direction, spelled }
      * @returns {Object}
      */
-    static toStaff(note) {
+    static toStaff(note, options = {}) {
         if (!note || note.isSeparator || note.isRest || note.isExtension || note.isSymbol) {
             return note;
         }
@@ -166,9 +139,14 @@ export class NoteConverter {
         const midi = note.midi || note.midiNote;
         if (!midi) return note;
 
-        const noteIndex = ((midi % 12) + 12) % 12;
-        const octave = Math.floor(midi / 12) - 1;
-        const noteName = NOTES[noteIndex];
+        // 依調號與旋律方向拼寫（F 大調顯示 Bb 而不是 A#）
+        const spelled = options.spelled || spellMidi(midi, {
+            key: options.key,
+            scaleType: options.scaleType,
+            direction: options.direction || 0
+        });
+        const noteName = spelled.name;
+        const octave = spelled.octave;
 
         // 建立五線譜顯示資訊
         const staffInfo = {
@@ -298,7 +276,8 @@ export class NoteConverter {
      * @private
      */
     static _jianpuToStaff(notes, options) {
-        return notes.map(note => this.toStaff(note));
+        const spelled = spellNotes(notes, options);
+        return notes.map((note, i) => this.toStaff(note, { ...options, spelled: spelled[i] }));
     }
 
     /**
@@ -315,7 +294,14 @@ export class NoteConverter {
      */
     static _staffToJianpu(notes, options) {
         const { key = 'C', scaleType = 'Major' } = options;
-        return notes.map(note => this.toJianpu(note, key, scaleType));
+        const spelled = spellNotes(notes, { key, scaleType });
+        let prev = null;
+        return notes.map((note, i) => {
+            if (!spelled[i]) return this.toJianpu(note, key, scaleType);
+            const direction = prev == null ? 0 : Math.sign(spelled[i].midi - prev);
+            prev = spelled[i].midi;
+            return this.toJianpu(note, key, scaleType, { direction });
+        });
     }
 
     /**
@@ -332,7 +318,14 @@ export class NoteConverter {
      */
     static _tabToJianpu(notes, options) {
         const { key = 'C', scaleType = 'Major' } = options;
-        return notes.map(note => this.toJianpu(note, key, scaleType));
+        const spelled = spellNotes(notes, { key, scaleType });
+        let prev = null;
+        return notes.map((note, i) => {
+            if (!spelled[i]) return this.toJianpu(note, key, scaleType);
+            const direction = prev == null ? 0 : Math.sign(spelled[i].midi - prev);
+            prev = spelled[i].midi;
+            return this.toJianpu(note, key, scaleType, { direction });
+        });
     }
 
     /**
@@ -340,7 +333,8 @@ export class NoteConverter {
      * @private
      */
     static _tabToStaff(notes, options) {
-        return notes.map(note => this.toStaff(note));
+        const spelled = spellNotes(notes, options);
+        return notes.map((note, i) => this.toStaff(note, { ...options, spelled: spelled[i] }));
     }
 
     /**
@@ -351,7 +345,7 @@ export class NoteConverter {
         // C4 (中央 C) 在高音譜表第一線下方
         // 位置以半音階計算，0 = 中央 C
         const noteOrder = { 'C': 0, 'D': 1, 'E': 2, 'F': 3, 'G': 4, 'A': 5, 'B': 6 };
-        const baseName = noteName.replace(/[#b]/, '');
+        const baseName = noteName.replace(/[#b]+/, '');
         const basePosition = noteOrder[baseName] || 0;
         const octaveOffset = (octave - 4) * 7;
         return basePosition + octaveOffset;
@@ -378,12 +372,12 @@ export class NoteConverter {
      * @private
      */
     static _noteToABC(noteName, octave) {
-        const baseName = noteName.replace(/[#b]/, '');
+        const baseName = noteName.replace(/[#b]+/, '');
         let abc = '';
 
-        // 升降記號
-        if (noteName.includes('#')) abc += '^';
-        if (noteName.includes('b')) abc += '_';
+        // 升降記號（重升 ^^ / 重降 __）
+        abc += '^'.repeat((noteName.match(/#/g) || []).length);
+        abc += '_'.repeat((noteName.slice(1).match(/b/g) || []).length);
 
         // 音符字母
         if (octave <= 4) {
@@ -0,0 +1,161 @@
+/**
+ * Dynamics - 力度與奏法
+ *
+ * 以欄位形式存在音符上：
+ *   - dynamic：力度記號（ppp–fff），自該音起生效直到下一個力度記號
+ *   - hairpin：'cresc' / 'dim'，自該音起漸變到下一個力度記號；
+ *              之後沒有力度記號時，於該小節結尾達到相鄰一級的力度
+ *   - velocity：單音力度（1-127），覆寫力度記號
+ *   - articulations：奏法陣列（重音、斷奏、悶音、延音等），影響力度與發聲長度
+ *
+ * 播放時間軸把結果寫入事件的 velocity / soundTicks，播放與 MIDI 匯出直接取用
+ */
+
+/**
+ * 力度記號對應的 MIDI velocity
+ */
+export const DYNAMIC_VELOCITY = {
+    'ppp': 16,
+    'pp': 33,
+    'p': 49,
+    'mp': 64,
+    'mf': 80,
+    'f': 96,
+    'ff': 112,
+    'fff': 127
+};
+
+/**
+ * 力度記號由弱到強
+ */
+export const DYNAMIC_LEVELS = Object.keys(DYNAMIC_VELOCITY);
+
+/**
+ * 沒有力度記號時的預設 velocity（= mf）
+ */
+export const DEFAULT_VELOCITY = DYNAMIC_VELOCITY.mf;
+
+/**
+ * 漸強 / 漸弱的顯示文字
+ */
+export const HAIRPIN_LABELS = {
+    'cresc': 'cresc.',
+    'dim': 'dim.'
+};
+
+/**
+ * 奏法定義
+ * velocity：力度倍數；length：發聲長度比例；letRing：延音到小節結尾
+ */
+export const ARTICULATIONS = {
+    'accent': { label: '>', name: '重音', velocity: 1.25, length: 1 },
+    'marcato': { label: '^', name: '強重音', velocity: 1.4, length: 0.75 },
+    'staccato': { label: '·', name: '斷奏', velocity: 1, length: 0.5 },
+    'tenuto': { label: '–', name: '持續音', velocity: 1.05, length: 1 },
+    'palm-mute': { label: 'P.M.', name: '悶音', velocity: 0.85, length: 0.35 },
+    'let-ring': { label: 'l.r.', name: '延音', velocity: 1, length: 1, letRing: true }
+};
+
+const isSeparator = (n) => n.isSeparator || n._type === 'separator';
+const isRest = (n) => n.isRest || n._type === 'rest';
+const isExtension = (n) => n.isExtension || n._type === 'extension';
+const isSymbol = (n) => n.isSymbol || n._type === 'symbol';
+const isSounding = (n) => !isSeparator(n) && !isRest(n) && !isExtension(n) && !isSymbol(n);
+
+const clampVelocity = (v) => Math.max(1, Math.min(127, Math.round(v)));
+
+/**
+ * 合併音符上所有奏法的效果
+ * @param {Object} note
+ * @returns {{ velocity: number, length: number, letRing: boolean }}
+ */
+export function getArticulationEffect(note) {
+    const effect = { velocity: 1, length: 1, letRing: false };
+    (note?.articulations || []).forEach(name => {
+        const art = ARTICULATIONS[name];
+        if (!art) return;
+        effect.velocity *= art.velocity;
+        effect.length = Math.min(effect.length, art.length);
+        if (art.letRing) effect.letRing = true;
+    });
+    return effect;
+}
+
+/**
+ * 取得相鄰一級的力度記號 velocity
+ * @param {number} velocity
+ * @param {number} direction - 1 = 強一級，-1 = 弱一級
+ * @returns {number}
+ */
+function stepDynamic(velocity, direction) {
+    const values = Object.values(DYNAMIC_VELOCITY);
+    if (direction > 0) return values.find(v => v > velocity) ?? 127;
+    return [...values].reverse().find(v => v < velocity) ?? 1;
+}
+
+/**
+ * 計算每個扁平索引的力度（含漸強 / 漸弱，不含奏法）
+ * 漸變依發聲音符數平均分配
+ * @param {Array} notes - 扁平音符陣列（plain objects 或 Note 實例）
+ * @param {Object} options
+ * @param {number} options.velocity - 沒有力度記號時的 velocity
+ * @returns {Array<number>}
+ */
+export function resolveVelocities(notes = [], options = {}) {
+    const { velocity = DEFAULT_VELOCITY } = options;
+
+    let current = velocity;
+    const base = notes.map(n => {
+        if (n.dynamic && DYNAMIC_VELOCITY[n.dynamic]) current = DYNAMIC_VELOCITY[n.dynamic];
+        return current;
+    });
+
+    const result = base.slice();
+    notes.forEach((n, i) => {
+        if (!HAIRPIN_LABELS[n.hairpin] || isSeparator(n)) return;
+        const start = result[i];
+        let end = notes.findIndex((m, k) => k > i && m.dynamic && DYNAMIC_VELOCITY[m.dynamic]);
+        let target;
+        if (end >= 0) {
+            target = base[end];
+        } else {
+            end = notes.findIndex((m, k) => k > i && isSeparator(m));
+            if (end < 0) end = notes.length;
+            target = stepDynamic(start, n.hairpin === 'cresc' ? 1 : -1);
+            for (let k = end; k < notes.length; k++) result[k] = target;
+        }
+
+        const sounding = [];
+        for (let k = i; k < end; k++) if (isSounding(notes[k])) sounding.push(k);
+        let prev = start;
+        for (let k = i; k < end; k++) {
+            const pos = sounding.indexOf(k);
+            if (pos >= 0) prev = start + (target - start) * (pos / sounding.length);
+            result[k] = prev;
+        }
+    });
+
+    return result.map(clampVelocity);
+}
+
+/**
+ * 音符實際演奏的 velocity（單音 velocity 優先，再乘上奏法倍數）
+ * @param {Object} note
+ * @param {number} baseVelocity - resolveVelocities 的結果
+ * @returns {number}
+ */
+export function getNoteVelocity(note, baseVelocity = DEFAULT_VELOCITY) {
+    const v = note?.velocity ?? baseVelocity;
+    return clampVelocity(v * getArticulationEffect(note).velocity);
+}
+
+/**
+ * velocity → 播放音量倍數（預設力度 = 1）
+ * @param {number} velocity
+ * @returns {number}
+ */
+export function velocityToGain(velocity = DEFAULT_VELOCITY) {
+    return velocity / DEFAULT_VELOCITY;
+}
+
+export default resolveVelocities;
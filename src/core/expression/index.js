@@ -0,0 +1,15 @@
+/**
+ * Core Expression - Barrel Export
+ */
+
+export {
+    DYNAMIC_VELOCITY,
+    DYNAMIC_LEVELS,
+    DEFAULT_VELOCITY,
+    HAIRPIN_LABELS,
+    ARTICULATIONS,
+    getArticulationEffect,
+    resolveVelocities,
+    getNoteVelocity,
+    velocityToGain
+} from './dynamics.js';
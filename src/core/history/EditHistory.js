@@ -0,0 +1,337 @@
+/**
+ * EditHistory - 樂譜編輯歷史（Command Pattern）
+ * 每次編輯記錄為可反向執行的指令，支援群組交易、復原 / 重做與序列化（隨自動儲存保存）
+ *
+ * 指令皆作用於「扁平音符陣列」，不修改傳入陣列，回傳新陣列，
+ * 因此可同時用於 Score 與 React state（plain objects）
+ */
+
+/**
+ * 區段替換指令：在 index 處以 inserted 取代 removed
+ */
+export class SpliceCommand {
+    /**
+     * @param {Object} props
+     * @param {number} props.index - 起始位置
+     * @param {Array} props.removed - 被移除的元素
+     * @param {Array} props.inserted - 插入的元素
+     */
+    constructor(props = {}) {
+        this.type = 'splice';
+        this.index = props.index ?? 0;
+        this.removed = props.removed ?? [];
+        this.inserted = props.inserted ?? [];
+    }
+
+    /**
+     * @param {Array} notes
+     * @returns {Array}
+     */
+    apply(notes) {
+        const next = [...notes];
+        next.splice(this.index, this.removed.length, ...this.inserted);
+        return next;
+    }
+
+    /**
+     * @param {Array} notes
+     * @returns {Array}
+     */
+    revert(notes) {
+        const next = [...notes];
+        next.splice(this.index, this.inserted.length, ...this.removed);
+        return next;
+    }
+
+    get isEmpty() {
+        return this.removed.length === 0 && this.inserted.length === 0;
+    }
+
+    toJSON(serialize = (n) => n) {
+        return {
+            type: this.type,
+            index: this.index,
+            removed: this.removed.map(serialize),
+            inserted: this.inserted.map(serialize)
+        };
+    }
+}
+
+/**
+ * 元數據指令：記錄欄位變更前後的值（調號、速度等）
+ */
+export class MetadataCommand {
+    /**
+     * @param {Object} props
+     * @param {Object} props.before - 變更前的欄位值
+     * @param {Object} props.after - 變更後的欄位值
+     */
+    constructor(props = {}) {
+        this.type = 'metadata';
+        this.before = props.before ?? {};
+        this.after = props.after ?? {};
+    }
+
+    // 元數據指令不影響音符陣列，由持有者透過 onMetadata 套用
+    apply(notes, context = {}) {
+        context.onMetadata?.(this.after);
+        return notes;
+    }
+
+    revert(notes, context = {}) {
+        context.onMetadata?.(this.before);
+        return notes;
+    }
+
+    get isEmpty() {
+        return Object.keys(this.after).every(k => this.before[k] === this.after[k]);
+    }
+
+    toJSON() {
+        return { type: this.type, before: this.before, after: this.after };
+    }
+}
+
+/**
+ * 群組交易：多個指令視為一次編輯（一次復原全部）
+ */
+export class Transaction {
+    /**
+     * @param {Object} props
+     * @param {string} props.label - 顯示名稱
+     * @param {Array} props.commands - 指令陣列
+     * @param {number} props.timestamp - 建立時間
+     */
+    constructor(props = {}) {
+        this.label = props.label ?? '';
+        this.commands = props.commands ?? [];
+        this.timestamp = props.timestamp ?? Date.now();
+    }
+
+    apply(notes, context) {
+        return this.commands.reduce((acc, cmd) => cmd.apply(acc, context), notes);
+    }
+
+    revert(notes, context) {
+        return this.commands.reduceRight((acc, cmd) => cmd.revert(acc, context), notes);
+    }
+
+    get isEmpty() {
+        return this.commands.every(c => c.isEmpty);
+    }
+
+    toJSON(serialize) {
+        return {
+            label: this.label,
+            timestamp: this.timestamp,
+            commands: this.commands.map(c => c.toJSON(serialize))
+        };
+    }
+}
+
+/**
+ * 比較前後兩個陣列，取出最小的單一區段差異（以元素參照比較）
+ * @param {Array} before
+ * @param {Array} after
+ * @returns {SpliceCommand}
+ */
+export function diffNotes(before = [], after = []) {
+    let start = 0;
+    const minLen = Math.min(before.length, after.length);
+    while (start < minLen && before[start] === after[start]) start++;
+
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+        endBefore--;
+        endAfter--;
+    }
+
+    return new SpliceCommand({
+        index: start,
+        removed: before.slice(start, endBefore),
+        inserted: after.slice(start, endAfter)
+    });
+}
+
+/**
+ * 從序列化資料還原指令
+ * @param {Object} data
+ * @param {Function} deserialize - 元素還原函數
+ * @returns {SpliceCommand|MetadataCommand}
+ */
+function commandFromJSON(data, deserialize) {
+    if (data.type === 'metadata') {
+        return new MetadataCommand(data);
+    }
+    return new SpliceCommand({
+        index: data.index,
+        removed: (data.removed || []).map(deserialize),
+        inserted: (data.inserted || []).map(deserialize)
+    });
+}
+
+/**
+ * 編輯歷史
+ */
+export class EditHistory {
+    /**
+     * @param {Object} options
+     * @param {number} options.limit - 最多保留的復原步數
+     */
+    constructor(options = {}) {
+        this.limit = options.limit ?? 100;
+        this.undoStack = [];
+        this.redoStack = [];
+        this._group = null;
+        this._groupDepth = 0;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * 下一個可復原的交易名稱
+     */
+    get undoLabel() {
+        return this.undoStack[this.undoStack.length - 1]?.label ?? null;
+    }
+
+    get redoLabel() {
+        return this.redoStack[this.redoStack.length - 1]?.label ?? null;
+    }
+
+    /**
+     * 開始群組交易（可巢狀，最外層結束時才寫入）
+     * @param {string} label
+     */
+    begin(label = '') {
+        if (this._groupDepth === 0) {
+            this._group = new Transaction({ label });
+        }
+        this._groupDepth++;
+    }
+
+    /**
+     * 結束群組交易
+     */
+    end() {
+        if (this._groupDepth === 0) return;
+        this._groupDepth--;
+        if (this._groupDepth === 0) {
+            const group = this._group;
+            this._group = null;
+            this._push(group);
+        }
+    }
+
+    /**
+     * 記錄一個已執行的指令
+     * @param {SpliceCommand|MetadataCommand} command
+     * @param {string} label
+     */
+    record(command, label = '') {
+        if (!command || command.isEmpty) return;
+        if (this._group) {
+            this._group.commands.push(command);
+            return;
+        }
+        this._push(new Transaction({ label, commands: [command] }));
+    }
+
+    /**
+     * 記錄陣列變更（自動計算差異）
+     * @param {Array} before
+     * @param {Array} after
+     * @param {string} label
+     */
+    recordChange(before, after, label = '') {
+        this.record(diffNotes(before, after), label);
+    }
+
+    _push(transaction) {
+        if (!transaction || transaction.isEmpty) return;
+        this.undoStack.push(transaction);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.splice(0, this.undoStack.length - this.limit);
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * 復原
+     * @param {Array} notes - 目前的音符陣列
+     * @param {Object} context - { onMetadata } 元數據套用回調
+     * @returns {Array} 復原後的音符陣列
+     */
+    undo(notes, context = {}) {
+        const transaction = this.undoStack.pop();
+        if (!transaction) return notes;
+        this.redoStack.push(transaction);
+        return transaction.revert(notes, context);
+    }
+
+    /**
+     * 重做
+     * @param {Array} notes
+     * @param {Object} context
+     * @returns {Array}
+     */
+    redo(notes, context = {}) {
+        const transaction = this.redoStack.pop();
+        if (!transaction) return notes;
+        this.undoStack.push(transaction);
+        return transaction.apply(notes, context);
+    }
+
+    /**
+     * 清空歷史
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this._group = null;
+        this._groupDepth = 0;
+    }
+
+    /**
+     * 序列化（供自動儲存）
+     * @param {Function} serialize - 元素序列化函數（Note 實例可傳 n => n.toObject()）
+     * @param {number} maxEntries - 各堆疊最多保存的交易數（避免超出 localStorage 容量）
+     * @returns {Object}
+     */
+    toJSON(serialize = (n) => n, maxEntries = Infinity) {
+        const tail = (stack) => stack.slice(Math.max(0, stack.length - maxEntries));
+        return {
+            limit: this.limit,
+            undo: tail(this.undoStack).map(t => t.toJSON(serialize)),
+            redo: tail(this.redoStack).map(t => t.toJSON(serialize))
+        };
+    }
+
+    /**
+     * 從序列化資料還原
+     * @param {Object} data
+     * @param {Function} deserialize - 元素還原函數
+     * @returns {EditHistory}
+     */
+    static fromJSON(data, deserialize = (n) => n) {
+        const history = new EditHistory({ limit: data?.limit });
+        if (!data) return history;
+        const restore = (t) => new Transaction({
+            label: t.label,
+            timestamp: t.timestamp,
+            commands: (t.commands || []).map(c => commandFromJSON(c, deserialize))
+        });
+        history.undoStack = (data.undo || []).map(restore);
+        history.redoStack = (data.redo || []).map(restore);
+        return history;
+    }
+}
+
+export default EditHistory;
@@ -0,0 +1,11 @@
+/**
+ * Core History - Barrel Export
+ */
+
+export {
+    EditHistory,
+    Transaction,
+    SpliceCommand,
+    MetadataCommand,
+    diffNotes
+} from './EditHistory.js';
@@ -45,6 +45,76 @@ export class ParserInterface {
         throw new Error('validate() must be implemented by subclass');
     }
 
+    /**
+     * 格式代號（匯入結果的 format，如 'guitarpro'、'abc'）
+     * @returns {string}
+     */
+    get formatId() {
+        throw new Error('formatId getter must be implemented by subclass');
+    }
+
+    /**
+     * 支援的副檔名（小寫、含 .）
+     * @returns {Array<string>}
+     */
+    get extensions() {
+        return [];
+    }
+
+    /**
+     * 支援的 MIME 類型
+     * @returns {Array<string>}
+     */
+    get mimeTypes() {
+        return [];
+    }
+
+    /**
+     * 是否讀取二進位資料（sniff / read 收到 Uint8Array 而非文字）
+     * @returns {boolean}
+     */
+    get binary() {
+        return false;
+    }
+
+    /**
+     * 依內容判斷是否為此格式
+     * @param {string|Uint8Array} content - 文字，或 binary 解析器的位元組
+     * @returns {number} 信心分數 0–1（預設：validate 通過為 0.5）
+     */
+    sniff(content) {
+        return typeof content === 'string' && this.validate(content) ? 0.5 : 0;
+    }
+
+    /**
+     * 讀取整個檔案內容，回傳統一的匯入結果
+     * 沒有 notes 時表示需要選擇音軌 / 曲目（tracks），再由對應的 convert 方法轉換
+     * @param {string|Uint8Array} content
+     * @param {Object} options - { fileName, ...parse 選項 }
+     * @returns {Promise<{ notes?: Array, tracks?: Array, metadata: Object }>}
+     */
+    async read(content, options = {}) {
+        const notes = this.parse(content, options);
+        return { notes, metadata: this.metadata };
+    }
+
+    /**
+     * 曲目資訊（讀取後的標題、調性、速度、拍號、移調夾）
+     * @returns {{ title: string|null, composer: string|null, lyricist: string|null, key: string, scaleType: string|undefined, timeSignature: string, tempo: number, capo: number|null }}
+     */
+    get metadata() {
+        return {
+            title: this.title || null,
+            composer: this.composer || this.artist || null,
+            lyricist: this.lyricist || null,
+            key: this.key || 'C',
+            scaleType: this.scaleType,
+            timeSignature: this.timeSignature || '4/4',
+            tempo: this.tempo || 120,
+            capo: this.capo || null
+        };
+    }
+
     /**
      * 獲取解析器名稱
      * @returns {string}
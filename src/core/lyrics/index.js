@@ -0,0 +1,20 @@
+/**
+ * Core Lyrics - Barrel Export
+ */
+
+export {
+    LYRIC_SYLLABICS,
+    isLyricTarget,
+    getLyric,
+    withLyric,
+    getVerseCount,
+    getLyricLabel,
+    setNoteLyric,
+    applyLyricLine,
+    formatLyricLine
+} from './lyrics.js';
+
+export {
+    getLeadSheet,
+    getChordAt
+} from './leadSheet.js';
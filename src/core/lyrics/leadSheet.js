@@ -0,0 +1,108 @@
+/**
+ * Lead Sheet - 和弦譜（和弦名稱在歌詞上方）
+ *
+ * 把扁平音符整理成 段落 → 行 → 片段：
+ *   - 片段由和弦記號（note.chordSymbol）開始，之後的歌詞音節接在同一片段
+ *   - 行首還沒有和弦時，歌詞自成一個沒有和弦的片段（沿用前一行的和弦）
+ *   - 行尾取自分隔符的 lineBreak；整份樂譜都沒有 lineBreak 時每 barsPerLine 小節換行
+ *   - 分隔符的 section 開始新段落，keySignature / tempo 記錄在下一行
+ */
+
+import { getLyric } from './lyrics.js';
+
+const isSeparator = (n) => n.isSeparator || n._type === 'separator';
+const isSymbol = (n) => n.isSymbol || n._type === 'symbol';
+const isExtension = (n) => n.isExtension || n._type === 'extension';
+const isChordMember = (n) => n.isChord && n.chordPosition > 0;
+const hasHyphenAfter = (lyric) => !!lyric && (lyric.syllabic === 'begin' || lyric.syllabic === 'middle');
+
+/**
+ * 整理和弦譜
+ * @param {Array} notes - 扁平音符陣列
+ * @param {Object} options
+ * @param {number} options.verse - 歌詞段落編號
+ * @param {number} options.barsPerLine - 沒有 lineBreak 時每行小節數
+ * @returns {Array<{ section: string|null, lines: Array<{ keySignature: string|null, tempo: number|null, segments: Array<{ index: number, chord: string|null, text: string, hyphen: boolean }> }> }>}
+ *   segment.index 為片段第一個音的扁平索引；hyphen 表示文字與下一片段屬於同一個字（中間不加空白）
+ */
+export function getLeadSheet(notes = [], options = {}) {
+    const { verse = 1, barsPerLine = 4 } = options;
+    const hasBreaks = notes.some(n => isSeparator(n) && n.lineBreak);
+
+    const blocks = [];
+    let block = null;
+    let line = null;
+    let changes = { keySignature: null, tempo: null };
+    let bars = 0;
+
+    const flushLine = () => {
+        if (line?.segments.length) {
+            if (!block) {
+                block = { section: null, lines: [] };
+                blocks.push(block);
+            }
+            block.lines.push(line);
+        }
+        line = null;
+        bars = 0;
+    };
+    const currentLine = () => {
+        if (!line) {
+            line = { ...changes, segments: [] };
+            changes = { keySignature: null, tempo: null };
+        }
+        return line;
+    };
+
+    notes.forEach((n, i) => {
+        if (isSeparator(n)) {
+            if (n.section) {
+                flushLine();
+                block = { section: n.section, lines: [] };
+                blocks.push(block);
+            }
+            if (n.keySignature || n.tempo) {
+                flushLine();
+                changes = { keySignature: n.keySignature ?? changes.keySignature, tempo: n.tempo ?? changes.tempo };
+            }
+            if (n.lineBreak) {
+                flushLine();
+            } else if (!hasBreaks && i > 0 && !isSeparator(notes[i - 1]) && ++bars >= barsPerLine) {
+                flushLine();
+            }
+            return;
+        }
+        if (isSymbol(n) || isExtension(n) || isChordMember(n)) return;
+
+        const lyric = getLyric(n, verse);
+        const segments = currentLine().segments;
+        let segment = segments[segments.length - 1];
+        if (n.chordSymbol || (!segment && lyric)) {
+            segment = { index: i, chord: n.chordSymbol || null, text: '', hyphen: false };
+            segments.push(segment);
+        }
+        if (segment && lyric?.text) {
+            if (segment.text && !segment.hyphen) segment.text += ' ';
+            segment.text += lyric.text;
+            segment.hyphen = hasHyphenAfter(lyric);
+        }
+    });
+    flushLine();
+
+    return blocks.filter(b => b.lines.length > 0);
+}
+
+/**
+ * 某音符位置生效的和弦（該位置或之前最近的和弦記號）
+ * @param {Array} notes
+ * @param {number} index - 扁平索引
+ * @returns {string|null}
+ */
+export function getChordAt(notes = [], index = -1) {
+    for (let i = Math.min(index, notes.length - 1); i >= 0; i--) {
+        if (notes[i]?.chordSymbol) return notes[i].chordSymbol;
+    }
+    return null;
+}
+
+export default getLeadSheet;
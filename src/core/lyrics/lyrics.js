@@ -0,0 +1,266 @@
+/**
+ * Lyrics - 歌詞音節
+ *
+ * 以欄位形式存在音符上：note.lyrics = [{ verse, text, syllabic, extend }]
+ *   - verse：段落編號（1 起算），同一音可有多段歌詞
+ *   - syllabic：'single' | 'begin' | 'middle' | 'end'（與 MusicXML 相同），begin / middle 之後接連字號
+ *   - extend：拖腔延長線，之後沒有該段歌詞的音都屬於此音節
+ *
+ * 歌詞行以 ABC w: 語法輸入 / 輸出：
+ *   空白分隔音節，「-」分隔同一字的音節，「_」延長前一音節一個音，
+ *   「*」跳過一個音，「|」跳到下一小節，「~」為不分音的空白，「\-」為字面連字號
+ */
+
+/**
+ * 音節類型
+ */
+export const LYRIC_SYLLABICS = ['single', 'begin', 'middle', 'end'];
+
+const isSeparator = (n) => n.isSeparator || n._type === 'separator';
+const isSymbol = (n) => n.isSymbol || n._type === 'symbol';
+const isRest = (n) => n.isRest || n._type === 'rest';
+const isExtension = (n) => n.isExtension || n._type === 'extension';
+const isChordMember = (n) => n.isChord && n.chordPosition > 0;
+const hasHyphenAfter = (lyric) => !!lyric && (lyric.syllabic === 'begin' || lyric.syllabic === 'middle');
+const getSyllabic = (joined, hyphen) => joined ? (hyphen ? 'middle' : 'end') : (hyphen ? 'begin' : 'single');
+const withLyrics = (n, lyrics) => typeof n.clone === 'function' ? Object.assign(n.clone(), { lyrics }) : { ...n, lyrics };
+
+/**
+ * 是否可掛歌詞（有音高的音，不含休止符、延長符與和弦成員）
+ * @param {Object} note
+ * @returns {boolean}
+ */
+export function isLyricTarget(note) {
+    return !!note && !isSeparator(note) && !isSymbol(note) && !isRest(note) && !isExtension(note) && !isChordMember(note);
+}
+
+/**
+ * 取得音符某一段的歌詞
+ * @param {Object} note
+ * @param {number} verse
+ * @returns {{verse: number, text: string, syllabic: string, extend: boolean}|null}
+ */
+export function getLyric(note, verse = 1) {
+    return note?.lyrics?.find(l => l.verse === verse) ?? null;
+}
+
+/**
+ * 設定某一段的歌詞，回傳新的 lyrics 陣列（lyric = null 表示移除；沒有歌詞時回傳 null）
+ * @param {Array|null} lyrics
+ * @param {number} verse
+ * @param {Object|null} lyric - { text, syllabic, extend }
+ * @returns {Array|null}
+ */
+export function withLyric(lyrics, verse, lyric) {
+    const rest = (lyrics || []).filter(l => l.verse !== verse);
+    const next = lyric
+        ? [...rest, { verse, text: lyric.text ?? '', syllabic: lyric.syllabic ?? 'single', extend: !!lyric.extend }]
+        : rest;
+    next.sort((a, b) => a.verse - b.verse);
+    return next.length ? next : null;
+}
+
+/**
+ * 樂譜中最大的段落編號
+ * @param {Array} notes
+ * @returns {number}
+ */
+export function getVerseCount(notes = []) {
+    return notes.reduce((max, n) => Math.max(max, ...(n.lyrics || []).map(l => l.verse)), 0);
+}
+
+/**
+ * 顯示用文字：連字號接在 begin / middle 之後，延長線以「_」表示
+ * @param {Object} lyric
+ * @returns {string}
+ */
+export function getLyricLabel(lyric) {
+    if (!lyric) return '';
+    let label = lyric.text;
+    if (hasHyphenAfter(lyric)) label += '-';
+    if (lyric.extend) label += '_';
+    return label;
+}
+
+/**
+ * 設定單一音符的歌詞音節，並更新下一個音節的 syllabic（連字號關係）
+ * @param {Array} notes
+ * @param {number} index - 扁平索引
+ * @param {number} verse - 段落編號
+ * @param {Object} fields - { text, hyphen, extend }，省略的欄位沿用目前值；text 為空字串時移除
+ * @returns {Array} 新陣列
+ */
+export function setNoteLyric(notes, index, verse, fields = {}) {
+    const target = notes[index];
+    if (!isLyricTarget(target)) return notes;
+
+    const current = getLyric(target, verse);
+    const text = fields.text ?? current?.text ?? '';
+    const hyphen = fields.hyphen ?? hasHyphenAfter(current);
+    const extend = fields.extend ?? current?.extend ?? false;
+
+    let prev = index - 1;
+    while (prev >= 0 && !isLyricTarget(notes[prev])) prev--;
+    const joined = prev >= 0 && hasHyphenAfter(getLyric(notes[prev], verse));
+
+    const lyric = text ? { text, syllabic: getSyllabic(joined, hyphen), extend } : null;
+    const result = notes.slice();
+    result[index] = withLyrics(target, withLyric(target.lyrics, verse, lyric));
+
+    let next = index + 1;
+    while (next < notes.length && !isLyricTarget(notes[next])) next++;
+    const nextLyric = next < notes.length ? getLyric(notes[next], verse) : null;
+    if (nextLyric) {
+        const syllabic = getSyllabic(!!lyric && hyphen, hasHyphenAfter(nextLyric));
+        if (syllabic !== nextLyric.syllabic) {
+            result[next] = withLyrics(notes[next], withLyric(notes[next].lyrics, verse, { ...nextLyric, syllabic }));
+        }
+    }
+    return result;
+}
+
+/**
+ * 切出 ABC w: 語法的記號
+ * @param {string} line
+ * @returns {Array<{type: 'syllable'|'hyphen'|'hold'|'skip'|'bar', text?: string}>}
+ */
+function tokenizeLyricLine(line) {
+    const tokens = [];
+    let buffer = '';
+    const flush = () => {
+        if (buffer) tokens.push({ type: 'syllable', text: buffer });
+        buffer = '';
+    };
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === '\\' && line[i + 1] === '-') {
+            buffer += '-';
+            i++;
+        } else if (ch === '~') {
+            buffer += ' ';
+        } else if (/\s/.test(ch)) {
+            flush();
+        } else if (ch === '-' || ch === '_' || ch === '*' || ch === '|') {
+            flush();
+            tokens.push({ type: { '-': 'hyphen', '_': 'hold', '*': 'skip', '|': 'bar' }[ch] });
+        } else {
+            buffer += ch;
+        }
+    }
+    flush();
+    return tokens;
+}
+
+/**
+ * 以 ABC w: 語法的歌詞行設定某一段歌詞
+ * 從 startIndex 起依序對應可掛歌詞的音；原有的該段歌詞在涵蓋範圍內會被取代
+ * @param {Array} notes - 扁平音符陣列（plain objects 或 Note 實例）
+ * @param {string} line - 歌詞行（不含 w:）
+ * @param {Object} options
+ * @param {number} options.verse - 段落編號
+ * @param {number} options.startIndex - 從此扁平索引開始對應
+ * @param {number} options.endIndex - 只對應到此索引（含），預設到結尾
+ * @returns {Array} 新陣列
+ */
+export function applyLyricLine(notes = [], line = '', options = {}) {
+    const { verse = 1, startIndex = 0, endIndex = notes.length - 1 } = options;
+    const assigned = new Map();   // index → lyric | null
+    const tokens = tokenizeLyricLine(line);
+
+    let cursor = startIndex;
+    const nextTarget = () => {
+        while (cursor <= endIndex && !isLyricTarget(notes[cursor])) cursor++;
+        return cursor <= endIndex ? cursor : -1;
+    };
+    let lastLyric = null;
+    let lastHyphenated = false;  // 上一個音節後面接連字號
+    let pendingHyphen = false;   // 目前音節前面有連字號
+
+    tokens.forEach((token, t) => {
+        if (token.type === 'syllable') {
+            const idx = nextTarget();
+            if (idx < 0) return;
+            const hyphenAfter = tokens[t + 1]?.type === 'hyphen';
+            lastLyric = { verse, text: token.text, syllabic: getSyllabic(pendingHyphen, hyphenAfter), extend: false };
+            assigned.set(idx, lastLyric);
+            lastHyphenated = hyphenAfter;
+            pendingHyphen = false;
+            cursor = idx + 1;
+        } else if (token.type === 'hyphen') {
+            // 第一個連字號只連接音節；連續的連字號每個跳過一個音
+            if (lastHyphenated && !pendingHyphen) {
+                pendingHyphen = true;
+                return;
+            }
+            const idx = nextTarget();
+            if (idx < 0) return;
+            assigned.set(idx, null);
+            cursor = idx + 1;
+        } else if (token.type === 'hold') {
+            const idx = nextTarget();
+            if (idx < 0) return;
+            if (lastLyric) lastLyric.extend = true;
+            assigned.set(idx, null);
+            cursor = idx + 1;
+        } else if (token.type === 'skip') {
+            const idx = nextTarget();
+            if (idx < 0) return;
+            assigned.set(idx, null);
+            cursor = idx + 1;
+        } else if (token.type === 'bar') {
+            while (cursor <= endIndex && !isSeparator(notes[cursor])) {
+                if (isLyricTarget(notes[cursor])) assigned.set(cursor, null);
+                cursor++;
+            }
+            while (cursor <= endIndex && isSeparator(notes[cursor])) cursor++;
+        }
+    });
+
+    if (assigned.size === 0) return notes;
+    return notes.map((n, i) => {
+        if (!assigned.has(i)) return n;
+        const lyrics = withLyric(n.lyrics, verse, assigned.get(i));
+        if (!lyrics && !n.lyrics) return n;
+        return withLyrics(n, lyrics);
+    });
+}
+
+/**
+ * 把某一段歌詞輸出為 ABC w: 語法（不含 w:）
+ * 沒有歌詞的音：在拖腔中輸出「_」，否則輸出「*」；結尾沒有歌詞的音省略
+ * @param {Array} notes
+ * @param {Object} options
+ * @param {number} options.verse - 段落編號
+ * @param {number} options.startIndex
+ * @param {number} options.endIndex
+ * @returns {string}
+ */
+export function formatLyricLine(notes = [], options = {}) {
+    const { verse = 1, startIndex = 0, endIndex = notes.length - 1 } = options;
+    const tokens = [];
+    let inMelisma = false;
+    let lastWithLyric = -1;
+
+    for (let i = startIndex; i <= endIndex && i < notes.length; i++) {
+        const n = notes[i];
+        if (!isLyricTarget(n)) continue;
+        const lyric = getLyric(n, verse);
+        if (lyric) {
+            const text = lyric.text.replace(/-/g, '\\-').replace(/ /g, '~');
+            tokens.push(text + (hasHyphenAfter(lyric) ? '-' : ''));
+            inMelisma = lyric.extend;
+            lastWithLyric = tokens.length;
+        } else {
+            tokens.push(inMelisma ? '_' : '*');
+        }
+    }
+
+    const result = tokens.slice(0, Math.max(lastWithLyric, 0));
+    // 連字號後的延長線直接相接（ABC：「ha-_ppy」中的 _ 延長 ha）
+    return result.reduce((line, token) => {
+        if (!line) return token;
+        return line.endsWith('-') ? line + token : `${line} ${token}`;
+    }, '');
+}
+
+export default applyLyricLine;
@@ -0,0 +1,15 @@
+/**
+ * Core MIDI - Barrel Export
+ */
+
+export {
+    DEFAULT_INSTRUMENT,
+    GM_PROGRAMS,
+    toVLQ,
+    toBytes,
+    getMidiProgram,
+    getInstrumentForProgram,
+    writeMIDI,
+    writeScoreMIDI,
+    createMIDI
+} from './midiWriter.js';
@@ -0,0 +1,443 @@
+/**
+ * MIDI Writer - Standard MIDI File 輸出
+ * 以共用時間軸 (timing/timeline.js) 展開反覆、速度 / 拍號 / 調號變更、段中速度、連音與力度，
+ * 輸出 format 1：第 0 軌為速度 / 拍號 / 調號 meta 事件，之後每個聲部一軌
+ *
+ *   - 和弦：同時起音
+ *   - 延音線：逐音高合併（只有同音高且緊接的音才延長，和弦中部分延音也正確）
+ *   - 樂器：依 INSTRUMENT_CATEGORIES 的音色 ID 寫入 GM program change
+ *   - 每弦一個 channel（吉他合成器用），推弦 / 放弦寫成 pitch bend
+ *
+ * MIDIExporter、FileActions 與 CLI 皆使用此模組；writeScoreMIDI 輸出整份 Score
+ */
+
+import { buildTimeline, parseTimeSignature, PPQ } from '../timing/timeline.js';
+import { getKeySignature, splitKeySignature } from '../theory/spelling.js';
+import { getNoteVelocity, DEFAULT_VELOCITY } from '../expression/dynamics.js';
+
+const MIDI_HEADER = [0x4D, 0x54, 0x68, 0x64]; // "MThd"
+const MIDI_TRACK_HEADER = [0x4D, 0x54, 0x72, 0x6B]; // "MTrk"
+const META_END_OF_TRACK = [0xFF, 0x2F, 0x00];
+const META_TRACK_NAME = [0xFF, 0x03];
+const META_TEMPO = [0xFF, 0x51, 0x03];
+const META_TIME_SIG = [0xFF, 0x58, 0x04];
+const META_KEY_SIG = [0xFF, 0x59, 0x02];
+
+const DRUM_CHANNEL = 9;
+const DEFAULT_STRING_COUNT = 6;
+const MAX_CHANNELS = 16;
+const PITCH_BEND_CENTER = 8192;
+const BEND_RANGE = 2;       // pitch bend 範圍（半音），以 RPN 0 寫入
+const BEND_SEMITONES = 2;   // 推弦預設為全音
+const BEND_STEPS = 8;       // 推弦 / 放弦的 pitch bend 分段數
+
+// 同一 tick 的事件順序：meta → program / controller → note off → pitch bend → note on
+const ORDER = { meta: 0, control: 1, off: 2, bend: 3, on: 4 };
+
+/**
+ * 預設樂器（GM 25 Acoustic Guitar (steel)）
+ */
+export const DEFAULT_INSTRUMENT = 'acoustic_guitar_steel';
+
+/**
+ * 音色 ID（soundfont-player MusyngKite，與 INSTRUMENT_CATEGORIES 相同）→ GM program（0 起算）
+ */
+export const GM_PROGRAMS = {
+    'acoustic_grand_piano': 0,
+    'bright_acoustic_piano': 1,
+    'electric_piano_1': 4,
+    'electric_piano_2': 5,
+    'harpsichord': 6,
+    'music_box': 10,
+    'vibraphone': 11,
+    'marimba': 12,
+    'xylophone': 13,
+    'accordion': 21,
+    'harmonica': 22,
+    'acoustic_guitar_nylon': 24,
+    'acoustic_guitar_steel': 25,
+    'electric_guitar_jazz': 26,
+    'electric_guitar_clean': 27,
+    'electric_guitar_muted': 28,
+    'overdriven_guitar': 29,
+    'distortion_guitar': 30,
+    'acoustic_bass': 32,
+    'electric_bass_finger': 33,
+    'electric_bass_pick': 34,
+    'fretless_bass': 35,
+    'slap_bass_1': 36,
+    'violin': 40,
+    'viola': 41,
+    'cello': 42,
+    'contrabass': 43,
+    'pizzicato_strings': 45,
+    'string_ensemble_1': 48,
+    'choir_aahs': 52,
+    'trumpet': 56,
+    'trombone': 57,
+    'tuba': 58,
+    'french_horn': 60,
+    'brass_section': 61,
+    'soprano_sax': 64,
+    'alto_sax': 65,
+    'tenor_sax': 66,
+    'oboe': 68,
+    'clarinet': 71,
+    'flute': 73,
+    'ocarina': 79,
+    'lead_1_square': 80,
+    'lead_2_sawtooth': 81,
+    'pad_1_new_age': 88,
+    'pad_2_warm': 89,
+    'sitar': 104,
+    'banjo': 105,
+    'koto': 107,
+    'kalimba': 108
+};
+
+const isExtension = (n) => n.isExtension || n._type === 'extension';
+
+/**
+ * 將數字轉為可變長度數量 (Variable Length Quantity)
+ */
+export function toVLQ(value) {
+    if (value < 0) return [0];
+    if (value < 128) return [value];
+
+    const bytes = [];
+    let v = value;
+    bytes.push(v & 0x7F);
+    v >>= 7;
+
+    while (v > 0) {
+        bytes.push((v & 0x7F) | 0x80);
+        v >>= 7;
+    }
+
+    return bytes.reverse();
+}
+
+/**
+ * 將數字轉為固定長度位元組陣列
+ */
+export function toBytes(value, length) {
+    const bytes = [];
+    for (let i = length - 1; i >= 0; i--) {
+        bytes.push((value >> (i * 8)) & 0xFF);
+    }
+    return bytes;
+}
+
+/**
+ * 音色 ID → GM program（未知的音色使用預設吉他）
+ * @param {string} instrument
+ * @returns {number}
+ */
+export function getMidiProgram(instrument) {
+    return GM_PROGRAMS[instrument] ?? GM_PROGRAMS[DEFAULT_INSTRUMENT];
+}
+
+/**
+ * GM program → 音色 ID（沒有完全相同的音色時取同一族（每 8 個 program）中最接近的，
+ * 整族都沒有時回傳 null）
+ * @param {number} program - 0 起算
+ * @returns {string|null}
+ */
+export function getInstrumentForProgram(program) {
+    const entries = Object.entries(GM_PROGRAMS);
+    const exact = entries.find(([, p]) => p === program);
+    if (exact) return exact[0];
+    const family = entries
+        .filter(([, p]) => Math.floor(p / 8) === Math.floor(program / 8))
+        .sort((a, b) => Math.abs(a[1] - program) - Math.abs(b[1] - program));
+    return family[0]?.[0] ?? null;
+}
+
+/**
+ * 依序配置 channel（跳過鼓組 channel 10；超過 16 個時循環使用）
+ * @param {number} count
+ * @param {number} start - 起始 channel
+ * @returns {Array<number>}
+ */
+function allocateChannels(count, start) {
+    const channels = [];
+    let channel = start;
+    while (channels.length < count) {
+        if (channel !== DRUM_CHANNEL) channels.push(channel % MAX_CHANNELS);
+        channel = (channel + 1) % MAX_CHANNELS;
+    }
+    return channels;
+}
+
+/**
+ * 事件轉為 MTrk 區塊
+ * @param {Array<{tick: number, order: number, bytes: Array<number>}>} events
+ * @returns {Array<number>}
+ */
+function encodeTrack(events) {
+    events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+    const data = [];
+    let currentTick = 0;
+    for (const ev of events) {
+        data.push(...toVLQ(ev.tick - currentTick));
+        data.push(...ev.bytes);
+        currentTick = ev.tick;
+    }
+    data.push(0x00, ...META_END_OF_TRACK);
+    return [...MIDI_TRACK_HEADER, ...toBytes(data.length, 4), ...data];
+}
+
+/**
+ * 軌道名稱 meta 事件
+ */
+function trackNameEvent(name) {
+    const text = Array.from(new TextEncoder().encode(name));
+    return { tick: 0, order: ORDER.meta, bytes: [...META_TRACK_NAME, ...toVLQ(text.length), ...text] };
+}
+
+/**
+ * 第 0 軌：速度 / 拍號 / 調號 meta 事件（取自第一個聲部的時間軸）
+ * 調號：sf = 升降記號數（負數為降號，以二補數寫入），mi = 0 大調 / 1 小調
+ */
+function buildConductorTrack(timeline, options) {
+    const { tempo, timeSignature, key, scaleType, title } = options;
+    const events = [];
+    const pushTempo = (tick, bpm) => events.push({
+        tick, order: ORDER.meta,
+        bytes: [...META_TEMPO, ...toBytes(Math.round(60000000 / bpm), 3)]
+    });
+    const pushTimeSig = (tick, sig) => {
+        const { beats, beatType } = parseTimeSignature(sig);
+        events.push({ tick, order: ORDER.meta, bytes: [...META_TIME_SIG, beats, Math.log2(beatType), 24, 8] });
+    };
+    const pushKeySig = (tick, sig) => {
+        const split = sig ? splitKeySignature(sig, scaleType) : { key, scaleType };
+        const { fifths, isMinor } = getKeySignature(split.key, split.scaleType);
+        events.push({ tick, order: ORDER.meta, bytes: [...META_KEY_SIG, fifths & 0xFF, isMinor ? 1 : 0] });
+    };
+
+    if (title) events.push(trackNameEvent(title));
+    const first = timeline.events[0];
+    pushTempo(0, first?.tempo ?? tempo);
+    pushTimeSig(0, first?.timeSignature ?? timeSignature);
+    pushKeySig(0, first?.keySignature ?? null);
+
+    let lastTempo = first?.tempo ?? tempo;
+    let lastTimeSig = first?.timeSignature ?? timeSignature;
+    let lastKeySig = first?.keySignature ?? null;
+    for (const ev of timeline.events) {
+        if (ev.tempo !== lastTempo) {
+            pushTempo(ev.tick, ev.tempo);
+            lastTempo = ev.tempo;
+        }
+        if (ev.timeSignature !== lastTimeSig) {
+            pushTimeSig(ev.tick, ev.timeSignature);
+            lastTimeSig = ev.timeSignature;
+        }
+        if (ev.keySignature !== lastKeySig) {
+            pushKeySig(ev.tick, ev.keySignature);
+            lastKeySig = ev.keySignature;
+        }
+    }
+    return events;
+}
+
+/**
+ * 由時間軸收集逐音高的發聲區段（延音線只接到同音高、緊接在前的音）
+ * @returns {Array<{ midi: number, start: number, end: number, velocity: number, note: Object }>}
+ */
+function collectSoundingNotes(notes, timeline) {
+    const result = [];
+    const held = new Map();   // midi → 最近一個發聲區段
+    let lastVelocity = DEFAULT_VELOCITY;
+
+    for (const ev of timeline.events) {
+        if (ev.isRest || isExtension(ev.note)) continue;   // 延長符：時間軸已延長前一個事件
+        const members = ev.chord.map(i => notes[i]).filter(n => {
+            const midi = n.midi ?? n.midiNote;
+            return midi != null && midi >= 0 && midi <= 127;
+        });
+        if (members.length === 0) continue;
+        const pitches = new Set(members.map(n => n.midi ?? n.midiNote));
+
+        if (!ev.sounding) {
+            // 整個事件以延音線接續：時間軸已把前一個事件延長，這裡只修正音高不同的部分
+            held.forEach((sound, midi) => {
+                if (sound.end > ev.tick && !pitches.has(midi)) sound.end = ev.tick;
+            });
+            members.forEach(n => {
+                const midi = n.midi ?? n.midiNote;
+                const sound = held.get(midi);
+                if (sound && sound.end >= ev.tick) return;
+                const velocity = getNoteVelocity(n, lastVelocity);
+                const added = { midi, start: ev.tick, end: ev.tick + ev.ticks, velocity, note: n };
+                held.set(midi, added);
+                result.push(added);
+            });
+            continue;
+        }
+
+        lastVelocity = ev.velocity;
+        members.forEach((n, k) => {
+            const midi = n.midi ?? n.midiNote;
+            const sound = held.get(midi);
+            const tied = k === 0 ? false : !!n.tieEnd;   // 主音的延音線已由時間軸處理
+            if (tied && sound && sound.end >= ev.tick) {
+                sound.end = Math.max(sound.end, ev.tick + ev.soundTicks);
+                return;
+            }
+            const added = { midi, start: ev.tick, end: ev.tick + ev.soundTicks, velocity: ev.velocity, note: n };
+            held.set(midi, added);
+            result.push(added);
+        });
+    }
+
+    // 同音高重疊時，前一個音在下一個起音處結束
+    const byPitch = new Map();
+    result.sort((a, b) => a.start - b.start).forEach(sound => {
+        const previous = byPitch.get(sound.midi);
+        if (previous && previous.end > sound.start) previous.end = sound.start;
+        byPitch.set(sound.midi, sound);
+    });
+    return result.filter(sound => sound.end > sound.start);
+}
+
+/**
+ * 推弦 / 放弦的 pitch bend 事件（在音的前半段漸變，音結束時歸零）
+ */
+function bendEvents(sound, channel) {
+    const technique = sound.note.technique;
+    if (technique !== 'bend' && technique !== 'release') return [];
+    const full = Math.min(16383, PITCH_BEND_CENTER + Math.round(8191 * BEND_SEMITONES / BEND_RANGE));
+    const bend = (tick, value) => ({
+        tick, order: ORDER.bend,
+        bytes: [0xE0 | channel, value & 0x7F, (value >> 7) & 0x7F]
+    });
+
+    const span = Math.max(1, Math.floor((sound.end - sound.start) / 2));
+    const [from, to] = technique === 'bend' ? [PITCH_BEND_CENTER, full] : [full, PITCH_BEND_CENTER];
+    const events = [];
+    for (let step = 0; step <= BEND_STEPS; step++) {
+        const tick = sound.start + Math.round(span * step / BEND_STEPS);
+        events.push(bend(tick, Math.round(from + (to - from) * step / BEND_STEPS)));
+    }
+    events.push(bend(sound.end, PITCH_BEND_CENTER));
+    return events;
+}
+
+/**
+ * 一個聲部的 MTrk 事件
+ * @returns {{ events: Array, channels: Array<number> }}
+ */
+function buildPartTrack(part, timeline, channels, options) {
+    const { perStringChannels } = options;
+    const program = getMidiProgram(part.instrument || options.instrument);
+    const sounds = collectSoundingNotes(part.notes, timeline);
+    const channelOf = (note) => perStringChannels && typeof note.stringIndex === 'number'
+        ? channels[Math.min(note.stringIndex, channels.length - 1)]
+        : channels[0];
+    const used = new Set(sounds.map(s => channelOf(s.note)));
+    used.add(channels[0]);
+    const hasBends = sounds.some(s => s.note.technique === 'bend' || s.note.technique === 'release');
+
+    const events = [];
+    if (part.name) events.push(trackNameEvent(part.name));
+    used.forEach(channel => {
+        events.push({ tick: 0, order: ORDER.control, bytes: [0xC0 | channel, program] });
+        if (hasBends) {
+            // RPN 0（pitch bend sensitivity）= BEND_RANGE 半音
+            events.push({
+                tick: 0, order: ORDER.control,
+                bytes: [0xB0 | channel, 101, 0, 0x00, 100, 0, 0x00, 6, BEND_RANGE, 0x00, 38, 0]
+            });
+        }
+    });
+
+    sounds.forEach(sound => {
+        const channel = channelOf(sound.note);
+        events.push({ tick: sound.start, order: ORDER.on, bytes: [0x90 | channel, sound.midi, sound.velocity] });
+        events.push({ tick: sound.end, order: ORDER.off, bytes: [0x80 | channel, sound.midi, 0] });
+        events.push(...bendEvents(sound, channel));
+    });
+    return events;
+}
+
+/**
+ * 將多個聲部輸出為 MIDI 檔案（format 1）
+ * @param {Array<{ name: string, notes: Array, instrument: string, tuning: Array<number> }>} parts
+ * @param {Object} options
+ * @param {number} options.tempo - 預設 BPM
+ * @param {string} options.timeSignature - 預設拍號
+ * @param {string} options.key - 預設調號
+ * @param {string} options.scaleType
+ * @param {string} options.title - 寫入第 0 軌名稱
+ * @param {string} options.instrument - 聲部沒有指定時的音色 ID（INSTRUMENT_CATEGORIES）
+ * @param {number} options.velocity - 沒有力度記號時的 velocity
+ * @param {number} options.ticksPerBeat
+ * @param {boolean} options.expandRepeats - 展開反覆與 D.C. / D.S.
+ * @param {boolean} options.perStringChannels - 每弦一個 channel（弦 1 起依序配置，吉他合成器用）
+ * @returns {Uint8Array}
+ */
+export function writeMIDI(parts, options = {}) {
+    const {
+        tempo = 120,
+        timeSignature = '4/4',
+        key = 'C',
+        scaleType = 'Major',
+        title = '',
+        instrument = DEFAULT_INSTRUMENT,
+        velocity = DEFAULT_VELOCITY,
+        ticksPerBeat = PPQ,
+        expandRepeats = true,
+        perStringChannels = false
+    } = options;
+    const settings = { tempo, timeSignature, key, scaleType, title, instrument, perStringChannels };
+
+    const timelines = parts.map(part => buildTimeline(part.notes || [], {
+        tempo, timeSignature, velocity, ppq: ticksPerBeat, expandRepeats
+    }));
+
+    const tracks = [encodeTrack(buildConductorTrack(timelines[0] ?? { events: [] }, settings))];
+    let nextChannel = 0;
+    parts.forEach((part, i) => {
+        const stringCount = perStringChannels ? (part.tuning?.length || DEFAULT_STRING_COUNT) : 1;
+        const channels = allocateChannels(stringCount, nextChannel);
+        nextChannel = (channels[channels.length - 1] + 1) % MAX_CHANNELS;
+        tracks.push(encodeTrack(buildPartTrack(part, timelines[i], channels, settings)));
+    });
+
+    return new Uint8Array([
+        ...MIDI_HEADER,
+        ...toBytes(6, 4),               // Header length
+        ...toBytes(1, 2),               // Format 1
+        ...toBytes(tracks.length, 2),   // Number of tracks
+        ...toBytes(ticksPerBeat, 2),    // Ticks per beat
+        ...tracks.flat()
+    ]);
+}
+
+/**
+ * 建立單一聲部的 MIDI 檔案
+ * 時間位置由共用時間軸計算（時值、附點、連音、延音線、延長符、和弦、反覆皆已展開）
+ * 樂譜中的速度 / 拍號 / 調號變更各自寫成 meta 事件
+ * 每個音的 velocity 與發聲長度依力度記號與奏法決定（velocity 選項為沒有力度記號時的預設值）
+ * @param {Array} notes
+ * @param {Object} options - 同 writeMIDI，另可指定 trackName
+ * @returns {Uint8Array}
+ */
+export function createMIDI(notes, options = {}) {
+    return writeMIDI([{ name: options.trackName || '', notes: notes || [], instrument: options.instrument }], options);
+}
+
+/**
+ * 將 Score 的所有軌道輸出為 MIDI（每個軌道一個 MIDI 音軌）
+ * @param {Score} score
+ * @param {Object} options - 同 writeMIDI，會覆寫樂譜設定
+ * @returns {Uint8Array}
+ */
+export function writeScoreMIDI(score, options = {}) {
+    const { parts, options: scoreOptions } = score.getExportData();
+    return writeMIDI(parts, { ...scoreOptions, ...options });
+}
+
+export default writeMIDI;
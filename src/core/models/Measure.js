@@ -0,0 +1,289 @@
+/**
+ * Measure - 小節類別
+ * 由前後小節線、調號/拍號與一個以上的聲部組成
+ */
+
+import { Voice } from './Voice.js';
+
+/**
+ * 反覆 / 方向記號中屬於「小節開頭」的標記，
+ * 兩小節之間的連續分隔符中，尾端的這些標記歸入後一小節
+ */
+export const OPENING_BARLINES = ['|:', 'Segno', 'Coda'];
+
+/**
+ * 方向記號（D.C., D.S., Coda 等）
+ */
+export const DIRECTION_MARKERS = ['D.C.', 'D.S.', 'Coda', 'Fine', 'Segno', 'To Coda', 'D.C. al Fine', 'D.S. al Coda'];
+
+const isSeparatorNote = (n) => !!n && (n.isSeparator || n._type === 'separator');
+
+/**
+ * 是否為小節開頭的標記（開頭小節線、Segno / Coda 或反覆跳房）
+ * @param {Object} separator
+ * @returns {boolean}
+ */
+export function isOpeningMarker(separator) {
+    return OPENING_BARLINES.includes(separator?.displayStr) || separator?.volta?.length > 0;
+}
+
+/**
+ * 取得一段分隔符中最後設定的屬性值
+ * @param {Array} separators
+ * @param {string} field - 'keySignature' | 'timeSignature' | 'tempo' | 'section'
+ * @returns {string|number|null}
+ */
+function lastCarried(separators, field) {
+    for (let i = separators.length - 1; i >= 0; i--) {
+        if (separators[i][field] != null) return separators[i][field];
+    }
+    return null;
+}
+
+/**
+ * 把扁平音符陣列切成小節（plain object 與 Note 實例皆可）
+ *
+ * 規則：
+ *   - 有實際內容（音符、休止符、延長符、符號）才算一個小節，連續分隔符不會多算
+ *   - 兩小節之間的分隔符：尾端連續的開頭標記（|:、Segno、Coda、反覆跳房）屬於後一小節，其餘屬於前一小節
+ *   - 開頭的分隔符屬於第一小節，結尾的分隔符屬於最後一小節
+ *   - 分隔符上的 keySignature / timeSignature / tempo / section 套用於其後的小節
+ *
+ * @param {Array} notes - 扁平音符陣列
+ * @returns {Array<{number: number, startIdx: number, endIdx: number, notes: Array, startBarlines: Array, endBarlines: Array, keySignature: string|null, timeSignature: string|null, tempo: number|null, section: string|null}>}
+ *   number 為 1-indexed；startIdx / endIdx 為內容（不含小節線）在原陣列的範圍
+ */
+export function splitMeasures(notes) {
+    const result = [];
+    if (!Array.isArray(notes) || notes.length === 0) return result;
+
+    // 先切成「分隔符段」與「內容段」交錯的 runs
+    const runs = [];
+    notes.forEach((note, idx) => {
+        const sep = isSeparatorNote(note);
+        const last = runs[runs.length - 1];
+        if (last && last.sep === sep) {
+            last.items.push(note);
+            last.end = idx;
+        } else {
+            runs.push({ sep, items: [note], start: idx, end: idx });
+        }
+    });
+
+    let pending = [];       // 屬於下一小節開頭的分隔符
+    let pendingRun = [];    // 下一小節前方的整段分隔符（用於讀取調號 / 拍號）
+    runs.forEach((run, r) => {
+        if (run.sep) {
+            const prev = result[result.length - 1];
+            const isTrailing = r === runs.length - 1;
+            if (!prev) {
+                pending = run.items.slice();
+            } else if (isTrailing) {
+                prev.endBarlines.push(...run.items);
+                pending = [];
+            } else {
+                let split = run.items.length;
+                while (split > 0 && isOpeningMarker(run.items[split - 1])) split--;
+                prev.endBarlines.push(...run.items.slice(0, split));
+                pending = run.items.slice(split);
+            }
+            pendingRun = run.items;
+            return;
+        }
+
+        result.push({
+            number: result.length + 1,
+            startIdx: run.start,
+            endIdx: run.end,
+            notes: run.items,
+            startBarlines: pending,
+            endBarlines: [],
+            keySignature: lastCarried(pendingRun, 'keySignature'),
+            timeSignature: lastCarried(pendingRun, 'timeSignature'),
+            tempo: lastCarried(pendingRun, 'tempo'),
+            section: lastCarried(pendingRun, 'section'),
+        });
+        pending = [];
+        pendingRun = [];
+    });
+
+    // 全部都是分隔符：以一個空小節保存
+    if (result.length === 0) {
+        result.push({
+            number: 1,
+            startIdx: -1,
+            endIdx: -1,
+            notes: [],
+            startBarlines: [],
+            endBarlines: notes.slice(),
+            keySignature: lastCarried(notes, 'keySignature'),
+            timeSignature: lastCarried(notes, 'timeSignature'),
+            tempo: lastCarried(notes, 'tempo'),
+            section: lastCarried(notes, 'section'),
+        });
+    }
+
+    return result;
+}
+
+/**
+ * 依段落名稱（separator.section）分段，段落延續到下一個有名稱的小節之前
+ * @param {Array} notes - 扁平音符陣列
+ * @returns {Array<{name: string, startIdx: number, endIdx: number, measures: number}>}
+ *   startIdx / endIdx 為段落內容（不含開頭小節線）在原陣列的範圍
+ */
+export function findSections(notes) {
+    const sections = [];
+    splitMeasures(notes).forEach(m => {
+        if (m.startIdx < 0) return;
+        const last = sections[sections.length - 1];
+        if (m.section) {
+            sections.push({ name: m.section, startIdx: m.startIdx, endIdx: m.endIdx, measures: 1 });
+        } else if (last) {
+            last.endIdx = m.endIdx;
+            last.measures++;
+        }
+    });
+    return sections;
+}
+
+/**
+ * 小節類別
+ */
+export class Measure {
+    /**
+     * @param {Object} props
+     * @param {number} props.number - 小節編號（1-indexed）
+     * @param {string|null} props.keySignature - 調號變更（null = 沿用前一小節）
+     * @param {string|null} props.timeSignature - 拍號變更（null = 沿用前一小節）
+     * @param {number|null} props.tempo - 速度變更 BPM（null = 沿用前一小節）
+     * @param {string|null} props.section - 由此小節開始的段落名稱（如 "Verse"）
+     * @param {Array<Note>} props.startBarlines - 小節開頭的分隔符（|:、Segno 等）
+     * @param {Array<Note>} props.endBarlines - 小節結尾的分隔符（|、:|、D.C. 等）
+     * @param {Array<Voice>} props.voices - 聲部陣列
+     * @param {Array<number>} props.order - 原始事件順序（每個事件所屬的聲部編號），用於還原交錯的聲部
+     */
+    constructor(props = {}) {
+        this.number = props.number ?? 1;
+        this.keySignature = props.keySignature ?? null;
+        this.timeSignature = props.timeSignature ?? null;
+        this.tempo = props.tempo ?? null;
+        this.section = props.section ?? null;
+        this.startBarlines = props.startBarlines ?? [];
+        this.endBarlines = props.endBarlines ?? [];
+        this.voices = props.voices?.length ? props.voices : [new Voice({ id: 1 })];
+        this.order = props.order ?? [];
+    }
+
+    /**
+     * 由事件陣列建立小節，依 note.voice 分配聲部（未指定者歸入聲部 1）
+     * 並記下原始順序，events 依此還原，確保扁平索引不因聲部交錯而改變
+     * @param {Array<Note>} events
+     * @param {Object} props - 其他 Measure 屬性
+     * @returns {Measure}
+     */
+    static fromEvents(events, props = {}) {
+        const voices = [new Voice({ id: 1 })];
+        const order = [];
+        events.forEach(e => {
+            const id = e.voice ?? 1;
+            let voice = voices.find(v => v.id === id);
+            if (!voice) {
+                voice = new Voice({ id });
+                voices.push(voice);
+            }
+            voice.events.push(e);
+            order.push(id);
+        });
+        return new Measure({ ...props, voices, order });
+    }
+
+    /**
+     * 主聲部
+     */
+    get voice() {
+        return this.voices[0];
+    }
+
+    /**
+     * 所有聲部的事件（依原始順序；之後新增、不在 order 內的事件依聲部順序接在後面）
+     */
+    get events() {
+        const cursors = new Map(this.voices.map(v => [v.id, 0]));
+        const result = [];
+        this.order.forEach(id => {
+            const voice = this.voices.find(v => v.id === id);
+            const pos = cursors.get(id);
+            if (!voice || pos >= voice.events.length) return;
+            result.push(voice.events[pos]);
+            cursors.set(id, pos + 1);
+        });
+        this.voices.forEach(v => result.push(...v.events.slice(cursors.get(v.id))));
+        return result;
+    }
+
+    /**
+     * 所有小節線 / 方向記號字串
+     */
+    get markers() {
+        return [...this.startBarlines, ...this.endBarlines].map(b => b.displayStr || '|');
+    }
+
+    /**
+     * 方向記號（D.C., D.S., Segno, Coda, Fine, To Coda）
+     */
+    get directions() {
+        return this.markers.filter(m => DIRECTION_MARKERS.includes(m));
+    }
+
+    get isRepeatStart() {
+        return this.startBarlines.some(b => b.displayStr === '|:');
+    }
+
+    get isRepeatEnd() {
+        return this.endBarlines.some(b => b.displayStr === ':|');
+    }
+
+    /**
+     * 反覆總演奏次數（非反覆結尾為 null）
+     */
+    get repeatTimes() {
+        const end = this.endBarlines.find(b => b.displayStr === ':|');
+        return end ? (end.repeatTimes ?? 2) : null;
+    }
+
+    /**
+     * 反覆跳房編號（此小節開始的跳房，沒有則為 null）
+     */
+    get volta() {
+        return this.startBarlines.find(b => b.volta?.length)?.volta ?? null;
+    }
+
+    /**
+     * 轉回扁平陣列：開頭小節線 → 各聲部事件 → 結尾小節線
+     * @returns {Array<Note>}
+     */
+    toNotes() {
+        return [...this.startBarlines, ...this.events, ...this.endBarlines];
+    }
+
+    /**
+     * 複製此小節
+     * @returns {Measure}
+     */
+    clone() {
+        return new Measure({
+            number: this.number,
+            keySignature: this.keySignature,
+            timeSignature: this.timeSignature,
+            tempo: this.tempo,
+            section: this.section,
+            startBarlines: this.startBarlines.map(b => b.clone()),
+            endBarlines: this.endBarlines.map(b => b.clone()),
+            voices: this.voices.map(v => v.clone()),
+            order: [...this.order]
+        });
+    }
+}
+
+export default Measure;
@@ -3,7 +3,9 @@
  * 支援多種譜式格式（簡譜、五線譜、六線譜）的統一資料模型
  */
 
-import { NOTES, SCALES, STRING_TUNINGS } from '../../data/scaleData.js';
+import { SCALES, STRING_TUNINGS } from '../../data/scaleData.js';
+import { spellMidi, spellJianpu } from '../theory/spelling.js';
+import { KNOWN_NOTE_FIELDS } from '../schema/scoreSchema.js';
 
 // Scale type mapping for UI -> internal key
 const SCALE_MAPPING = {
@@ -84,6 +86,46 @@ export class Note {
         // 簡譜八度顯示偏移（吉他=1）
         this.displayOctaveShift = props.displayOctaveShift ?? 0;
 
+        // 連音符 { num, den } / 段中速度（GP 匯入）
+        this.tuplet = props.tuplet ?? null;
+        this.beatTempo = props.beatTempo ?? null;
+
+        // 和弦堆疊：同一拍的第 N 個音（0 = 主音）
+        this.isChord = props.isChord ?? false;
+        this.chordPosition = props.chordPosition ?? null;
+
+        // 聲部編號（1 = 主聲部）
+        this.voice = props.voice ?? null;
+
+        // 小節線攜帶的調號 / 拍號變更（僅 separator 使用，套用於後一小節）
+        this.keySignature = props.keySignature ?? null;
+        this.timeSignature = props.timeSignature ?? null;
+        // 小節速度變更（BPM，僅 separator 使用，套用於後一小節）
+        this.tempo = props.tempo ?? null;
+        // 反覆跳房：此分隔符之後的小節只在第 N 次反覆演奏（[1] / [2] / [1, 2]，僅 separator 使用）
+        this.volta = props.volta ?? null;
+        // 反覆總演奏次數（僅 :| 使用，null = 2 次）/ 段落名稱（如 "Verse"，套用於後一小節，僅 separator 使用）
+        this.repeatTimes = props.repeatTimes ?? null;
+        this.section = props.section ?? null;
+        // 此小節線後換行（歌詞 / 和弦譜的行尾，僅 separator 使用）
+        this.lineBreak = props.lineBreak ?? false;
+
+        // 漸慢 / 漸快（'rit' | 'accel'，自此音起至下一個速度變更）/ 延長記號
+        this.tempoRamp = props.tempoRamp ?? null;
+        this.fermata = props.fermata ?? false;
+
+        // 力度記號（ppp–fff）/ 漸強漸弱（'cresc' | 'dim'）/ 單音力度（1-127）/ 奏法陣列
+        this.dynamic = props.dynamic ?? null;
+        this.hairpin = props.hairpin ?? null;
+        this.velocity = props.velocity ?? null;
+        this.articulations = props.articulations ?? null;
+
+        // 歌詞音節 [{ verse, text, syllabic, extend }]（見 core/lyrics）
+        this.lyrics = props.lyrics ?? null;
+
+        // 未知欄位（新版程式或外部工具寫入），讀檔→存檔時原樣保留
+        this.extra = props.extra ?? null;
+
         // Type flags
         this._type = props.type ?? 'note';
     }
@@ -106,55 +148,26 @@ export class Note {
      * @returns {Note}
      */
     static fromMidi(midiNote, options = {}) {
-        const noteIndex = ((midiNote % 12) + 12) % 12;
-        const noteName = NOTES[noteIndex];
         const midiOctave = Math.floor(midiNote / 12) - 1;
 
         // displayOctaveShift: 吉他等移調樂器記譜比實音高一個八度，傳 1
         const displayOctaveShift = options.displayOctaveShift || 0;
 
-        // Calculate jianpu (in C major by default)
-        const key = options.key || 'C';
-        const scaleType = options.scaleType || 'Major';
-        const keyOffset = KEY_OFFSETS[key] || 0;
-        const mappedType = SCALE_MAPPING[scaleType] || 'major';
-        const scale = SCALES[mappedType] || SCALES['major'];
-
-        // Find jianpu degree — 先找完全匹配，再找升降記號
-        const semitoneFromKey = ((noteIndex - keyOffset) % 12 + 12) % 12;
-        let jianpu = null;
-        let accidentalStr = '';
-
-        // Pass 1: exact match (自然音)
-        for (let i = 0; i < scale.intervals.length; i++) {
-            if (scale.intervals[i] === semitoneFromKey) {
-                jianpu = i + 1;
-                break;
-            }
-        }
-
-        // Pass 2: accidentals (只在沒有完全匹配時)
-        if (jianpu === null) {
-            for (let i = 0; i < scale.intervals.length; i++) {
-                if (scale.intervals[i] === semitoneFromKey - 1) {
-                    jianpu = i + 1;
-                    accidentalStr = '#';
-                    break;
-                }
-                if (scale.intervals[i] === semitoneFromKey + 1) {
-                    jianpu = i + 1;
-                    accidentalStr = 'b';
-                    break;
-                }
-            }
-        }
+        // 依調號 / 調式與旋律方向拼寫音名，簡譜級數由拼寫後的字母決定
+        // （F 大調的 MIDI 70 為 Bb = 4，而不是 A# = 3#）
+        const { degree, accidental: accidentalStr, spelled } = spellJianpu(midiNote, {
+            key: options.key || 'C',
+            scaleType: options.scaleType || 'Major',
+            direction: options.direction || 0
+        });
+        const jianpu = degree;
 
         // 簡譜八度：使用 MIDI 八度（C 分界）
         const jianpuOctave = midiOctave;
 
         // Build display string
         const dispOct = jianpuOctave + displayOctaveShift;
-        let displayStr = jianpu ? String(jianpu) : noteName;
+        let displayStr = String(jianpu);
         if (dispOct > 4) displayStr += '.'.repeat(dispOct - 4);
         if (dispOct === 3) displayStr = '_' + displayStr;
         if (dispOct === 2) displayStr = '__' + displayStr;
@@ -162,7 +175,7 @@ export class Note {
 
         return new Note({
             midi: midiNote,
-            noteName: noteName + (accidentalStr === '#' ? '#' : accidentalStr === 'b' ? 'b' : ''),
+            noteName: spelled.name,
             octave: jianpuOctave,
             jianpu,
             accidentalStr,
@@ -211,8 +224,8 @@ export class Note {
         const baseOctave = 4 + octaveOffset;
         const midiNote = 60 + totalSemitone + (octaveOffset * 12);
 
-        // Calculate Note Name safely
-        const noteName = NOTES[(totalSemitone % 12 + 12) % 12];
+        // 依調號拼寫音名（簡譜的升降號作為旋律方向，#4 拼成 F# 而非 Gb）
+        const noteName = spellMidi(midiNote, { key, scaleType, direction: accidental }).name;
         const accidentalStr = accidental === 1 ? '#' : (accidental === -1 ? 'b' : '');
 
         // Build display string
@@ -316,10 +329,18 @@ export class Note {
 
     /**
      * 從 plain object 恢復 Note 實例
+     * 未知欄位保存在 extra 中（toObject 時寫回），不會被丟棄
      * @param {Object} obj
      * @returns {Note}
      */
     static fromObject(obj) {
+        let extra = null;
+        Object.keys(obj).forEach(k => {
+            if (KNOWN_NOTE_FIELDS.includes(k)) return;
+            extra = extra || {};
+            extra[k] = obj[k];
+        });
+
         // Determine type from flags（優先用明確旗標，否則退回 _type）
         let type = obj._type || 'note';
         if (obj.isRest) type = 'rest';
@@ -348,6 +369,30 @@ export class Note {
             dotted: obj.dotted,
             chordSymbol: obj.chordSymbol,
             chordFrets: obj.chordFrets,
+            displayOctaveShift: obj.displayOctaveShift,
+            tuplet: obj.tuplet,
+            beatTempo: obj.beatTempo,
+            isChord: obj.isChord,
+            chordPosition: obj.chordPosition,
+            voice: obj.voice,
+            keySignature: obj.keySignature,
+            timeSignature: obj.timeSignature,
+            tempo: obj.tempo,
+            volta: obj.volta,
+            repeatTimes: obj.repeatTimes,
+            section: obj.section,
+            lineBreak: obj.lineBreak,
+            tempoRamp: obj.tempoRamp,
+            fermata: obj.fermata,
+            dynamic: obj.dynamic,
+            hairpin: obj.hairpin,
+            velocity: obj.velocity,
+            articulations: obj.articulations,
+            lyrics: obj.lyrics,
+            confidence: obj.confidence,
+            sourceType: obj.sourceType,
+            format: obj.format,
+            extra,
         });
     }
 
@@ -357,6 +402,7 @@ export class Note {
      */
     toObject() {
         const obj = {
+            ...this.extra,
             index: this.index,
             jianpu: this.jianpu,
             displayStr: this.displayStr,
@@ -372,6 +418,32 @@ export class Note {
         if (this.dotted) obj.dotted = this.dotted;
         if (this.chordSymbol != null) obj.chordSymbol = this.chordSymbol;
         if (this.chordFrets != null) obj.chordFrets = this.chordFrets;
+        if (this.displayOctaveShift) obj.displayOctaveShift = this.displayOctaveShift;
+        if (this.tuplet != null) obj.tuplet = this.tuplet;
+        if (this.beatTempo != null) obj.beatTempo = this.beatTempo;
+        if (this.isChord) {
+            obj.isChord = true;
+            obj.chordPosition = this.chordPosition;
+        }
+        if (this.voice != null) obj.voice = this.voice;
+        if (this.keySignature != null) obj.keySignature = this.keySignature;
+        if (this.timeSignature != null) obj.timeSignature = this.timeSignature;
+        if (this.tempo != null) obj.tempo = this.tempo;
+        if (this.volta?.length) obj.volta = this.volta;
+        if (this.repeatTimes != null) obj.repeatTimes = this.repeatTimes;
+        if (this.section != null) obj.section = this.section;
+        if (this.lineBreak) obj.lineBreak = true;
+        if (this.tempoRamp != null) obj.tempoRamp = this.tempoRamp;
+        if (this.fermata) obj.fermata = true;
+        if (this.dynamic != null) obj.dynamic = this.dynamic;
+        if (this.hairpin != null) obj.hairpin = this.hairpin;
+        if (this.velocity != null) obj.velocity = this.velocity;
+        if (this.articulations?.length) obj.articulations = this.articulations;
+        if (this.lyrics?.length) obj.lyrics = this.lyrics;
+        if (this.tabPosition != null) obj.tabPosition = this.tabPosition;
+        if (this.confidence != null) obj.confidence = this.confidence;
+        if (this.sourceType != null) obj.sourceType = this.sourceType;
+        if (this.format != null) obj.format = this.format;
 
         if (this.isNote) {
             obj.midiNote = this.midi;
@@ -413,9 +485,9 @@ export class Note {
             index: overrides.index ?? this.index,
             duration: overrides.duration ?? this.duration,
             type: overrides.type ?? this._type,
-            // Tab properties
-            stringIndex: overrides.stringIndex ?? this.stringIndex,
-            fret: overrides.fret ?? this.fret,
+            // Tab properties（弦 / 格允許以 null 清除，如移調後超出指板）
+            stringIndex: 'stringIndex' in overrides ? overrides.stringIndex : this.stringIndex,
+            fret: 'fret' in overrides ? overrides.fret : this.fret,
             technique: overrides.technique ?? this.technique,
             tabPosition: overrides.tabPosition ?? this.tabPosition,
             chordSymbol: overrides.chordSymbol ?? this.chordSymbol,
@@ -423,7 +495,30 @@ export class Note {
             tieStart: overrides.tieStart ?? this.tieStart,
             tieEnd: overrides.tieEnd ?? this.tieEnd,
             dotted: overrides.dotted ?? this.dotted,
-            format: overrides.format ?? this.format
+            format: overrides.format ?? this.format,
+            displayOctaveShift: overrides.displayOctaveShift ?? this.displayOctaveShift,
+            tuplet: overrides.tuplet ?? this.tuplet,
+            beatTempo: overrides.beatTempo ?? this.beatTempo,
+            isChord: overrides.isChord ?? this.isChord,
+            chordPosition: overrides.chordPosition ?? this.chordPosition,
+            voice: overrides.voice ?? this.voice,
+            // 調號 / 拍號 / 速度變更允許以 null 清除
+            keySignature: 'keySignature' in overrides ? overrides.keySignature : this.keySignature,
+            timeSignature: 'timeSignature' in overrides ? overrides.timeSignature : this.timeSignature,
+            tempo: 'tempo' in overrides ? overrides.tempo : this.tempo,
+            volta: 'volta' in overrides ? overrides.volta : this.volta,
+            repeatTimes: 'repeatTimes' in overrides ? overrides.repeatTimes : this.repeatTimes,
+            section: 'section' in overrides ? overrides.section : this.section,
+            lineBreak: overrides.lineBreak ?? this.lineBreak,
+            tempoRamp: 'tempoRamp' in overrides ? overrides.tempoRamp : this.tempoRamp,
+            fermata: overrides.fermata ?? this.fermata,
+            // 力度 / 奏法允許以 null 清除
+            dynamic: 'dynamic' in overrides ? overrides.dynamic : this.dynamic,
+            hairpin: 'hairpin' in overrides ? overrides.hairpin : this.hairpin,
+            velocity: 'velocity' in overrides ? overrides.velocity : this.velocity,
+            articulations: 'articulations' in overrides ? overrides.articulations : this.articulations,
+            lyrics: 'lyrics' in overrides ? overrides.lyrics : this.lyrics,
+            extra: overrides.extra ?? this.extra
         });
     }
 }
@@ -0,0 +1,153 @@
+/**
+ * Part - 聲部樂器類別
+ * 一件樂器（一軌）的完整小節序列，可與扁平音符陣列互相轉換
+ */
+
+import { Note } from './Note.js';
+import { Measure, splitMeasures } from './Measure.js';
+import { STRING_TUNINGS } from '../../data/scaleData.js';
+
+const CARRIED_FIELDS = ['keySignature', 'timeSignature', 'tempo', 'section'];
+
+/**
+ * 樂器軌類別
+ */
+export class Part {
+    /**
+     * @param {Object} props
+     * @param {string} props.id - 軌道識別碼
+     * @param {string} props.name - 顯示名稱
+     * @param {string} props.instrument - 音色 / 樂器代號
+     * @param {Array<number>} props.tuning - 各弦空弦 MIDI（0 = 最高音弦）
+     * @param {number} props.capo - 移調夾琴格
+     * @param {Array<Measure>} props.measures - 小節陣列
+     */
+    constructor(props = {}) {
+        this.id = props.id ?? 'P1';
+        this.name = props.name ?? 'Guitar';
+        this.instrument = props.instrument ?? null;
+        this.tuning = props.tuning ?? [...STRING_TUNINGS];
+        this.capo = props.capo ?? 0;
+        this.measures = props.measures ?? [];
+    }
+
+    /**
+     * 從扁平音符陣列建立（Note 實例或 plain objects）
+     * @param {Array} notes
+     * @param {Object} props - 其他 Part 屬性
+     * @returns {Part}
+     */
+    static fromNotes(notes = [], props = {}) {
+        const instances = notes.map(n => n instanceof Note ? n : Note.fromObject(n));
+        const measures = splitMeasures(instances).map(m => Measure.fromEvents(m.notes, {
+            number: m.number,
+            keySignature: m.keySignature,
+            timeSignature: m.timeSignature,
+            tempo: m.tempo,
+            section: m.section,
+            startBarlines: m.startBarlines,
+            endBarlines: m.endBarlines
+        }));
+        return new Part({ ...props, measures });
+    }
+
+    /**
+     * 轉回扁平音符陣列
+     * 小節的調號 / 拍號變更寫回其前方最後一個分隔符；
+     * 若兩小節之間沒有任何分隔符則補上一條小節線
+     * @returns {Array<Note>}
+     */
+    toNotes() {
+        const result = [];
+        let prevEndStart = -1;
+
+        this.measures.forEach((measure, i) => {
+            const runStart = i > 0 ? prevEndStart : result.length;
+            result.push(...measure.startBarlines);
+
+            if (i > 0 && runStart === result.length) {
+                result.push(Note.createSeparator());
+            }
+
+            // 寫回調號 / 拍號 / 速度 / 段落名稱
+            CARRIED_FIELDS.forEach(field => {
+                const desired = measure[field] ?? null;
+                let carrier = -1;
+                for (let k = result.length - 1; k >= runStart; k--) {
+                    if (result[k][field] != null) { carrier = k; break; }
+                }
+                const current = carrier >= 0 ? result[carrier][field] : null;
+                if (current === desired || result.length === runStart) return;
+
+                for (let k = runStart; k < result.length; k++) {
+                    if (result[k][field] != null) result[k] = result[k].clone({ [field]: null });
+                }
+                if (desired != null) {
+                    const last = result.length - 1;
+                    result[last] = result[last].clone({ [field]: desired });
+                }
+            });
+
+            result.push(...measure.events);
+            prevEndStart = result.length;
+            result.push(...measure.endBarlines);
+        });
+
+        return result;
+    }
+
+    /**
+     * 每一小節實際生效的調號、拍號與速度
+     * @param {Object} defaults - { keySignature, timeSignature, tempo } 樂譜預設值
+     * @returns {Array<{number: number, keySignature: string, timeSignature: string, tempo: number}>}
+     */
+    getMeasureAttributes(defaults = {}) {
+        let keySignature = defaults.keySignature ?? 'C';
+        let timeSignature = defaults.timeSignature ?? '4/4';
+        let tempo = defaults.tempo ?? 120;
+        return this.measures.map(m => {
+            keySignature = m.keySignature ?? keySignature;
+            timeSignature = m.timeSignature ?? timeSignature;
+            tempo = m.tempo ?? tempo;
+            return { number: m.number, keySignature, timeSignature, tempo };
+        });
+    }
+
+    /**
+     * 弦數（依調弦）
+     */
+    get stringCount() {
+        return this.tuning.length;
+    }
+
+    /**
+     * 小節數量
+     */
+    get measureCount() {
+        return this.measures.length;
+    }
+
+    /**
+     * 重新編號小節（1-indexed）
+     */
+    renumber() {
+        this.measures.forEach((m, i) => { m.number = i + 1; });
+    }
+
+    /**
+     * 複製此軌道
+     * @returns {Part}
+     */
+    clone() {
+        return new Part({
+            id: this.id,
+            name: this.name,
+            instrument: this.instrument,
+            tuning: [...this.tuning],
+            capo: this.capo,
+            measures: this.measures.map(m => m.clone())
+        });
+    }
+}
+
+export default Part;
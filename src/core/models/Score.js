@@ -1,9 +1,43 @@
 /**
  * Score - 樂譜容器類別
- * 包含音符陣列和元數據，支援序列化和自動儲存
+ * 階層結構：Score → Part → Measure → Voice → Event(Note)
+ * 對外仍提供扁平音符陣列（第一軌），支援序列化和自動儲存
  */
 
 import { Note } from './Note.js';
+import { Part } from './Part.js';
+import { EditHistory, MetadataCommand, diffNotes } from '../history/EditHistory.js';
+import { CURRENT_SCHEMA_VERSION, loadScoreData, formatValidationReport } from '../schema/scoreSchema.js';
+import { transposeNotes } from '../theory/transpose.js';
+import { checkMeasures, repairMeasure, repairAllMeasures } from '../timing/measureCheck.js';
+
+/**
+ * 讀檔後回報遷移與驗證結果（不中斷載入）
+ */
+function reportLoad(score, loaded, source) {
+    score.validation = loaded.report;
+    if (loaded.applied.length > 0) {
+        console.info(`[Score] ${source} 資料由版本 ${loaded.fromVersion} 遷移 (${loaded.applied.join(', ')})`);
+    }
+    const summary = formatValidationReport(loaded.report);
+    if (summary) console.warn(`[Score] ${source} 資料驗證：${summary}`);
+}
+
+/**
+ * 存檔資料中的聲部 → Part 陣列（單一聲部時回傳 null，沿用 data.notes）
+ * 目前聲部（activePart）的音符存在 data.notes
+ */
+function partsFromData(data) {
+    if (!Array.isArray(data.parts) || data.parts.length < 2) return null;
+    const active = data.activePart ?? 0;
+    return data.parts.map((p, i) => Part.fromNotes(i === active ? (data.notes || []) : (p.notes || []), {
+        id: p.id,
+        name: p.name,
+        instrument: p.instrument,
+        tuning: p.tuning,
+        capo: p.capo
+    }));
+}
 
 /**
  * 樂譜容器類別
@@ -11,11 +45,16 @@ import { Note } from './Note.js';
 export class Score {
     /**
      * @param {Object} props
-     * @param {Array} props.notes - 音符陣列
+     * @param {Array} props.notes - 音符陣列（建立單一軌道）
+     * @param {Array<Part>} props.parts - 軌道陣列（優先於 notes）
      * @param {Object} props.metadata - 樂譜元數據
      */
     constructor(props = {}) {
-        this._notes = [];
+        this._parts = [new Part()];
+        this._notesCache = null;
+        this.history = new EditHistory();
+        // 最近一次讀檔的驗證報告（fromJSON / fromAutosave 設定）
+        this.validation = null;
         this.metadata = {
             name: props.metadata?.name ?? 'Untitled Score',
             key: props.metadata?.key ?? 'C',
@@ -41,30 +80,92 @@ export class Score {
             showScaleGuide: props.metadata?.showScaleGuide ?? true,
         };
 
-        // Initialize notes
-        if (props.notes) {
-            this.setNotes(props.notes);
+        // Initialize parts / notes
+        if (props.parts?.length) {
+            this.setParts(props.parts);
+        } else if (props.notes) {
+            this._replaceNotes(props.notes);
         }
     }
 
     /**
-     * 獲取音符陣列
+     * 獲取音符陣列（第一軌的扁平表示）
      */
     get notes() {
-        return this._notes;
+        if (!this._notesCache) {
+            this._notesCache = this._reindex(this._parts[0].toNotes());
+        }
+        return this._notesCache;
     }
 
     /**
-     * 設定音符陣列
+     * 獲取所有軌道
+     */
+    get parts() {
+        return this._parts;
+    }
+
+    /**
+     * 獲取第一軌的小節陣列
+     */
+    get measures() {
+        return this._parts[0].measures;
+    }
+
+    /**
+     * 第一軌每小節生效的調號、拍號與速度
+     * @returns {Array<{number: number, keySignature: string, timeSignature: string, tempo: number}>}
+     */
+    getMeasureAttributes() {
+        return this._parts[0].getMeasureAttributes({
+            keySignature: this.metadata.key,
+            timeSignature: this.metadata.timeSignature,
+            tempo: this.metadata.tempo
+        });
+    }
+
+    /**
+     * 依序重設 index（必要時複製）
      * @param {Array} notes - Note 實例或 plain objects 陣列
+     * @returns {Array<Note>}
      */
-    setNotes(notes) {
-        this._notes = notes.map((n, idx) => {
+    _reindex(notes) {
+        return notes.map((n, idx) => {
             if (n instanceof Note) {
                 return n.index !== idx ? n.clone({ index: idx }) : n;
             }
             return Note.fromObject({ ...n, index: idx });
         });
+    }
+
+    /**
+     * 設定音符陣列並記錄至編輯歷史
+     * @param {Array} notes - Note 實例或 plain objects 陣列
+     * @param {string} label - 歷史顯示名稱
+     */
+    setNotes(notes, label = '編輯音符') {
+        this.history.record(diffNotes(this.notes, notes), label);
+        this._replaceNotes(notes);
+    }
+
+    /**
+     * 替換音符陣列（重建第一軌的小節結構，保留軌道屬性），不記錄歷史
+     * @param {Array} notes - Note 實例或 plain objects 陣列
+     */
+    _replaceNotes(notes) {
+        const { id, name, instrument, tuning, capo } = this._parts[0];
+        this._parts[0] = Part.fromNotes(this._reindex(notes), { id, name, instrument, tuning, capo });
+        this._notesCache = null;
+        this.metadata.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * 設定軌道陣列
+     * @param {Array<Part>} parts
+     */
+    setParts(parts) {
+        this._parts = parts.length ? parts : [new Part()];
+        this._notesCache = null;
         this.metadata.updatedAt = new Date().toISOString();
     }
 
@@ -75,16 +176,14 @@ export class Score {
      */
     addNote(note, position = -1) {
         const newNote = note instanceof Note ? note : Note.fromObject(note);
+        const notes = [...this.notes];
 
-        if (position < 0 || position >= this._notes.length) {
-            newNote.index = this._notes.length;
-            this._notes.push(newNote);
+        if (position < 0 || position >= notes.length) {
+            notes.push(newNote);
         } else {
-            this._notes.splice(position, 0, newNote);
-            // Re-index
-            this._notes.forEach((n, idx) => n.index = idx);
+            notes.splice(position, 0, newNote);
         }
-        this.metadata.updatedAt = new Date().toISOString();
+        this.setNotes(notes, '新增音符');
     }
 
     /**
@@ -92,11 +191,10 @@ export class Score {
      * @param {number} index
      */
     removeNote(index) {
-        if (index >= 0 && index < this._notes.length) {
-            this._notes.splice(index, 1);
-            // Re-index
-            this._notes.forEach((n, idx) => n.index = idx);
-            this.metadata.updatedAt = new Date().toISOString();
+        if (index >= 0 && index < this.notes.length) {
+            const notes = [...this.notes];
+            notes.splice(index, 1);
+            this.setNotes(notes, '刪除音符');
         }
     }
 
@@ -106,10 +204,10 @@ export class Score {
      * @param {Object} updates
      */
     updateNote(index, updates) {
-        if (index >= 0 && index < this._notes.length) {
-            const note = this._notes[index];
-            this._notes[index] = note.clone(updates);
-            this.metadata.updatedAt = new Date().toISOString();
+        if (index >= 0 && index < this.notes.length) {
+            const notes = [...this.notes];
+            notes[index] = notes[index].clone(updates);
+            this.setNotes(notes, '修改音符');
         }
     }
 
@@ -117,14 +215,33 @@ export class Score {
      * 獲取音符數量（不含分隔符）
      */
     get noteCount() {
-        return this._notes.filter(n => !n.isSeparator).length;
+        return this.notes.filter(n => !n.isSeparator).length;
     }
 
     /**
      * 獲取總數量
      */
     get length() {
-        return this._notes.length;
+        return this.notes.length;
+    }
+
+    /**
+     * 多聲部存檔資料（第一軌的音符即 notes，其 notes 欄位留空；單一聲部時不寫入）
+     * @returns {{ parts: Array<Object>, activePart: number }|null}
+     */
+    _serializeParts() {
+        if (this._parts.length < 2) return null;
+        return {
+            parts: this._parts.map((part, i) => ({
+                id: part.id,
+                name: part.name,
+                instrument: part.instrument,
+                tuning: part.tuning,
+                capo: part.capo,
+                notes: i === 0 ? [] : part.toNotes().map(n => n.toObject())
+            })),
+            activePart: 0
+        };
     }
 
     /**
@@ -135,8 +252,9 @@ export class Score {
         return {
             name: this.metadata.name,
             data: {
+                schemaVersion: CURRENT_SCHEMA_VERSION,
                 text: this.toJianpuString(),
-                notes: this._notes.map(n => n.toObject()),
+                notes: this.notes.map(n => n.toObject()),
                 key: this.metadata.key,
                 scaleType: this.metadata.scaleType,
                 tempo: this.metadata.tempo,
@@ -148,7 +266,12 @@ export class Score {
                 showYoutube: this.metadata.showYoutube,
                 youtubeLayout: this.metadata.youtubeLayout,
                 viewMode: this.metadata.viewMode,
-                showScaleGuide: this.metadata.showScaleGuide
+                showScaleGuide: this.metadata.showScaleGuide,
+                title: this.metadata.title,
+                capo: this.metadata.capo,
+                composer: this.metadata.composer,
+                lyricist: this.metadata.lyricist,
+                ...this._serializeParts()
             }
         };
     }
@@ -159,15 +282,15 @@ export class Score {
      * @returns {Score}
      */
     static fromJSON(json) {
-        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        // 支援 { name, data: {...} } 與直接的 data 格式；舊版資料先遷移到目前版本
+        const loaded = loadScoreData(json);
+        const actualData = loaded.data;
 
-        // Support both { name, data: {...} } format AND direct data format
-        const actualData = data.data ? data.data : data;
-
-        return new Score({
+        const score = new Score({
             notes: actualData.notes || [],
+            parts: partsFromData(actualData),
             metadata: {
-                name: data.name || 'GuitarScore',
+                name: loaded.name || 'GuitarScore',
                 key: actualData.key || 'C',
                 scaleType: actualData.scaleType || 'Major',
                 tempo: actualData.tempo || 120,
@@ -179,9 +302,15 @@ export class Score {
                 showYoutube: actualData.showYoutube ?? false,
                 youtubeLayout: actualData.youtubeLayout || { x: 50, y: 50, width: 320, height: 180 },
                 viewMode: actualData.viewMode || 'both',
-                showScaleGuide: actualData.showScaleGuide ?? true
+                showScaleGuide: actualData.showScaleGuide ?? true,
+                title: actualData.title ?? null,
+                capo: actualData.capo ?? null,
+                composer: actualData.composer ?? null,
+                lyricist: actualData.lyricist ?? null
             }
         });
+        reportLoad(score, loaded, 'fromJSON');
+        return score;
     }
 
     /**
@@ -190,8 +319,9 @@ export class Score {
      */
     toAutosaveFormat() {
         return {
+            schemaVersion: CURRENT_SCHEMA_VERSION,
             text: this.toJianpuString(),
-            notes: this._notes.map(n => n.toObject()),
+            notes: this.notes.map(n => n.toObject()),
             key: this.metadata.key,
             scaleType: this.metadata.scaleType,
             tempo: this.metadata.tempo,
@@ -203,20 +333,25 @@ export class Score {
             youtubeUrl: this.metadata.youtubeUrl,
             showYoutube: this.metadata.showYoutube,
             youtubeLayout: this.metadata.youtubeLayout,
-            viewMode: this.metadata.viewMode
+            viewMode: this.metadata.viewMode,
+            ...this._serializeParts(),
+            history: this.history.toJSON(n => n.toObject())
         };
     }
 
     /**
      * 從自動儲存格式恢復
-     * @param {Object} data
+     * @param {Object} saved
      * @returns {Score}
      */
-    static fromAutosave(data) {
-        if (!data) return new Score();
+    static fromAutosave(saved) {
+        if (!saved) return new Score();
 
-        return new Score({
+        const loaded = loadScoreData(saved);
+        const data = loaded.data;
+        const score = new Score({
             notes: data.notes || [],
+            parts: partsFromData(data),
             metadata: {
                 key: data.key || 'C',
                 scaleType: data.scaleType || 'Major',
@@ -232,6 +367,9 @@ export class Score {
                 viewMode: data.viewMode || 'both'
             }
         });
+        score.history = EditHistory.fromJSON(data.history, o => Note.fromObject(o));
+        reportLoad(score, loaded, 'fromAutosave');
+        return score;
     }
 
     /**
@@ -239,7 +377,7 @@ export class Score {
      * @returns {string}
      */
     toJianpuString() {
-        return this._notes.map(n => {
+        return this.notes.map(n => {
             if (n.isSeparator) return '|';
             if (n.isRest) return '0';
             if (n.isExtension) return '-';
@@ -256,22 +394,160 @@ export class Score {
         }).join(' ');
     }
 
+    /**
+     * 匯出用資料：各軌道的扁平音符與樂譜層級設定
+     * 供 MusicXMLParser.stringifyScore 與 writeScoreMIDI 使用
+     * @returns {{ parts: Array<{name: string, notes: Array<Note>, instrument: string|null, tuning: Array<number>, capo: number}>, options: Object }}
+     */
+    getExportData() {
+        return {
+            parts: this._parts.map(part => ({
+                name: part.name,
+                notes: part.toNotes(),
+                instrument: part.instrument,
+                tuning: part.tuning,
+                capo: part.capo || this.metadata.capo || 0
+            })),
+            options: {
+                title: this.metadata.title || this.metadata.name,
+                composer: this.metadata.composer,
+                lyricist: this.metadata.lyricist,
+                key: this.metadata.key,
+                scaleType: this.metadata.scaleType,
+                timeSignature: this.metadata.timeSignature,
+                tempo: this.metadata.tempo
+            }
+        };
+    }
+
     /**
      * 更新元數據
      * @param {Object} updates
      */
     updateMetadata(updates) {
+        const before = {};
+        Object.keys(updates).forEach(k => { before[k] = this.metadata[k]; });
+        this.history.record(new MetadataCommand({ before, after: { ...updates } }), '修改樂譜設定');
         Object.assign(this.metadata, updates);
         this.metadata.updatedAt = new Date().toISOString();
     }
 
+    /**
+     * 移調（第一軌）
+     * 全曲移調時一併變更 metadata.key；指定 range 時只移調該段落，調號不變
+     * @param {number|string} interval - 半音數或音程名稱（'M2'、'-m3'）
+     * @param {Object} options
+     * @param {{start: number, end: number}|null} options.range - 扁平索引範圍（含兩端），null = 全曲
+     * @param {string} options.targetKey - 指定移調後的調（預設依音程推算）
+     * @param {boolean} options.preferCaged - 重新安排把位時偏好目前的 CAGED 指型 (metadata.cagedPosition)
+     * @param {number} options.maxFret - 最高琴格（預設 24）
+     * @returns {{ notes: Array, key: string, semitones: number, changed: number, folded: Array<number> }}
+     */
+    transpose(interval, options = {}) {
+        const { range = null, targetKey, preferCaged = false, maxFret } = options;
+        const { tuning, capo } = this._parts[0];
+        const result = transposeNotes(this.notes, interval, {
+            key: this.metadata.key,
+            scaleType: this.metadata.scaleType,
+            range,
+            targetKey,
+            tuning,
+            capo,
+            maxFret,
+            cagedPosition: preferCaged ? this.metadata.cagedPosition : null
+        });
+        if (result.changed === 0 && result.key === this.metadata.key) return result;
+
+        this.transaction('移調', () => {
+            this.setNotes(result.notes, '移調');
+            if (result.key !== this.metadata.key) this.updateMetadata({ key: result.key });
+        });
+        return result;
+    }
+
+    /**
+     * 檢查第一軌的小節拍數、連音與延音線
+     * @param {Object} options - { allowPickup }
+     * @returns {{ valid: boolean, issues: Array<Object>, measures: Array<Object> }}
+     */
+    checkMeasures(options = {}) {
+        return checkMeasures(this.notes, { ...options, timeSignature: this.metadata.timeSignature });
+    }
+
+    /**
+     * 套用小節修正（可復原）
+     * @param {Object} issue - checkMeasures 回傳的問題
+     * @param {string} action - 'pad' | 'split' | 'move-barline' | 'remove-tie'
+     * @returns {boolean} 是否有修改
+     */
+    repairMeasure(issue, action) {
+        const notes = repairMeasure(this.notes, issue, action);
+        if (notes === this.notes) return false;
+        this.setNotes(notes, '修正小節');
+        return true;
+    }
+
+    /**
+     * 自動修正所有超出 / 不足的小節（一次可復原）
+     * @returns {number} 修正的小節數
+     */
+    repairAllMeasures() {
+        const { notes, repaired } = repairAllMeasures(this.notes, { timeSignature: this.metadata.timeSignature });
+        if (repaired > 0) this.setNotes(notes, '修正所有小節');
+        return repaired;
+    }
+
+    /**
+     * 將多個編輯合併為一次可復原的交易
+     * @param {string} label - 歷史顯示名稱
+     * @param {Function} fn - (score) => void
+     */
+    transaction(label, fn) {
+        this.history.begin(label);
+        try {
+            fn(this);
+        } finally {
+            this.history.end();
+        }
+    }
+
+    get canUndo() {
+        return this.history.canUndo;
+    }
+
+    get canRedo() {
+        return this.history.canRedo;
+    }
+
+    /**
+     * 復原上一次編輯
+     * @returns {boolean} 是否有執行復原
+     */
+    undo() {
+        if (!this.history.canUndo) return false;
+        const notes = this.history.undo(this.notes, { onMetadata: (m) => Object.assign(this.metadata, m) });
+        this._replaceNotes(notes);
+        return true;
+    }
+
+    /**
+     * 重做上一次復原的編輯
+     * @returns {boolean} 是否有執行重做
+     */
+    redo() {
+        if (!this.history.canRedo) return false;
+        const notes = this.history.redo(this.notes, { onMetadata: (m) => Object.assign(this.metadata, m) });
+        this._replaceNotes(notes);
+        return true;
+    }
+
     /**
      * 複製此樂譜
      * @returns {Score}
      */
     clone() {
         return new Score({
-            notes: this._notes.map(n => n.clone()),
+            parts: this._parts.map(p => p.clone()),
             metadata: { ...this.metadata }
         });
     }
@@ -0,0 +1,53 @@
+/**
+ * Voice - 聲部類別
+ * 小節內的一條獨立時間線，依序存放事件（音符、休止符、延長符、符號）
+ */
+
+/**
+ * 聲部類別
+ */
+export class Voice {
+    /**
+     * @param {Object} props
+     * @param {number} props.id - 聲部編號（1 = 主聲部）
+     * @param {Array<Note>} props.events - 事件陣列（Note 實例）
+     */
+    constructor(props = {}) {
+        this.id = props.id ?? 1;
+        this.events = props.events ?? [];
+    }
+
+    /**
+     * 僅取實際發聲的音符
+     */
+    get notes() {
+        return this.events.filter(e => e.isNote);
+    }
+
+    /**
+     * 事件數量
+     */
+    get length() {
+        return this.events.length;
+    }
+
+    /**
+     * 是否沒有任何事件
+     */
+    get isEmpty() {
+        return this.events.length === 0;
+    }
+
+    /**
+     * 複製此聲部
+     * @returns {Voice}
+     */
+    clone() {
+        return new Voice({
+            id: this.id,
+            events: this.events.map(e => e.clone())
+        });
+    }
+}
+
+export default Voice;
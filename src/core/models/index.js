@@ -4,3 +4,6 @@
 
 export { Note } from './Note.js';
 export { Score } from './Score.js';
+export { Part } from './Part.js';
+export { Measure, splitMeasures, findSections, isOpeningMarker, OPENING_BARLINES, DIRECTION_MARKERS } from './Measure.js';
+export { Voice } from './Voice.js';
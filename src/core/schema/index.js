@@ -0,0 +1,17 @@
+/**
+ * Core Schema - Barrel Export
+ */
+
+export {
+    CURRENT_SCHEMA_VERSION,
+    KNOWN_NOTE_FIELDS,
+    KNOWN_SCORE_FIELDS,
+    SCORE_MIGRATIONS,
+    runMigrations,
+    migrateScoreData,
+    validateNote,
+    validateScoreData,
+    loadScoreData,
+    formatValidationReport,
+    serializeNotes
+} from './scoreSchema.js';
@@ -0,0 +1,401 @@
+/**
+ * Score Schema - 樂譜存檔格式版本與遷移
+ * 存檔 / 自動儲存 / 剪貼簿 JSON 皆帶 schemaVersion，
+ * 舊版資料依序經過遷移函數升級，再以驗證器回報未知或損壞的欄位（不默默丟棄）
+ *
+ * 版本紀錄：
+ *   1 - 未標版本的舊資料：音符可能只有 _type / midi（Note 實例直接 JSON 化），單張 sourceImage
+ *   2 - 音符一律為 plain object：帶 is* 類型旗標與 midiNote；原圖改為 sourceImages 陣列
+ */
+
+import { DURATION_BEATS } from '../timing/timeline.js';
+import { TEMPO_RAMP_RATIO } from '../timing/changes.js';
+import { DYNAMIC_VELOCITY, HAIRPIN_LABELS, ARTICULATIONS } from '../expression/dynamics.js';
+import { LYRIC_SYLLABICS } from '../lyrics/lyrics.js';
+
+/**
+ * 目前的樂譜資料版本
+ */
+export const CURRENT_SCHEMA_VERSION = 2;
+
+/**
+ * 音符可序列化的已知欄位（其餘欄位視為未知，保留並回報警告）
+ */
+export const KNOWN_NOTE_FIELDS = [
+    'index', 'jianpu', 'displayStr', 'duration',
+    'midiNote', 'midi', 'noteName', 'octave', 'accidentalStr',
+    'isNote', 'isRest', 'isExtension', 'isSeparator', 'isSymbol', '_type',
+    'technique', 'stringIndex', 'fret', 'tabPosition',
+    'tieStart', 'tieEnd', 'dotted', 'tuplet', 'beatTempo',
+    'chordSymbol', 'chordFrets', 'isChord', 'chordPosition', 'voice',
+    'keySignature', 'timeSignature', 'tempo', 'volta', 'repeatTimes', 'section', 'lineBreak', 'tempoRamp', 'fermata', 'displayOctaveShift',
+    'dynamic', 'hairpin', 'velocity', 'articulations', 'lyrics',
+    'confidence', 'sourceType', 'format'
+];
+
+/**
+ * 樂譜資料（data 區塊）的已知欄位
+ */
+export const KNOWN_SCORE_FIELDS = [
+    'schemaVersion', 'text', 'notes', 'key', 'scaleType', 'tempo', 'timeSignature',
+    'startString', 'cagedPosition', 'octaveOffset', 'showScaleGuide',
+    'youtubeUrl', 'showYoutube', 'youtubeLayout', 'viewMode', 'instrument',
+    'sourceImages', 'history', 'title', 'capo', 'composer', 'lyricist',
+    'parts', 'activePart'
+];
+
+/**
+ * 多聲部樂譜中每個聲部的已知欄位
+ * 目前檢視的聲部（activePart）音符存在 data.notes，其 notes 欄位留空
+ */
+export const KNOWN_PART_FIELDS = ['id', 'name', 'instrument', 'tuning', 'capo', 'isDrum', 'muted', 'notes'];
+
+const TYPE_FLAGS = ['isNote', 'isRest', 'isExtension', 'isSeparator', 'isSymbol'];
+const TYPE_BY_FLAG = {
+    isNote: 'note', isRest: 'rest', isExtension: 'extension', isSeparator: 'separator', isSymbol: 'symbol'
+};
+const KEY_PATTERN = /^[A-G][#b]?m?$/;
+const TIME_SIGNATURE_PATTERN = /^\d{1,2}\/(1|2|4|8|16|32)$/;
+
+/**
+ * 依序套用遷移函數
+ * @param {Object} data - 原始資料（不修改）
+ * @param {Array<{from: number, to: number, migrate: Function}>} migrations - 遷移鏈
+ * @param {number} currentVersion - 目標版本
+ * @param {string} versionKey - 版本欄位名稱
+ * @returns {{ data: Object, fromVersion: number, applied: Array<string> }}
+ */
+export function runMigrations(data, migrations, currentVersion, versionKey = 'schemaVersion') {
+    const fromVersion = Number.isInteger(data?.[versionKey]) ? data[versionKey] : 1;
+    const applied = [];
+    let result = { ...data };
+    let version = fromVersion;
+
+    if (version > currentVersion) {
+        throw new Error(`資料版本 ${version} 比程式支援的版本 ${currentVersion} 新，請更新程式`);
+    }
+
+    while (version < currentVersion) {
+        const step = migrations.find(m => m.from === version);
+        if (!step) {
+            throw new Error(`找不到版本 ${version} 的遷移函數`);
+        }
+        result = step.migrate(result);
+        version = step.to;
+        applied.push(`${step.from}→${step.to}`);
+    }
+
+    result[versionKey] = currentVersion;
+    return { data: result, fromVersion, applied };
+}
+
+/**
+ * 由舊資料推斷音符類型（沒有任何類型旗標時）
+ * @param {Object} note
+ * @returns {string}
+ */
+function inferNoteType(note) {
+    if (note._type) return note._type;
+    const mark = String(note.jianpu ?? note.displayStr ?? '');
+    if (mark === '0') return 'rest';
+    if (mark === '-') return 'extension';
+    if (mark === '|' || mark === '||' || mark === '|:' || mark === ':|') return 'separator';
+    return 'note';
+}
+
+/**
+ * v1 → v2：音符補齊 is* 旗標與 midiNote，sourceImage 改為 sourceImages
+ */
+function migrateV1toV2(data) {
+    const result = { ...data };
+
+    if (Array.isArray(data.notes)) {
+        result.notes = data.notes.map(n => {
+            if (!n || typeof n !== 'object') return n;
+            const out = { ...n };
+            if (out.midi != null && out.midiNote == null) out.midiNote = out.midi;
+            if (!TYPE_FLAGS.some(f => out[f])) {
+                const type = inferNoteType(out);
+                TYPE_FLAGS.forEach(f => {
+                    if (TYPE_BY_FLAG[f] === type) out[f] = true;
+                });
+            }
+            delete out._type;
+            delete out.midi;
+            return out;
+        });
+    }
+
+    if (!Array.isArray(data.sourceImages) && data.sourceImage) {
+        result.sourceImages = [data.sourceImage];
+    }
+    delete result.sourceImage;
+
+    return result;
+}
+
+/**
+ * 樂譜資料遷移鏈
+ */
+export const SCORE_MIGRATIONS = [
+    { from: 1, to: 2, migrate: migrateV1toV2 }
+];
+
+/**
+ * 遷移樂譜資料到目前版本
+ * 支援 { name, data: {...} } 檔案格式與直接的 data 格式（自動儲存）
+ * @param {Object|string} json
+ * @returns {{ name: string|null, data: Object, fromVersion: number, applied: Array<string> }}
+ */
+export function migrateScoreData(json) {
+    const parsed = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!parsed || typeof parsed !== 'object') {
+        throw new Error('樂譜資料格式不符');
+    }
+    const isEnvelope = parsed.data && typeof parsed.data === 'object';
+    const raw = isEnvelope ? parsed.data : parsed;
+    // 舊版把版本號放在外層時也接受
+    const versioned = raw.schemaVersion == null && isEnvelope && parsed.schemaVersion != null
+        ? { ...raw, schemaVersion: parsed.schemaVersion }
+        : raw;
+
+    const { data, fromVersion, applied } = runMigrations(versioned, SCORE_MIGRATIONS, CURRENT_SCHEMA_VERSION);
+    return { name: isEnvelope ? (parsed.name ?? null) : null, data, fromVersion, applied };
+}
+
+/**
+ * 建立驗證報告
+ */
+function createReport() {
+    const report = { valid: true, errors: [], warnings: [] };
+    report.error = (path, message, value) => {
+        report.valid = false;
+        report.errors.push({ path, message, value });
+    };
+    report.warn = (path, message, value) => {
+        report.warnings.push({ path, message, value });
+    };
+    return report;
+}
+
+const isInt = (v) => Number.isInteger(v);
+
+/**
+ * 驗證單一音符
+ * @param {Object} note - plain object 音符
+ * @param {string} path - 回報用路徑（如 'notes[3]'）
+ * @param {Object} report - 由 validateScoreData 傳入；省略則建立新的
+ * @returns {{ valid: boolean, errors: Array, warnings: Array }}
+ */
+export function validateNote(note, path = 'note', report = createReport()) {
+    if (!note || typeof note !== 'object' || Array.isArray(note)) {
+        report.error(path, '音符必須是物件', note);
+        return report;
+    }
+
+    Object.keys(note).forEach(k => {
+        if (!KNOWN_NOTE_FIELDS.includes(k)) report.warn(`${path}.${k}`, '未知的音符欄位', note[k]);
+    });
+
+    const flags = TYPE_FLAGS.filter(f => note[f]);
+    if (flags.length > 1) report.error(path, `同時有多個類型旗標：${flags.join(', ')}`, flags);
+
+    const midi = note.midiNote ?? note.midi;
+    if (midi != null && (!isInt(midi) || midi < 0 || midi > 127)) {
+        report.error(`${path}.midiNote`, 'MIDI 音高必須是 0-127 的整數', midi);
+    }
+    if (note.isNote && midi == null) {
+        report.warn(`${path}.midiNote`, '音符缺少 MIDI 音高', midi);
+    }
+    if (note.duration != null && !(note.duration in DURATION_BEATS)) {
+        report.error(`${path}.duration`, '未知的時值', note.duration);
+    }
+    if (note.dotted != null && typeof note.dotted !== 'boolean' && !(isInt(note.dotted) && note.dotted >= 0 && note.dotted <= 2)) {
+        report.error(`${path}.dotted`, '附點數必須是 0-2', note.dotted);
+    }
+    if (note.stringIndex != null && !(isInt(note.stringIndex) && note.stringIndex >= 0 && note.stringIndex < 12)) {
+        report.error(`${path}.stringIndex`, '弦索引超出範圍', note.stringIndex);
+    }
+    if (note.fret != null && !(isInt(note.fret) && note.fret >= 0 && note.fret <= 36)) {
+        report.error(`${path}.fret`, '琴格超出範圍', note.fret);
+    }
+    if (note.tuplet != null && !(isInt(note.tuplet.num) && isInt(note.tuplet.den) && note.tuplet.num > 0 && note.tuplet.den > 0)) {
+        report.error(`${path}.tuplet`, '連音符必須是 { num, den } 正整數', note.tuplet);
+    }
+    if (note.beatTempo != null && !(typeof note.beatTempo === 'number' && note.beatTempo > 0)) {
+        report.error(`${path}.beatTempo`, '段中速度必須是正數', note.beatTempo);
+    }
+    if (note.keySignature != null && !KEY_PATTERN.test(note.keySignature)) {
+        report.error(`${path}.keySignature`, '無效的調號', note.keySignature);
+    }
+    if (note.timeSignature != null && !TIME_SIGNATURE_PATTERN.test(note.timeSignature)) {
+        report.error(`${path}.timeSignature`, '無效的拍號', note.timeSignature);
+    }
+    if (note.tempo != null && !(typeof note.tempo === 'number' && note.tempo > 0)) {
+        report.error(`${path}.tempo`, '速度變更必須是正數', note.tempo);
+    }
+    if (note.volta != null && !(Array.isArray(note.volta) && note.volta.length > 0 && note.volta.every(v => isInt(v) && v > 0))) {
+        report.error(`${path}.volta`, '反覆跳房必須是正整數陣列', note.volta);
+    }
+    if (note.repeatTimes != null && !(isInt(note.repeatTimes) && note.repeatTimes >= 2)) {
+        report.error(`${path}.repeatTimes`, '反覆次數必須是 2 以上的整數', note.repeatTimes);
+    }
+    if (note.section != null && !(typeof note.section === 'string' && note.section.trim())) {
+        report.error(`${path}.section`, '段落名稱必須是非空字串', note.section);
+    }
+    if (note.lineBreak != null && typeof note.lineBreak !== 'boolean') {
+        report.error(`${path}.lineBreak`, '換行必須是布林值', note.lineBreak);
+    }
+    if (note.tempoRamp != null && !(note.tempoRamp in TEMPO_RAMP_RATIO)) {
+        report.error(`${path}.tempoRamp`, '未知的漸變速度', note.tempoRamp);
+    }
+    if (note.fermata != null && typeof note.fermata !== 'boolean') {
+        report.error(`${path}.fermata`, '延長記號必須是布林值', note.fermata);
+    }
+    if (note.dynamic != null && !(note.dynamic in DYNAMIC_VELOCITY)) {
+        report.error(`${path}.dynamic`, '未知的力度記號', note.dynamic);
+    }
+    if (note.hairpin != null && !(note.hairpin in HAIRPIN_LABELS)) {
+        report.error(`${path}.hairpin`, '未知的漸強 / 漸弱', note.hairpin);
+    }
+    if (note.velocity != null && !(isInt(note.velocity) && note.velocity >= 1 && note.velocity <= 127)) {
+        report.error(`${path}.velocity`, '力度必須是 1-127 的整數', note.velocity);
+    }
+    if (note.articulations != null) {
+        if (!Array.isArray(note.articulations)) {
+            report.error(`${path}.articulations`, '奏法必須是陣列', note.articulations);
+        } else {
+            note.articulations.filter(a => !(a in ARTICULATIONS)).forEach(a => {
+                report.warn(`${path}.articulations`, '未知的奏法', a);
+            });
+        }
+    }
+    if (note.lyrics != null) {
+        if (!Array.isArray(note.lyrics)) {
+            report.error(`${path}.lyrics`, '歌詞必須是陣列', note.lyrics);
+        } else {
+            note.lyrics.forEach((l, k) => {
+                if (!l || !isInt(l.verse) || l.verse < 1 || typeof l.text !== 'string') {
+                    report.error(`${path}.lyrics[${k}]`, '歌詞必須是 { verse, text }（verse 為正整數）', l);
+                } else if (l.syllabic != null && !LYRIC_SYLLABICS.includes(l.syllabic)) {
+                    report.error(`${path}.lyrics[${k}].syllabic`, '未知的音節類型', l.syllabic);
+                }
+            });
+        }
+    }
+
+    return report;
+}
+
+/**
+ * 驗證多聲部樂譜中的一個聲部
+ * @param {Object} part
+ * @param {string} path - 報告中的欄位路徑
+ * @param {Object} report
+ */
+function validatePart(part, path, report) {
+    if (!part || typeof part !== 'object') {
+        report.error(path, '聲部必須是物件', part);
+        return;
+    }
+    Object.keys(part).forEach(k => {
+        if (!KNOWN_PART_FIELDS.includes(k)) report.warn(`${path}.${k}`, '未知的聲部欄位', part[k]);
+    });
+    if (part.notes != null && !Array.isArray(part.notes)) {
+        report.error(`${path}.notes`, 'notes 必須是陣列', part.notes);
+    } else {
+        (part.notes || []).forEach((n, i) => validateNote(n, `${path}.notes[${i}]`, report));
+    }
+    if (part.tuning != null && !(Array.isArray(part.tuning) && part.tuning.every(m => isInt(m) && m >= 0 && m <= 127))) {
+        report.error(`${path}.tuning`, '調弦必須是 MIDI 音高陣列', part.tuning);
+    }
+    if (part.capo != null && !(isInt(part.capo) && part.capo >= 0 && part.capo <= 24)) {
+        report.error(`${path}.capo`, '移調夾超出範圍', part.capo);
+    }
+}
+
+/**
+ * 驗證已遷移的樂譜資料（data 區塊）
+ * @param {Object} data
+ * @returns {{ valid: boolean, errors: Array<{path, message, value}>, warnings: Array<{path, message, value}> }}
+ */
+export function validateScoreData(data) {
+    const report = createReport();
+    if (!data || typeof data !== 'object') {
+        report.error('data', '樂譜資料必須是物件', data);
+        return report;
+    }
+
+    Object.keys(data).forEach(k => {
+        if (!KNOWN_SCORE_FIELDS.includes(k)) report.warn(k, '未知的樂譜欄位', data[k]);
+    });
+
+    if (data.notes != null && !Array.isArray(data.notes)) {
+        report.error('notes', 'notes 必須是陣列', data.notes);
+    } else {
+        (data.notes || []).forEach((n, i) => validateNote(n, `notes[${i}]`, report));
+    }
+
+    if (data.key != null && !KEY_PATTERN.test(data.key)) {
+        report.error('key', '無效的調號', data.key);
+    }
+    if (data.tempo != null && !(typeof data.tempo === 'number' && data.tempo >= 20 && data.tempo <= 400)) {
+        report.error('tempo', '速度必須是 20-400 的數字', data.tempo);
+    }
+    if (data.timeSignature != null && !TIME_SIGNATURE_PATTERN.test(data.timeSignature)) {
+        report.error('timeSignature', '無效的拍號', data.timeSignature);
+    }
+    if (data.startString != null && !(isInt(data.startString) && data.startString >= 0 && data.startString < 12)) {
+        report.error('startString', '起始弦超出範圍', data.startString);
+    }
+    if (data.parts != null) {
+        if (!Array.isArray(data.parts)) {
+            report.error('parts', 'parts 必須是陣列', data.parts);
+        } else {
+            data.parts.forEach((part, i) => validatePart(part, `parts[${i}]`, report));
+            if (data.activePart != null && !(isInt(data.activePart) && data.activePart >= 0 && data.activePart < data.parts.length)) {
+                report.error('activePart', '目前聲部超出範圍', data.activePart);
+            }
+        }
+    }
+    if (data.sourceImages != null && !Array.isArray(data.sourceImages)) {
+        report.error('sourceImages', 'sourceImages 必須是陣列', data.sourceImages);
+    }
+
+    return report;
+}
+
+/**
+ * 讀取樂譜資料：遷移 + 驗證
+ * @param {Object|string} json - 檔案內容或自動儲存資料
+ * @returns {{ name: string|null, data: Object, fromVersion: number, applied: Array<string>, report: Object }}
+ */
+export function loadScoreData(json) {
+    const migrated = migrateScoreData(json);
+    return { ...migrated, report: validateScoreData(migrated.data) };
+}
+
+/**
+ * 把驗證報告整理成簡短文字（供 alert / console）
+ * @param {Object} report
+ * @param {number} maxItems - 最多列出幾項
+ * @returns {string}
+ */
+export function formatValidationReport(report, maxItems = 5) {
+    const items = [...report.errors, ...report.warnings];
+    if (items.length === 0) return '';
+    const lines = items.slice(0, maxItems).map(i => `${i.path}: ${i.message}`);
+    if (items.length > maxItems) lines.push(`…另有 ${items.length - maxItems} 項`);
+    return `${report.errors.length} 個錯誤、${report.warnings.length} 個警告\n${lines.join('\n')}`;
+}
+
+/**
+ * 將音符陣列轉成可序列化的 plain objects（Note 實例呼叫 toObject）
+ * @param {Array} notes
+ * @returns {Array<Object>}
+ */
+export function serializeNotes(notes = []) {
+    return notes.map(n => (n && typeof n.toObject === 'function') ? n.toObject() : n);
+}
+
+export default migrateScoreData;
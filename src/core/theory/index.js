@@ -0,0 +1,32 @@
+/**
+ * Core Theory - Barrel Export
+ */
+
+export {
+    LETTERS,
+    MAJOR_KEYS_BY_FIFTHS,
+    SCALE_TYPE_ALIASES,
+    alterToAccidental,
+    parsePitchName,
+    pitchClassOf,
+    resolveScaleType,
+    getKeySignature,
+    getScaleSpelling,
+    spellMidi,
+    spellPitchClass,
+    spellJianpu,
+    spellNotes,
+    splitKeySignature,
+    createAccidentalTracker,
+    detectKeyFromNotes
+} from './spelling.js';
+
+export {
+    INTERVAL_SEMITONES,
+    parseInterval,
+    transposeKey,
+    transposeChordSymbol,
+    getFretCandidates,
+    chooseFretPosition,
+    transposeNotes
+} from './transpose.js';
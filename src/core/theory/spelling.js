@@ -0,0 +1,385 @@
+/**
+ * Spelling - 依調號拼寫音名（等音選擇）
+ * 由調號、音階 / 調式與旋律方向決定音名字母與升降記號，
+ * 例如 F 大調的 MIDI 70 拼成 Bb 而不是 A#
+ *
+ * 規則：
+ *   1. 音階內的音：依音階級數取連續字母（和聲小調的導音拼成 G# 而非 Ab）
+ *   2. 調號內的音：沿用調號的升降
+ *   3. 半音（調外音）：白鍵用還原；黑鍵依旋律方向（上行升、下行降），
+ *      無方向時依調號（升號調用升、降號調用降，C 調用慣例 C# Eb F# G# Bb）
+ *
+ * Note、五線譜、ABC 匯出、指板音名皆使用此模組
+ */
+
+import { SCALES } from '../../data/scaleData.js';
+
+/**
+ * 音名字母（C 起）
+ */
+export const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+
+const LETTER_PC = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const ORDER_OF_SHARPS = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+
+/**
+ * 升降記號數 → 大調主音（負數 = 降號）
+ */
+export const MAJOR_KEYS_BY_FIFTHS = {
+    '-7': 'Cb', '-6': 'Gb', '-5': 'Db', '-4': 'Ab', '-3': 'Eb', '-2': 'Bb', '-1': 'F',
+    '0': 'C', '1': 'G', '2': 'D', '3': 'A', '4': 'E', '5': 'B', '6': 'F#', '7': 'C#'
+};
+
+/**
+ * UI 音階名稱 → SCALES 鍵值
+ */
+export const SCALE_TYPE_ALIASES = {
+    'Major': 'major',
+    'Minor': 'aeolian',
+    'HarmonicMinor': 'harmonic-minor',
+    'MelodicMinor': 'melodic-minor',
+    'Dorian': 'dorian',
+    'Phrygian': 'phrygian',
+    'Lydian': 'lydian',
+    'Mixolydian': 'mixolydian',
+    'Locrian': 'locrian'
+};
+
+// 調式主音相對於「關係大調」主音的半音數（決定調號）
+const MODE_OFFSETS = {
+    'major': 0, 'dorian': 2, 'phrygian': 4, 'lydian': 5, 'mixolydian': 7, 'aeolian': 9, 'locrian': 11,
+    'harmonic-minor': 9, 'melodic-minor': 9, 'minor-pentatonic': 9, 'blues': 9,
+    'hungarian-minor': 9, 'phrygian-dominant': 4, 'japanese': 4
+};
+
+const MINOR_TYPES = ['aeolian', 'harmonic-minor', 'melodic-minor', 'minor-pentatonic', 'blues', 'hungarian-minor'];
+
+// C 大調（無升降）時黑鍵的慣用拼法：true = 升
+const NEUTRAL_PREFERS_SHARP = { 1: true, 3: false, 6: true, 8: true, 10: false };
+
+const mod12 = (n) => ((n % 12) + 12) % 12;
+
+// 把半音差正規化到 -6..5（字母與實際音高的差）
+const toAlter = (diff) => {
+    const d = mod12(diff);
+    return d > 6 ? d - 12 : d;
+};
+
+/**
+ * 升降數 → 記號字串
+ * @param {number} alter - -2..2
+ * @returns {string} '', '#', 'b', '##', 'bb'
+ */
+export function alterToAccidental(alter) {
+    if (alter > 0) return '#'.repeat(alter);
+    if (alter < 0) return 'b'.repeat(-alter);
+    return '';
+}
+
+/**
+ * 解析音名字串
+ * @param {string} name - 'C', 'F#', 'Bb', 'E♭', 'Cx' ...
+ * @returns {{ letter: string, alter: number, pc: number }|null}
+ */
+export function parsePitchName(name) {
+    const m = String(name ?? '').trim().match(/^([A-Ga-g])(##|#|x|bb|b|♯|♭|𝄪|𝄫)?/);
+    if (!m) return null;
+    const letter = m[1].toUpperCase();
+    const acc = m[2] || '';
+    const alter = { '': 0, '#': 1, '♯': 1, '##': 2, 'x': 2, '𝄪': 2, 'b': -1, '♭': -1, 'bb': -2, '𝄫': -2 }[acc];
+    return { letter, alter, pc: mod12(LETTER_PC[letter] + alter) };
+}
+
+/**
+ * 音名 → pitch class（0-11），無法解析時回傳 -1
+ * @param {string} name
+ * @returns {number}
+ */
+export function pitchClassOf(name) {
+    return parsePitchName(name)?.pc ?? -1;
+}
+
+/**
+ * UI 或內部音階名稱 → SCALES 鍵值
+ * @param {string} scaleType
+ * @returns {string}
+ */
+export function resolveScaleType(scaleType = 'Major') {
+    if (SCALE_TYPE_ALIASES[scaleType]) return SCALE_TYPE_ALIASES[scaleType];
+    return SCALES[scaleType] ? scaleType : 'major';
+}
+
+/**
+ * 取得調號資訊
+ * UI 的調性選單只有升號名稱（A# 代表 Bb 大調），因此升號拼法視為未指定，
+ * 取升降記號較少的調號；明確寫成降號（Bb、Gb）時優先採用降號調號
+ *
+ * @param {string} key - 主音
+ * @param {string} scaleType - 音階 / 調式（'Major', 'Minor', 'dorian' ...）
+ * @returns {{ fifths: number, tonic: string, majorKey: string, name: string, isMinor: boolean, scaleType: string, alters: Object<string, number> }}
+ *   name 為調號名稱（小調加 m，如 'Dm'；其他調式用關係大調名稱）
+ */
+export function getKeySignature(key = 'C', scaleType = 'Major') {
+    const parsed = parsePitchName(key) || parsePitchName('C');
+    const type = resolveScaleType(scaleType);
+    const majorPc = mod12(parsed.pc - (MODE_OFFSETS[type] ?? 0));
+
+    const candidates = [];
+    for (let f = -7; f <= 7; f++) {
+        if (pitchClassOf(MAJOR_KEYS_BY_FIFTHS[f]) === majorPc) candidates.push(f);
+    }
+    candidates.sort((a, b) => {
+        if (parsed.alter < 0 && (a < 0) !== (b < 0)) return a < 0 ? -1 : 1;
+        if (Math.abs(a) !== Math.abs(b)) return Math.abs(a) - Math.abs(b);
+        return parsed.alter < 0 ? a - b : b - a;
+    });
+    const fifths = candidates[0] ?? 0;
+
+    const alters = {};
+    LETTERS.forEach(l => { alters[l] = 0; });
+    if (fifths > 0) ORDER_OF_SHARPS.slice(0, fifths).forEach(l => { alters[l] = 1; });
+    if (fifths < 0) [...ORDER_OF_SHARPS].reverse().slice(0, -fifths).forEach(l => { alters[l] = -1; });
+
+    // 調式主音：調號音階中音高相同的字母
+    const tonicLetter = LETTERS.find(l => mod12(LETTER_PC[l] + alters[l]) === parsed.pc);
+    const tonic = tonicLetter ? tonicLetter + alterToAccidental(alters[tonicLetter]) : parsed.letter + alterToAccidental(parsed.alter);
+    const majorKey = MAJOR_KEYS_BY_FIFTHS[fifths];
+    const isMinor = MINOR_TYPES.includes(type);
+
+    return { fifths, tonic, majorKey, name: isMinor ? `${tonic}m` : majorKey, isMinor, scaleType: type, alters };
+}
+
+/**
+ * 建立 pitch class → 拼法 的對照（只含音階音與調號音）
+ * @param {string} key
+ * @param {string} scaleType
+ * @returns {{ signature: Object, byPc: Map<number, {letter: string, alter: number}>, tonicLetterIndex: number, degreePcs: Array<number> }}
+ */
+export function getScaleSpelling(key = 'C', scaleType = 'Major') {
+    const signature = getKeySignature(key, scaleType);
+    const tonic = parsePitchName(signature.tonic);
+    const tonicLetterIndex = LETTERS.indexOf(tonic.letter);
+    const byPc = new Map();
+
+    // 七聲音階：依級數取連續字母；其他音階以大調級數作為簡譜參考
+    const scale = SCALES[signature.scaleType];
+    const heptatonic = scale && scale.intervals.length === 7;
+    const intervals = heptatonic ? scale.intervals : SCALES['major'].intervals;
+    const degreePcs = intervals.map(iv => mod12(tonic.pc + iv));
+
+    if (heptatonic) {
+        degreePcs.forEach((pc, i) => {
+            const letter = LETTERS[(tonicLetterIndex + i) % 7];
+            byPc.set(pc, { letter, alter: toAlter(pc - LETTER_PC[letter]) });
+        });
+    }
+    LETTERS.forEach(letter => {
+        const pc = mod12(LETTER_PC[letter] + signature.alters[letter]);
+        if (!byPc.has(pc)) byPc.set(pc, { letter, alter: signature.alters[letter] });
+    });
+
+    return { signature, byPc, tonicLetterIndex, degreePcs };
+}
+
+/**
+ * 拼寫調外音（半音）
+ * @param {number} pc
+ * @param {Object} signature
+ * @param {number} direction - 1 上行 / -1 下行 / 0 無
+ * @returns {{letter: string, alter: number}}
+ */
+function spellChromatic(pc, signature, direction) {
+    const natural = LETTERS.find(l => LETTER_PC[l] === pc);
+    if (natural) return { letter: natural, alter: 0 };
+
+    const below = LETTERS.find(l => mod12(pc - LETTER_PC[l]) === 1);
+    const above = LETTERS.find(l => mod12(LETTER_PC[l] - pc) === 1);
+    let sharp = direction > 0;
+    if (direction === 0) {
+        sharp = signature.fifths > 0 || (signature.fifths === 0 && NEUTRAL_PREFERS_SHARP[pc]);
+    }
+    return sharp ? { letter: below, alter: 1 } : { letter: above, alter: -1 };
+}
+
+/**
+ * 拼寫 MIDI 音高
+ * @param {number} midi
+ * @param {Object} options
+ * @param {string} options.key - 主音（預設 'C'）
+ * @param {string} options.scaleType - 音階 / 調式（預設 'Major'）
+ * @param {number} options.direction - 旋律方向 1 / -1 / 0
+ * @param {Object} options.spelling - 預先計算的 getScaleSpelling 結果（批次拼寫時重用）
+ * @returns {{ letter: string, alter: number, accidental: string, name: string, octave: number, pc: number, midi: number }}
+ *   octave 為書寫八度（Cb4 = MIDI 59）
+ */
+export function spellMidi(midi, options = {}) {
+    const { key = 'C', scaleType = 'Major', direction = 0 } = options;
+    const spelling = options.spelling || getScaleSpelling(key, scaleType);
+    const pc = mod12(midi);
+    const { letter, alter } = spelling.byPc.get(pc) || spellChromatic(pc, spelling.signature, Math.sign(direction));
+    const accidental = alterToAccidental(alter);
+    return {
+        letter,
+        alter,
+        accidental,
+        name: letter + accidental,
+        octave: Math.floor((midi - alter) / 12) - 1,
+        pc,
+        midi
+    };
+}
+
+/**
+ * 拼寫 pitch class 為音名（指板標籤等無八度場合）
+ * @param {number|string} pitch - MIDI 或音名（如 'A#'）
+ * @param {string} key
+ * @param {string} scaleType
+ * @returns {string}
+ */
+export function spellPitchClass(pitch, key = 'C', scaleType = 'Major') {
+    const pc = typeof pitch === 'number' ? pitch : pitchClassOf(pitch);
+    if (pc < 0) return String(pitch);
+    return spellMidi(pc, { key, scaleType }).name;
+}
+
+/**
+ * 計算簡譜級數與升降（以拼寫後的字母決定級數）
+ * @param {number} midi
+ * @param {Object} options - 同 spellMidi
+ * @returns {{ degree: number, accidental: string, spelled: Object }}
+ */
+export function spellJianpu(midi, options = {}) {
+    const spelling = options.spelling || getScaleSpelling(options.key, options.scaleType);
+    const spelled = spellMidi(midi, { ...options, spelling });
+    const degreeIdx = (LETTERS.indexOf(spelled.letter) - spelling.tonicLetterIndex + 7) % 7;
+    const diff = toAlter(spelled.pc - spelling.degreePcs[degreeIdx]);
+
+    // 與級數差超過一個半音（極端調式）時改用最接近的級數
+    if (Math.abs(diff) > 1) {
+        const exact = spelling.degreePcs.indexOf(spelled.pc);
+        if (exact >= 0) return { degree: exact + 1, accidental: '', spelled };
+        const lower = spelling.degreePcs.indexOf(mod12(spelled.pc - 1));
+        return { degree: lower + 1, accidental: '#', spelled };
+    }
+    return { degree: degreeIdx + 1, accidental: alterToAccidental(diff), spelled };
+}
+
+const isSounding = (n) => n && !(n.isSeparator || n.isRest || n.isExtension || n.isSymbol)
+    && !['separator', 'rest', 'extension', 'symbol'].includes(n._type)
+    && (n.midi ?? n.midiNote) != null;
+
+/**
+ * 拆解小節調號變更字串（小調加 m 後綴）
+ * @param {string} keySignature - 'D'、'Bb'、'F#m'
+ * @param {string} scaleType - 未標示小調時沿用的音階類型（小調類型改回大調）
+ * @returns {{ key: string, scaleType: string }}
+ */
+export function splitKeySignature(keySignature, scaleType = 'Major') {
+    const m = String(keySignature ?? '').match(/^([A-G][#b]?)(m?)$/);
+    if (!m) return { key: keySignature, scaleType };
+    if (m[2]) return { key: m[1], scaleType: 'Minor' };
+    return { key: m[1], scaleType: MINOR_TYPES.includes(resolveScaleType(scaleType)) ? 'Major' : scaleType };
+}
+
+/**
+ * 批次拼寫音符陣列（依前一個音判斷旋律方向）
+ * 分隔符上的 keySignature 變更會套用於之後的音
+ * @param {Array} notes - plain objects 或 Note 實例
+ * @param {Object} options
+ * @param {string} options.key
+ * @param {string} options.scaleType
+ * @returns {Array<Object|null>} 與 notes 對齊；非發聲音符為 null
+ */
+export function spellNotes(notes = [], options = {}) {
+    const { scaleType = 'Major' } = options;
+    let key = options.key || 'C';
+    let spelling = getScaleSpelling(key, scaleType);
+    let prev = null;
+
+    return notes.map(n => {
+        if (n && (n.isSeparator || n._type === 'separator') && n.keySignature && n.keySignature !== key) {
+            key = n.keySignature;
+            const split = splitKeySignature(key, scaleType);
+            spelling = getScaleSpelling(split.key, split.scaleType);
+        }
+        if (!isSounding(n)) return null;
+        const midi = n.midi ?? n.midiNote;
+        const chordMember = n.isChord && n.chordPosition > 0;
+        const direction = (chordMember || prev == null) ? 0 : Math.sign(midi - prev);
+        if (!chordMember) prev = midi;
+        return spellMidi(midi, { spelling, direction });
+    });
+}
+
+/**
+ * 臨時記號追蹤器：判斷拼寫後的音在五線譜 / ABC 上是否需要寫出記號
+ * （調號已含的不寫；同小節內已出現的臨時記號持續生效）
+ * @param {string} key
+ * @param {string} scaleType
+ * @returns {{ next: Function, resetBar: Function, setKey: Function }}
+ *   next(spelled) 回傳需顯示的記號：'#', 'b', '##', 'bb', 'n'（還原）或 null
+ *   setKey(key, scaleType) 於小節調號變更時切換調號
+ */
+export function createAccidentalTracker(key = 'C', scaleType = 'Major') {
+    let { alters } = getKeySignature(key, scaleType);
+    let bar = new Map();
+    return {
+        next(spelled) {
+            const slot = `${spelled.letter}${spelled.octave}`;
+            const current = bar.has(slot) ? bar.get(slot) : alters[spelled.letter];
+            if (current === spelled.alter) return null;
+            bar.set(slot, spelled.alter);
+            return spelled.alter === 0 ? 'n' : alterToAccidental(spelled.alter);
+        },
+        resetBar() {
+            bar = new Map();
+        },
+        setKey(nextKey, nextScaleType = 'Major') {
+            alters = getKeySignature(nextKey, nextScaleType).alters;
+            bar = new Map();
+        }
+    };
+}
+
+/**
+ * 從音符的 pitch class 統計推測調號 (Krumhansl-Schmuckler 簡化版)
+ * 統計各 pitch class 的出現次數，找出最吻合大調音階的根音
+ * 供沒有調號資訊的匯入來源使用（Guitar Pro、MIDI）
+ * @param {Array<number>} midiNotes
+ * @returns {string} 大調主音
+ */
+export function detectKeyFromNotes(midiNotes) {
+    if (!midiNotes || midiNotes.length === 0) return 'C';
+
+    // 統計 pitch class (0-11)
+    const counts = new Array(12).fill(0);
+    for (const midi of midiNotes) {
+        counts[midi % 12]++;
+    }
+
+    // Major scale intervals: [0, 2, 4, 5, 7, 9, 11]
+    const majorIntervals = [0, 2, 4, 5, 7, 9, 11];
+    const KEY_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+    let bestKey = 0;
+    let bestScore = -1;
+
+    for (let root = 0; root < 12; root++) {
+        let score = 0;
+        for (const interval of majorIntervals) {
+            score += counts[(root + interval) % 12];
+        }
+        // 加權：根音出現次數額外加分
+        score += counts[root] * 0.5;
+
+        if (score > bestScore) {
+            bestScore = score;
+            bestKey = root;
+        }
+    }
+
+    // 取升降記號較少的拼法（A# → Bb）
+    return getKeySignature(KEY_NAMES[bestKey], 'Major').majorKey;
+}
+
+export default spellMidi;
@@ -0,0 +1,375 @@
+/**
+ * Transpose - 移調
+ * 平移 MIDI 音高、依新調號重新拼寫簡譜 / 音名、重新安排六線譜把位、移調和弦名稱
+ *
+ * 作用於扁平音符陣列（plain objects 或 Note 實例），不修改傳入陣列，回傳新陣列，
+ * 因此可同時用於 Score.transpose 與 ReadMode 的 React state
+ */
+
+import { SCALES, NOTES, STRING_TUNINGS, getCAGEDFretRange } from '../../data/scaleData.js';
+import { parsePitchName, getKeySignature, getScaleSpelling, spellJianpu, spellPitchClass, resolveScaleType } from './spelling.js';
+
+/**
+ * 音程名稱 → 半音數
+ */
+export const INTERVAL_SEMITONES = {
+    'P1': 0, 'm2': 1, 'M2': 2, 'A2': 3, 'm3': 3, 'M3': 4, 'd4': 4, 'P4': 5, 'A4': 6, 'd5': 6,
+    'P5': 7, 'A5': 8, 'm6': 8, 'M6': 9, 'd7': 9, 'm7': 10, 'M7': 11, 'P8': 12
+};
+
+const DEFAULT_MAX_FRET = 24;
+
+const mod12 = (n) => ((n % 12) + 12) % 12;
+
+const isSeparator = (n) => n.isSeparator || n._type === 'separator';
+const isSounding = (n) => !(n.isSeparator || n.isRest || n.isExtension || n.isSymbol)
+    && !['separator', 'rest', 'extension', 'symbol'].includes(n._type)
+    && (n.midi ?? n.midiNote) != null;
+const hasFret = (n) => typeof n.fret === 'number' && typeof n.stringIndex === 'number';
+
+/**
+ * 解析音程：半音數或音程名稱（'M3'、'-P4'、'+m2'）
+ * @param {number|string} interval
+ * @returns {number} 半音數（負數 = 下行）
+ */
+export function parseInterval(interval) {
+    if (typeof interval === 'number') {
+        if (!Number.isInteger(interval)) throw new Error(`移調音程必須為整數半音: ${interval}`);
+        return interval;
+    }
+    const match = String(interval).trim().match(/^([+-]?)(\w+)$/);
+    const semitones = match ? (INTERVAL_SEMITONES[match[2]] ?? (/^\d+$/.test(match[2]) ? Number(match[2]) : null)) : null;
+    if (semitones == null) throw new Error(`無法解析的音程: ${interval}`);
+    return match[1] === '-' ? -semitones : semitones;
+}
+
+/**
+ * 移調主音：取升降記號較少的調號主音
+ * 若拼法為 E#、B# 或重升降等 UI 無法選取的名稱，改用 NOTES 的升號名稱
+ * 小節調號變更的小調寫法（如 'F#m'）保留 m 後綴
+ * @param {string} key
+ * @param {number} semitones
+ * @param {string} scaleType
+ * @returns {string}
+ */
+export function transposeKey(key = 'C', semitones = 0, scaleType = 'Major') {
+    const parsed = parsePitchName(key);
+    if (!parsed) return key;
+    const minorSuffix = /^[A-G][#b]?m$/.test(key) ? 'm' : '';
+    const pc = mod12(parsed.pc + semitones);
+    const { tonic } = getKeySignature(NOTES[pc], minorSuffix ? 'Minor' : scaleType);
+    return ((NOTES.includes(tonic) || /^[A-G]b$/.test(tonic)) ? tonic : NOTES[pc]) + minorSuffix;
+}
+
+/**
+ * 移調和弦名稱（含斜線低音，如 F#m7/C# → G#m7/D#）
+ * 根音依新調號拼寫；無法辨識的名稱原樣回傳
+ * @param {string} symbol
+ * @param {number} semitones
+ * @param {Object} options
+ * @param {string} options.key - 新調主音
+ * @param {string} options.scaleType
+ * @returns {string}
+ */
+export function transposeChordSymbol(symbol, semitones, options = {}) {
+    if (!symbol || !semitones) return symbol;
+    const { key = 'C', scaleType = 'Major' } = options;
+    const match = String(symbol).match(/^\s*([A-Ga-g][#b♯♭]*)(.*?)(?:\/([A-Ga-g][#b♯♭]*))?\s*$/);
+    if (!match) return symbol;
+
+    const shift = (name) => {
+        const parsed = parsePitchName(name.replace('♯', '#').replace('♭', 'b'));
+        if (!parsed) return name;
+        return spellPitchClass(mod12(parsed.pc + semitones), key, scaleType);
+    };
+    const [, root, quality, bass] = match;
+    return shift(root) + quality + (bass ? '/' + shift(bass) : '');
+}
+
+/**
+ * 列出某音高在吉他上的所有弦 / 格
+ * @param {number} midi
+ * @param {Object} options
+ * @param {Array<number>} options.tuning - 各弦空弦 MIDI（0 = 最高音弦）
+ * @param {number} options.capo - 移調夾琴格
+ * @param {number} options.maxFret - 最高琴格
+ * @returns {Array<{string: number, fret: number}>}
+ */
+export function getFretCandidates(midi, options = {}) {
+    const { tuning = STRING_TUNINGS, capo = 0, maxFret = DEFAULT_MAX_FRET } = options;
+    const result = [];
+    tuning.forEach((open, s) => {
+        const fret = midi - open - capo;
+        if (fret >= 0 && fret <= maxFret) result.push({ string: s, fret });
+    });
+    return result;
+}
+
+/**
+ * 為單一音高選擇弦 / 格
+ * 優先順序：CAGED 把位視窗內（含 ± 八度）→ 接近參考琴格（手不亂跑）→ 維持原弦
+ * @param {number} midi
+ * @param {Object} options
+ * @param {Array<number>} options.tuning
+ * @param {number} options.capo
+ * @param {number} options.maxFret
+ * @param {{startFret: number, endFret: number}|null} options.window - 偏好的把位範圍
+ * @param {number|null} options.anchorFret - 參考琴格
+ * @param {number|null} options.preferString - 偏好的弦
+ * @param {Set<number>} options.exclude - 已被佔用的弦（和弦）
+ * @returns {{string: number, fret: number}|null}
+ */
+export function chooseFretPosition(midi, options = {}) {
+    const { window = null, anchorFret = null, preferString = null, exclude = null } = options;
+    const candidates = getFretCandidates(midi, options).filter(c => !exclude?.has(c.string));
+    if (candidates.length === 0) return null;
+
+    const windowDistance = (fret) => {
+        if (!window) return 0;
+        let best = Infinity;
+        for (let oct = -12; oct <= 24; oct += 12) {
+            const lo = window.startFret + oct;
+            const hi = window.endFret + oct;
+            best = Math.min(best, fret < lo ? lo - fret : (fret > hi ? fret - hi : 0));
+        }
+        return best;
+    };
+    const cost = (c) => windowDistance(c.fret) * 10
+        + (anchorFret != null ? Math.abs(c.fret - anchorFret) : c.fret)
+        + (preferString != null && c.string !== preferString ? 1 : 0);
+
+    return candidates.reduce((best, c) => (cost(c) < cost(best) ? c : best));
+}
+
+/**
+ * 平移和弦指型；超出琴格範圍時改移動 ± 八度，仍無法放置則回傳空陣列
+ */
+function shiftChordFrets(chordFrets, semitones, maxFret) {
+    for (const shift of [semitones, semitones - 12, semitones + 12]) {
+        const moved = chordFrets.map(p => ({ ...p, fret: p.fret + shift }));
+        if (moved.every(p => p.fret >= 0 && p.fret <= maxFret)) return moved;
+    }
+    return [];
+}
+
+/**
+ * 和弦（主音 + 其後 chordPosition > 0 的成員）整組平移：維持各弦不變，
+ * 超出琴格範圍時改移動 ± 八度。回傳 index → 實際平移半音數
+ */
+function planChordShifts(notes, semitones, start, end, maxFret) {
+    const shifts = new Map();
+    for (let i = start; i <= end; i++) {
+        const n = notes[i];
+        if (!n.isChord || n.chordPosition > 0 || !hasFret(n)) continue;
+        const group = [i];
+        for (let j = i + 1; j <= end && notes[j].isChord && notes[j].chordPosition > 0; j++) group.push(j);
+        if (group.length < 2 || !group.every(j => hasFret(notes[j]))) continue;
+        const shift = [semitones, semitones - 12, semitones + 12]
+            .find(s => group.every(j => notes[j].fret + s >= 0 && notes[j].fret + s <= maxFret));
+        if (shift != null) group.forEach(j => shifts.set(j, shift));
+    }
+    return shifts;
+}
+
+/**
+ * 讀取簡譜顯示字串的八度記號：'1·' / '1.' = +1，'_1' / '₋1' = -1，'__1' / '₌1' = -2
+ */
+function readOctaveMarks(displayStr = '') {
+    if (displayStr.startsWith('₌') || displayStr.startsWith('__')) return -2;
+    if (displayStr.startsWith('₋') || displayStr.startsWith('_')) return -1;
+    return (displayStr.replace(/[#b♯♭]/g, '').match(/[.·]/g) || []).length;
+}
+
+/**
+ * 組合簡譜顯示字串，沿用原字串的記號風格（· / ₋ 或 . / _）
+ */
+function writeOctaveMarks(degree, accidental, offset, styleOf = '') {
+    const unicode = /[·₋₌]/.test(styleOf);
+    let str = String(degree);
+    if (offset > 0) str += (unicode ? '·' : '.').repeat(offset);
+    if (offset === -1) str = (unicode ? '₋' : '_') + str;
+    if (offset <= -2) str = (unicode ? '₌' : '__') + str;
+    return str + accidental;
+}
+
+/**
+ * 簡譜級數在某調中的半音位置（與 jianpuToNote 相同：主音落在中央 C 之上）
+ */
+function degreeSemitone(degree, alter, key, scaleType) {
+    const { intervals } = SCALES[resolveScaleType(scaleType)] || SCALES['major'];
+    const tonicPc = mod12(parsePitchName(key)?.pc ?? 0);
+    return tonicPc + (intervals[degree - 1] ?? 0) + alter;
+}
+
+const ALTER_OF = { '#': 1, 'b': -1, '': 0 };
+
+/**
+ * 移調音符陣列
+ *
+ * - 發聲音符平移 MIDI，依新調號與旋律方向重新拼寫（簡譜級數、升降、音名）
+ * - 簡譜八度記號以 jianpuToNote 的慣例（以主音為八度分界）依實際音高差調整
+ * - 已有弦 / 格的音符在吉他音域內重新安排把位（可偏好 CAGED 把位），和弦整組平移；
+ *   超出音域時以八度折回，索引記錄於 folded
+ * - 和弦名稱與和弦指型一併移調；範圍內分隔符的調號變更也會移調
+ *
+ * @param {Array} notes - 扁平音符陣列
+ * @param {number|string} interval - 半音數或音程名稱
+ * @param {Object} options
+ * @param {string} options.key - 目前的調
+ * @param {string} options.scaleType - 音階 / 調式
+ * @param {{start: number, end: number}|null} options.range - 只移調 [start, end]（含），null = 全曲
+ * @param {string} options.targetKey - 移調後的調（預設：全曲移調時為移調後主音，局部移調時不變）
+ * @param {Array<number>} options.tuning - 各弦空弦 MIDI
+ * @param {number} options.capo - 移調夾琴格
+ * @param {number} options.maxFret - 最高琴格
+ * @param {string|null} options.cagedPosition - 偏好的 CAGED 指型 ('C'|'A'|'G'|'E'|'D')
+ * @returns {{ notes: Array, key: string, semitones: number, changed: number, folded: Array<number> }}
+ */
+export function transposeNotes(notes = [], interval = 0, options = {}) {
+    const {
+        key = 'C',
+        scaleType = 'Major',
+        range = null,
+        tuning = STRING_TUNINGS,
+        capo = 0,
+        maxFret = DEFAULT_MAX_FRET,
+        cagedPosition = null
+    } = options;
+    const semitones = parseInterval(interval);
+    const start = Math.max(0, range?.start ?? 0);
+    const end = Math.min(notes.length - 1, range?.end ?? notes.length - 1);
+    const targetKey = options.targetKey ?? (range ? key : transposeKey(key, semitones, scaleType));
+
+    const result = { notes, key: targetKey, semitones, changed: 0, folded: [] };
+    if (semitones === 0 || notes.length === 0 || start > end) return result;
+
+    const fretOptions = { tuning, capo, maxFret };
+    const window = cagedPosition ? getCAGEDFretRange(targetKey, cagedPosition) : null;
+    const chordShifts = planChordShifts(notes, semitones, start, end, maxFret);
+    const apply = (n, updates) => (typeof n.clone === 'function' ? n.clone(updates) : { ...n, ...updates });
+
+    let oldKey = key;           // 原曲在此位置生效的調
+    let curKey = targetKey;     // 移調後在此位置生效的調
+    let spelling = getScaleSpelling(curKey, scaleType);
+    let prevMidi = null;        // 前一個（移調後）音的音高，決定半音拼寫方向
+    let prevFret = null;        // 前一個音的琴格，作為把位參考
+    let usedStrings = new Set();
+
+    result.notes = notes.map((n, i) => {
+        const inRange = i >= start && i <= end;
+
+        if (isSeparator(n)) {
+            if (n.keySignature) {
+                oldKey = n.keySignature;
+                curKey = inRange ? transposeKey(n.keySignature, semitones, scaleType) : n.keySignature;
+                spelling = getScaleSpelling(curKey, scaleType);
+                if (inRange && curKey !== n.keySignature) {
+                    result.changed++;
+                    return apply(n, { keySignature: curKey });
+                }
+            }
+            return n;
+        }
+
+        const updates = {};
+        if (inRange && n.chordSymbol) {
+            updates.chordSymbol = transposeChordSymbol(n.chordSymbol, semitones, { key: curKey, scaleType });
+        }
+        if (inRange && Array.isArray(n.chordFrets) && n.chordFrets.length > 0) {
+            updates.chordFrets = shiftChordFrets(n.chordFrets, semitones, maxFret);
+        }
+
+        if (!isSounding(n)) {
+            if (Object.keys(updates).length === 0) return n;
+            result.changed++;
+            return apply(n, updates);
+        }
+
+        const oldMidi = n.midi ?? n.midiNote;
+        const chordMember = n.isChord && n.chordPosition > 0;
+        if (!chordMember) usedStrings = new Set();
+
+        if (!inRange) {
+            if (!chordMember) prevMidi = oldMidi;
+            if (hasFret(n)) {
+                usedStrings.add(n.stringIndex);
+                if (!chordMember) prevFret = n.fret;
+            }
+            return n;
+        }
+
+        // 1. 平移音高；有弦 / 格的音在吉他音域內重新安排（超出時以八度折回）
+        let midi = oldMidi + semitones;
+        if (chordShifts.has(i)) {
+            const shift = chordShifts.get(i);
+            if (shift !== semitones) result.folded.push(i);
+            midi = oldMidi + shift;
+            updates.fret = n.fret + shift;
+            if (!chordMember) prevFret = updates.fret;
+        } else if (hasFret(n)) {
+            const lowest = Math.min(...tuning) + capo;
+            const highest = Math.max(...tuning) + capo + maxFret;
+            let position = null;
+            for (const fold of [0, -12, 12, -24, 24]) {
+                const m = midi + fold;
+                if (m < lowest || m > highest) continue;
+                position = chooseFretPosition(m, {
+                    ...fretOptions,
+                    window,
+                    anchorFret: prevFret ?? n.fret + semitones,
+                    preferString: n.stringIndex,
+                    exclude: usedStrings
+                });
+                if (position) {
+                    if (fold !== 0) result.folded.push(i);
+                    midi = m;
+                    break;
+                }
+            }
+            if (position) {
+                updates.stringIndex = position.string;
+                updates.fret = position.fret;
+                usedStrings.add(position.string);
+                if (!chordMember) prevFret = position.fret;
+            } else {
+                updates.stringIndex = null;
+                updates.fret = null;
+            }
+        }
+        midi = Math.max(0, Math.min(127, midi));
+
+        // 2. 依新調號拼寫
+        const direction = (chordMember || prevMidi == null) ? 0 : Math.sign(midi - prevMidi);
+        if (!chordMember) prevMidi = midi;
+        const { degree, accidental, spelled } = spellJianpu(midi, { spelling, direction });
+
+        updates.midi = midi;
+        if ('midiNote' in n && typeof n.clone !== 'function') updates.midiNote = midi;
+        updates.noteName = spelled.name;
+        updates.jianpu = degree;
+        updates.accidentalStr = accidental;
+
+        // 3. 簡譜八度記號：依舊 / 新級數在各自調中的位置推算八度差
+        const oldDisplay = n.displayStr || '';
+        const oldOffset = readOctaveMarks(oldDisplay);
+        const oldDegree = parseInt(String(n.jianpu), 10);
+        if (oldDegree >= 1 && oldDegree <= 7) {
+            const oldSem = degreeSemitone(oldDegree, ALTER_OF[n.accidentalStr || ''] ?? 0, oldKey, scaleType);
+            const newSem = degreeSemitone(degree, ALTER_OF[accidental] ?? 0, curKey, scaleType);
+            const delta = Math.round((midi - oldMidi - (newSem - oldSem)) / 12);
+            updates.displayStr = writeOctaveMarks(degree, accidental, oldOffset + delta, oldDisplay);
+            if (typeof n.octave === 'number') updates.octave = n.octave + delta;
+        } else {
+            const midiOctave = Math.floor(midi / 12) - 1;
+            updates.displayStr = writeOctaveMarks(degree, accidental, midiOctave + (n.displayOctaveShift || 0) - 4, oldDisplay);
+            updates.octave = midiOctave;
+        }
+
+        result.changed++;
+        return apply(n, updates);
+    });
+
+    return result;
+}
+
+export default transposeNotes;
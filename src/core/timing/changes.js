@@ -0,0 +1,100 @@
+/**
+ * Changes - 樂譜中的調號 / 拍號 / 速度變更事件
+ *
+ * 變更以欄位形式存在扁平音符陣列中：
+ *   - 分隔符 (separator) 的 keySignature / timeSignature / tempo：自該小節線起生效
+ *   - 音符的 beatTempo：段中速度（GP 匯入），自該音起生效
+ *   - 音符的 tempoRamp：'rit' / 'accel'，自該音起漸變到下一個速度變更
+ *   - 音符的 fermata：延長記號，該音時值以 FERMATA_SCALE 倍演奏
+ *
+ * 渲染（簡譜 / 五線譜 / 六線譜）、播放時間軸與 MIDI 匯出皆以此模組解讀變更
+ */
+
+/**
+ * 漸變速度沒有後續速度變更時，於該小節結尾達到的速度比例
+ */
+export const TEMPO_RAMP_RATIO = {
+    'rit': 0.75,
+    'accel': 1.25
+};
+
+/**
+ * 漸變速度的顯示文字
+ */
+export const TEMPO_RAMP_LABELS = {
+    'rit': 'rit.',
+    'accel': 'accel.'
+};
+
+/**
+ * 延長記號的時值倍數
+ */
+export const FERMATA_SCALE = 2;
+
+const isSeparator = (n) => n.isSeparator || n._type === 'separator';
+
+/**
+ * 列出所有變更事件（依扁平順序）
+ * beatTempo 只在數值與前一個不同時視為變更
+ * @param {Array} notes - 扁平音符陣列（plain objects 或 Note 實例）
+ * @returns {Array<{index: number, type: 'key'|'time'|'tempo'|'ramp'|'fermata', value: *}>}
+ */
+export function getChangeEvents(notes = []) {
+    const changes = [];
+    let lastBeatTempo = null;
+    notes.forEach((n, index) => {
+        if (isSeparator(n)) {
+            if (n.keySignature != null) changes.push({ index, type: 'key', value: n.keySignature });
+            if (n.timeSignature != null) changes.push({ index, type: 'time', value: n.timeSignature });
+            if (n.tempo != null) {
+                changes.push({ index, type: 'tempo', value: n.tempo });
+                lastBeatTempo = n.tempo;
+            }
+            return;
+        }
+        if (n.beatTempo != null && n.beatTempo !== lastBeatTempo) {
+            if (lastBeatTempo != null) changes.push({ index, type: 'tempo', value: n.beatTempo });
+            lastBeatTempo = n.beatTempo;
+        }
+        if (n.tempoRamp) changes.push({ index, type: 'ramp', value: n.tempoRamp });
+        if (n.fermata) changes.push({ index, type: 'fermata', value: true });
+    });
+    return changes;
+}
+
+/**
+ * 依變更事件分組到索引（供渲染器查表）
+ * @param {Array} notes
+ * @returns {Map<number, Object>} index → { key, time, tempo, ramp, fermata }
+ */
+export function getChangesByIndex(notes = []) {
+    const map = new Map();
+    getChangeEvents(notes).forEach(({ index, type, value }) => {
+        if (!map.has(index)) map.set(index, {});
+        map.get(index)[type] = value;
+    });
+    return map;
+}
+
+/**
+ * 計算每個扁平索引生效的調號、拍號與速度（不含漸變與延長記號）
+ * @param {Array} notes
+ * @param {Object} defaults - { keySignature, timeSignature, tempo } 樂譜預設值
+ * @returns {Array<{keySignature: string|null, timeSignature: string, tempo: number}>}
+ */
+export function resolveAttributes(notes = [], defaults = {}) {
+    let keySignature = defaults.keySignature ?? null;
+    let timeSignature = defaults.timeSignature ?? '4/4';
+    let tempo = defaults.tempo ?? 120;
+    return notes.map(n => {
+        if (isSeparator(n)) {
+            if (n.keySignature != null) keySignature = n.keySignature;
+            if (n.timeSignature != null) timeSignature = n.timeSignature;
+            if (n.tempo != null) tempo = n.tempo;
+        }
+        if (n.beatTempo) tempo = n.beatTempo;
+        return { keySignature, timeSignature, tempo };
+    });
+}
+
+export default getChangeEvents;
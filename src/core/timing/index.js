@@ -0,0 +1,37 @@
+/**
+ * Core Timing - Barrel Export
+ */
+
+export {
+    PPQ,
+    DURATION_BEATS,
+    getDurationBeats,
+    getDurationTicks,
+    quantizeDuration,
+    parseTimeSignature,
+    resolvePlaybackOrder,
+    buildTimeline,
+    getBeatGrid,
+    getEventAtTime,
+    findStepForIndex
+} from './timeline.js';
+
+export {
+    TEMPO_RAMP_RATIO,
+    TEMPO_RAMP_LABELS,
+    FERMATA_SCALE,
+    getChangeEvents,
+    getChangesByIndex,
+    resolveAttributes
+} from './changes.js';
+
+export {
+    MEASURE_ISSUE_LABELS,
+    REPAIR_ACTION_LABELS,
+    splitBeats,
+    getMeasureBeats,
+    checkMeasures,
+    repairMeasure,
+    getRepairActions,
+    repairAllMeasures
+} from './measureCheck.js';
@@ -0,0 +1,523 @@
+/**
+ * MeasureCheck - 小節時值檢查與自動修正
+ *
+ * 檢查扁平音符陣列（plain objects 或 Note 實例）：
+ *   - overfull / underfull：小節拍數與拍號不符（第一 / 最後小節不足視為弱起，僅警告）
+ *   - tuplet：連音組沒有湊滿（例如三連音只有兩個音）
+ *   - tie：延音線沒有接到相同音高的音，或延音線結尾前面沒有起點
+ *
+ * 修正動作回傳新陣列，不修改原陣列：
+ *   - pad：以休止符補滿小節（連音組則補上同一連音的休止符）
+ *   - split：在拍號位置插入小節線，跨小節的音拆成兩個以延音線相連的音
+ *   - move-barline：移動小節線（超出時提早、不足時向後一小節借音）
+ *   - remove-tie：移除孤立的延音線
+ */
+
+import { splitMeasures } from '../models/Measure.js';
+import { resolveAttributes } from './changes.js';
+import { DURATION_BEATS, getDurationBeats, parseTimeSignature } from './timeline.js';
+
+/**
+ * 問題類型的顯示名稱
+ */
+export const MEASURE_ISSUE_LABELS = {
+    'overfull': '小節超出',
+    'underfull': '小節不足',
+    'tuplet': '連音未完整',
+    'tie': '孤立延音線'
+};
+
+/**
+ * 修正動作的顯示名稱
+ */
+export const REPAIR_ACTION_LABELS = {
+    'pad': '補休止符',
+    'split': '拆到下一小節',
+    'move-barline': '移動小節線',
+    'remove-tie': '移除延音線'
+};
+
+const REPAIR_ACTIONS = {
+    'overfull': ['split', 'move-barline'],
+    'underfull': ['pad', 'move-barline'],
+    'tuplet': ['pad'],
+    'tie': ['remove-tie']
+};
+
+// repairAllMeasures 自動套用的動作與同一小節內的處理順序
+const REPAIR_ALL_ACTIONS = { 'tuplet': 'pad', 'overfull': 'split', 'underfull': 'pad' };
+const REPAIR_ALL_ORDER = ['tuplet', 'overfull', 'underfull'];
+
+/**
+ * 補齊 / 拆分時使用的時值（由長到短，含附點）
+ */
+const FILL_DURATIONS = [
+    ['whole', 0], ['half', 1], ['half', 0], ['quarter', 1], ['quarter', 0],
+    ['eighth', 1], ['eighth', 0], ['16th', 1], ['16th', 0], ['32nd', 0]
+].map(([duration, dotted]) => ({ duration, dotted, beats: getDurationBeats(duration, dotted) }));
+
+const EPSILON = 1e-6;
+
+const isSeparator = (n) => n.isSeparator || n._type === 'separator';
+const isSymbol = (n) => n.isSymbol || n._type === 'symbol';
+const isRest = (n) => n.isRest || n._type === 'rest';
+const isExtension = (n) => n.isExtension || n._type === 'extension';
+const isChordMember = (n) => n.isChord && n.chordPosition > 0;
+const isTimed = (n) => !isSeparator(n) && !isSymbol(n) && !isChordMember(n);
+const getMidi = (n) => n.midi ?? n.midiNote;
+const noteBeats = (n) => getDurationBeats(n.duration || 'quarter', n.dotted || 0, n.tuplet || null);
+const sameTuplet = (a, b) => !!a && !!b && a.num === b.num && a.den === b.den;
+const formatBeats = (beats) => String(Math.round(beats * 100) / 100);
+
+/**
+ * 以新欄位複製事件（Note 實例保留類別，plain object 則淺拷貝）
+ */
+function withFields(n, fields) {
+    const copy = typeof n.clone === 'function' ? n.clone() : { ...n };
+    return Object.assign(copy, fields);
+}
+
+/**
+ * 建立與 template 同型別的休止符 / 小節線
+ */
+function createLike(template, type, fields = {}) {
+    const base = type === 'rest'
+        ? { jianpu: '0', displayStr: '0', noteName: 'Rest', octave: 4, index: 0 }
+        : { jianpu: '|', displayStr: '|', noteName: '|', octave: 4, index: 0 };
+    if (template && typeof template.clone === 'function') {
+        return new template.constructor({ ...base, type, ...fields });
+    }
+    return { ...base, _type: type, isRest: type === 'rest', isSeparator: type === 'separator', ...fields };
+}
+
+/**
+ * 把拍數拆成一串可記譜的時值（由長到短）
+ * @param {number} beats
+ * @returns {Array<{duration: string, dotted: number, beats: number}>}
+ */
+export function splitBeats(beats) {
+    const result = [];
+    let remaining = beats;
+    for (const fill of FILL_DURATIONS) {
+        while (remaining + EPSILON >= fill.beats) {
+            result.push(fill);
+            remaining -= fill.beats;
+        }
+    }
+    return result;
+}
+
+/**
+ * 拍號的小節長度（以四分音符為一拍）
+ * @param {string} timeSignature
+ * @returns {number}
+ */
+export function getMeasureBeats(timeSignature = '4/4') {
+    const { beats, beatType } = parseTimeSignature(timeSignature);
+    return beats * 4 / beatType;
+}
+
+/**
+ * 取得小節內各聲部的計時事件索引
+ */
+function getVoiceHeads(notes, measure) {
+    const voices = new Map();
+    for (let i = measure.startIdx; i <= measure.endIdx; i++) {
+        const n = notes[i];
+        if (!isTimed(n)) continue;
+        const id = n.voice ?? 1;
+        if (!voices.has(id)) voices.set(id, []);
+        voices.get(id).push(i);
+    }
+    return voices;
+}
+
+/**
+ * 檢查連音組是否湊滿
+ * 連音組 = 連續帶相同 tuplet 的事件，以第一個音的時值為單位，累積 num 個單位才算完整
+ */
+function checkTuplets(notes, heads, context, issues) {
+    let group = null;
+    const close = () => {
+        if (group && group.units > EPSILON) {
+            issues.push({
+                ...context,
+                type: 'tuplet',
+                severity: 'error',
+                index: group.start,
+                lastIndex: group.last,
+                tuplet: group.tuplet,
+                unit: group.unit,
+                missingUnits: group.tuplet.num - group.units,
+                message: `第 ${context.measure} 小節的 ${group.tuplet.num} 連音未完整（${formatBeats(group.units)} / ${group.tuplet.num}）`
+            });
+        }
+        group = null;
+    };
+
+    heads.forEach(i => {
+        const n = notes[i];
+        if (!n.tuplet?.num || !n.tuplet?.den) {
+            close();
+            return;
+        }
+        if (group && !sameTuplet(group.tuplet, n.tuplet)) close();
+        if (!group) {
+            group = { start: i, last: i, tuplet: n.tuplet, unit: n.duration || 'quarter', units: 0 };
+        }
+        group.last = i;
+        group.units += getDurationBeats(n.duration || 'quarter', n.dotted || 0) / DURATION_BEATS[group.unit];
+        if (Math.abs(group.units - group.tuplet.num) < EPSILON) {
+            group = null;
+        } else if (group.units > group.tuplet.num) {
+            close();
+        }
+    });
+    close();
+}
+
+/**
+ * 檢查延音線：起點之後的下一個事件要有相同音高；結尾之前要有起點
+ */
+function checkTies(notes, issues) {
+    const measures = splitMeasures(notes);
+    const measureAt = (idx) => (measures.find(m => idx <= m.endIdx) || measures[measures.length - 1])?.number ?? 1;
+
+    // 每個事件（含和弦成員）所屬的計時事件
+    const groups = [];
+    notes.forEach((n, i) => {
+        if (isSeparator(n) || isSymbol(n)) return;
+        if (isChordMember(n) && groups.length) groups[groups.length - 1].push(i);
+        else groups.push([i]);
+    });
+
+    groups.forEach((group, g) => {
+        group.forEach(i => {
+            const n = notes[i];
+            if (isRest(n) || isExtension(n)) return;
+            const midi = getMidi(n);
+            if (n.tieStart) {
+                const next = groups[g + 1];
+                const ok = next && next.some(k => !isRest(notes[k]) && (isExtension(notes[k]) || getMidi(notes[k]) === midi));
+                if (!ok) {
+                    issues.push({
+                        type: 'tie',
+                        severity: 'warning',
+                        measure: measureAt(i),
+                        index: i,
+                        tie: 'start',
+                        message: `第 ${measureAt(i)} 小節的延音線沒有接到相同音高的音`
+                    });
+                }
+            }
+            if (n.tieEnd) {
+                const prev = groups[g - 1];
+                const ok = prev && prev.some(k => notes[k].tieStart && getMidi(notes[k]) === midi);
+                if (!ok) {
+                    issues.push({
+                        type: 'tie',
+                        severity: 'warning',
+                        measure: measureAt(i),
+                        index: i,
+                        tie: 'end',
+                        message: `第 ${measureAt(i)} 小節的延音線結尾前面沒有起點`
+                    });
+                }
+            }
+        });
+    });
+}
+
+/**
+ * 檢查所有小節
+ * @param {Array} notes - 扁平音符陣列
+ * @param {Object} options
+ * @param {string} options.timeSignature - 樂譜預設拍號
+ * @param {boolean} options.allowPickup - 第一 / 最後小節不足時只警告（弱起小節），預設 true
+ * @returns {{ valid: boolean, issues: Array<Object>, measures: Array<Object> }}
+ *   issue: { type, severity: 'error'|'warning', measure, index, startIdx, endIdx, voice, expectedBeats, actualBeats, message }
+ *   measures: 每小節 { number, startIdx, endIdx, timeSignature, expectedBeats, actualBeats }
+ */
+export function checkMeasures(notes = [], options = {}) {
+    const { timeSignature = '4/4', allowPickup = true } = options;
+    const issues = [];
+    const measures = [];
+    if (!Array.isArray(notes) || notes.length === 0) return { valid: true, issues, measures };
+
+    const attributes = resolveAttributes(notes, { timeSignature });
+    const split = splitMeasures(notes).filter(m => m.startIdx >= 0);
+
+    split.forEach((m, mi) => {
+        const ts = attributes[m.startIdx].timeSignature;
+        const expectedBeats = getMeasureBeats(ts);
+        const voices = getVoiceHeads(notes, m);
+        let measureBeats = 0;
+
+        voices.forEach((heads, voice) => {
+            const actualBeats = heads.reduce((sum, i) => sum + noteBeats(notes[i]), 0);
+            measureBeats = Math.max(measureBeats, actualBeats);
+            const context = {
+                measure: m.number,
+                startIdx: m.startIdx,
+                endIdx: m.endIdx,
+                voice,
+                timeSignature: ts,
+                expectedBeats,
+                actualBeats
+            };
+            const voiceLabel = voices.size > 1 ? `聲部 ${voice} ` : '';
+
+            if (actualBeats > expectedBeats + EPSILON) {
+                issues.push({
+                    ...context,
+                    type: 'overfull',
+                    severity: 'error',
+                    index: m.startIdx,
+                    message: `第 ${m.number} 小節${voiceLabel}有 ${formatBeats(actualBeats)} 拍，超出 ${ts} 的 ${formatBeats(expectedBeats)} 拍`
+                });
+            } else if (actualBeats < expectedBeats - EPSILON && heads.length > 0) {
+                const pickup = allowPickup && split.length > 1 && (mi === 0 || mi === split.length - 1);
+                issues.push({
+                    ...context,
+                    type: 'underfull',
+                    severity: pickup ? 'warning' : 'error',
+                    pickup,
+                    index: m.startIdx,
+                    message: `第 ${m.number} 小節${voiceLabel}只有 ${formatBeats(actualBeats)} 拍，不足 ${ts} 的 ${formatBeats(expectedBeats)} 拍${pickup ? '（弱起小節？）' : ''}`
+                });
+            }
+
+            checkTuplets(notes, heads, context, issues);
+        });
+
+        measures.push({
+            number: m.number,
+            startIdx: m.startIdx,
+            endIdx: m.endIdx,
+            timeSignature: ts,
+            expectedBeats,
+            actualBeats: measureBeats
+        });
+    });
+
+    checkTies(notes, issues);
+    issues.sort((a, b) => a.measure - b.measure || a.index - b.index);
+
+    return { valid: !issues.some(i => i.severity === 'error'), issues, measures };
+}
+
+/**
+ * 拆分一個計時事件（含和弦成員）為多段，發聲音以延音線相連
+ * @returns {Array<Array>} 每段一組事件（主音 + 和弦成員）
+ */
+function splitEvent(notes, headIdx, pieces) {
+    const chord = [headIdx];
+    for (let k = headIdx + 1; k < notes.length && isChordMember(notes[k]); k++) chord.push(k);
+
+    return pieces.map((piece, p) => chord.flatMap(ci => {
+        const n = notes[ci];
+        const fields = { duration: piece.duration, dotted: piece.dotted, tuplet: null };
+        if (!isRest(n) && !isExtension(n)) {
+            fields.tieStart = p < pieces.length - 1 ? true : !!n.tieStart;
+            fields.tieEnd = p > 0 ? true : !!n.tieEnd;
+        }
+        // 表情記號只留在第一段，延長記號移到最後一段
+        if (p > 0) Object.assign(fields, { dynamic: null, hairpin: null, tempoRamp: null, articulations: null, chordSymbol: null, lyrics: null });
+        if (n.fermata) fields.fermata = p === pieces.length - 1;
+        return [withFields(n, fields)];
+    }));
+}
+
+/**
+ * 和弦結束位置（主音 + 成員之後的索引）
+ */
+function chordEnd(notes, headIdx) {
+    let k = headIdx + 1;
+    while (k < notes.length && isChordMember(notes[k])) k++;
+    return k;
+}
+
+/**
+ * 小節之後的分隔符範圍 [from, to)
+ */
+function separatorRunAfter(notes, endIdx) {
+    let to = endIdx + 1;
+    while (to < notes.length && isSeparator(notes[to])) to++;
+    return { from: endIdx + 1, to };
+}
+
+/**
+ * 計算小節內第一個放不下的事件
+ * @returns {{ headIdx: number, offset: number, exact: boolean }|null}
+ */
+function findOverflow(notes, heads, capacity) {
+    let acc = 0;
+    for (const i of heads) {
+        const beats = noteBeats(notes[i]);
+        if (acc + beats > capacity + EPSILON) {
+            return { headIdx: i, offset: capacity - acc, exact: capacity - acc < EPSILON };
+        }
+        acc += beats;
+    }
+    return null;
+}
+
+function padMeasure(notes, issue) {
+    const missing = issue.expectedBeats - issue.actualBeats;
+    const pieces = splitBeats(missing);
+    if (pieces.length === 0) return notes;
+    const template = notes[issue.endIdx];
+    const rests = pieces.map(p => createLike(template, 'rest', {
+        duration: p.duration,
+        dotted: p.dotted,
+        ...(issue.voice !== 1 ? { voice: issue.voice } : {})
+    }));
+    return [...notes.slice(0, issue.endIdx + 1), ...rests, ...notes.slice(issue.endIdx + 1)];
+}
+
+function padTuplet(notes, issue) {
+    const missing = issue.missingUnits;
+    if (missing < 1 - EPSILON || Math.abs(missing - Math.round(missing)) > EPSILON) return notes;
+    const insertAt = chordEnd(notes, issue.lastIndex);
+    const template = notes[issue.lastIndex];
+    const rests = Array.from({ length: Math.round(missing) }, () => createLike(template, 'rest', {
+        duration: issue.unit,
+        tuplet: { ...issue.tuplet },
+        ...(template.voice != null ? { voice: template.voice } : {})
+    }));
+    return [...notes.slice(0, insertAt), ...rests, ...notes.slice(insertAt)];
+}
+
+function splitMeasure(notes, issue) {
+    const heads = getVoiceHeads(notes, issue);
+    if (heads.size > 1) return notes;
+    const overflow = findOverflow(notes, heads.get(issue.voice) || [], issue.expectedBeats);
+    if (!overflow) return notes;
+
+    const { headIdx, offset, exact } = overflow;
+    const barline = createLike(notes[headIdx], 'separator');
+    if (exact) {
+        return [...notes.slice(0, headIdx), barline, ...notes.slice(headIdx)];
+    }
+
+    const before = splitBeats(offset);
+    const after = splitBeats(noteBeats(notes[headIdx]) - offset);
+    const pieces = splitEvent(notes, headIdx, [...before, ...after]);
+    return [
+        ...notes.slice(0, headIdx),
+        ...pieces.slice(0, before.length).flat(),
+        barline,
+        ...pieces.slice(before.length).flat(),
+        ...notes.slice(chordEnd(notes, headIdx))
+    ];
+}
+
+/**
+ * 把小節後方的分隔符移到 target 之前（target 位於小節內或下一小節內）
+ */
+function moveSeparatorRun(notes, endIdx, target) {
+    const { from, to } = separatorRunAfter(notes, endIdx);
+    if (from === to) {
+        return [...notes.slice(0, target), createLike(notes[endIdx], 'separator'), ...notes.slice(target)];
+    }
+    const run = notes.slice(from, to);
+    if (target <= endIdx) {
+        return [...notes.slice(0, target), ...run, ...notes.slice(target, from), ...notes.slice(to)];
+    }
+    return [...notes.slice(0, from), ...notes.slice(to, target), ...run, ...notes.slice(target)];
+}
+
+function moveBarline(notes, issue) {
+    const heads = getVoiceHeads(notes, issue);
+    if (heads.size > 1) return notes;
+
+    if (issue.type === 'overfull') {
+        const overflow = findOverflow(notes, heads.get(issue.voice) || [], issue.expectedBeats);
+        if (!overflow || overflow.headIdx === issue.startIdx) return notes;
+        return moveSeparatorRun(notes, issue.endIdx, overflow.headIdx);
+    }
+
+    // 不足：向下一小節借音，直到補滿或再放不下
+    const next = splitMeasures(notes).find(m => m.startIdx > issue.endIdx);
+    if (!next) return notes;
+    const nextHeads = getVoiceHeads(notes, next);
+    if (nextHeads.size !== 1) return notes;
+    const [borrowable] = nextHeads.values();
+    const overflow = findOverflow(notes, borrowable, issue.expectedBeats - issue.actualBeats);
+    const target = overflow ? overflow.headIdx : next.endIdx + 1;
+    if (target === borrowable[0]) return notes;
+    return moveSeparatorRun(notes, issue.endIdx, target);
+}
+
+function removeTie(notes, issue) {
+    const field = issue.tie === 'end' ? 'tieEnd' : 'tieStart';
+    return notes.map((n, i) => i === issue.index ? withFields(n, { [field]: false }) : n);
+}
+
+/**
+ * 套用修正動作
+ * @param {Array} notes - 扁平音符陣列
+ * @param {Object} issue - checkMeasures 回傳的問題
+ * @param {string} action - 'pad' | 'split' | 'move-barline' | 'remove-tie'
+ * @returns {Array} 新陣列；動作不適用時回傳原陣列
+ */
+export function repairMeasure(notes, issue, action) {
+    if (!issue || !(REPAIR_ACTIONS[issue.type] || []).includes(action)) return notes;
+    switch (action) {
+        case 'pad':
+            return issue.type === 'tuplet' ? padTuplet(notes, issue) : padMeasure(notes, issue);
+        case 'split':
+            return splitMeasure(notes, issue);
+        case 'move-barline':
+            return moveBarline(notes, issue);
+        case 'remove-tie':
+            return removeTie(notes, issue);
+        default:
+            return notes;
+    }
+}
+
+/**
+ * 列出問題可用的修正動作（只列出實際會改變樂譜的動作）
+ * @param {Array} notes
+ * @param {Object} issue
+ * @returns {Array<string>}
+ */
+export function getRepairActions(notes, issue) {
+    return (REPAIR_ACTIONS[issue?.type] || []).filter(action => repairMeasure(notes, issue, action) !== notes);
+}
+
+/**
+ * 依序修正所有小節超出 / 不足與未完整的連音（超出用 split，不足與連音用 pad，弱起小節略過）
+ * 同一小節先補連音（補完後小節拍數才正確）；修正後重新檢查，該小節仍有同一問題時不採用也不計數
+ * @param {Array} notes
+ * @param {Object} options - 同 checkMeasures
+ * @returns {{ notes: Array, repaired: number }}
+ */
+export function repairAllMeasures(notes = [], options = {}) {
+    let result = notes;
+    let repaired = 0;
+    const skipped = new Set();
+    const keyOf = (issue) => `${issue.type}:${issue.measure}:${issue.voice}`;
+    // 每次修正後重新檢查（索引會改變），以小節數為上限避免無窮迴圈
+    for (let guard = 0; guard <= notes.length; guard++) {
+        const errors = checkMeasures(result, options).issues
+            .filter(i => i.severity === 'error' && REPAIR_ALL_ACTIONS[i.type] && !skipped.has(keyOf(i)));
+        if (errors.length === 0) break;
+        const { measure } = errors[0];
+        const issue = REPAIR_ALL_ORDER.map(type => errors.find(i => i.measure === measure && i.type === type)).find(Boolean);
+
+        const next = repairMeasure(result, issue, REPAIR_ALL_ACTIONS[issue.type]);
+        const unresolved = next === result || checkMeasures(next, options).issues
+            .some(i => i.severity === 'error' && keyOf(i) === keyOf(issue));
+        if (unresolved) {
+            skipped.add(keyOf(issue));
+            continue;
+        }
+        result = next;
+        repaired++;
+    }
+    return { notes: result, repaired };
+}
+
+export default checkMeasures;
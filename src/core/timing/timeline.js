@@ -0,0 +1,496 @@
+/**
+ * Timeline - 共用時間軸引擎
+ * 把扁平音符陣列展開成依演奏順序排列的事件（絕對 tick / 秒數），
+ * 處理時值、附點、連音、延音線、延長符、和弦、段中速度、反覆與 D.S./D.C./Coda 跳躍，
+ * 以及小節的調號 / 拍號 / 速度變更、漸慢 / 漸快與延長記號（見 changes.js）、
+ * 力度與奏法（見 expression/dynamics.js）
+ *
+ * 播放 (usePlayback)、MIDI 匯出、即時錄音節奏還原皆使用此模組
+ */
+
+import { resolveAttributes, TEMPO_RAMP_RATIO, FERMATA_SCALE } from './changes.js';
+import { resolveVelocities, getNoteVelocity, getArticulationEffect, DEFAULT_VELOCITY } from '../expression/dynamics.js';
+
+/**
+ * 每個四分音符的 tick 數（與 MIDI ticksPerBeat 相同）
+ */
+export const PPQ = 480;
+
+/**
+ * 音符時值對應的拍數 (quarter = 1 beat)
+ */
+export const DURATION_BEATS = {
+    'whole': 4,
+    'half': 2,
+    'quarter': 1,
+    'eighth': 0.5,
+    '8th': 0.5,
+    '16th': 0.25,
+    'sixteenth': 0.25,
+    '32nd': 0.125,
+    'thirty-second': 0.125,
+    '64th': 0.0625
+};
+
+const isSeparator = (n) => n.isSeparator || n._type === 'separator';
+const isSymbol = (n) => n.isSymbol || n._type === 'symbol';
+const isRest = (n) => n.isRest || n._type === 'rest';
+const isExtension = (n) => n.isExtension || n._type === 'extension';
+const isChordMember = (n) => n.isChord && n.chordPosition > 0;
+
+/**
+ * 計算音符實際拍數
+ * @param {string} duration - 時值名稱
+ * @param {number} dotted - 附點數量 (0, 1, 2)
+ * @param {Object|null} tuplet - 連音符 { num, den }
+ * @returns {number} 拍數
+ */
+export function getDurationBeats(duration, dotted = 0, tuplet = null) {
+    let beats = DURATION_BEATS[duration] ?? 1;
+
+    // 附點: 第一個附點加 50%, 第二個附點再加 25%
+    if (dotted >= 1) beats *= 1.5;
+    if (dotted >= 2) beats *= 1.25;
+
+    // 三連音等連音符
+    if (tuplet && tuplet.num && tuplet.den) {
+        beats *= tuplet.den / tuplet.num;
+    }
+
+    return beats;
+}
+
+/**
+ * 計算音符 tick 數
+ * @param {string} duration
+ * @param {number} dotted
+ * @param {Object|null} tuplet
+ * @param {number} ppq - 每拍 tick 數
+ * @returns {number}
+ */
+export function getDurationTicks(duration, dotted = 0, tuplet = null, ppq = PPQ) {
+    return Math.round(getDurationBeats(duration, dotted, tuplet) * ppq);
+}
+
+/**
+ * 將拍數量化為最接近的時值名稱（以對數距離比較）
+ * @param {number} beats - 實際拍數
+ * @param {Array<string>} candidates - 可選時值
+ * @returns {string}
+ */
+export function quantizeDuration(beats, candidates = ['eighth', 'quarter', 'half', 'whole']) {
+    let best = 'quarter';
+    let bestDistance = Infinity;
+    for (const name of candidates) {
+        const d = Math.abs(Math.log(DURATION_BEATS[name] / beats));
+        if (d < bestDistance) {
+            bestDistance = d;
+            best = name;
+        }
+    }
+    return best;
+}
+
+/**
+ * 解析拍號字串
+ * @param {string} timeSignature - e.g. '3/4'
+ * @returns {{ beats: number, beatType: number }}
+ */
+export function parseTimeSignature(timeSignature = '4/4') {
+    const [beats, beatType] = String(timeSignature).split('/').map(Number);
+    return { beats: beats || 4, beatType: beatType || 4 };
+}
+
+/**
+ * 依反覆與方向記號求出演奏順序（扁平索引陣列，含分隔符與符號）
+ *
+ * 規則與過去 usePlayback 相同：
+ *   - :|  跳回最近的 |:（沒有則回到開頭），共演奏 separator.repeatTimes 遍（預設 2 遍），
+ *     反覆完成後（含 D.C. / D.S. 跳回再經過時）不再反覆
+ *   - 反覆跳房（separator.volta）：不含目前遍數時跳到之後含目前遍數的跳房，找不到則照常往下；
+ *     :| 跳回時遍數加一，經過 |:、|| 或已反覆完成的 :| 時重設為第 1 遍
+ *   - D.S. / D.S. al Coda 跳到 Segno；D.C. / D.C. al Fine 回到開頭（各只執行一次）
+ *   - To Coda / Fine 只在 D.S. 或 D.C. 執行後生效
+ *
+ * @param {Array} notes - 扁平音符陣列
+ * @param {Object} options
+ * @param {number} options.startIndex - 起始索引
+ * @param {boolean} options.expandRepeats - 是否展開反覆與跳躍（false = 線性）
+ * @returns {Array<number>}
+ */
+export function resolvePlaybackOrder(notes, options = {}) {
+    const { startIndex = 0, expandRepeats = true } = options;
+    const order = [];
+    if (!Array.isArray(notes) || notes.length === 0) return order;
+
+    if (!expandRepeats) {
+        for (let i = Math.max(0, startIndex); i < notes.length; i++) order.push(i);
+        return order;
+    }
+
+    const findMarker = (marker) => notes.findIndex(n => isSeparator(n) && n.displayStr === marker);
+    const nav = { dsExecuted: false, dcExecuted: false, repeated: new Map(), pass: 1 };
+    const maxSteps = notes.length * 32;
+
+    let idx = Math.max(0, startIndex);
+    while (idx < notes.length && order.length < maxSteps) {
+        const n = notes[idx];
+        order.push(idx);
+
+        if (!isSeparator(n)) {
+            idx++;
+            continue;
+        }
+
+        const ds = n.displayStr || '|';
+        const jumped = nav.dsExecuted || nav.dcExecuted;
+
+        if (n.volta?.length && !n.volta.includes(nav.pass)) {
+            const nextVolta = notes.findIndex((v, k) => k > idx && isSeparator(v) && v.volta?.includes(nav.pass));
+            if (nextVolta >= 0) {
+                order.pop();
+                idx = nextVolta;
+                continue;
+            }
+        }
+        if (ds === '|:' || ds === '||') nav.pass = 1;
+
+        if ((ds === 'D.S.' || ds === 'D.S. al Coda') && !nav.dsExecuted) {
+            nav.dsExecuted = true;
+            const segnoIdx = findMarker('Segno');
+            if (segnoIdx >= 0) {
+                idx = segnoIdx + 1;
+                continue;
+            }
+        }
+        if ((ds === 'D.C.' || ds === 'D.C. al Fine') && !nav.dcExecuted) {
+            nav.dcExecuted = true;
+            idx = 0;
+            continue;
+        }
+        if (ds === 'To Coda' && jumped) {
+            const codaIdx = findMarker('Coda');
+            if (codaIdx >= 0) {
+                idx = codaIdx + 1;
+                continue;
+            }
+        }
+        if (ds === 'Fine' && jumped) {
+            break;
+        }
+        const jumpsDone = nav.repeated.get(idx) ?? 0;
+        if (ds === ':|' && jumpsDone >= (n.repeatTimes ?? 2) - 1) {
+            nav.pass = 1;
+        } else if (ds === ':|') {
+            nav.repeated.set(idx, jumpsDone + 1);
+            nav.pass = jumpsDone + 2;
+            let startIdx = 0;
+            for (let ri = idx - 1; ri >= 0; ri--) {
+                if (isSeparator(notes[ri]) && notes[ri].displayStr === '|:') {
+                    startIdx = ri + 1;
+                    break;
+                }
+            }
+            idx = startIdx;
+            continue;
+        }
+        idx++;
+    }
+
+    return order;
+}
+
+/**
+ * 套用漸慢 / 漸快：自 tempoRamp 音符起，逐音線性變化到下一個速度變更；
+ * 之後沒有速度變更時，於該小節結尾達到 TEMPO_RAMP_RATIO 倍並維持
+ * @param {Array} notes
+ * @param {Array<number>} base - 每個索引的基本速度
+ * @returns {Array<number>} 每個索引的實際速度
+ */
+function applyTempoRamps(notes, base) {
+    const tempos = base.slice();
+    notes.forEach((n, i) => {
+        const ratio = TEMPO_RAMP_RATIO[n.tempoRamp];
+        if (!ratio || isSeparator(n)) return;
+
+        const start = tempos[i];
+        let end = base.findIndex((t, k) => k > i && t !== base[i]);
+        let target;
+        if (end >= 0) {
+            target = base[end];
+        } else {
+            end = notes.findIndex((m, k) => k > i && isSeparator(m));
+            if (end < 0) end = notes.length;
+            target = start * ratio;
+            for (let k = end; k < notes.length; k++) tempos[k] = target;
+        }
+
+        const timed = (k) => !isSeparator(notes[k]) && !isSymbol(notes[k]) && !isChordMember(notes[k]);
+        const beatsOf = (k) => getDurationBeats(notes[k].duration || 'quarter', notes[k].dotted || 0, notes[k].tuplet || null);
+        let total = 0;
+        for (let k = i; k < end; k++) if (timed(k)) total += beatsOf(k);
+
+        let elapsed = 0;
+        for (let k = i; k < end; k++) {
+            tempos[k] = total > 0 ? start + (target - start) * (elapsed / total) : start;
+            if (timed(k)) elapsed += beatsOf(k);
+        }
+    });
+    return tempos;
+}
+
+/**
+ * 依奏法調整發聲長度（在延音線 / 延長符併入之後執行）
+ *   - 斷奏、悶音等：依比例縮短
+ *   - 延音 (let ring)：延續到同一小節的最後一個事件結束
+ * @param {Array<Object>} events
+ */
+function applyArticulationLengths(events) {
+    events.forEach((event, step) => {
+        if (!event.sounding) return;
+        const { length, letRing } = getArticulationEffect(event.note);
+        if (letRing) {
+            let ticks = event.ticks;
+            let seconds = event.seconds;
+            for (let k = step + 1; k < events.length && events[k].measure === event.measure; k++) {
+                ticks += events[k].ticks;
+                seconds += events[k].seconds;
+            }
+            event.soundTicks = Math.max(event.soundTicks, ticks);
+            event.soundSeconds = Math.max(event.soundSeconds, seconds);
+        } else if (length < 1) {
+            event.soundTicks = Math.max(1, Math.round(event.soundTicks * length));
+            event.soundSeconds *= length;
+        }
+    });
+}
+
+/**
+ * 建立時間軸
+ *
+ * 每個事件對應一個佔用時間的音符 / 休止符 / 延長符（和弦成員併入主音事件，不另佔時間）。
+ * 延音線結尾 (tieEnd) 與延長符 (-) 不重新起音，而是延長前一個發聲事件的 soundTicks。
+ * 段中速度 (beatTempo) 與小節速度變更 (separator.tempo) 自出現處起持續生效，直到下一個變更；
+ * 漸變速度逐音套用，延長記號以較慢速度演奏該音（MIDI 速度事件隨之寫出）。
+ * 力度記號 / 漸強漸弱 / 奏法決定事件的 velocity；斷奏、悶音縮短發聲長度，延音 (let ring) 延續到小節結尾。
+ *
+ * @param {Array} notes - 扁平音符陣列（plain objects 或 Note 實例）
+ * @param {Object} options
+ * @param {number} options.tempo - 預設 BPM
+ * @param {string} options.timeSignature - 預設拍號
+ * @param {string|null} options.keySignature - 預設調號（僅標記於事件上）
+ * @param {number} options.velocity - 沒有力度記號時的 velocity
+ * @param {number} options.ppq - 每拍 tick 數
+ * @param {number} options.startIndex - 起始索引
+ * @param {boolean} options.expandRepeats - 是否展開反覆與跳躍
+ * @param {{start: number, end: number, count: number}|null} options.loop - 只演奏 [start, end] 範圍並重複 count 次
+ * @returns {{ events: Array<Object>, totalTicks: number, totalSeconds: number, ppq: number }}
+ */
+export function buildTimeline(notes, options = {}) {
+    const {
+        tempo = 120,
+        timeSignature = '4/4',
+        keySignature = null,
+        velocity = DEFAULT_VELOCITY,
+        ppq = PPQ,
+        startIndex = 0,
+        expandRepeats = true,
+        loop = null
+    } = options;
+
+    if (!Array.isArray(notes) || notes.length === 0) {
+        return { events: [], totalTicks: 0, totalSeconds: 0, ppq };
+    }
+
+    // 依扁平順序預先計算每個索引生效的速度、調號與拍號（跳躍後仍取該位置的值）
+    const attributes = resolveAttributes(notes, { tempo, timeSignature, keySignature });
+    const tempoAt = applyTempoRamps(notes, attributes.map(a => a.tempo));
+    const velocityAt = resolveVelocities(notes, { velocity });
+
+    let order;
+    if (loop && loop.end >= loop.start) {
+        const linear = resolvePlaybackOrder(notes, { expandRepeats: false });
+        const segment = linear.filter(i => i >= loop.start && i <= loop.end);
+        order = [];
+        for (let k = 0; k < Math.max(1, loop.count || 1); k++) order.push(...segment);
+    } else {
+        order = resolvePlaybackOrder(notes, { startIndex, expandRepeats });
+    }
+
+    const events = [];
+    let tick = 0;
+    let seconds = 0;
+    let measure = 1;
+    let measureTick = 0;
+    let lastSounding = null;   // 可被延音線 / 延長符延長的事件
+    let prevIdx = -1;
+
+    for (let o = 0; o < order.length; o++) {
+        const idx = order[o];
+        const n = notes[idx];
+
+        // 跳躍（反覆、D.C. 等）視為新小節開頭
+        if (prevIdx >= 0 && idx !== prevIdx + 1 && measureTick > 0) {
+            measure++;
+            measureTick = 0;
+        }
+        prevIdx = idx;
+
+        if (isSeparator(n)) {
+            if (measureTick > 0) {
+                measure++;
+                measureTick = 0;
+            }
+            continue;
+        }
+        if (isSymbol(n) || isChordMember(n)) continue;
+
+        const ticks = getDurationTicks(n.duration || 'quarter', n.dotted || 0, n.tuplet || null, ppq);
+        const eventTempo = n.fermata ? tempoAt[idx] / FERMATA_SCALE : tempoAt[idx];
+        const secondsPerTick = 60 / eventTempo / ppq;
+        const eventTimeSig = attributes[idx].timeSignature;
+        const { beats, beatType } = parseTimeSignature(eventTimeSig);
+        const beatTicks = ppq * 4 / beatType;
+
+        // 和弦成員（緊接在主音之後的 chordPosition > 0）
+        const chord = [idx];
+        for (let ci = idx + 1; ci < notes.length && isChordMember(notes[ci]); ci++) chord.push(ci);
+
+        const rest = isRest(n);
+        const extension = isExtension(n);
+        const tied = !!n.tieEnd && !rest && !extension;
+        const sounding = !rest && !extension && !tied;
+
+        const event = {
+            step: events.length,
+            index: idx,
+            chord,
+            tick,
+            ticks,
+            time: seconds,
+            seconds: ticks * secondsPerTick,
+            tempo: eventTempo,
+            keySignature: attributes[idx].keySignature,
+            timeSignature: eventTimeSig,
+            measure,
+            beat: measureTick / beatTicks,
+            isDownbeat: measureTick % (beats * beatTicks) === 0,
+            isRest: rest,
+            velocity: sounding ? getNoteVelocity(n, velocityAt[idx]) : 0,
+            sounding,
+            soundTicks: sounding ? ticks : 0,
+            soundSeconds: sounding ? ticks * secondsPerTick : 0,
+            note: n
+        };
+
+        if (sounding) {
+            lastSounding = event;
+        } else if ((tied || extension) && lastSounding) {
+            lastSounding.soundTicks += ticks;
+            lastSounding.soundSeconds += event.seconds;
+        } else {
+            lastSounding = null;
+        }
+
+        events.push(event);
+        tick += ticks;
+        seconds += event.seconds;
+        measureTick += ticks;
+    }
+
+    applyArticulationLengths(events);
+
+    return { events, totalTicks: tick, totalSeconds: seconds, ppq };
+}
+
+/**
+ * 展開為逐拍格線（拍點依拍號分母，例如 6/8 以八分音符為一拍）
+ * 節拍器依此跟隨速度與拍號變更
+ * @param {{events: Array, ppq: number}} timeline
+ * @returns {Array<{time: number, measure: number, beat: number, beatsPerMeasure: number, isDownbeat: boolean, tempo: number}>}
+ */
+export function getBeatGrid(timeline) {
+    const grid = [];
+    const { events, ppq = PPQ } = timeline;
+    for (const ev of events) {
+        const { beats, beatType } = parseTimeSignature(ev.timeSignature);
+        const beatLength = 4 / beatType;
+        const beatTicks = ppq * beatLength;
+        const endBeat = ev.beat + ev.ticks / beatTicks;
+        for (let b = Math.ceil(ev.beat - 1e-9); b < endBeat - 1e-9; b++) {
+            grid.push({
+                time: ev.time + (b - ev.beat) * beatTicks * (ev.seconds / ev.ticks),
+                measure: ev.measure,
+                beat: b % beats,
+                beatsPerMeasure: beats,
+                isDownbeat: b % beats === 0,
+                tempo: ev.tempo / beatLength
+            });
+        }
+    }
+    return grid;
+}
+
+/**
+ * 找出某時間點（秒）正在演奏的事件
+ * @param {{events: Array}} timeline
+ * @param {number} seconds
+ * @returns {Object|null}
+ */
+export function getEventAtTime(timeline, seconds) {
+    const { events } = timeline;
+    let lo = 0;
+    let hi = events.length - 1;
+    let found = null;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (events[mid].time <= seconds) {
+            found = events[mid];
+            lo = mid + 1;
+        } else {
+            hi = mid - 1;
+        }
+    }
+    return found;
+}
+
+/**
+ * 取得起音時間落在 [start, end) 的事件（伴奏聲部依主聲部的播放位置取用）
+ * @param {{events: Array}} timeline
+ * @param {number} start - 秒
+ * @param {number} end - 秒
+ * @returns {Array<Object>}
+ */
+export function getEventsInRange(timeline, start, end) {
+    const { events } = timeline;
+    let lo = 0;
+    let hi = events.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (events[mid].time < start - 1e-9) lo = mid + 1;
+        else hi = mid;
+    }
+    const result = [];
+    for (let i = lo; i < events.length && events[i].time < end - 1e-9; i++) result.push(events[i]);
+    return result;
+}
+
+/**
+ * 由扁平索引找時間軸步驟
+ * 若指定 nearStep，則在其所在的連續段落內往回找（用於循環段落跳回起點）
+ * @param {{events: Array}} timeline
+ * @param {number} index - 扁平索引
+ * @param {number} nearStep - 參考步驟（-1 = 從頭找）
+ * @returns {number} 步驟索引，找不到時回傳 -1
+ */
+export function findStepForIndex(timeline, index, nearStep = -1) {
+    const { events } = timeline;
+    if (nearStep >= 0 && nearStep < events.length) {
+        let s = Math.min(nearStep, events.length - 1);
+        while (s > 0 && events[s - 1].index >= index && events[s - 1].index < events[s].index) s--;
+        if (events[s].index >= index) return s;
+    }
+    return events.findIndex(e => e.index >= index);
+}
+
+export default buildTimeline;
@@ -1,4 +1,4 @@
-import { getNoteIndex, getNoteName } from './scaleData';
+import { getNoteIndex, getNoteName } from './scaleData.js';
 
 export const CHORD_ROOTS = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 export const CHORD_EXTENSIONS = [3, 6, 7, 9, 11, 13];
@@ -45,3 +45,87 @@ export function getChordNotes(root, quality, extensionLevel) {
     const intervals = getChordIntervals(quality, Number(extensionLevel));
     return intervals.map(interval => getNoteName(rootIndex + interval));
 }
+
+/**
+ * 解析和弦名稱 → { root, quality, extension }
+ * 支援: C, Am, F#m7, Bb, Gdim, Dsus4, E7, Cmaj7, A#m9 ...
+ */
+export function parseChordName(name) {
+    if (!name) return null;
+    const str = name.trim();
+    // 提取根音 (C, C#, Db, etc.)
+    let root = '';
+    if (str.length >= 2 && (str[1] === '#' || str[1] === 'b')) {
+        root = str[0].toUpperCase() + str[1];
+        if (root.endsWith('b')) {
+            // 將降號轉為等音的升號: Db→C#, Eb→D#, Gb→F#, Ab→G#, Bb→A#
+            const flatMap = { 'Db': 'C#', 'Eb': 'D#', 'Fb': 'E', 'Gb': 'F#', 'Ab': 'G#', 'Bb': 'A#', 'Cb': 'B' };
+            root = flatMap[root] || root;
+        }
+    } else {
+        root = str[0].toUpperCase();
+    }
+    if (!CHORD_ROOTS.includes(root)) return null;
+
+    const rest = str.slice(root === str[0] ? 1 : 2).toLowerCase();
+
+    let quality = 'Major';
+    let extension = 3;
+
+    if (rest.startsWith('dim')) { quality = 'Dim'; }
+    else if (rest.startsWith('aug') || rest.startsWith('+')) { quality = 'Aug'; }
+    else if (rest.startsWith('sus2')) { quality = 'Sus2'; }
+    else if (rest.startsWith('sus4')) { quality = 'Sus4'; }
+    else if (rest.startsWith('m') && !rest.startsWith('maj')) { quality = 'Minor'; }
+    else if (rest.startsWith('maj')) { quality = 'Major'; }
+
+    // 提取數字延伸
+    const numMatch = rest.match(/(\d+)/);
+    if (numMatch) {
+        const num = parseInt(numMatch[1]);
+        if ([6, 7, 9, 11, 13].includes(num)) extension = num;
+    }
+    // 特殊: "7" without m/maj → Dominant 7
+    if (extension >= 7 && quality === 'Major' && !rest.includes('maj')) {
+        quality = 'Dominant';
+    }
+    // "m7" → Minor 7 (quality already Minor)
+    // "maj7" → Major 7 (quality stays Major)
+
+    return { root, quality, extension };
+}
+
+// 和弦記號的字尾：品質、延伸音與變化音（m7b5、maj9、7sus4、add9 …）
+const CHORD_SUFFIX_PATTERN = /^(maj|min|m|dim|aug|\+|sus[24]?)?(\d{1,2})?((add|sus|maj|[b#+-])\d{1,2})*$/;
+
+/**
+ * 是否為和弦記號（嚴格比對，用於分辨和弦行與歌詞行；支援斜線和弦）
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function isChordSymbol(token) {
+    const match = /^([A-G][#b]?)([^/]*)(?:\/([A-G][#b]?))?$/.exec(String(token ?? '').trim());
+    if (!match || !CHORD_SUFFIX_PATTERN.test(match[2])) return false;
+    return !!parseChordName(match[1] + match[2]);
+}
+
+/**
+ * 和弦名稱 → 吉他音域的 MIDI 音高（由低到高）
+ * 根音（斜線和弦為低音）放在低音弦範圍 E2–D#3，其餘和弦音由高八度的根音往上排列
+ * 支援斜線和弦（D/F#、C/G）；無法辨識的名稱回傳空陣列
+ * @param {string} name - 和弦名稱
+ * @param {number} transpose - 額外移調半音數（如移調夾）
+ * @returns {Array<number>}
+ */
+export function getChordVoicing(name, transpose = 0) {
+    const [symbol, bassName] = String(name ?? '').trim().split('/');
+    const parsed = symbol ? parseChordName(symbol) : null;
+    if (!parsed) return [];
+
+    const lowString = (pc) => 40 + ((pc - 4 + 12) % 12);
+    const rootPc = getNoteIndex(parsed.root);
+    const bassPc = bassName ? getNoteIndex(bassName[0].toUpperCase() + bassName.slice(1)) : -1;
+    const upperRoot = lowString(rootPc) + 12;
+    const upper = getChordIntervals(parsed.quality, parsed.extension).map(i => upperRoot + i);
+    return [lowString(bassPc >= 0 ? bassPc : rootPc), ...upper].map(m => m + transpose);
+}
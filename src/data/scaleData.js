@@ -49,9 +49,15 @@ export const STRING_TUNINGS = [64, 59, 55, 50, 45, 40];
 export const STRING_NAMES = ['E', 'B', 'G', 'D', 'A', 'E'];
 export const NUM_FRETS = 26;
 
+// 降號 / 等音名稱 → NOTES 中的升號名稱（調號可能以 Bb、Eb 等拼法保存）
+const ENHARMONIC_ALIASES = {
+    'Db': 'C#', 'Eb': 'D#', 'Gb': 'F#', 'Ab': 'G#', 'Bb': 'A#',
+    'Cb': 'B', 'Fb': 'E', 'E#': 'F', 'B#': 'C'
+};
+
 // Helper functions
 export function getNoteIndex(noteName) {
-    return NOTES.indexOf(noteName);
+    return NOTES.indexOf(ENHARMONIC_ALIASES[noteName] ?? noteName);
 }
 
 export function getNoteName(index) {
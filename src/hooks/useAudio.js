@@ -162,11 +162,19 @@ export function useAudio(instrumentName = 'acoustic_guitar_nylon') {
     // Play a note — 如果音色未載入，等待載入後再播放（不靜默跳過）
     // 回傳 soundfont-player 的播放節點（含 .source = AudioBufferSourceNode，
     // 可用 source.detune 做滑音 / 顫音），失敗時回傳 null
+    // options.instrument 指定其他音色（伴奏聲部），options.delay 延後起音秒數
     const playNote = useCallback(async (midiNote, stringIndex = 2, options = {}) => {
         const ac = getAudioContext();
 
         let instrument = instrumentRef.current;
-        if (!instrument) {
+        if (options.instrument && options.instrument !== currentNameRef.current) {
+            try {
+                instrument = await loadInstrumentIfNeeded(options.instrument);
+            } catch (err) {
+                console.error('Failed to load instrument:', err);
+                return null;
+            }
+        } else if (!instrument) {
             // 等待音色載入完成再播放
             instrument = await ensureLoaded();
             if (!instrument) return null; // 載入失敗才放棄
@@ -181,7 +189,7 @@ export function useAudio(instrumentName = 'acoustic_guitar_nylon') {
         const gain = options.gain || 0.8;
 
         try {
-            return instrument.play(noteName, ac.currentTime, {
+            return instrument.play(noteName, ac.currentTime + (options.delay || 0), {
                 duration: options.duration || 2,
                 gain: gain,
             });
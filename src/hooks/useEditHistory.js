@@ -0,0 +1,146 @@
+/**
+ * useEditHistory - 編輯歷史 Hook
+ * 包裝 [notes, setNotes] state，所有經由 commit 的修改皆可復原 / 重做
+ */
+
+import { useState, useRef, useCallback } from 'react';
+import { EditHistory, MetadataCommand } from '../core/history/EditHistory.js';
+
+/**
+ * useEditHistory Hook
+ * @param {Object} options
+ * @param {Array} options.notes - 目前的音符陣列
+ * @param {Function} options.setNotes - 原始 state setter（不記錄歷史）
+ * @param {number} options.limit - 最多保留的復原步數 (預設 100)
+ * @param {Function} options.serialize - 元素序列化函數（Note 實例傳 n => n.toObject()）
+ * @param {Function} options.deserialize - 元素還原函數
+ * @param {number} options.persistLimit - 序列化時最多保存的交易數 (預設 20)
+ * @param {Function} options.onMetadata - 復原 / 重做元數據指令時的套用回調 (fields) => void
+ * @returns {Object} 歷史狀態和控制方法
+ */
+export function useEditHistory({
+    notes = [],
+    setNotes,
+    limit = 100,
+    serialize = (n) => n,
+    deserialize = (n) => n,
+    persistLimit = 20,
+    onMetadata
+}) {
+    const historyRef = useRef(null);
+    if (!historyRef.current) historyRef.current = new EditHistory({ limit });
+
+    // 以 ref 追蹤最新 notes，讓同一事件內連續 commit 能正確串接
+    const notesRef = useRef(notes);
+    notesRef.current = notes;
+
+    // 序列化函數以 ref 保存，讓 serialize / restore 維持穩定參照
+    const codecRef = useRef({ serialize, deserialize });
+    codecRef.current = { serialize, deserialize };
+
+    // 元數據套用回調（調號等非音符狀態）
+    const contextRef = useRef({ onMetadata });
+    contextRef.current = { onMetadata };
+
+    // 觸發重新渲染以更新 canUndo / canRedo
+    const [version, setVersion] = useState(0);
+    const bump = useCallback(() => setVersion(v => v + 1), []);
+
+    /**
+     * 提交一次編輯
+     * @param {Array|Function} next - 新陣列或 (prev) => 新陣列
+     * @param {string} label - 歷史顯示名稱
+     */
+    const commit = useCallback((next, label = '編輯音符') => {
+        const prev = notesRef.current;
+        const value = typeof next === 'function' ? next(prev) : next;
+        if (value === prev) return;
+        historyRef.current.recordChange(prev, value, label);
+        notesRef.current = value;
+        setNotes(value);
+        bump();
+    }, [setNotes, bump]);
+
+    /**
+     * 記錄元數據變更（調號等），與音符 commit 一樣可復原
+     * @param {Object} before - 變更前的欄位值
+     * @param {Object} after - 變更後的欄位值
+     * @param {string} label - 歷史顯示名稱
+     */
+    const commitMetadata = useCallback((before, after, label = '修改樂譜設定') => {
+        historyRef.current.record(new MetadataCommand({ before, after }), label);
+        bump();
+    }, [bump]);
+
+    const undo = useCallback(() => {
+        if (!historyRef.current.canUndo) return;
+        const value = historyRef.current.undo(notesRef.current, contextRef.current);
+        notesRef.current = value;
+        setNotes(value);
+        bump();
+    }, [setNotes, bump]);
+
+    const redo = useCallback(() => {
+        if (!historyRef.current.canRedo) return;
+        const value = historyRef.current.redo(notesRef.current, contextRef.current);
+        notesRef.current = value;
+        setNotes(value);
+        bump();
+    }, [setNotes, bump]);
+
+    /**
+     * 群組交易：begin 與 end 之間的 commit 合併為一次復原
+     */
+    const beginGroup = useCallback((label) => {
+        historyRef.current.begin(label);
+    }, []);
+
+    const endGroup = useCallback(() => {
+        historyRef.current.end();
+        bump();
+    }, [bump]);
+
+    const clear = useCallback(() => {
+        historyRef.current.clear();
+        bump();
+    }, [bump]);
+
+    /**
+     * 序列化歷史（供自動儲存）
+     */
+    const serializeHistory = useCallback(() => {
+        return historyRef.current.toJSON(codecRef.current.serialize, persistLimit);
+    }, [persistLimit]);
+
+    /**
+     * 從自動儲存還原歷史
+     */
+    const restore = useCallback((data) => {
+        historyRef.current = EditHistory.fromJSON(data, codecRef.current.deserialize);
+        bump();
+    }, [bump]);
+
+    const history = historyRef.current;
+
+    return {
+        // 狀態
+        canUndo: history.canUndo,
+        canRedo: history.canRedo,
+        undoLabel: history.undoLabel,
+        redoLabel: history.redoLabel,
+        version,
+
+        // 方法
+        commit,
+        commitMetadata,
+        undo,
+        redo,
+        beginGroup,
+        endGroup,
+        clear,
+        serialize: serializeHistory,
+        restore
+    };
+}
+
+export default useEditHistory;
@@ -34,6 +34,13 @@ export const DEFAULT_SHORTCUTS = {
     // 節拍器
     'm': { action: 'toggleMetronome', description: 'Toggle metronome' },
 
+    // 編輯
+    'ctrl+z': { action: 'undo', description: 'Undo' },
+    'meta+z': { action: 'undo', description: 'Undo' },
+    'ctrl+shift+z': { action: 'redo', description: 'Redo' },
+    'shift+meta+z': { action: 'redo', description: 'Redo' },
+    'ctrl+y': { action: 'redo', description: 'Redo' },
+
     // 其他
     'r': { action: 'repeat', description: 'Repeat from current' },
     '?': { action: 'showHelp', description: 'Show shortcuts help' }
@@ -167,6 +174,7 @@ export function KeyboardShortcutsHelp({ shortcuts, onClose }) {
         'Navigation': ['prevNote', 'nextNote', 'goToStart', 'goToEnd'],
         'Tempo': ['tempoUp', 'tempoDown', 'tempoUp5', 'tempoDown5'],
         'Loop': ['setLoopStart', 'setLoopEnd', 'toggleLoop', 'clearLoop'],
+        'Edit': ['undo', 'redo'],
         'Other': ['toggleMetronome', 'showHelp']
     };
 
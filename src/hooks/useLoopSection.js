@@ -72,6 +72,17 @@ export function useLoopSection(options = {}) {
         setLoopCount(0);
     }, [totalNotes, loopStart]);
 
+    /**
+     * 一次設定起點與終點並啟用循環（例如選取具名段落）
+     */
+    const setLoopRange = useCallback((start, end) => {
+        if (start < 0 || end >= totalNotes || start >= end) return;
+        setLoopStart(start);
+        setLoopEnd(end);
+        setLoopCount(0);
+        setIsLoopEnabled(true);
+    }, [totalNotes]);
+
     /**
      * 開始選取模式
      */
@@ -186,6 +197,7 @@ export function useLoopSection(options = {}) {
         setEnd,
         setLoopStart,
         setLoopEnd,
+        setLoopRange,
         setMaxLoops,
         startSelecting,
         stopSelecting,
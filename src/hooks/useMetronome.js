@@ -1,6 +1,7 @@
 /**
  * useMetronome - 節拍器 Hook
  * 提供節拍器功能，包含 BPM 控制、拍號、重音
+ * 傳入樂譜的逐拍格線 (beatGrid) 時，節拍器跟隨樂譜中的速度與拍號變更
  */
 
 import { useState, useRef, useCallback, useEffect } from 'react';
@@ -51,13 +52,15 @@ function playClick(frequency = 1000, duration = 0.05, volume = 0.5) {
  * @param {number} options.initialBpm - 初始 BPM (預設 120)
  * @param {string} options.initialTimeSignature - 初始拍號 (預設 '4/4')
  * @param {boolean} options.initialAccentEnabled - 是否啟用重音 (預設 true)
+ * @param {Array|null} options.beatGrid - 樂譜逐拍格線（timeline getBeatGrid），提供時依格線打拍
  * @returns {Object} 節拍器狀態和控制方法
  */
 export function useMetronome(options = {}) {
     const {
         initialBpm = 120,
         initialTimeSignature = '4/4',
-        initialAccentEnabled = true
+        initialAccentEnabled = true,
+        beatGrid = null
     } = options;
 
     // 狀態
@@ -70,7 +73,10 @@ export function useMetronome(options = {}) {
 
     // Refs
     const intervalRef = useRef(null);
+    const gridTimeoutRef = useRef(null);
     const beatRef = useRef(0);
+    const beatGridRef = useRef(beatGrid);
+    const gridTickRef = useRef(null);    // 下一拍排程時取用最新的 gridTick
 
     // 解析拍號
     const [beatsPerMeasure] = timeSignature.split('/').map(Number);
@@ -89,23 +95,61 @@ export function useMetronome(options = {}) {
         beatRef.current = (beatRef.current + 1) % beatsPerMeasure;
     }, [accentEnabled, beatsPerMeasure, volume]);
 
+    /**
+     * 依格線打一拍並排程下一拍；格線結束後回到固定 BPM 打拍
+     * @param {number} step - 格線索引
+     */
+    const gridTick = useCallback((step) => {
+        const grid = beatGridRef.current;
+        if (!grid || step >= grid.length) {
+            gridTimeoutRef.current = null;
+            beatRef.current = 0;
+            intervalRef.current = setInterval(tick, (60 / bpm) * 1000);
+            return;
+        }
+
+        const point = grid[step];
+        const isAccent = point.isDownbeat && accentEnabled;
+        playClick(isAccent ? 1200 : 800, 0.05, Math.min(isAccent ? volume * 1.2 : volume, 1));
+        setCurrentBeat(point.beat);
+
+        const next = grid[step + 1];
+        const delay = next ? next.time - point.time : 60 / point.tempo;
+        gridTimeoutRef.current = setTimeout(() => gridTickRef.current(step + 1), delay * 1000);
+    }, [accentEnabled, bpm, tick, volume]);
+    useEffect(() => {
+        gridTickRef.current = gridTick;
+    }, [gridTick]);
+    useEffect(() => {
+        beatGridRef.current = beatGrid;
+    }, [beatGrid]);
+
     /**
      * 開始節拍器
+     * @param {number} fromSeconds - 有樂譜格線時，從樂譜的第幾秒開始
      */
-    const start = useCallback(() => {
-        if (intervalRef.current) return;
+    const start = useCallback((fromSeconds = 0) => {
+        if (intervalRef.current || gridTimeoutRef.current) return;
 
         beatRef.current = 0;
         setCurrentBeat(0);
         setIsRunning(true);
 
+        const grid = beatGridRef.current;
+        if (grid?.length) {
+            const from = typeof fromSeconds === 'number' ? fromSeconds : 0;
+            const step = grid.findIndex(p => p.time >= from - 1e-6);
+            gridTick(step < 0 ? grid.length : step);
+            return;
+        }
+
         // 立即播放第一拍
         tick();
 
         // 設定間隔
         const intervalMs = (60 / bpm) * 1000;
         intervalRef.current = setInterval(tick, intervalMs);
-    }, [bpm, tick]);
+    }, [bpm, tick, gridTick]);
 
     /**
      * 停止節拍器
@@ -115,6 +159,10 @@ export function useMetronome(options = {}) {
             clearInterval(intervalRef.current);
             intervalRef.current = null;
         }
+        if (gridTimeoutRef.current) {
+            clearTimeout(gridTimeoutRef.current);
+            gridTimeoutRef.current = null;
+        }
         setIsRunning(false);
         setCurrentBeat(0);
         beatRef.current = 0;
@@ -122,12 +170,13 @@ export function useMetronome(options = {}) {
 
     /**
      * 切換節拍器
+     * @param {number} fromSeconds - 有樂譜格線時的起始秒數
      */
-    const toggle = useCallback(() => {
+    const toggle = useCallback((fromSeconds = 0) => {
         if (isRunning) {
             stop();
         } else {
-            start();
+            start(fromSeconds);
         }
     }, [isRunning, start, stop]);
 
@@ -188,6 +237,9 @@ export function useMetronome(options = {}) {
             if (intervalRef.current) {
                 clearInterval(intervalRef.current);
             }
+            if (gridTimeoutRef.current) {
+                clearTimeout(gridTimeoutRef.current);
+            }
         };
     }, []);
 
@@ -1,46 +1,13 @@
 /**
  * usePlayback - 播放邏輯 Hook
  * 封裝播放狀態、count-in、節拍追蹤和重音邏輯
- * 支援音符時值（duration）、附點、三連音
+ * 時值、延音、反覆、方向記號與力度由共用時間軸 (core/timing) 計算
+ * 多聲部樂譜時，其他聲部（backingParts）依主聲部的播放位置一起發聲
  */
 
-import { useState, useRef, useCallback, useEffect } from 'react';
-import { STRING_TUNINGS } from '../data/scaleData.js';
-
-/**
- * 音符時值對應的拍數 (quarter = 1 beat)
- */
-const DURATION_BEATS = {
-    'whole': 4,
-    'half': 2,
-    'quarter': 1,
-    'eighth': 0.5,
-    '16th': 0.25,
-    '32nd': 0.125,
-    '64th': 0.0625
-};
-
-/**
- * 計算音符實際拍數
- * @param {string} duration - 時值名稱
- * @param {number} dotted - 附點數量 (0, 1, 2)
- * @param {Object|null} tuplet - 連音符 { num, den }
- * @returns {number} 拍數
- */
-function getDurationBeats(duration, dotted = 0, tuplet = null) {
-    let beats = DURATION_BEATS[duration] ?? 1;
-
-    // 附點: 第一個附點加 50%, 第二個附點再加 25%
-    if (dotted >= 1) beats *= 1.5;
-    if (dotted >= 2) beats *= 1.25;
-
-    // 三連音等連音符
-    if (tuplet && tuplet.num && tuplet.den) {
-        beats *= tuplet.den / tuplet.num;
-    }
-
-    return beats;
-}
+import { useState, useRef, useCallback, useEffect, useMemo } from 'react';
+import { buildTimeline, findStepForIndex, parseTimeSignature, getEventsInRange } from '../core/timing/timeline.js';
+import { velocityToGain } from '../core/expression/dynamics.js';
 
 /**
  * 播放 Click 聲音
@@ -59,6 +26,9 @@ const playClickSound = (high = false) => {
     osc.stop(ac.currentTime + 0.1);
 };
 
+// 沒有伴奏聲部時的預設值（固定參照，避免每次 render 重建時間軸）
+const NO_BACKING = [];
+
 /**
  * usePlayback Hook
  * @param {Object} options
@@ -70,6 +40,8 @@ const playClickSound = (high = false) => {
  * @param {boolean} options.audioLoading - 音頻是否載入中
  * @param {Function} options.resumeAudio - 恢復音頻上下文
  * @param {Object} options.loopSection - Loop Section Hook 實例
+ * @param {Function} options.onNotePlayed - 每個發聲事件的回調 (event) => void
+ * @param {Array<{notes: Array, instrument: string|null}>} options.backingParts - 伴奏聲部（只發聲，不影響游標）
  * @returns {Object}
  */
 export function usePlayback({
@@ -80,10 +52,12 @@ export function usePlayback({
     playNote,
     audioLoading = false,
     resumeAudio,
-    loopSection = null
+    loopSection = null,
+    onNotePlayed,
+    backingParts = NO_BACKING
 }) {
     const [isPlaying, setIsPlaying] = useState(false);
-    const [currentNoteIndex, setCurrentNoteIndex] = useState(-1);
+    const [currentStep, setCurrentStep] = useState(-1);
     const [playTime, setPlayTime] = useState(0);
     const [enableCountIn, setEnableCountIn] = useState(true);
     const [countInStatus, setCountInStatus] = useState('');
@@ -93,18 +67,50 @@ export function usePlayback({
     const lastNoteIndexRef = useRef(-1);
     const loopSectionRef = useRef(loopSection);
     loopSectionRef.current = loopSection;
-    const navigationRef = useRef({ dsExecuted: false, dcExecuted: false, repeatCounts: {} });
+    const onNotePlayedRef = useRef(onNotePlayed);
+    onNotePlayedRef.current = onNotePlayed;
+
+    // 展開反覆 / 跳躍後的演奏時間軸
+    const timeline = useMemo(
+        () => buildTimeline(notes, { tempo, timeSignature }),
+        [notes, tempo, timeSignature]
+    );
+
+    // 伴奏聲部的時間軸（與主聲部相同的速度 / 拍號預設值，反覆展開方式一致）
+    const backingTimelines = useMemo(
+        () => backingParts.map(part => ({
+            notes: part.notes,
+            instrument: part.instrument,
+            timeline: buildTimeline(part.notes, { tempo, timeSignature })
+        })),
+        [backingParts, tempo, timeSignature]
+    );
+
+    // 目前播放的扁平索引（由時間軸步驟推得）
+    const currentNoteIndex = currentStep >= 0 && currentStep < timeline.events.length
+        ? timeline.events[currentStep].index
+        : -1;
+
+    /**
+     * 以扁平索引設定播放位置（對應到時間軸中第一個 >= index 的步驟）
+     */
+    const setCurrentNoteIndex = useCallback((index) => {
+        setCurrentStep(index < 0 ? -1 : findStepForIndex(timeline, index));
+    }, [timeline]);
 
     /**
-     * 開始倒數
+     * 開始倒數（一小節，依樂曲開頭的速度與拍號）
      * @param {Function} onComplete - 倒數完成後的回調
      */
     const startCountIn = useCallback((onComplete) => {
-        let beat = 4;
+        const first = timeline.events[0];
+        const { beats, beatType } = parseTimeSignature(first?.timeSignature ?? timeSignature);
+        let beat = beats;
         setCountInStatus('Ready: ' + beat);
         playClickSound(false);
 
-        const interval = 60000 / tempo;
+        // 拍長以拍號分母為準（6/8 以八分音符倒數）
+        const interval = (60000 / (first?.tempo ?? tempo)) * (4 / beatType);
 
         const timer = setInterval(() => {
             beat--;
@@ -120,7 +126,7 @@ export function usePlayback({
         }, interval);
 
         playTimeoutRef.current = timer;
-    }, [tempo]);
+    }, [timeline, tempo, timeSignature]);
 
     /**
      * 播放
@@ -137,14 +143,11 @@ export function usePlayback({
             }
         }
 
-        // 重置方向記號狀態
-        navigationRef.current = { dsExecuted: false, dcExecuted: false, repeatCounts: {} };
-
         setIsPlaying(true);
         const startIndex = startFromIndex >= 0 ? startFromIndex : 0;
-        setCurrentNoteIndex(startIndex);
+        setCurrentStep(findStepForIndex(timeline, startIndex));
         if (startIndex === 0) setPlayTime(0);
-    }, [notes, resumeAudio]);
+    }, [notes, resumeAudio, timeline]);
 
     /**
      * 暫停
@@ -161,7 +164,7 @@ export function usePlayback({
      */
     const stop = useCallback(() => {
         setIsPlaying(false);
-        setCurrentNoteIndex(-1);
+        setCurrentStep(-1);
         setPlayTime(0);
         setCountInStatus('');
         beatCounterRef.current = 0;
@@ -190,7 +193,7 @@ export function usePlayback({
      * 點擊音符播放
      */
     const handleNoteClick = useCallback((index) => {
-        setCurrentNoteIndex(index);
+        setCurrentStep(findStepForIndex(timeline, index));
         beatCounterRef.current = 0;
 
         const note = notes[index];
@@ -201,229 +204,97 @@ export function usePlayback({
                 playNote(targetMidi, pos ? pos.string : 2);
             }
         }
-    }, [notes, notePositions, audioLoading, playNote]);
+    }, [notes, notePositions, audioLoading, playNote, timeline]);
 
     /**
      * 播放邏輯 Effect
      */
     useEffect(() => {
-        if (!isPlaying || currentNoteIndex < 0 || currentNoteIndex >= notes.length) {
-            if (currentNoteIndex >= notes.length) {
-                // 檢查 loop section
-                const ls = loopSectionRef.current;
-                if (ls && ls.hasValidLoop && ls.isLoopEnabled) {
-                    const result = ls.checkLoop(currentNoteIndex);
-                    if (result && result.shouldLoop) {
-                        setCurrentNoteIndex(result.nextIndex);
-                        return;
-                    }
-                }
-                setIsPlaying(false);
-                setCurrentNoteIndex(-1);
-                setPlayTime(0);
-                beatCounterRef.current = 0;
-            }
-            return;
-        }
+        const events = timeline.events;
+        const finish = () => {
+            setIsPlaying(false);
+            setCurrentStep(-1);
+            setPlayTime(0);
+            beatCounterRef.current = 0;
+        };
 
-        lastNoteIndexRef.current = currentNoteIndex;
-
-        // 處理分隔符號、方向記號、反覆符號
-        let idx = currentNoteIndex;
-        while (idx < notes.length) {
-            const n = notes[idx];
-            if (n.isSeparator || n._type === 'separator') {
-                const ds = n.displayStr || '|';
-                beatCounterRef.current = 0;
-
-                // D.S. — 跳到 Segno 記號（只執行一次）
-                if (ds === 'D.S.' && !navigationRef.current.dsExecuted) {
-                    navigationRef.current.dsExecuted = true;
-                    const segnoIdx = notes.findIndex(nn => (nn.isSeparator || nn._type === 'separator') && nn.displayStr === 'Segno');
-                    if (segnoIdx >= 0) {
-                        setCurrentNoteIndex(segnoIdx + 1);
-                        return;
-                    }
-                }
-                // D.S. al Coda
-                if (ds === 'D.S. al Coda' && !navigationRef.current.dsExecuted) {
-                    navigationRef.current.dsExecuted = true;
-                    const segnoIdx = notes.findIndex(nn => (nn.isSeparator || nn._type === 'separator') && nn.displayStr === 'Segno');
-                    if (segnoIdx >= 0) {
-                        setCurrentNoteIndex(segnoIdx + 1);
-                        return;
-                    }
-                }
-                // D.C. — 跳到開頭（只執行一次）
-                if (ds === 'D.C.' && !navigationRef.current.dcExecuted) {
-                    navigationRef.current.dcExecuted = true;
-                    setCurrentNoteIndex(0);
-                    return;
-                }
-                // D.C. al Fine
-                if (ds === 'D.C. al Fine' && !navigationRef.current.dcExecuted) {
-                    navigationRef.current.dcExecuted = true;
-                    setCurrentNoteIndex(0);
-                    return;
-                }
-                // To Coda — 跳到 Coda 記號（僅在 D.S./D.C. 已執行後觸發）
-                if (ds === 'To Coda' && (navigationRef.current.dsExecuted || navigationRef.current.dcExecuted)) {
-                    const codaIdx = notes.findIndex(nn => (nn.isSeparator || nn._type === 'separator') && nn.displayStr === 'Coda');
-                    if (codaIdx >= 0) {
-                        setCurrentNoteIndex(codaIdx + 1);
-                        return;
-                    }
-                }
-                // Fine — 停止播放（僅在 D.S./D.C. 已執行後觸發）
-                if (ds === 'Fine' && (navigationRef.current.dsExecuted || navigationRef.current.dcExecuted)) {
-                    setIsPlaying(false);
-                    setCurrentNoteIndex(-1);
-                    setPlayTime(0);
-                    beatCounterRef.current = 0;
+        if (!isPlaying || currentStep < 0) return;
+        if (currentStep >= events.length) {
+            // 檢查 loop section
+            const ls = loopSectionRef.current;
+            if (ls && ls.hasValidLoop && ls.isLoopEnabled) {
+                const result = ls.checkLoop(notes.length);
+                if (result && result.shouldLoop) {
+                    setCurrentStep(findStepForIndex(timeline, result.nextIndex, events.length - 1));
                     return;
                 }
-                // :| 反覆結束 — 跳回對應的 |: 反覆開始（只反覆一次）
-                if (ds === ':|') {
-                    const repeatKey = String(idx);
-                    if (!navigationRef.current.repeatCounts[repeatKey]) {
-                        navigationRef.current.repeatCounts[repeatKey] = true;
-                        // 往回找最近的 |:
-                        let startIdx = -1;
-                        for (let ri = idx - 1; ri >= 0; ri--) {
-                            const rn = notes[ri];
-                            if ((rn.isSeparator || rn._type === 'separator') && rn.displayStr === '|:') {
-                                startIdx = ri + 1;
-                                break;
-                            }
-                        }
-                        if (startIdx >= 0) {
-                            setCurrentNoteIndex(startIdx);
-                            return;
-                        }
-                    }
-                }
-
-                idx++;
-            } else if (n.isSymbol || n._type === 'symbol') {
-                idx++;
-            } else {
-                break;
-            }
-        }
-        if (idx !== currentNoteIndex) {
-            if (idx >= notes.length) {
-                const ls = loopSectionRef.current;
-                if (ls && ls.hasValidLoop && ls.isLoopEnabled) {
-                    const result = ls.checkLoop(idx);
-                    if (result && result.shouldLoop) {
-                        setCurrentNoteIndex(result.nextIndex);
-                        return;
-                    }
-                }
-                setIsPlaying(false);
-                setCurrentNoteIndex(-1);
-                setPlayTime(0);
-                beatCounterRef.current = 0;
-            } else {
-                setCurrentNoteIndex(idx);
             }
+            finish();
             return;
         }
 
-        const note = notes[currentNoteIndex];
-        const pos = notePositions[currentNoteIndex];
-
-        // 使用音符自帶的 beatTempo（GP 檔案中段速度變更）或全域 tempo
-        const effectiveTempo = note.beatTempo || tempo;
-
-        // 計算基礎 interval（一拍的時間，毫秒）
-        const beatInterval = (60 / effectiveTempo) * 1000;
-
-        // 計算此音符的實際時值拍數
-        const durationBeats = getDurationBeats(
-            note.duration || 'quarter',
-            note.dotted || 0,
-            note.tuplet || null
-        );
-
-        // 此音符的實際播放時間
-        const noteInterval = beatInterval * durationBeats;
-
-        // Determine Accent
-        const beatsPerBar = parseInt(timeSignature.split('/')[0]) || 4;
-        const isAccent = beatCounterRef.current % beatsPerBar === 0;
+        const event = events[currentStep];
+        lastNoteIndexRef.current = event.index;
+        beatCounterRef.current = event.beat;
 
         // 播放音符（休止符、延長符、延音結束音不發聲，但佔時間）
-        const isRest = note.isRest || note._type === 'rest';
-        const isExtension = note.isExtension || note._type === 'extension';
-        const isTieEnd = note.tieEnd;
-
-        if (!isRest && !isExtension && !isTieEnd && !audioLoading && playNote) {
-            // 使用音符本身的 MIDI 值播放（不受 3NPS 指板定位的八度偏移影響）
-            const targetMidi = note.midiNote ?? note.midi ?? (pos && pos.midi);
-            if (targetMidi) {
-                // 延音線 (tie)：計算延長的持續時間（自身 + 後續所有 tieEnd 音符的拍數）
-                let tieDurationSec = noteInterval / 1000;
-                if (note.tieStart) {
-                    let ti = currentNoteIndex + 1;
-                    while (ti < notes.length) {
-                        const tn = notes[ti];
-                        if (tn.tieEnd) {
-                            const tBeats = getDurationBeats(tn.duration || 'quarter', tn.dotted || 0, tn.tuplet || null);
-                            const tTempo = tn.beatTempo || effectiveTempo;
-                            tieDurationSec += (60 / tTempo) * tBeats;
-                            ti++;
-                        } else {
-                            break;
-                        }
-                    }
+        if (event.sounding && !audioLoading && playNote) {
+            // 重拍加強，再依力度記號 / 奏法調整音量
+            const gain = (event.isDownbeat ? 1.3 : 0.7) * velocityToGain(event.velocity);
+            event.chord.forEach((ni, ci) => {
+                const note = notes[ni];
+                const pos = notePositions[ni];
+                // 使用音符本身的 MIDI 值播放（不受 3NPS 指板定位的八度偏移影響）
+                const targetMidi = note.midiNote ?? note.midi ?? (pos && pos.midi);
+                if (targetMidi) {
+                    playNote(targetMidi, pos ? pos.string : 2, ci === 0
+                        ? { gain, duration: event.soundSeconds }
+                        : { gain });
                 }
-                playNote(targetMidi, pos ? pos.string : 2, {
-                    gain: isAccent ? 1.3 : 0.7,
-                    duration: tieDurationSec
-                });
-            }
+            });
+            onNotePlayedRef.current?.(event);
         }
 
-        // 和弦處理：同一 beat 的後續和弦音同時發聲，不佔額外時間
-        let chordSkip = 0;
-        if (note.isChord) {
-            let ci = currentNoteIndex + 1;
-            while (ci < notes.length && notes[ci].isChord && notes[ci].chordPosition > 0) {
-                const chordNote = notes[ci];
-                const chordPos = notePositions[ci];
-                if (!audioLoading && playNote) {
-                    const chordMidi = chordNote.midiNote ?? chordNote.midi ?? (chordPos && chordPos.midi);
-                    if (chordMidi) {
-                        playNote(chordMidi, chordPos ? chordPos.string : 2, { gain: isAccent ? 1.3 : 0.7 });
-                    }
-                }
-                chordSkip++;
-                ci++;
-            }
+        // 伴奏：播放起音落在此事件期間的其他聲部音符（依時間差延後起音）
+        if (!audioLoading && playNote) {
+            backingTimelines.forEach(({ notes: backingNotes, instrument, timeline: backing }) => {
+                getEventsInRange(backing, event.time, event.time + event.seconds).forEach(b => {
+                    if (!b.sounding) return;
+                    const gain = 0.6 * velocityToGain(b.velocity);
+                    const delay = b.time - event.time;
+                    b.chord.forEach((ni, ci) => {
+                        const midi = backingNotes[ni].midiNote ?? backingNotes[ni].midi;
+                        if (midi == null) return;
+                        playNote(midi, 2, ci === 0
+                            ? { gain, delay, instrument, duration: b.soundSeconds }
+                            : { gain, delay, instrument });
+                    });
+                });
+            });
         }
 
-        beatCounterRef.current += durationBeats;
+        const noteInterval = event.seconds * 1000;
 
         playTimeoutRef.current = setTimeout(() => {
-            const nextIndex = currentNoteIndex + 1 + chordSkip;
+            const nextStep = currentStep + 1;
+            const nextIndex = nextStep < events.length ? events[nextStep].index : notes.length;
 
             // Loop section 檢查 (透過 ref 取得最新值)
             const ls = loopSectionRef.current;
             if (ls && ls.hasValidLoop && ls.isLoopEnabled) {
-                if (nextIndex > ls.loopEnd) {
+                if (event.index <= ls.loopEnd && nextIndex > ls.loopEnd) {
                     const result = ls.checkLoop(nextIndex);
                     if (result && result.shouldLoop) {
                         beatCounterRef.current = 0;
-                        setCurrentNoteIndex(result.nextIndex);
-                        setPlayTime(prev => prev + (noteInterval / 1000));
+                        setCurrentStep(findStepForIndex(timeline, result.nextIndex, currentStep));
+                        setPlayTime(prev => prev + event.seconds);
                         return;
                     }
                 }
             }
 
-            setCurrentNoteIndex(nextIndex);
-            setPlayTime(prev => prev + (noteInterval / 1000));
+            setCurrentStep(nextStep);
+            setPlayTime(prev => prev + event.seconds);
         }, noteInterval);
 
         return () => {
@@ -432,7 +303,7 @@ export function usePlayback({
             }
         };
     // loopSection 透過 ref 存取，不放入 dependency array 避免不必要的 re-run
-    }, [isPlaying, currentNoteIndex, notes, notePositions, tempo, playNote, audioLoading, timeSignature]);
+    }, [isPlaying, currentStep, timeline, backingTimelines, notes, notePositions, playNote, audioLoading]);
 
     /**
      * 格式化時間
@@ -464,6 +335,9 @@ export function usePlayback({
         setCurrentNoteIndex,
         startCountIn,
 
+        // 時間軸（供同步 / 統計使用）
+        timeline,
+
         // Refs (for external use if needed)
         beatCounterRef
     };
@@ -0,0 +1,1338 @@
+/**
+ * ABCParser - ABC Notation 2.1 解析器
+ * 支援曲集（多個 X: 曲目）、標頭與行內欄位（[K:] [M:] [L:] [Q:] [V:]）、調式、
+ * 和弦 [CEG]、和弦記號 "Am"、連音 (3 / (p:q:r、附點節奏 > <、延音線、
+ * 反覆 |: :| 與反覆跳房 [1 [2、裝飾記號（力度、奏法、延長記號、Segno / Coda / D.C. / D.S.）、
+ * 多聲部 V: 與 w: 歌詞
+ * stringify 輸出的 ABC 可再由 parse 讀回
+ */
+
+import { ParserInterface } from '../core/interfaces/ParserInterface.js';
+import { Note } from '../core/models/Note.js';
+import { splitMeasures, OPENING_BARLINES } from '../core/models/Measure.js';
+import { getKeySignature, splitKeySignature, spellNotes, createAccidentalTracker } from '../core/theory/spelling.js';
+import { applyLyricLine, formatLyricLine, getVerseCount } from '../core/lyrics/lyrics.js';
+import { DYNAMIC_VELOCITY } from '../core/expression/dynamics.js';
+import { getDurationBeats, parseTimeSignature, quantizeDuration } from '../core/timing/timeline.js';
+import { splitBeats, getMeasureBeats } from '../core/timing/measureCheck.js';
+
+const NOTE_TYPES = ['whole', 'half', 'quarter', 'eighth', '16th', '32nd', '64th'];
+const STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const ACCIDENTAL_ALTERS = { '^^': 2, '^': 1, '=': 0, '_': -1, '__': -2 };
+const ACCIDENTAL_TOKENS = { '#': '^', '##': '^^', 'b': '_', 'bb': '__', 'n': '=' };
+const CHANGE_FIELDS = ['keySignature', 'timeSignature', 'tempo'];
+
+// K: 的調式（取前三個字母，不分大小寫）→ scaleType
+const KEY_MODES = {
+    '': 'Major', 'maj': 'Major', 'ion': 'Major',
+    'm': 'Minor', 'min': 'Minor', 'aeo': 'Minor',
+    'dor': 'Dorian', 'phr': 'Phrygian', 'lyd': 'Lydian', 'mix': 'Mixolydian', 'loc': 'Locrian'
+};
+
+// 匯出時的調式後綴（大調與小調沿用調號名稱）
+const MODE_SUFFIXES = { 'Dorian': 'Dor', 'Phrygian': 'Phr', 'Lydian': 'Lyd', 'Mixolydian': 'Mix', 'Locrian': 'Loc' };
+
+// !裝飾記號! → 方向記號
+const DECORATION_MARKERS = {
+    'segno': 'Segno', 'coda': 'Coda', 'fine': 'Fine', 'dacoda': 'To Coda',
+    'D.C.': 'D.C.', 'dacapo': 'D.C.', 'D.C.alfine': 'D.C. al Fine', 'D.C.alcoda': 'D.C.',
+    'D.S.': 'D.S.', 'D.S.alcoda': 'D.S. al Coda', 'D.S.alfine': 'D.S.'
+};
+
+// 方向記號 → 匯出的裝飾記號
+const MARKER_DECORATIONS = {
+    'Segno': '!segno!', 'Coda': '!coda!', 'Fine': '!fine!', 'To Coda': '!dacoda!',
+    'D.C.': '!D.C.!', 'D.C. al Fine': '!D.C.alfine!', 'D.S.': '!D.S.!', 'D.S. al Coda': '!D.S.alcoda!'
+};
+
+// !裝飾記號! ↔ 奏法
+const DECORATION_ARTICULATIONS = {
+    'accent': 'accent', 'emphasis': 'accent', '>': 'accent',
+    'marcato': 'marcato', '^': 'marcato',
+    'staccato': 'staccato', 'wedge': 'staccato',
+    'tenuto': 'tenuto'
+};
+const ARTICULATION_DECORATIONS = { 'accent': '!>!', 'marcato': '!^!', 'staccato': '.', 'tenuto': '!tenuto!' };
+
+// !裝飾記號! ↔ 漸強 / 漸弱（結束記號只標示範圍，匯入時略過）
+const DECORATION_HAIRPINS = { 'crescendo(': 'cresc', '<(': 'cresc', 'diminuendo(': 'dim', '>(': 'dim' };
+const HAIRPIN_DECORATIONS = { 'cresc': '!<(!', 'dim': '!>(!' };
+
+// 單字母裝飾記號（顫音、迴音、弓法等沒有對應欄位，匯入時略過）
+const SHORTHAND_DECORATIONS = {
+    '.': 'staccato', 'H': 'fermata', 'L': 'accent', 'O': 'coda', 'S': 'segno',
+    'T': 'trill', 'M': 'lowermordent', 'P': 'uppermordent', 'u': 'upbow', 'v': 'downbow', '~': 'roll'
+};
+
+// "^文字" 註解 ↔ 沒有標準裝飾記號的奏法 / 漸變速度
+const ANNOTATION_ARTICULATIONS = { 'P.M.': 'palm-mute', 'let ring': 'let-ring' };
+const ANNOTATION_TEMPO_RAMPS = { 'rit.': 'rit', 'accel.': 'accel' };
+
+const isSeparator = (n) => n.isSeparator || n._type === 'separator';
+const isSymbol = (n) => n.isSymbol || n._type === 'symbol';
+const isRest = (n) => n.isRest || n._type === 'rest';
+const isExtension = (n) => n.isExtension || n._type === 'extension';
+const isChordMember = (n) => n.isChord && n.chordPosition > 0;
+const isTimed = (n) => !isSeparator(n) && !isSymbol(n) && !isChordMember(n);
+const sameTuplet = (a, b) => !!a && !!b && a.num === b.num && a.den === b.den;
+const nominalBeats = (n) => getDurationBeats(n.duration || 'quarter', n.dotted || 0);
+
+/**
+ * 移除 % 註解（\% 為字面百分號）
+ */
+const stripComment = (line) => line.replace(/(^|[^\\])%.*$/, '$1');
+
+/**
+ * 分數字串 → 數值（'1/8' → 0.125）
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseFraction(text) {
+    const m = String(text ?? '').trim().match(/^(\d+)(?:\/(\d+))?$/);
+    if (!m) return null;
+    return parseInt(m[1]) / (m[2] ? parseInt(m[2]) : 1);
+}
+
+/**
+ * 音符長度倍數（相對 L: 單位長度）：'2' → 2、'/' → 1/2、'//' → 1/4、'3/2' → 1.5
+ * @param {string} text
+ * @returns {number}
+ */
+function parseLength(text) {
+    const m = String(text ?? '').match(/^(\d*)(\/*)(\d*)$/);
+    if (!m || !text) return 1;
+    const num = m[1] ? parseInt(m[1]) : 1;
+    if (!m[2]) return num;
+    const den = m[3] ? parseInt(m[3]) * 2 ** (m[2].length - 1) : 2 ** m[2].length;
+    return num / den;
+}
+
+/**
+ * 拍數（四分音符 = 1）→ L:1/4 的長度字串
+ * @param {number} beats
+ * @returns {string}
+ */
+function formatLength(beats) {
+    for (const den of [1, 2, 4, 8, 16, 32, 64]) {
+        const num = Math.round(beats * den);
+        if (num > 0 && Math.abs(beats * den - num) < 1e-6) {
+            if (den === 1) return num === 1 ? '' : String(num);
+            if (num === 1) return den === 2 ? '/' : `/${den}`;
+            return `${num}/${den}`;
+        }
+    }
+    return '';
+}
+
+/**
+ * 拍數 → 可記譜的時值 + 附點（無法以單一音符表示時回傳 null）
+ * @param {number} beats
+ * @returns {{ duration: string, dotted: number }|null}
+ */
+function durationFromBeats(beats) {
+    for (const duration of NOTE_TYPES) {
+        for (let dotted = 0; dotted <= 2; dotted++) {
+            if (Math.abs(getDurationBeats(duration, dotted) - beats) < 1e-6) return { duration, dotted };
+        }
+    }
+    return null;
+}
+
+/**
+ * M: 欄位 → 拍號字串（C = 4/4、C| = 2/2，無法辨識時回傳 null）
+ * @param {string} value
+ * @returns {string|null}
+ */
+function parseMeter(value) {
+    const text = String(value ?? '').trim();
+    if (text === 'C') return '4/4';
+    if (text === 'C|') return '2/2';
+    const m = text.match(/^\(?(\d+)(?:\+\d+)*\)?\/(\d+)/);
+    return m ? `${text.match(/^\(?([\d+]+)/)[1].split('+').reduce((sum, b) => sum + parseInt(b), 0)}/${m[2]}` : null;
+}
+
+/**
+ * K: 欄位 → 主音與調式（'G'、'Am'、'D mix'、'Bb minor'；none / HP 視為 C 大調）
+ * @param {string} value
+ * @returns {{ key: string, scaleType: string }|null}
+ */
+function parseKeyField(value) {
+    const text = String(value ?? '').trim();
+    if (/^(none|HP)\b/i.test(text) || text === '') return { key: 'C', scaleType: 'Major' };
+    if (/^Hp\b/.test(text)) return { key: 'D', scaleType: 'Mixolydian' };
+    const m = text.match(/^([A-G])([#b]?)\s*([A-Za-z]*)/);
+    if (!m) return null;
+    const mode = m[3].toLowerCase();
+    const scaleType = KEY_MODES[mode === 'm' ? 'm' : mode.slice(0, 3)];
+    // 其他字（clef=、exp 等）不影響調號
+    return { key: m[1] + m[2], scaleType: scaleType ?? 'Major' };
+}
+
+/**
+ * Q: 欄位 → 四分音符 BPM（'1/4=120'、'3/8=60'、舊式 '120' 以 L: 單位長度計）
+ * @param {string} value
+ * @param {number} unit - L: 單位長度（全音符 = 1）
+ * @returns {number|null}
+ */
+function parseTempoField(value, unit) {
+    const text = String(value ?? '').replace(/"[^"]*"/g, ' ').trim();
+    const beatMatch = text.match(/((?:\d+\/\d+\s*)+)=\s*(\d+(?:\.\d+)?)/);
+    if (beatMatch) {
+        const beat = beatMatch[1].trim().split(/\s+/).reduce((sum, f) => sum + (parseFraction(f) ?? 0), 0);
+        return Math.round(parseFloat(beatMatch[2]) * beat * 4);
+    }
+    const bare = text.match(/^(?:[A-Ga-g]\s*=\s*)?(\d+)$/);
+    return bare ? Math.round(parseInt(bare[1]) * unit * 4) : null;
+}
+
+/**
+ * 反覆跳房編號：'1'、'1,3'、'1-3'
+ * @param {string} text
+ * @returns {Array<number>}
+ */
+function parseVolta(text) {
+    return text.split(',').flatMap(part => {
+        const [from, to] = part.split('-').map(Number);
+        if (!to) return [from];
+        return Array.from({ length: Math.max(0, to - from + 1) }, (_, k) => from + k);
+    });
+}
+
+/**
+ * 拍號是否為複拍子（6/8、9/8、12/8）
+ */
+const isCompoundMeter = (meter) => {
+    const { beats } = parseTimeSignature(meter);
+    return beats > 3 && beats % 3 === 0;
+};
+
+/**
+ * 連音 (p 省略 q 時的預設值
+ */
+function defaultTupletDen(num, meter) {
+    if (num === 2 || num === 4 || num === 8) return 3;
+    if (num === 3 || num === 6) return 2;
+    return isCompoundMeter(meter) ? 3 : 2;
+}
+
+/**
+ * 調號 → K: 欄位值（教會調式寫成主音 + 調式縮寫）
+ */
+function formatKey(key, scaleType) {
+    const signature = getKeySignature(key, scaleType);
+    return MODE_SUFFIXES[scaleType] ? `${signature.tonic}${MODE_SUFFIXES[scaleType]}` : signature.name;
+}
+
+/**
+ * 建立小節線 / 方向記號 / 反覆跳房分隔符，並帶上調號 / 拍號 / 速度變更
+ */
+function createMarker(item) {
+    const separator = Note.createSeparator();
+    const marker = item.volta ? `${item.volta.join(',')}.` : item.marker;
+    separator.jianpu = marker;
+    separator.displayStr = marker;
+    if (item.volta) separator.volta = item.volta;
+    CHANGE_FIELDS.forEach(field => {
+        if (item[field] != null) separator[field] = item[field];
+    });
+    return separator;
+}
+
+/**
+ * 把檔案切成曲目：每個 X: 開始一首，檔頭的欄位（L:、M: 等）套用到每一首；
+ * 沒有 X: 時整份文字視為一首
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+function splitTunes(text) {
+    const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+    const first = lines.findIndex(l => /^X:/.test(l.trim()));
+    if (first < 0) return [lines];
+
+    const fileHeader = lines.slice(0, first).filter(l => /^[A-Za-z]:/.test(l.trim()) && !/^[KVw]:/.test(l.trim()));
+    const tunes = [];
+    lines.slice(first).forEach(line => {
+        if (/^X:/.test(line.trim())) tunes.push([line, ...fileHeader]);
+        else tunes[tunes.length - 1].push(line);
+    });
+    return tunes;
+}
+
+/**
+ * ABC 解析器類別
+ * @extends ParserInterface
+ */
+export class ABCParser extends ParserInterface {
+    constructor() {
+        super();
+        this._title = '';
+        this._composer = '';
+        this._tempo = 120;
+        this._timeSignature = '4/4';
+        this._key = 'C';
+        this._scaleType = 'Major';
+        this._tunes = [];       // 各曲目的文字行
+        this._parsed = [];      // 各曲目的解析結果（依需要建立）
+    }
+
+    get name() {
+        return 'ABCParser';
+    }
+
+    get description() {
+        return 'ABC Notation 2.1 解析器（含曲集、多聲部）';
+    }
+
+    get formatId() {
+        return 'abc';
+    }
+
+    get extensions() {
+        return ['.abc'];
+    }
+
+    get mimeTypes() {
+        return ['text/vnd.abc', 'text/x-abc'];
+    }
+
+    /**
+     * 依內容判斷：X: 與 K: 標頭最可靠，只有音符字元時信心很低
+     * @param {string} text
+     * @returns {number}
+     */
+    sniff(text) {
+        const trimmed = String(text ?? '').trim();
+        const hasKey = /^K:\s*[A-Ga-gHn]/m.test(trimmed);
+        if (/^X:\s*\d+/m.test(trimmed) && hasKey) return 0.9;
+        if (hasKey) return 0.6;
+        return trimmed && this.validate(trimmed) ? 0.2 : 0;
+    }
+
+    /**
+     * 讀取檔案：曲集或多聲部時回傳曲目清單供選擇，否則直接轉換（保留和弦、只取主聲部）
+     * @param {string} text
+     * @returns {Promise<{ notes?: Array<Note>, tracks: Array, metadata: Object }>}
+     */
+    async read(text) {
+        const { tunes } = this.parseSong(text);
+        if (tunes.length > 1 || tunes[0]?.voices > 1) return { tracks: tunes, metadata: this.metadata };
+        const notes = tunes.length > 0 ? this.convertTune(0, { chordMode: 'all', voices: 'primary' }) : [];
+        return { notes, tracks: tunes, metadata: this.metadata };
+    }
+
+    get title() { return this._title; }
+    get composer() { return this._composer; }
+    get tempo() { return this._tempo; }
+    get timeSignature() { return this._timeSignature; }
+    get key() { return this._key; }
+    get scaleType() { return this._scaleType; }
+
+    /**
+     * 解析 ABC 檔案並取得曲目清單（樂譜資訊取自第一首）
+     * @param {string} text
+     * @returns {{ tunes: Array<{ index: number, number: number|null, name: string, key: string, timeSignature: string, voices: number, noteCount: number, bars: number }> }}
+     */
+    parseSong(text) {
+        this._tunes = splitTunes(text);
+        this._parsed = [];
+
+        const tunes = this._tunes.map((_, index) => {
+            const tune = this._getTune(index);
+            const notes = this._buildNotes(tune, { chordMode: 'all', voices: 'all' });
+            return {
+                index,
+                number: tune.number,
+                name: tune.title || `Tune ${tune.number ?? index + 1}`,
+                key: formatKey(tune.key, tune.scaleType),
+                timeSignature: tune.startMeter,
+                voices: tune.voices.size,
+                noteCount: notes.filter(n => n.isNote).length,
+                bars: splitMeasures(notes).length
+            };
+        });
+        if (tunes.length > 0) this._applyInfo(this._getTune(0));
+        return { tunes };
+    }
+
+    /**
+     * 將指定曲目轉換為 Note 陣列
+     * @param {number} tuneIndex - 曲目索引
+     * @param {Object} options
+     * @param {string} options.chordMode - 'all' 保留和弦 | 'highest' / 'lowest' 只取一個音
+     * @param {string} options.voices - 'primary' 只取第一個聲部 | 'all' 全部聲部（以 note.voice 區分）
+     * @returns {Array<Note>}
+     */
+    convertTune(tuneIndex = 0, options = {}) {
+        if (this._tunes.length === 0) {
+            throw new Error('請先呼叫 parseSong()');
+        }
+        const tune = this._getTune(Math.min(tuneIndex, this._tunes.length - 1));
+        this._applyInfo(tune);
+        return this._buildNotes(tune, options);
+    }
+
+    /**
+     * 解析 ABC 文字
+     * @param {string} text
+     * @param {Object} options - 同 convertTune，另可指定 tuneIndex
+     * @returns {Array<Note>}
+     */
+    parse(text, options = {}) {
+        this.parseSong(text);
+        return this.convertTune(options.tuneIndex ?? 0, options);
+    }
+
+    /**
+     * 將音符轉換為 ABC Notation（L:1/4；多聲部時每個聲部寫成一段 V:）
+     * @param {Array<Note>} notes
+     * @param {Object} options
+     * @param {string} options.title
+     * @param {string} options.composer
+     * @param {string} options.key
+     * @param {string} options.scaleType
+     * @param {string} options.meter - 拍號
+     * @param {number} options.tempo
+     * @param {number} options.barsPerLine - 每行小節數
+     * @returns {string}
+     */
+    stringify(notes, options = {}) {
+        const {
+            title = 'Untitled',
+            composer = '',
+            key = 'C',
+            scaleType = 'Major',
+            meter = '4/4',
+            tempo = 120,
+            barsPerLine = 4
+        } = options;
+
+        const events = (notes || []).filter(n => !isSymbol(n));
+        // 沒有任何小節線時依拍號自動分小節
+        const source = events.some(isSeparator) ? events : this._insertBarlines(events, meter);
+        const measures = splitMeasures(source);
+        const spelled = spellNotes(source, { key, scaleType });
+        const voiceIds = [...new Set(source.filter(isTimed).map(n => n.voice ?? 1))].sort((a, b) => a - b);
+        if (voiceIds.length === 0) voiceIds.push(1);
+
+        const header = [
+            'X:1',
+            `T:${title}`,
+            composer ? `C:${composer}` : null,
+            `M:${meter}`,
+            'L:1/4',
+            `Q:1/4=${tempo}`,
+            `K:${formatKey(key, scaleType)}`
+        ].filter(Boolean);
+
+        const body = voiceIds.flatMap(id => {
+            const lines = this._writeVoice(source, measures, spelled, { id, key, scaleType, meter, tempo, barsPerLine });
+            return voiceIds.length > 1 ? [`V:${id}`, ...lines] : lines;
+        });
+
+        return [...header, ...body].join('\n');
+    }
+
+    /**
+     * 清理輸入文字（統一換行、移除註解與指令行）
+     * @param {string} text
+     * @returns {string}
+     */
+    clean(text) {
+        return String(text ?? '')
+            .replace(/\r\n?/g, '\n')
+            .split('\n')
+            .map(stripComment)
+            .filter(line => line.trim())
+            .join('\n');
+    }
+
+    /**
+     * 驗證格式（有 X: / K: 標頭，或只有 ABC 音符字元）
+     * @param {string} text
+     * @returns {boolean}
+     */
+    validate(text) {
+        const trimmed = String(text ?? '').trim();
+        if (/^X:\s*\d+/m.test(trimmed) || /^K:\s*[A-Ga-gHn]/m.test(trimmed)) return true;
+        return /^[A-Ga-gz,'=_^\d/|\s[\]:()"-]+$/.test(trimmed);
+    }
+
+    // ==================== Private Methods ====================
+
+    /**
+     * 取得（並快取）曲目解析結果
+     * @private
+     */
+    _getTune(index) {
+        if (!this._parsed[index]) this._parsed[index] = this._readTune(this._tunes[index] || []);
+        return this._parsed[index];
+    }
+
+    /**
+     * 以曲目標頭更新 title / key 等屬性
+     * @private
+     */
+    _applyInfo(tune) {
+        this._title = tune.title;
+        this._composer = tune.composer;
+        this._tempo = tune.tempo;
+        this._timeSignature = tune.startMeter;
+        this._key = tune.key;
+        this._scaleType = tune.scaleType;
+    }
+
+    /**
+     * 讀取一首曲目：標頭欄位 → 各聲部的事件清單（小節線、音符、休止符）
+     * @private
+     */
+    _readTune(lines) {
+        const tune = {
+            number: null,
+            title: '',
+            composer: '',
+            meter: '4/4',       // 目前拍號（隨內文 M: 變更）
+            startMeter: '4/4',  // 曲目開頭的拍號
+            unit: null,
+            tempo: 120,
+            key: 'C',
+            scaleType: 'Major',
+            inBody: false,
+            hasMusic: false,
+            voiceOrder: [],
+            voices: new Map(),
+            current: null
+        };
+
+        for (const raw of lines) {
+            const line = stripComment(raw);
+            const trimmed = line.trim();
+            if (!trimmed) {
+                // 曲目內容之後的空行結束此曲（之後到下一個 X: 之間為自由文字）
+                if (tune.hasMusic && tune.number != null) break;
+                continue;
+            }
+
+            const field = trimmed.match(/^([A-Za-z+]):(.*)$/);
+            if (field && !(tune.inBody && /^[A-Ga-g]$/.test(field[1]))) {
+                this._readField(field[1], field[2].trim(), tune, false);
+                continue;
+            }
+
+            this._startBody(tune);
+            tune.hasMusic = true;
+            this._readMusicLine(trimmed, tune);
+        }
+
+        // 結尾：補上延後的方向記號
+        tune.voices.forEach(voice => {
+            [...voice.closing, ...voice.opening].forEach(marker => voice.items.push({ type: 'bar', marker }));
+            voice.closing = [];
+            voice.opening = [];
+        });
+        return tune;
+    }
+
+    /**
+     * 標頭結束：決定預設單位長度（拍號小於 3/4 為 1/16，否則 1/8）
+     * @private
+     */
+    _startBody(tune) {
+        tune.inBody = true;
+        if (tune.unit == null) {
+            const { beats, beatType } = parseTimeSignature(tune.meter);
+            tune.unit = beats / beatType < 0.75 ? 1 / 16 : 1 / 8;
+        }
+    }
+
+    /**
+     * 目前的聲部（第一次使用時建立）
+     * @private
+     */
+    _getVoice(tune, id = null) {
+        const voiceId = id ?? tune.current ?? tune.voiceOrder[0] ?? '1';
+        if (!tune.voices.has(voiceId)) {
+            tune.voices.set(voiceId, {
+                id: voiceId,
+                items: [],
+                key: tune.key,
+                scaleType: tune.scaleType,
+                alters: getKeySignature(tune.key, tune.scaleType).alters,
+                barAlters: new Map(),   // 小節內臨時記號（字母 + 八度 → 升降）
+                ties: new Set(),        // 等待延音線結尾的 MIDI 音高
+                hasContent: false,      // 目前小節已有音符 / 休止符
+                pendingChanges: {},     // 小節中途的調號 / 拍號 / 速度變更，寫到下一條小節線
+                closing: [],            // 延後到下一條小節線的方向記號（D.C.、Fine 等）
+                opening: [],            // 小節中途出現、移到下一小節開頭的 Segno / Coda
+                tuplet: null,           // { num, den, left }
+                broken: 0,              // 附點節奏 > < 對下一個事件的倍數
+                decorations: { articulations: [] },
+                lyricRange: null,
+                lyricVerse: 0,
+                lyricLines: []
+            });
+        }
+        tune.current = voiceId;
+        return tune.voices.get(voiceId);
+    }
+
+    /**
+     * 處理標頭 / 內文欄位與行內欄位
+     * @private
+     */
+    _readField(name, value, tune, inline) {
+        switch (name) {
+            case 'X':
+                tune.number = parseInt(value) || null;
+                break;
+            case 'T':
+                if (!tune.inBody && !tune.title) tune.title = value;
+                break;
+            case 'C':
+                if (!tune.inBody) tune.composer = tune.composer ? `${tune.composer}, ${value}` : value;
+                break;
+            case 'L':
+                tune.unit = parseFraction(value) ?? tune.unit;
+                break;
+            case 'M': {
+                const meter = parseMeter(value);
+                if (!meter) break;
+                tune.meter = meter;
+                if (!tune.inBody || this._isTuneStart(tune)) tune.startMeter = meter;
+                else this._addChange(this._getVoice(tune), { timeSignature: meter });
+                break;
+            }
+            case 'Q': {
+                const tempo = parseTempoField(value, tune.unit ?? 1 / 8);
+                if (!tempo) break;
+                if (!tune.inBody || this._isTuneStart(tune)) {
+                    tune.tempo = tempo;
+                    break;
+                }
+                const voice = this._getVoice(tune);
+                if (voice.hasContent) voice.beatTempo = tempo;
+                else this._addChange(voice, { tempo });
+                break;
+            }
+            case 'K': {
+                const parsed = parseKeyField(value);
+                if (!tune.inBody) {
+                    if (parsed) Object.assign(tune, parsed);
+                    if (!inline) this._startBody(tune);
+                    break;
+                }
+                if (!parsed) break;
+                const voice = this._getVoice(tune);
+                Object.assign(voice, parsed, { alters: getKeySignature(parsed.key, parsed.scaleType).alters });
+                if (this._isTuneStart(tune)) {
+                    Object.assign(tune, parsed);
+                } else if (voice.items.length > 0) {
+                    this._addChange(voice, { keySignature: getKeySignature(parsed.key, parsed.scaleType).name });
+                }
+                break;
+            }
+            case 'V': {
+                const id = value.split(/\s+/)[0];
+                if (!id) break;
+                if (!tune.inBody) {
+                    if (!tune.voiceOrder.includes(id)) tune.voiceOrder.push(id);
+                } else {
+                    this._getVoice(tune, id);
+                }
+                break;
+            }
+            case 'w':
+                if (!inline) this._readLyricLine(value, tune);
+                break;
+            default:
+                // W:（曲末歌詞）、P:、N:、R: 等不影響音符
+                break;
+        }
+    }
+
+    /**
+     * 是否還沒有任何事件（內文開頭的 K: / M: / Q: 視為曲目標頭）
+     * @private
+     */
+    _isTuneStart(tune) {
+        return [...tune.voices.values()].every(v => v.items.length === 0);
+    }
+
+    /**
+     * 調號 / 拍號 / 速度變更：小節開頭時寫在前一條小節線上，小節中途則延到下一條小節線
+     * @private
+     */
+    _addChange(voice, changes) {
+        const last = voice.items[voice.items.length - 1];
+        if (!voice.hasContent && last?.type === 'bar') Object.assign(last, changes);
+        else Object.assign(voice.pendingChanges, changes);
+    }
+
+    /**
+     * w: 歌詞行：對應此聲部上一行音樂，連續的 w: 依序為第 1、2… 段
+     * @private
+     */
+    _readLyricLine(value, tune) {
+        const voice = this._getVoice(tune);
+        if (!voice.lyricRange) return;
+        voice.lyricVerse++;
+        voice.lyricLines.push({ ...voice.lyricRange, verse: voice.lyricVerse, text: value });
+    }
+
+    /**
+     * 解析一行音樂
+     * @private
+     */
+    _readMusicLine(line, tune) {
+        let voice = this._getVoice(tune);
+        let lineStart = voice.items.length;
+        let pos = 0;
+
+        while (pos < line.length) {
+            const rest = line.slice(pos);
+            const ch = rest[0];
+            let m;
+
+            // 行內欄位 [K:] [M:] [L:] [Q:] [V:]
+            if ((m = rest.match(/^\[([A-Za-z]):([^\]]*)\]/))) {
+                this._readField(m[1], m[2].trim(), tune, true);
+                if (tune.current !== voice.id) {
+                    voice = this._getVoice(tune);
+                    lineStart = voice.items.length;
+                }
+                pos += m[0].length;
+                continue;
+            }
+
+            // 小節線（可直接接跳房編號：|1、:|2、|[1）
+            if ((m = rest.match(/^\.?(:*)(\[\||\|\]|\|\||\|)?(:*)/)) && (m[2] || m[1].length >= 2)) {
+                const marks = [];
+                if (m[1]) marks.push(':|');
+                if (m[3] || (!m[2] && m[1].length >= 2)) marks.push('|:');
+                if (marks.length === 0) marks.push(m[2] === '|' ? '|' : '||');
+                pos += m[0].length;
+                const volta = line.slice(pos).match(/^\[?(\d+(?:[,-]\d+)*)/);
+                if (volta && m[2] !== '[|') pos += volta[0].length;
+                this._pushBar(voice, marks, volta && m[2] !== '[|' ? parseVolta(volta[1]) : null);
+                continue;
+            }
+
+            // 反覆跳房 [1 [2（前面沒有小節線時補一條）
+            if ((m = rest.match(/^\[(\d+(?:[,-]\d+)*)/))) {
+                this._pushBar(voice, voice.hasContent ? ['|'] : [], parseVolta(m[1]));
+                pos += m[0].length;
+                continue;
+            }
+
+            // 和弦記號 "Am" / 註解 "^text"
+            if ((m = rest.match(/^"([^"]*)"/))) {
+                this._readQuoted(m[1], voice);
+                pos += m[0].length;
+                continue;
+            }
+
+            // 裝飾記號 !f! / +f+
+            if ((m = rest.match(/^!([^!\s]+)!/) || rest.match(/^\+([^+\s]+)\+/))) {
+                this._applyDecoration(m[1], voice);
+                pos += m[0].length;
+                continue;
+            }
+
+            // 連音 (3、(3:2、(3:2:4
+            if ((m = rest.match(/^\((\d+)(?::(\d*))?(?::(\d*))?/))) {
+                const num = parseInt(m[1]);
+                const den = m[2] ? parseInt(m[2]) : defaultTupletDen(num, tune.meter);
+                const left = m[3] ? parseInt(m[3]) : num;
+                if (num > 1 && den > 0) voice.tuplet = { num, den, left };
+                pos += m[0].length;
+                continue;
+            }
+
+            // 倚音 {g}：不佔時值，略過
+            if (ch === '{') {
+                const end = rest.indexOf('}');
+                pos += end < 0 ? rest.length : end + 1;
+                continue;
+            }
+
+            // 和弦 [CEG]
+            if ((m = rest.match(/^\[((?:[^\]"]|"[^"]*")*)\](\d*\/*\d*)(-?)/)) && /[A-Ga-g]/.test(m[1])) {
+                this._readChord(m, voice, tune);
+                pos += m[0].length;
+                pos += this._readBrokenRhythm(line.slice(pos), voice);
+                continue;
+            }
+
+            // 單音
+            if ((m = rest.match(/^(\^\^|\^|__|_|=)?([A-Ga-g])([,']*)(\d*\/*\d*)(-?)/))) {
+                const pitch = this._readPitch(m[1], m[2], m[3], voice);
+                pitch.tieStart = m[5] === '-';
+                this._pushEvent(voice, tune, { pitches: [pitch], beats: parseLength(m[4]) * tune.unit * 4 });
+                pos += m[0].length;
+                pos += this._readBrokenRhythm(line.slice(pos), voice);
+                continue;
+            }
+
+            // 休止符 z / 隱形休止符 x
+            if ((m = rest.match(/^([zx])(\d*\/*\d*)/))) {
+                this._pushEvent(voice, tune, { pitches: [], rest: true, invisible: m[1] === 'x', beats: parseLength(m[2]) * tune.unit * 4 });
+                pos += m[0].length;
+                pos += this._readBrokenRhythm(line.slice(pos), voice);
+                continue;
+            }
+
+            // 整小節休止 Z4 / X
+            if ((m = rest.match(/^([ZX])(\d*)/))) {
+                voice.items.push({ type: 'measureRest', bars: parseInt(m[2]) || 1, invisible: m[1] === 'X', meter: tune.meter });
+                voice.hasContent = true;
+                voice.ties = new Set();
+                pos += m[0].length;
+                continue;
+            }
+
+            // 單字母裝飾記號
+            if (SHORTHAND_DECORATIONS[ch]) {
+                this._applyDecoration(SHORTHAND_DECORATIONS[ch], voice);
+                pos++;
+                continue;
+            }
+
+            // 圓滑線、空白、續行、排版符號等
+            pos++;
+        }
+
+        if (voice.items.length > lineStart) {
+            voice.lyricRange = { start: lineStart, end: voice.items.length - 1 };
+            voice.lyricVerse = 0;
+        }
+    }
+
+    /**
+     * 讀取音高（套用臨時記號、同小節臨時記號與調號）
+     * @private
+     */
+    _readPitch(accidental, letterText, octaveMarks, voice) {
+        const letter = letterText.toUpperCase();
+        let octave = letterText === letter ? 4 : 5;
+        for (const mark of octaveMarks) octave += mark === "'" ? 1 : -1;
+
+        const slot = `${letter}${octave}`;
+        let alter;
+        if (accidental) {
+            alter = ACCIDENTAL_ALTERS[accidental];
+            voice.barAlters.set(slot, alter);
+        } else {
+            alter = voice.barAlters.get(slot) ?? voice.alters[letter] ?? 0;
+        }
+        return { midi: (octave + 1) * 12 + STEP_SEMITONES[letter] + alter, alter, tieStart: false, tieEnd: false };
+    }
+
+    /**
+     * 和弦 [CEG]2：時值為第一個音的長度 × 括號後的長度
+     * @private
+     */
+    _readChord(match, voice, tune) {
+        const [, inner, lengthText, tie] = match;
+        const pitches = [];
+        let firstLength = null;
+        const noteRe = /(\^\^|\^|__|_|=)?([A-Ga-g])([,']*)(\d*\/*\d*)(-?)/g;
+        let m;
+        // 和弦內的裝飾記號 / 和弦記號不影響音高
+        const body = inner.replace(/!([^!]*)!|"[^"]*"/g, ' ');
+        while ((m = noteRe.exec(body))) {
+            const pitch = this._readPitch(m[1], m[2], m[3], voice);
+            pitch.tieStart = m[5] === '-' || tie === '-';
+            if (firstLength == null) firstLength = parseLength(m[4]);
+            pitches.push(pitch);
+        }
+        if (pitches.length === 0) return;
+        this._pushEvent(voice, tune, { pitches, beats: (firstLength ?? 1) * parseLength(lengthText) * tune.unit * 4 });
+    }
+
+    /**
+     * 附點節奏 > / <：調整前一個事件，並記下下一個事件的倍數
+     * @returns {number} 消耗的字元數
+     * @private
+     */
+    _readBrokenRhythm(text, voice) {
+        const m = text.match(/^\s*(>+|<+)/);
+        if (!m) return 0;
+        const last = voice.items[voice.items.length - 1];
+        const short = 1 / 2 ** m[1].length;
+        const long = 2 - short;
+        if (last?.type === 'event') last.beats *= m[1][0] === '>' ? long : short;
+        voice.broken = m[1][0] === '>' ? short : long;
+        return m[0].length;
+    }
+
+    /**
+     * 加入音符 / 和弦 / 休止符事件：套用附點節奏、連音、延音線結尾與等待中的記號
+     * @private
+     */
+    _pushEvent(voice, tune, event) {
+        const item = {
+            type: 'event',
+            rest: false,
+            invisible: false,
+            tuplet: null,
+            key: voice.key,
+            scaleType: voice.scaleType,
+            fields: {},
+            ...event
+        };
+        if (voice.broken) {
+            item.beats *= voice.broken;
+            voice.broken = 0;
+        }
+        if (voice.tuplet) {
+            item.tuplet = { num: voice.tuplet.num, den: voice.tuplet.den };
+            if (--voice.tuplet.left <= 0) voice.tuplet = null;
+        }
+
+        item.pitches.forEach(p => {
+            if (voice.ties.has(p.midi)) p.tieEnd = true;
+        });
+        voice.ties = new Set(item.pitches.filter(p => p.tieStart).map(p => p.midi));
+
+        // 和弦記號 / 力度 / 奏法 / 段中速度套用在之後的第一個音，延長記號也可標在休止符上
+        const { decorations } = voice;
+        if (decorations.fermata) item.fields.fermata = true;
+        if (!item.rest) {
+            if (voice.chordSymbol) item.fields.chordSymbol = voice.chordSymbol;
+            if (voice.beatTempo) item.fields.beatTempo = voice.beatTempo;
+            if (decorations.dynamic) item.fields.dynamic = decorations.dynamic;
+            if (decorations.hairpin) item.fields.hairpin = decorations.hairpin;
+            if (decorations.tempoRamp) item.fields.tempoRamp = decorations.tempoRamp;
+            if (decorations.articulations.length) item.fields.articulations = [...new Set(decorations.articulations)];
+            voice.chordSymbol = null;
+            voice.beatTempo = null;
+            voice.decorations = { articulations: [] };
+        } else {
+            delete decorations.fermata;
+        }
+
+        voice.items.push(item);
+        voice.hasContent = true;
+    }
+
+    /**
+     * 加入小節線：結尾類記號（:|、D.C.）在前，開頭類記號（|:、Segno、反覆跳房）在後，
+     * 讓 splitMeasures 把後者歸到下一小節；變更寫在最後一個分隔符上
+     * @private
+     */
+    _pushBar(voice, marks, volta = null) {
+        const start = voice.items.length;
+        const ordered = [
+            ...marks.filter(marker => !OPENING_BARLINES.includes(marker)),
+            ...voice.closing,
+            ...marks.filter(marker => OPENING_BARLINES.includes(marker)),
+            ...voice.opening
+        ];
+        ordered.forEach(marker => voice.items.push({ type: 'bar', marker }));
+        if (volta?.length) voice.items.push({ type: 'bar', marker: '|', volta });
+        if (voice.items.length > start) Object.assign(voice.items[voice.items.length - 1], voice.pendingChanges);
+
+        voice.closing = [];
+        voice.opening = [];
+        voice.pendingChanges = {};
+        voice.barAlters = new Map();
+        voice.hasContent = false;
+    }
+
+    /**
+     * "…"：和弦記號，或 ^ _ < > @ 開頭的註解（P.M.、let ring、rit.、accel. 對應到音符欄位）
+     * @private
+     */
+    _readQuoted(text, voice) {
+        if (/^[\^_<>@]/.test(text)) {
+            const annotation = text.slice(1).trim();
+            if (ANNOTATION_ARTICULATIONS[annotation]) voice.decorations.articulations.push(ANNOTATION_ARTICULATIONS[annotation]);
+            if (ANNOTATION_TEMPO_RAMPS[annotation]) voice.decorations.tempoRamp = ANNOTATION_TEMPO_RAMPS[annotation];
+            return;
+        }
+        // 多個替代和弦以 ; 或換行分隔，只取第一個
+        const symbol = text.split(/[;\n]/)[0].trim();
+        if (/^[A-G]/.test(symbol)) voice.chordSymbol = symbol;
+    }
+
+    /**
+     * 套用裝飾記號：方向記號、力度、奏法、漸強漸弱、延長記號
+     * @private
+     */
+    _applyDecoration(name, voice) {
+        const marker = DECORATION_MARKERS[name];
+        if (marker) {
+            // Segno / Coda 屬於小節開頭，D.C. / Fine 等寫在小節結尾
+            if (!OPENING_BARLINES.includes(marker)) voice.closing.push(marker);
+            else if (voice.hasContent) voice.opening.push(marker);
+            else voice.items.push({ type: 'bar', marker });
+            return;
+        }
+        if (name in DYNAMIC_VELOCITY) voice.decorations.dynamic = name;
+        else if (DECORATION_ARTICULATIONS[name]) voice.decorations.articulations.push(DECORATION_ARTICULATIONS[name]);
+        else if (DECORATION_HAIRPINS[name]) voice.decorations.hairpin = DECORATION_HAIRPINS[name];
+        else if (name === 'fermata' || name === 'invertedfermata') voice.decorations.fermata = true;
+    }
+
+    /**
+     * 各聲部事件 → 扁平 Note 陣列，再依小節合併聲部
+     * @private
+     */
+    _buildNotes(tune, options = {}) {
+        const { chordMode = 'all', voices = 'primary' } = options;
+        const ids = [
+            ...tune.voiceOrder.filter(id => tune.voices.get(id)?.items.length),
+            ...[...tune.voices.keys()].filter(id => !tune.voiceOrder.includes(id) && tune.voices.get(id).items.length)
+        ];
+        const selected = voices === 'all' ? ids : ids.slice(0, 1);
+        const placeholders = new Set();
+        const voiceNotes = selected.map((id, v) => this._voiceToNotes(tune.voices.get(id), { chordMode, primary: v === 0, placeholders }));
+
+        let notes = voiceNotes[0] || [];
+        if (voiceNotes.length > 1) {
+            const [primary, ...others] = voiceNotes.map(ns => splitMeasures(ns));
+            notes = primary.flatMap((measure, m) => [
+                ...measure.startBarlines,
+                ...measure.notes,
+                ...others.flatMap((measures, k) => (measures[m]?.notes || [])
+                    .filter(n => !placeholders.has(n))
+                    .map(n => {
+                        n.voice = k + 2;
+                        return n;
+                    })),
+                ...measure.endBarlines
+            ]);
+        }
+
+        // 重新編號：和弦成員與主音共用索引
+        let index = -1;
+        notes.forEach(n => {
+            if (!isChordMember(n)) index++;
+            n.index = index;
+        });
+        return notes;
+    }
+
+    /**
+     * 單一聲部的事件 → 扁平 Note 陣列（含歌詞）
+     * 無法以單一音符表示的長度（如 5/8）拆成以延音線相連的音；
+     * 非主聲部的隱形休止符只用來對齊小節，合併時移除
+     * @private
+     */
+    _voiceToNotes(voice, context) {
+        const { chordMode, primary, placeholders } = context;
+        const notes = [];
+        const ranges = [];
+
+        const pushRests = (beats, item = {}) => {
+            splitBeats(beats).forEach((fill, k) => {
+                const rest = Note.createRest({ duration: fill.duration });
+                rest.dotted = fill.dotted;
+                if (k === 0 && item.fields?.fermata) rest.fermata = true;
+                if (item.invisible && !primary) placeholders.add(rest);
+                notes.push(rest);
+            });
+        };
+
+        let prevMidi = null;
+        voice.items.forEach((item, i) => {
+            const first = notes.length;
+            if (item.type === 'bar') {
+                notes.push(createMarker(item));
+            } else if (item.type === 'measureRest') {
+                for (let bar = 0; bar < item.bars; bar++) {
+                    if (bar > 0) notes.push(createMarker({ marker: '|' }));
+                    pushRests(getMeasureBeats(item.meter), item);
+                }
+            } else if (item.rest) {
+                const rhythm = durationFromBeats(item.beats);
+                if (item.tuplet || rhythm) {
+                    const rest = Note.createRest({ duration: rhythm?.duration ?? quantizeDuration(item.beats, NOTE_TYPES) });
+                    rest.dotted = rhythm?.dotted ?? 0;
+                    rest.tuplet = item.tuplet;
+                    if (item.fields.fermata) rest.fermata = true;
+                    if (item.invisible && !primary) placeholders.add(rest);
+                    notes.push(rest);
+                } else {
+                    pushRests(item.beats, item);
+                }
+            } else {
+                const pitches = item.pitches.length > 1 && (chordMode === 'highest' || chordMode === 'lowest')
+                    ? [item.pitches.reduce((a, b) => (chordMode === 'highest' ? a.midi >= b.midi : a.midi <= b.midi) ? a : b)]
+                    : item.pitches;
+                const rhythm = durationFromBeats(item.beats);
+                const pieces = rhythm
+                    ? [rhythm]
+                    : item.tuplet
+                        ? [{ duration: quantizeDuration(item.beats, NOTE_TYPES), dotted: 0 }]
+                        : splitBeats(item.beats);
+
+                pieces.forEach((piece, k) => {
+                    pitches.forEach((pitch, position) => {
+                        // 臨時記號決定拼寫方向；沒有時依旋律方向
+                        const direction = pitch.alter !== 0 ? Math.sign(pitch.alter) : (prevMidi != null ? Math.sign(pitch.midi - prevMidi) : 0);
+                        const note = Note.fromMidi(pitch.midi, {
+                            duration: piece.duration,
+                            key: item.key,
+                            scaleType: item.scaleType,
+                            direction
+                        });
+                        note.dotted = piece.dotted;
+                        note.tuplet = item.tuplet;
+                        note.tieEnd = k === 0 ? pitch.tieEnd : true;
+                        note.tieStart = k === pieces.length - 1 ? pitch.tieStart : true;
+                        if (pitches.length > 1) {
+                            note.isChord = true;
+                            note.chordPosition = position;
+                        }
+                        if (k === 0 && position === 0) Object.assign(note, item.fields);
+                        notes.push(note);
+                    });
+                });
+                prevMidi = pitches[0].midi;
+            }
+            ranges[i] = { first, last: notes.length - 1 };
+        });
+
+        return voice.lyricLines.reduce((result, lyric) => {
+            const startIndex = ranges[lyric.start]?.first ?? 0;
+            const endIndex = ranges[lyric.end]?.last ?? result.length - 1;
+            return applyLyricLine(result, lyric.text, { verse: lyric.verse, startIndex, endIndex });
+        }, notes);
+    }
+
+    /**
+     * 依拍號插入小節線（來源沒有任何小節線時）
+     * @private
+     */
+    _insertBarlines(events, meter) {
+        const measureBeats = getMeasureBeats(meter);
+        const result = [];
+        let beats = 0;
+        events.forEach(n => {
+            if (beats >= measureBeats - 1e-6 && isTimed(n)) {
+                result.push(Note.createSeparator());
+                beats = 0;
+            }
+            result.push(n);
+            if (isTimed(n)) beats += getDurationBeats(n.duration || 'quarter', n.dotted || 0, n.tuplet);
+        });
+        return result;
+    }
+
+    /**
+     * 輸出一個聲部的音樂行（每 barsPerLine 小節換行，歌詞 w: 接在每行之後）
+     * @private
+     */
+    _writeVoice(source, measures, spelled, context) {
+        const { id, key, scaleType, meter, tempo, barsPerLine } = context;
+        const belongs = (n) => isSeparator(n) || (n.voice ?? 1) === id;
+        const indexOf = new Map(source.map((n, i) => [n, i]));
+        const accidentals = createAccidentalTracker(key, scaleType);
+
+        // 歌詞對齊：其他聲部不算；延長符匯出為延音線相連的音，匯入時會佔一個音節位置
+        const lyricNotes = source.map(n => {
+            if (!belongs(n)) return null;
+            return isExtension(n) ? { _type: 'note' } : n;
+        });
+        const verseCount = getVerseCount(source.filter(n => !isSeparator(n) && belongs(n)));
+
+        // 聲部內下一個計時事件（決定是否接延長符）
+        const timed = source.filter(n => isTimed(n) && belongs(n));
+        const nextTimed = new Map(timed.map((n, i) => [n, timed[i + 1] ?? null]));
+
+        const state = { meter, tempo, last: null, tupletLeft: 0 };
+        const lines = [];
+        let tokens = [];
+        let lineRange = null;
+
+        const flush = () => {
+            if (tokens.length === 0) return;
+            lines.push(tokens.join(' '));
+            if (lineRange) {
+                const verses = [];
+                for (let verse = 1; verse <= verseCount; verse++) {
+                    verses.push(formatLyricLine(lyricNotes, { verse, startIndex: lineRange.start, endIndex: lineRange.end }));
+                }
+                while (verses.length && !verses[verses.length - 1]) verses.pop();
+                verses.forEach(text => lines.push(`w:${text}`));
+            }
+            tokens = [];
+            lineRange = null;
+        };
+
+        measures.forEach((measure, m) => {
+            const isLast = m === measures.length - 1;
+            accidentals.resetBar();
+
+            // 開頭：小節線、反覆、Segno / Coda、跳房、調號 / 拍號 / 速度
+            const startMarks = measure.startBarlines.map(b => b.displayStr || '|');
+            if (startMarks.includes('|:')) tokens.push('|:');
+            else if (m === 0 && startMarks.some(mk => mk === '|' || mk === '||')) tokens.push(startMarks.includes('||') ? '||' : '|');
+            startMarks.filter(mk => OPENING_BARLINES.includes(mk) && MARKER_DECORATIONS[mk]).forEach(mk => tokens.push(MARKER_DECORATIONS[mk]));
+            measure.startBarlines.filter(b => b.volta?.length).forEach(b => tokens.push(`[${b.volta.join(',')}`));
+            if (measure.keySignature) {
+                const split = splitKeySignature(measure.keySignature, scaleType);
+                accidentals.setKey(split.key, split.scaleType);
+                tokens.push(`[K:${formatKey(split.key, split.scaleType)}]`);
+            }
+            if (measure.timeSignature) {
+                state.meter = measure.timeSignature;
+                tokens.push(`[M:${measure.timeSignature}]`);
+            }
+            if (measure.tempo) {
+                state.tempo = measure.tempo;
+                tokens.push(`[Q:1/4=${measure.tempo}]`);
+            }
+
+            // 內容：此聲部沒有音時以隱形休止符佔位
+            const events = measure.notes.filter(belongs);
+            if (events.some(isTimed)) {
+                tokens.push(...this._writeEvents(events, { spelled, indexOf, accidentals, nextTimed, state }));
+            } else {
+                const beats = Math.max(0, ...[...new Set(measure.notes.map(n => n.voice ?? 1))].map(v => measure.notes
+                    .filter(n => isTimed(n) && (n.voice ?? 1) === v)
+                    .reduce((sum, n) => sum + getDurationBeats(n.duration || 'quarter', n.dotted || 0, n.tuplet), 0)));
+                tokens.push(`x${formatLength(beats || getMeasureBeats(state.meter))}`);
+            }
+            if (measure.startIdx >= 0) {
+                lineRange = lineRange ? { ...lineRange, end: measure.endIdx } : { start: measure.startIdx, end: measure.endIdx };
+            }
+
+            // 結尾：方向記號寫在小節線前
+            const endMarks = measure.endBarlines.map(b => b.displayStr || '|');
+            endMarks.filter(mk => !OPENING_BARLINES.includes(mk) && MARKER_DECORATIONS[mk]).forEach(mk => tokens.push(MARKER_DECORATIONS[mk]));
+            if (endMarks.includes(':|')) tokens.push(':|');
+            else if (endMarks.includes('||')) tokens.push(isLast ? '|]' : '||');
+            else if (endMarks.includes('|')) tokens.push('|');
+            else if (!isLast && !measures[m + 1].startBarlines.some(b => b.displayStr === '|:')) tokens.push('|');
+
+            if ((m + 1) % barsPerLine === 0) flush();
+        });
+        flush();
+        return lines;
+    }
+
+    /**
+     * 輸出一個小節內（單一聲部）的事件
+     * @private
+     */
+    _writeEvents(events, context) {
+        const { spelled, indexOf, accidentals, nextTimed, state } = context;
+        const tokens = [];
+
+        const pitchToken = (note) => {
+            const spelling = spelled[indexOf.get(note)] ?? note._spelled ?? null;
+            return this._noteToABC(note, spelling, spelling ? accidentals.next(spelling) : null);
+        };
+
+        events.forEach((n, i) => {
+            if (!isTimed(n)) return;
+            let prefix = '';
+
+            // 連音：每組第一個音前寫 (p[:q[:r]]
+            if (n.tuplet?.num && n.tuplet?.den && !isExtension(n)) {
+                if (state.tupletLeft <= 0) {
+                    let left = nominalBeats(n) * n.tuplet.num;
+                    let count = 0;
+                    for (let j = i; j < events.length && left > 1e-6; j++) {
+                        if (!isTimed(events[j])) continue;
+                        if (!sameTuplet(events[j].tuplet, n.tuplet)) break;
+                        left -= nominalBeats(events[j]);
+                        count++;
+                    }
+                    const { num, den } = n.tuplet;
+                    const explicitDen = den !== defaultTupletDen(num, state.meter) || count !== num;
+                    prefix += `(${num}${explicitDen ? `:${den}` : ''}${count !== num ? `:${count}` : ''}`;
+                    state.tupletLeft = count;
+                }
+                state.tupletLeft--;
+            } else {
+                state.tupletLeft = 0;
+            }
+
+            if (n.beatTempo && n.beatTempo !== state.tempo) {
+                prefix += `[Q:1/4=${n.beatTempo}]`;
+                state.tempo = n.beatTempo;
+            }
+            if (n.chordSymbol) prefix += `"${n.chordSymbol}"`;
+            if (n.tempoRamp) prefix += `"^${n.tempoRamp === 'rit' ? 'rit.' : 'accel.'}"`;
+            (n.articulations || []).forEach(a => {
+                const label = Object.keys(ANNOTATION_ARTICULATIONS).find(k => ANNOTATION_ARTICULATIONS[k] === a);
+                if (label) prefix += `"^${label}"`;
+            });
+            if (n.dynamic) prefix += `!${n.dynamic}!`;
+            if (n.hairpin && HAIRPIN_DECORATIONS[n.hairpin]) prefix += HAIRPIN_DECORATIONS[n.hairpin];
+            (n.articulations || []).forEach(a => {
+                if (ARTICULATION_DECORATIONS[a]) prefix += ARTICULATION_DECORATIONS[a];
+            });
+            if (n.fermata) prefix += '!fermata!';
+
+            const length = formatLength(nominalBeats(n));
+            const tiedToExtension = isExtension(nextTimed.get(n) ?? {});
+
+            if (isExtension(n)) {
+                // 延長符：重複前一個音（或休止符）並以延音線相連
+                const last = state.last;
+                if (!last || last.rest) {
+                    tokens.push(`${prefix}z${length}`);
+                } else {
+                    const body = last.members.map(member => pitchToken(member)).join('');
+                    const chord = last.members.length > 1 ? `[${body}]` : body;
+                    tokens.push(`${prefix}${chord}${length}${tiedToExtension ? '-' : ''}`);
+                }
+                return;
+            }
+
+            if (isRest(n)) {
+                tokens.push(`${prefix}z${length}`);
+                state.last = { rest: true };
+                return;
+            }
+
+            const members = [n];
+            for (let j = i + 1; j < events.length && isChordMember(events[j]); j++) members.push(events[j]);
+            // 延長符需要沿用拼寫，記下成員的拼寫結果
+            members.forEach(member => {
+                member._spelled = spelled[indexOf.get(member)] ?? null;
+            });
+            state.last = { rest: false, members };
+
+            if (members.length === 1) {
+                tokens.push(`${prefix}${pitchToken(n)}${length}${n.tieStart || tiedToExtension ? '-' : ''}`);
+                return;
+            }
+            const allTied = tiedToExtension || members.every(member => member.tieStart);
+            const body = members.map(member => pitchToken(member) + (!allTied && member.tieStart ? '-' : '')).join('');
+            tokens.push(`${prefix}[${body}]${length}${allTied ? '-' : ''}`);
+        });
+
+        return tokens;
+    }
+
+    /**
+     * 音符 → ABC 音高
+     * @param {Note} note
+     * @param {Object|null} spelled - spellMidi 結果（有 MIDI 時）
+     * @param {string|null} accidental - 需寫出的記號（'#', 'b', '##', 'bb', 'n'）
+     * @private
+     */
+    _noteToABC(note, spelled = null, accidental = null) {
+        const letter = spelled ? spelled.letter : (note.noteName || 'C').replace(/[#b]/, '');
+        const octave = spelled ? spelled.octave : (note.octave || 4);
+
+        let abc = '';
+        if (spelled) {
+            abc += ACCIDENTAL_TOKENS[accidental] || '';
+        } else {
+            if (note.accidentalStr === '#') abc += '^';
+            if (note.accidentalStr === 'b') abc += '_';
+        }
+
+        abc += octave <= 4 ? letter.toUpperCase() : letter.toLowerCase();
+        if (octave <= 3) abc += ','.repeat(4 - octave);
+        else if (octave >= 6) abc += "'".repeat(octave - 5);
+        return abc;
+    }
+}
+
+export default ABCParser;
@@ -0,0 +1,825 @@
+/**
+ * AlphaTexParser - alphaTex 文字譜解析器
+ * alphaTab 的純文字格式：保留弦 / 格位置與節奏，方便在聊天或 code review 中分享樂句
+ *
+ *   \title "Riff" \tempo 100 \tuning E4 B3 G3 D3 A2 E2 .
+ *   :8 0.6 3.6 (0.1 2.2).4 5.3{h} 7.3 r | \ts 3 4 \ro 3.2{b (0 4)} 3.2{sl} 5.2 \rc 3 |
+ *
+ * 支援：曲目資訊與 \tempo / \capo / \tuning / \instrument 標頭、格.弦 音符、:N / .N 時值、
+ * 附點與連音、和弦 (a.b c.d)、休止符 r、延音 -.弦、悶音 x.弦、
+ * 音符效果 {h b sl v x nh pm lr ac hac st}、拍效果 {d dd tu dy tempo ch}、
+ * 小節的 \ts / \ks / \tempo / \ro / \rc / \ae / \section / \jump
+ * stringify 輸出的 alphaTex 可再由 parse 讀回
+ */
+
+import { ParserInterface } from '../core/interfaces/ParserInterface.js';
+import { Note } from '../core/models/Note.js';
+import { splitMeasures, OPENING_BARLINES } from '../core/models/Measure.js';
+import { getInstrumentForProgram, getMidiProgram } from '../core/midi/midiWriter.js';
+import { detectKeyFromNotes, getKeySignature, parsePitchName, spellMidi } from '../core/theory/spelling.js';
+import { DYNAMIC_VELOCITY } from '../core/expression/dynamics.js';
+import { TUNINGS } from './TabParser.js';
+
+// alphaTex 時值數字 ↔ 時值名稱
+const DURATION_NAMES = { 1: 'whole', 2: 'half', 4: 'quarter', 8: 'eighth', 16: '16th', 32: '32nd', 64: '64th' };
+const DURATION_VALUES = Object.fromEntries(Object.entries(DURATION_NAMES).map(([v, name]) => [name, Number(v)]));
+
+// 連音 {tu N}：N 個音佔幾個正常音的時間
+const TUPLET_DEN = { 2: 3, 3: 2, 4: 6, 5: 4, 6: 4, 7: 4, 9: 8, 10: 8, 11: 8, 12: 8, 13: 8 };
+
+// 音符效果 → 技巧（h 在下一個音較低時改為 pull-off；b 的曲線最後回落時為 release）
+const EFFECT_TECHNIQUES = {
+    h: 'hammer-on', b: 'bend',
+    sl: 'slide', ss: 'slide', sib: 'slide-up', sia: 'slide-down', sou: 'slide-up', sod: 'slide-down',
+    v: 'vibrato', vw: 'vibrato', x: 'mute', t: 'tap', tt: 'tap',
+    nh: 'harmonic', ah: 'harmonic', ph: 'harmonic', th: 'harmonic', sh: 'harmonic'
+};
+
+// 技巧 → 匯出的音符效果
+const TECHNIQUE_EFFECTS = {
+    'hammer-on': 'h', 'pull-off': 'h', 'bend': 'b (0 4)', 'release': 'b (0 4 0)',
+    'slide': 'sl', 'slide-up': 'sl', 'slide-down': 'sl',
+    'vibrato': 'v', 'mute': 'x', 'harmonic': 'nh', 'tap': 't'
+};
+
+// 音符效果 ↔ 奏法
+const EFFECT_ARTICULATIONS = { pm: 'palm-mute', lr: 'let-ring', ac: 'accent', hac: 'marcato', st: 'staccato' };
+const ARTICULATION_EFFECTS = Object.fromEntries(Object.entries(EFFECT_ARTICULATIONS).map(([e, a]) => [a, e]));
+
+// 拍效果（寫在音符的 {} 中時也套用到整拍）
+const BEAT_EFFECTS = ['d', 'dd', 'tu', 'dy', 'tempo', 'ch', 'txt'];
+
+// 參數為文字的效果（{dy ff}、{ch "Am"}）
+const WORD_ARG_EFFECTS = ['dy', 'ch', 'txt'];
+
+// \jump 名稱 → 分隔符記號（Double Coda / Segno Segno 沒有對應，略過）
+const JUMP_MARKERS = {
+    Segno: 'Segno',
+    Coda: 'Coda',
+    Fine: 'Fine',
+    DaCapo: 'D.C.',
+    DaCapoAlCoda: 'D.C.',
+    DaCapoAlFine: 'D.C. al Fine',
+    DaSegno: 'D.S.',
+    DaSegnoAlCoda: 'D.S. al Coda',
+    DaSegnoAlFine: 'D.S.',
+    DaCoda: 'To Coda'
+};
+const MARKER_JUMPS = {
+    'Segno': 'Segno', 'Coda': 'Coda', 'Fine': 'Fine', 'To Coda': 'DaCoda',
+    'D.C.': 'DaCapo', 'D.C. al Fine': 'DaCapoAlFine', 'D.S.': 'DaSegno', 'D.S. al Coda': 'DaSegnoAlCoda'
+};
+
+// 標頭的文字欄位 → 解析器屬性
+const TEXT_HEADERS = {
+    title: '_title', subtitle: '_subtitle', artist: '_artist', album: '_album',
+    words: '_lyricist', music: '_composer', copyright: '_copyright', tab: '_tabber'
+};
+
+const TOKEN_PATTERN = /"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|\\([A-Za-z]+)|([{}()|])|([^\s{}()|"'\\]+)/g;
+const NOTE_PATTERN = /^(\d+|x|-)\.(\d+)(?:\.(\d+))?$/i;
+const REST_PATTERN = /^r(?:\.(\d+))?$/i;
+const PITCH_PATTERN = /^([A-Ga-g][#b]?)(-?\d)$/;
+const KEY_PATTERN = /^([A-Ga-g][#b]?)(m|min|minor|maj|major)?$/i;
+
+const isSymbol = (n) => n.isSymbol || n._type === 'symbol';
+const isRest = (n) => n.isRest || n._type === 'rest';
+const isExtension = (n) => n.isExtension || n._type === 'extension';
+const isChordMember = (n) => n.isChord && n.chordPosition > 0;
+const quote = (text) => `"${String(text).replace(/(["\\])/g, '\\$1')}"`;
+
+/**
+ * 切成 token：字串、\指令、括號 / 小節線、其餘文字
+ * @param {string} text - 已移除註解的文字
+ * @returns {Array<{type: string, value: string}>}
+ */
+function tokenize(text) {
+    const tokens = [];
+    for (const m of text.matchAll(TOKEN_PATTERN)) {
+        if (m[1] != null || m[2] != null) tokens.push({ type: 'string', value: (m[1] ?? m[2]).replace(/\\(.)/g, '$1') });
+        else if (m[3]) tokens.push({ type: 'meta', value: m[3].toLowerCase() });
+        else if (m[4]) tokens.push({ type: m[4], value: m[4] });
+        else tokens.push({ type: 'word', value: m[5] });
+    }
+    return tokens;
+}
+
+/**
+ * 音名（E4、Bb3）→ MIDI
+ * @param {string} text
+ * @returns {number|null}
+ */
+function pitchToMidi(text) {
+    const match = PITCH_PATTERN.exec(text);
+    const pitch = match && parsePitchName(match[1][0].toUpperCase() + match[1].slice(1));
+    return pitch ? (Number(match[2]) + 1) * 12 + pitch.pc : null;
+}
+
+/**
+ * MIDI → 音名（E4、C#3）
+ * @param {number} midi
+ * @returns {string}
+ */
+function midiToPitch(midi) {
+    const { name, octave } = spellMidi(midi, { key: 'C' });
+    return `${name}${octave}`;
+}
+
+/**
+ * \ks 值（G、Am、Ebmajor、F#minor）→ 調號名稱與音階
+ * @param {string} text
+ * @returns {{ keySignature: string, key: string, scaleType: string }|null}
+ */
+function parseKey(text) {
+    const match = KEY_PATTERN.exec(text || '');
+    if (!match) return null;
+    const key = match[1][0].toUpperCase() + match[1].slice(1);
+    const minor = /^m(in(or)?)?$/i.test(match[2] || '');
+    return { keySignature: minor ? `${key}m` : key, key, scaleType: minor ? 'Minor' : 'Major' };
+}
+
+/**
+ * 時值數字 → 時值名稱（不支援的數字為 null）
+ * @param {string|number} value
+ * @returns {string|null}
+ */
+function durationName(value) {
+    return DURATION_NAMES[Number(value)] ?? null;
+}
+
+/**
+ * 分隔符（小節線、方向記號或反覆跳房）
+ */
+function createMarker(marker, index) {
+    const separator = Note.createSeparator({ index });
+    separator.jianpu = marker;
+    separator.displayStr = marker;
+    return separator;
+}
+
+/**
+ * 依調弦找出音高的位置，略過已使用的弦；格數最低者優先
+ * @param {number} midi
+ * @param {Array<number>} tuning - 由高到低的 MIDI 值
+ * @param {number} capo
+ * @param {Set<number>} used - 已使用的弦索引
+ * @returns {{ string: number, fret: number }|null}
+ */
+function findPosition(midi, tuning, capo, used) {
+    let best = null;
+    tuning.forEach((open, string) => {
+        const fret = midi - open - capo;
+        if (used.has(string) || fret < 0 || fret > 24) return;
+        if (!best || fret < best.fret) best = { string, fret };
+    });
+    return best;
+}
+
+/**
+ * alphaTex 解析器類別
+ * @extends ParserInterface
+ */
+export class AlphaTexParser extends ParserInterface {
+    constructor() {
+        super();
+        this._reset();
+    }
+
+    get name() {
+        return 'AlphaTexParser';
+    }
+
+    get description() {
+        return 'alphaTex 文字譜解析器（弦 / 格位置、節奏、和弦與技巧）';
+    }
+
+    get formatId() {
+        return 'alphatex';
+    }
+
+    get extensions() {
+        return ['.atex', '.alphatex'];
+    }
+
+    /**
+     * 依內容判斷：有 \title / \tuning 等指令最可靠，只有 格.弦 音符時次之
+     * @param {string} text
+     * @returns {number}
+     */
+    sniff(text) {
+        if (/\\(title|tuning|tempo|ts|ks|capo|instrument|ro|rc)\b/.test(this.clean(text))) return 0.8;
+        return this.validate(text) ? 0.4 : 0;
+    }
+
+    get title() { return this._title; }
+    get subtitle() { return this._subtitle; }
+    get artist() { return this._artist; }
+    get album() { return this._album; }
+    get composer() { return this._composer; }
+    get lyricist() { return this._lyricist; }
+    get tempo() { return this._tempo; }
+    get timeSignature() { return this._timeSignature; }
+    get key() { return this._key; }
+    get scaleType() { return this._scaleType; }
+    get tuning() { return this._tuning; }
+    get capo() { return this._capo; }
+    get instrument() { return this._instrument; }
+
+    /**
+     * 解析 alphaTex 文字
+     * @param {string} text
+     * @param {Object} options
+     * @param {string} options.chordMode - 'all' 保留和弦（預設）| 'highest' / 'lowest' 只取一個音
+     * @returns {Array<Note>}
+     */
+    parse(text, options = {}) {
+        this._reset();
+        const bars = this._readBars(tokenize(this.clean(text)));
+        return this._buildNotes(bars, options);
+    }
+
+    /**
+     * 將音符轉換為 alphaTex
+     * 已有弦 / 格位置的音符沿用原位置，其餘依調弦取格數最低的位置
+     * @param {Array<Note>} notes
+     * @param {Object} options
+     * @param {string} options.title
+     * @param {string} options.artist - 未指定時使用 composer
+     * @param {number} options.tempo
+     * @param {string} options.key
+     * @param {string} options.scaleType
+     * @param {string} options.timeSignature
+     * @param {Array<number>} options.tuning - 由高到低的 MIDI 值（預設標準調弦）
+     * @param {number} options.capo
+     * @param {string} options.instrument - 樂器音色 ID
+     * @param {number} options.barsPerLine - 每行小節數
+     * @returns {string}
+     */
+    stringify(notes, options = {}) {
+        const {
+            title = '',
+            artist = options.composer || '',
+            tempo = 120,
+            key = 'C',
+            scaleType = 'Major',
+            timeSignature = '4/4',
+            tuning = TUNINGS.standard,
+            capo = 0,
+            instrument = null,
+            barsPerLine = 4
+        } = options;
+
+        const header = [
+            title ? `\\title ${quote(title)}` : null,
+            artist ? `\\artist ${quote(artist)}` : null,
+            `\\tempo ${tempo}`,
+            instrument ? `\\instrument ${getMidiProgram(instrument)}` : null,
+            capo > 0 ? `\\capo ${capo}` : null,
+            `\\tuning ${tuning.map(midiToPitch).join(' ')}`,
+            '.'
+        ].filter(Boolean);
+
+        const signature = getKeySignature(key, scaleType);
+        const context = { tuning, capo, duration: null, dynamic: null, lastBeat: null };
+        const bars = splitMeasures((notes || []).filter(n => !isSymbol(n))).map((m, i) => {
+            const first = i === 0;
+            const meta = [];
+            if (m.startBarlines.some(b => b.displayStr === '|:')) meta.push('\\ro');
+            const volta = m.startBarlines.find(b => b.volta?.length)?.volta;
+            if (volta) meta.push(volta.length > 1 ? `\\ae (${volta.join(' ')})` : `\\ae ${volta[0]}`);
+            if (m.section) meta.push(`\\section ${quote(m.section)}`);
+
+            const ts = m.timeSignature ?? (first && timeSignature !== '4/4' ? timeSignature : null);
+            if (ts) meta.push(`\\ts ${ts.split('/').join(' ')}`);
+            const ks = m.keySignature ?? (first && signature.fifths !== 0 ? signature.name : null);
+            if (ks) {
+                const parsed = parseKey(ks);
+                if (parsed) meta.push(`\\ks ${parsed.scaleType === 'Minor' ? `${parsed.key}minor` : parsed.key}`);
+            }
+            if (m.tempo != null && !(first && m.tempo === tempo)) meta.push(`\\tempo ${m.tempo}`);
+
+            [...m.startBarlines, ...m.endBarlines].forEach(b => {
+                if (MARKER_JUMPS[b.displayStr]) meta.push(`\\jump ${MARKER_JUMPS[b.displayStr]}`);
+            });
+            const repeatEnd = m.endBarlines.find(b => b.displayStr === ':|');
+            if (repeatEnd) meta.push(`\\rc ${repeatEnd.repeatTimes ?? 2}`);
+
+            const beats = this._writeBeats(m.notes, context);
+            return [...meta, ...beats].join(' ');
+        });
+
+        const lines = [];
+        for (let i = 0; i < bars.length; i += barsPerLine) {
+            lines.push(bars.slice(i, i + barsPerLine).join(' | ') + ' |');
+        }
+        return [...header, ...lines].join('\n');
+    }
+
+    /**
+     * 清理輸入文字（統一換行、移除 // 與 /* *\/ 註解）
+     * @param {string} text
+     * @returns {string}
+     */
+    clean(text) {
+        return String(text ?? '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/\/\*[\s\S]*?\*\//g, ' ')
+            .replace(/(^|[^:])\/\/.*$/gm, '$1')
+            .trim();
+    }
+
+    /**
+     * 驗證格式（有 alphaTex 指令，或至少兩個 格.弦 音符）
+     * @param {string} text
+     * @returns {boolean}
+     */
+    validate(text) {
+        const cleaned = this.clean(text);
+        if (/\\(title|tuning|tempo|ts|ks|capo|instrument|ro|rc)\b/.test(cleaned)) return true;
+        const beats = cleaned.match(/(^|[\s(|])(\d+|x|-)\.[1-9]\d?(\.\d+)?(?=[\s{)|]|$)/g) || [];
+        return beats.length >= 2;
+    }
+
+    // ==================== Private Methods ====================
+
+    /**
+     * @private
+     */
+    _reset() {
+        this._title = '';
+        this._subtitle = '';
+        this._artist = '';
+        this._album = '';
+        this._composer = '';
+        this._lyricist = '';
+        this._copyright = '';
+        this._tabber = '';
+        this._tempo = 120;
+        this._timeSignature = '4/4';
+        this._key = 'C';
+        this._scaleType = 'Major';
+        this._tuning = TUNINGS.standard;
+        this._capo = 0;
+        this._instrument = null;
+    }
+
+    /**
+     * 讀取標頭與小節：每小節 { meta, beats }，beat 的音符為 { string, fret, dead, tie, effects }
+     * @private
+     */
+    _readBars(tokens) {
+        const bars = [{ meta: { jumps: [] }, beats: [] }];
+        const reader = { tokens, pos: 0 };
+        const lastOnString = new Map();     // 各弦最後一個音（延音與 h 的方向）
+        let duration = 'quarter';
+
+        const peek = () => reader.tokens[reader.pos];
+        const next = () => reader.tokens[reader.pos++];
+        const bar = () => bars[bars.length - 1];
+        const readNumber = () => {
+            const token = peek();
+            if (token?.type !== 'word' || !/^-?\d+$/.test(token.value)) return null;
+            next();
+            return Number(token.value);
+        };
+        const readText = () => {
+            const token = peek();
+            if (token?.type !== 'string' && token?.type !== 'word') return null;
+            next();
+            return token.value;
+        };
+        // 括號內的數字清單（\ae (1 2)、b (0 4)）
+        const readList = () => {
+            if (peek()?.type !== '(') return [];
+            next();
+            const values = [];
+            while (peek() && peek().type !== ')') {
+                const value = Number(next().value);
+                if (!Number.isNaN(value)) values.push(value);
+            }
+            next();
+            return values;
+        };
+        // {...} 效果清單：每個效果為 { name, args }
+        const readEffects = () => {
+            const effects = [];
+            if (peek()?.type !== '{') return effects;
+            next();
+            while (peek() && peek().type !== '}') {
+                const token = next();
+                const current = effects[effects.length - 1];
+                if (token.type === '(') {
+                    reader.pos--;
+                    current?.args.push(readList());
+                } else if (token.type === 'string' || /^-?\d+$/.test(token.value)
+                    || (current && WORD_ARG_EFFECTS.includes(current.name) && current.args.length === 0)) {
+                    current?.args.push(token.type === 'string' ? token.value : (Number(token.value) || token.value));
+                } else {
+                    effects.push({ name: token.value.toLowerCase(), args: [] });
+                }
+            }
+            next();
+            return effects;
+        };
+        // 格.弦 音符（延音 -.弦 沿用該弦前一個音的格數）
+        const readNote = (match) => {
+            const string = Number(match[2]);
+            const prev = lastOnString.get(string);
+            const note = { string, fret: Number(match[1]) || 0, dead: /x/i.test(match[1]), tie: match[1] === '-', effects: [] };
+            if (note.tie) {
+                note.fret = prev?.fret ?? 0;
+                if (prev) prev.tieStart = true;
+            }
+            if (prev?.effects.some(e => e.name === 'h') && note.fret < prev.fret) prev.pullOff = true;
+            note.effects = readEffects();
+            lastOnString.set(string, note);
+            return note;
+        };
+
+        while (peek()) {
+            const token = next();
+
+            if (token.type === 'meta') {
+                this._readMeta(token.value, bar(), { readNumber, readText, readList, peek, next });
+                continue;
+            }
+            if (token.type === '|') {
+                bars.push({ meta: { jumps: [] }, beats: [] });
+                continue;
+            }
+            if (token.type === '{') {
+                // 孤立的效果群組：套用到前一拍
+                reader.pos--;
+                const effects = readEffects();
+                bar().beats[bar().beats.length - 1]?.effects.push(...effects);
+                continue;
+            }
+
+            const value = token.value;
+            const durationChange = token.type === 'word' && /^:(\d+)$/.exec(value);
+            if (durationChange) {
+                duration = durationName(durationChange[1]) ?? duration;
+                continue;
+            }
+
+            let beat = null;
+            let noteMatch;
+            if (token.type === '(') {
+                const notes = [];
+                while (peek() && peek().type !== ')') {
+                    const match = NOTE_PATTERN.exec(next().value);
+                    if (match) notes.push(readNote(match));
+                }
+                next();
+                beat = { notes, rest: false, duration: null };
+            } else if (token.type === 'word' && (noteMatch = NOTE_PATTERN.exec(value))) {
+                beat = { notes: [readNote(noteMatch)], rest: false, duration: durationName(noteMatch[3]) };
+            } else if (token.type === 'word' && REST_PATTERN.test(value)) {
+                beat = { notes: [], rest: true, duration: durationName(REST_PATTERN.exec(value)[1]) };
+            }
+            if (!beat) continue;    // 標頭結尾的 '.' 或無法辨識的文字
+
+            // 和弦 / 單音後的 .N 時值
+            const suffix = peek()?.type === 'word' && /^\.(\d+)$/.exec(peek().value);
+            if (suffix) {
+                next();
+                beat.duration = durationName(suffix[1]);
+            }
+            beat.duration = beat.duration ?? duration;
+            beat.effects = readEffects();
+            beat.notes.forEach(note => {
+                beat.effects.push(...note.effects.filter(e => BEAT_EFFECTS.includes(e.name)));
+                note.effects = note.effects.filter(e => !BEAT_EFFECTS.includes(e.name));
+            });
+            bar().beats.push(beat);
+        }
+
+        // 結尾多餘的小節線
+        while (bars.length > 1 && bar().beats.length === 0 && Object.keys(bar().meta).length === 1 && bar().meta.jumps.length === 0) {
+            bars.pop();
+        }
+        return bars;
+    }
+
+    /**
+     * 讀取 \指令：標頭寫入解析器屬性，小節指令寫入 bar.meta
+     * @private
+     */
+    _readMeta(name, bar, reader) {
+        const { readNumber, readText, readList, peek, next } = reader;
+        if (TEXT_HEADERS[name]) {
+            this[TEXT_HEADERS[name]] = readText() ?? '';
+            return;
+        }
+        switch (name) {
+            case 'tempo': {
+                const tempo = readNumber();
+                if (tempo > 0) bar.meta.tempo = tempo;
+                if (peek()?.type === 'string') next();  // 速度文字（\tempo 120 "Moderato"）
+                break;
+            }
+            case 'capo':
+                this._capo = Math.max(readNumber() ?? 0, 0);
+                break;
+            case 'instrument': {
+                const program = readNumber();
+                if (program != null) this._instrument = getInstrumentForProgram(program);
+                else readText();
+                break;
+            }
+            case 'tuning': {
+                const tuning = [];
+                let midi;
+                while (peek()?.type === 'word' && (midi = pitchToMidi(peek().value)) != null) {
+                    tuning.push(midi);
+                    next();
+                }
+                if (tuning.length > 0) this._tuning = tuning;
+                break;
+            }
+            case 'ts': {
+                const num = readNumber();
+                const den = readNumber();
+                if (num > 0 && den > 0) bar.meta.timeSignature = `${num}/${den}`;
+                break;
+            }
+            case 'ks': {
+                const key = parseKey(readText());
+                if (key) bar.meta.key = key;
+                break;
+            }
+            case 'ro':
+                bar.meta.repeatStart = true;
+                break;
+            case 'rc':
+                bar.meta.repeatTimes = Math.max(readNumber() ?? 2, 2);
+                break;
+            case 'ae': {
+                const endings = peek()?.type === '(' ? readList() : [readNumber()].filter(n => n != null);
+                if (endings.length > 0) bar.meta.volta = endings;
+                break;
+            }
+            case 'section': {
+                // \section "Verse" 或 \section A "Verse"（標記 + 名稱）
+                const first = readText();
+                const second = peek()?.type === 'string' ? next().value : null;
+                if (second || first) bar.meta.section = second || first;
+                break;
+            }
+            case 'jump': {
+                const marker = JUMP_MARKERS[readText()];
+                if (marker) bar.meta.jumps.push(marker);
+                break;
+            }
+            default:
+                // 不支援的指令：略過其後的文字參數
+                while (peek()?.type === 'string') next();
+        }
+    }
+
+    /**
+     * 小節 → Note 陣列（結構與 GuitarProParser 相同：小節線上記錄拍號 / 調號 / 速度變更）
+     * @private
+     */
+    _buildNotes(bars, options = {}) {
+        const { chordMode = 'all' } = options;
+        const tuning = this._tuning;
+        const capo = this._capo;
+        const midiOf = (n) => n.string <= tuning.length ? tuning[n.string - 1] + capo + n.fret : null;
+
+        // 樂譜資訊取自第一小節
+        const firstMeta = bars[0]?.meta || {};
+        if (firstMeta.timeSignature) this._timeSignature = firstMeta.timeSignature;
+        if (firstMeta.tempo) this._tempo = firstMeta.tempo;
+        if (firstMeta.key) {
+            this._key = firstMeta.key.key;
+            this._scaleType = firstMeta.key.scaleType;
+        } else {
+            const midis = bars.flatMap(b => b.beats.flatMap(beat => beat.notes.map(midiOf))).filter(m => m != null);
+            this._key = detectKeyFromNotes(midis) || 'C';
+        }
+
+        const notes = [];
+        let noteIndex = 0;
+        let spelling = { key: this._key, scaleType: this._scaleType };
+        let prevMeta = null;
+        let prevTimeSig = this._timeSignature;
+        let prevKeySig = firstMeta.key?.keySignature ?? null;
+        let prevMidi = null;
+        let prevDynamic = null;
+        let currentTempo = this._tempo;
+
+        // 前一小節的結尾：反覆結尾（:|）或小節線，之後接 D.S. / To Coda / Fine 等方向記號
+        const closeBar = () => {
+            const barline = createMarker(prevMeta.repeatTimes ? ':|' : '|', noteIndex++);
+            if (prevMeta.repeatTimes > 2) barline.repeatTimes = prevMeta.repeatTimes;
+            const closing = prevMeta.jumps.filter(m => !OPENING_BARLINES.includes(m));
+            return [barline, ...closing.map(m => createMarker(m, noteIndex++))];
+        };
+
+        bars.forEach((bar, barIndex) => {
+            const { meta } = bar;
+            if (bar.beats.length === 0 && barIndex > 0) return;
+
+            const run = prevMeta ? closeBar() : [];
+            if (prevMeta) {
+                const barline = run[0];
+                if (meta.timeSignature && meta.timeSignature !== prevTimeSig) {
+                    barline.timeSignature = meta.timeSignature;
+                    prevTimeSig = meta.timeSignature;
+                }
+                if (meta.key && meta.key.keySignature !== prevKeySig) {
+                    barline.keySignature = meta.key.keySignature;
+                    prevKeySig = meta.key.keySignature;
+                    spelling = { key: meta.key.key, scaleType: meta.key.scaleType };
+                }
+                if (meta.tempo && meta.tempo !== currentTempo) {
+                    barline.tempo = meta.tempo;
+                    currentTempo = meta.tempo;
+                }
+            }
+            if (meta.repeatStart) run.push(createMarker('|:', noteIndex++));
+            meta.jumps.filter(m => OPENING_BARLINES.includes(m)).forEach(m => run.push(createMarker(m, noteIndex++)));
+            if (meta.volta) {
+                const volta = createMarker(`${meta.volta.join(',')}.`, noteIndex++);
+                volta.volta = meta.volta;
+                run.push(volta);
+            }
+            if (meta.section) {
+                if (run.length === 0) run.push(createMarker('|', noteIndex++));
+                run[run.length - 1].section = meta.section;
+            }
+            notes.push(...run);
+            prevMeta = meta;
+
+            bar.beats.forEach(beat => {
+                const beatEffects = beat.effects || [];
+                const find = (name) => beatEffects.find(e => e.name === name);
+                const dotted = find('dd') ? 2 : (find('d') ? 1 : 0);
+                const tupletNum = Number(find('tu')?.args[0]);
+                const tuplet = TUPLET_DEN[tupletNum] ? { num: tupletNum, den: TUPLET_DEN[tupletNum] } : null;
+
+                // 段中速度：只在速度改變處記錄
+                let beatTempo = null;
+                const tempo = Number(find('tempo')?.args[0]);
+                if (tempo > 0 && tempo !== currentTempo) {
+                    beatTempo = tempo;
+                    currentTempo = tempo;
+                }
+
+                if (beat.rest || beat.notes.length === 0) {
+                    const rest = Note.createRest({ index: noteIndex++, duration: beat.duration });
+                    rest.dotted = dotted;
+                    rest.tuplet = tuplet;
+                    rest.beatTempo = beatTempo;
+                    notes.push(rest);
+                    return;
+                }
+
+                const beatNotes = [];
+                beat.notes.forEach(raw => {
+                    const midi = midiOf(raw);
+                    if (midi == null) return;
+                    // 拍效果中的音符效果套用到每個音
+                    const effects = [...raw.effects, ...beatEffects];
+
+                    let technique = raw.dead ? 'mute' : null;
+                    for (const effect of effects) {
+                        if (technique || !EFFECT_TECHNIQUES[effect.name]) continue;
+                        technique = EFFECT_TECHNIQUES[effect.name];
+                        if (effect.name === 'h' && raw.pullOff) technique = 'pull-off';
+                        const curve = effect.args.find(Array.isArray);
+                        if (effect.name === 'b' && curve?.length > 1 && curve[curve.length - 1] < Math.max(...curve)) technique = 'release';
+                    }
+                    const articulations = [...new Set(effects.map(e => EFFECT_ARTICULATIONS[e.name]).filter(Boolean))];
+
+                    const direction = (beat.notes.length === 1 && prevMidi != null) ? Math.sign(midi - prevMidi) : 0;
+                    const note = Note.fromMidi(midi, {
+                        index: noteIndex,
+                        duration: beat.duration,
+                        stringIndex: raw.string - 1,
+                        fret: raw.fret,
+                        technique,
+                        format: 'alphatex',
+                        key: spelling.key,
+                        scaleType: spelling.scaleType,
+                        direction,
+                        displayOctaveShift: 1  // 吉他記譜比實音高一個八度
+                    });
+                    note.dotted = dotted;
+                    note.tuplet = tuplet;
+                    note.beatTempo = beatTempo;
+                    note.articulations = articulations;
+                    note.tieStart = !!raw.tieStart;
+                    note.tieEnd = raw.tie;
+                    beatNotes.push(note);
+                });
+
+                if (beatNotes.length === 0) return;
+                const chordSymbol = find('ch')?.args[0];
+                if (chordSymbol) beatNotes[0].chordSymbol = String(chordSymbol);
+
+                // 力度記號只記錄在變化處
+                const dynamic = String(find('dy')?.args[0] ?? '').toLowerCase();
+                if (DYNAMIC_VELOCITY[dynamic] && dynamic !== prevDynamic) {
+                    beatNotes.forEach(n => { n.dynamic = dynamic; });
+                    prevDynamic = dynamic;
+                }
+                if (beatNotes.length === 1) prevMidi = beatNotes[0].midi;
+
+                if (beatNotes.length === 1) {
+                    notes.push(beatNotes[0]);
+                } else if (chordMode === 'highest' || chordMode === 'lowest') {
+                    const pick = beatNotes.reduce((a, b) => ((chordMode === 'highest') === (a.midi > b.midi) ? a : b));
+                    pick.chordFrets = beatNotes.map(n => ({ string: n.stringIndex, fret: n.fret }));
+                    notes.push(pick);
+                } else {
+                    beatNotes.forEach((n, i) => {
+                        n.isChord = true;
+                        n.chordPosition = i;
+                        notes.push(n);
+                    });
+                }
+                noteIndex++;
+            });
+        });
+
+        // 最後一小節的反覆結尾 / 方向記號
+        if (prevMeta && (prevMeta.repeatTimes || prevMeta.jumps.some(m => !OPENING_BARLINES.includes(m)))) {
+            notes.push(...closeBar());
+        }
+
+        return notes;
+    }
+
+    /**
+     * 小節內容 → alphaTex 拍（時值只在改變時寫 :N）
+     * @private
+     */
+    _writeBeats(events, context) {
+        const { tuning, capo } = context;
+        const beats = [];
+        events.forEach(n => {
+            if (isChordMember(n)) {
+                beats[beats.length - 1]?.notes.push(n);
+            } else {
+                beats.push({ lead: n, notes: [n] });
+            }
+        });
+
+        return beats.map(({ lead, notes }) => {
+            const parts = [];
+            const duration = DURATION_VALUES[lead.duration] ?? 4;
+            if (duration !== context.duration) {
+                parts.push(`:${duration}`);
+                context.duration = duration;
+            }
+
+            let text;
+            if (isExtension(lead)) {
+                // 延長符：延音接續前一拍的所有音
+                const prev = context.lastBeat;
+                text = prev?.length ? (prev.length > 1 ? `(${prev.map(p => `-.${p.string + 1}`).join(' ')})` : `-.${prev[0].string + 1}`) : 'r';
+            } else if (isRest(lead)) {
+                text = 'r';
+                context.lastBeat = null;
+            } else {
+                const used = new Set();
+                const positioned = notes.map(n => {
+                    const own = typeof n.stringIndex === 'number' && typeof n.fret === 'number'
+                        && n.stringIndex < tuning.length && !used.has(n.stringIndex)
+                        ? { string: n.stringIndex, fret: n.fret } : null;
+                    const position = own || (n.midi != null ? findPosition(n.midi, tuning, capo, used) : null);
+                    if (position) used.add(position.string);
+                    return position && { note: n, ...position };
+                }).filter(Boolean);
+
+                const written = positioned.map(({ note, string, fret }) => {
+                    const effects = [
+                        TECHNIQUE_EFFECTS[note.technique],
+                        ...(note.articulations || []).map(a => ARTICULATION_EFFECTS[a])
+                    ].filter(Boolean);
+                    const effectText = effects.length ? `{${effects.join(' ')}}` : '';
+                    return `${note.tieEnd ? '-' : fret}.${string + 1}${effectText}`;
+                });
+                text = written.length > 1 ? `(${written.join(' ')})` : (written[0] ?? 'r');
+                context.lastBeat = positioned.length ? positioned : null;
+            }
+
+            // 拍效果：附點、連音、力度、段中速度、和弦記號
+            const effects = [];
+            if (lead.dotted) effects.push(lead.dotted >= 2 ? 'dd' : 'd');
+            if (lead.tuplet?.num) effects.push(`tu ${lead.tuplet.num}`);
+            const dynamic = notes.find(n => n.dynamic)?.dynamic;
+            if (dynamic && DYNAMIC_VELOCITY[dynamic]) effects.push(`dy ${dynamic}`);
+            if (lead.beatTempo) effects.push(`tempo ${lead.beatTempo}`);
+            const chordSymbol = notes.find(n => n.chordSymbol)?.chordSymbol;
+            if (chordSymbol) effects.push(`ch ${quote(chordSymbol)}`);
+
+            parts.push(effects.length ? `${text}{${effects.join(' ')}}` : text);
+            return parts.join(' ');
+        });
+    }
+}
+
+export default AlphaTexParser;
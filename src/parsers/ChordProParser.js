@@ -0,0 +1,544 @@
+/**
+ * ChordProParser - ChordPro 和弦譜解析器
+ * 支援 {title} {artist} {key} {capo} {tempo} {time} 等指令、歌詞中的 [Am] 行內和弦、
+ * {start_of_chorus} / {start_of_verse} / {start_of_bridge} 等段落環境、{comment} 段落標題與 {chorus} 重複副歌
+ *
+ * 轉成和弦時間軸：每行歌詞一小節，依和弦在歌詞中的位置分配拍數（純和弦行平均分配），和弦音可直接播放，
+ * 片段的歌詞記在第一個音上，行尾的小節線標記 lineBreak，段落名稱記在小節線的 section
+ * stringify 由 getLeadSheet 整理和弦與歌詞，輸出的 ChordPro 可再由 parse 讀回
+ */
+
+import { ParserInterface } from '../core/interfaces/ParserInterface.js';
+import { Note } from '../core/models/Note.js';
+import { Score } from '../core/models/Score.js';
+import { getLeadSheet } from '../core/lyrics/leadSheet.js';
+import { getDurationBeats, parseTimeSignature } from '../core/timing/timeline.js';
+import { getChordVoicing, parseChordName } from '../data/chordData.js';
+
+const NOTE_TYPES = ['whole', 'half', 'quarter', 'eighth', '16th'];
+// 由長到短的時值（含附點），拆分片段長度用
+const NOTE_VALUES = NOTE_TYPES.flatMap(duration => [{ duration, dotted: 1 }, { duration, dotted: 0 }]);
+
+// 指令縮寫
+const DIRECTIVE_ALIASES = {
+    t: 'title', st: 'subtitle', c: 'comment', ci: 'comment_italic', cb: 'comment_box',
+    soc: 'start_of_chorus', eoc: 'end_of_chorus', sov: 'start_of_verse', eov: 'end_of_verse',
+    sob: 'start_of_bridge', eob: 'end_of_bridge', sot: 'start_of_tab', eot: 'end_of_tab',
+    sog: 'start_of_grid', eog: 'end_of_grid', ns: 'new_song'
+};
+
+// 標頭文字指令 → 解析器屬性
+const TEXT_DIRECTIVES = {
+    title: '_title', subtitle: '_subtitle', artist: '_artist', composer: '_composer',
+    lyricist: '_lyricist', album: '_album', year: '_year'
+};
+
+// 不轉成音符的環境（內容略過）
+const SKIPPED_ENVIRONMENTS = ['tab', 'grid', 'abc', 'ly', 'svg', 'textblock'];
+
+// 匯出時用環境表示的段落
+const SECTION_ENVIRONMENTS = ['chorus', 'verse', 'bridge'];
+
+const DIRECTIVE_PATTERN = /^\{\s*([A-Za-z_]+)(?:-[^\s:}]*)?\s*(?::\s*|\s+)?(.*?)\s*\}$/;
+// 常見 ChordPro 指令行（判斷格式用）
+const DIRECTIVE_LINE = /^\s*\{\s*(title|t|artist|key|capo|soc|start_of_chorus|sov|start_of_verse|comment|c)\s*[:}\s]/m;
+const CHORD_PATTERN = /\[([^\]]*)\]/g;
+const KEY_PATTERN = /^([A-Ga-g][#b]?)(m|min)?$/;
+
+const isSeparator = (n) => n.isSeparator || n._type === 'separator';
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * 分隔符（小節線）
+ */
+function createBarline(index) {
+    const separator = Note.createSeparator({ index });
+    separator.jianpu = '|';
+    separator.displayStr = '|';
+    return separator;
+}
+
+/**
+ * 一小節切成幾個單位：從一拍開始對半細分，直到每個片段至少分到一個單位
+ * @param {string} timeSignature
+ * @param {number} count - 片段數
+ * @returns {{ units: number, quarters: number }} units 為單位數，quarters 為一個單位的四分音符數
+ */
+function barUnits(timeSignature, count) {
+    const { beats, beatType } = parseTimeSignature(timeSignature);
+    let units = beats;
+    let quarters = 4 / beatType;
+    while (units < count) {
+        units *= 2;
+        quarters /= 2;
+    }
+    return { units, quarters };
+}
+
+/**
+ * 依和弦在歌詞中的位置把一小節的單位分給各片段（每段至少一個單位；整行沒有歌詞時平均分配）
+ * @param {Array<{ text: string }>} segments
+ * @param {number} units
+ * @returns {Array<number>} 各片段的單位數
+ */
+function allocateUnits(segments, units) {
+    const lyricless = segments.every(s => !s.text.trim());
+    const positions = [];
+    let length = 0;
+    segments.forEach((s, i) => {
+        positions.push(lyricless ? i : length);
+        length += s.text.length;
+    });
+    const total = lyricless ? segments.length : length;
+
+    const starts = positions.map((p, i) => Math.min(Math.round(p / total * units), units - (segments.length - i)));
+    for (let i = 1; i < starts.length; i++) starts[i] = Math.max(starts[i], starts[i - 1] + 1);
+    return starts.map((start, i) => (starts[i + 1] ?? units) - start);
+}
+
+/**
+ * 片段長度 → 以延音線相連的時值（由長到短）
+ * @param {number} quarters - 四分音符數
+ * @returns {Array<{ duration: string, dotted: number }>}
+ */
+function splitDuration(quarters) {
+    const pieces = [];
+    let left = quarters;
+    while (left > 1e-6) {
+        const piece = NOTE_VALUES.find(v => getDurationBeats(v.duration, v.dotted) <= left + 1e-6);
+        if (!piece) break;
+        pieces.push(piece);
+        left -= getDurationBeats(piece.duration, piece.dotted);
+    }
+    return pieces.length > 0 ? pieces : [NOTE_VALUES[NOTE_VALUES.length - 1]];
+}
+
+/**
+ * {key} 值 → 主音與音階（Am、F#m、Bb）
+ * @param {string} text
+ * @returns {{ key: string, scaleType: string, keySignature: string }|null}
+ */
+function parseKey(text) {
+    const match = KEY_PATTERN.exec(String(text ?? '').trim());
+    if (!match) return null;
+    const key = capitalize(match[1]);
+    const minor = !!match[2];
+    return { key, scaleType: minor ? 'Minor' : 'Major', keySignature: minor ? `${key}m` : key };
+}
+
+/**
+ * 由和弦名稱推測調性（第一個和弦的根音；小和弦為小調）
+ * @param {string} symbol
+ * @returns {{ key: string, scaleType: string }|null}
+ */
+function keyFromChord(symbol) {
+    const root = /^[A-G][#b]?/.exec(symbol || '')?.[0];
+    const parsed = parseChordName(symbol);
+    if (!root || !parsed) return null;
+    return { key: root, scaleType: parsed.quality === 'Minor' ? 'Minor' : 'Major' };
+}
+
+/**
+ * 段落環境名稱與標籤：{start_of_verse: Verse 2}、{start_of_chorus label="Chorus 2"}
+ * @param {string} env - chorus / verse / bridge / 自訂
+ * @param {string} value - 指令參數
+ * @returns {string}
+ */
+function environmentLabel(env, value) {
+    const label = /label\s*=\s*"([^"]*)"/.exec(value)?.[1] ?? value;
+    return label?.trim() || capitalize(env);
+}
+
+/**
+ * 某位置之前最近的段落名稱（副歌開頭的小節線）
+ * @param {Array} notes
+ * @param {number} end - 不含
+ * @returns {string}
+ */
+function lastCarriedSection(notes, end) {
+    for (let i = end - 1; i >= 0; i--) {
+        if (notes[i].section) return notes[i].section;
+    }
+    return 'Chorus';
+}
+
+/**
+ * 歌詞行 → 片段 [{ chord, text }]（行首沒有和弦的文字 chord 為 null）
+ * @param {string} line
+ * @returns {Array<{ chord: string|null, text: string }>}
+ */
+function splitChordLine(line) {
+    const segments = [];
+    let last = 0;
+    let chord = null;
+    for (const match of line.matchAll(CHORD_PATTERN)) {
+        const text = line.slice(last, match.index);
+        if (chord !== null || text.trim()) segments.push({ chord, text });
+        chord = match[1].trim();
+        last = match.index + match[0].length;
+    }
+    const text = line.slice(last);
+    if (chord !== null || text.trim()) segments.push({ chord, text });
+    return segments;
+}
+
+/**
+ * ChordPro 解析器類別
+ * @extends ParserInterface
+ */
+export class ChordProParser extends ParserInterface {
+    constructor() {
+        super();
+        this._reset();
+    }
+
+    get name() {
+        return 'ChordProParser';
+    }
+
+    get description() {
+        return 'ChordPro 和弦譜解析器（行內和弦、歌詞與段落）';
+    }
+
+    get formatId() {
+        return 'chordpro';
+    }
+
+    get extensions() {
+        return ['.cho', '.chordpro', '.chopro', '.crd'];
+    }
+
+    get mimeTypes() {
+        return ['application/vnd.chordpro', 'text/x-chordpro'];
+    }
+
+    /**
+     * 依內容判斷：有 ChordPro 指令最可靠，只有行內和弦時次之
+     * @param {string} text
+     * @returns {number}
+     */
+    sniff(text) {
+        if (!this.validate(text)) return 0;
+        return DIRECTIVE_LINE.test(this.clean(text)) ? 0.8 : 0.4;
+    }
+
+    get title() { return this._title; }
+    get subtitle() { return this._subtitle; }
+    get artist() { return this._artist; }
+    get composer() { return this._composer; }
+    get lyricist() { return this._lyricist; }
+    get album() { return this._album; }
+    get key() { return this._key; }
+    get scaleType() { return this._scaleType; }
+    get capo() { return this._capo; }
+    get tempo() { return this._tempo; }
+    get timeSignature() { return this._timeSignature; }
+
+    /**
+     * 解析 ChordPro 文字（曲集只取第一首）
+     * @param {string} text
+     * @returns {Array<Note>}
+     */
+    parse(text) {
+        this._reset();
+        const lines = this.clean(text).split('\n');
+        const songEnd = lines.findIndex(l => {
+            const match = DIRECTIVE_PATTERN.exec(l.trim());
+            return match && (DIRECTIVE_ALIASES[match[1].toLowerCase()] ?? match[1].toLowerCase()) === 'new_song';
+        });
+        return this._buildNotes(songEnd >= 0 ? lines.slice(0, songEnd) : lines);
+    }
+
+    /**
+     * 轉換為 Score（單一聲部和弦時間軸）
+     * @param {string} text
+     * @returns {Score}
+     */
+    toScore(text) {
+        const notes = this.parse(text);
+        return new Score({
+            notes,
+            metadata: {
+                name: this._title || 'ChordPro Import',
+                title: this._title || null,
+                composer: this._composer || this._artist || null,
+                lyricist: this._lyricist || null,
+                key: this._key,
+                scaleType: this._scaleType,
+                tempo: this._tempo,
+                timeSignature: this._timeSignature,
+                capo: this._capo || null
+            }
+        });
+    }
+
+    /**
+     * 將音符轉換為 ChordPro（和弦記號與第 verse 段歌詞；沒有行尾標記時每 barsPerLine 小節一行）
+     * @param {Array<Note>} notes
+     * @param {Object} options
+     * @param {string} options.title
+     * @param {string} options.artist
+     * @param {string} options.composer
+     * @param {string} options.lyricist
+     * @param {string} options.key
+     * @param {string} options.scaleType
+     * @param {number} options.capo
+     * @param {number} options.tempo
+     * @param {string} options.timeSignature
+     * @param {number} options.verse - 歌詞段落編號
+     * @param {number} options.barsPerLine
+     * @returns {string}
+     */
+    stringify(notes, options = {}) {
+        const {
+            title = '',
+            artist = '',
+            composer = '',
+            lyricist = '',
+            key = 'C',
+            scaleType = 'Major',
+            capo = 0,
+            tempo = null,
+            timeSignature = '4/4',
+            verse = 1,
+            barsPerLine = 4
+        } = options;
+
+        const header = [
+            title ? `{title: ${title}}` : null,
+            artist ? `{artist: ${artist}}` : null,
+            composer ? `{composer: ${composer}}` : null,
+            lyricist ? `{lyricist: ${lyricist}}` : null,
+            `{key: ${scaleType === 'Minor' ? `${key}m` : key}}`,
+            capo > 0 ? `{capo: ${capo}}` : null,
+            tempo ? `{tempo: ${tempo}}` : null,
+            timeSignature !== '4/4' ? `{time: ${timeSignature}}` : null
+        ].filter(Boolean);
+
+        const body = getLeadSheet(notes || [], { verse, barsPerLine }).map(block => {
+            const env = SECTION_ENVIRONMENTS.find(e => new RegExp(`^${e}\\b`, 'i').test(block.section || ''));
+            const lines = block.lines.flatMap(line => [
+                line.keySignature ? `{key: ${line.keySignature}}` : null,
+                line.tempo ? `{tempo: ${line.tempo}}` : null,
+                line.segments.map((s, i) => {
+                    const gap = s.hyphen || i === line.segments.length - 1 ? '' : ' ';
+                    return (s.chord ? `[${s.chord}]` : '') + s.text + gap;
+                }).join('').trimEnd()
+            ].filter(l => l !== null));
+
+            if (env) {
+                const label = block.section === capitalize(env) ? '' : `: ${block.section}`;
+                return [`{start_of_${env}${label}}`, ...lines, `{end_of_${env}}`].join('\n');
+            }
+            return [block.section ? `{comment: ${block.section}}` : null, ...lines].filter(l => l !== null).join('\n');
+        });
+
+        return [header.join('\n'), ...body].join('\n\n');
+    }
+
+    /**
+     * 清理輸入文字（統一換行、移除 # 註解行）
+     * @param {string} text
+     * @returns {string}
+     */
+    clean(text) {
+        return String(text ?? '')
+            .replace(/\r\n?/g, '\n')
+            .split('\n')
+            .filter(line => !line.trimStart().startsWith('#'))
+            .map(line => line.trimEnd())
+            .join('\n');
+    }
+
+    /**
+     * 驗證格式（有 ChordPro 指令，或至少兩個行內和弦）
+     * @param {string} text
+     * @returns {boolean}
+     */
+    validate(text) {
+        const cleaned = this.clean(text);
+        if (DIRECTIVE_LINE.test(cleaned)) return true;
+        return (cleaned.match(/\[[A-G][#b]?[^\]\s]{0,10}\]/g) || []).length >= 2;
+    }
+
+    // ==================== Private Methods ====================
+
+    /**
+     * @private
+     */
+    _reset() {
+        this._title = '';
+        this._subtitle = '';
+        this._artist = '';
+        this._composer = '';
+        this._lyricist = '';
+        this._album = '';
+        this._year = '';
+        this._key = 'C';
+        this._scaleType = 'Major';
+        this._capo = 0;
+        this._tempo = 120;
+        this._timeSignature = '4/4';
+    }
+
+    /**
+     * 逐行讀取指令與歌詞行，建立和弦時間軸
+     * @private
+     */
+    _buildNotes(lines) {
+        const notes = [];
+        let noteIndex = 0;
+        let keyFound = false;
+        let timeSignature = this._timeSignature;
+        let current = null;         // 目前和弦 { midis }（延續到沒有和弦的片段）
+        let environment = null;     // 目前的段落環境
+        let chorusStart = -1;       // 目前副歌在 notes 中的起點
+        let lastChorus = null;      // 最近一段副歌 { label, notes }（供 {chorus} 重複）
+
+        const hasEvents = () => notes.some(n => !isSeparator(n));
+        // 下一小節前的小節線（段落 / 調號 / 速度變更記在這裡）
+        const boundary = () => {
+            const last = notes[notes.length - 1];
+            if (last && isSeparator(last)) return last;
+            const barline = createBarline(noteIndex++);
+            notes.push(barline);
+            return barline;
+        };
+
+        // 一個和弦片段：長度超過單一時值時拆成以延音線相連的音，和弦名稱與歌詞記在第一個音上
+        const pushEvent = (segment, syllabic, pieces) => {
+            const symbol = segment.chord ? segment.chord.replace(/^\*/, '') : null;
+            const midis = symbol ? getChordVoicing(symbol, this._capo) : (current?.midis ?? []);
+            if (symbol) current = midis.length > 0 ? { midis } : null;
+
+            const text = segment.text.trim();
+            const lyrics = text ? [{ verse: 1, text, syllabic, extend: false }] : null;
+            pieces.forEach((piece, p) => {
+                if (midis.length === 0) {
+                    // 無法辨識的和弦（N.C. 或註記）與開頭沒有和弦的歌詞：休止符
+                    const rest = Note.createRest({ index: noteIndex++, duration: piece.duration });
+                    rest.dotted = piece.dotted;
+                    if (p === 0) {
+                        rest.chordSymbol = symbol || null;
+                        rest.lyrics = lyrics;
+                    }
+                    notes.push(rest);
+                    return;
+                }
+                midis.forEach((midi, i) => {
+                    const note = Note.fromMidi(midi, {
+                        index: noteIndex,
+                        duration: piece.duration,
+                        format: 'chordpro',
+                        key: this._key,
+                        scaleType: this._scaleType,
+                        displayOctaveShift: 1  // 吉他記譜比實音高一個八度
+                    });
+                    note.dotted = piece.dotted;
+                    note.tieStart = p < pieces.length - 1;
+                    note.tieEnd = p > 0;
+                    if (midis.length > 1) {
+                        note.isChord = true;
+                        note.chordPosition = i;
+                    }
+                    if (i === 0 && p === 0) {
+                        note.chordSymbol = symbol;
+                        note.lyrics = lyrics;
+                    }
+                    notes.push(note);
+                });
+                noteIndex++;
+            });
+        };
+
+        const setSection = (name) => {
+            if (name) boundary().section = name;
+        };
+
+        for (const raw of lines) {
+            const line = raw.trim();
+            const directive = DIRECTIVE_PATTERN.exec(line);
+
+            if (directive) {
+                const name = DIRECTIVE_ALIASES[directive[1].toLowerCase()] ?? directive[1].toLowerCase();
+                const value = directive[2];
+                const envMatch = /^(start|end)_of_(\w+)$/.exec(name);
+
+                if (envMatch) {
+                    const [, edge, env] = envMatch;
+                    if (edge === 'start') {
+                        environment = env;
+                        if (!SKIPPED_ENVIRONMENTS.includes(env)) setSection(environmentLabel(env, value));
+                        if (env === 'chorus') chorusStart = notes.length;
+                    } else {
+                        if (env === 'chorus' && chorusStart >= 0 && notes.length > chorusStart) {
+                            lastChorus = { label: lastCarriedSection(notes, chorusStart), notes: notes.slice(chorusStart).map(n => n.clone()) };
+                        }
+                        environment = null;
+                    }
+                } else if (TEXT_DIRECTIVES[name]) {
+                    this[TEXT_DIRECTIVES[name]] = value;
+                } else if (name === 'meta') {
+                    const [field, ...rest] = value.split(/\s+/);
+                    if (TEXT_DIRECTIVES[field?.toLowerCase()]) this[TEXT_DIRECTIVES[field.toLowerCase()]] = rest.join(' ');
+                } else if (name === 'key') {
+                    const key = parseKey(value);
+                    if (!key) continue;
+                    if (hasEvents()) boundary().keySignature = key.keySignature;
+                    else ({ key: this._key, scaleType: this._scaleType } = key);
+                    keyFound = true;
+                } else if (name === 'capo') {
+                    this._capo = Math.max(parseInt(value, 10) || 0, 0);
+                } else if (name === 'tempo') {
+                    const tempo = parseFloat(value);
+                    if (!(tempo > 0)) continue;
+                    if (hasEvents()) boundary().tempo = tempo;
+                    else this._tempo = tempo;
+                } else if (name === 'time') {
+                    if (!/^\d+\/\d+$/.test(value)) continue;
+                    if (hasEvents()) boundary().timeSignature = value;
+                    else this._timeSignature = value;
+                    timeSignature = value;
+                } else if (name === 'chorus' && lastChorus) {
+                    // {chorus}：重複最近一段副歌（重新編排索引）
+                    const offset = noteIndex - lastChorus.notes[0].index;
+                    setSection(lastChorus.label);
+                    lastChorus.notes.forEach(n => notes.push(n.clone({ index: n.index + offset })));
+                    noteIndex = lastChorus.notes[lastChorus.notes.length - 1].index + offset + 1;
+                } else if (['comment', 'comment_italic', 'comment_box', 'highlight'].includes(name) && !environment) {
+                    setSection(value);
+                }
+                continue;
+            }
+
+            if (!line || SKIPPED_ENVIRONMENTS.includes(environment)) continue;
+
+            const segments = splitChordLine(raw);
+            if (!keyFound) {
+                const key = keyFromChord(segments.find(s => s.chord)?.chord);
+                if (key) {
+                    ({ key: this._key, scaleType: this._scaleType } = key);
+                    keyFound = true;
+                }
+            }
+            const { units, quarters } = barUnits(timeSignature, segments.length);
+            const counts = allocateUnits(segments, units);
+            let joined = false;
+            segments.forEach((segment, i) => {
+                // 和弦切在字中間（Hel[G]lo）：前後片段屬於同一個字
+                const next = segments[i + 1];
+                const hyphen = !!next && /\S$/.test(segment.text) && /^\S/.test(next.text);
+                const syllabic = joined ? (hyphen ? 'middle' : 'end') : (hyphen ? 'begin' : 'single');
+                pushEvent(segment, syllabic, splitDuration(counts[i] * quarters));
+                joined = hyphen;
+            });
+            const barline = createBarline(noteIndex++);
+            barline.lineBreak = true;
+            notes.push(barline);
+        }
+
+        return notes;
+    }
+}
+
+export default ChordProParser;
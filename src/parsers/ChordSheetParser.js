@@ -0,0 +1,387 @@
+/**
+ * ChordSheetParser - 「和弦在歌詞上方」純文字和弦譜解析器
+ * 網站複製的歌譜：和弦行（Am      G     C）與歌詞行交錯
+ *
+ * 流程：
+ *   1. 逐行分類：和弦行（所有記號都是和弦 / 小節線 / 反覆標記）、段落標題（[Chorus]、Verse 2:）、
+ *      標頭（Capo: 2、Key: G、Title: …）、歌詞行
+ *   2. 和弦依欄位對齊到下一行歌詞的音節（落在空白上時移到下一個字開頭，落在字中間時移到最近的音節開頭），
+ *      轉成 ChordPro 行內和弦
+ *   3. 交給 ChordProParser 建立和弦時間軸（chordSymbol + 歌詞 + 段落）
+ * stringify 則把和弦時間軸排回和弦行 / 歌詞行
+ */
+
+import { ParserInterface } from '../core/interfaces/ParserInterface.js';
+import { getLeadSheet } from '../core/lyrics/leadSheet.js';
+import { isChordSymbol } from '../data/chordData.js';
+import { ChordProParser } from './ChordProParser.js';
+
+// 和弦行中可出現的非和弦記號：小節線、延續、反覆次數、N.C.
+const CHORD_LINE_EXTRAS = /^(\|+:?|:?\|+|\/|-+|%|\*|N\.?C\.?|\(?x\d+\)?|\(?\d+x\)?)$/i;
+
+// 段落標題用字（Verse 2:、(Chorus)、PRE-CHORUS）
+const SECTION_WORDS = [
+    'intro', 'verse', 'pre-chorus', 'prechorus', 'chorus', 'bridge', 'outro', 'solo',
+    'interlude', 'instrumental', 'refrain', 'hook', 'tag', 'coda', 'ending', 'break'
+];
+const SECTION_LABEL = /^\(?\s*([A-Za-z-]+)(\s*\d+)?\s*\)?\s*:?\s*(.*)$/;
+
+// 標頭行 → ChordPro 指令
+const HEADER_LINES = [
+    [/^title\s*[:：]\s*(.+)$/i, 'title'],
+    [/^(?:artist|by)\s*[:：]\s*(.+)$/i, 'artist'],
+    [/^key\s*[:：]?\s*([A-Ga-g][#b]?m?)$/i, 'key'],
+    [/^capo\s*[:：]?\s*(?:on\s+)?(\d+)/i, 'capo'],
+    [/^(?:tempo|bpm)\s*[:：]?\s*(\d+)/i, 'tempo'],
+    [/^(?:time|time signature)\s*[:：]\s*(\d+\/\d+)$/i, 'time']
+];
+
+/**
+ * 展開 Tab 字元（8 欄定位），讓和弦行與歌詞行欄位一致
+ * @param {string} line
+ * @returns {string}
+ */
+function expandTabs(line) {
+    let out = '';
+    for (const ch of line) {
+        out += ch === '\t' ? ' '.repeat(8 - (out.length % 8)) : ch;
+    }
+    return out;
+}
+
+/**
+ * 和弦行 → [{ col, chord }]；不是和弦行時回傳 null
+ * @param {string} line
+ * @returns {Array<{ col: number, chord: string }>|null}
+ */
+function readChordLine(line) {
+    const chords = [];
+    for (const match of line.matchAll(/\S+/g)) {
+        const token = match[0].replace(/^\((.+)\)$/, '$1');
+        if (isChordSymbol(token)) {
+            chords.push({ col: match.index, chord: token });
+        } else if (/^N\.?C\.?$/i.test(token)) {
+            chords.push({ col: match.index, chord: 'N.C.' });
+        } else if (!CHORD_LINE_EXTRAS.test(match[0])) {
+            return null;
+        }
+    }
+    return chords.length > 0 ? chords : null;
+}
+
+/**
+ * 段落標題：[Chorus]、[Verse 1]、Chorus:、(Bridge)；標題後同一行可接和弦（Intro: Am G）
+ * @param {string} line - 已去除前後空白
+ * @returns {{ label: string, chords: Array|null }|null}
+ */
+function readSectionHeader(line) {
+    const bracket = /^\[([^\]]+)\]$/.exec(line);
+    if (bracket) {
+        return isChordSymbol(bracket[1]) ? null : { label: bracket[1].trim(), chords: null };
+    }
+    const match = SECTION_LABEL.exec(line);
+    if (!match || !SECTION_WORDS.includes(match[1].toLowerCase())) return null;
+
+    const rest = match[3];
+    const chords = rest ? readChordLine(rest) : null;
+    if (rest && !chords) return null;
+    const label = match[1].charAt(0).toUpperCase() + match[1].slice(1).toLowerCase() + (match[2] ? ` ${match[2].trim()}` : '');
+    return { label, chords };
+}
+
+// 音節切分用：字母、母音、不拆開的子音組合
+const WORD_CHAR = /[\p{L}\p{M}']/u;
+const CJK = /[぀-ヿ㐀-鿿가-힯豈-﫿]/;
+const VOWEL = /[aeiouyàáâäèéêëìíîïòóôöùúûü]/i;
+const DIGRAPHS = ['ch', 'ck', 'gh', 'ph', 'sh', 'th', 'wh'];
+
+/**
+ * 拉丁字母單字的音節開頭（相對位置，含 0）
+ * 以母音群為音節核心：中間一個子音歸後一音節（a-ma-zing），兩個以上時從第一個之後切（hel-lo、mor-ning），
+ * 子音組合不拆開（to-ge-ther）；字尾不發音的 e 不算音節（grace），-le 例外（lit-tle）
+ * @param {string} word
+ * @returns {Array<number>}
+ */
+function syllableStarts(word) {
+    const lower = word.toLowerCase();
+    const isVowel = (i) => VOWEL.test(lower[i]) && !(lower[i] === 'y' && (i === 0 || VOWEL.test(lower[i - 1])));
+    const nuclei = [];
+    for (let i = 0; i < lower.length; i++) {
+        if (!isVowel(i)) continue;
+        if (nuclei.length > 0 && nuclei[nuclei.length - 1].end === i) nuclei[nuclei.length - 1].end = i + 1;
+        else nuclei.push({ start: i, end: i + 1 });
+    }
+    const last = nuclei[nuclei.length - 1];
+    if (nuclei.length > 1 && lower.endsWith('e') && last.start === lower.length - 1 && !/[^aeiouy]le$/.test(lower)) {
+        nuclei.pop();
+    }
+
+    const starts = [0];
+    for (let k = 1; k < nuclei.length; k++) {
+        const from = nuclei[k - 1].end;
+        const to = nuclei[k].start;
+        const cluster = lower.slice(from, to);
+        if (cluster.length === 0) continue;
+        if (cluster.length === 1 || (cluster.length === 2 && DIGRAPHS.includes(cluster))) {
+            starts.push(from);
+        } else {
+            starts.push(DIGRAPHS.includes(cluster.slice(-2)) ? to - 2 : from + 1);
+        }
+    }
+    return starts;
+}
+
+/**
+ * 和弦落在字中間時移到最近的音節開頭（距離相同取前面）
+ * 不移到前一個和弦之前或下一個和弦的欄位之後；中日韓文字每字一個音節，不移動
+ * @param {string} text - 歌詞行
+ * @param {number} col - 和弦欄位
+ * @param {number} min - 前一個和弦的欄位（不含）
+ * @param {number} limit - 下一個和弦的欄位（不含）
+ * @returns {number}
+ */
+function snapToSyllable(text, col, min, limit) {
+    if (!WORD_CHAR.test(text[col] ?? '') || CJK.test(text[col])) return col;
+    let start = col;
+    while (start > 0 && WORD_CHAR.test(text[start - 1]) && !CJK.test(text[start - 1])) start--;
+    let end = col;
+    while (end < text.length && WORD_CHAR.test(text[end]) && !CJK.test(text[end])) end++;
+
+    const candidates = syllableStarts(text.slice(start, end))
+        .map(offset => start + offset)
+        .filter(s => s > min && s < limit);
+    if (candidates.length === 0) return col;
+    return candidates.reduce((best, s) => (Math.abs(s - col) < Math.abs(best - col) ? s : best));
+}
+
+/**
+ * 把和弦依欄位插入歌詞，轉成 ChordPro 行內和弦
+ * 落在空白上的和弦移到下一個字的開頭，落在字中間的對齊最近的音節（皆不超過下一個和弦的欄位）；
+ * 歌詞比和弦短時補空白
+ * @param {Array<{ col: number, chord: string }>} chords
+ * @param {string} lyric
+ * @returns {string}
+ */
+function mergeChordLine(chords, lyric) {
+    let text = lyric.replace(/\[/g, '(').replace(/\]/g, ')');
+    const cols = [];
+    chords.forEach((c, i) => {
+        const limit = chords[i + 1]?.col ?? Infinity;
+        let col = c.col;
+        while (col < text.length && col + 1 < limit && text[col] === ' ') col++;
+        cols.push(snapToSyllable(text, col, cols[i - 1] ?? -1, limit));
+    });
+    const width = cols[cols.length - 1];
+    if (text.length < width) text = text.padEnd(width, ' ');
+
+    for (let i = chords.length - 1; i >= 0; i--) {
+        text = `${text.slice(0, cols[i])}[${chords[i].chord}]${text.slice(cols[i])}`;
+    }
+    // 字中間為了對齊和弦補上的 -（Hel---[G]lo）
+    return text.replace(/(\w)-+(\[[^\]]*\])(?=\w)/g, '$1$2').trimEnd();
+}
+
+/**
+ * 純和弦行（前奏、間奏）→ ChordPro
+ * @param {Array<{ chord: string }>} chords
+ * @returns {string}
+ */
+function chordsOnly(chords) {
+    return chords.map(c => `[${c.chord}]`).join(' ');
+}
+
+/**
+ * ChordSheet 解析器類別
+ * @extends ParserInterface
+ */
+export class ChordSheetParser extends ParserInterface {
+    constructor() {
+        super();
+        this._chordPro = new ChordProParser();
+    }
+
+    get name() {
+        return 'ChordSheetParser';
+    }
+
+    get description() {
+        return '和弦在歌詞上方的純文字和弦譜解析器';
+    }
+
+    get formatId() {
+        return 'chordsheet';
+    }
+
+    get extensions() {
+        return ['.txt'];
+    }
+
+    /**
+     * 依內容判斷（和弦行與歌詞行交錯）
+     * @param {string} text
+     * @returns {number}
+     */
+    sniff(text) {
+        return this.validate(text) ? 0.6 : 0;
+    }
+
+    get title() { return this._chordPro.title; }
+    get artist() { return this._chordPro.artist; }
+    get composer() { return this._chordPro.composer; }
+    get lyricist() { return this._chordPro.lyricist; }
+    get key() { return this._chordPro.key; }
+    get scaleType() { return this._chordPro.scaleType; }
+    get capo() { return this._chordPro.capo; }
+    get tempo() { return this._chordPro.tempo; }
+    get timeSignature() { return this._chordPro.timeSignature; }
+
+    /**
+     * 解析和弦譜文字
+     * @param {string} text
+     * @returns {Array<Note>}
+     */
+    parse(text) {
+        return this._chordPro.parse(this.toChordPro(text));
+    }
+
+    /**
+     * 轉換為 Score
+     * @param {string} text
+     * @returns {Score}
+     */
+    toScore(text) {
+        return this._chordPro.toScore(this.toChordPro(text));
+    }
+
+    /**
+     * 和弦譜文字 → ChordPro
+     * @param {string} text
+     * @returns {string}
+     */
+    toChordPro(text) {
+        const lines = this.clean(text).split('\n');
+        const out = [];
+        let pending = null;     // 等待下一行歌詞的和弦行
+
+        const flushChords = () => {
+            if (pending) out.push(chordsOnly(pending));
+            pending = null;
+        };
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed) {
+                flushChords();
+                continue;
+            }
+
+            const chords = readChordLine(line);
+            if (chords) {
+                flushChords();
+                pending = chords;
+                continue;
+            }
+
+            const header = readSectionHeader(trimmed);
+            if (header) {
+                flushChords();
+                out.push(`{comment: ${header.label}}`);
+                if (header.chords) out.push(chordsOnly(header.chords));
+                continue;
+            }
+
+            const meta = HEADER_LINES.find(([pattern]) => pattern.test(trimmed));
+            if (meta) {
+                flushChords();
+                out.push(`{${meta[1]}: ${meta[0].exec(trimmed)[1].trim()}}`);
+                continue;
+            }
+
+            out.push(pending ? mergeChordLine(pending, line) : line.replace(/\[/g, '(').replace(/\]/g, ')').trimEnd());
+            pending = null;
+        }
+        flushChords();
+
+        return out.join('\n');
+    }
+
+    /**
+     * 將音符轉換為和弦行 / 歌詞行交錯的文字（和弦對齊片段開頭，過長時補空白或 -）
+     * @param {Array<Note>} notes
+     * @param {Object} options
+     * @param {string} options.title
+     * @param {string} options.artist
+     * @param {string} options.key
+     * @param {string} options.scaleType
+     * @param {number} options.capo
+     * @param {number} options.verse - 歌詞段落編號
+     * @param {number} options.barsPerLine
+     * @returns {string}
+     */
+    stringify(notes, options = {}) {
+        const { title = '', artist = '', key = '', scaleType = 'Major', capo = 0, verse = 1, barsPerLine = 4 } = options;
+
+        const header = [
+            title ? `Title: ${title}` : null,
+            artist ? `Artist: ${artist}` : null,
+            key ? `Key: ${scaleType === 'Minor' ? `${key}m` : key}` : null,
+            capo > 0 ? `Capo: ${capo}` : null
+        ].filter(Boolean);
+
+        const body = getLeadSheet(notes || [], { verse, barsPerLine }).map(block => {
+            const lines = block.lines.flatMap(line => {
+                let chordLine = '';
+                let lyricLine = '';
+                line.segments.forEach((segment, i) => {
+                    if (segment.chord) {
+                        const col = Math.max(lyricLine.length, chordLine.length ? chordLine.length + 1 : 0);
+                        const joined = line.segments[i - 1]?.hyphen;
+                        lyricLine = lyricLine.padEnd(col, joined ? '-' : ' ');
+                        chordLine = chordLine.padEnd(col, ' ') + segment.chord;
+                    }
+                    lyricLine += segment.text + (segment.hyphen || i === line.segments.length - 1 ? '' : ' ');
+                });
+                return [
+                    line.keySignature ? `Key: ${line.keySignature}` : null,
+                    chordLine || null,
+                    lyricLine.trim() ? lyricLine.trimEnd() : null
+                ].filter(l => l !== null);
+            });
+            return [block.section ? `[${block.section}]` : null, ...lines].filter(l => l !== null).join('\n');
+        });
+
+        return [header.join('\n'), ...body].filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * 清理輸入文字（統一換行、展開 Tab）
+     * @param {string} text
+     * @returns {string}
+     */
+    clean(text) {
+        return String(text ?? '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/\u00a0/g, ' ')
+            .split('\n')
+            .map(expandTabs)
+            .join('\n');
+    }
+
+    /**
+     * 驗證格式（至少一行和弦行下方接著歌詞）
+     * @param {string} text
+     * @returns {boolean}
+     */
+    validate(text) {
+        const lines = this.clean(text).split('\n').filter(l => l.trim());
+        let pairs = 0;
+        lines.forEach((line, i) => {
+            if (!readChordLine(line)) return;
+            const next = lines[i + 1];
+            if (next && !readChordLine(next) && !readSectionHeader(next.trim()) && /\p{L}{2,}/u.test(next)) pairs++;
+        });
+        return pairs >= 1;
+    }
+}
+
+export default ChordSheetParser;
@@ -1,10 +1,21 @@
 /**
  * GuitarProParser - Guitar Pro (.gp, .gpx, .gp5, .gp4, .gp3) 解析器
  * 解析 Guitar Pro 二進位檔案，轉換為統一 Note 物件
+ * 可轉換單一音軌（convertTrack），或把所有音軌轉為多聲部樂譜（convertAllTracks / toScore），
+ * 每個聲部保有自己的調弦、移調夾、樂器與弦數
+ * 小節結構（反覆與次數、反覆跳房、Segno / Coda / D.S. 等方向記號、段落名稱、拍號與速度變更）
+ * 轉為分隔符；跳房與方向記號 guitarpro-parser 沒有提供，由 parseFile 另行讀取
  */
 
 import { ParserInterface } from '../core/interfaces/ParserInterface.js';
 import { Note } from '../core/models/Note.js';
+import { DIRECTION_MARKERS, OPENING_BARLINES } from '../core/models/Measure.js';
+import { Part } from '../core/models/Part.js';
+import { Score } from '../core/models/Score.js';
+import { getInstrumentForProgram } from '../core/midi/midiWriter.js';
+import { detectKeyFromNotes, MAJOR_KEYS_BY_FIFTHS } from '../core/theory/spelling.js';
+import { DYNAMIC_VELOCITY } from '../core/expression/dynamics.js';
+import { unzip, isZip, listZipEntries } from '../utils/unzip.js';
 import { parseTabFile } from 'guitarpro-parser';
 
 /**
@@ -12,46 +23,252 @@ import { parseTabFile } from 'guitarpro-parser';
  * GP 檔案的 bar.keySignature 格式: 正數=升號數, 負數=降號數
  * 例: 3 = A major / F# minor, -2 = Bb major / G minor
  */
-// 使用 sharp 等價名稱以配合 UI 的 NOTES 列表
+// 依調號實際拼法命名（降號調用降號名稱，音名拼寫才會正確）
 const SHARP_KEYS = ['C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
-const FLAT_KEYS  = ['C', 'F', 'A#', 'D#', 'G#', 'C#', 'F#', 'B'];
+const FLAT_KEYS  = ['C', 'F', 'Bb', 'Eb', 'Ab', 'Db', 'Gb', 'Cb'];
 
 /**
- * 從音符的 pitch class 統計推測調號 (Krumhansl-Schmuckler 簡化版)
- * 統計各 pitch class 的出現次數，找出最吻合大調音階的根音
+ * GP 重音值 → 奏法
+ * GP3-5（二進位）：1 = 重音, 2 = 強重音
+ * GP6-7（.gp / .gpx）：位元旗標 1 = 斷奏, 4 = 強重音, 8 = 重音, 16 = 持續音
+ * @param {number|null} accent
+ * @param {boolean} binary - 是否為 GP3-5 格式
+ * @returns {Array<string>}
  */
-function detectKeyFromNotes(midiNotes) {
-    if (!midiNotes || midiNotes.length === 0) return 'C';
+function getAccentArticulations(accent, binary) {
+    if (!accent) return [];
+    if (binary) return accent === 2 ? ['marcato'] : ['accent'];
+    const result = [];
+    if (accent & 8) result.push('accent');
+    if (accent & 4) result.push('marcato');
+    if (accent & 16) result.push('tenuto');
+    if (accent & 1) result.push('staccato');
+    return result;
+}
 
-    // 統計 pitch class (0-11)
-    const counts = new Array(12).fill(0);
-    for (const midi of midiNotes) {
-        counts[midi % 12]++;
-    }
+/**
+ * GP5 檔頭的方向記號順序（每項一個 short：小節編號，1 起算）；GP6-7 的 <Target> / <Jump> 使用相同名稱
+ */
+const GP5_DIRECTIONS = [
+    'Coda', 'DoubleCoda', 'Segno', 'SegnoSegno', 'Fine',
+    'DaCapo', 'DaCapoAlCoda', 'DaCapoAlDoubleCoda', 'DaCapoAlFine',
+    'DaSegno', 'DaSegnoAlCoda', 'DaSegnoAlDoubleCoda', 'DaSegnoAlFine',
+    'DaSegnoSegno', 'DaSegnoSegnoAlCoda', 'DaSegnoSegnoAlDoubleCoda', 'DaSegnoSegnoAlFine',
+    'DaCoda', 'DaDoubleCoda'
+];
 
-    // Major scale intervals: [0, 2, 4, 5, 7, 9, 11]
-    const majorIntervals = [0, 2, 4, 5, 7, 9, 11];
-    // 使用 sharp 等價名稱以配合 UI
-    const KEY_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+/**
+ * GP 方向記號 → 分隔符記號（Double Coda / Segno Segno 沒有對應，略過）
+ */
+const GP_DIRECTION_MARKERS = {
+    Segno: 'Segno',
+    Coda: 'Coda',
+    Fine: 'Fine',
+    DaCapo: 'D.C.',
+    DaCapoAlCoda: 'D.C.',
+    DaCapoAlFine: 'D.C. al Fine',
+    DaSegno: 'D.S.',
+    DaSegnoAlCoda: 'D.S. al Coda',
+    DaSegnoAlFine: 'D.S.',
+    DaCoda: 'To Coda'
+};
+
+/**
+ * 讀取 GP3 / GP5 小節標頭中的反覆跳房與檔頭的方向記號
+ * 只讀到小節標頭為止，其餘欄位略過（格式同 guitarpro-parser）
+ * @param {Uint8Array} data
+ * @returns {Array<{ alternateEndings: Array<number>|null, directions: Array<string> }>|null} 依小節索引；不支援的版本為 null
+ */
+function readBinaryStructure(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const versionStr = String.fromCharCode(...data.subarray(1, 1 + Math.min(data[0], 30)));
+    const version = versionStr.match(/GUITAR PRO v(\d+)\.(\d+)/);
+    if (!version || (version[1] !== '3' && version[1] !== '5')) return null;
+    const gp5 = version[1] === '5';
+    const newer = gp5 && Number(version[2]) > 0;
+
+    let pos = 31;
+    const byte = () => data[pos++];
+    const short = () => { const v = view.getInt16(pos, true); pos += 2; return v; };
+    const int = () => { const v = view.getInt32(pos, true); pos += 4; return v; };
+    const skipString = () => { const size = int(); pos += Math.max(size, 1 + data[pos]); };
+
+    // 曲目資訊
+    for (let i = 0; i < (gp5 ? 9 : 8); i++) skipString();
+    const notices = int();
+    for (let i = 0; i < notices; i++) skipString();
+
+    const directionBars = [];
+    if (gp5) {
+        // 歌詞、RSE、頁面設定、速度名稱
+        pos += 4;
+        for (let i = 0; i < 5; i++) {
+            pos += 4;
+            const length = int();
+            pos += Math.max(length, 0);
+        }
+        if (newer) pos += 8 + 11;
+        pos += 7 * 4 + 2;
+        for (let i = 0; i < 10; i++) skipString();
+        skipString();
+        pos += 4 + (newer ? 1 : 0) + 1 + 4;     // 速度、隱藏速度、調號、八度
+    } else {
+        pos += 1 + 4 + 4;                       // 三連音感、速度、調號
+    }
+    pos += 64 * 12;                             // MIDI channels
+    if (gp5) {
+        GP5_DIRECTIONS.forEach(name => directionBars.push([name, short()]));
+        pos += 4;                               // master reverb
+    }
 
-    let bestKey = 0;
-    let bestScore = -1;
+    const measureCount = int();
+    pos += 4;                                   // track count
+    const bars = [];
+    let usedEndings = [];   // GP3：同一反覆內已用過的跳房編號
+    for (let i = 0; i < measureCount; i++) {
+        if (gp5 && i > 0) pos += 1;
+        const flags = byte();
+        if (flags & 1) pos += 1;
+        if (flags & 2) pos += 1;
+        if (flags & 4) usedEndings = [];
+        if (flags & 8) pos += 1;
+        let alternative = 0;
+        if (!gp5 && (flags & 16)) alternative = byte();
+        if (flags & 32) { skipString(); pos += 4; }
+        if (flags & 64) pos += 2;
+        if (gp5) {
+            if (flags & 16) alternative = byte();
+            if (flags & 3) pos += 4;
+            if (!(flags & 16)) pos += 1;
+            pos += 1;                           // triplet feel
+        }
 
-    for (let root = 0; root < 12; root++) {
-        let score = 0;
-        for (const interval of majorIntervals) {
-            score += counts[(root + interval) % 12];
+        let endings = null;
+        if (alternative > 0) {
+            // GP5 為位元遮罩；GP3 為「到第 N 次」，扣除同一反覆內前面已用過的編號
+            endings = gp5
+                ? [...Array(8).keys()].filter(b => alternative & (1 << b)).map(b => b + 1)
+                : [...Array(alternative).keys()].map(b => b + 1).filter(n => !usedEndings.includes(n));
+            usedEndings.push(...endings);
         }
-        // 加權：根音出現次數額外加分
-        score += counts[root] * 0.5;
+        if (pos > data.length) return null;
+        bars.push({ alternateEndings: endings?.length ? endings : null, directions: [] });
+    }
+
+    directionBars.forEach(([name, barNumber]) => {
+        if (barNumber > 0 && barNumber <= bars.length) bars[barNumber - 1].directions.push(name);
+    });
+    return bars;
+}
+
+/**
+ * 讀取 GP7（.gp，ZIP 容器）score.gpif 中各 MasterBar 的反覆跳房與方向記號
+ * @param {Uint8Array} data
+ * @returns {Promise<Array<{ alternateEndings: Array<number>|null, directions: Array<string> }>|null>}
+ */
+async function readGpifStructure(data) {
+    const files = await unzip(data);
+    const gpif = files.get('Content/score.gpif');
+    if (!gpif) return null;
+    const xml = new TextDecoder().decode(gpif);
+    const masterBars = xml.match(/<MasterBars>([\s\S]*?)<\/MasterBars>/)?.[1] ?? '';
+    return [...masterBars.matchAll(/<MasterBar\b[^>]*>([\s\S]*?)<\/MasterBar>/g)].map(([, body]) => {
+        const endings = body.match(/<AlternateEndings>([^<]*)<\/AlternateEndings>/)?.[1]
+            .trim().split(/\s+/).map(Number).filter(n => n > 0);
+        return {
+            alternateEndings: endings?.length ? endings : null,
+            directions: [...body.matchAll(/<(?:Target|Jump)>([^<]+)<\/(?:Target|Jump)>/g)].map(m => m[1].trim())
+        };
+    });
+}
+
+/**
+ * 小節的段落名稱與方向記號
+ * GP3-5 常以段落標記（marker）輸入 "D.S. al Coda"、"Fine" 等文字，這類標記視為方向記號
+ * @param {Object} bar - guitarpro-parser 的 TabBar
+ * @param {Object|null} structure - readBinaryStructure / readGpifStructure 的該小節資料
+ * @returns {{ section: string|null, opening: Array<string>, closing: Array<string> }}
+ *   opening 為小節開頭的記號（Segno、Coda），closing 為小節結尾的記號（D.S.、To Coda、Fine…）
+ */
+function getBarMarkers(bar, structure) {
+    const markers = (structure?.directions || []).map(d => GP_DIRECTION_MARKERS[d]).filter(Boolean);
+    let section = bar.section?.text?.trim() || bar.section?.letter?.trim() || null;
+    const direction = section && DIRECTION_MARKERS.find(d => d.toLowerCase() === section.toLowerCase());
+    if (direction) {
+        markers.push(direction);
+        section = null;
+    }
+    const unique = [...new Set(markers)];
+    return {
+        section,
+        opening: unique.filter(m => OPENING_BARLINES.includes(m)),
+        closing: unique.filter(m => !OPENING_BARLINES.includes(m))
+    };
+}
+
+/**
+ * 反覆總演奏次數（預設 2 次時為 null）
+ * guitarpro-parser 的 repeatCount：GP3-5 為反覆「次數」（總次數 - 1），GP6-7 為總次數
+ * @param {Object} bar
+ * @param {boolean} binary - 是否為 GP3-5 格式
+ * @returns {number|null}
+ */
+function getRepeatTimes(bar, binary) {
+    const times = binary ? bar.repeatCount + 1 : bar.repeatCount;
+    return times > 2 ? times : null;
+}
+
+/**
+ * 分隔符（小節線、方向記號或反覆跳房）
+ */
+function createMarker(marker, index) {
+    const separator = Note.createSeparator({ index });
+    separator.jianpu = marker;
+    separator.displayStr = marker;
+    return separator;
+}
 
-        if (score > bestScore) {
-            bestScore = score;
-            bestKey = root;
+/**
+ * 音軌的音符數（不含休止符）
+ * @param {Object} track
+ * @returns {number}
+ */
+function countTrackNotes(track) {
+    let count = 0;
+    for (const bar of track.bars) {
+        for (const beat of bar.beats) {
+            if (!beat.isRest) count += beat.notes.length;
         }
     }
+    return count;
+}
+
+/**
+ * 是否為鼓組音軌（GP6-7 的樂器代號或音軌名稱含 drum / perc）
+ * @param {Object} track
+ * @returns {boolean}
+ */
+function isDrumTrack(track) {
+    return /drum|perc/i.test(track.instrument || '') || /drum|perc/i.test(track.name || '');
+}
 
-    return KEY_NAMES[bestKey];
+/**
+ * 音軌樂器 → 音色 ID（INSTRUMENT_CATEGORIES）
+ * GP3-5 為 "MIDI <program>"；GP6-7 為樂器代號（e-gtr6、s-gtr6、n-gtr6、e-bass4、a-piano…）
+ * @param {Object} track
+ * @returns {string|null} 鼓組或無法辨識時為 null
+ */
+function getTrackInstrument(track) {
+    if (isDrumTrack(track)) return null;
+    const ref = track.instrument || '';
+    const program = ref.match(/^MIDI (\d+)$/);
+    if (program) return getInstrumentForProgram(parseInt(program[1]));
+    if (/bass/i.test(ref)) return /^a-/i.test(ref) ? 'acoustic_bass' : 'electric_bass_finger';
+    if (/^n-gtr|nylon|classical/i.test(ref)) return 'acoustic_guitar_nylon';
+    if (/^e-gtr|electric/i.test(ref)) return 'electric_guitar_clean';
+    if (/gtr|guitar/i.test(ref)) return 'acoustic_guitar_steel';
+    if (/piano|keys/i.test(ref)) return 'acoustic_grand_piano';
+    return null;
 }
 
 export class GuitarProParser extends ParserInterface {
@@ -63,6 +280,8 @@ export class GuitarProParser extends ParserInterface {
         this._timeSignature = '4/4';
         this._key = 'C';
         this._song = null;
+        this._binaryFormat = false;
+        this._structure = null;
     }
 
     get name() {
@@ -73,6 +292,47 @@ export class GuitarProParser extends ParserInterface {
         return 'Guitar Pro (.gp, .gp5, .gp4, .gp3) 解析器';
     }
 
+    get formatId() {
+        return 'guitarpro';
+    }
+
+    get extensions() {
+        return ['.gp', '.gpx', '.gp5', '.gp4', '.gp3'];
+    }
+
+    get mimeTypes() {
+        return ['application/x-guitar-pro', 'application/gpx+xml'];
+    }
+
+    get binary() {
+        return true;
+    }
+
+    /**
+     * 依檔頭判斷：GP3–5 為 "FICHIER GUITAR PRO"、GPX 為 BCFZ / BCFS、GP7 為含 Content/score.gpif 的 ZIP
+     * @param {Uint8Array} data
+     * @returns {number}
+     */
+    sniff(data) {
+        if (!data?.length) return 0;
+        const head = String.fromCharCode(...data.subarray(0, 32));
+        if (/FICHIER GUITARE? PRO/.test(head) || /^BCF[ZS]/.test(head)) return 1;
+        return listZipEntries(data).includes('Content/score.gpif') ? 1 : 0;
+    }
+
+    /**
+     * 讀取檔案：多音軌時回傳音軌清單供選擇，單音軌直接轉換（預設取最高音）
+     * @param {Uint8Array} data
+     * @param {Object} options - { fileName, chordMode }
+     * @returns {Promise<{ notes?: Array<Note>, tracks: Array, metadata: Object }>}
+     */
+    async read(data, options = {}) {
+        const { tracks } = await this.parseFile(data, options.fileName);
+        if (tracks.length > 1) return { tracks, metadata: this.metadata };
+        const notes = this.convertTrack(0, { chordMode: options.chordMode ?? 'highest' });
+        return { notes, tracks, metadata: { ...this.metadata, capo: tracks[0]?.capo || null } };
+    }
+
     get title() { return this._title; }
     get artist() { return this._artist; }
     get tempo() { return this._tempo; }
@@ -83,7 +343,7 @@ export class GuitarProParser extends ParserInterface {
      * 解析 Guitar Pro 二進位檔案並取得音軌清單
      * @param {Uint8Array} data
      * @param {string} fileName
-     * @returns {{ tracks: Array<{ index: number, name: string, noteCount: number }>, song: Object }}
+     * @returns {{ tracks: Array<{ index: number, name: string, noteCount: number, bars: number, tuning: string, stringCount: number, capo: number, instrument: string|null, isDrum: boolean }>, song: Object }}
      */
     parseSong(data, fileName) {
         let song;
@@ -93,6 +353,8 @@ export class GuitarProParser extends ParserInterface {
             throw new Error(`無法解析 Guitar Pro 檔案: ${err.message}`);
         }
         this._song = song;
+        this._structure = null;
+        this._binaryFormat = /\.gp[345]$/i.test(fileName || '');
         this._title = song.title || '';
         this._artist = song.artist || '';
         this._tempo = song.tempo || 120;
@@ -110,28 +372,39 @@ export class GuitarProParser extends ParserInterface {
         this._key = 'C';
 
         // 建立音軌清單
-        const tracks = song.tracks.map((t, i) => {
-            let noteCount = 0;
-            for (const bar of t.bars) {
-                for (const beat of bar.beats) {
-                    if (!beat.isRest) {
-                        noteCount += beat.notes.length;
-                    }
-                }
-            }
-            return {
-                index: i,
-                name: t.name || `Track ${i + 1}`,
-                noteCount,
-                bars: t.bars.length,
-                tuning: t.tuning ? t.tuning.map(n => n.noteName || n).join(' ') : '',
-                capo: t.capoFret || 0
-            };
-        });
+        const tracks = song.tracks.map((t, i) => ({
+            index: i,
+            name: t.name || `Track ${i + 1}`,
+            noteCount: countTrackNotes(t),
+            bars: t.bars.length,
+            tuning: t.tuning ? t.tuning.map(n => n.noteName || n).join(' ') : '',
+            stringCount: t.tuningMidi?.length || 6,
+            capo: t.capoFret || 0,
+            instrument: getTrackInstrument(t),
+            isDrum: isDrumTrack(t)
+        }));
 
         return { tracks, song };
     }
 
+    /**
+     * 解析檔案並讀取小節結構（反覆跳房、方向記號），之後的轉換會帶上這些分隔符
+     * GP3 / GP5 讀二進位小節標頭，GP7 讀 score.gpif；GPX 與 GP4 不支援，只保留反覆與段落
+     * @param {Uint8Array} data
+     * @param {string} fileName
+     * @returns {Promise<{ tracks: Array, song: Object }>} 同 parseSong
+     */
+    async parseFile(data, fileName = '') {
+        const result = this.parseSong(data, fileName);
+        try {
+            this._structure = isZip(data) ? await readGpifStructure(data) : readBinaryStructure(data);
+        } catch (err) {
+            console.warn('GuitarProParser: 無法讀取反覆跳房 / 方向記號', err);
+            this._structure = null;
+        }
+        return result;
+    }
+
     /**
      * 解析 Guitar Pro 二進位檔案
      * @param {Uint8Array} data - Guitar Pro 檔案位元組資料
@@ -165,56 +438,52 @@ export class GuitarProParser extends ParserInterface {
             throw new Error('請先呼叫 parseSong() 或 parseBinary()');
         }
 
-        // 決定要分析的音軌
-        const song = this._song;
-        let track;
-        if (typeof trackIndex === 'number' && trackIndex < song.tracks.length) {
-            track = song.tracks[trackIndex];
-        } else {
-            track = song.tracks[0];
-            let maxNotes = 0;
-            for (let i = 0; i < song.tracks.length; i++) {
-                let nc = 0;
-                for (const bar of song.tracks[i].bars) {
-                    for (const beat of bar.beats) {
-                        if (!beat.isRest) nc += beat.notes.length;
-                    }
-                }
-                if (i === 0 && nc > 0) { track = song.tracks[0]; break; }
-                if (nc > maxNotes) { maxNotes = nc; track = song.tracks[i]; }
-            }
-        }
+        const track = this._song.tracks[this._resolveTrackIndex(trackIndex)];
+        this._key = this._detectKey(track);
+        return this._convertToNotes(track, options);
+    }
 
-        // 從選定音軌的 bar.keySignature 偵測調號
-        let detectedKey = null;
-        if (track.bars.length > 0) {
-            const ks = track.bars[0].keySignature;
-            if (typeof ks === 'number' && ks !== 0) {
-                if (ks > 0 && ks <= 7) detectedKey = SHARP_KEYS[ks];
-                else if (ks < 0 && ks >= -7) detectedKey = FLAT_KEYS[-ks];
-            }
+    /**
+     * 將所有音軌轉換為聲部（調號取自主音軌，所有聲部共用）
+     * @param {Object} options - 同 convertTrack（chordMode）
+     * @returns {Array<{ id: string, name: string, instrument: string|null, tuning: Array<number>, capo: number, isDrum: boolean, notes: Array<Note> }>}
+     */
+    convertAllTracks(options = {}) {
+        if (!this._song) {
+            throw new Error('請先呼叫 parseSong() 或 parseBinary()');
         }
 
-        // 若無 keySignature，從此音軌的音符統計推測
-        if (!detectedKey) {
-            const trackMidi = [];
-            for (const bar of track.bars) {
-                for (const beat of bar.beats) {
-                    if (!beat.isRest) {
-                        for (const n of beat.notes) {
-                            const gpIdx = n.string;
-                            const baseMidi = track.tuningMidi[gpIdx] !== undefined
-                                ? track.tuningMidi[gpIdx] : (64 - n.string * 5);
-                            trackMidi.push(baseMidi + n.fret + (track.capoFret || 0));
-                        }
-                    }
-                }
-            }
-            detectedKey = detectKeyFromNotes(trackMidi);
-        }
-        this._key = detectedKey || 'C';
+        const tracks = this._song.tracks;
+        this._key = this._detectKey(tracks[this._resolveTrackIndex()]);
+        return tracks.map((track, i) => ({
+            id: `P${i + 1}`,
+            name: track.name || `Track ${i + 1}`,
+            instrument: getTrackInstrument(track),
+            tuning: [...(track.tuningMidi || [])],
+            capo: track.capoFret || 0,
+            isDrum: isDrumTrack(track),
+            notes: this._convertToNotes(track, options)
+        }));
+    }
 
-        return this._convertToNotes(song, { ...options, trackIndex });
+    /**
+     * 轉換為多聲部 Score（每個音軌一個 Part）
+     * @param {Object} options - 同 convertAllTracks
+     * @returns {Score}
+     */
+    toScore(options = {}) {
+        const parts = this.convertAllTracks(options).map(({ notes, ...props }) => Part.fromNotes(notes, props));
+        return new Score({
+            parts,
+            metadata: {
+                name: this._title || 'Guitar Pro Import',
+                title: this._title || null,
+                composer: this._artist || null,
+                key: this._key,
+                tempo: this._tempo,
+                timeSignature: this._timeSignature
+            }
+        });
     }
 
     // ParserInterface 要求實作的 parse 方法，但不適用於純文字
@@ -223,61 +492,116 @@ export class GuitarProParser extends ParserInterface {
     }
 
     /**
-     * 將 Guitar Pro Song 物件轉換為 Note 陣列
+     * 音軌索引：指定時直接使用；否則預設取第一軌，若第一軌無音符則取音符最多的軌
      * @private
      */
-    _convertToNotes(song, options = {}) {
-        const notes = [];
-        let noteIndex = 0;
-
-        let track;
-
-        if (typeof options.trackIndex === 'number' && options.trackIndex < song.tracks.length) {
-            // 使用指定的音軌
-            track = song.tracks[options.trackIndex];
-        } else {
-            // 自動選擇：預設取第一軌，若第一軌無音符則取音符最多的軌
-            track = song.tracks[0];
-            let track0HasNotes = false;
-            let maxNotes = 0;
-            let bestFallbackTrack = track;
-
-            for (let i = 0; i < song.tracks.length; i++) {
-                const t = song.tracks[i];
-                let noteCount = 0;
-                for (const bar of t.bars) {
-                    for (const beat of bar.beats) {
-                        if (!beat.isRest) {
-                            noteCount += beat.notes.length;
-                        }
-                    }
-                }
+    _resolveTrackIndex(trackIndex) {
+        const tracks = this._song.tracks;
+        if (typeof trackIndex === 'number' && trackIndex < tracks.length) return trackIndex;
+        if (tracks.length === 0 || countTrackNotes(tracks[0]) > 0) return 0;
+        return tracks.reduce((best, t, i) => countTrackNotes(t) > countTrackNotes(tracks[best]) ? i : best, 0);
+    }
 
-                if (i === 0 && noteCount > 0) {
-                    track0HasNotes = true;
-                }
+    /**
+     * 音軌調號：優先使用第一小節的 keySignature，沒有時由音符統計推測
+     * @private
+     */
+    _detectKey(track) {
+        if (!track) return 'C';
+        if (track.bars.length > 0) {
+            const ks = track.bars[0].keySignature;
+            const count = typeof ks === 'number' ? ks : ks?.accidentalCount;
+            if (count > 0 && count <= 7) return SHARP_KEYS[count];
+            if (count < 0 && count >= -7) return FLAT_KEYS[-count];
+        }
 
-                if (noteCount > maxNotes) {
-                    maxNotes = noteCount;
-                    bestFallbackTrack = t;
+        const trackMidi = [];
+        for (const bar of track.bars) {
+            for (const beat of bar.beats) {
+                if (beat.isRest) continue;
+                for (const n of beat.notes) {
+                    const baseMidi = track.tuningMidi[n.string] !== undefined
+                        ? track.tuningMidi[n.string] : (64 - n.string * 5);
+                    trackMidi.push(baseMidi + n.fret + (track.capoFret || 0));
                 }
             }
-
-            if (!track0HasNotes) {
-                track = bestFallbackTrack;
-            }
         }
+        return detectKeyFromNotes(trackMidi) || 'C';
+    }
+
+    /**
+     * 將 Guitar Pro 音軌轉換為 Note 陣列
+     * @private
+     */
+    _convertToNotes(track, options = {}) {
+        const notes = [];
+        let noteIndex = 0;
 
         let measureCount = 0;
+        let prevMidi = null;    // 前一個單音的音高（決定半音拼寫方向）
+        let prevTimeSig = null;
+        let prevKeySig = null;
+        let prevDynamic = null;
+        let prevBar = null;
+        let prevClosing = [];   // 前一小節結尾的方向記號
+        let currentTempo = this._tempo;
+
+        // 前一小節的結尾：反覆結尾（:|）或小節線，之後接 D.S. / To Coda / Fine 等方向記號
+        const closeBar = () => {
+            const barline = createMarker(prevBar.repeatEnd ? ':|' : '|', noteIndex++);
+            const times = prevBar.repeatEnd ? getRepeatTimes(prevBar, this._binaryFormat) : null;
+            if (times) barline.repeatTimes = times;
+            return [barline, ...prevClosing.map(m => createMarker(m, noteIndex++))];
+        };
 
         for (const bar of track.bars) {
-            // 加入小節線
+            // 小節的拍號 / 調號 / 速度（與前一小節不同時記錄在小節線上）
+            const ts = bar.timeSignature;
+            const timeSig = ts?.numerator && ts?.denominator ? `${ts.numerator}/${ts.denominator}` : prevTimeSig;
+            const ksCount = typeof bar.keySignature === 'number' ? bar.keySignature : bar.keySignature?.accidentalCount;
+            const keySig = MAJOR_KEYS_BY_FIFTHS[ksCount] ?? prevKeySig;
+            const barTempo = bar.beats[0]?.tempo || currentTempo;
+            const markers = getBarMarkers(bar, this._structure?.[bar.index]);
+            const endings = this._structure?.[bar.index]?.alternateEndings;
+
+            // 分隔符：前一小節的結尾，本小節開頭的 |:、Segno / Coda 與反覆跳房
+            const run = measureCount > 0 ? closeBar() : [];
             if (measureCount > 0) {
-                notes.push(Note.createSeparator({ index: noteIndex++ }));
+                const barline = run[0];
+                if (timeSig !== prevTimeSig) barline.timeSignature = timeSig;
+                if (keySig !== prevKeySig) barline.keySignature = keySig;
+                if (barTempo !== currentTempo) {
+                    barline.tempo = barTempo;
+                    currentTempo = barTempo;
+                }
+            }
+            if (bar.repeatStart) run.push(createMarker('|:', noteIndex++));
+            markers.opening.forEach(m => run.push(createMarker(m, noteIndex++)));
+            if (endings) {
+                const volta = createMarker(`${endings.join(',')}.`, noteIndex++);
+                volta.volta = endings;
+                run.push(volta);
             }
+            if (markers.section) {
+                if (run.length === 0) run.push(createMarker('|', noteIndex++));
+                run[run.length - 1].section = markers.section;
+            }
+            notes.push(...run);
+
             measureCount++;
+            prevTimeSig = timeSig;
+            prevKeySig = keySig;
+            prevBar = bar;
+            prevClosing = markers.closing;
 
             for (const beat of bar.beats) {
+                // 速度自動化：只在速度改變處記錄段中速度
+                let beatTempo = null;
+                if (beat.tempo && beat.tempo !== currentTempo) {
+                    beatTempo = beat.tempo;
+                    currentTempo = beat.tempo;
+                }
+
                 // 如果是休止符，加入帶有時值資訊的休止符
                 if (beat.isRest) {
                     const rest = Note.createRest({
@@ -286,7 +610,7 @@ export class GuitarProParser extends ParserInterface {
                     });
                     rest.dotted = beat.dotted || 0;
                     rest.tuplet = beat.tuplet || null;
-                    rest.beatTempo = beat.tempo || null;
+                    rest.beatTempo = beatTempo;
                     notes.push(rest);
                     continue;
                 }
@@ -300,15 +624,21 @@ export class GuitarProParser extends ParserInterface {
                     else if (beatNote.hammerOn) technique = 'hammer-on';
                     else if (beatNote.pullOff) technique = 'pull-off';
                     else if (beatNote.vibrato) technique = 'vibrato';
-                    else if (beatNote.palmMute) technique = 'mute';
+                    else if (beatNote.muted) technique = 'mute';
                     else if (beatNote.harmonic) technique = 'harmonic';
 
+                    // 奏法：重音類、悶音 (P.M.)、延音 (let ring)
+                    const articulations = getAccentArticulations(beatNote.accent, this._binaryFormat);
+                    if (beatNote.palmMute) articulations.push('palm-mute');
+                    if (beatNote.letRing) articulations.push('let-ring');
+
                     const gpStringIdx = beatNote.string;
                     const baseMidi = track.tuningMidi[gpStringIdx] !== undefined
                         ? track.tuningMidi[gpStringIdx]
                         : (64 - beatNote.string * 5);
 
                     const midiNode = baseMidi + beatNote.fret + (track.capoFret || 0);
+                    const direction = (beat.notes.length === 1 && prevMidi != null) ? Math.sign(midiNode - prevMidi) : 0;
 
                     const note = Note.fromMidi(midiNode, {
                         index: noteIndex,
@@ -319,17 +649,27 @@ export class GuitarProParser extends ParserInterface {
                         format: 'guitarpro',
                         key: this._key,
                         scaleType: 'Major',
+                        direction,
                         displayOctaveShift: 1  // 吉他記譜比實音高一個八度
                     });
 
                     // 儲存額外的節拍資訊，供播放引擎使用
                     note.dotted = beat.dotted || 0;
                     note.tuplet = beat.tuplet || null;
-                    note.beatTempo = beat.tempo || null;
+                    note.beatTempo = beatTempo;
+                    note.articulations = articulations;
 
                     beatNotes.push(note);
                 }
 
+                // 力度記號只記錄在變化處（和弦每個音都記錄，避免只取最高 / 最低音時遺失）
+                const dynamic = beat.dynamic ? beat.dynamic.toLowerCase() : null;
+                if (DYNAMIC_VELOCITY[dynamic] && dynamic !== prevDynamic && beatNotes.length > 0) {
+                    beatNotes.forEach(n => { n.dynamic = dynamic; });
+                    prevDynamic = dynamic;
+                }
+                if (beatNotes.length === 1) prevMidi = beatNotes[0].midi;
+
                 // 處理和弦（同 beat 多音符）
                 // chordMode: 'all'=全部匯入, 'highest'=只取最高音, 'lowest'=只取最低音
                 const chordMode = options.chordMode || 'all';
@@ -365,6 +705,9 @@ export class GuitarProParser extends ParserInterface {
             }
         }
 
+        // 最後一小節的反覆結尾 / 方向記號
+        if (prevBar && (prevBar.repeatEnd || prevClosing.length > 0)) notes.push(...closeBar());
+
         return notes;
     }
 }
@@ -7,7 +7,11 @@
 
 import { ParserInterface } from '../core/interfaces/ParserInterface.js';
 import { Note } from '../core/models/Note.js';
-import { NOTES, STRING_TUNINGS, SCALES, getCAGEDFretRange } from '../data/scaleData.js';
+import { spellMidi } from '../core/theory/spelling.js';
+import { NOTES, STRING_TUNINGS, SCALES, getCAGEDFretRange, getNoteIndex } from '../data/scaleData.js';
+import { isChordSymbol } from '../data/chordData.js';
+import { applyLyricLine, getLyric, getVerseCount, isLyricTarget } from '../core/lyrics/lyrics.js';
+import { DIRECTION_MARKERS } from '../core/models/Measure.js';
 
 // Map UI Scale Types to SCALES keys
 export const SCALE_MAPPING = {
@@ -48,6 +52,42 @@ export class JianpuParser extends ParserInterface {
         return '簡譜 (Jianpu) 解析器 - 數字記譜法';
     }
 
+    get formatId() {
+        return 'jianpu';
+    }
+
+    get extensions() {
+        return ['.txt'];
+    }
+
+    /**
+     * 依內容判斷：簡譜數字明顯多於英文字母、且不像六線譜弦線時才有信心（validate 只要有數字就通過）
+     * @param {string} text
+     * @returns {number}
+     */
+    sniff(text) {
+        const str = String(text ?? '');
+        if (!this.validate(str)) return 0;
+        if (/^\s*[A-Ga-g]?\|-+[\d-]/m.test(str)) return 0.1;
+        const digits = (str.match(/[1-7]/g) || []).length;
+        const letters = (str.match(/[A-Za-z]/g) || []).length;
+        return digits >= 4 && digits > letters * 2 ? 0.5 : 0.1;
+    }
+
+    /**
+     * 讀取文字簡譜（調性取自 options；文字開頭的 1=X、拍號與速度作為曲目資訊）
+     * @param {string} text
+     * @param {Object} options - { key, scaleType, octaveOffset }
+     * @returns {Promise<{ notes: Array<Note>, metadata: Object }>}
+     */
+    async read(text, options = {}) {
+        return parseJianpuScore(text, {
+            key: options.key || 'C',
+            scaleType: options.scaleType || 'Major',
+            octaveOffset: options.octaveOffset || 0
+        });
+    }
+
     /**
      * 解析簡譜文字
      * @param {string} text
@@ -66,10 +106,11 @@ export class JianpuParser extends ParserInterface {
     /**
      * 將音符陣列轉換為簡譜文字
      * @param {Array} notes
+     * @param {Object} options - { key, timeSignature, tempo, measuresPerLine }，見 notesToJianpuString
      * @returns {string}
      */
-    stringify(notes) {
-        return notesToJianpuString(notes);
+    stringify(notes, options = {}) {
+        return notesToJianpuString(notes, options);
     }
 
     /**
@@ -127,8 +168,8 @@ export function jianpuToNote(jianpuNum, octaveOffset = 0, key = 'C', scaleType =
     const baseOctave = 4 + octaveOffset;
     const midiNote = 60 + totalSemitone + (octaveOffset * 12);
 
-    // Calculate Note Name safely
-    const noteName = NOTES[(totalSemitone % 12 + 12) % 12];
+    // 依調號拼寫音名（簡譜升降號作為方向：#4 → F#，b7 → Bb）
+    const noteName = spellMidi(midiNote, { key, scaleType, direction: accidental }).name;
 
     return {
         noteName,
@@ -157,125 +198,430 @@ export function cleanJianpuText(text) {
     return cleaned;
 }
 
+// ============================================
+// 文字簡譜語法
+// ============================================
+//
+// 一行一行讀取：
+//   音符行    1 2 3 4 | 5 - 5 - |     _5 低八度（__5 / ₋5 / ₌5）、5. 高八度（5..），#4 / 4# 升、b7 / 7b 降
+//             0 休止符、- 延長、( ) 圓滑線（同音相連為延音線）、3[1 2 3] 連音（n[ ... ]）
+//             |: :| 反覆、|| 雙小節線、[1. [2. 反覆跳房（接在小節線後）
+//             1=D / 1=bE 轉調、3/4 換拍號、♩=90 速度（出現在第一個音之前時為曲首設定）
+//             "Am"5 行內和弦（接在音符前）
+//   和弦行    只有和弦名稱的行，依欄位對齊到下一個音符行的音
+//   歌詞行    音符行下方的文字行（可加 w: 前綴），一行一段；中文逐字對應一個音，
+//             其餘同 ABC w: 語法（- 連字號、_ 拖腔、* 跳過一個音）
+
+const KEY_CHANGE = /1\s*=\s*([#b♯♭]?)([A-Ga-g])([#b♯♭]?)(?![A-Za-z])/y;
+const TIME_CHANGE = /([1-9]\d?)\/(1|2|4|8|16|32)(?!\d)/y;
+const TEMPO_CHANGE = /[♩♪]\s*=\s*(\d{2,3})/y;
+const BARLINE = /:\|:|:\|\|?|\|\|:?|\|:|\|\]|\|/y;
+const VOLTA = /\[(\d+(?:,\d+)*)\.?/y;
+const TUPLET_OPEN = /([2-9])\[/y;
+const INLINE_CHORD = /"([^"\s]+)"/y;
+const NOTE = /(_{1,2}|₋|₌|\u0323)?([#b♯♭])?([1-7])([.·]{1,2})?([#b♯♭])?/y;
+const SYMBOLS = ['(', ')', '[', ']', '{', '}', ':', '=', '>', '_'];
+
+// 小節線記號 → 分隔符（:|: 為結束反覆接開始反覆）
+const BARLINE_MARKS = { ':|:': [':|', '|:'], ':|': [':|'], ':||': [':|'], '||': ['||'], '||:': ['||', '|:'], '|:': ['|:'], '|]': ['||'], '|': ['|'] };
+const WRITTEN_BARLINES = ['|', '||', '|:', ':|'];
+
+// n 連音佔幾個正常音的時間
+const TUPLET_RATIOS = { 2: 3, 3: 2, 4: 3, 5: 4, 6: 4, 7: 4, 8: 6, 9: 8 };
+
+const CJK = /[\u3400-\u9fff\uf900-\ufaff]/;
+const isTarget = (n) => n.isNote || n.isRest;
+
 /**
- * 解析 OCR 識別的簡譜文字
+ * 1=X 的調名 → KEY_OFFSETS 的鍵（bE / Eb → Eb，#F → F#）；不支援時回傳 null
  */
-export function parseJianpuText(text, key = 'C', scaleType = 'Major', globalOctaveOffset = 0) {
+function normalizeKeyName(before, letter, after) {
+    const accidental = (before || after).replace('♯', '#').replace('♭', 'b');
+    const key = letter.toUpperCase() + accidental;
+    return key in KEY_OFFSETS ? key : null;
+}
+
+/**
+ * 調號 → 1=X 的寫法（Eb → bE，F# → #F，小調 Am → A）
+ */
+function formatKeyName(key) {
+    const match = /^([A-G])([#b]?)/.exec(String(key ?? ''));
+    return match ? match[2] + match[1] : null;
+}
+
+/**
+ * 和弦行 → [{ col, chord }]；不是和弦行時回傳 null
+ */
+function readChordLine(line) {
+    const chords = [];
+    for (const match of line.matchAll(/\S+/g)) {
+        if (isChordSymbol(match[0])) chords.push({ col: match.index, chord: match[0] });
+        else if (!/^\|+$/.test(match[0])) return null;
+    }
+    return chords.length > 0 ? chords : null;
+}
+
+/**
+ * 音符行 → 記號 [{ type, col, end, ... }]（無法辨識的字元略過，同 OCR 清理）
+ */
+function tokenizeMusicLine(line) {
+    const tokens = [];
+    const at = (regex, pos) => {
+        regex.lastIndex = pos;
+        return regex.exec(line);
+    };
+    let pos = 0;
+    while (pos < line.length) {
+        const prev = tokens[tokens.length - 1];
+        const afterBarline = !prev || prev.type === 'barline';
+        let match;
+        let token = null;
+        if (/\s/.test(line[pos])) {
+            pos++;
+            continue;
+        } else if ((match = at(KEY_CHANGE, pos))) {
+            const key = normalizeKeyName(match[1], match[2], match[3]);
+            token = key ? { type: 'key', key } : { type: 'skip' };
+        } else if ((match = at(TIME_CHANGE, pos))) {
+            token = { type: 'time', timeSignature: `${match[1]}/${match[2]}` };
+        } else if ((match = at(TEMPO_CHANGE, pos))) {
+            token = { type: 'tempo', tempo: Number(match[1]) };
+        } else if ((match = at(BARLINE, pos))) {
+            token = { type: 'barline', marks: BARLINE_MARKS[match[0]] };
+        } else if (afterBarline && (match = at(VOLTA, pos))) {
+            token = { type: 'volta', volta: match[1].split(',').map(Number) };
+        } else if ((match = at(TUPLET_OPEN, pos))) {
+            token = { type: 'tuplet', num: Number(match[1]) };
+        } else if ((match = at(INLINE_CHORD, pos))) {
+            token = { type: 'chord', chord: match[1] };
+        } else if ((match = at(NOTE, pos))) {
+            const [, low = '', before = '', digit, high = '', after = ''] = match;
+            token = { type: 'note', digit, low: low === '__' || low === '₌' ? 2 : (low ? 1 : 0), high: high.length, accidental: before || after };
+        } else {
+            const ch = line[pos];
+            match = [ch];
+            if (ch === '0') token = { type: 'rest' };
+            else if (ch === '-') token = { type: 'extension' };
+            else if (SYMBOLS.includes(ch)) token = { type: 'symbol', symbol: ch };
+        }
+        if (token && token.type !== 'skip') tokens.push({ ...token, col: pos, end: pos + match[0].length });
+        pos += match[0].length;
+    }
+    return tokens;
+}
+
+/**
+ * 歌詞行 → ABC w: 語法（中文逐字分開，去掉標點）
+ */
+function toLyricSyntax(line) {
+    return line
+        .replace(/^\s*w:/, '')
+        .replace(/[，。！？、；：「」『』（）【】《》,.!?;:"()]/g, ' ')
+        .split('')
+        .map((ch, i, chars) => (CJK.test(ch) && chars[i + 1] && CJK.test(chars[i + 1]) ? ch + ' ' : ch))
+        .join('');
+}
+
+/**
+ * 解析文字簡譜（含調號 / 拍號 / 速度變更、和弦、歌詞、反覆與連音）
+ * @param {string} text
+ * @param {Object} options
+ * @param {string} options.key - 預設調（文字中的 1=X 優先）
+ * @param {string} options.scaleType
+ * @param {number} options.octaveOffset - 整體八度偏移
+ * @returns {{ notes: Array<Object>, metadata: { key?: string, scaleType?: string, timeSignature?: string, tempo?: number } }}
+ */
+export function parseJianpuScore(text, options = {}) {
+    const { scaleType = 'Major', octaveOffset: globalOctaveOffset = 0 } = options;
+    let key = options.key || 'C';
     const notes = [];
-    const cleaned = cleanJianpuText(text);
-    const chars = cleaned.split('');
-    let i = 0;
-
-    while (i < chars.length) {
-        const char = chars[i];
-
-        if (char >= '1' && char <= '7') {
-            let octaveOffset = 0;
-            let displayStr = char;
-
-            if (i > 0) {
-                const prevChar = chars[i - 1];
-                if (prevChar === '_' || prevChar === '̣') {
-                    octaveOffset = -1;
-                    displayStr = '₋' + char;
-                }
-                if (i > 1 && chars[i - 2] === '_' && prevChar === '_') {
-                    octaveOffset = -2;
-                    displayStr = '₌' + char;
-                }
-            }
+    const metadata = {};
+    const lyricLines = [];      // [{ line, verse, startIndex, endIndex }]
+    let lastMusic = null;       // 上一個音符行的範圍與已讀的歌詞段數
+    let pendingChords = null;   // 和弦行，對齊下一個音符行
+    let tuplet = null;
+    let slurStart = -1;
+
+    const createSeparator = (marker) => ({ index: 0, isSeparator: true, displayStr: marker, jianpu: marker });
+    // 第一個音之前的變更是曲首設定，其餘掛在前一個分隔符上（套用於後一小節）
+    const atStart = () => !notes.some(n => !n.isSeparator);
+    const carry = (field, value) => {
+        if (!notes[notes.length - 1].isSeparator) notes.push(createSeparator('|'));
+        notes[notes.length - 1][field] = value;
+    };
 
-            if (i + 1 < chars.length) {
-                const nextChar = chars[i + 1];
-                if (nextChar === '.' || nextChar === '·') {
-                    octaveOffset = 1;
-                    displayStr = char + '·';
-                    i++;
-                    if (i + 1 < chars.length && (chars[i + 1] === '.' || chars[i + 1] === '·')) {
-                        octaveOffset = 2;
-                        displayStr = char + '··';
-                        i++;
+    String(text ?? '').split(/\r?\n/).forEach(line => {
+        if (!line.trim()) return;
+        const chords = readChordLine(line);
+        if (chords) {
+            pendingChords = chords;
+            lastMusic = null;
+            return;
+        }
+
+        const tokens = tokenizeMusicLine(line);
+        const isMusic = tokens.some(t => ['note', 'rest', 'key', 'time', 'tempo'].includes(t.type));
+        const isText = /^\s*w:/.test(line) || (!isMusic && (/[A-Za-z\u3400-\u9fff]/.test(line) || /^[\s*_~|-]+$/.test(line)));
+        if (isText) {
+            if (lastMusic) lyricLines.push({ line: toLyricSyntax(line), verse: ++lastMusic.verses, startIndex: lastMusic.start, endIndex: lastMusic.end });
+            return;
+        }
+        if (tokens.length === 0) return;
+
+        const start = notes.length;
+        const placed = [];      // 本行可掛和弦的音 [{ index, col, end }]
+        let inlineChord = null;
+        tokens.forEach(token => {
+            switch (token.type) {
+                case 'key':
+                    key = token.key;
+                    if (atStart()) Object.assign(metadata, { key, scaleType });
+                    else carry('keySignature', scaleType === 'Minor' ? `${key}m` : key);
+                    break;
+                case 'time':
+                    if (atStart()) metadata.timeSignature = token.timeSignature;
+                    else carry('timeSignature', token.timeSignature);
+                    break;
+                case 'tempo':
+                    if (atStart()) metadata.tempo = token.tempo;
+                    else carry('tempo', token.tempo);
+                    break;
+                case 'barline':
+                    token.marks.forEach(mark => notes.push(createSeparator(mark)));
+                    break;
+                case 'volta': {
+                    const marker = `${token.volta.join(',')}.`;
+                    notes.push({ ...createSeparator(marker), volta: token.volta });
+                    break;
+                }
+                case 'tuplet':
+                    tuplet = { num: token.num, den: TUPLET_RATIOS[token.num] };
+                    break;
+                case 'chord':
+                    inlineChord = token.chord;
+                    break;
+                case 'note':
+                case 'rest': {
+                    let note;
+                    if (token.type === 'rest') {
+                        note = { index: 0, jianpu: '0', displayStr: '0', isRest: true, noteName: 'Rest', octave: 4 };
+                    } else {
+                        const octave = token.high || -token.low;
+                        const accidental = token.accidental.replace('♯', '#').replace('♭', 'b');
+                        const displayStr = (token.low === 2 ? '₌' : (token.low ? '₋' : '')) + token.digit + '·'.repeat(token.high) + accidental;
+                        const pitch = jianpuToNote(token.digit + accidental, octave + globalOctaveOffset, key, scaleType);
+                        note = { ...pitch, index: 0, displayStr, isNote: true };
                     }
+                    if (tuplet) note.tuplet = { ...tuplet };
+                    if (inlineChord) note.chordSymbol = inlineChord;
+                    inlineChord = null;
+                    placed.push({ index: notes.length, col: token.col, end: token.end });
+                    notes.push(note);
+                    break;
                 }
+                case 'extension':
+                    notes.push({ index: 0, jianpu: '-', displayStr: '-', isExtension: true, noteName: '-', octave: 4 });
+                    break;
+                case 'symbol':
+                    if (token.symbol === ']' && tuplet) {
+                        tuplet = null;
+                        break;
+                    }
+                    if (token.symbol === '(') slurStart = notes.length;
+                    if (token.symbol === ')' && slurStart >= 0) {
+                        // 圓滑線內只有兩個同音高的音 → 延音線
+                        const slurred = notes.slice(slurStart).filter(n => n.isNote);
+                        if (slurred.length === 2 && slurred[0].midiNote === slurred[1].midiNote) {
+                            slurred[0].tieStart = true;
+                            slurred[1].tieEnd = true;
+                        }
+                        slurStart = -1;
+                    }
+                    notes.push({ index: 0, isSymbol: true, displayStr: token.symbol, jianpu: token.symbol });
+                    break;
             }
+        });
+
+        // 和弦行：對齊到欄位所在（或其後第一個）的音
+        pendingChords?.forEach(({ col, chord }) => {
+            const target = placed.find(p => p.end > col && !notes[p.index].chordSymbol) ?? placed.filter(p => !notes[p.index].chordSymbol).pop();
+            if (target) notes[target.index].chordSymbol = chord;
+        });
+        pendingChords = null;
+
+        lastMusic = null;
+        if (placed.length > 0) {
+            const last = notes[notes.length - 1];
+            if (last.isSeparator) last.lineBreak = true;
+            lastMusic = { start, end: notes.length - 1, verses: 0 };
+        }
+    });
 
-            if (i + 1 < chars.length) {
-                const charNext = chars[i + 1];
-                if (['#', 'b', '♯', '♭'].includes(charNext)) {
-                    const normalized = (charNext === '♯') ? '#' : ((charNext === '♭') ? 'b' : charNext);
-                    displayStr += normalized;
-                    i++;
-                }
-            }
+    const last = notes[notes.length - 1];
+    if (last?.isSeparator) delete last.lineBreak;
 
-            const finalOctaveOffset = octaveOffset + globalOctaveOffset;
-            const noteInput = displayStr.replace(/[._₋₌·]/g, '');
-            const note = jianpuToNote(noteInput, finalOctaveOffset, key, scaleType);
-            if (note) {
-                notes.push({
-                    ...note,
-                    index: notes.length,
-                    displayStr,
-                    isNote: true
-                });
-            }
-        } else if (char === '0') {
-            notes.push({
-                index: notes.length,
-                jianpu: '0',
-                displayStr: '0',
-                isRest: true,
-                noteName: 'Rest',
-                octave: 4
-            });
-        } else if (char === '-') {
-            notes.push({
-                index: notes.length,
-                jianpu: '-',
-                displayStr: '-',
-                isExtension: true,
-                noteName: '-',
-                octave: 4
-            });
-        } else if (char === '|') {
-            notes.push({
-                index: notes.length,
-                isSeparator: true,
-                displayStr: '|',
-                jianpu: '|'
-            });
-        } else if (['(', ')', '[', ']', '{', '}', ':', '=', '>', '_'].includes(char)) {
-            notes.push({
-                index: notes.length,
-                isSymbol: true,
-                displayStr: char,
-                jianpu: char
-            });
-        }
-        i++;
-    }
-    return notes;
+    const result = lyricLines.reduce((acc, { line, ...range }) => applyLyricLine(acc, line, range), notes);
+    result.forEach((n, i) => {
+        n.index = i;
+    });
+    return { notes: result, metadata };
+}
+
+/**
+ * 解析 OCR 識別的簡譜文字（語法見 parseJianpuScore；只回傳音符）
+ */
+export function parseJianpuText(text, key = 'C', scaleType = 'Major', globalOctaveOffset = 0) {
+    return parseJianpuScore(text, { key, scaleType, octaveOffset: globalOctaveOffset }).notes;
+}
+
+/**
+ * 單一音符 / 休止符 / 延長符 / 符號的文字
+ */
+function formatJianpuItem(n) {
+    if (n.isRest) return '0';
+    if (n.isExtension) return '-';
+    if (n.isSymbol) return n.displayStr;
+    if (n.displayStr) return n.displayStr;
+
+    let str = n.jianpu || '';
+    if (n.octave === 5) str = str + '.';
+    if (n.octave === 6) str = str + '..';
+    if (n.octave === 3) str = '_' + str;
+    if (n.octave === 2) str = '__' + str;
+    if (n.accidentalStr) str += n.accidentalStr;
+    return str;
 }
 
 /**
- * 將音符陣列轉換為簡譜文字
+ * 分隔符 → 記號（小節線、反覆跳房，其後接調號 / 拍號 / 速度變更）；方向記號不輸出
  */
-export function notesToJianpuString(notes) {
-    return notes.map(n => {
-        if (n.isSeparator) return '|';
-        if (n.isRest) return '0';
-        if (n.isExtension) return '-';
-        if (n.isSymbol) return n.displayStr;
-        if (n.displayStr) return n.displayStr;
-
-        let str = n.jianpu || '';
-        if (n.octave === 5) str = str + '.';
-        if (n.octave === 6) str = str + '..';
-        if (n.octave === 3) str = '_' + str;
-        if (n.octave === 2) str = '__' + str;
-        if (n.accidentalStr) str += n.accidentalStr;
-        return str;
-    }).join(' ');
+function formatSeparator(n) {
+    const tokens = [];
+    if (n.volta?.length) tokens.push(`[${n.volta.join(',')}.`);
+    else if (WRITTEN_BARLINES.includes(n.displayStr)) tokens.push(n.displayStr);
+    else if (!DIRECTION_MARKERS.includes(n.displayStr)) tokens.push('|');
+    const key = n.keySignature && formatKeyName(n.keySignature);
+    if (key) tokens.push(`1=${key}`);
+    if (n.timeSignature) tokens.push(n.timeSignature);
+    if (n.tempo) tokens.push(`♩=${n.tempo}`);
+    return tokens;
+}
+
+/**
+ * 各段歌詞在每個音上的記號（同 ABC w:，沒有歌詞時依拖腔與否為 _ 或 *）
+ * @returns {Map<Object, Array<string>>} 音符 → 各段記號（verse 1 起算，索引為 verse - 1）
+ */
+function buildLyricTokens(notes, verses) {
+    const tokens = new Map();
+    const inMelisma = new Array(verses).fill(false);
+    notes.filter(isLyricTarget).forEach(n => {
+        tokens.set(n, inMelisma.map((melisma, v) => {
+            const lyric = getLyric(n, v + 1);
+            if (!lyric) return melisma ? '_' : '*';
+            inMelisma[v] = lyric.extend;
+            const hyphen = lyric.syllabic === 'begin' || lyric.syllabic === 'middle';
+            return lyric.text.replace(/-/g, '\\-').replace(/ /g, '~') + (hyphen ? '-' : '');
+        }));
+    });
+    return tokens;
+}
+
+/**
+ * 一行音符 → 和弦行、音符行、歌詞行（和弦與歌詞對齊音符的欄位）
+ */
+function layoutLine(items, lyricTokens, verses) {
+    let music = '';
+    let chordLine = '';
+    const lyricLines = new Array(verses).fill('');
+    const lastLyric = new Array(verses).fill(0);    // 各段最後一個實際歌詞之後的長度
+
+    items.forEach(({ text, note }) => {
+        let col = music ? music.length + 1 : 0;
+        if (note?.chordSymbol) col = Math.max(col, chordLine ? chordLine.length + 1 : 0);
+        const lyrics = note && lyricTokens.get(note);
+        lyrics?.forEach((_, v) => {
+            col = Math.max(col, lyricLines[v] ? lyricLines[v].length + 1 : 0);
+        });
+        music = music.padEnd(col) + text;
+        if (note?.chordSymbol) chordLine = chordLine.padEnd(col) + note.chordSymbol;
+        lyrics?.forEach((token, v) => {
+            lyricLines[v] = lyricLines[v].padEnd(col) + token;
+            if (token !== '*' && token !== '_') lastLyric[v] = lyricLines[v].length;
+        });
+    });
+
+    const lines = chordLine ? [chordLine, music] : [music];
+    const lastVerse = lastLyric.findLastIndex(len => len > 0);
+    lyricLines.slice(0, lastVerse + 1).forEach((line, v) => lines.push(lastLyric[v] ? line.slice(0, lastLyric[v]) : '*'));
+    return lines;
+}
+
+/**
+ * 將音符陣列轉換為簡譜文字（語法見 parseJianpuScore）
+ * @param {Array} notes
+ * @param {Object} options
+ * @param {string} options.key - 寫出 1=X 表頭
+ * @param {string} options.timeSignature - 寫出拍號表頭（meter 亦可）
+ * @param {number} options.tempo - 寫出 ♩=N 表頭
+ * @param {number} options.measuresPerLine - 每行小節數（0 = 只在分隔符的 lineBreak 換行）
+ * @returns {string}
+ */
+export function notesToJianpuString(notes, options = {}) {
+    const { key, tempo, measuresPerLine = 0 } = options;
+    const timeSignature = options.timeSignature || options.meter;
+    const verses = getVerseCount(notes);
+    const lyricTokens = buildLyricTokens(notes, verses);
+
+    const header = [
+        formatKeyName(key) && `1=${formatKeyName(key)}`,
+        timeSignature,
+        tempo && `♩=${tempo}`
+    ].filter(Boolean).join(' ');
+
+    const lines = [];
+    let items = [];
+    let measures = 0;
+    let tuplet = null;
+    let tupletCount = 0;
+    notes.forEach((n, i) => {
+        const next = notes[i + 1];
+        if (n.isSeparator) {
+            if (tuplet) items[items.length - 1].text += ']';
+            tuplet = null;
+            formatSeparator(n).forEach(text => items.push({ text }));
+            if (next?.isSeparator) return;
+            measures++;
+            if (next && (n.lineBreak || (measuresPerLine > 0 && measures >= measuresPerLine))) {
+                lines.push(...layoutLine(items, lyricTokens, verses));
+                items = [];
+                measures = 0;
+            }
+            return;
+        }
+
+        let text = formatJianpuItem(n);
+        const sameTuplet = tuplet && n.tuplet?.num === tuplet.num && n.tuplet?.den === tuplet.den && tupletCount < tuplet.num;
+        if (tuplet && !sameTuplet && isTarget(n)) {
+            items[items.length - 1].text += ']';
+            tuplet = null;
+        }
+        if (!tuplet && n.tuplet?.num && isTarget(n)) {
+            tuplet = n.tuplet;
+            tupletCount = 0;
+            text = `${n.tuplet.num}[` + text;
+        }
+        if (tuplet && isTarget(n)) tupletCount++;
+
+        const prev = notes[i - 1];
+        if (n.tieStart && !(prev?.isSymbol && prev.displayStr === '(')) text = '(' + text;
+        if (n.tieEnd && !(next?.isSymbol && next.displayStr === ')')) text += ')';
+        if (n.chordSymbol && !isTarget(n)) text = `"${n.chordSymbol}"` + text;
+        items.push({ text, note: isTarget(n) ? n : null });
+    });
+    if (tuplet && items.length > 0) items[items.length - 1].text += ']';
+    if (items.length > 0) lines.push(...layoutLine(items, lyricTokens, verses));
+
+    return (header ? [header, ...lines] : lines).join('\n');
 }
 
 // ============================================
@@ -463,7 +809,7 @@ export function generate3NPSMap(startStringIdx = 5, key = 'C', scaleType = 'Majo
     // Safety check for invalid string index
     if (openMidi === undefined) return [];
 
-    const keyIndex = NOTES.indexOf(key);
+    const keyIndex = getNoteIndex(key);
     if (keyIndex === -1) return [];
 
     const openName = NOTES[((openMidi % 12) + 12) % 12];
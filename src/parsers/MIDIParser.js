@@ -0,0 +1,620 @@
+/**
+ * MIDIParser - Standard MIDI File (.mid, .midi) 解析器
+ * 支援 format 0 / 1：讀取音軌、速度 / 拍號 / 調號 meta 事件與 note on/off，
+ * 依選定的格線量化（每拍自動判斷三連音），跨小節的音以延音線拆開，
+ * 並透過 NoteConverter.toTab 自動安排弦 / 格
+ */
+
+import { ParserInterface } from '../core/interfaces/ParserInterface.js';
+import { Note } from '../core/models/Note.js';
+import { Score } from '../core/models/Score.js';
+import { MAJOR_KEYS_BY_FIFTHS, detectKeyFromNotes } from '../core/theory/spelling.js';
+import { DURATION_BEATS, parseTimeSignature } from '../core/timing/timeline.js';
+import { splitBeats } from '../core/timing/measureCheck.js';
+import { NoteConverter } from '../converters/NoteConverter.js';
+import { STRING_TUNINGS } from '../data/scaleData.js';
+
+const HEADER_CHUNK = 'MThd';
+const TRACK_CHUNK = 'MTrk';
+const DRUM_CHANNEL = 9;
+
+/**
+ * 讀取可變長度數量 (Variable Length Quantity)
+ * @returns {{ value: number, next: number }}
+ */
+function readVLQ(data, pos) {
+    let value = 0;
+    let byte;
+    do {
+        byte = data[pos++];
+        value = (value << 7) | (byte & 0x7f);
+    } while (byte & 0x80 && pos < data.length);
+    return { value, next: pos };
+}
+
+const readUint16 = (data, pos) => (data[pos] << 8) | data[pos + 1];
+const readUint32 = (data, pos) => ((data[pos] << 24) >>> 0) + (data[pos + 1] << 16) + (data[pos + 2] << 8) + data[pos + 3];
+const readChunkId = (data, pos) => String.fromCharCode(...data.subarray(pos, pos + 4));
+
+/**
+ * 調號 meta 事件：sf = 升降記號數（有號位元組），mi = 1 為小調
+ * 小調以關係大調的五度數換算主音（同 MusicXML 匯入）
+ */
+function readKeySignature(sf, mi) {
+    const fifths = sf > 127 ? sf - 256 : sf;
+    if (mi === 1 && MAJOR_KEYS_BY_FIFTHS[fifths + 3]) {
+        return { key: MAJOR_KEYS_BY_FIFTHS[fifths + 3], scaleType: 'Minor' };
+    }
+    return { key: MAJOR_KEYS_BY_FIFTHS[fifths] ?? 'C', scaleType: 'Major' };
+}
+
+/**
+ * 解析一個 MTrk 區塊
+ * @returns {{ name: string, notes: Array, tempos: Array, timeSignatures: Array, keySignatures: Array, programs: Object, endTick: number }}
+ */
+function readTrack(data, start, end) {
+    const track = { name: '', notes: [], tempos: [], timeSignatures: [], keySignatures: [], programs: {}, endTick: 0 };
+    const open = new Map();   // `${channel}:${midi}` → 尚未結束的 note on（FIFO）
+    const decoder = new TextDecoder();
+    let pos = start;
+    let tick = 0;
+    let runningStatus = 0;
+
+    const noteOff = (channel, midi) => {
+        const queue = open.get(`${channel}:${midi}`);
+        const note = queue?.shift();
+        if (note) note.end = tick;
+    };
+
+    while (pos < end) {
+        const delta = readVLQ(data, pos);
+        tick += delta.value;
+        pos = delta.next;
+
+        let status = data[pos];
+        if (status & 0x80) {
+            pos++;
+        } else {
+            status = runningStatus;  // running status：沿用前一個 channel 訊息的狀態位元組
+        }
+
+        if (status === 0xff) {
+            const type = data[pos++];
+            const length = readVLQ(data, pos);
+            const payload = data.subarray(length.next, length.next + length.value);
+            pos = length.next + length.value;
+            if (type === 0x03 && !track.name) track.name = decoder.decode(payload).trim();
+            else if (type === 0x51) track.tempos.push({ tick, bpm: 60000000 / ((payload[0] << 16) | (payload[1] << 8) | payload[2]) });
+            else if (type === 0x58) track.timeSignatures.push({ tick, timeSignature: `${payload[0]}/${2 ** payload[1]}` });
+            else if (type === 0x59) track.keySignatures.push({ tick, ...readKeySignature(payload[0], payload[1]) });
+            else if (type === 0x2f) break;
+            continue;
+        }
+        if (status === 0xf0 || status === 0xf7) {
+            const length = readVLQ(data, pos);
+            pos = length.next + length.value;
+            continue;
+        }
+        if (!(status & 0x80)) throw new Error(`MIDI 事件格式錯誤（位置 ${pos}）`);
+
+        runningStatus = status;
+        const type = status & 0xf0;
+        const channel = status & 0x0f;
+        const data1 = data[pos];
+        const data2 = data[pos + 1];
+        pos += type === 0xc0 || type === 0xd0 ? 1 : 2;
+
+        if (type === 0x90 && data2 > 0) {
+            const note = { start: tick, end: null, midi: data1, velocity: data2, channel };
+            const id = `${channel}:${data1}`;
+            if (!open.has(id)) open.set(id, []);
+            open.get(id).push(note);
+            track.notes.push(note);
+        } else if (type === 0x80 || type === 0x90) {
+            noteOff(channel, data1);
+        } else if (type === 0xc0 && track.programs[channel] == null) {
+            track.programs[channel] = data1;
+        }
+    }
+
+    track.endTick = tick;
+    // 沒有 note off 的音延續到音軌結尾
+    track.notes.forEach(n => {
+        if (n.end == null) n.end = Math.max(tick, n.start + 1);
+    });
+    return track;
+}
+
+/**
+ * MIDI 解析器類別
+ * @extends ParserInterface
+ */
+export class MIDIParser extends ParserInterface {
+    constructor() {
+        super();
+        this._title = '';
+        this._tempo = 120;
+        this._timeSignature = '4/4';
+        this._key = 'C';
+        this._scaleType = 'Major';
+        this._format = 1;
+        this._division = 480;
+        this._tracks = [];          // 可選擇的音軌（音軌 × channel）
+        this._trackNotes = [];      // 與 _tracks 對齊的 note on/off 配對
+        this._tempos = [];
+        this._timeSignatures = [];
+        this._keySignatures = [];
+        this._measures = [];
+    }
+
+    get name() {
+        return 'MIDIParser';
+    }
+
+    get description() {
+        return 'Standard MIDI File (.mid, .midi) 解析器';
+    }
+
+    get formatId() {
+        return 'midi';
+    }
+
+    get extensions() {
+        return ['.mid', '.midi'];
+    }
+
+    get mimeTypes() {
+        return ['audio/midi', 'audio/x-midi'];
+    }
+
+    get binary() {
+        return true;
+    }
+
+    /**
+     * 依檔頭判斷（MThd）
+     * @param {Uint8Array} data
+     * @returns {number}
+     */
+    sniff(data) {
+        return this.validate(data) ? 1 : 0;
+    }
+
+    /**
+     * 讀取檔案：MIDI 需要選擇量化格線，一律回傳音軌清單
+     * @param {Uint8Array} data
+     * @param {Object} options - { fileName }
+     * @returns {Promise<{ tracks: Array, metadata: Object }>}
+     */
+    async read(data, options = {}) {
+        const { tracks } = this.parseSong(data, options.fileName);
+        if (tracks.length === 0) throw new Error('MIDI 檔案沒有音符');
+        return { tracks, metadata: this.metadata };
+    }
+
+    get title() { return this._title; }
+    get tempo() { return this._tempo; }
+    get timeSignature() { return this._timeSignature; }
+    get key() { return this._key; }
+    get scaleType() { return this._scaleType; }
+    get format() { return this._format; }
+
+    /**
+     * 解析 MIDI 檔案並取得音軌清單
+     * 同一 MTrk 內有多個 channel 時（format 0）依 channel 拆成多個音軌
+     * @param {Uint8Array} data
+     * @param {string} fileName
+     * @returns {{ tracks: Array<{ index: number, name: string, channel: number, program: number|null, noteCount: number, bars: number, tuning: string, capo: number }> }}
+     */
+    parseSong(data, fileName = '') {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        if (!this.validate(bytes)) {
+            throw new Error('不是有效的 MIDI 檔案（缺少 MThd 標頭）');
+        }
+
+        const headerLength = readUint32(bytes, 4);
+        this._format = readUint16(bytes, 8);
+        const trackCount = readUint16(bytes, 10);
+        const division = readUint16(bytes, 12);
+        if (division & 0x8000) {
+            throw new Error('不支援 SMPTE 時間格式的 MIDI 檔案');
+        }
+        if (this._format > 1) {
+            throw new Error(`不支援 MIDI format ${this._format}（僅支援 format 0 / 1）`);
+        }
+        this._division = division || 480;
+
+        const rawTracks = [];
+        let pos = 8 + headerLength;
+        while (pos + 8 <= bytes.length && rawTracks.length < trackCount) {
+            const id = readChunkId(bytes, pos);
+            const length = readUint32(bytes, pos + 4);
+            const end = Math.min(pos + 8 + length, bytes.length);
+            if (id === TRACK_CHUNK) rawTracks.push(readTrack(bytes, pos + 8, end));
+            pos = end;
+        }
+
+        // 速度 / 拍號 / 調號為全曲共用（format 1 通常在第一軌）
+        const byTick = (a, b) => a.tick - b.tick;
+        this._tempos = rawTracks.flatMap(t => t.tempos).sort(byTick);
+        this._timeSignatures = rawTracks.flatMap(t => t.timeSignatures).sort(byTick);
+        this._keySignatures = rawTracks.flatMap(t => t.keySignatures).sort(byTick);
+        this._tempo = Math.round(this._tempos.find(t => t.tick === 0)?.bpm ?? 120);
+        this._timeSignature = this._timeSignatures.find(t => t.tick === 0)?.timeSignature ?? '4/4';
+        this._key = this._keySignatures[0]?.key ?? 'C';
+        this._scaleType = this._keySignatures[0]?.scaleType ?? 'Major';
+        this._title = rawTracks[0]?.notes.length === 0 && rawTracks[0].name
+            ? rawTracks[0].name
+            : (fileName || '').replace(/\.midi?$/i, '');
+
+        const lastTick = Math.max(0, ...rawTracks.map(t => Math.max(0, ...t.notes.map(n => n.end))));
+        this._measures = this._buildMeasures(lastTick);
+
+        this._tracks = [];
+        this._trackNotes = [];
+        rawTracks.forEach((raw, t) => {
+            const channels = [...new Set(raw.notes.map(n => n.channel))].sort((a, b) => a - b);
+            channels.forEach(channel => {
+                const notes = raw.notes.filter(n => n.channel === channel);
+                const baseName = raw.name || `Track ${t + 1}`;
+                const lastEnd = Math.max(...notes.map(n => n.end));
+                this._tracks.push({
+                    index: this._tracks.length,
+                    name: channels.length > 1 ? `${baseName} (Ch ${channel + 1})` : baseName,
+                    channel,
+                    program: raw.programs[channel] ?? null,
+                    isDrum: channel === DRUM_CHANNEL,
+                    noteCount: notes.length,
+                    bars: this._measures.filter(m => m.start < lastEnd).length,
+                    tuning: '',
+                    capo: 0
+                });
+                this._trackNotes.push(notes);
+            });
+        });
+
+        return { tracks: this._tracks };
+    }
+
+    /**
+     * 解析 MIDI 檔案（預設取第一個有音符的音軌）
+     * @param {Uint8Array} data
+     * @param {Object} options - 同 convertTrack，另可指定 trackIndex
+     * @returns {Array<Note>}
+     */
+    parseBinary(data, options = {}) {
+        this.parseSong(data, options.fileName);
+        return this.convertTrack(options.trackIndex ?? 0, options);
+    }
+
+    /**
+     * 將指定音軌量化並轉換為 Note 陣列
+     * @param {number} trackIndex - 音軌索引
+     * @param {Object} options
+     * @param {string} options.grid - 量化格線：'quarter' | 'eighth' | '16th' | '32nd'
+     * @param {boolean} options.triplets - 是否偵測三連音（以拍為單位，格線為八分音符以下時有效）
+     * @param {string} options.chordMode - 'all' | 'highest' | 'lowest'（同 GuitarProParser）
+     * @param {Array<number>} options.tuning - 自動安排弦 / 格使用的調弦（0 = 最高音弦）
+     * @returns {Array<Note>}
+     */
+    convertTrack(trackIndex = 0, options = {}) {
+        if (this._measures.length === 0) {
+            throw new Error('請先呼叫 parseSong() 或 parseBinary()');
+        }
+        const { grid = '16th', triplets = true, chordMode = 'all', tuning = STRING_TUNINGS } = options;
+        const trackNotes = this._trackNotes[trackIndex] ?? this._trackNotes[0];
+        if (!trackNotes) return [];
+
+        // 沒有調號 meta 事件時由此音軌的音高推測
+        if (this._keySignatures.length === 0) {
+            this._key = detectKeyFromNotes(trackNotes.map(n => n.midi));
+            this._scaleType = 'Major';
+        }
+
+        const snap = this._createQuantizer(trackNotes, {
+            gridTicks: this._division * (DURATION_BEATS[grid] ?? 0.25),
+            triplets: triplets && (DURATION_BEATS[grid] ?? 0.25) <= 0.5
+        });
+        const segments = this._buildSegments(trackNotes, snap);
+        return this._segmentsToNotes(segments, snap, { chordMode, tuning });
+    }
+
+    /**
+     * 轉換為 Score（含樂譜資訊）
+     * @param {number} trackIndex
+     * @param {Object} options - 同 convertTrack
+     * @returns {Score}
+     */
+    toScore(trackIndex = 0, options = {}) {
+        const notes = this.convertTrack(trackIndex, options);
+        return new Score({
+            notes,
+            metadata: {
+                name: this._title || 'MIDI Import',
+                title: this._title || null,
+                key: this._key,
+                scaleType: this._scaleType,
+                tempo: this._tempo,
+                timeSignature: this._timeSignature
+            }
+        });
+    }
+
+    // ParserInterface 要求實作的 parse 方法，但不適用於純文字
+    parse() {
+        throw new Error('MIDIParser requires binary data. Use parseBinary() instead.');
+    }
+
+    /**
+     * 二進位資料不需清理
+     * @param {Uint8Array} data
+     * @returns {Uint8Array}
+     */
+    clean(data) {
+        return data;
+    }
+
+    /**
+     * 驗證格式（開頭為 MThd）
+     * @param {Uint8Array} data
+     * @returns {boolean}
+     */
+    validate(data) {
+        return !!data && data.length >= 14 && readChunkId(data, 0) === HEADER_CHUNK;
+    }
+
+    // ==================== Private Methods ====================
+
+    /**
+     * 依拍號變更建立小節表（拍號事件從其所在或之後的第一個小節生效）
+     * @private
+     * @returns {Array<{ start: number, end: number, timeSignature: string }>}
+     */
+    _buildMeasures(lastTick) {
+        const measures = [];
+        const changes = this._timeSignatures;
+        let timeSignature = this._timeSignature;
+        let next = 0;
+        let start = 0;
+        do {
+            while (next < changes.length && changes[next].tick <= start) {
+                timeSignature = changes[next].timeSignature;
+                next++;
+            }
+            const { beats, beatType } = parseTimeSignature(timeSignature);
+            const length = Math.round(beats * (4 / beatType) * this._division);
+            measures.push({ start, end: start + length, timeSignature });
+            start += length;
+        } while (start < lastTick);
+        return measures;
+    }
+
+    /**
+     * 建立量化函式：每拍比較直格與三連音格的誤差，三連音明顯較準時該拍改用三連音格
+     * @private
+     * @returns {{ (tick: number): number, stepAt: Function, isTriplet: Function }}
+     */
+    _createQuantizer(notes, { gridTicks, triplets }) {
+        const division = this._division;
+        const tripletTicks = division / 3;
+        const decisions = new Map();   // 拍起點 → 是否三連音
+
+        const beatStartOf = (tick) => {
+            const measure = this._measures.find(m => tick < m.end) ?? this._measures[this._measures.length - 1];
+            return measure.start + Math.floor((tick - measure.start) / division) * division;
+        };
+        const error = (offset, step) => Math.abs(offset - Math.round(offset / step) * step);
+
+        if (triplets) {
+            const onsets = new Map();
+            notes.forEach(n => {
+                const beat = beatStartOf(n.start);
+                if (!onsets.has(beat)) onsets.set(beat, []);
+                onsets.get(beat).push(n.start - beat);
+            });
+            onsets.forEach((offsets, beat) => {
+                const straight = offsets.reduce((sum, o) => sum + error(o, gridTicks), 0);
+                const triplet = offsets.reduce((sum, o) => sum + error(o, tripletTicks), 0);
+                const offBeat = offsets.some(o => {
+                    const slot = Math.round(o / tripletTicks) % 3;
+                    return slot === 1 || slot === 2;
+                });
+                decisions.set(beat, offBeat && triplet < straight / 2);
+            });
+        }
+
+        const isTriplet = (tick) => decisions.get(beatStartOf(tick)) === true;
+        const stepAt = (tick) => isTriplet(tick) ? tripletTicks : gridTicks;
+        const snap = (tick) => {
+            const beat = beatStartOf(tick);
+            const step = decisions.get(beat) ? tripletTicks : gridTicks;
+            return beat + Math.round((tick - beat) / step) * step;
+        };
+        snap.stepAt = stepAt;
+        snap.isTriplet = isTriplet;
+        return snap;
+    }
+
+    /**
+     * 量化後依起點分組：同起點的音為和弦，到下一組起點前結束（單一聲部），中間的空檔為休止符
+     * @private
+     * @returns {Array<{ start: number, end: number, pitches: Array<{midi: number, velocity: number}>|null }>}
+     */
+    _buildSegments(notes, snap) {
+        const groups = new Map();
+        notes.forEach(n => {
+            const start = snap(n.start);
+            let end = snap(n.end);
+            if (end <= start) end = start + snap.stepAt(start);
+            if (!groups.has(start)) groups.set(start, { start, end, pitches: [] });
+            const group = groups.get(start);
+            group.end = Math.max(group.end, end);
+            if (!group.pitches.some(p => p.midi === n.midi)) group.pitches.push({ midi: n.midi, velocity: n.velocity });
+        });
+
+        const sorted = [...groups.values()].sort((a, b) => a.start - b.start);
+        const segments = [];
+        let cursor = 0;
+        sorted.forEach((group, i) => {
+            if (group.start > cursor) segments.push({ start: cursor, end: group.start, pitches: null });
+            const nextStart = sorted[i + 1]?.start ?? Infinity;
+            const end = Math.min(group.end, nextStart);
+            group.pitches.sort((a, b) => b.midi - a.midi);
+            segments.push({ start: group.start, end, pitches: group.pitches });
+            cursor = end;
+        });
+
+        // 最後一小節補滿休止符
+        const lastMeasure = this._measures.find(m => cursor <= m.end && cursor > m.start);
+        if (lastMeasure && cursor < lastMeasure.end) segments.push({ start: cursor, end: lastMeasure.end, pitches: null });
+        return segments;
+    }
+
+    /**
+     * 拆成可記譜的時值（在小節線與三連音拍的邊界切開），加上小節線、速度 / 拍號 / 調號變更與延音線
+     * @private
+     */
+    _segmentsToNotes(segments, snap, { chordMode, tuning }) {
+        const division = this._division;
+        const notes = [];
+        let noteIndex = 0;
+        let prevMidi = null;
+        let measureIndex = 0;
+        let keyIndex = 1;   // 第一個調號為樂譜調號
+        let tempoIndex = this._tempos.findIndex(t => t.tick > 0);
+        const useBeatTempo = this._tempos.some(t => t.tick > 0 && !this._measures.some(m => m.start === t.tick));
+        let currentTempo = this._tempo;
+
+        const tabOf = (midi, used) => {
+            const tab = NoteConverter.toTab({ midi }, { tuning });
+            const position = (tab.allPositions || []).find(p => !used.has(p.string));
+            if (position) used.add(position.string);
+            return position ?? null;
+        };
+
+        // 切點：小節線與三連音拍的起訖
+        const cutsIn = (start, end) => {
+            const cuts = new Set();
+            this._measures.forEach(m => {
+                if (m.start > start && m.start < end) cuts.add(m.start);
+            });
+            for (let beat = Math.floor(start / division) * division; beat < end; beat += division) {
+                [beat, beat + division].forEach(edge => {
+                    if (edge > start && edge < end && (snap.isTriplet(edge - 1) || snap.isTriplet(edge))) cuts.add(edge);
+                });
+            }
+            return [start, ...[...cuts].sort((a, b) => a - b), end];
+        };
+
+        // 一段（同一拍型內）的時值：三連音拍以 1/3 拍為單位，其餘拆成附點 / 一般時值
+        const rhythmsOf = (start, length) => {
+            if (snap.isTriplet(start)) {
+                const units = Math.round(length / (division / 3));
+                if (units === 3) return [{ duration: 'quarter', dotted: 0, tuplet: null, ticks: division }];
+                const tuplet = { num: 3, den: 2 };
+                if (units === 2) return [{ duration: 'quarter', dotted: 0, tuplet, ticks: division * 2 / 3 }];
+                return [{ duration: 'eighth', dotted: 0, tuplet, ticks: division / 3 }];
+            }
+            return splitBeats(length / division).map(fill => ({
+                duration: fill.duration,
+                dotted: fill.dotted,
+                tuplet: null,
+                ticks: fill.beats * division
+            }));
+        };
+
+        const pushBarline = (tick) => {
+            const measure = this._measures[measureIndex];
+            const previous = this._measures[measureIndex - 1];
+            const separator = Note.createSeparator({ index: noteIndex++ });
+            if (measure.timeSignature !== previous.timeSignature) separator.timeSignature = measure.timeSignature;
+            while (keyIndex < this._keySignatures.length && this._keySignatures[keyIndex].tick <= tick) {
+                const change = this._keySignatures[keyIndex++];
+                separator.keySignature = change.scaleType === 'Minor' ? `${change.key}m` : change.key;
+            }
+            if (!useBeatTempo) {
+                while (tempoIndex >= 0 && tempoIndex < this._tempos.length && this._tempos[tempoIndex].tick <= tick) {
+                    separator.tempo = Math.round(this._tempos[tempoIndex++].bpm);
+                }
+            }
+            notes.push(separator);
+        };
+
+        segments.forEach(segment => {
+            // 同一段的各音共用弦位，延音線拆開的後續音沿用
+            const used = new Set();
+            const pitches = segment.pitches
+                ? (chordMode === 'highest' ? segment.pitches.slice(0, 1)
+                    : chordMode === 'lowest' ? segment.pitches.slice(-1)
+                        : segment.pitches).map(p => ({ ...p, tab: tabOf(p.midi, used) }))
+                : null;
+            const chordFrets = segment.pitches && segment.pitches.length > 1 && chordMode !== 'all'
+                ? segment.pitches.map(p => tabOf(p.midi, new Set())).filter(Boolean).map(p => ({ string: p.string, fret: p.fret }))
+                : null;
+
+            const cuts = cutsIn(segment.start, segment.end);
+            const pieces = [];
+            for (let c = 0; c < cuts.length - 1; c++) {
+                let tick = cuts[c];
+                rhythmsOf(cuts[c], cuts[c + 1] - cuts[c]).forEach(rhythm => {
+                    pieces.push({ tick, ...rhythm });
+                    tick += rhythm.ticks;
+                });
+            }
+
+            pieces.forEach((piece, p) => {
+                while (measureIndex + 1 < this._measures.length && this._measures[measureIndex + 1].start <= piece.tick) {
+                    measureIndex++;
+                    pushBarline(this._measures[measureIndex].start);
+                }
+                if (useBeatTempo) {
+                    while (tempoIndex >= 0 && tempoIndex < this._tempos.length && this._tempos[tempoIndex].tick <= piece.tick) {
+                        currentTempo = Math.round(this._tempos[tempoIndex++].bpm);
+                    }
+                }
+
+                if (!pitches) {
+                    const rest = Note.createRest({ index: noteIndex++, duration: piece.duration });
+                    rest.dotted = piece.dotted;
+                    rest.tuplet = piece.tuplet;
+                    if (useBeatTempo) rest.beatTempo = currentTempo;
+                    notes.push(rest);
+                    return;
+                }
+
+                pitches.forEach((pitch, i) => {
+                    const direction = pitches.length === 1 && prevMidi != null ? Math.sign(pitch.midi - prevMidi) : 0;
+                    const note = Note.fromMidi(pitch.midi, {
+                        index: noteIndex,
+                        duration: piece.duration,
+                        stringIndex: pitch.tab?.string ?? null,
+                        fret: pitch.tab?.fret ?? null,
+                        format: 'midi',
+                        key: this._key,
+                        scaleType: this._scaleType,
+                        direction,
+                        displayOctaveShift: 1  // 吉他記譜比實音高一個八度
+                    });
+                    note.dotted = piece.dotted;
+                    note.tuplet = piece.tuplet;
+                    note.velocity = pitch.velocity;
+                    note.tieStart = p < pieces.length - 1;
+                    note.tieEnd = p > 0;
+                    if (useBeatTempo) note.beatTempo = currentTempo;
+                    if (chordFrets) note.chordFrets = chordFrets;
+                    if (pitches.length > 1) {
+                        note.isChord = true;
+                        note.chordPosition = i;
+                    }
+                    notes.push(note);
+                });
+                if (pitches.length === 1) prevMidi = pitches[0].midi;
+                noteIndex++;
+            });
+        });
+
+        return notes;
+    }
+}
+
+export default MIDIParser;
@@ -0,0 +1,1292 @@
+/**
+ * MusicXMLParser - MusicXML 解析器
+ * 支援 .xml / .musicxml 與壓縮的 .mxl，多軌時可選擇聲部（part）
+ * 讀取時值、附點、連音、和弦、延音線、聲部、調號 / 拍號 / 速度變更、反覆記號、
+ * 吉他 <technical> 的弦 / 格、奏法、力度與歌詞
+ * stringify 輸出 score-partwise，可再由 parse 讀回
+ */
+
+import { ParserInterface } from '../core/interfaces/ParserInterface.js';
+import { Note } from '../core/models/Note.js';
+import {
+    MAJOR_KEYS_BY_FIFTHS,
+    alterToAccidental,
+    parsePitchName,
+    spellMidi,
+    spellNotes,
+    getKeySignature,
+    splitKeySignature
+} from '../core/theory/spelling.js';
+import { DYNAMIC_VELOCITY } from '../core/expression/dynamics.js';
+import { LYRIC_SYLLABICS } from '../core/lyrics/lyrics.js';
+import { PPQ, DURATION_BEATS, getDurationBeats, getDurationTicks, quantizeDuration } from '../core/timing/timeline.js';
+import { splitBeats } from '../core/timing/measureCheck.js';
+import { Measure, DIRECTION_MARKERS, OPENING_BARLINES, splitMeasures } from '../core/models/Measure.js';
+import { STRING_TUNINGS } from '../data/scaleData.js';
+import { unzip, isZip, listZipEntries } from '../utils/unzip.js';
+import { parseXmlDocument } from '../utils/xmlDom.js';
+
+const BARLINE_MARKS = [':|', '||'];
+// 反覆跳房分隔符的記號（與 ABC / AlphaTex 匯入相同）
+const VOLTA_MARKER = /^\d+(,\d+)*\.$/;
+const NOTE_TYPES = ['whole', 'half', 'quarter', 'eighth', '16th', '32nd', '64th'];
+const STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// <articulations> 子元素 → 奏法
+const ARTICULATION_TAGS = {
+    'accent': 'accent',
+    'strong-accent': 'marcato',
+    'staccato': 'staccato',
+    'staccatissimo': 'staccato',
+    'tenuto': 'tenuto'
+};
+
+// <technical> / <notations> 子元素 → 演奏技巧
+const TECHNIQUE_TAGS = {
+    'hammer-on': 'hammer-on',
+    'pull-off': 'pull-off',
+    'bend': 'bend',
+    'harmonic': 'harmonic',
+    'tap': 'tap',
+    'slide': 'slide',
+    'glissando': 'slide'
+};
+
+// 和弦記號後綴 ↔ MusicXML <kind>（同一 kind 以第一個後綴為匯入預設）
+const HARMONY_KINDS = [
+    ['', 'major'], ['m', 'minor'], ['7', 'dominant'], ['maj7', 'major-seventh'], ['m7', 'minor-seventh'],
+    ['dim', 'diminished'], ['dim7', 'diminished-seventh'], ['aug', 'augmented'], ['+', 'augmented'],
+    ['m7b5', 'half-diminished'], ['sus2', 'suspended-second'], ['sus4', 'suspended-fourth'], ['sus', 'suspended-fourth'],
+    ['6', 'major-sixth'], ['m6', 'minor-sixth'], ['9', 'dominant-ninth'], ['maj9', 'major-ninth'], ['m9', 'minor-ninth'],
+    ['11', 'dominant-11th'], ['13', 'dominant-13th'], ['mMaj7', 'major-minor'], ['5', 'power']
+];
+
+// <sound> 屬性 → 方向記號
+const SOUND_DIRECTIONS = {
+    'segno': 'Segno',
+    'coda': 'Coda',
+    'dacapo': 'D.C.',
+    'dalsegno': 'D.S.',
+    'fine': 'Fine',
+    'tocoda': 'To Coda'
+};
+
+// 時值別名 → MusicXML <type>
+const TYPE_ALIASES = { '8th': 'eighth', 'sixteenth': '16th', 'thirty-second': '32nd' };
+
+// 演奏技巧 → <technical> 子元素（slide / vibrato / mute 另外處理）
+const TECHNIQUE_XML = {
+    'hammer-on': () => xmlElement('hammer-on', 'H', { type: 'start' }),
+    'pull-off': () => xmlElement('pull-off', 'P', { type: 'start' }),
+    'bend': () => xmlElement('bend', [xmlElement('bend-alter', 1)]),
+    'release': () => xmlElement('bend', [xmlElement('bend-alter', 1), xmlElement('release')]),
+    'harmonic': () => xmlElement('harmonic'),
+    'tap': () => xmlElement('tap')
+};
+
+// 方向記號 → <sound> 屬性（匯出）
+const DIRECTION_SOUNDS = {
+    'Segno': { segno: 'segno' },
+    'Coda': { coda: 'coda' },
+    'D.C.': { dacapo: 'yes' },
+    'D.C. al Fine': { dacapo: 'yes' },
+    'D.S.': { dalsegno: 'segno' },
+    'D.S. al Coda': { dalsegno: 'segno' },
+    'Fine': { fine: 'yes' },
+    'To Coda': { tocoda: 'coda' }
+};
+
+const isSymbol = (n) => n.isSymbol || n._type === 'symbol';
+const isRest = (n) => n.isRest || n._type === 'rest';
+const isExtension = (n) => n.isExtension || n._type === 'extension';
+const isChordMember = (n) => n.isChord && n.chordPosition > 0;
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * 組出 XML 元素：content 為陣列時每個子元素縮排一行，字串 / 數字為文字內容，null 為空元素
+ * @param {string} name
+ * @param {Array|string|number|null} content
+ * @param {Object} attrs - 值為 null 的屬性略過
+ * @returns {string}
+ */
+function xmlElement(name, content = null, attrs = {}) {
+    const attrText = Object.entries(attrs)
+        .filter(([, v]) => v != null)
+        .map(([k, v]) => ` ${k}="${escapeXml(v)}"`)
+        .join('');
+    if (Array.isArray(content)) {
+        const children = content.flat().filter(Boolean);
+        if (children.length === 0) return `<${name}${attrText}/>`;
+        return `<${name}${attrText}>\n${children.map(c => c.replace(/^/gm, '  ')).join('\n')}\n</${name}>`;
+    }
+    if (content == null || content === '') return `<${name}${attrText}/>`;
+    return `<${name}${attrText}>${escapeXml(content)}</${name}>`;
+}
+
+/**
+ * 和弦記號字串 → <harmony>（無法辨識時回傳 null）
+ */
+function writeHarmony(symbol) {
+    const match = String(symbol).match(/^\s*([A-G])([#b♯♭]?)(.*?)(?:\/([A-G])([#b♯♭]?))?\s*$/);
+    if (!match) return null;
+    const [, step, accidental, suffix, bassStep, bassAccidental] = match;
+    const alterOf = (acc) => ({ '#': 1, '♯': 1, 'b': -1, '♭': -1 }[acc] ?? null);
+    const kind = HARMONY_KINDS.find(([s]) => s === suffix)?.[1] ?? 'other';
+    return xmlElement('harmony', [
+        xmlElement('root', [
+            xmlElement('root-step', step),
+            alterOf(accidental) != null && xmlElement('root-alter', alterOf(accidental))
+        ]),
+        xmlElement('kind', kind, { text: suffix }),
+        bassStep && xmlElement('bass', [
+            xmlElement('bass-step', bassStep),
+            alterOf(bassAccidental) != null && xmlElement('bass-alter', alterOf(bassAccidental))
+        ])
+    ]);
+}
+
+/**
+ * 調號 → <key>
+ */
+function writeKey(key, scaleType) {
+    const split = splitKeySignature(key, scaleType);
+    const signature = getKeySignature(split.key, split.scaleType);
+    return xmlElement('key', [
+        xmlElement('fifths', signature.fifths),
+        xmlElement('mode', signature.isMinor ? 'minor' : 'major')
+    ]);
+}
+
+/**
+ * 方向記號 → <direction>（文字 + 對應的 <sound>）
+ */
+function writeMarker(marker) {
+    const typeContent = marker === 'Segno' ? xmlElement('segno')
+        : marker === 'Coda' ? xmlElement('coda')
+            : xmlElement('words', marker);
+    return xmlElement('direction', [
+        xmlElement('direction-type', [typeContent]),
+        DIRECTION_SOUNDS[marker] && xmlElement('sound', null, DIRECTION_SOUNDS[marker])
+    ], { placement: 'above' });
+}
+
+/**
+ * 文字 / 力度類的 <direction>
+ */
+function writeDirection(typeContent, placement = 'above', sound = null) {
+    return xmlElement('direction', [
+        xmlElement('direction-type', [typeContent]),
+        sound && xmlElement('sound', null, sound)
+    ], { placement });
+}
+
+const childrenOf = (el, name) => Array.from(el?.children || []).filter(c => c.tagName === name);
+const childOf = (el, name) => childrenOf(el, name)[0] ?? null;
+const textOf = (el, name) => childOf(el, name)?.textContent?.trim() ?? null;
+const numberOf = (el, name) => {
+    const value = parseFloat(textOf(el, name));
+    return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * 由拍數反推時值名稱與附點（找不到精確值時量化）
+ * @param {number} beats
+ * @returns {{ duration: string, dotted: number }}
+ */
+function durationFromBeats(beats) {
+    for (const duration of NOTE_TYPES) {
+        for (let dotted = 0; dotted <= 2; dotted++) {
+            if (Math.abs(getDurationBeats(duration, dotted) - beats) < 1e-6) return { duration, dotted };
+        }
+    }
+    return { duration: quantizeDuration(beats, NOTE_TYPES), dotted: 0 };
+}
+
+/**
+ * 調號：<fifths> + <mode>（小調以關係大調的五度數換算主音）
+ * @returns {{ key: string, scaleType: string }|null}
+ */
+function readKey(keyEl) {
+    const fifths = numberOf(keyEl, 'fifths');
+    if (fifths == null) return null;
+    const minor = textOf(keyEl, 'mode') === 'minor' && MAJOR_KEYS_BY_FIFTHS[fifths + 3];
+    return minor
+        ? { key: MAJOR_KEYS_BY_FIFTHS[fifths + 3], scaleType: 'Minor' }
+        : { key: MAJOR_KEYS_BY_FIFTHS[fifths] ?? 'C', scaleType: 'Major' };
+}
+
+/**
+ * <metronome> 的每分鐘拍數換算為四分音符 BPM
+ */
+function readMetronome(metronomeEl) {
+    const perMinute = numberOf(metronomeEl, 'per-minute');
+    if (!perMinute) return null;
+    const unit = textOf(metronomeEl, 'beat-unit');
+    const dotted = childrenOf(metronomeEl, 'beat-unit-dot').length;
+    return Math.round(perMinute * getDurationBeats(unit in DURATION_BEATS ? unit : 'quarter', dotted));
+}
+
+/**
+ * <harmony> → 和弦記號字串（kind 的 text 屬性保留原本的寫法）
+ */
+function readHarmony(harmonyEl) {
+    const rootEl = childOf(harmonyEl, 'root');
+    const step = textOf(rootEl, 'root-step');
+    if (!step) return null;
+    const kindEl = childOf(harmonyEl, 'kind');
+    const kind = kindEl?.textContent?.trim() || 'major';
+    const suffix = kindEl?.hasAttribute('text')
+        ? kindEl.getAttribute('text')
+        : (HARMONY_KINDS.find(([, k]) => k === kind)?.[0] ?? '');
+    const bassEl = childOf(harmonyEl, 'bass');
+    const bass = textOf(bassEl, 'bass-step');
+    return step + alterToAccidental(numberOf(rootEl, 'root-alter') ?? 0) + suffix
+        + (bass ? '/' + bass + alterToAccidental(numberOf(bassEl, 'bass-alter') ?? 0) : '');
+}
+
+/**
+ * 反覆跳房的範圍（匯出 <ending> 用）：從有 volta 的小節開始，到 :|（stop）、||、
+ * 下一個反覆開始或跳房之前為止（discontinue）；之後都沒有這些記號時只涵蓋開頭小節
+ * @param {Array} measures - splitMeasures 的結果
+ * @returns {Array<{ start: number, end: number, number: string, type: 'stop'|'discontinue' }>}
+ */
+function findEndings(measures) {
+    const endings = [];
+    measures.forEach((measure, m) => {
+        const volta = measure.startBarlines.find(b => b.volta?.length)?.volta;
+        if (!volta) return;
+        const ending = { start: m, end: m, number: volta.join(', '), type: 'discontinue' };
+        for (let k = m; k < measures.length; k++) {
+            const marks = measures[k].endBarlines.map(b => b.displayStr);
+            const next = measures[k + 1];
+            if (marks.includes(':|') || marks.includes('||') || next?.startBarlines.some(b => b.displayStr === '|:' || b.volta?.length)) {
+                Object.assign(ending, { end: k, type: marks.includes(':|') ? 'stop' : 'discontinue' });
+                break;
+            }
+        }
+        endings.push(ending);
+    });
+    return endings;
+}
+
+/**
+ * 分隔符（小節線、方向記號或反覆跳房 1. / 1,2.）
+ */
+function createMarker(marker, index) {
+    const separator = Note.createSeparator({ index });
+    separator.jianpu = marker;
+    separator.displayStr = marker;
+    if (VOLTA_MARKER.test(marker)) separator.volta = marker.slice(0, -1).split(',').map(Number);
+    return separator;
+}
+
+/**
+ * MusicXML 解析器類別
+ * @extends ParserInterface
+ */
+export class MusicXMLParser extends ParserInterface {
+    constructor() {
+        super();
+        this._title = '';
+        this._composer = '';
+        this._lyricist = '';
+        this._tempo = 120;
+        this._timeSignature = '4/4';
+        this._key = 'C';
+        this._scaleType = 'Major';
+        this._doc = null;
+        this._parts = [];
+        this._partElements = [];
+    }
+
+    get name() {
+        return 'MusicXMLParser';
+    }
+
+    get description() {
+        return 'MusicXML (.xml, .musicxml, .mxl) 解析器';
+    }
+
+    get formatId() {
+        return 'musicxml';
+    }
+
+    get extensions() {
+        return ['.xml', '.musicxml', '.mxl'];
+    }
+
+    get mimeTypes() {
+        return ['application/vnd.recordare.musicxml+xml', 'application/vnd.recordare.musicxml', 'application/xml', 'text/xml'];
+    }
+
+    get binary() {
+        return true;
+    }
+
+    /**
+     * 依內容判斷：XML 開頭有 <score-partwise>，或含 MusicXML 的 .mxl 壓縮檔
+     * @param {Uint8Array} data
+     * @returns {number}
+     */
+    sniff(data) {
+        if (!data?.length) return 0;
+        if (isZip(data)) {
+            const entries = listZipEntries(data);
+            if (entries.includes('Content/score.gpif')) return 0;
+            if (entries.includes('META-INF/container.xml')) return 0.9;
+            return entries.some(name => /\.(xml|musicxml)$/i.test(name)) ? 0.5 : 0;
+        }
+        const head = new TextDecoder().decode(data.subarray(0, 4096));
+        return /<score-partwise[\s>]/.test(head) ? 0.95 : 0;
+    }
+
+    /**
+     * 讀取檔案：多聲部時回傳聲部清單供選擇，單一聲部直接轉換（保留和弦、只取主聲部）
+     * @param {Uint8Array|string} data
+     * @param {Object} options - { fileName }
+     * @returns {Promise<{ notes?: Array<Note>, tracks: Array, metadata: Object }>}
+     */
+    async read(data, options = {}) {
+        const { parts } = await this.parseFile(data, options.fileName);
+        if (parts.length > 1) return { tracks: parts, metadata: this.metadata };
+        const notes = this.convertPart(0, { chordMode: 'all', voices: 'primary' });
+        return { notes, tracks: parts, metadata: { ...this.metadata, capo: parts[0]?.capo || null } };
+    }
+
+    get title() { return this._title; }
+    get composer() { return this._composer; }
+    get lyricist() { return this._lyricist; }
+    get tempo() { return this._tempo; }
+    get timeSignature() { return this._timeSignature; }
+    get key() { return this._key; }
+    get scaleType() { return this._scaleType; }
+
+    /**
+     * 讀取檔案內容（.mxl 先解壓縮）並取得聲部清單
+     * @param {Uint8Array|string} data
+     * @param {string} fileName
+     * @returns {Promise<{ parts: Array<{ index: number, id: string, name: string, noteCount: number, bars: number, tuning: string, capo: number }> }>}
+     */
+    async parseFile(data, fileName = '') {
+        if (typeof data === 'string') return this.parseSong(data);
+        if (isZip(data) || /\.mxl$/i.test(fileName)) {
+            return this.parseSong(await MusicXMLParser.extractArchive(data));
+        }
+        return this.parseSong(new TextDecoder().decode(data));
+    }
+
+    /**
+     * 從 .mxl 取出主要的 MusicXML 文字
+     * 依 META-INF/container.xml 的 rootfile；沒有時取第一個 .xml / .musicxml
+     * @param {Uint8Array} data
+     * @returns {Promise<string>}
+     */
+    static async extractArchive(data) {
+        const files = await unzip(data);
+        const decoder = new TextDecoder();
+        const container = files.get('META-INF/container.xml');
+        let rootPath = container
+            ? decoder.decode(container).match(/<rootfile[^>]*full-path="([^"]+)"/)?.[1]
+            : null;
+        if (!rootPath || !files.has(rootPath)) {
+            rootPath = [...files.keys()].find(name => !name.startsWith('META-INF/') && /\.(xml|musicxml)$/i.test(name));
+        }
+        if (!rootPath) throw new Error('.mxl 檔中找不到 MusicXML 內容');
+        return decoder.decode(files.get(rootPath));
+    }
+
+    /**
+     * 解析 MusicXML 文字並取得聲部清單（沒有 DOMParser 的環境改用 utils/xmlDom）
+     * @param {string} xml
+     * @returns {{ parts: Array }}
+     */
+    parseSong(xml) {
+        const doc = parseXmlDocument(xml);
+        const parseError = doc.querySelector('parsererror');
+        if (parseError) {
+            throw new Error(`無法解析 MusicXML: ${parseError.textContent}`);
+        }
+        if (doc.querySelector('score-timewise')) {
+            throw new Error('不支援 score-timewise 格式，請以 score-partwise 匯出');
+        }
+        this._doc = doc;
+
+        this._title = doc.querySelector('work > work-title')?.textContent?.trim()
+            || doc.querySelector('movement-title')?.textContent?.trim()
+            || doc.querySelector('credit-words')?.textContent?.trim()
+            || '';
+        this._composer = doc.querySelector('identification > creator[type="composer"]')?.textContent?.trim() || '';
+        this._lyricist = doc.querySelector('identification > creator[type="lyricist"]')?.textContent?.trim() || '';
+
+        const partNames = new Map(
+            Array.from(doc.querySelectorAll('part-list > score-part')).map(sp => [
+                sp.getAttribute('id'),
+                textOf(sp, 'part-name') || textOf(sp, 'part-abbreviation')
+            ])
+        );
+
+        this._partElements = Array.from(doc.querySelectorAll('score-partwise > part'));
+        this._parts = this._partElements.map((partEl, i) => {
+            const id = partEl.getAttribute('id') || `P${i + 1}`;
+            const measures = childrenOf(partEl, 'measure');
+            const noteCount = partEl.querySelectorAll('note > pitch').length;
+            const tuningEls = Array.from(partEl.querySelectorAll('staff-details > staff-tuning'));
+            const tuning = tuningEls
+                .sort((a, b) => Number(a.getAttribute('line')) - Number(b.getAttribute('line')))
+                .map(t => textOf(t, 'tuning-step') + ({ '1': '#', '-1': 'b' }[textOf(t, 'tuning-alter')] ?? ''))
+                .join(' ');
+            return {
+                index: i,
+                id,
+                name: partNames.get(id) || `Part ${i + 1}`,
+                noteCount,
+                bars: measures.length,
+                tuning,
+                capo: parseInt(partEl.querySelector('staff-details > capo')?.textContent) || 0
+            };
+        });
+
+        // 樂譜預設值取自第一個聲部的第一小節
+        const first = this._partElements[0];
+        const keyInfo = readKey(first?.querySelector('measure attributes key'));
+        this._key = keyInfo?.key ?? 'C';
+        this._scaleType = keyInfo?.scaleType ?? 'Major';
+        const timeEl = first?.querySelector('measure attributes time');
+        if (timeEl && textOf(timeEl, 'beats')) {
+            this._timeSignature = `${textOf(timeEl, 'beats')}/${textOf(timeEl, 'beat-type')}`;
+        }
+        const tempo = parseFloat(first?.querySelector('sound[tempo]')?.getAttribute('tempo'))
+            || readMetronome(first?.querySelector('metronome'));
+        this._tempo = tempo ? Math.round(tempo) : 120;
+
+        return { parts: this._parts };
+    }
+
+    /**
+     * 將指定聲部轉換為 Note 陣列
+     * @param {number} partIndex - 聲部索引
+     * @param {Object} options
+     * @param {string} options.chordMode - 'all' | 'highest' | 'lowest'（同 GuitarProParser）
+     * @param {string} options.voices - 'primary' 只取主聲部 | 'all' 全部聲部（以 note.voice 區分）
+     * @returns {Array<Note>}
+     */
+    convertPart(partIndex = 0, options = {}) {
+        if (!this._doc) {
+            throw new Error('請先呼叫 parseSong() 或 parseFile()');
+        }
+        const partEl = this._partElements[partIndex] ?? this._partElements[0];
+        if (!partEl) return [];
+        return this._convertPart(partEl, options);
+    }
+
+    /**
+     * 解析 MusicXML 文字（ParserInterface），預設取第一個聲部
+     * @param {string} text
+     * @param {Object} options - { partIndex, chordMode, voices }
+     * @returns {Array<Note>}
+     */
+    parse(text, options = {}) {
+        this.parseSong(text);
+        return this.convertPart(options.partIndex ?? 0, options);
+    }
+
+    /**
+     * 清理輸入文字（移除 BOM 與前後空白）
+     * @param {string} text
+     * @returns {string}
+     */
+    clean(text) {
+        return text.replace(/^\uFEFF/, '').trim();
+    }
+
+    /**
+     * 驗證格式
+     * @param {string} text
+     * @returns {boolean}
+     */
+    validate(text) {
+        const trimmed = this.clean(text);
+        return trimmed.startsWith('<?xml') && trimmed.includes('<score-partwise') || trimmed.startsWith('<score-partwise');
+    }
+
+    /**
+     * 將音符輸出為 MusicXML（單一聲部）
+     * @param {Array} notes - 扁平音符陣列（plain objects 或 Note 實例）
+     * @param {Object} options - 同 stringifyParts，另可指定 partName / tuning / capo
+     * @returns {string}
+     */
+    stringify(notes, options = {}) {
+        return this.stringifyParts([{
+            name: options.partName,
+            notes,
+            tuning: options.tuning,
+            capo: options.capo
+        }], options);
+    }
+
+    /**
+     * 將 Score 的所有軌道輸出為 MusicXML
+     * @param {Score} score
+     * @returns {string}
+     */
+    stringifyScore(score) {
+        const { parts, options } = score.getExportData();
+        return this.stringifyParts(parts, options);
+    }
+
+    /**
+     * 將多個聲部輸出為 MusicXML
+     * @param {Array<{name: string, notes: Array, tuning: Array<number>, capo: number}>} parts
+     * @param {Object} options
+     * @param {string} options.title
+     * @param {string} options.composer
+     * @param {string} options.lyricist
+     * @param {string} options.key
+     * @param {string} options.scaleType
+     * @param {string} options.timeSignature
+     * @param {number} options.tempo
+     * @returns {string}
+     */
+    stringifyParts(parts, options = {}) {
+        const { title, composer, lyricist } = options;
+        const partList = parts.map((part, i) => xmlElement('score-part', [
+            xmlElement('part-name', part.name || (i === 0 ? 'Guitar' : `Part ${i + 1}`))
+        ], { id: `P${i + 1}` }));
+
+        const score = xmlElement('score-partwise', [
+            title && xmlElement('work', [xmlElement('work-title', title)]),
+            xmlElement('identification', [
+                composer && xmlElement('creator', composer, { type: 'composer' }),
+                lyricist && xmlElement('creator', lyricist, { type: 'lyricist' }),
+                xmlElement('encoding', [
+                    xmlElement('software', 'Guitar Scale Mixer'),
+                    xmlElement('encoding-date', new Date().toISOString().slice(0, 10))
+                ])
+            ]),
+            xmlElement('part-list', partList),
+            ...parts.map((part, i) => xmlElement('part', this._writePart(part, options), { id: `P${i + 1}` }))
+        ], { version: '4.0' });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+            '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+            score
+        ].join('\n') + '\n';
+    }
+
+    /**
+     * 輸出一個聲部的所有 <measure>
+     * @private
+     */
+    _writePart(part, options = {}) {
+        const { key = 'C', scaleType = 'Major', timeSignature = '4/4', tempo = 120 } = options;
+        const notes = (part.notes || []).filter(n => !isSymbol(n));
+
+        // 依調號拼寫；已有與音高一致的拼寫（匯入 / 編輯時指定）則沿用
+        const spelled = spellNotes(notes, { key, scaleType });
+        const shift = notes.some(n => n.displayOctaveShift === 1) ? 1 : 0;
+        const hasTab = notes.some(n => typeof n.fret === 'number');
+        const tuning = part.tuning || STRING_TUNINGS;
+
+        const pitchOf = (n, i) => {
+            const written = n.midi + shift * 12;
+            const own = parsePitchName(n.noteName);
+            const spelling = own && own.pc === ((n.midi % 12) + 12) % 12 ? own : spelled[i];
+            const octave = Math.floor((written - spelling.alter) / 12) - 1;
+            return { letter: spelling.letter, alter: spelling.alter, octave };
+        };
+        const indexOf = new Map(notes.map((n, i) => [n, i]));
+
+        let currentTime = timeSignature;
+        let wedgeOpen = false;
+
+        const measures = splitMeasures(notes);
+        const lastMeasure = measures.length - 1;
+        const endings = findEndings(measures);
+        return measures.map((measure, m) => {
+            const content = [];
+            if (measure.timeSignature) currentTime = measure.timeSignature;
+
+            // 屬性：第一小節寫完整屬性，之後只寫變更
+            if (m === 0) {
+                content.push(xmlElement('attributes', [
+                    xmlElement('divisions', PPQ),
+                    writeKey(measure.keySignature || key, scaleType),
+                    this._writeTime(currentTime),
+                    xmlElement('clef', [
+                        xmlElement('sign', 'G'),
+                        xmlElement('line', 2),
+                        shift && xmlElement('clef-octave-change', -1)
+                    ]),
+                    (hasTab || part.capo > 0) && xmlElement('staff-details', [
+                        xmlElement('staff-lines', tuning.length),
+                        ...[...tuning].reverse().map((midi, line) => {
+                            const pitch = spellMidi(midi);
+                            return xmlElement('staff-tuning', [
+                                xmlElement('tuning-step', pitch.letter),
+                                pitch.alter && xmlElement('tuning-alter', pitch.alter),
+                                xmlElement('tuning-octave', pitch.octave)
+                            ], { line: line + 1 });
+                        }),
+                        part.capo > 0 && xmlElement('capo', part.capo)
+                    ]),
+                    shift && xmlElement('transpose', [
+                        xmlElement('diatonic', 0),
+                        xmlElement('chromatic', 0),
+                        xmlElement('octave-change', -1)
+                    ])
+                ]));
+                content.push(writeDirection(
+                    xmlElement('metronome', [xmlElement('beat-unit', 'quarter'), xmlElement('per-minute', measure.tempo || tempo)]),
+                    'above',
+                    { tempo: measure.tempo || tempo }
+                ));
+            } else {
+                if (measure.keySignature || measure.timeSignature) {
+                    content.push(xmlElement('attributes', [
+                        measure.keySignature && writeKey(measure.keySignature, scaleType),
+                        measure.timeSignature && this._writeTime(measure.timeSignature)
+                    ]));
+                }
+                if (measure.tempo) {
+                    content.push(writeDirection(
+                        xmlElement('metronome', [xmlElement('beat-unit', 'quarter'), xmlElement('per-minute', measure.tempo)]),
+                        'above',
+                        { tempo: measure.tempo }
+                    ));
+                }
+            }
+
+            // 開頭小節線 / 反覆跳房 / Segno / Coda
+            const repeatStart = measure.startBarlines.some(b => b.displayStr === '|:');
+            const endingStart = endings.find(e => e.start === m);
+            if (repeatStart || endingStart) {
+                content.push(xmlElement('barline', [
+                    repeatStart && xmlElement('bar-style', 'heavy-light'),
+                    endingStart && xmlElement('ending', `${endingStart.number}.`, { number: endingStart.number, type: 'start' }),
+                    repeatStart && xmlElement('repeat', null, { direction: 'forward' })
+                ], { location: 'left' }));
+            }
+            measure.startBarlines.forEach(b => {
+                if (DIRECTION_SOUNDS[b.displayStr]) content.push(writeMarker(b.displayStr));
+            });
+
+            // 各聲部（第二聲部起以 <backup> 回到小節開頭）
+            const voices = Measure.fromEvents(measure.notes).voices.filter(v => v.events.length > 0);
+            voices.forEach((voice, v) => {
+                if (v > 0) {
+                    const previous = this._voiceTicks(voices[v - 1].events);
+                    if (previous > 0) content.push(xmlElement('backup', [xmlElement('duration', previous)]));
+                }
+                const written = this._writeVoice(voice.events, {
+                    voiceNumber: voice.id,
+                    pitchOf: (n) => pitchOf(n, indexOf.get(n)),
+                    wedgeOpen
+                });
+                wedgeOpen = written.wedgeOpen;
+                content.push(...written.elements);
+            });
+
+            if (wedgeOpen && m === lastMeasure) {
+                content.push(writeDirection(xmlElement('wedge', null, { type: 'stop' }), 'below'));
+            }
+
+            // 結尾：方向記號、反覆跳房結束、反覆、雙小節線
+            const endMarks = measure.endBarlines.map(b => b.displayStr || '|');
+            endMarks.filter(mk => DIRECTION_SOUNDS[mk]).forEach(mk => content.push(writeMarker(mk)));
+            const endingEnd = endings.find(e => e.end === m);
+            const repeatEnd = endMarks.includes(':|');
+            const style = repeatEnd ? 'light-heavy' : (endMarks.includes('||') ? 'light-light' : null);
+            if (style || endingEnd) {
+                content.push(xmlElement('barline', [
+                    style && xmlElement('bar-style', style),
+                    endingEnd && xmlElement('ending', null, { number: endingEnd.number, type: endingEnd.type }),
+                    repeatEnd && xmlElement('repeat', null, { direction: 'backward' })
+                ], { location: 'right' }));
+            }
+
+            return xmlElement('measure', content, { number: m + 1 });
+        });
+    }
+
+    /**
+     * 拍號 → <time>
+     * @private
+     */
+    _writeTime(timeSignature) {
+        const [beats, beatType] = String(timeSignature).split('/');
+        return xmlElement('time', [xmlElement('beats', beats || 4), xmlElement('beat-type', beatType || 4)]);
+    }
+
+    /**
+     * 聲部在小節內的總長度（divisions = PPQ）
+     * @private
+     */
+    _voiceTicks(events) {
+        return events
+            .filter(n => !isChordMember(n))
+            .reduce((sum, n) => sum + getDurationTicks(n.duration || 'quarter', n.dotted || 0, n.tuplet), 0);
+    }
+
+    /**
+     * 輸出一個聲部的音符
+     * 延長符（-）寫成與前一個音連結的延音線；連音以 <tuplet> 標出起訖
+     * @private
+     */
+    _writeVoice(events, context) {
+        const { voiceNumber, pitchOf } = context;
+        let wedgeOpen = context.wedgeOpen;
+        const elements = [];
+        let tupletLeft = 0;         // 目前連音組剩餘的名目拍數
+
+        // 先整理成「拍」：和弦成員併入前一拍，延長符沿用前一拍的音高
+        const beats = [];
+        events.forEach(n => {
+            if (isChordMember(n) && beats.length && beats[beats.length - 1].notes) {
+                beats[beats.length - 1].notes.push(n);
+                return;
+            }
+            if (isExtension(n)) {
+                const previous = [...beats].reverse().find(b => !b.rest);
+                beats.push(previous ? { notes: previous.notes, source: n, extension: true } : { rest: true, source: n });
+                return;
+            }
+            beats.push(isRest(n) ? { rest: true, source: n } : { notes: [n], source: n });
+        });
+        // 後面接延長符的拍要加上延音線起點
+        beats.forEach((beat, b) => { beat.tieToNext = !beat.rest && !!beats[b + 1]?.extension; });
+
+        beats.forEach((beat, b) => {
+            const source = beat.source;
+            const duration = TYPE_ALIASES[source.duration] || source.duration || 'quarter';
+            const dotted = source.dotted || 0;
+            const tuplet = source.tuplet?.num && source.tuplet?.den ? source.tuplet : null;
+            const ticks = getDurationTicks(duration, dotted, tuplet);
+
+            // 連音起訖
+            let tupletMark = null;
+            if (tuplet) {
+                const nominal = getDurationBeats(duration, dotted);
+                if (tupletLeft <= 1e-6) {
+                    tupletMark = 'start';
+                    tupletLeft = nominal * tuplet.num;
+                }
+                tupletLeft -= nominal;
+                const next = beats[b + 1]?.source;
+                if (tupletLeft <= 1e-6 || !next?.tuplet) {
+                    tupletMark = tupletMark === 'start' ? null : 'stop';
+                    tupletLeft = 0;
+                }
+            } else {
+                tupletLeft = 0;
+            }
+
+            const rhythm = [
+                xmlElement('voice', voiceNumber),
+                xmlElement('type', duration),
+                ...Array.from({ length: dotted }, () => xmlElement('dot')),
+                tuplet && xmlElement('time-modification', [
+                    xmlElement('actual-notes', tuplet.num),
+                    xmlElement('normal-notes', tuplet.den)
+                ])
+            ];
+            const tupletNotation = tupletMark && xmlElement('tuplet', null, { type: tupletMark });
+
+            if (beat.rest) {
+                elements.push(xmlElement('note', [
+                    xmlElement('rest'),
+                    xmlElement('duration', ticks),
+                    ...rhythm,
+                    tupletNotation && xmlElement('notations', [tupletNotation])
+                ]));
+                return;
+            }
+
+            // 和弦記號與表情記號寫在拍的第一個音之前
+            const head = beat.notes[0];
+            if (!beat.extension) {
+                if (head.chordSymbol) {
+                    const harmony = writeHarmony(head.chordSymbol);
+                    if (harmony) elements.push(harmony);
+                }
+                if (head.dynamic || head.hairpin) {
+                    if (wedgeOpen) {
+                        elements.push(writeDirection(xmlElement('wedge', null, { type: 'stop' }), 'below'));
+                        wedgeOpen = false;
+                    }
+                    if (head.dynamic) {
+                        elements.push(writeDirection(xmlElement('dynamics', [xmlElement(head.dynamic)]), 'below'));
+                    }
+                    if (head.hairpin) {
+                        elements.push(writeDirection(
+                            xmlElement('wedge', null, { type: head.hairpin === 'cresc' ? 'crescendo' : 'diminuendo' }),
+                            'below'
+                        ));
+                        wedgeOpen = true;
+                    }
+                }
+                if (head.tempoRamp) {
+                    elements.push(writeDirection(xmlElement('words', head.tempoRamp === 'rit' ? 'rit.' : 'accel.')));
+                }
+                (head.articulations || []).forEach(name => {
+                    if (name === 'palm-mute') elements.push(writeDirection(xmlElement('words', 'P.M.')));
+                    if (name === 'let-ring') elements.push(writeDirection(xmlElement('words', 'let ring')));
+                });
+            }
+
+            beat.notes.forEach((n, k) => {
+                const pitch = pitchOf(n);
+                const tieStart = (!beat.extension && !!n.tieStart) || beat.tieToNext;
+                const tieEnd = beat.extension || !!n.tieEnd;
+                const technique = beat.extension ? null : n.technique;
+                const articulations = beat.extension ? [] : (n.articulations || [])
+                    .map(a => Object.entries(ARTICULATION_TAGS).find(([, name]) => name === a)?.[0])
+                    .filter(Boolean);
+
+                const technical = [
+                    typeof n.stringIndex === 'number' && typeof n.fret === 'number' && xmlElement('string', n.stringIndex + 1),
+                    typeof n.stringIndex === 'number' && typeof n.fret === 'number' && xmlElement('fret', n.fret),
+                    TECHNIQUE_XML[technique]?.()
+                ].filter(Boolean);
+
+                const notations = [
+                    tieEnd && xmlElement('tied', null, { type: 'stop' }),
+                    tieStart && xmlElement('tied', null, { type: 'start' }),
+                    k === 0 && tupletNotation,
+                    /^slide/.test(technique || '') && xmlElement('slide', null, { type: 'start' }),
+                    technique === 'vibrato' && xmlElement('ornaments', [xmlElement('wavy-line', null, { type: 'start' })]),
+                    technical.length && xmlElement('technical', technical),
+                    articulations.length && xmlElement('articulations', articulations.map(a => xmlElement(a))),
+                    !beat.extension && n.fermata && xmlElement('fermata', null, { type: 'upright' })
+                ];
+
+                const lyrics = k === 0 && !beat.extension ? (n.lyrics || []).map(l => xmlElement('lyric', [
+                    xmlElement('syllabic', l.syllabic || 'single'),
+                    xmlElement('text', l.text),
+                    l.extend && xmlElement('extend')
+                ], { number: l.verse })) : [];
+
+                elements.push(xmlElement('note', [
+                    k > 0 && xmlElement('chord'),
+                    xmlElement('pitch', [
+                        xmlElement('step', pitch.letter),
+                        pitch.alter && xmlElement('alter', pitch.alter),
+                        xmlElement('octave', pitch.octave)
+                    ]),
+                    xmlElement('duration', ticks),
+                    tieEnd && xmlElement('tie', null, { type: 'stop' }),
+                    tieStart && xmlElement('tie', null, { type: 'start' }),
+                    ...rhythm,
+                    technique === 'mute' && xmlElement('notehead', 'x'),
+                    xmlElement('notations', notations),
+                    ...lyrics
+                ], { dynamics: !beat.extension && n.velocity ? Math.round(n.velocity / 0.9 * 100) / 100 : null }));
+            });
+        });
+
+        return { elements, wedgeOpen };
+    }
+
+    /**
+     * 將 <part> 轉換為扁平 Note 陣列
+     * @private
+     */
+    _convertPart(partEl, options = {}) {
+        const { chordMode = 'all', voices = 'primary' } = options;
+        const notes = [];
+        let noteIndex = 0;
+
+        let divisions = 1;
+        let key = this._key;
+        let scaleType = this._scaleType;
+        let timeSig = this._timeSignature;
+        let tempo = this._tempo;
+        let transpose = 0;          // 記譜音高 → 實際音高的半音數
+        let primaryVoice = null;    // 第一個出現的聲部（第 1 譜表）
+        const voiceIds = new Map(); // MusicXML voice → 聲部編號（主聲部 = 1）
+        const prevMidi = new Map(); // 各聲部前一個單音（決定半音拼寫方向）
+        let pendingClosing = [];    // 上一小節結尾的小節線 / 方向記號
+
+        const measures = childrenOf(partEl, 'measure');
+        measures.forEach((measureEl, m) => {
+            const opening = [];
+            const closing = [];
+            const changes = {};
+            const events = new Map();   // 聲部編號 → [{ notes: [Note] } | { rest: Note }]
+            const pending = { dynamic: null, hairpin: null, tempoRamp: null, chordSymbol: null, articulations: [] };
+
+            const voiceOf = (el) => {
+                const staff = textOf(el, 'staff') ?? '1';
+                const raw = `${staff}:${textOf(el, 'voice') ?? '1'}`;
+                if (primaryVoice == null && staff === '1') primaryVoice = raw;
+                if (raw === primaryVoice) return 1;
+                if (voices !== 'all') return null;
+                if (!voiceIds.has(raw)) voiceIds.set(raw, voiceIds.size + 2);
+                return voiceIds.get(raw);
+            };
+            const pushEvent = (voice, event) => {
+                if (!events.has(voice)) events.set(voice, []);
+                events.get(voice).push(event);
+            };
+            const pushRests = (voice, beats) => {
+                splitBeats(beats).forEach(fill => {
+                    const rest = Note.createRest({ duration: fill.duration });
+                    rest.dotted = fill.dotted;
+                    pushEvent(voice, { rest });
+                });
+            };
+
+            for (const el of Array.from(measureEl.children)) {
+                switch (el.tagName) {
+                    case 'attributes': {
+                        divisions = numberOf(el, 'divisions') ?? divisions;
+                        const keyInfo = readKey(childOf(el, 'key'));
+                        if (keyInfo && (keyInfo.key !== key || keyInfo.scaleType !== scaleType)) {
+                            key = keyInfo.key;
+                            scaleType = keyInfo.scaleType;
+                            if (m > 0) changes.keySignature = scaleType === 'Minor' ? `${key}m` : key;
+                        }
+                        const timeEl = childOf(el, 'time');
+                        if (timeEl && textOf(timeEl, 'beats')) {
+                            const next = `${textOf(timeEl, 'beats')}/${textOf(timeEl, 'beat-type')}`;
+                            if (next !== timeSig && m > 0) changes.timeSignature = next;
+                            timeSig = next;
+                        }
+                        const transposeEl = childOf(el, 'transpose');
+                        if (transposeEl) {
+                            transpose = (numberOf(transposeEl, 'chromatic') ?? 0) + (numberOf(transposeEl, 'octave-change') ?? 0) * 12;
+                        } else if (el.querySelector('clef > clef-octave-change')) {
+                            transpose = numberOf(childOf(el, 'clef'), 'clef-octave-change') * 12;
+                        }
+                        break;
+                    }
+                    case 'direction':
+                        this._readDirection(el, { pending, opening, closing, changes, m, tempo, setTempo: (t) => { tempo = t; } });
+                        break;
+                    case 'sound':
+                        this._readSound(el, { opening, closing, changes, m, tempo, setTempo: (t) => { tempo = t; } });
+                        break;
+                    case 'barline':
+                        this._readBarline(el, { opening, closing });
+                        break;
+                    case 'harmony':
+                        pending.chordSymbol = readHarmony(el) ?? pending.chordSymbol;
+                        break;
+                    case 'forward': {
+                        const voice = voiceOf(el);
+                        if (voice != null) pushRests(voice, (numberOf(el, 'duration') ?? 0) / divisions);
+                        break;
+                    }
+                    case 'note': {
+                        if (childOf(el, 'grace') || childOf(el, 'cue')) break;
+                        const voice = voiceOf(el);
+                        if (voice == null) break;
+
+                        const restEl = childOf(el, 'rest');
+                        const beats = (numberOf(el, 'duration') ?? divisions) / divisions;
+                        if (restEl && (restEl.getAttribute('measure') === 'yes' || !textOf(el, 'type'))) {
+                            pushRests(voice, beats);
+                            break;
+                        }
+
+                        const rhythm = this._readRhythm(el, beats);
+                        if (restEl) {
+                            const rest = Note.createRest({ duration: rhythm.duration });
+                            rest.dotted = rhythm.dotted;
+                            rest.tuplet = rhythm.tuplet;
+                            pushEvent(voice, { rest });
+                            break;
+                        }
+
+                        const note = this._readNote(el, rhythm, {
+                            key,
+                            scaleType,
+                            transpose,
+                            prevMidi: childOf(el, 'chord') ? null : prevMidi.get(voice)
+                        });
+                        if (!note) break;
+
+                        const voiceEvents = events.get(voice);
+                        const last = voiceEvents?.[voiceEvents.length - 1];
+                        if (childOf(el, 'chord') && last?.notes) {
+                            last.notes.push(note);
+                            break;
+                        }
+
+                        // 和弦記號 / 力度 / 漸強漸弱 / 漸慢漸快 / 文字奏法（P.M.、let ring）套用在之後的第一個音
+                        if (pending.chordSymbol) note.chordSymbol = pending.chordSymbol;
+                        if (pending.dynamic) note.dynamic = pending.dynamic;
+                        if (pending.hairpin) note.hairpin = pending.hairpin;
+                        if (pending.tempoRamp) note.tempoRamp = pending.tempoRamp;
+                        if (pending.articulations.length) {
+                            note.articulations = [...new Set([...(note.articulations || []), ...pending.articulations])];
+                        }
+                        Object.assign(pending, { dynamic: null, hairpin: null, tempoRamp: null, chordSymbol: null, articulations: [] });
+
+                        pushEvent(voice, { notes: [note] });
+                        prevMidi.set(voice, note.midi);
+                        break;
+                    }
+                    default:
+                        break;
+                }
+            }
+
+            // 小節之間：上一小節的結尾記號 + 本小節的開頭記號；都沒有時補一條小節線
+            if (m > 0) {
+                const between = [...pendingClosing, ...opening];
+                if (!pendingClosing.some(mk => ['|', '||', ':|'].includes(mk)) && !opening.includes('|:')) {
+                    between.unshift('|');
+                }
+                const separators = between.map(mk => createMarker(mk, noteIndex++));
+                const carrier = separators[separators.length - 1];
+                Object.assign(carrier, changes);
+                notes.push(...separators);
+            } else {
+                opening.forEach(mk => notes.push(createMarker(mk, noteIndex++)));
+            }
+            // 小節線在方向文字之前（與匯出順序無關）
+            pendingClosing = [...closing.filter(mk => BARLINE_MARKS.includes(mk)), ...closing.filter(mk => !BARLINE_MARKS.includes(mk))];
+
+            // 主聲部在前，其餘聲部依出現順序接在後面
+            [...events.keys()].sort((a, b) => a - b).forEach(voice => {
+                events.get(voice).forEach(event => {
+                    if (event.rest) {
+                        event.rest.index = noteIndex++;
+                        if (voice > 1) event.rest.voice = voice;
+                        notes.push(event.rest);
+                        return;
+                    }
+                    const chord = this._applyChordMode(event.notes, chordMode);
+                    chord.forEach(n => {
+                        n.index = noteIndex;
+                        if (voice > 1) n.voice = voice;
+                        notes.push(n);
+                    });
+                    noteIndex++;
+                });
+            });
+        });
+
+        pendingClosing.forEach(mk => notes.push(createMarker(mk, noteIndex++)));
+        return notes;
+    }
+
+    /**
+     * 讀取時值：<type> + <dot> + <time-modification>；沒有 <type> 時由 <duration> 反推
+     * @private
+     */
+    _readRhythm(el, beats) {
+        const modEl = childOf(el, 'time-modification');
+        const actual = numberOf(modEl, 'actual-notes');
+        const normal = numberOf(modEl, 'normal-notes');
+        const tuplet = actual && normal && actual !== normal ? { num: actual, den: normal } : null;
+
+        const type = textOf(el, 'type');
+        if (NOTE_TYPES.includes(type)) {
+            return { duration: type, dotted: Math.min(childrenOf(el, 'dot').length, 2), tuplet };
+        }
+        if (type === 'breve' || type === 'long') return { duration: 'whole', dotted: 0, tuplet };
+        return { ...durationFromBeats(tuplet ? beats * tuplet.num / tuplet.den : beats), tuplet };
+    }
+
+    /**
+     * 讀取音高、延音線、弦 / 格、奏法、技巧、延長記號與歌詞
+     * @private
+     */
+    _readNote(el, rhythm, context) {
+        const pitchEl = childOf(el, 'pitch') || childOf(el, 'unpitched');
+        if (!pitchEl) return null;
+        const step = textOf(pitchEl, 'step') ?? textOf(pitchEl, 'display-step');
+        const octave = numberOf(pitchEl, 'octave') ?? numberOf(pitchEl, 'display-octave');
+        if (!(step in STEP_SEMITONES) || octave == null) return null;
+        const alter = Math.round(numberOf(pitchEl, 'alter') ?? 0);
+        const written = (octave + 1) * 12 + STEP_SEMITONES[step] + alter;
+        const midi = written + context.transpose;
+
+        const notationsEls = childrenOf(el, 'notations');
+        const find = (path) => notationsEls.map(n => n.querySelector(path)).find(Boolean) ?? null;
+
+        const technicalEl = find('technical');
+        const string = numberOf(technicalEl, 'string');
+        const fret = numberOf(technicalEl, 'fret');
+
+        // 臨時記號決定拼寫方向；沒有時依旋律方向
+        const direction = alter !== 0
+            ? Math.sign(alter)
+            : (context.prevMidi != null ? Math.sign(midi - context.prevMidi) : 0);
+
+        const note = Note.fromMidi(midi, {
+            duration: rhythm.duration,
+            stringIndex: string != null ? string - 1 : null,
+            fret,
+            format: 'musicxml',
+            key: context.key,
+            scaleType: context.scaleType,
+            direction,
+            displayOctaveShift: written - midi === 12 ? 1 : 0
+        });
+        note.dotted = rhythm.dotted;
+        note.tuplet = rhythm.tuplet;
+
+        const ties = [...childrenOf(el, 'tie'), ...notationsEls.flatMap(n => childrenOf(n, 'tied'))];
+        note.tieStart = ties.some(t => t.getAttribute('type') === 'start');
+        note.tieEnd = ties.some(t => t.getAttribute('type') === 'stop');
+
+        const articulationsEl = find('articulations');
+        const articulations = Array.from(articulationsEl?.children || [])
+            .map(a => ARTICULATION_TAGS[a.tagName])
+            .filter(Boolean);
+        if (technicalEl && childOf(technicalEl, 'palm-mute')) articulations.push('palm-mute');
+        if (articulations.length) note.articulations = [...new Set(articulations)];
+
+        for (const [tag, technique] of Object.entries(TECHNIQUE_TAGS)) {
+            const techEl = technicalEl && childOf(technicalEl, tag) || notationsEls.map(n => childOf(n, tag)).find(Boolean);
+            // 連結類技巧（hammer-on、slide）只標在起點
+            if (techEl && techEl.getAttribute('type') !== 'stop') {
+                note.technique = technique === 'bend' && childOf(techEl, 'release') ? 'release' : technique;
+                break;
+            }
+        }
+        if (!note.technique && find('ornaments > wavy-line, ornaments > vibrato')) note.technique = 'vibrato';
+        if (!note.technique && textOf(el, 'notehead') === 'x') note.technique = 'mute';
+
+        // <note dynamics> 為預設 forte (velocity 90) 的百分比
+        const dynamics = parseFloat(el.getAttribute('dynamics'));
+        if (Number.isFinite(dynamics)) note.velocity = Math.max(1, Math.min(127, Math.round(dynamics * 0.9)));
+        if (find('fermata')) note.fermata = true;
+
+        note.lyrics = this._readLyrics(el);
+        return note;
+    }
+
+    /**
+     * 解析 <lyric>（number 為段落編號）
+     * @private
+     */
+    _readLyrics(noteEl) {
+        const lyrics = [];
+        for (const lyricEl of childrenOf(noteEl, 'lyric')) {
+            const text = childrenOf(lyricEl, 'text').map(t => t.textContent).join('');
+            if (!text) continue;
+            const verse = parseInt(lyricEl.getAttribute('number')) || lyrics.length + 1;
+            const syllabic = textOf(lyricEl, 'syllabic');
+            lyrics.push({
+                verse,
+                text,
+                syllabic: LYRIC_SYLLABICS.includes(syllabic) ? syllabic : 'single',
+                extend: !!childOf(lyricEl, 'extend')
+            });
+        }
+        return lyrics.length ? lyrics.sort((a, b) => a.verse - b.verse) : null;
+    }
+
+    /**
+     * <direction>：力度、漸強漸弱、速度、Segno / Coda、文字（D.C.、P.M. 等）
+     * @private
+     */
+    _readDirection(el, context) {
+        const { pending, opening, closing, changes, m } = context;
+        for (const typeEl of childrenOf(el, 'direction-type')) {
+            for (const item of Array.from(typeEl.children)) {
+                if (item.tagName === 'dynamics') {
+                    const dynamic = item.children[0]?.tagName;
+                    if (DYNAMIC_VELOCITY[dynamic]) pending.dynamic = dynamic;
+                } else if (item.tagName === 'wedge') {
+                    const type = item.getAttribute('type');
+                    if (type === 'crescendo') pending.hairpin = 'cresc';
+                    else if (type === 'diminuendo') pending.hairpin = 'dim';
+                } else if (item.tagName === 'metronome') {
+                    const bpm = readMetronome(item);
+                    if (bpm && bpm !== context.tempo && m > 0) changes.tempo = bpm;
+                    if (bpm) context.setTempo(bpm);
+                } else if (item.tagName === 'segno') {
+                    opening.push('Segno');
+                } else if (item.tagName === 'coda') {
+                    opening.push('Coda');
+                } else if (item.tagName === 'words') {
+                    const words = item.textContent.trim();
+                    const marker = DIRECTION_MARKERS.find(d => d.toLowerCase() === words.toLowerCase());
+                    if (marker && !OPENING_BARLINES.includes(marker)) closing.push(marker);
+                    else if (/^p\.?\s?m\.?$/i.test(words)) pending.articulations.push('palm-mute');
+                    else if (/^let\s+ring$/i.test(words)) pending.articulations.push('let-ring');
+                    else if (/^rit(\.|ard)/i.test(words)) pending.tempoRamp = 'rit';
+                    else if (/^accel/i.test(words)) pending.tempoRamp = 'accel';
+                }
+            }
+        }
+        const soundEl = childOf(el, 'sound');
+        if (soundEl) this._readSound(soundEl, context);
+    }
+
+    /**
+     * <sound>：速度與反覆跳躍（只在文字 / 符號沒有標示時補上）
+     * @private
+     */
+    _readSound(el, context) {
+        const { opening, closing, changes, m } = context;
+        const tempo = Math.round(parseFloat(el.getAttribute('tempo')));
+        if (tempo) {
+            if (tempo !== context.tempo && m > 0) changes.tempo = tempo;
+            context.setTempo(tempo);
+        }
+        for (const [attr, marker] of Object.entries(SOUND_DIRECTIONS)) {
+            if (!el.hasAttribute(attr)) continue;
+            const list = OPENING_BARLINES.includes(marker) ? opening : closing;
+            if (!list.some(mk => mk.startsWith(marker))) list.push(marker);
+        }
+    }
+
+    /**
+     * <barline>：反覆記號、雙小節線與反覆跳房（<ending type="start"> 的 number 可為 "1, 2"）
+     * 跳房只記開頭，結束由 :| 與下一個跳房決定（stop / discontinue 不需另外記錄）
+     * @private
+     */
+    _readBarline(el, { opening, closing }) {
+        const repeat = childOf(el, 'repeat')?.getAttribute('direction');
+        const ending = childOf(el, 'ending');
+        const endingNumbers = (ending?.getAttribute('number') || '').split(/[,\s]+/).map(Number).filter(n => Number.isInteger(n) && n > 0);
+        if (repeat === 'forward') opening.push('|:');
+        if (ending?.getAttribute('type') === 'start' && endingNumbers.length > 0) opening.push(`${endingNumbers.join(',')}.`);
+        if (repeat === 'backward') {
+            closing.push(':|');
+        } else if (repeat !== 'forward' && el.getAttribute('location') !== 'left' && /light-(light|heavy)/.test(textOf(el, 'bar-style') || '')) {
+            closing.push('||');
+        }
+    }
+
+    /**
+     * 和弦處理：'all' 標記 isChord / chordPosition，'highest' / 'lowest' 只保留一個音
+     * @private
+     */
+    _applyChordMode(chordNotes, chordMode) {
+        if (chordNotes.length === 1) return chordNotes;
+        const chordFrets = chordNotes
+            .filter(n => typeof n.stringIndex === 'number' && typeof n.fret === 'number')
+            .map(n => ({ string: n.stringIndex, fret: n.fret }));
+
+        if (chordMode === 'highest' || chordMode === 'lowest') {
+            const best = chordNotes.reduce((a, b) => (chordMode === 'highest' ? a.midi >= b.midi : a.midi <= b.midi) ? a : b);
+            // 歌詞與表情記號寫在和弦第一個音上，保留到選中的音
+            const head = chordNotes[0];
+            ['lyrics', 'dynamic', 'hairpin', 'articulations', 'fermata'].forEach(field => {
+                best[field] = best[field] || head[field];
+            });
+            best.chordFrets = chordFrets.length ? chordFrets : null;
+            return [best];
+        }
+
+        return chordNotes.map((n, i) => {
+            n.isChord = true;
+            n.chordPosition = i;
+            return n;
+        });
+    }
+}
+
+export default MusicXMLParser;
@@ -0,0 +1,118 @@
+/**
+ * ScoreJsonParser - 本程式存檔（.json）解析器
+ * 讀取時先遷移到目前的 schema 版本並驗證欄位（見 core/schema/scoreSchema.js），
+ * 匯入結果另附原始存檔內容（document），供呼叫端還原完整的檢視設定
+ */
+
+import { ParserInterface } from '../core/interfaces/ParserInterface.js';
+import { CURRENT_SCHEMA_VERSION, loadScoreData, serializeNotes } from '../core/schema/scoreSchema.js';
+
+/**
+ * ScoreJson 解析器類別
+ * @extends ParserInterface
+ */
+export class ScoreJsonParser extends ParserInterface {
+    get name() {
+        return 'ScoreJsonParser';
+    }
+
+    get description() {
+        return '樂譜存檔 (JSON) 解析器';
+    }
+
+    get formatId() {
+        return 'json';
+    }
+
+    get extensions() {
+        return ['.json'];
+    }
+
+    get mimeTypes() {
+        return ['application/json'];
+    }
+
+    /**
+     * 依內容判斷：可解析為 JSON 且有音符或簡譜文字
+     * @param {string} text
+     * @returns {number}
+     */
+    sniff(text) {
+        return this.validate(text) ? 0.95 : 0;
+    }
+
+    /**
+     * 解析存檔文字
+     * @param {string} text
+     * @returns {Array<Object>} 音符（plain objects）
+     */
+    parse(text) {
+        return loadScoreData(JSON.parse(this.clean(text))).data.notes || [];
+    }
+
+    /**
+     * 讀取存檔：音符、曲目資訊與原始存檔內容
+     * @param {string} text
+     * @returns {Promise<{ notes: Array<Object>, metadata: Object, document: Object, report: Object }>}
+     */
+    async read(text) {
+        const document = JSON.parse(this.clean(text));
+        const { data, report } = loadScoreData(document);
+        return {
+            notes: data.notes || [],
+            metadata: {
+                title: data.title ?? null,
+                composer: data.composer ?? null,
+                lyricist: data.lyricist ?? null,
+                key: data.key || 'C',
+                scaleType: data.scaleType || 'Major',
+                timeSignature: data.timeSignature || '4/4',
+                tempo: data.tempo || 120,
+                capo: data.capo ?? null
+            },
+            document,
+            report
+        };
+    }
+
+    /**
+     * 將音符輸出為存檔 JSON
+     * @param {Array} notes
+     * @param {Object} options - 其他存檔欄位（key、tempo、title …）
+     * @returns {string}
+     */
+    stringify(notes, options = {}) {
+        return JSON.stringify({
+            name: options.title || 'GuitarScore',
+            data: { ...options, schemaVersion: CURRENT_SCHEMA_VERSION, notes: serializeNotes(notes) }
+        }, null, 2);
+    }
+
+    /**
+     * 移除 BOM 與前後空白
+     * @param {string} text
+     * @returns {string}
+     */
+    clean(text) {
+        return String(text ?? '').replace(/^\uFEFF/, '').trim();
+    }
+
+    /**
+     * 驗證格式（JSON 物件，本身或 data 內有 notes / text）
+     * @param {string} text
+     * @returns {boolean}
+     */
+    validate(text) {
+        const cleaned = this.clean(text);
+        if (!cleaned.startsWith('{')) return false;
+        try {
+            const json = JSON.parse(cleaned);
+            const data = json.data && typeof json.data === 'object' ? json.data : json;
+            return Array.isArray(data.notes) || typeof data.text === 'string';
+        } catch {
+            return false;
+        }
+    }
+}
+
+export default ScoreJsonParser;
@@ -1,11 +1,11 @@
 /**
  * StaffParser - 五線譜解析器
- * 支援 ABC Notation 格式和基本 MusicXML 匯入
+ * 支援 ABC Notation 與 MusicXML 匯入（分別委派給 ABCParser / MusicXMLParser）
  */
 
 import { ParserInterface } from '../core/interfaces/ParserInterface.js';
-import { Note } from '../core/models/Note.js';
-import { NOTES } from '../data/scaleData.js';
+import { MusicXMLParser } from './MusicXMLParser.js';
+import { ABCParser } from './ABCParser.js';
 
 // ABC Notation 音符對應
 const ABC_NOTES = {
@@ -85,6 +85,7 @@ export class StaffParser extends ParserInterface {
     constructor() {
         super();
         this.key = 'C';
+        this.scaleType = 'Major';
         this.timeSignature = '4/4';
         this.tempo = 120;
         this.title = '';
@@ -98,6 +99,23 @@ export class StaffParser extends ParserInterface {
         return '五線譜解析器 - ABC Notation / MusicXML';
     }
 
+    get formatId() {
+        return 'text';
+    }
+
+    get extensions() {
+        return ['.txt'];
+    }
+
+    /**
+     * 其他格式都不符合時的後備（簡單 ABC 音符 / MusicXML 文字）
+     * @param {string} text
+     * @returns {number}
+     */
+    sniff(text) {
+        return this.validate(String(text ?? '')) ? 0.1 : 0;
+    }
+
     /**
      * 解析輸入（自動偵測格式）
      * @param {string} input
@@ -117,69 +135,13 @@ export class StaffParser extends ParserInterface {
     }
 
     /**
-     * 將音符轉換為 ABC Notation
+     * 將音符轉換為 ABC Notation（見 ABCParser.stringify）
      * @param {Array<Note>} notes
      * @param {Object} options
      * @returns {string}
      */
     stringify(notes, options = {}) {
-        const {
-            title = 'Untitled',
-            key = 'C',
-            meter = '4/4',
-            tempo = 120
-        } = options;
-
-        let abc = '';
-        abc += `X:1\n`;
-        abc += `T:${title}\n`;
-        abc += `M:${meter}\n`;
-        abc += `L:1/4\n`;
-        abc += `Q:1/4=${tempo}\n`;
-        abc += `K:${key}\n`;
-
-        let measureCount = 0;
-        const beatsPerMeasure = parseInt(meter.split('/')[0]) || 4;
-
-        for (const note of notes) {
-            if (note.isSeparator) {
-                abc += ' | ';
-                measureCount = 0;
-                continue;
-            }
-
-            if (note.isRest) {
-                abc += 'z ';
-                measureCount++;
-                continue;
-            }
-
-            if (note.isExtension) {
-                abc += '- ';
-                continue;
-            }
-
-            if (note.isSymbol) {
-                continue; // Skip symbols in ABC
-            }
-
-            const abcNote = this._noteToABC(note);
-            abc += abcNote + ' ';
-            measureCount++;
-
-            if (measureCount >= beatsPerMeasure) {
-                abc += '| ';
-                measureCount = 0;
-            }
-        }
-
-        // 結尾雙小節線
-        if (!abc.trim().endsWith('|')) {
-            abc += '|';
-        }
-        abc += ']';
-
-        return abc;
+        return new ABCParser().stringify(notes, options);
     }
 
     /**
@@ -218,326 +180,41 @@ export class StaffParser extends ParserInterface {
     }
 
     /**
-     * 解析 ABC Notation
+     * 解析 ABC Notation（第一首曲目，完整解析見 ABCParser）
      * @param {string} text
-     * @param {Object} options
+     * @param {Object} options - { tuneIndex, chordMode, voices }
      * @returns {Array<Note>}
      */
     parseABC(text, options = {}) {
-        const lines = text.split('\n');
-        const notes = [];
-        let noteIndex = 0;
-        let currentKey = options.key || 'C';
-        let inBody = false;
-
-        for (const line of lines) {
-            const trimmed = line.trim();
-
-            // 解析標頭
-            if (trimmed.startsWith('X:')) {
-                continue; // 參考編號
-            }
-            if (trimmed.startsWith('T:')) {
-                this.title = trimmed.substring(2).trim();
-                continue;
-            }
-            if (trimmed.startsWith('M:')) {
-                this.timeSignature = trimmed.substring(2).trim();
-                continue;
-            }
-            if (trimmed.startsWith('Q:')) {
-                const tempoMatch = trimmed.match(/=(\d+)/);
-                if (tempoMatch) {
-                    this.tempo = parseInt(tempoMatch[1]);
-                }
-                continue;
-            }
-            if (trimmed.startsWith('K:')) {
-                currentKey = trimmed.substring(2).trim().split(' ')[0];
-                this.key = currentKey;
-                inBody = true; // K: 之後是音樂內容
-                continue;
-            }
-            if (trimmed.startsWith('L:') || trimmed.startsWith('C:') || trimmed.startsWith('W:')) {
-                continue; // 其他標頭
-            }
-
-            // 解析音樂內容
-            if (!inBody && !trimmed.match(/^[A-Ga-g,'=_\^\d\/\|\s\[\]z]+$/)) {
-                continue;
-            }
-            inBody = true;
-
-            const parsedNotes = this._parseABCLine(trimmed, currentKey, noteIndex);
-            notes.push(...parsedNotes);
-            noteIndex = notes.length;
-        }
-
+        const parser = new ABCParser();
+        const notes = parser.parse(text, options);
+        this.title = parser.title;
+        this.key = parser.key;
+        this.scaleType = parser.scaleType;
+        this.timeSignature = parser.timeSignature;
+        this.tempo = parser.tempo;
         return notes;
     }
 
     /**
-     * 解析單行 ABC
-     * @private
-     */
-    _parseABCLine(line, key, startIndex) {
-        const notes = [];
-        let noteIndex = startIndex;
-
-        // ABC 正規表達式
-        const noteRegex = /([_=^]*)([A-Ga-g])([,']*)([\d\/]*)/g;
-        const restRegex = /z([\d\/]*)/g;
-        const barRegex = /\|+:?|:\|+|\[\||\|\]/g;
-
-        let pos = 0;
-        while (pos < line.length) {
-            // 跳過空白
-            if (/\s/.test(line[pos])) {
-                pos++;
-                continue;
-            }
-
-            // 檢查小節線
-            const barMatch = line.slice(pos).match(/^(\|+:?|:\|+|\[\||\|\])/);
-            if (barMatch) {
-                notes.push(Note.createSeparator({ index: noteIndex++ }));
-                pos += barMatch[0].length;
-                continue;
-            }
-
-            // 檢查休止符
-            const restMatch = line.slice(pos).match(/^z([\d\/]*)/);
-            if (restMatch) {
-                const duration = this._parseDuration(restMatch[1]);
-                const rest = Note.createRest({ index: noteIndex++, duration });
-                notes.push(rest);
-                pos += restMatch[0].length;
-                continue;
-            }
-
-            // 檢查音符
-            const noteMatch = line.slice(pos).match(/^([_=^]*)([A-Ga-g])([,']*)([\d\/]*)/);
-            if (noteMatch) {
-                const [full, accidentals, noteLetter, octaveMarkers, durationStr] = noteMatch;
-
-                const note = this._parseABCNote(accidentals, noteLetter, octaveMarkers, durationStr, key, noteIndex);
-                if (note) {
-                    notes.push(note);
-                    noteIndex++;
-                }
-                pos += full.length;
-                continue;
-            }
-
-            // 跳過無法識別的字元
-            pos++;
-        }
-
-        return notes;
-    }
-
-    /**
-     * 解析 ABC 音符
-     * @private
-     */
-    _parseABCNote(accidentals, noteLetter, octaveMarkers, durationStr, key, index) {
-        // 決定基本音高
-        let noteName = noteLetter.toUpperCase();
-        let octave = noteLetter === noteLetter.toUpperCase() ? 4 : 5;
-
-        // 處理八度標記
-        for (const marker of octaveMarkers) {
-            if (marker === ',') octave--;
-            if (marker === "'") octave++;
-        }
-
-        // 處理升降記號
-        let accidentalStr = '';
-        if (accidentals.includes('^')) {
-            accidentalStr = '#';
-        } else if (accidentals.includes('_')) {
-            accidentalStr = 'b';
-        } else if (accidentals.includes('=')) {
-            accidentalStr = ''; // 還原記號
-        } else {
-            // 使用調號的升降
-            const keySig = KEY_SIGNATURES[key] || KEY_SIGNATURES['C'];
-            if (keySig.sharps.includes(noteName)) {
-                accidentalStr = '#';
-            } else if (keySig.flats.includes(noteName)) {
-                accidentalStr = 'b';
-            }
-        }
-
-        // 計算 MIDI 音高
-        const noteIndex = NOTES.indexOf(noteName);
-        if (noteIndex === -1) return null;
-
-        let midi = (octave + 1) * 12 + noteIndex;
-        if (accidentalStr === '#') midi++;
-        if (accidentalStr === 'b') midi--;
-
-        // 時值
-        const duration = this._parseDuration(durationStr);
-
-        // 建立顯示字串
-        const displayStr = noteName + accidentalStr + octave;
-
-        return new Note({
-            midi,
-            noteName: noteName + accidentalStr,
-            octave,
-            accidentalStr,
-            displayStr,
-            index,
-            duration: this._durationToName(duration),
-            type: 'note'
-        });
-    }
-
-    /**
-     * 解析時值
-     * @private
-     */
-    _parseDuration(str) {
-        if (!str || str === '') return 1;
-        if (ABC_DURATIONS[str] !== undefined) {
-            return ABC_DURATIONS[str];
-        }
-        // 處理數字
-        if (/^\d+$/.test(str)) {
-            return parseInt(str);
-        }
-        // 處理分數
-        const fracMatch = str.match(/^(\d*)\/(\d*)$/);
-        if (fracMatch) {
-            const num = fracMatch[1] ? parseInt(fracMatch[1]) : 1;
-            const den = fracMatch[2] ? parseInt(fracMatch[2]) : 2;
-            return num / den;
-        }
-        return 1;
-    }
-
-    /**
-     * 時值轉名稱
-     * @private
-     */
-    _durationToName(duration) {
-        if (duration >= 4) return 'whole';
-        if (duration >= 2) return 'half';
-        if (duration >= 1) return 'quarter';
-        if (duration >= 0.5) return 'eighth';
-        if (duration >= 0.25) return 'sixteenth';
-        return 'thirty-second';
-    }
-
-    /**
-     * 音符轉 ABC
-     * @private
-     */
-    _noteToABC(note) {
-        const noteName = (note.noteName || 'C').replace(/[#b]/, '');
-        const accidental = note.accidentalStr || '';
-        const octave = note.octave || 4;
-
-        let abc = '';
-
-        // 升降記號
-        if (accidental === '#') abc += '^';
-        if (accidental === 'b') abc += '_';
-
-        // 音符字母
-        if (octave <= 4) {
-            abc += noteName.toUpperCase();
-        } else {
-            abc += noteName.toLowerCase();
-        }
-
-        // 八度標記
-        if (octave <= 3) {
-            abc += ','.repeat(4 - octave);
-        } else if (octave >= 6) {
-            abc += "'".repeat(octave - 5);
-        }
-
-        return abc;
-    }
-
-    /**
-     * 解析 MusicXML
+     * 解析 MusicXML（第一個聲部，完整解析見 MusicXMLParser）
      * @param {string} xml
-     * @param {Object} options
+     * @param {Object} options - { partIndex, chordMode, voices }
      * @returns {Array<Note>}
      */
     parseMusicXML(xml, options = {}) {
-        const notes = [];
-        let noteIndex = 0;
-
         try {
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(xml, 'application/xml');
-
-            // 檢查解析錯誤
-            const parseError = doc.querySelector('parsererror');
-            if (parseError) {
-                console.error('MusicXML parse error:', parseError.textContent);
-                return notes;
-            }
-
-            // 解析 part
-            const parts = doc.querySelectorAll('part');
-
-            for (const part of parts) {
-                const measures = part.querySelectorAll('measure');
-
-                for (const measure of measures) {
-                    const noteElements = measure.querySelectorAll('note');
-
-                    for (const noteEl of noteElements) {
-                        // 檢查是否為休止符
-                        const restEl = noteEl.querySelector('rest');
-                        if (restEl) {
-                            notes.push(Note.createRest({ index: noteIndex++ }));
-                            continue;
-                        }
-
-                        // 解析音高
-                        const pitchEl = noteEl.querySelector('pitch');
-                        if (pitchEl) {
-                            const step = pitchEl.querySelector('step')?.textContent || 'C';
-                            const octave = parseInt(pitchEl.querySelector('octave')?.textContent || '4');
-                            const alter = parseInt(pitchEl.querySelector('alter')?.textContent || '0');
-
-                            const noteIdx = NOTES.indexOf(step);
-                            if (noteIdx === -1) continue;
-
-                            const midi = (octave + 1) * 12 + noteIdx + alter;
-                            const accidentalStr = alter > 0 ? '#' : (alter < 0 ? 'b' : '');
-
-                            const note = new Note({
-                                midi,
-                                noteName: step + accidentalStr,
-                                octave,
-                                accidentalStr,
-                                displayStr: step + accidentalStr + octave,
-                                index: noteIndex++,
-                                type: 'note'
-                            });
-                            notes.push(note);
-                        }
-                    }
-
-                    // 小節結束加入分隔符
-                    if (Array.from(measures).indexOf(measure) < measures.length - 1) {
-                        notes.push(Note.createSeparator({ index: noteIndex++ }));
-                    }
-                }
-            }
+            const parser = new MusicXMLParser();
+            const notes = parser.parse(xml, options);
+            this.title = parser.title;
+            this.key = parser.key;
+            this.timeSignature = parser.timeSignature;
+            this.tempo = parser.tempo;
+            return notes;
         } catch (error) {
             console.error('MusicXML parsing error:', error);
+            return [];
         }
-
-        return notes;
     }
 }
 
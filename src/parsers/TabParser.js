@@ -5,7 +5,9 @@
 
 import { ParserInterface } from '../core/interfaces/ParserInterface.js';
 import { Note } from '../core/models/Note.js';
-import { STRING_TUNINGS, NOTES } from '../data/scaleData.js';
+import { STRING_TUNINGS, NOTES, getNoteIndex } from '../data/scaleData.js';
+import { splitMeasures } from '../core/models/Measure.js';
+import { getDurationBeats, parseTimeSignature } from '../core/timing/timeline.js';
 
 // 標準吉他調弦名稱 (由高到低)
 const STRING_NAMES = ['e', 'B', 'G', 'D', 'A', 'E'];
@@ -34,6 +36,460 @@ const TECHNIQUES = {
     't': 'tap',
 };
 
+// 節奏列的時值字母（w h q e s t，後接 . 為附點、r 為休止符），例：q  e e  s s s s  hr
+// 3 為連音：套用於其後的三個記號（可單獨成一個記號或接在時值前，如 3 e e e / 3e e e）
+const RHYTHM_LETTERS = { w: 'whole', h: 'half', q: 'quarter', e: 'eighth', s: '16th', t: '32nd' };
+const RHYTHM_TOKEN = /^([2-9])?([whqest])(\.{0,2})(r?)$/i;
+
+// n 連音佔幾個正常音的時間
+const TUPLET_RATIOS = { 2: 3, 3: 2, 4: 3, 5: 4, 6: 4, 7: 4, 9: 8 };
+
+// 依欄距推算時值時可用的時值（含附點）
+const INFERRED_DURATIONS = [
+    ['32nd', 0], ['16th', 0], ['eighth', 0], ['eighth', 1],
+    ['quarter', 0], ['quarter', 1], ['half', 0], ['half', 1], ['whole', 0]
+];
+
+// 弦名前綴（e|、Eb|、D -）；之後的內容才解析琴格
+const STRING_PREFIX = /^\s*(?:[A-Ga-g][#b]?(?=[\s|:-]))?\s*/;
+
+// 琴格記號：<12> 泛音、(5) 幽靈音、x 悶音；7b9 / 7b9r7 推弦目標不是新音；5h7 的 h 屬於前一個音
+const FRET_TOKEN = /([<(]?)(\d{1,2}|[xX])[>)]?((?:[br]\(?\d{1,2}\)?)*)([hpbr/\\~t*])?/y;
+
+/**
+ * 節奏列 → [{ col, duration, dotted, rest, tuplet }]；不是節奏列時回傳 null
+ * @param {string} line
+ * @returns {Array<{ col: number, duration: string, dotted: number, rest: boolean, tuplet: Object|null }>|null}
+ */
+function readRhythmLine(line) {
+    const tokens = [];
+    let tuplet = null;
+    let remaining = 0;
+    const startTuplet = (num) => {
+        tuplet = { num, den: TUPLET_RATIOS[num] };
+        remaining = num;
+    };
+    for (const match of line.matchAll(/\S+/g)) {
+        const rhythm = RHYTHM_TOKEN.exec(match[0]);
+        if (rhythm) {
+            if (rhythm[1]) startTuplet(Number(rhythm[1]));
+            tokens.push({
+                col: match.index + (rhythm[1] ? 1 : 0),
+                duration: RHYTHM_LETTERS[rhythm[2].toLowerCase()],
+                dotted: rhythm[3].length,
+                rest: !!rhythm[4],
+                tuplet: remaining > 0 ? { ...tuplet } : null
+            });
+            remaining = Math.max(0, remaining - 1);
+        } else if (/^[2-9]$/.test(match[0]) && TUPLET_RATIOS[match[0]]) {
+            startTuplet(Number(match[0]));
+        } else if (!/^\|+$/.test(match[0])) {
+            return null;
+        }
+    }
+    return tokens.length > 0 ? tokens : null;
+}
+
+/**
+ * 單條弦線 → 起音（含欄位範圍與技巧）與小節線欄位
+ * @param {string} line
+ * @param {number} string - 弦索引（0 = 最高音弦）
+ * @returns {{ onsets: Array<{ string: number, col: number, end: number, fret: number, technique: string|null, bendTo: number|null }>, bars: Array<number>, colons: Array<number> }}
+ */
+function readStringLine(line, string) {
+    const onsets = [];
+    const bars = [];
+    const colons = [];
+    let i = STRING_PREFIX.exec(line)[0].length;
+    while (i < line.length) {
+        const ch = line[i];
+        if (ch === '|' || ch === ':') {
+            (ch === '|' ? bars : colons).push(i);
+            i++;
+            continue;
+        }
+        FRET_TOKEN.lastIndex = i;
+        const match = /[\d<(xX]/.test(ch) ? FRET_TOKEN.exec(line) : null;
+        if (!match) {
+            i++;
+            continue;
+        }
+        const [token, open, fretText, bends, mark] = match;
+        const muted = /x/i.test(fretText);
+        const col = i;
+        let technique = TECHNIQUES[mark] ?? null;
+        if (bends) technique = bends[0] === 'b' ? 'bend' : 'release';
+        if (open === '<') technique = 'harmonic';
+        if (muted) technique = 'mute';
+        onsets.push({
+            string,
+            col,
+            end: col + open.length + fretText.length - 1,
+            fret: muted ? 0 : Number(fretText),
+            technique,
+            bendTo: bends ? Number(/\d+/.exec(bends)[0]) : null
+        });
+        i += token.length;
+    }
+    return { onsets, bars, colons };
+}
+
+/**
+ * 合併各弦起音為事件：欄位範圍重疊者（含兩位數琴格左 / 右對齊）為同一和弦，同一條弦不重複
+ * @param {Array} onsets
+ * @returns {Array<{ col: number, end: number, notes: Array }>}
+ */
+function groupOnsets(onsets) {
+    const events = [];
+    [...onsets].sort((a, b) => a.col - b.col || a.string - b.string).forEach(onset => {
+        const last = events[events.length - 1];
+        if (last && onset.col <= last.end && !last.notes.some(n => n.string === onset.string)) {
+            last.notes.push(onset);
+            last.end = Math.max(last.end, onset.end);
+        } else {
+            events.push({ col: onset.col, end: onset.end, notes: [onset] });
+        }
+    });
+    return events;
+}
+
+/**
+ * 小節線欄位 → 小節線（半數以上的弦在同一欄有 | 才算）
+ * 相鄰欄位合成一條：|| 雙小節線、:| 反覆結束、|: 反覆開始
+ * @returns {Array<{ col: number, end: number, closing: string, opening: string|null }>}
+ */
+function findBarlines(lineBars, lineColons, stringCount) {
+    const counts = new Map();
+    lineBars.flat().forEach(col => counts.set(col, (counts.get(col) || 0) + 1));
+    const colons = new Set(lineColons.flat());
+    const cols = [...counts.keys()].filter(col => counts.get(col) * 2 >= stringCount).sort((a, b) => a - b);
+
+    const barlines = [];
+    cols.forEach(col => {
+        const last = barlines[barlines.length - 1];
+        if (last && (col === last.end + 1 || (col === last.end + 2 && colons.has(last.end + 1)))) {
+            last.end = col;
+        } else {
+            barlines.push({ col, end: col });
+        }
+    });
+    return barlines.map(bar => {
+        const double = bar.end > bar.col && !colons.has(bar.col + 1);
+        return {
+            ...bar,
+            closing: colons.has(bar.col - 1) ? ':|' : double ? '||' : '|',
+            opening: colons.has(bar.end + 1) || (bar.end > bar.col && colons.has(bar.col + 1)) ? '|:' : null
+        };
+    });
+}
+
+/**
+ * 拍數 → 最接近的時值（含附點，以對數距離比較）
+ * @param {number} beats
+ * @returns {{ duration: string, dotted: number }}
+ */
+function inferDuration(beats) {
+    let best = ['quarter', 0];
+    let bestDistance = Infinity;
+    for (const candidate of INFERRED_DURATIONS) {
+        const distance = Math.abs(Math.log(getDurationBeats(candidate[0], candidate[1]) / beats));
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = candidate;
+        }
+    }
+    return { duration: best[0], dotted: best[1] };
+}
+
+/**
+ * 為一段（兩條小節線之間）的事件決定時值
+ * 休止符事件取自己的節奏記號；音符有節奏列時取對齊的節奏記號；否則依欄距：
+ *   - 後面有小節線：欄距按比例分配整個小節的拍數
+ *   - 後面沒有小節線：最常見的欄距視為四分音符
+ * @param {Array} events
+ * @param {number|null} end - 結尾小節線欄位
+ * @param {Array|null} rhythm - 節奏列
+ * @param {number} measureBeats - 每小節拍數（四分音符為一拍）
+ */
+function assignDurations(events, end, rhythm, measureBeats) {
+    if (events.length === 0) return;
+    const gaps = events.map((event, i) => (events[i + 1]?.col ?? end ?? NaN) - event.col);
+
+    let beatsPerColumn;
+    if (end != null) {
+        beatsPerColumn = measureBeats / (end - events[0].col);
+    } else {
+        const inner = gaps.filter(Number.isFinite);
+        const counts = new Map();
+        inner.forEach(gap => counts.set(gap, (counts.get(gap) || 0) + 1));
+        const unit = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0]?.[0];
+        beatsPerColumn = unit ? 1 / unit : null;
+        // 最後一個音沿用前一個欄距
+        gaps[gaps.length - 1] = inner[inner.length - 1] ?? unit;
+    }
+
+    events.forEach((event, i) => {
+        const mark = event.rest ?? rhythm?.find(r => !r.rest && r.col >= event.col - 1 && r.col <= event.end + 1);
+        if (mark) {
+            event.duration = mark.duration;
+            event.dotted = mark.dotted;
+            event.tuplet = mark.tuplet;
+        } else if (beatsPerColumn && gaps[i] > 0) {
+            Object.assign(event, inferDuration(gaps[i] * beatsPerColumn));
+        } else {
+            event.duration = 'quarter';
+            event.dotted = 0;
+        }
+    });
+}
+
+// 技巧 → Tab 符號（stringify 用；泛音寫成 <12>，悶音寫成 x）
+const TECHNIQUE_SYMBOLS = Object.fromEntries(Object.entries(TECHNIQUES).map(([symbol, name]) => [name, symbol]));
+
+// 時值 → 節奏列字母
+const RHYTHM_SYMBOLS = {
+    'whole': 'w', 'half': 'h', 'quarter': 'q', 'eighth': 'e', '8th': 'e',
+    '16th': 's', 'sixteenth': 's', '32nd': 't', 'thirty-second': 't'
+};
+
+// 每拍欄數的候選值（每小節取能讓所有時值為整數欄、且最短的音放得下記號的最小值；6、12… 給三連音）
+const COLUMNS_PER_BEAT = [4, 6, 8, 12, 16, 24, 32, 48, 64];
+
+/**
+ * 標頭行：Tuning: E A D G B E（由低到高或調弦名稱）、Time: 3/4
+ * @param {Array<string>} lines
+ * @returns {{ tuning: Array<number>|null, timeSignature: string|null }}
+ */
+function readTabHeader(lines) {
+    let tuning = null;
+    let timeSignature = null;
+    for (const line of lines) {
+        const time = /^\s*time\s*[:=]\s*(\d+\/\d+)\s*$/i.exec(line);
+        if (time) timeSignature = time[1];
+        const match = /^\s*tuning\s*[:=]\s*(.+?)\s*$/i.exec(line);
+        if (!match) continue;
+        const named = Object.keys(TUNINGS).find(name => name.toLowerCase() === match[1].toLowerCase());
+        if (named) {
+            tuning = TUNINGS[named];
+            continue;
+        }
+        const names = match[1].split(/[\s,]+/);
+        if (names.length >= 4 && names.length <= 7 && names.every(n => /^[A-Ga-g][#b]?$/.test(n))) {
+            // 由高到低；每條弦取最接近標準調弦的八度
+            tuning = names.reverse().map((name, i) => {
+                const pc = getNoteIndex(name[0].toUpperCase() + name.slice(1));
+                const reference = TUNINGS.standard[Math.min(i, 5)] - (i > 5 ? 5 : 0);
+                return reference + ((pc - reference % 12 + 18) % 12) - 6;
+            });
+        }
+    }
+    return { tuning, timeSignature };
+}
+
+/**
+ * 弦名（由高到低）；最高與最低弦同名時最高弦小寫（e … E）
+ * @param {Array<number>} tuning
+ * @returns {Array<string>}
+ */
+function stringLabels(tuning) {
+    const names = tuning.map(midi => NOTES[midi % 12]);
+    if (names.length > 1 && names[0] === names[names.length - 1]) names[0] = names[0].toLowerCase();
+    const width = Math.max(...names.map(n => n.length));
+    return names.map(n => n.padEnd(width, ' '));
+}
+
+/**
+ * 單一音的 Tab 記號（琴格加技巧符號）
+ * @param {Object} note
+ * @param {number} fret
+ * @returns {string}
+ */
+function fretToken(note, fret) {
+    const bendTo = note.tabPosition?.bendTo ?? '';
+    switch (note.technique) {
+        case 'mute': return 'x';
+        case 'harmonic': return `<${fret}>`;
+        case 'bend': return `${fret}b${bendTo}`;
+        case 'release': return `${fret}r${bendTo}`;
+        default: return `${fret}${TECHNIQUE_SYMBOLS[note.technique] ?? ''}`;
+    }
+}
+
+/**
+ * 為沒有弦 / 格的音安排位置：高音在高音弦，和弦選把位跨度最小者（跨度相同取格數和較小者）
+ * @param {Array<number>} pitches - MIDI 音高
+ * @param {Array<number>} tuning - 由高到低的 MIDI 值
+ * @param {Set<number>} used - 已使用的弦索引
+ * @returns {Array<{ string: number, fret: number }|null>} 與 pitches 同順序
+ */
+function voicePitches(pitches, tuning, used) {
+    const order = pitches.map((midi, i) => ({ midi, i })).sort((a, b) => b.midi - a.midi);
+    const free = tuning.map((_, string) => string).filter(string => !used.has(string));
+    let best = null;
+
+    const search = (k, from, chosen) => {
+        if (k === order.length) {
+            const fretted = chosen.map(c => c.fret).filter(f => f > 0);
+            const span = fretted.length ? Math.max(...fretted) - Math.min(...fretted) : 0;
+            const total = chosen.reduce((sum, c) => sum + c.fret, 0);
+            if (!best || span < best.span || (span === best.span && total < best.total)) best = { span, total, chosen };
+            return;
+        }
+        for (let j = from; j < free.length; j++) {
+            const fret = order[k].midi - tuning[free[j]];
+            if (fret >= 0 && fret <= 24) search(k + 1, j + 1, [...chosen, { string: free[j], fret }]);
+        }
+    };
+    search(0, 0, []);
+
+    const positions = pitches.map(() => null);
+    best?.chosen.forEach((position, k) => {
+        positions[order[k].i] = position;
+    });
+    return positions;
+}
+
+/**
+ * 音符 → 小節與事件（和弦成員併入同一事件；休止符與延長記號為空白事件）
+ * 沒有任何小節線時依拍號切小節，但不寫出小節線（closed = false）；最後一小節只在原本有結尾小節線時才寫出
+ * @returns {Array<{ events: Array, repeatStart: boolean, repeatEnd: boolean, double: boolean, closed: boolean }>}
+ */
+function buildTabMeasures(notes, measureBeats) {
+    const toEvents = (content) => {
+        const events = [];
+        content.forEach(note => {
+            if (note.isSymbol) return;
+            const last = events[events.length - 1];
+            if (note.isChord && note.chordPosition > 0 && last?.notes.length > 0) {
+                last.notes.push(note);
+                return;
+            }
+            events.push({
+                notes: note.isNote ? [note] : [],
+                rest: !!note.isRest,
+                duration: note.duration || 'quarter',
+                dotted: note.dotted || 0,
+                tuplet: note.tuplet || null,
+                beats: getDurationBeats(note.duration || 'quarter', note.dotted || 0, note.tuplet)
+            });
+        });
+        return events;
+    };
+
+    if (!notes.some(n => n.isSeparator)) {
+        const measures = [];
+        let beats = measureBeats;
+        toEvents(notes).forEach(event => {
+            if (beats >= measureBeats - 1e-6) {
+                measures.push({ events: [], repeatStart: false, repeatEnd: false, double: false, closed: false });
+                beats = 0;
+            }
+            measures[measures.length - 1].events.push(event);
+            beats += event.beats;
+        });
+        return measures;
+    }
+
+    const measures = splitMeasures(notes)
+        .map(measure => ({
+            events: toEvents(measure.notes),
+            repeatStart: measure.startBarlines.some(b => b.displayStr === '|:'),
+            repeatEnd: measure.endBarlines.some(b => b.displayStr === ':|'),
+            double: measure.endBarlines.some(b => b.displayStr === '||'),
+            closed: measure.endBarlines.length > 0
+        }))
+        .filter(measure => measure.events.length > 0);
+    measures.slice(0, -1).forEach(measure => {
+        measure.closed = true;
+    });
+    return measures;
+}
+
+/**
+ * 依欄距推算無法還原的小節（沒有結尾小節線、拍數不滿、休止符、連音或非常用時值）需要節奏列
+ */
+function needsRhythmLine(measure, measureBeats) {
+    const total = measure.events.reduce((sum, e) => sum + e.beats, 0);
+    if (!measure.closed || Math.abs(total - measureBeats) > 1e-6) return true;
+    return measure.events.some(e => e.notes.length === 0 || e.tuplet
+        || !INFERRED_DURATIONS.some(([duration, dotted]) => getDurationBeats(duration, dotted) === e.beats && DURATION_ALIASES[e.duration] === duration && dotted === e.dotted));
+}
+
+// 時值別名 → 推算時使用的名稱
+const DURATION_ALIASES = {
+    'whole': 'whole', 'half': 'half', 'quarter': 'quarter', 'eighth': 'eighth', '8th': 'eighth',
+    '16th': '16th', 'sixteenth': '16th', '32nd': '32nd', 'thirty-second': '32nd'
+};
+
+/**
+ * 事件的節奏記號：時值字母、附點、休止符 r；連音組第一個記號前加上連音數（3e）
+ */
+function rhythmTokens(events) {
+    let group = null;
+    return events.map(e => {
+        if (e.notes.length === 0 && !e.rest) {
+            group = null;
+            return '';
+        }
+        let prefix = '';
+        if (!e.tuplet) {
+            group = null;
+        } else if (group && group.num === e.tuplet.num && group.den === e.tuplet.den && group.count < group.num) {
+            group.count++;
+        } else {
+            group = { ...e.tuplet, count: 1 };
+            prefix = String(e.tuplet.num);
+        }
+        return prefix + (RHYTHM_SYMBOLS[e.duration] ?? 'q') + '.'.repeat(e.dotted) + (e.rest ? 'r' : '');
+    });
+}
+
+/**
+ * 排出一個小節：每條弦的文字與節奏列（欄寬與時值成正比，和弦同欄）
+ * 節奏記號對齊事件的欄位，連音數寫在前一欄
+ * @returns {{ strings: Array<string>, rhythm: string }}
+ */
+function layoutMeasure(measure, tuning) {
+    const tokens = measure.events.map(event => {
+        // 已有弦 / 格的音照原位置，其餘依音高安排
+        const used = new Set();
+        const byString = new Map();
+        const unplaced = [];
+        event.notes.forEach(note => {
+            if (note.stringIndex != null && note.fret != null && note.stringIndex < tuning.length && !used.has(note.stringIndex)) {
+                used.add(note.stringIndex);
+                byString.set(note.stringIndex, fretToken(note, note.fret));
+            } else if ((note.midi ?? note.midiNote) != null) {
+                unplaced.push(note);
+            }
+        });
+        voicePitches(unplaced.map(n => n.midi ?? n.midiNote), tuning, used).forEach((position, i) => {
+            if (position) byString.set(position.string, fretToken(unplaced[i], position.fret));
+        });
+        return byString;
+    });
+    const marks = rhythmTokens(measure.events);
+    const prefixLength = (mark) => /^\d/.test(mark) ? 1 : 0;
+
+    const minWidth = Math.max(1, ...tokens.flatMap(t => [...t.values()].map(v => v.length)), ...marks.map(m => m.length)) + 1;
+    const minBeats = Math.min(...measure.events.map(e => e.beats));
+    const columnsPerBeat = COLUMNS_PER_BEAT.find(cpb =>
+        minBeats * cpb >= minWidth && measure.events.every(e => Number.isInteger(Math.round(e.beats * cpb * 1e6) / 1e6))
+    ) ?? Math.ceil(minWidth / minBeats);
+    const widths = measure.events.map(e => Math.max(minWidth, Math.round(e.beats * columnsPerBeat)));
+
+    const open = measure.repeatStart ? ':-' : '-';
+    const close = measure.closed ? (measure.repeatEnd ? ':' : '') + (measure.double ? '||' : '|') : '';
+    const strings = tuning.map((_, string) => open
+        + tokens.map((t, i) => (t.get(string) ?? '').padEnd(widths[i], '-')).join('')
+        + close);
+    const rhythm = marks.reduce((line, mark, i) => {
+        const col = open.length + widths.slice(0, i).reduce((sum, w) => sum + w, 0) - prefixLength(mark);
+        return line.slice(0, col) + mark + line.slice(col + mark.length);
+    }, ' '.repeat(strings[0].length));
+    return { strings, rhythm };
+}
+
 /**
  * TabParser 類別
  * @extends ParserInterface
@@ -53,6 +509,23 @@ export class TabParser extends ParserInterface {
         return '六線譜 (Guitar Tab) 解析器 - ASCII Tab 格式';
     }
 
+    get formatId() {
+        return 'tab';
+    }
+
+    get extensions() {
+        return ['.txt', '.tab'];
+    }
+
+    /**
+     * 依內容判斷（六條 e|---- 弦線）
+     * @param {string} text
+     * @returns {number}
+     */
+    sniff(text) {
+        return this.validate(String(text ?? '')) ? 0.7 : 0;
+    }
+
     /**
      * 設定調弦
      * @param {string|number[]} tuning
@@ -69,35 +542,73 @@ export class TabParser extends ParserInterface {
 
     /**
      * 解析 Tab 文字
+     * 同一欄上下疊起的琴格為和弦；| 為小節線；弦線上方的節奏列（q e e s s）決定時值，
+     * 沒有節奏列時依欄距推算相對時值
      * @param {string} text - ASCII Tab 文字
      * @param {Object} options
+     * @param {string} options.timeSignature - 拍號（依欄距推算時值用，預設取 Time 標頭或 4/4）
      * @returns {Array<Note>}
      */
     parse(text, options = {}) {
-        const lines = text.split('\n').map(l => l.trim()).filter(l => l);
-        const tabLines = this._extractTabLines(lines);
+        const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n').map(l => l.trimEnd()).filter(l => l.trim());
+        const systems = this._extractSystems(lines);
 
-        if (tabLines.length === 0) {
+        if (systems.length === 0) {
             return [];
         }
 
-        return this._parseTabLines(tabLines, options);
+        // Tuning / Time 標頭（stringify 輸出的格式）
+        const header = readTabHeader(lines);
+        return this._parseSystems(systems, {
+            ...options,
+            timeSignature: options.timeSignature || header.timeSignature,
+            tuning: header.tuning || options.tuning || this.tuning
+        });
     }
 
     /**
      * 將音符陣列轉換為 Tab 文字
+     * 技巧寫成 h p b r / \ ~ t 與 <12>、x；和弦同欄；欄寬依時值；再以 parse 讀回會得到相同的音符
      * @param {Array<Note>} notes
      * @param {Object} options
+     * @param {number} options.measuresPerLine - 每行小節數
+     * @param {string} options.timeSignature - 拍號（預設 4/4）
+     * @param {Array<number>} options.tuning - 調弦（由高到低的 MIDI 值，預設為目前調弦）
+     * @param {boolean|'auto'} options.rhythm - 節奏列；'auto' 只在欄距無法還原時值時加上
+     * @param {boolean} options.header - 是否加上 Tuning / Time 標頭
      * @returns {string}
      */
     stringify(notes, options = {}) {
-        const { measuresPerLine = 4, beatsPerMeasure = 4 } = options;
+        const { measuresPerLine = 4, rhythm = 'auto', header = true } = options;
+        const timeSignature = options.timeSignature || options.meter || '4/4';
+        const tuning = options.tuning?.length ? options.tuning : this.tuning;
 
         if (!notes || notes.length === 0) {
             return this._createEmptyTab();
         }
 
-        return this._notesToTab(notes, measuresPerLine, beatsPerMeasure);
+        const { beats, beatType } = parseTimeSignature(timeSignature);
+        const measureBeats = beats * 4 / beatType;
+        const measures = buildTabMeasures(notes, measureBeats);
+        const withRhythm = rhythm === true || (rhythm === 'auto' && measures.some(m => needsRhythmLine(m, measureBeats)));
+        const labels = stringLabels(tuning);
+
+        // 沒有小節線的音符寫成一行（換行會被讀成小節線）
+        const perLine = measures.every(m => !m.closed) ? measures.length : measuresPerLine;
+        const systems = [];
+        for (let i = 0; i < measures.length; i += perLine) {
+            const laid = measures.slice(i, i + perLine).map(m => layoutMeasure(m, tuning));
+            const lines = labels.map((label, string) => `${label}|${laid.map(m => m.strings[string]).join('')}`);
+            if (withRhythm) lines.unshift((' '.repeat(labels[0].length + 1) + laid.map(m => m.rhythm).join('')).trimEnd());
+            systems.push(lines.join('\n'));
+        }
+
+        const headerLines = header ? [
+            `Tuning: ${tuning.map(midi => NOTES[midi % 12]).reverse().join(' ')}`,
+            timeSignature !== '4/4' ? `Time: ${timeSignature}` : null
+        ].filter(Boolean) : [];
+
+        return [headerLines.join('\n'), ...systems].filter(Boolean).join('\n\n');
     }
 
     /**
@@ -112,7 +623,7 @@ export class TabParser extends ParserInterface {
             const trimmed = line.trim();
             // Tab 行通常以弦名開頭或包含 |---
             return /^[eEbBgGdDaA]\|/.test(trimmed) ||
-                   /^\|?[-0-9hpbr\/\\~x*t|]+\|?$/.test(trimmed);
+                   /^\|?[-0-9hpbr\/\\~xX*t<>():|]+\|?$/.test(trimmed);
         });
         return tabLines.join('\n');
     }
@@ -164,39 +675,42 @@ export class TabParser extends ParserInterface {
     }
 
     /**
-     * 提取 Tab 行組
+     * 提取 Tab 行組（validate 用）
      * @private
      */
     _extractTabLines(lines) {
-        const tabGroups = [];
+        return this._extractSystems(lines).map(system => system.lines);
+    }
+
+    /**
+     * 提取 Tab 系統：連續的弦線（4–6 條）與正上方的節奏列
+     * @private
+     */
+    _extractSystems(lines) {
+        const systems = [];
         let currentGroup = [];
+        let rhythm = null;
 
-        for (const line of lines) {
-            // 檢查是否為 Tab 行
+        const flush = () => {
+            // 不完整的 Tab（只顯示部分弦）至少要 4 條
+            if (currentGroup.length >= 4) systems.push({ lines: currentGroup, rhythm });
+            currentGroup = [];
+        };
+
+        lines.forEach((line, i) => {
             if (this._isTabLine(line)) {
+                if (currentGroup.length === 0) rhythm = i > 0 ? readRhythmLine(lines[i - 1]) : null;
                 currentGroup.push(line);
 
                 // 如果收集到 6 條弦，則為完整的一組
-                if (currentGroup.length === 6) {
-                    tabGroups.push([...currentGroup]);
-                    currentGroup = [];
-                }
+                if (currentGroup.length === 6) flush();
             } else if (currentGroup.length > 0) {
-                // 遇到非 Tab 行，如果有未完成的組則嘗試補齊或清除
-                if (currentGroup.length >= 4) {
-                    // 可能是不完整的 Tab（只顯示部分弦）
-                    tabGroups.push([...currentGroup]);
-                }
-                currentGroup = [];
+                flush();
             }
-        }
-
-        // 處理最後一組
-        if (currentGroup.length >= 4) {
-            tabGroups.push(currentGroup);
-        }
+        });
+        flush();
 
-        return tabGroups;
+        return systems;
     }
 
     /**
@@ -205,230 +719,101 @@ export class TabParser extends ParserInterface {
      */
     _isTabLine(line) {
         const trimmed = line.trim();
-        // 匹配模式：e|---0---2---| 或 |---0---2---|
-        return /^[eEbBgGdDaA]?\|?[-0-9hpbr\/\\~x*t\s|]+\|?$/.test(trimmed) &&
-               /[0-9]/.test(trimmed); // 必須包含數字
+        // 匹配模式：e|---0---2---| 或 |---0---2---|（沒有音的弦至少要有 --；3 h h h 是節奏列）
+        return /^[A-Ga-g]?[#b]?\|?[-0-9hpbr\/\\~xX*t<>():\s|]+\|?$/.test(trimmed) &&
+               /[0-9]|--/.test(trimmed) && !readRhythmLine(trimmed);
     }
 
     /**
-     * 解析 Tab 行組
+     * 解析 Tab 系統為音符
      * @private
      */
-    _parseTabLines(tabGroups, options) {
+    _parseSystems(systems, options) {
         const notes = [];
+        const { beats, beatType } = parseTimeSignature(options.timeSignature || '4/4');
+        const measureBeats = beats * 4 / beatType;
         let noteIndex = 0;
 
-        for (const group of tabGroups) {
-            // 正規化每一行
-            const normalizedLines = this._normalizeTabGroup(group);
-            if (normalizedLines.length === 0) continue;
-
-            // 找出最長行的長度
-            const maxLength = Math.max(...normalizedLines.map(l => l.length));
-
-            // 逐列解析
-            for (let col = 0; col < maxLength; col++) {
-                const columnNotes = this._parseColumn(normalizedLines, col, noteIndex);
-
-                if (columnNotes.length > 0) {
-                    // 如果同一列有多個音符，視為和弦
-                    if (columnNotes.length === 1) {
-                        notes.push(columnNotes[0]);
-                    } else {
-                        // 標記為和弦的一部分
-                        columnNotes.forEach((note, i) => {
+        const pushMarker = (marker) => {
+            const separator = Note.createSeparator({ index: noteIndex++ });
+            separator.jianpu = marker;
+            separator.displayStr = marker;
+            notes.push(separator);
+        };
+
+        systems.forEach((system, systemIdx) => {
+            const strings = system.lines.slice(0, options.tuning.length).map((line, string) => readStringLine(line, string));
+            // 節奏列的休止符沒有琴格，依欄位插入空白事件
+            const events = [
+                ...groupOnsets(strings.flatMap(s => s.onsets)),
+                ...(system.rhythm || []).filter(r => r.rest).map(r => ({ col: r.col, end: r.col, notes: [], rest: r }))
+            ].sort((a, b) => a.col - b.col);
+            const barlines = findBarlines(strings.map(s => s.bars), strings.map(s => s.colons), strings.length);
+
+            // 依小節線切段並決定時值
+            let eventIdx = 0;
+            [...barlines, null].forEach(bar => {
+                const segment = [];
+                while (eventIdx < events.length && (!bar || events[eventIdx].col < bar.col)) segment.push(events[eventIdx++]);
+                assignDurations(segment, bar?.col ?? null, system.rhythm, measureBeats);
+            });
+
+            let pending = false;    // 上一條小節線之後是否有音
+            [...events.map(event => ({ col: event.col, event })), ...barlines.map(bar => ({ col: bar.col, bar }))]
+                .sort((a, b) => a.col - b.col)
+                .forEach(({ event, bar }) => {
+                    if (bar) {
+                        if (pending || bar.closing === ':|') pushMarker(bar.closing);
+                        if (bar.opening) pushMarker(bar.opening);
+                        pending = false;
+                        return;
+                    }
+                    if (event.rest) {
+                        const rest = Note.createRest({ index: noteIndex++, duration: event.duration });
+                        rest.dotted = event.dotted;
+                        rest.tuplet = event.tuplet;
+                        rest.format = 'tab';
+                        notes.push(rest);
+                        pending = true;
+                        return;
+                    }
+                    const chord = event.notes.map(onset => this._createNote(onset, event, noteIndex, options.tuning));
+                    if (chord.length > 1) {
+                        chord.forEach((note, i) => {
                             note.isChord = true;
                             note.chordPosition = i;
-                            notes.push(note);
                         });
                     }
+                    notes.push(...chord);
                     noteIndex++;
-                }
-            }
-
-            // 在 Tab 組之間加入分隔符
-            if (tabGroups.indexOf(group) < tabGroups.length - 1) {
-                notes.push(Note.createSeparator({ index: noteIndex++ }));
-            }
-        }
-
-        return notes;
-    }
+                    pending = true;
+                });
 
-    /**
-     * 正規化 Tab 組
-     * @private
-     */
-    _normalizeTabGroup(group) {
-        return group.map(line => {
-            // 移除弦名前綴
-            let normalized = line.replace(/^[eEbBgGdDaA]\|/, '|');
-            // 移除結尾的 |
-            normalized = normalized.replace(/\|$/, '');
-            // 移除開頭的 |
-            normalized = normalized.replace(/^\|/, '');
-            return normalized;
+            // 在 Tab 組之間加入分隔符（沒有結尾小節線時）
+            if (pending && systemIdx < systems.length - 1) pushMarker('|');
         });
-    }
-
-    /**
-     * 解析單列
-     * @private
-     */
-    _parseColumn(lines, col, baseIndex) {
-        const notes = [];
-
-        for (let stringIdx = 0; stringIdx < Math.min(lines.length, 6); stringIdx++) {
-            const line = lines[stringIdx];
-            if (col >= line.length) continue;
-
-            const char = line[col];
-
-            // 檢查是否為琴格數字
-            if (/[0-9]/.test(char)) {
-                // 處理兩位數琴格（如 10, 12, 15）
-                let fretStr = char;
-                if (col + 1 < line.length && /[0-9]/.test(line[col + 1])) {
-                    // 檢查下一個字元是否也是數字
-                    fretStr += line[col + 1];
-                }
-
-                const fret = parseInt(fretStr);
-                const midi = this.tuning[stringIdx] + fret;
-
-                // 檢查技巧符號
-                let technique = null;
-                if (col + fretStr.length < line.length) {
-                    const nextChar = line[col + fretStr.length];
-                    if (TECHNIQUES[nextChar]) {
-                        technique = TECHNIQUES[nextChar];
-                    }
-                }
-
-                const note = Note.fromMidi(midi, { index: baseIndex });
-                note.stringIndex = stringIdx;
-                note.fret = fret;
-                note.technique = technique;
-                note.tabPosition = { string: stringIdx, fret, column: col };
-
-                notes.push(note);
-            } else if (char === 'x' || char === 'X') {
-                // 悶音
-                const note = new Note({
-                    index: baseIndex,
-                    type: 'mute',
-                    stringIndex: stringIdx,
-                    displayStr: 'x'
-                });
-                note.stringIndex = stringIdx;
-                note.technique = 'mute';
-                notes.push(note);
-            }
-        }
 
         return notes;
     }
 
     /**
-     * 將音符轉換為 Tab 格式
-     * @private
-     */
-    _notesToTab(notes, measuresPerLine, beatsPerMeasure) {
-        const lines = ['', '', '', '', '', ''];
-        const stringNames = ['e', 'B', 'G', 'D', 'A', 'E'];
-
-        // 初始化每條弦
-        for (let i = 0; i < 6; i++) {
-            lines[i] = stringNames[i] + '|';
-        }
-
-        let beatCount = 0;
-        let measureCount = 0;
-
-        for (const note of notes) {
-            if (note.isSeparator) {
-                // 加入小節線
-                for (let i = 0; i < 6; i++) {
-                    lines[i] += '|';
-                }
-                measureCount++;
-                beatCount = 0;
-
-                // 換行
-                if (measureCount >= measuresPerLine) {
-                    for (let i = 0; i < 6; i++) {
-                        lines[i] += '\n' + stringNames[i] + '|';
-                    }
-                    measureCount = 0;
-                }
-                continue;
-            }
-
-            // 找出音符在指板上的位置
-            const position = this._findBestPosition(note);
-
-            if (position) {
-                const fretStr = position.fret.toString().padStart(2, '-');
-                for (let i = 0; i < 6; i++) {
-                    if (i === position.string) {
-                        lines[i] += fretStr + '-';
-                    } else {
-                        lines[i] += '---';
-                    }
-                }
-            } else {
-                // 找不到位置，跳過
-                for (let i = 0; i < 6; i++) {
-                    lines[i] += '---';
-                }
-            }
-
-            beatCount++;
-            if (beatCount >= beatsPerMeasure) {
-                for (let i = 0; i < 6; i++) {
-                    lines[i] += '|';
-                }
-                beatCount = 0;
-                measureCount++;
-            }
-        }
-
-        // 結尾
-        for (let i = 0; i < 6; i++) {
-            if (!lines[i].endsWith('|')) {
-                lines[i] += '|';
-            }
-        }
-
-        return lines.join('\n');
-    }
-
-    /**
-     * 找出音符在指板上的最佳位置
+     * 起音 → Note
      * @private
      */
-    _findBestPosition(note) {
-        if (note.stringIndex !== undefined && note.fret !== undefined) {
-            return { string: note.stringIndex, fret: note.fret };
-        }
-
-        const midi = note.midi || note.midiNote;
-        if (!midi) return null;
-
-        // 在所有弦上找可能的位置
-        const positions = [];
-        for (let stringIdx = 0; stringIdx < 6; stringIdx++) {
-            const fret = midi - this.tuning[stringIdx];
-            if (fret >= 0 && fret <= 24) {
-                positions.push({ string: stringIdx, fret });
-            }
-        }
-
-        if (positions.length === 0) return null;
-
-        // 優先選擇琴格較低的位置
-        positions.sort((a, b) => a.fret - b.fret);
-        return positions[0];
+    _createNote(onset, event, index, tuning) {
+        const note = Note.fromMidi(tuning[onset.string] + onset.fret, {
+            index,
+            duration: event.duration,
+            stringIndex: onset.string,
+            fret: onset.fret,
+            technique: onset.technique
+        });
+        note.dotted = event.dotted;
+        note.tuplet = event.tuplet ?? null;
+        note.format = 'tab';
+        note.tabPosition = { string: onset.string, fret: onset.fret, column: onset.col };
+        if (onset.bendTo != null) note.tabPosition.bendTo = onset.bendTo;
+        return note;
     }
 
     /**
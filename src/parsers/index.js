@@ -7,6 +7,7 @@ export {
     // 向後相容獨立函數
     jianpuToNote,
     parseJianpuText,
+    parseJianpuScore,
     notesToJianpuString,
     cleanJianpuText,
     // 3NPS 相關
@@ -33,3 +34,41 @@ export {
     ABC_DURATIONS,
     KEY_SIGNATURES
 } from './StaffParser.js';
+
+export {
+    ABCParser
+} from './ABCParser.js';
+
+export {
+    AlphaTexParser
+} from './AlphaTexParser.js';
+
+export {
+    ChordProParser
+} from './ChordProParser.js';
+
+export {
+    ChordSheetParser
+} from './ChordSheetParser.js';
+
+export {
+    MusicXMLParser
+} from './MusicXMLParser.js';
+
+export {
+    MIDIParser
+} from './MIDIParser.js';
+
+export {
+    ScoreJsonParser
+} from './ScoreJsonParser.js';
+
+export {
+    registerParser,
+    unregisterParser,
+    getParser,
+    getRegisteredFormats,
+    getAcceptedExtensions,
+    detectFormat,
+    importAny
+} from './registry.js';
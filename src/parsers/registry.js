@@ -0,0 +1,221 @@
+/**
+ * Parser Registry - 解析器註冊表與自動格式偵測
+ *
+ * 每個解析器宣告 formatId、副檔名、MIME 類型與 sniff(內容) 信心分數，
+ * detectFormat 依「內容 + 副檔名 + MIME」為所有解析器評分，importAny 取最高分者讀取檔案。
+ * 第三方解析器以 registerParser(ParserClass) 加入，同一 formatId 會取代內建的解析器。
+ */
+
+import { ParserInterface } from '../core/interfaces/ParserInterface.js';
+import { GuitarProParser } from './GuitarProParser.js';
+import { MusicXMLParser } from './MusicXMLParser.js';
+import { MIDIParser } from './MIDIParser.js';
+import { ScoreJsonParser } from './ScoreJsonParser.js';
+import { ABCParser } from './ABCParser.js';
+import { AlphaTexParser } from './AlphaTexParser.js';
+import { ChordProParser } from './ChordProParser.js';
+import { TabParser } from './TabParser.js';
+import { ChordSheetParser } from './ChordSheetParser.js';
+import { JianpuParser } from './JianpuParser.js';
+import { StaffParser } from './StaffParser.js';
+
+// 副檔名 / MIME 相符的加分（內容判斷為 0–1）
+const EXTENSION_SCORE = 0.4;
+const MIME_SCORE = 0.2;
+
+// 太通用的副檔名與 MIME：只有內容也相符時才加分
+const GENERIC_EXTENSIONS = ['.txt'];
+const GENERIC_MIME_TYPES = ['application/octet-stream', 'text/plain', 'application/xml', 'text/xml'];
+
+// 偵測與讀取時用到的解析器成員（ParserInterface 子類別皆已具備）
+const REQUIRED_METHODS = ['sniff', 'read'];
+const REQUIRED_LISTS = ['extensions', 'mimeTypes'];
+
+// formatId → 建立解析器實例（註冊順序即同分時的優先順序）
+const registry = new Map();
+
+/**
+ * 是否為 class 語法宣告的類別（不論是否繼承 ParserInterface，都必須以 new 建立）
+ * @param {Function} fn
+ * @returns {boolean}
+ */
+function isClass(fn) {
+    return typeof fn === 'function' && /^class\b/.test(Function.prototype.toString.call(fn));
+}
+
+/**
+ * 註冊解析器（同一 formatId 後註冊者取代先前的）
+ * 註冊時先建立一個實例檢查，缺少 formatId、sniff / read 或 extensions / mimeTypes 時拋出錯誤
+ * @param {Function} ParserClass - 解析器類別（通常為 ParserInterface 子類別），或回傳解析器實例的工廠函式
+ * @returns {Function} 取消註冊
+ */
+export function registerParser(ParserClass) {
+    if (typeof ParserClass !== 'function') {
+        throw new TypeError('registerParser 需要解析器類別或工廠函式');
+    }
+    const label = ParserClass.name || '解析器';
+    const create = isClass(ParserClass) || ParserClass.prototype instanceof ParserInterface
+        ? () => new ParserClass()
+        : ParserClass;
+    const parser = create();
+    if (!parser || typeof parser !== 'object') {
+        throw new TypeError(`${label} 的工廠函式沒有回傳解析器實例`);
+    }
+    const missing = [
+        ...REQUIRED_METHODS.filter(key => typeof parser[key] !== 'function'),
+        ...REQUIRED_LISTS.filter(key => !Array.isArray(parser[key]))
+    ];
+    if (missing.length > 0) {
+        throw new TypeError(`${label} 不符合 ParserInterface：缺少 ${missing.join('、')}（請繼承 ParserInterface）`);
+    }
+    const { formatId } = parser;
+    if (!formatId) throw new Error('解析器必須提供 formatId');
+    registry.set(formatId, create);
+    return () => {
+        if (registry.get(formatId) === create) registry.delete(formatId);
+    };
+}
+
+/**
+ * 取消註冊
+ * @param {string} formatId
+ * @returns {boolean}
+ */
+export function unregisterParser(formatId) {
+    return registry.delete(formatId);
+}
+
+/**
+ * 取得指定格式的新解析器實例
+ * @param {string} formatId
+ * @returns {ParserInterface|null}
+ */
+export function getParser(formatId) {
+    const create = registry.get(formatId);
+    return create ? create() : null;
+}
+
+/**
+ * 已註冊的格式清單
+ * @returns {Array<{ formatId: string, name: string, description: string, extensions: Array<string>, mimeTypes: Array<string>, binary: boolean }>}
+ */
+export function getRegisteredFormats() {
+    return [...registry.values()].map(create => {
+        const parser = create();
+        return {
+            formatId: parser.formatId,
+            name: parser.name,
+            description: parser.description,
+            extensions: parser.extensions,
+            mimeTypes: parser.mimeTypes,
+            binary: parser.binary
+        };
+    });
+}
+
+/**
+ * 所有已註冊格式的副檔名（供 <input accept>）
+ * @returns {Array<string>}
+ */
+export function getAcceptedExtensions() {
+    return [...new Set(getRegisteredFormats().flatMap(f => f.extensions))];
+}
+
+/**
+ * 位元組是否像文字（開頭 1KB 沒有 NUL）
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+function looksLikeText(bytes) {
+    return !bytes.subarray(0, 1024).includes(0);
+}
+
+/**
+ * 依檔名、MIME 與內容為每個解析器評分（由高到低，只列出分數大於 0 者）
+ * @param {Object} input
+ * @param {string} input.fileName
+ * @param {string} input.mimeType
+ * @param {Uint8Array} input.bytes - 檔案內容（與 text 擇一）
+ * @param {string} input.text - 文字內容
+ * @param {Object} options
+ * @param {Array<string>} options.formats - 限定候選格式
+ * @returns {Array<{ formatId: string, parser: ParserInterface, score: number }>}
+ */
+export function detectFormat(input, options = {}) {
+    const fileName = (input.fileName || '').toLowerCase();
+    const mimeType = (input.mimeType || '').toLowerCase();
+    const bytes = input.bytes ?? new TextEncoder().encode(input.text ?? '');
+    let text = input.text;
+    const getText = () => {
+        text ??= looksLikeText(bytes) ? new TextDecoder().decode(bytes) : '';
+        return text;
+    };
+
+    return [...registry.entries()]
+        .filter(([formatId]) => !options.formats || options.formats.includes(formatId))
+        .map(([formatId, create], order) => {
+            const parser = create();
+            let sniff = 0;
+            try {
+                sniff = parser.sniff(parser.binary ? bytes : getText()) || 0;
+            } catch (err) {
+                console.warn(`${parser.name}: 格式判斷失敗`, err);
+            }
+            const extension = parser.extensions.find(ext => fileName.endsWith(ext));
+            const extensionScore = extension && (sniff > 0 || !GENERIC_EXTENSIONS.includes(extension)) ? EXTENSION_SCORE : 0;
+            const mimeMatch = mimeType && parser.mimeTypes.includes(mimeType);
+            const mimeScore = mimeMatch && (sniff > 0 || !GENERIC_MIME_TYPES.includes(mimeType)) ? MIME_SCORE : 0;
+            return { formatId, parser, score: sniff + extensionScore + mimeScore, order };
+        })
+        .filter(r => r.score > 0)
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .map(({ formatId, parser, score }) => ({ formatId, parser, score }));
+}
+
+/**
+ * 讀取檔案位元組
+ * @param {File|Blob|Object} file
+ * @returns {Promise<Uint8Array>}
+ */
+async function readBytes(file) {
+    const data = file.data ?? file;
+    if (typeof data === 'string') return new TextEncoder().encode(data);
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    return new Uint8Array(await data.arrayBuffer());
+}
+
+/**
+ * 自動辨識格式並讀取檔案
+ * 結果沒有 notes 時表示需要選擇音軌 / 曲目：以 result.parser 與 result.tracks 轉換
+ * @param {File|Blob|{ name: string, type?: string, data: Uint8Array|ArrayBuffer|string }} file
+ * @param {Object} options - { formats: 限定候選格式, 其餘傳給 parser.read }
+ * @returns {Promise<{ format: string, parser: ParserInterface, fileName: string, notes?: Array, tracks?: Array, metadata: Object }>}
+ */
+export async function importAny(file, options = {}) {
+    const { formats, ...readOptions } = options;
+    const fileName = file.name || '';
+    const bytes = await readBytes(file);
+    const [best] = detectFormat({ fileName, mimeType: file.type, bytes }, { formats });
+    if (!best) throw new Error(`無法辨識的檔案格式：${fileName || '未命名檔案'}`);
+
+    const { formatId, parser } = best;
+    const content = parser.binary ? bytes : new TextDecoder().decode(bytes);
+    const result = await parser.read(content, { ...readOptions, fileName });
+    return { ...result, format: formatId, parser, fileName };
+}
+
+// ===== 內建解析器（二進位格式優先，文字格式由專用到通用）=====
+[
+    GuitarProParser,
+    MusicXMLParser,
+    MIDIParser,
+    ScoreJsonParser,
+    ABCParser,
+    AlphaTexParser,
+    ChordProParser,
+    TabParser,
+    ChordSheetParser,
+    JianpuParser,
+    StaffParser
+].forEach(registerParser);
@@ -0,0 +1,109 @@
+/**
+ * unzip - 最小 ZIP 讀取器
+ * 只支援 stored / deflate 兩種壓縮方式（.mxl 等容器格式足夠），
+ * deflate 使用瀏覽器內建的 DecompressionStream，不需額外套件
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+/**
+ * 是否為 ZIP 檔（開頭為 "PK\x03\x04"）
+ * @param {Uint8Array} data
+ * @returns {boolean}
+ */
+export function isZip(data) {
+    return data?.length >= 4 && data[0] === 0x50 && data[1] === 0x4b && data[2] === 0x03 && data[3] === 0x04;
+}
+
+/**
+ * 解壓 raw deflate 資料
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflateRaw(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('此環境不支援 DecompressionStream，無法解壓縮');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * 讀取 ZIP 中央目錄
+ * @param {Uint8Array} data
+ * @returns {Array<{ name: string, method: number, compressedSize: number, localOffset: number }>}
+ */
+function readCentralDirectory(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+    // 從尾端往前找 End of Central Directory（後面可能接最長 64KB 的註解）
+    let eocd = -1;
+    for (let i = data.length - 22; i >= Math.max(0, data.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new Error('不是有效的 ZIP 檔');
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+    const entries = [];
+
+    for (let e = 0; e < entryCount; e++) {
+        if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) throw new Error('ZIP 目錄損毀');
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        entries.push({
+            name: decoder.decode(data.subarray(offset + 46, offset + 46 + nameLength)),
+            method: view.getUint16(offset + 10, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            localOffset: view.getUint32(offset + 42, true)
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+/**
+ * 列出 ZIP 內的檔案路徑（不解壓縮；不是有效 ZIP 時回傳空陣列），用於判斷容器格式
+ * @param {Uint8Array} data
+ * @returns {Array<string>}
+ */
+export function listZipEntries(data) {
+    if (!isZip(data)) return [];
+    try {
+        return readCentralDirectory(data).map(e => e.name).filter(name => !name.endsWith('/'));
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * 讀取 ZIP 內所有檔案
+ * @param {Uint8Array} data
+ * @returns {Promise<Map<string, Uint8Array>>} 路徑 → 內容
+ */
+export async function unzip(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const files = new Map();
+
+    for (const { name, method, compressedSize, localOffset } of readCentralDirectory(data)) {
+        if (name.endsWith('/')) continue; // 目錄
+        if (view.getUint32(localOffset, true) !== LOCAL_SIGNATURE) throw new Error(`ZIP 檔案標頭損毀：${name}`);
+        const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const bytes = data.subarray(start, start + compressedSize);
+
+        if (method === 0) files.set(name, bytes);
+        else if (method === 8) files.set(name, await inflateRaw(bytes));
+        else throw new Error(`不支援的 ZIP 壓縮方式 (${method})：${name}`);
+    }
+
+    return files;
+}
+
+export default unzip;
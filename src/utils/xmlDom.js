@@ -0,0 +1,222 @@
+/**
+ * xmlDom - 最小 XML DOM（供沒有 DOMParser 的環境，如 Node CLI）
+ * 只實作 MusicXML 解析用到的部分：tagName、children、textContent、getAttribute / hasAttribute、
+ * querySelector / querySelectorAll（標籤、[attr]、[attr="值"]，子代 > 與後代空白組合）
+ * 瀏覽器中 parseXmlDocument 直接使用內建 DOMParser
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * 解碼字元實體（&lt; &#233; &#xE9;）
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+        if (code[0] === '#') {
+            const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(point) ? String.fromCodePoint(point) : match;
+        }
+        return ENTITIES[code] ?? match;
+    });
+}
+
+/**
+ * 解析選擇器 → 由左到右的 [{ tag, attrs, combinator }]
+ * combinator 為與前一段的關係：' '（後代）或 '>'（子代）
+ * @param {string} selector
+ * @returns {Array<{ tag: string|null, attrs: Array<{ name: string, value: string|null }>, combinator: string }>}
+ */
+function parseSelector(selector) {
+    const steps = [];
+    let combinator = ' ';
+    for (const token of selector.trim().replace(/\s*>\s*/g, ' > ').split(/\s+/)) {
+        if (token === '>') {
+            combinator = '>';
+            continue;
+        }
+        const tag = /^[^[\s]+/.exec(token)?.[0] ?? null;
+        const attrs = [...token.matchAll(/\[([^\]=]+)(?:=["']?([^"'\]]*)["']?)?\]/g)]
+            .map(([, name, value]) => ({ name: name.trim(), value: value ?? null }));
+        steps.push({ tag: tag === '*' ? null : tag, attrs, combinator });
+        combinator = ' ';
+    }
+    return steps;
+}
+
+/**
+ * 單一元素是否符合選擇器的某一段
+ */
+function matchesStep(el, step) {
+    if (step.tag && el.tagName !== step.tag) return false;
+    return step.attrs.every(({ name, value }) => value === null ? el.hasAttribute(name) : el.getAttribute(name) === value);
+}
+
+/**
+ * 元素是否符合整個選擇器（由最右段往祖先比對）
+ */
+function matchesSelector(el, steps, i = steps.length - 1) {
+    if (!matchesStep(el, steps[i])) return false;
+    if (i === 0) return true;
+    if (steps[i].combinator === '>') {
+        return !!el.parentElement && matchesSelector(el.parentElement, steps, i - 1);
+    }
+    for (let parent = el.parentElement; parent; parent = parent.parentElement) {
+        if (matchesSelector(parent, steps, i - 1)) return true;
+    }
+    return false;
+}
+
+/**
+ * XML 元素
+ */
+export class XmlElement {
+    /**
+     * @param {string} tagName
+     * @param {Object<string, string>} attributes
+     * @param {XmlElement|null} parentElement
+     */
+    constructor(tagName, attributes = {}, parentElement = null) {
+        this.tagName = tagName;
+        this.attributes = attributes;
+        this.parentElement = parentElement;
+        this.children = [];
+        this.childNodes = [];   // 元素與文字（string）依序排列
+    }
+
+    get textContent() {
+        return this.childNodes.map(n => typeof n === 'string' ? n : n.textContent).join('');
+    }
+
+    getAttribute(name) {
+        return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+    }
+
+    hasAttribute(name) {
+        return Object.prototype.hasOwnProperty.call(this.attributes, name);
+    }
+
+    /**
+     * 依文件順序列出符合選擇器的後代元素
+     * @param {string} selector
+     * @returns {Array<XmlElement>}
+     */
+    querySelectorAll(selector) {
+        const steps = parseSelector(selector);
+        const result = [];
+        const visit = (el) => {
+            for (const child of el.children) {
+                if (matchesSelector(child, steps)) result.push(child);
+                visit(child);
+            }
+        };
+        visit(this);
+        return result;
+    }
+
+    /**
+     * 第一個符合選擇器的後代元素
+     * @param {string} selector
+     * @returns {XmlElement|null}
+     */
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] ?? null;
+    }
+}
+
+/**
+ * 解析 XML 文字（不驗證 DTD；格式錯誤時丟出錯誤）
+ * @param {string} xml
+ * @returns {XmlElement} 文件節點（tagName 為 '#document'，documentElement 為根元素）
+ */
+export function parseXml(xml) {
+    const doc = new XmlElement('#document');
+    const stack = [doc];
+    const text = String(xml ?? '');
+    let pos = 0;
+
+    const fail = (message) => {
+        throw new Error(`${message}（位置 ${pos}）`);
+    };
+    const current = () => stack[stack.length - 1];
+    const skipPast = (marker) => {
+        const end = text.indexOf(marker, pos);
+        if (end < 0) fail(`找不到 ${marker}`);
+        const content = text.slice(pos, end);
+        pos = end + marker.length;
+        return content;
+    };
+
+    while (pos < text.length) {
+        const lt = text.indexOf('<', pos);
+        const chunk = text.slice(pos, lt < 0 ? text.length : lt);
+        if (chunk && stack.length > 1) current().childNodes.push(decodeEntities(chunk));
+        if (lt < 0) break;
+        pos = lt;
+
+        if (text.startsWith('<!--', pos)) {
+            pos += 4;
+            skipPast('-->');
+        } else if (text.startsWith('<![CDATA[', pos)) {
+            pos += 9;
+            current().childNodes.push(skipPast(']]>'));
+        } else if (text.startsWith('<?', pos)) {
+            pos += 2;
+            skipPast('?>');
+        } else if (text.startsWith('<!', pos)) {
+            // DOCTYPE（可能含 [ 內部子集 ]）
+            const bracket = text.indexOf('[', pos);
+            const close = text.indexOf('>', pos);
+            pos = bracket >= 0 && bracket < close ? text.indexOf(']>', bracket) + 2 : close + 1;
+            if (pos <= 0) fail('DOCTYPE 未結束');
+        } else if (text.startsWith('</', pos)) {
+            pos += 2;
+            const name = skipPast('>').trim();
+            const open = stack.pop();
+            if (!open || open.tagName !== name) fail(`結束標籤 </${name}> 與 <${open?.tagName}> 不符`);
+        } else {
+            const match = /^<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(text.slice(pos, pos + 4096));
+            if (!match) fail('標籤格式錯誤');
+            const attributes = {};
+            for (const [, name, , dq, sq] of match[2].matchAll(/([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+                attributes[name] = decodeEntities(dq ?? sq);
+            }
+            const el = new XmlElement(match[1], attributes, stack.length > 1 ? current() : null);
+            current().children.push(el);
+            current().childNodes.push(el);
+            pos += match[0].length;
+            if (!match[3]) stack.push(el);
+        }
+    }
+
+    if (stack.length > 1) fail(`<${current().tagName}> 未結束`);
+    if (doc.children.length === 0) fail('沒有根元素');
+    doc.documentElement = doc.children[0];
+    return doc;
+}
+
+/**
+ * 解析 XML 文件：有 DOMParser 時使用瀏覽器實作，否則使用 parseXml
+ * 與 DOMParser 一致，格式錯誤時回傳含 <parsererror> 的文件而不丟出錯誤
+ * @param {string} xml
+ * @returns {Document|XmlElement}
+ */
+export function parseXmlDocument(xml) {
+    if (typeof DOMParser !== 'undefined') {
+        return new DOMParser().parseFromString(xml, 'application/xml');
+    }
+    try {
+        return parseXml(xml);
+    } catch (err) {
+        const doc = new XmlElement('#document');
+        const error = new XmlElement('parsererror', {}, null);
+        error.childNodes.push(err.message);
+        doc.children.push(error);
+        doc.childNodes.push(error);
+        doc.documentElement = error;
+        return doc;
+    }
+}
+
+export default parseXmlDocument;
@@ -0,0 +1,48 @@
+/**
+ * ABCParser：parse → stringify → parse 保留音高、節奏、連音、延音線、和弦、歌詞與反覆跳房
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { ABCParser } from '../src/parsers/ABCParser.js';
+import { resolvePlaybackOrder } from '../src/core/timing/timeline.js';
+import { roundTrip, assertRoundTrip } from './helpers.js';
+
+const TUNE = `X:1
+T:Test
+M:3/4
+L:1/8
+Q:1/4=100
+K:G
+|: "G"B3 A G2 | (3ABc d2- d2 | z2 [GBd]4 |1 "D7"A6 :|2 G6 |]
+w: Hel-lo my dear friend
+`;
+const TUNE_OPTIONS = { key: 'G', meter: '3/4', tempo: 100 };
+
+const ABC = { parse: text => new ABCParser().parse(text), stringify: (notes, options) => new ABCParser().stringify(notes, options) };
+const SUMMARY = {
+    fields: ['rest', 'midi', 'duration', 'dotted', 'tuplet', 'tie', 'isChord', 'chordSymbol', 'syllables'],
+    separator: ['marker', 'volta']
+};
+
+test('節奏、連音、延音線、和弦與歌詞經匯出後讀回相同', () => {
+    const { first } = assertRoundTrip(ABC, TUNE, { ...SUMMARY, options: TUNE_OPTIONS });
+    assert.deepEqual(first.filter(n => n.tuplet).map(n => n.midi), [69, 71, 72]);
+    assert.deepEqual(first.filter(n => n.lyrics).map(n => n.lyrics[0].text), ['Hel', 'lo', 'my', 'dear', 'friend']);
+});
+
+test('反覆跳房的播放順序', () => {
+    const { second } = roundTrip(ABC, TUNE, TUNE_OPTIONS);
+    const order = resolvePlaybackOrder(second)
+        .map(i => second[i])
+        .filter(n => n.isNote && !n.tieEnd && (!n.isChord || n.chordPosition === 0))
+        .map(n => n.midi);
+    const pass = [71, 69, 67, 69, 71, 72, 74, 67];
+    assert.deepEqual(order, [...pass, 69, ...pass, 67]);
+});
+
+test('範例檔 test-melody.abc 經匯出後讀回相同', () => {
+    const text = readFileSync(new URL('../test-files/test-melody.abc', import.meta.url), 'utf8');
+    assertRoundTrip(ABC, text, SUMMARY);
+});
@@ -0,0 +1,104 @@
+/**
+ * AlphaTexParser：標頭、弦 / 格位置、節奏、和弦與技巧，parse → stringify → parse 保留相同內容
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AlphaTexParser } from '../src/parsers/AlphaTexParser.js';
+import { TRIPLET, note, fret, rest, bar, assertRoundTrip } from './helpers.js';
+
+const RIFF = `\\title "Riff" \\artist "Someone" \\tempo 100 \\capo 2 \\instrument 27 \\tuning D4 A3 F3 C3 G2 D2 .
+:8 0.6 3.6 (0.1 2.2).4{ch "C"} 5.3{h} 7.3 r | \\ts 3 4 \\ro 3.2{b (0 4)} 3.2{sl} 5.2 \\rc 3 |`;
+
+// 每次讀寫使用新的解析器（標頭狀態不互相影響）
+const ALPHATEX = {
+    parse: text => new AlphaTexParser().parse(text),
+    stringify: (notes, options) => new AlphaTexParser().stringify(notes, options)
+};
+const SUMMARY = {
+    fields: ['rest', 'midi', 'string', 'fret', 'duration', 'dotted', 'tuplet', 'tie', 'isChord', 'chordSymbol', 'technique'],
+    separator: ['marker', 'volta', 'timeSignature', 'tempo']
+};
+
+test('標頭：曲目資訊、速度、移調夾、音色與調弦', () => {
+    const parser = new AlphaTexParser();
+    parser.parse(RIFF);
+    assert.deepEqual(
+        [parser.title, parser.artist, parser.tempo, parser.capo, parser.instrument],
+        ['Riff', 'Someone', 100, 2, 'electric_guitar_clean']
+    );
+    assert.deepEqual(parser.tuning, [62, 57, 53, 48, 43, 38]);
+
+    const written = parser.stringify([fret(0, 0), bar()], { title: 'Riff', artist: 'Someone', tempo: 100, capo: 2, instrument: 'electric_guitar_clean', tuning: parser.tuning });
+    assert.match(written, /^\\title "Riff"\n\\artist "Someone"\n\\tempo 100\n\\instrument 27\n\\capo 2\n\\tuning D4 A3 F3 C3 G2 D2\n\./);
+});
+
+test('格.弦 依調弦與移調夾換算音高', () => {
+    const notes = new AlphaTexParser().parse(RIFF).filter(n => n.isNote);
+    assert.deepEqual(notes.slice(0, 2).map(n => [n.stringIndex, n.fret, n.midi]), [[5, 0, 40], [5, 3, 43]]);
+});
+
+test('時值、附點、連音與休止符', () => {
+    const notes = new AlphaTexParser().parse(':8 0.1 r :4 0.1{d} 0.1.16 0.1{tu 3} 0.1{tu 3} 0.1{tu 3} r.2 |');
+    assert.deepEqual(
+        notes.filter(n => !n.isSeparator).map(n => [n.isRest ? 'r' : n.fret, n.duration, n.dotted || 0, n.tuplet]),
+        [
+            [0, 'eighth', 0, null], ['r', 'eighth', 0, null], [0, 'quarter', 1, null], [0, '16th', 0, null],
+            [0, 'quarter', 0, TRIPLET], [0, 'quarter', 0, TRIPLET], [0, 'quarter', 0, TRIPLET], ['r', 'half', 0, null]
+        ]
+    );
+});
+
+test('和弦同一拍，和弦記號記在第一個音', () => {
+    const notes = new AlphaTexParser().parse(RIFF);
+    const chord = notes.filter(n => n.isChord);
+    assert.deepEqual(chord.map(n => [n.stringIndex, n.fret, n.chordPosition, n.duration]), [[0, 0, 0, 'quarter'], [1, 2, 1, 'quarter']]);
+    assert.equal(chord[0].chordSymbol, 'C');
+
+    const highest = new AlphaTexParser().parse('(0.1 2.2).4', { chordMode: 'highest' });
+    assert.deepEqual(highest.map(n => n.fret), [0]);
+    assert.equal(highest[0].chordFrets.length, 2);
+});
+
+test('技巧、奏法與延音', () => {
+    const notes = new AlphaTexParser().parse(':8 5.3{h} 7.3 7.3{h} 5.3 3.2{b (0 4)} 3.2{b (0 4 0)} 3.2{sl} 0.1{pm} x.6 -.6 |');
+    assert.deepEqual(
+        notes.filter(n => n.isNote).map(n => n.technique),
+        ['hammer-on', null, 'pull-off', null, 'bend', 'release', 'slide', null, 'mute', null]
+    );
+    assert.deepEqual(notes.find(n => n.articulations?.length).articulations, ['palm-mute']);
+    const [held, tied] = notes.filter(n => n.stringIndex === 5);
+    assert.deepEqual([held.tieStart, tied.tieEnd, tied.fret], [true, true, 0]);
+});
+
+test('小節指令：拍號、反覆、反覆跳房與方向記號', () => {
+    const notes = new AlphaTexParser().parse(RIFF + ' \\ae (1 2) 0.1.1 | \\jump DaCapo 0.1.1 |');
+    const separators = notes.filter(n => n.isSeparator);
+    assert.deepEqual(separators.map(n => n.displayStr), ['|', '|:', ':|', '1,2.', '|', '|', 'D.C.']);
+    assert.equal(separators[0].timeSignature, '3/4');
+    assert.equal(separators[2].repeatTimes, 3);
+    assert.deepEqual(separators[3].volta, [1, 2]);
+});
+
+test('範例樂句經匯出後讀回相同', () => {
+    const parser = new AlphaTexParser();
+    parser.parse(RIFF);
+    const options = { tempo: parser.tempo, capo: parser.capo, tuning: parser.tuning, key: parser.key, scaleType: parser.scaleType };
+    const { written } = assertRoundTrip(ALPHATEX, RIFF, { ...SUMMARY, options });
+    assert.match(written, /\\ro \\ts 3 4 \\rc 3/);
+});
+
+test('附點、連音與休止符寫成拍效果並讀回', () => {
+    const notes = [
+        fret(0, 3, 'quarter', { dotted: 1 }), fret(1, 1, 'eighth'),
+        fret(2, 2, 'eighth', { tuplet: TRIPLET }), fret(2, 0, 'eighth', { tuplet: TRIPLET }), rest('eighth', { tuplet: TRIPLET }),
+        rest()
+    ];
+    const { written } = assertRoundTrip(ALPHATEX, notes, SUMMARY);
+    assert.match(written, /:4 3\.1\{d\} :8 1\.2 2\.3\{tu 3\}/);
+});
+
+test('沒有弦 / 格的音依調弦取格數最低的位置', () => {
+    const written = new AlphaTexParser().stringify([note(64), note(45), note(47)]);
+    assert.match(written, /0\.1 0\.5 2\.5 \|$/);
+});
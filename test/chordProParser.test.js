@@ -0,0 +1,78 @@
+/**
+ * ChordProParser：每行歌詞一小節，依和弦在歌詞中的位置分配拍數；stringify → parse 讀回相同的和弦時間軸
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChordProParser } from '../src/parsers/ChordProParser.js';
+import { buildTimeline, getDurationBeats } from '../src/core/timing/timeline.js';
+
+const SONG = `{title: Amazing Grace}
+{time: 3/4}
+[G]Amazing [C]grace how [G]sweet the sound
+[G]That saved a [D]wretch like me
+{soc}
+[Am] [G] [F]
+{eoc}
+{chorus}`;
+
+/**
+ * 每小節的和弦片段：[和弦, 拍數]（以延音線相連的音併為一段，和弦成員略過）
+ */
+function chordBars(notes) {
+    const bars = [[]];
+    notes.forEach(n => {
+        if (n.isSeparator) {
+            if (bars[bars.length - 1].length > 0) bars.push([]);
+            return;
+        }
+        if (n.isChord && n.chordPosition > 0) return;
+        const beats = getDurationBeats(n.duration, n.dotted, n.tuplet);
+        const bar = bars[bars.length - 1];
+        if (n.tieEnd) bar[bar.length - 1][1] += beats;
+        else bar.push([n.chordSymbol, beats]);
+    });
+    return bars.filter(bar => bar.length > 0);
+}
+
+test('一行一小節，和弦依歌詞位置分配拍數', () => {
+    const notes = new ChordProParser().parse(SONG);
+    assert.deepEqual(chordBars(notes), [
+        [['G', 1], ['C', 1], ['G', 1]],
+        [['G', 1], ['D', 2]],
+        [['Am', 1], ['G', 1], ['F', 1]],
+        [['Am', 1], ['G', 1], ['F', 1]]
+    ]);
+    // 每小節剛好一個 3/4 小節
+    assert.equal(buildTimeline(notes, { timeSignature: '3/4' }).totalTicks, 4 * 3 * 480);
+});
+
+test('和弦比拍數多時細分，長度不是單一時值時以延音線相連', () => {
+    const notes = new ChordProParser().parse('[C]Hel[G]lo world, [Am]la la la [F]la [G]la\n[F]One [C]two');
+    const bars = chordBars(notes);
+    assert.deepEqual(bars[0].map(([chord]) => chord), ['C', 'G', 'Am', 'F', 'G']);
+    assert.equal(bars[0].reduce((sum, [, beats]) => sum + beats, 0), 4);
+    assert.deepEqual(bars[1], [['F', 2], ['C', 2]]);
+
+    const tied = new ChordProParser().parse('{time: 5/4}\n[C]La la la la la la la la [G]la');
+    assert.deepEqual(chordBars(tied), [[['C', 4], ['G', 1]]]);
+    assert.equal(tied.some(n => n.tieStart), false);
+    const long = new ChordProParser().parse('{time: 5/4}\n[C]La la la la la la la la la');
+    assert.deepEqual(chordBars(long), [[['C', 5]]]);
+    assert.ok(long.some(n => n.tieStart) && long.some(n => n.tieEnd));
+});
+
+test('和弦名稱與歌詞記在片段第一個音', () => {
+    const notes = new ChordProParser().parse('[C]Hel[G]lo world');
+    const first = notes.filter(n => n.chordSymbol);
+    assert.deepEqual(first.map(n => [n.chordSymbol, n.lyrics[0].text, n.lyrics[0].syllabic]), [['C', 'Hel', 'begin'], ['G', 'lo world', 'end']]);
+});
+
+test('匯出後讀回相同的和弦時間軸', () => {
+    const parser = new ChordProParser();
+    const notes = parser.parse(SONG);
+    const written = parser.stringify(notes, { title: parser.title, timeSignature: parser.timeSignature });
+    const back = new ChordProParser().parse(written);
+    assert.deepEqual(chordBars(back), chordBars(notes), written);
+    assert.deepEqual(back.map(n => n.lyrics?.[0]?.text ?? null), notes.map(n => n.lyrics?.[0]?.text ?? null));
+});
@@ -0,0 +1,57 @@
+/**
+ * ChordSheetParser：和弦行與歌詞行的辨識，以及和弦依欄位對齊到歌詞音節
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChordSheetParser } from '../src/parsers/ChordSheetParser.js';
+
+const parser = new ChordSheetParser();
+
+test('一行和弦行接一行歌詞即可辨識', () => {
+    assert.equal(parser.validate('C        G\nHello my friend'), true);
+    assert.ok(parser.sniff('Am      G     C\nWhen I find myself') > 0);
+    assert.equal(parser.validate('Hello\nmy friend'), false);
+    assert.equal(parser.validate('Am G C\nF G C'), false);
+});
+
+test('和弦落在字開頭或空白上時對齊下一個字', () => {
+    const text = [
+        'C        G           Am',
+        'Amazing grace, how sweet the sound'
+    ].join('\n');
+    assert.equal(parser.toChordPro(text), '[C]Amazing [G]grace, how [Am]sweet the sound');
+});
+
+test('和弦落在字中間時對齊最近的音節', () => {
+    // G 在 darling 的 r（dar-ling），C 在 together 的第一個 e（to-ge-ther，距離相同取前面），
+    // D 在 forever 的第二個 e（fo-re-ver）
+    const text = [
+        '     G        C          D',
+        'My darling together forever'
+    ].join('\n');
+    assert.equal(parser.toChordPro(text), 'My dar[G]ling to[C]gether fore[D]ver');
+});
+
+test('同一個字上的多個和弦依序對齊不同音節', () => {
+    const text = [
+        'C  G',
+        'Hallelujah'
+    ].join('\n');
+    assert.equal(parser.toChordPro(text), '[C]Hal[G]lelujah');
+});
+
+test('中文逐字對齊不移動', () => {
+    assert.equal(parser.toChordPro('  C   G\n天上星星亮晶晶'), '天上[C]星星亮晶[G]晶');
+});
+
+test('對齊用的 - 在合併後移除', () => {
+    assert.equal(parser.toChordPro('      G\nHel---lo'), 'Hel[G]lo');
+});
+
+test('解析結果帶和弦與歌詞', () => {
+    const notes = parser.parse('[Verse]\nC        G\nAmazing grace');
+    const chords = notes.filter(n => n.chordSymbol);
+    assert.deepEqual(chords.map(n => n.chordSymbol), ['C', 'G']);
+    assert.deepEqual(chords.map(n => n.lyrics?.[0]?.text), ['Amazing', 'grace']);
+});
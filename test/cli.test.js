@@ -0,0 +1,129 @@
+/**
+ * CLI：參數解析、批次轉換目錄、音軌選擇與標準輸入 / 標準輸出（-）
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtemp, mkdir, readFile, writeFile, copyFile, readdir, rm } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import os from 'node:os';
+import path from 'node:path';
+import { parseArgs } from '../src/cli/args.js';
+import { convertFile, convertDirectory } from '../src/cli/convert.js';
+import { MusicXMLParser } from '../src/parsers/MusicXMLParser.js';
+import { note, bar } from './helpers.js';
+
+const GSM = fileURLToPath(new URL('../bin/gsm.js', import.meta.url));
+const MELODY = fileURLToPath(new URL('../test-files/test-melody.abc', import.meta.url));
+
+let dir;
+
+/**
+ * 兩個聲部（Lead / Bass）的 MusicXML
+ */
+function duet() {
+    return new MusicXMLParser().stringifyParts([
+        { name: 'Lead', notes: [note(72, 'whole'), bar()] },
+        { name: 'Bass', notes: [note(40, 'whole'), bar()] }
+    ], { title: 'Duet' });
+}
+
+/**
+ * 在暫存目錄中執行 bin/gsm.js
+ */
+function gsm(args, input) {
+    return spawnSync(process.execPath, [GSM, ...args], { cwd: dir, input, encoding: 'utf8', timeout: 30000 });
+}
+
+before(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'gsm-cli-'));
+    await mkdir(path.join(dir, 'in', 'nested'), { recursive: true });
+    await copyFile(MELODY, path.join(dir, 'in', 'melody.abc'));
+    await writeFile(path.join(dir, 'in', 'duet.musicxml'), duet());
+    await copyFile(MELODY, path.join(dir, 'in', 'nested', 'again.abc'));
+    await writeFile(path.join(dir, 'in', 'broken.mid'), 'not a midi file');
+});
+
+after(async () => {
+    await rm(dir, { recursive: true, force: true });
+});
+
+test('參數解析：- 為位置參數，--track 接受清單與 all', () => {
+    assert.deepEqual(parseArgs(['convert', '-', '-', '--to', 'abc', '--track=1,3']), {
+        command: 'convert',
+        inputs: ['-', '-'],
+        options: { to: 'abc', track: [1, 3] }
+    });
+    assert.deepEqual(parseArgs(['info', 'a.gp5', '--track', 'all', '-r']).options, { track: 'all', recursive: true });
+    assert.throws(() => parseArgs(['convert', 'a.gp5', '--track', '0']), /--track/);
+    assert.throws(() => parseArgs(['convert', '-x']), /未知的選項/);
+});
+
+test('批次轉換：輸出到 out-dir 並保留子目錄，失敗的檔案個別回報', async () => {
+    const out = path.join(dir, 'out');
+    const summaries = await convertDirectory(path.join(dir, 'in'), { to: 'abc', outDir: out, recursive: true });
+    assert.deepEqual(
+        summaries.map(s => [path.relative(dir, s.input), s.ok]),
+        [['in/broken.mid', false], ['in/duet.musicxml', true], ['in/melody.abc', true], ['in/nested/again.abc', true]]
+    );
+    assert.deepEqual(summaries[2].outputs, [path.join(out, 'melody.abc')]);
+    assert.deepEqual((await readdir(path.join(out, 'nested'))), ['again.abc']);
+
+    // 不含子目錄；輸出檔已存在時需要 --force
+    const again = await convertDirectory(path.join(dir, 'in'), { to: 'abc', outDir: out });
+    assert.equal(again.length, 3);
+    assert.match(again.find(s => s.input.endsWith('melody.abc')).error, /--force/);
+});
+
+test('音軌選擇：指定音軌、all 寫成多聲部或每軌一個檔，以及不存在的音軌', async () => {
+    const input = path.join(dir, 'in', 'duet.musicxml');
+
+    const second = await convertFile(input, { track: [2] });
+    assert.deepEqual(second.selected.map(t => [t.track, t.name, t.notes]), [[2, 'Bass', 1]]);
+
+    const merged = await convertFile(input, { track: 'all', output: path.join(dir, 'tracks', 'duet.musicxml') });
+    assert.equal(merged.outputs.length, 1);
+    const { parts } = new MusicXMLParser().parseSong(await readFile(merged.outputs[0], 'utf8'));
+    assert.deepEqual(parts.map(p => p.name), ['Lead', 'Bass']);
+
+    const split = await convertFile(input, { track: 'all', output: path.join(dir, 'tracks', 'duet.abc') });
+    assert.deepEqual(split.outputs.map(f => path.basename(f)), ['duet-track1.abc', 'duet-track2.abc']);
+
+    const missing = await convertFile(input, { track: [3] });
+    assert.equal(missing.ok, false);
+    assert.match(missing.error, /音軌 3 不存在/);
+});
+
+test('- 讀取標準輸入並寫到標準輸出，摘要寫到標準錯誤', async () => {
+    const result = gsm(['convert', '-', '-', '--to', 'abc'], await readFile(MELODY));
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /^X:1\nT:Twinkle Twinkle Little Star\n/);
+    assert.match(result.stderr, /✓ - \(abc/);
+
+    const fromFile = gsm(['convert', MELODY, '-', '--to', 'abc']);
+    assert.equal(fromFile.stdout, result.stdout);
+
+    // 只有輸入為 - 時預設寫到標準輸出
+    const piped = gsm(['convert', '-', '--to', 'musicxml'], duet());
+    assert.equal(piped.status, 0, piped.stderr);
+    assert.match(piped.stdout, /<part-name>Lead<\/part-name>/);
+    assert.ok(!(await readdir(dir)).includes('-'));
+});
+
+test('- 無法寫出的情況回報錯誤而不建立名為 - 的檔案', async () => {
+    const noFormat = gsm(['convert', MELODY, '-']);
+    assert.equal(noFormat.status, 1);
+    assert.match(noFormat.stderr, /--to/);
+
+    const input = path.join(dir, 'in', 'duet.musicxml');
+    const manyFiles = gsm(['convert', input, '-', '--to', 'abc', '--track', 'all']);
+    assert.equal(manyFiles.status, 1);
+    assert.match(manyFiles.stderr, /--track/);
+    assert.equal(manyFiles.stdout, '');
+
+    const batch = gsm(['convert', path.join(dir, 'in'), '-', '--to', 'abc']);
+    assert.equal(batch.status, 2);
+    assert.match(batch.stderr, /批次轉換/);
+    assert.ok(!(await readdir(dir)).includes('-'));
+});
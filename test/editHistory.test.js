@@ -0,0 +1,132 @@
+/**
+ * 編輯歷史：區段差異與反向執行、群組交易、元數據指令、復原後重做與序列化還原
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EditHistory, MetadataCommand, diffNotes } from '../src/core/history/EditHistory.js';
+
+const note = (midi) => ({ isNote: true, midi, duration: 'quarter' });
+
+test('diffNotes 取出單一區段差異，apply / revert 互為反向', () => {
+    const a = note(60);
+    const b = note(62);
+    const c = note(64);
+    const d = note(65);
+    const before = [a, b, c];
+    const after = [a, d, note(67), c];
+
+    const command = diffNotes(before, after);
+    assert.equal(command.index, 1);
+    assert.deepEqual(command.removed, [b]);
+    assert.deepEqual(command.inserted, after.slice(1, 3));
+    assert.deepEqual(command.apply(before), after);
+    assert.deepEqual(command.revert(after), before);
+    // 不修改傳入陣列
+    assert.deepEqual(before, [a, b, c]);
+    assert.equal(diffNotes(before, [...before]).isEmpty, true);
+});
+
+test('復原 / 重做與重做堆疊清除', () => {
+    const history = new EditHistory();
+    const v0 = [note(60)];
+    const v1 = [...v0, note(62)];
+    const v2 = [...v1, note(64)];
+    history.recordChange(v0, v1, '新增');
+    history.recordChange(v1, v2, '新增');
+
+    let notes = history.undo(v2);
+    assert.deepEqual(notes, v1);
+    notes = history.undo(notes);
+    assert.deepEqual(notes, v0);
+    assert.equal(history.canUndo, false);
+
+    notes = history.redo(notes);
+    assert.deepEqual(notes, v1);
+    assert.equal(history.redoLabel, '新增');
+
+    // 新的編輯清除重做堆疊
+    history.recordChange(notes, [note(48)], '取代');
+    assert.equal(history.canRedo, false);
+    assert.equal(history.undoLabel, '取代');
+});
+
+test('群組交易一次復原全部（可巢狀）', () => {
+    const history = new EditHistory();
+    const v0 = [note(60), note(62)];
+    const v1 = [note(60), note(63)];
+    const v2 = [note(61), note(63)];
+    history.begin('移調');
+    history.recordChange(v0, v1);
+    history.begin('內層');
+    history.recordChange(v1, v2);
+    history.end();
+    assert.equal(history.canUndo, false, '最外層結束前不寫入');
+    history.end();
+
+    assert.equal(history.undoStack.length, 1);
+    assert.equal(history.undoLabel, '移調');
+    assert.deepEqual(history.undo(v2), v0);
+    assert.deepEqual(history.redo(v0), v2);
+});
+
+test('元數據指令經由 onMetadata 套用，與音符在同一交易', () => {
+    const history = new EditHistory();
+    const applied = [];
+    const context = { onMetadata: (fields) => applied.push(fields) };
+    const v0 = [note(60)];
+    const v1 = [note(62)];
+
+    history.begin('匯入樂譜');
+    history.recordChange(v0, v1);
+    history.record(new MetadataCommand({ before: { key: 'C', tempo: 120 }, after: { key: 'D', tempo: 90 } }));
+    history.end();
+
+    assert.deepEqual(history.undo(v1, context), v0);
+    assert.deepEqual(history.redo(v0, context), v1);
+    assert.deepEqual(applied, [{ key: 'C', tempo: 120 }, { key: 'D', tempo: 90 }]);
+
+    // 前後相同的元數據不記錄
+    history.record(new MetadataCommand({ before: { key: 'D' }, after: { key: 'D' } }));
+    assert.equal(history.undoStack.length, 1);
+});
+
+test('超過上限時丟棄最舊的交易', () => {
+    const history = new EditHistory({ limit: 2 });
+    let notes = [];
+    for (let i = 0; i < 3; i++) {
+        const next = [...notes, note(60 + i)];
+        history.recordChange(notes, next, `第 ${i + 1} 步`);
+        notes = next;
+    }
+    assert.deepEqual(history.undoStack.map(t => t.label), ['第 2 步', '第 3 步']);
+});
+
+test('序列化後還原可繼續復原與重做', () => {
+    const history = new EditHistory();
+    const v0 = [note(60)];
+    const v1 = [note(60), note(62)];
+    const v2 = [note(64), note(62)];
+    history.recordChange(v0, v1, '新增');
+    history.begin('變更調號');
+    history.recordChange(v1, v2);
+    history.record(new MetadataCommand({ before: { key: 'C' }, after: { key: 'E' } }));
+    history.end();
+    const afterUndo = history.undo(v2);
+
+    const serialize = (n) => ({ m: n.midi });
+    const deserialize = (o) => note(o.m);
+    const data = JSON.parse(JSON.stringify(history.toJSON(serialize)));
+    const restored = EditHistory.fromJSON(data, deserialize);
+    assert.deepEqual([restored.undoLabel, restored.redoLabel], ['新增', '變更調號']);
+
+    const applied = [];
+    const context = { onMetadata: (fields) => applied.push(fields) };
+    const redone = restored.redo(afterUndo, context);
+    assert.deepEqual(redone.map(n => n.midi), [64, 62]);
+    assert.deepEqual(applied, [{ key: 'E' }]);
+    assert.deepEqual(restored.undo(restored.undo(redone, context), context).map(n => n.midi), [60]);
+
+    // maxEntries 只保存最近的交易
+    assert.equal(history.toJSON(serialize, 0).undo.length, 0);
+});
@@ -0,0 +1,102 @@
+/**
+ * 測試共用工具：音符 / 分隔符的建立函式、比較用摘要與 parse → stringify → parse 來回轉換
+ */
+
+import assert from 'node:assert/strict';
+import { Note } from '../src/core/models/Note.js';
+
+export const TRIPLET = { num: 3, den: 2 };
+
+export const note = (midi, duration = 'quarter', extra = {}) => Object.assign(Note.fromMidi(midi), { duration, ...extra });
+export const fret = (string, value, duration = 'quarter', extra = {}) => Object.assign(Note.fromTab(string, value), { duration, ...extra });
+export const rest = (duration = 'quarter', extra = {}) => Object.assign(Note.createRest({ duration }), extra);
+export const chord = (midis, duration) => midis.map((midi, i) => note(midi, duration, { isChord: true, chordPosition: i }));
+export const bar = (marker = '|') => Object.assign(Note.createSeparator(), { jianpu: marker, displayStr: marker });
+
+/**
+ * 音符摘要可用的欄位
+ */
+const NOTE_FIELDS = {
+    rest: n => !!n.isRest,
+    type: n => n.isNote ? 'note' : n.isRest ? 'rest' : n.isExtension ? 'extension' : n.displayStr,
+    midi: n => n.isRest ? null : (n.midiNote ?? n.midi ?? null),
+    string: n => n.isRest ? null : n.stringIndex,
+    fret: n => n.isRest ? null : n.fret,
+    duration: n => n.duration,
+    dotted: n => n.dotted || 0,
+    tuplet: n => n.tuplet ? `${n.tuplet.num}:${n.tuplet.den}` : null,
+    tie: n => [!!n.tieStart, !!n.tieEnd],
+    isChord: n => !!n.isChord,
+    chordSymbol: n => n.chordSymbol || null,
+    technique: n => n.technique || null,
+    lyrics: n => (n.lyrics || []).map(l => `${l.verse}:${l.text}`),
+    syllables: n => (n.lyrics || []).map(l => `${l.verse}:${l.text}:${l.syllabic || ''}`)
+};
+
+/**
+ * 分隔符摘要可用的欄位
+ */
+const SEPARATOR_FIELDS = {
+    marker: n => n.displayStr,
+    volta: n => n.volta?.join(',') ?? null,
+    keySignature: n => n.keySignature ?? null,
+    timeSignature: n => n.timeSignature ?? null,
+    tempo: n => n.tempo ?? null
+};
+
+/**
+ * 比較用的摘要：音符取指定欄位，分隔符只取記號時為字串，否則為陣列
+ * @param {Array} notes
+ * @param {Object} options
+ * @param {Array<string>} options.fields - NOTE_FIELDS 的鍵
+ * @param {Array<string>} options.separator - SEPARATOR_FIELDS 的鍵
+ * @param {boolean} options.mergeChords - 和弦併成一筆，midi 為排序後的音高陣列（不比較和弦內順序的格式用）
+ * @returns {Array}
+ */
+export function summarize(notes, { fields, separator = ['marker'], mergeChords = false }) {
+    const items = [];
+    notes.forEach(n => {
+        if (n.isSeparator) {
+            const values = separator.map(key => SEPARATOR_FIELDS[key](n));
+            items.push(values.length === 1 ? values[0] : values);
+            return;
+        }
+        const last = items[items.length - 1];
+        if (mergeChords && n.isChord && n.chordPosition > 0 && last?.midi) {
+            last.midi = [...last.midi, n.midi].sort((a, b) => a - b);
+            return;
+        }
+        const item = Object.fromEntries(fields.map(key => [key, NOTE_FIELDS[key](n)]));
+        if (mergeChords && item.midi != null) item.midi = [item.midi];
+        items.push(item);
+    });
+    return items;
+}
+
+/**
+ * parse → stringify → parse（source 不是字串時視為已解析的音符，從 stringify 開始）
+ * @param {{ parse: Function, stringify: Function }} format
+ * @param {string|Array} source
+ * @param {Object} options - 傳給 stringify
+ * @returns {{ first: *, written: *, second: * }}
+ */
+export function roundTrip(format, source, options = {}) {
+    const first = typeof source === 'string' ? format.parse(source) : source;
+    const written = format.stringify(first, options);
+    return { first, written, second: format.parse(written) };
+}
+
+/**
+ * 來回轉換後摘要應相同，回傳 roundTrip 的結果供格式專屬的檢查
+ * @param {{ parse: Function, stringify: Function, notes?: Function }} format - notes 由解析結果取出音符陣列（預設即結果本身）
+ * @param {string|Array} source
+ * @param {Object} summary - 同 summarize 的 options，另可指定 stringify 的 options
+ * @returns {{ first: *, written: *, second: * }}
+ */
+export function assertRoundTrip(format, source, { options, ...summary }) {
+    const result = roundTrip(format, source, options);
+    const notesOf = format.notes ?? (r => r);
+    const message = typeof result.written === 'string' ? result.written : undefined;
+    assert.deepEqual(summarize(notesOf(result.second), summary), summarize(notesOf(result.first), summary), message);
+    return result;
+}
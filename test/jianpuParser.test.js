@@ -0,0 +1,54 @@
+/**
+ * 文字簡譜：parseJianpuScore → notesToJianpuString → parseJianpuScore 保留音、表頭、和弦、歌詞、反覆與連音
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJianpuScore, notesToJianpuString } from '../src/parsers/JianpuParser.js';
+import { roundTrip, assertRoundTrip } from './helpers.js';
+
+const SCORE = `1=D 3/4 ♩=90
+ D         A7
+|: 1 2 3 | 5 - (5 | 5) 3[6 5 4] 3 |[1. 2 0 0 :|[2. 1 - - ||
+w: 天 上 星 星 亮 晶 晶 啊
+1=bE 4/4
+"Cm"1 2 3. #4 | _5 - 0 0 |`;
+
+const JIANPU = { parse: parseJianpuScore, stringify: score => notesToJianpuString(score.notes, score.metadata), notes: score => score.notes };
+const SUMMARY = {
+    fields: ['type', 'midi', 'tuplet', 'tie', 'chordSymbol', 'lyrics'],
+    separator: ['marker', 'volta', 'keySignature', 'timeSignature', 'tempo']
+};
+
+test('音、和弦、歌詞、反覆跳房與連音經輸出後讀回相同', () => {
+    const { first, second } = assertRoundTrip(JIANPU, SCORE, SUMMARY);
+    assert.deepEqual(second.metadata, first.metadata);
+});
+
+test('表頭與曲中轉調 / 換拍號', () => {
+    const { first } = roundTrip(JIANPU, SCORE);
+    assert.deepEqual(first.metadata, { key: 'D', scaleType: 'Major', timeSignature: '3/4', tempo: 90 });
+    const change = first.notes.find(n => n.isSeparator && n.keySignature);
+    assert.equal(change.keySignature, 'Eb');
+    assert.equal(change.timeSignature, '4/4');
+    // 1=bE 之後的 1 為 Eb4
+    const afterChange = first.notes.slice(first.notes.indexOf(change)).find(n => n.isNote);
+    assert.equal(afterChange.midiNote, 63);
+});
+
+test('和弦行與歌詞行對齊到音', () => {
+    const { first } = roundTrip(JIANPU, SCORE);
+    const pitched = first.notes.filter(n => n.isNote);
+    assert.equal(pitched[0].chordSymbol, 'D');
+    assert.equal(pitched.find(n => n.chordSymbol === 'A7')?.jianpu, 5);
+    assert.deepEqual(pitched.slice(0, 4).map(n => n.lyrics?.[0]?.text), ['天', '上', '星', '星']);
+});
+
+test('連音與圓滑線', () => {
+    const { first } = roundTrip(JIANPU, SCORE);
+    const triplet = first.notes.filter(n => n.tuplet);
+    assert.deepEqual(triplet.map(n => n.jianpu), [6, 5, 4]);
+    assert.ok(triplet.every(n => n.tuplet.num === 3 && n.tuplet.den === 2));
+    const tied = first.notes.filter(n => n.tieStart || n.tieEnd);
+    assert.deepEqual(tied.map(n => [n.midiNote, !!n.tieStart, !!n.tieEnd]), [[69, true, false], [69, false, true]]);
+});
@@ -0,0 +1,81 @@
+/**
+ * 小節時值檢查與自動修正：超出、不足與未完整的連音
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkMeasures, repairAllMeasures, repairMeasure } from '../src/core/timing/measureCheck.js';
+
+const TRIPLET = { num: 3, den: 2 };
+
+const note = (midi, duration = 'quarter', extra = {}) => ({ isNote: true, midi, duration, ...extra });
+const bar = () => ({ isSeparator: true, displayStr: '|' });
+const measure = (...midis) => [...midis.map(m => note(m)), bar()];
+
+const errorsOf = (notes) => checkMeasures(notes).issues.filter(i => i.severity === 'error');
+
+test('超出的小節拆到下一小節並以延音線相連', () => {
+    const notes = [
+        ...measure(60, 62, 64, 65),
+        note(67), note(69), note(71), note(72, 'half'), bar(),
+        ...measure(60, 62, 64, 65)
+    ];
+    assert.deepEqual(errorsOf(notes).map(i => i.type), ['overfull']);
+
+    // 拆出的新小節只有一拍，接著補上休止符
+    const { notes: fixed, repaired } = repairAllMeasures(notes);
+    assert.equal(repaired, 2);
+    assert.deepEqual(errorsOf(fixed), []);
+    assert.deepEqual(fixed.filter(n => n.isRest).map(n => [n.duration, n.dotted]), [['half', 1]]);
+    const tied = fixed.filter(n => n.midi === 72);
+    assert.deepEqual(tied.map(n => [n.duration, !!n.tieStart, !!n.tieEnd]), [['quarter', true, false], ['quarter', false, true]]);
+});
+
+test('不足的小節補上休止符', () => {
+    const notes = [...measure(60, 62, 64, 65), ...measure(67, 69), ...measure(60, 62, 64, 65)];
+    assert.deepEqual(errorsOf(notes).map(i => i.type), ['underfull']);
+
+    const { notes: fixed, repaired } = repairAllMeasures(notes);
+    assert.equal(repaired, 1);
+    assert.deepEqual(errorsOf(fixed), []);
+    const rests = fixed.filter(n => n.isRest);
+    assert.deepEqual(rests.map(n => n.duration), ['half']);
+    assert.equal(fixed.indexOf(rests[0]), 7);
+});
+
+test('連音未完整的小節補上同一連音的休止符', () => {
+    const notes = [
+        ...measure(60, 62, 64, 65),
+        note(67), note(69), note(71), note(72, 'eighth', { tuplet: TRIPLET }), note(74, 'eighth', { tuplet: TRIPLET }), bar(),
+        ...measure(60, 62, 64, 65)
+    ];
+    assert.deepEqual(errorsOf(notes).map(i => i.type).sort(), ['tuplet', 'underfull']);
+
+    const { notes: fixed, repaired } = repairAllMeasures(notes);
+    assert.equal(repaired, 1);
+    assert.deepEqual(errorsOf(fixed), []);
+    const rests = fixed.filter(n => n.isRest);
+    assert.equal(rests.length, 1);
+    assert.equal(rests[0].duration, 'eighth');
+    assert.deepEqual(rests[0].tuplet, TRIPLET);
+});
+
+test('無法修好的小節不計數', () => {
+    // 兩個聲部的超出小節無法自動拆分
+    const notes = [
+        ...measure(60, 62, 64, 65),
+        note(67, 'whole', { voice: 1 }), note(69, 'quarter', { voice: 1 }), note(48, 'whole', { voice: 2 }), bar(),
+        ...measure(60, 62, 64, 65)
+    ];
+    const { notes: fixed, repaired } = repairAllMeasures(notes);
+    assert.equal(repaired, 0);
+    assert.equal(fixed, notes);
+});
+
+test('repairMeasure 對連音問題使用 padTuplet', () => {
+    const notes = [note(60, 'eighth', { tuplet: TRIPLET }), note(62, 'eighth', { tuplet: TRIPLET }), note(64, 'half', { dotted: 1 }), bar()];
+    const issue = checkMeasures(notes).issues.find(i => i.type === 'tuplet');
+    const fixed = repairMeasure(notes, issue, 'pad');
+    assert.deepEqual(fixed.slice(0, 3).map(n => [n.isRest ? 'rest' : n.midi, n.duration]), [[60, 'eighth'], [62, 'eighth'], ['rest', 'eighth']]);
+    assert.ok(checkMeasures(fixed).valid);
+});
@@ -0,0 +1,76 @@
+/**
+ * MIDI：writeMIDI / createMIDI → MIDIParser 讀回相同的音高、節奏、延音線與全曲設定
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MIDIParser } from '../src/parsers/MIDIParser.js';
+import { createMIDI, writeMIDI, writeScoreMIDI } from '../src/core/midi/index.js';
+import { Note } from '../src/core/models/Note.js';
+import { Score, Part } from '../src/core/models/index.js';
+import { TRIPLET, note, chord, bar, summarize } from './helpers.js';
+
+const MELODY = [
+    note(60, 'quarter', { dotted: 1 }), note(62, 'eighth'),
+    note(64, 'eighth', { tuplet: TRIPLET }), note(65, 'eighth', { tuplet: TRIPLET }), note(67, 'eighth', { tuplet: TRIPLET }),
+    Note.createRest({ duration: 'quarter' }), bar(),
+    ...chord([60, 64, 67], 'half'), note(72, 'half', { tieStart: true }), bar(),
+    note(72, 'quarter', { tieEnd: true }), note(71), note(69, 'half'), bar()
+];
+
+/**
+ * 比較用的摘要：每個起音一筆（和弦音高排序）
+ * MIDI 不記錄小節線種類與和弦內的順序，最後的小節線也沒有對應
+ */
+function summarizeMidi(notes) {
+    const items = summarize(notes, { fields: ['midi', 'duration', 'dotted', 'tuplet', 'tie'], mergeChords: true });
+    return items[items.length - 1] === '|' ? items.slice(0, -1) : items;
+}
+
+test('節奏、連音、休止符、和弦與跨小節延音線經 MIDI 讀回相同', () => {
+    const parser = new MIDIParser();
+    const back = parser.parseBinary(createMIDI(MELODY, { tempo: 96, timeSignature: '4/4', key: 'G' }));
+    assert.deepEqual(summarizeMidi(back), summarizeMidi(MELODY));
+});
+
+test('速度、拍號與調號寫入 meta 事件', () => {
+    const parser = new MIDIParser();
+    parser.parseBinary(createMIDI(MELODY, { tempo: 96, timeSignature: '3/4', key: 'Bb', title: 'Song' }));
+    const { metadata } = parser.toScore();
+    assert.equal(metadata.tempo, 96);
+    assert.equal(metadata.timeSignature, '3/4');
+    assert.equal(metadata.key, 'Bb');
+    assert.equal(metadata.title, 'Song');
+});
+
+test('反覆展開後寫出', () => {
+    const notes = [bar('|:'), note(60), note(62), note(64), note(65), bar(':|'), note(67, 'whole'), bar()];
+    const back = new MIDIParser().parseBinary(createMIDI(notes));
+    assert.deepEqual(back.filter(n => n.isNote).map(n => n.midi), [60, 62, 64, 65, 60, 62, 64, 65, 67]);
+});
+
+test('多聲部各自一軌並保留名稱與音色', () => {
+    const parts = [
+        { name: 'Lead', notes: [note(72, 'whole'), bar()], instrument: 'electric_guitar_clean' },
+        { name: 'Bass', notes: [note(40, 'whole'), bar()], instrument: 'electric_bass_finger' }
+    ];
+    const parser = new MIDIParser();
+    const { tracks } = parser.parseSong(writeMIDI(parts));
+    assert.deepEqual(tracks.map(t => [t.name, t.program]), [['Lead', 27], ['Bass', 33]]);
+    assert.deepEqual(parser.convertTrack(1).filter(n => n.isNote).map(n => n.midi), [40]);
+});
+
+test('writeScoreMIDI 寫出 Score 的所有軌道與樂譜設定', () => {
+    const score = new Score({
+        parts: [
+            Part.fromNotes([note(72, 'whole'), bar()], { name: 'Lead', instrument: 'electric_guitar_clean' }),
+            Part.fromNotes([note(40, 'whole'), bar()], { name: 'Bass', instrument: 'electric_bass_finger' })
+        ],
+        metadata: { title: 'Song', tempo: 90, key: 'D' }
+    });
+    const parser = new MIDIParser();
+    const { tracks } = parser.parseSong(writeScoreMIDI(score, { tempo: 100 }));
+    assert.deepEqual(tracks.map(t => [t.name, t.program]), [['Lead', 27], ['Bass', 33]]);
+    const { metadata } = parser.toScore();
+    assert.deepEqual([metadata.title, metadata.tempo, metadata.key], ['Song', 100, 'D']);
+});
@@ -0,0 +1,96 @@
+/**
+ * MusicXMLParser：parse → stringify → parse 保留音高、節奏、連結線、和弦、歌詞與反覆 / 房子
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { MusicXMLParser } from '../src/parsers/MusicXMLParser.js';
+import { resolvePlaybackOrder } from '../src/core/timing/timeline.js';
+import { Score, Part, Note } from '../src/core/models/index.js';
+import { roundTrip, assertRoundTrip } from './helpers.js';
+
+const SCORE = `<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="3.1">
+  <part-list><score-part id="P1"><part-name>Guitar</part-name></score-part></part-list>
+  <part id="P1">
+    <measure number="1">
+      <attributes><divisions>6</divisions><key><fifths>2</fifths></key><time><beats>3</beats><beat-type>4</beat-type></time></attributes>
+      <barline location="left"><repeat direction="forward"/></barline>
+      <harmony><root><root-step>D</root-step></root></harmony>
+      <note><pitch><step>D</step><octave>4</octave></pitch><duration>9</duration><type>quarter</type><dot/>
+        <lyric number="1"><syllabic>begin</syllabic><text>Hel</text></lyric></note>
+      <note><pitch><step>F</step><alter>1</alter><octave>4</octave></pitch><duration>3</duration><type>eighth</type>
+        <lyric number="1"><syllabic>end</syllabic><text>lo</text></lyric></note>
+      <note><pitch><step>A</step><octave>4</octave></pitch><duration>6</duration><tie type="start"/><type>quarter</type></note>
+    </measure>
+    <measure number="2">
+      <barline location="left"><ending number="1" type="start"/></barline>
+      <note><pitch><step>A</step><octave>4</octave></pitch><duration>6</duration><tie type="stop"/><type>quarter</type></note>
+      <note><pitch><step>B</step><octave>4</octave></pitch><duration>2</duration><type>eighth</type><time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification></note>
+      <note><pitch><step>C</step><alter>1</alter><octave>5</octave></pitch><duration>2</duration><type>eighth</type><time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification></note>
+      <note><pitch><step>D</step><octave>5</octave></pitch><duration>2</duration><type>eighth</type><time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification></note>
+      <note><rest/><duration>6</duration><type>quarter</type></note>
+      <barline location="right"><ending number="1" type="stop"/><repeat direction="backward"/></barline>
+    </measure>
+    <measure number="3">
+      <barline location="left"><ending number="2" type="start"/></barline>
+      <note><pitch><step>D</step><octave>4</octave></pitch><duration>18</duration><type>half</type><dot/></note>
+      <note><chord/><pitch><step>F</step><alter>1</alter><octave>4</octave></pitch><duration>18</duration><type>half</type><dot/></note>
+      <note><chord/><pitch><step>A</step><octave>4</octave></pitch><duration>18</duration><type>half</type><dot/></note>
+      <barline location="right"><bar-style>light-heavy</bar-style><ending number="2" type="discontinue"/></barline>
+    </measure>
+  </part>
+</score-partwise>`;
+
+const MUSICXML = {
+    parse: text => new MusicXMLParser().parse(text),
+    stringify: notes => new MusicXMLParser().stringify(notes, { key: 'D', timeSignature: '3/4' })
+};
+const SUMMARY = { fields: ['rest', 'midi', 'duration', 'dotted', 'tuplet', 'tie', 'isChord', 'chordSymbol', 'syllables'] };
+
+test('音高、節奏、連結線、和弦與歌詞經匯出後讀回相同', () => {
+    const { first } = assertRoundTrip(MUSICXML, SCORE, SUMMARY);
+    assert.ok(first.some(n => n.tuplet), '三連音應讀成 tuplet');
+    assert.ok(first.some(n => n.tieStart) && first.some(n => n.tieEnd), '應讀到連結線');
+});
+
+test('<ending> 讀成房子分隔符並寫回', () => {
+    const { first, written } = roundTrip(MUSICXML, SCORE);
+    const markers = first.filter(n => n.isSeparator).map(n => n.displayStr);
+    assert.ok(markers.includes('1.') && markers.includes('2.'), markers.join(' '));
+    assert.match(written, /<ending number="1" type="start">/);
+    assert.match(written, /<ending number="1" type="stop"\/>/);
+    assert.match(written, /<ending number="2" type="discontinue"\/>/);
+});
+
+test('反覆與房子的播放順序', () => {
+    const { second } = roundTrip(MUSICXML, SCORE);
+    const order = resolvePlaybackOrder(second)
+        .map(i => second[i])
+        .filter(n => n.isNote && !n.tieEnd && (!n.isChord || n.chordPosition === 0))
+        .map(n => n.midi);
+    // 第一次經第一房回到 |:，第二次跳到第二房
+    assert.deepEqual(order, [62, 66, 69, 71, 73, 74, 62, 66, 69, 62]);
+});
+
+test('範例檔 test-score.musicxml 經匯出後讀回相同', () => {
+    const text = readFileSync(new URL('../test-files/test-score.musicxml', import.meta.url), 'utf8');
+    assertRoundTrip(MUSICXML, text, SUMMARY);
+});
+
+test('stringifyScore 寫出 Score 的所有軌道、標題與移調夾', () => {
+    const whole = (midi) => Object.assign(Note.fromMidi(midi), { duration: 'whole' });
+    const score = new Score({
+        parts: [
+            Part.fromNotes([whole(72), Note.createSeparator()], { name: 'Lead', capo: 2 }),
+            Part.fromNotes([whole(40), Note.createSeparator()], { name: 'Bass' })
+        ],
+        metadata: { title: 'Song', composer: 'Someone', key: 'D' }
+    });
+    const parser = new MusicXMLParser();
+    const { parts } = parser.parseSong(parser.stringifyScore(score));
+    assert.deepEqual(parts.map(p => [p.name, p.capo]), [['Lead', 2], ['Bass', 0]]);
+    assert.deepEqual(parser.convertPart(1).filter(n => n.isNote).map(n => n.midi), [40]);
+    assert.equal(parser.title, 'Song');
+});
@@ -0,0 +1,66 @@
+/**
+ * 解析器註冊表：類別 / 工廠函式的註冊、不符合介面時的錯誤，以及依內容與副檔名辨識格式
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectFormat, getParser, importAny, registerParser } from '../src/parsers/registry.js';
+import { ParserInterface } from '../src/core/interfaces/ParserInterface.js';
+
+/**
+ * 不繼承 ParserInterface、但具備所需成員的解析器
+ */
+class PlainParser {
+    get formatId() { return 'plain-test'; }
+    get extensions() { return ['.plain']; }
+    get mimeTypes() { return []; }
+    get binary() { return false; }
+    sniff(text) { return text.startsWith('PLAIN') ? 0.9 : 0; }
+    async read() { return { notes: [], metadata: { plain: true } }; }
+}
+
+test('不繼承 ParserInterface 的類別以 new 建立', async () => {
+    const unregister = registerParser(PlainParser);
+    try {
+        assert.ok(getParser('plain-test') instanceof PlainParser);
+        const result = await importAny({ name: 'a.plain', data: 'PLAIN data' });
+        assert.equal(result.format, 'plain-test');
+        assert.deepEqual(result.metadata, { plain: true });
+    } finally {
+        unregister();
+    }
+    assert.equal(getParser('plain-test'), null);
+});
+
+test('工廠函式每次回傳新實例', () => {
+    class FactoryParser extends ParserInterface {
+        get formatId() { return 'factory-test'; }
+        validate(text) { return text === 'FACTORY'; }
+    }
+    const unregister = registerParser(() => new FactoryParser());
+    try {
+        const a = getParser('factory-test');
+        assert.ok(a instanceof FactoryParser);
+        assert.notEqual(getParser('factory-test'), a);
+        assert.equal(detectFormat({ text: 'FACTORY' })[0].formatId, 'factory-test');
+    } finally {
+        unregister();
+    }
+});
+
+test('不符合介面的類別在註冊時拋出錯誤', () => {
+    class Incomplete {
+        get formatId() { return 'incomplete-test'; }
+        parse() { return []; }
+    }
+    assert.throws(() => registerParser(Incomplete), /Incomplete 不符合 ParserInterface：缺少 sniff、read、extensions、mimeTypes/);
+    assert.throws(() => registerParser(() => null), /沒有回傳解析器實例/);
+    assert.throws(() => registerParser({}), TypeError);
+    assert.equal(getParser('incomplete-test'), null);
+});
+
+test('內建格式依內容與副檔名辨識', () => {
+    const abc = 'X:1\nT:Test\nM:4/4\nK:C\nC D E F|';
+    assert.equal(detectFormat({ fileName: 'tune.abc', text: abc })[0].formatId, 'abc');
+    assert.equal(detectFormat({ text: 'C        G\nHello my friend' })[0].formatId, 'chordsheet');
+});
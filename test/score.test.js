@@ -0,0 +1,38 @@
+/**
+ * 樂譜模型：扁平音符陣列與 Score → Part → Measure → Voice 階層互轉
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Score, Part, Note } from '../src/core/models/index.js';
+
+const note = (midi, voice) => Note.fromMidi(midi).clone({ duration: 'quarter', voice });
+
+test('交錯的兩個聲部在 setNotes 後維持原本的扁平順序', () => {
+    const notes = [
+        note(72, 1), note(48, 2), note(74, 1), note(50, 2),
+        Note.createSeparator(),
+        note(76, 2), note(77, 1)
+    ];
+    const score = new Score();
+    score.setNotes(notes);
+
+    assert.deepEqual(score.notes.map(n => n.midi ?? '|'), [72, 48, 74, 50, '|', 76, 77]);
+    assert.deepEqual(score.notes.map(n => n.index), [0, 1, 2, 3, 4, 5, 6]);
+    assert.deepEqual(score.measures[0].voices.map(v => v.events.map(e => e.midi)), [[72, 74], [48, 50]]);
+
+    // 編輯單一音符不應搬動其他聲部的事件
+    score.updateNote(3, { velocity: 60 });
+    assert.deepEqual(score.notes.map(n => n.midi ?? '|'), [72, 48, 74, 50, '|', 76, 77]);
+    assert.equal(score.undo(), true);
+    assert.deepEqual(score.notes.map(n => n.midi ?? '|'), [72, 48, 74, 50, '|', 76, 77]);
+});
+
+test('複製後仍保留聲部交錯順序，之後新增的事件接在最後', () => {
+    const part = Part.fromNotes([note(60, 2), note(64, 1), note(62, 2)]);
+    const measure = part.measures[0].clone();
+    assert.deepEqual(measure.events.map(e => e.midi), [60, 64, 62]);
+
+    measure.voices[0].events.push(note(65, 1));
+    assert.deepEqual(measure.events.map(e => e.midi), [60, 64, 62, 65]);
+});
@@ -0,0 +1,55 @@
+/**
+ * TabParser：stringify → parse 還原相同的音符（琴格、時值、附點、連音、休止符、小節線）
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TabParser } from '../src/parsers/TabParser.js';
+import { TRIPLET, fret, rest, bar, assertRoundTrip } from './helpers.js';
+
+const TAB = { parse: text => new TabParser().parse(text), stringify: (notes, options) => new TabParser().stringify(notes, options) };
+const SUMMARY = { fields: ['rest', 'string', 'fret', 'duration', 'dotted', 'tuplet', 'technique'] };
+
+test('休止符寫入節奏列並讀回原位置', () => {
+    const notes = [fret(0, 0), rest(), fret(0, 5, 'half')];
+    assertRoundTrip(TAB, notes, { ...SUMMARY, options: { timeSignature: '3/4' } });
+});
+
+test('三連音以 3 標記並讀回 tuplet', () => {
+    const notes = [
+        fret(0, 0, 'eighth', { tuplet: TRIPLET }), fret(0, 1, 'eighth', { tuplet: TRIPLET }), fret(0, 3, 'eighth', { tuplet: TRIPLET }),
+        fret(0, 5), fret(0, 7), bar()
+    ];
+    const { written } = assertRoundTrip(TAB, notes, { ...SUMMARY, options: { timeSignature: '3/4' } });
+    assert.match(written, /3e/);
+});
+
+test('連音組內的休止符', () => {
+    const notes = [
+        rest('eighth', { tuplet: TRIPLET }), fret(1, 1, 'eighth', { tuplet: TRIPLET }), fret(1, 3, 'eighth', { tuplet: TRIPLET }),
+        fret(2, 5, 'quarter', { dotted: 1 }), fret(2, 7, 'eighth'), bar(':|')
+    ];
+    assertRoundTrip(TAB, notes, { ...SUMMARY, options: { timeSignature: '2/4' } });
+});
+
+test('沒有結尾小節線時不補上 |', () => {
+    const open = [fret(0, 0), fret(0, 2), fret(0, 3), fret(0, 5), bar(), fret(0, 7), fret(0, 8)];
+    assertRoundTrip(TAB, open, SUMMARY);
+
+    const unbarred = [0, 2, 3, 5, 7, 8, 10, 12].map(f => fret(0, f));
+    assertRoundTrip(TAB, unbarred, SUMMARY);
+});
+
+test('雙小節線、反覆與技巧', () => {
+    const notes = [
+        bar('|:'), fret(2, 5, 'quarter', { technique: 'hammer-on' }), fret(2, 7), fret(1, 5, 'half', { technique: 'bend' }), bar(':|'),
+        fret(0, 12, 'half', { technique: 'harmonic' }), rest('half'), bar('||')
+    ];
+    assertRoundTrip(TAB, notes, SUMMARY);
+});
+
+test('和弦同欄並保留弦 / 格', () => {
+    const chord = [fret(2, 0), fret(3, 2), fret(4, 3)].map((n, i) => Object.assign(n, { isChord: true, chordPosition: i, duration: 'whole' }));
+    const { second } = assertRoundTrip(TAB, [...chord, bar()], SUMMARY);
+    assert.ok(second.slice(0, 3).every(n => n.isChord));
+});
@@ -0,0 +1,98 @@
+/**
+ * 共用時間軸：反覆 / 跳房 / D.C. / D.S. 的演奏順序，以及時值、連音、延音線與速度變更的 tick 計算
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PPQ, buildTimeline, getDurationTicks, resolvePlaybackOrder } from '../src/core/timing/timeline.js';
+
+const note = (midi, duration = 'quarter', extra = {}) => ({ isNote: true, midi, duration, ...extra });
+const bar = (marker = '|', extra = {}) => ({ isSeparator: true, displayStr: marker, ...extra });
+
+/**
+ * 依演奏順序列出音高（略過分隔符）
+ */
+function playedPitches(notes, options) {
+    return resolvePlaybackOrder(notes, options).map(i => notes[i]).filter(n => n.isNote).map(n => n.midi);
+}
+
+test('|: :| 反覆兩遍，repeatTimes 指定遍數', () => {
+    const notes = [note(60), bar('|:'), note(62), bar(':|'), note(64), bar('|:'), note(65), bar(':|', { repeatTimes: 3 })];
+    assert.deepEqual(playedPitches(notes), [60, 62, 62, 64, 65, 65, 65]);
+    assert.deepEqual(playedPitches(notes, { expandRepeats: false }), [60, 62, 64, 65]);
+});
+
+test('沒有 |: 時 :| 回到開頭', () => {
+    const notes = [note(60), bar(), note(62), bar(':|'), note(64)];
+    assert.deepEqual(playedPitches(notes), [60, 62, 60, 62, 64]);
+});
+
+test('反覆跳房依遍數選擇', () => {
+    const notes = [
+        bar('|:'), note(60), bar(),
+        bar('1.', { volta: [1] }), note(62), bar(':|'),
+        bar('2.', { volta: [2] }), note(64), bar('||'),
+        note(65)
+    ];
+    assert.deepEqual(playedPitches(notes), [60, 62, 60, 64, 65]);
+});
+
+test('三遍反覆共用第一房', () => {
+    const notes = [
+        bar('|:'), note(60), bar(),
+        bar('1,2.', { volta: [1, 2] }), note(62), bar(':|', { repeatTimes: 3 }),
+        bar('3.', { volta: [3] }), note(64), bar()
+    ];
+    assert.deepEqual(playedPitches(notes), [60, 62, 60, 62, 60, 64]);
+});
+
+test('D.C. al Fine 回到開頭並在 Fine 結束', () => {
+    const notes = [note(60), bar(), note(62), bar('Fine'), note(64), bar('D.C. al Fine')];
+    assert.deepEqual(playedPitches(notes), [60, 62, 64, 60, 62]);
+});
+
+test('D.S. al Coda 跳到 Segno，經 To Coda 跳到 Coda', () => {
+    const notes = [
+        note(60), bar('Segno'), note(62), bar('To Coda'), note(64), bar('D.S. al Coda'),
+        bar('Coda'), note(67), bar('||')
+    ];
+    assert.deepEqual(playedPitches(notes), [60, 62, 64, 62, 67]);
+});
+
+test('附點、連音與延音線的 tick 計算', () => {
+    const triplet = { num: 3, den: 2 };
+    const notes = [
+        note(60, 'quarter', { dotted: 1 }), note(62, 'eighth'), bar(),
+        note(64, 'eighth', { tuplet: triplet }), note(65, 'eighth', { tuplet: triplet }), note(67, 'eighth', { tuplet: triplet }),
+        note(69, 'half', { tieStart: true }), note(69, 'quarter', { tieEnd: true }), bar()
+    ];
+    const { events, totalTicks } = buildTimeline(notes, { tempo: 120 });
+    assert.deepEqual(events.map(e => e.ticks), [720, 240, 160, 160, 160, 960, 480]);
+    assert.equal(totalTicks, PPQ * 6);
+    // 延音線結尾不重新起音，併入前一個音的發聲長度
+    assert.equal(events[5].soundTicks, 1440);
+    assert.equal(events[6].sounding, false);
+    assert.equal(events[2].measure, events[1].measure + 1);
+    assert.equal(getDurationTicks('eighth', 0, triplet), 160);
+});
+
+test('和弦成員不另佔時間，速度變更自分隔符起生效', () => {
+    const notes = [
+        note(60, 'half', { isChord: true, chordPosition: 0 }), note(64, 'half', { isChord: true, chordPosition: 1 }),
+        note(67, 'half'), bar('|', { tempo: 60 }), note(72, 'whole'), bar()
+    ];
+    const { events, totalSeconds } = buildTimeline(notes, { tempo: 120 });
+    assert.equal(events.length, 3);
+    assert.deepEqual(events[0].chord, [0, 1]);
+    assert.equal(events[2].tempo, 60);
+    // 120 BPM 兩個二分音符 2 秒，60 BPM 一個全音符 4 秒
+    assert.equal(totalSeconds, 6);
+});
+
+test('反覆展開後的時間軸', () => {
+    const notes = [bar('|:'), note(60), note(62), bar(':|'), note(64, 'half')];
+    const { events, totalTicks } = buildTimeline(notes);
+    assert.deepEqual(events.map(e => e.note.midi), [60, 62, 60, 62, 64]);
+    assert.equal(totalTicks, PPQ * 6);
+    assert.equal(buildTimeline(notes, { expandRepeats: false }).events.length, 3);
+});